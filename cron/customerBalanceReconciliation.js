@@ -1,94 +1,34 @@
 // cron/customerBalanceReconciliation.js
-const prisma = require('../lib/prisma');
+const { verifyCustomerLedgers } = require('../services/customerLedgerService');
 
 /**
- * Reconcile customer balances with their order balances
- * Runs every 5 minutes to ensure data consistency
+ * Verify customer balances against their ledgers and order balances
+ * Runs every 5 minutes. Balances are only changed through ledger postings,
+ * so mismatches are reported for investigation rather than overwritten.
  */
 async function reconcileCustomerBalances() {
   try {
-    console.log('🔄 [Customer Balance Reconciliation] Starting...');
+    console.log('🔄 [Customer Balance Reconciliation] Verifying ledgers...');
 
-    // Get all customers who have orders
-    const customers = await prisma.customer.findMany({
-      where: {
-        totalOrders: {
-          gt: 0
-        }
-      },
-      select: {
-        id: true,
-        name: true,
-        customerBalance: true
-      }
-    });
-
-    let fixedCount = 0;
-    let checkedCount = 0;
-    const discrepancies = [];
-
-    for (const customer of customers) {
-      checkedCount++;
-
-      // Get all orders for this customer
-      const orders = await prisma.distributionOrder.findMany({
-        where: { customerId: customer.id },
-        select: {
-          orderNumber: true,
-          balance: true
-        }
-      });
-
-      // Calculate the correct balance
-      // Order balance: Positive = customer owes us, Negative = we owe customer
-      // Customer balance: Inverted - Negative = customer owes us, Positive = we owe customer
-      const totalOrderBalance = orders.reduce((sum, order) => {
-        return sum + parseFloat(order.balance || 0);
-      }, 0);
-
-      const correctCustomerBalance = -totalOrderBalance;
-      const currentBalance = parseFloat(customer.customerBalance);
+    const { checked, discrepancies } = await verifyCustomerLedgers();
 
-      // Check for discrepancy (allowing for small floating point differences)
-      const difference = Math.abs(currentBalance - correctCustomerBalance);
-
-      if (difference > 0.01) {
-        discrepancies.push({
-          customerId: customer.id,
-          customerName: customer.name,
-          currentBalance: currentBalance,
-          correctBalance: correctCustomerBalance,
-          difference: currentBalance - correctCustomerBalance,
-          orderCount: orders.length
-        });
-
-        // Fix the balance
-        await prisma.customer.update({
-          where: { id: customer.id },
-          data: {
-            customerBalance: correctCustomerBalance
-          }
-        });
-
-        fixedCount++;
-      }
-    }
-
-    // Log results
+    // Balances here are statement balances: positive = customer owes us
     if (discrepancies.length > 0) {
       console.log(`⚠️  [Customer Balance Reconciliation] Found ${discrepancies.length} discrepancies:`);
       discrepancies.forEach(d => {
-        console.log(`   - ${d.customerName}:`);
-        console.log(`     Current: ₦${d.currentBalance.toLocaleString()}`);
-        console.log(`     Correct: ₦${d.correctBalance.toLocaleString()}`);
-        console.log(`     Difference: ₦${d.difference.toLocaleString()}`);
-        console.log(`     Orders: ${d.orderCount}`);
+        console.log(`   - ${d.customerName} (${d.issues.join(', ')}):`);
+        console.log(`     Ledger: ₦${d.ledgerBalance.toLocaleString()} (${d.entryCount} entries)`);
+        console.log(`     Account: ₦${d.accountBalance.toLocaleString()}`);
+        console.log(`     Orders: ₦${d.orderBalance.toLocaleString()}`);
       });
-      console.log(`✅ [Customer Balance Reconciliation] Fixed ${fixedCount} customer balances`);
+      if (discrepancies.some(d => d.issues.includes('NO_LEDGER'))) {
+        console.log('   Customers without a ledger need a backfill: npm run ledger:backfill');
+      }
     } else {
-      console.log(`✅ [Customer Balance Reconciliation] All ${checkedCount} customers have correct balances`);
+      console.log(`✅ [Customer Balance Reconciliation] All ${checked} customer ledgers agree with their balances`);
     }
 
+    return { checked, discrepancies };
   } catch (error) {
     console.error('❌ [Customer Balance Reconciliation] Error:', error);
   }
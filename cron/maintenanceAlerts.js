@@ -0,0 +1,43 @@
+// cron/maintenanceAlerts.js
+const { getMaintenanceAlerts } = require('../services/fleetMaintenanceService');
+
+/**
+ * Report truck services that are overdue or due soon, and trucks out of service
+ * Runs daily. Alerts are read from the schedules each time, so nothing is stored.
+ */
+async function checkMaintenanceAlerts() {
+  try {
+    console.log('🔧 [Maintenance Alerts] Checking service schedules...');
+
+    const { summary, overdue, dueSoon, outOfService } = await getMaintenanceAlerts();
+
+    const describe = (s) => [
+      s.kmRemaining !== null ? `${s.kmRemaining.toLocaleString()} km` : null,
+      s.daysRemaining !== null ? `${s.daysRemaining} day(s)` : null
+    ].filter(Boolean).join(' / ');
+
+    if (overdue.length > 0) {
+      console.log(`⚠️  [Maintenance Alerts] ${overdue.length} service(s) overdue:`);
+      overdue.forEach(s => console.log(`   - ${s.truckId} ${s.serviceType}: ${describe(s)} remaining`));
+    }
+    if (dueSoon.length > 0) {
+      console.log(`🔔 [Maintenance Alerts] ${dueSoon.length} service(s) due soon:`);
+      dueSoon.forEach(s => console.log(`   - ${s.truckId} ${s.serviceType}: ${describe(s)} remaining`));
+    }
+    if (outOfService.length > 0) {
+      console.log(`🚫 [Maintenance Alerts] ${summary.outOfService} truck(s) out of service:`);
+      outOfService.forEach(d => console.log(
+        `   - ${d.truckId} (${d.reason}) since ${d.startDate.toISOString().slice(0, 10)}${d.endDate ? `, back ${d.endDate.toISOString().slice(0, 10)}` : ''}`
+      ));
+    }
+    if (overdue.length === 0 && dueSoon.length === 0) {
+      console.log('✅ [Maintenance Alerts] No services due');
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('❌ [Maintenance Alerts] Error:', error);
+  }
+}
+
+module.exports = { checkMaintenanceAlerts };
@@ -0,0 +1,96 @@
+// jobs/analytics-rollup.js
+// Analytics rollup: stores KPI and module snapshots for closed periods
+// Run this as a cron job (daily, after the midnight jobs)
+//
+// Backfill: node jobs/analytics-rollup.js --from 2025-01-01 [--to 2026-10-01] [--period MONTHLY,YEARLY]
+
+const prisma = require('../lib/prisma');
+const { PERIOD_TYPES, rollupRecentPeriods, backfillRollups } = require('../services/analyticsRollupService');
+const { createAuditLog } = require('../utils/auditLogger');
+
+/**
+ * Daily rollup: re-rolls every period that closed in the last week
+ */
+async function runAnalyticsRollup() {
+  console.log('🔄 Starting analytics rollup job...');
+
+  try {
+    const periodsRolledUp = await rollupRecentPeriods();
+
+    const summary = {
+      timestamp: new Date().toISOString(),
+      periodsRolledUp
+    };
+
+    console.log('✅ Analytics rollup completed:', summary);
+    return summary;
+
+  } catch (error) {
+    console.error('❌ Analytics rollup failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Historical backfill over a date range
+ */
+async function runAnalyticsBackfill({ from, to, periodTypes = PERIOD_TYPES }, userId = null) {
+  console.log(`🔄 Backfilling analytics from ${from.toISOString().split('T')[0]} (${periodTypes.join(', ')})...`);
+
+  const periodsRolledUp = await backfillRollups({ from, to, periodTypes });
+
+  const summary = {
+    timestamp: new Date().toISOString(),
+    from,
+    to,
+    periodsRolledUp
+  };
+
+  await createAuditLog({
+    userId,
+    action: 'ANALYTICS_BACKFILL',
+    entity: 'KPIMetrics',
+    newValues: summary
+  });
+
+  console.log('✅ Analytics backfill completed:', summary);
+  return summary;
+}
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+// If running as standalone script
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  let run;
+  if (args.from) {
+    const from = new Date(args.from);
+    const to = args.to ? new Date(args.to) : new Date();
+    const periodTypes = args.period ? args.period.toUpperCase().split(',') : PERIOD_TYPES;
+
+    if (isNaN(from) || isNaN(to) || periodTypes.some(p => !PERIOD_TYPES.includes(p))) {
+      console.error(`Usage: node jobs/analytics-rollup.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--period ${PERIOD_TYPES.join(',')}]`);
+      process.exit(1);
+    }
+    run = runAnalyticsBackfill({ from, to, periodTypes });
+  } else {
+    run = runAnalyticsRollup();
+  }
+
+  run
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { runAnalyticsRollup, runAnalyticsBackfill };
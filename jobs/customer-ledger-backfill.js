@@ -0,0 +1,47 @@
+// jobs/customer-ledger-backfill.js
+// One-off: builds the customer ledger for customers whose balances predate it,
+// from their orders, price adjustments, credit notes and payments
+//
+// Usage: node jobs/customer-ledger-backfill.js [--customer <customerId>]
+
+const prisma = require('../lib/prisma');
+const { backfillCustomerLedgers, verifyCustomerLedgers } = require('../services/customerLedgerService');
+
+async function runCustomerLedgerBackfill({ customerIds } = {}, userId = null) {
+  console.log('🔄 Backfilling customer ledgers...');
+
+  const result = await backfillCustomerLedgers({ customerIds }, userId);
+  const { discrepancies } = await verifyCustomerLedgers();
+
+  const summary = {
+    timestamp: new Date().toISOString(),
+    ...result,
+    remainingDiscrepancies: discrepancies.length
+  };
+
+  console.log('✅ Customer ledger backfill completed:', summary);
+  return summary;
+}
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+// If running as standalone script
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  runCustomerLedgerBackfill({ customerIds: args.customer ? [args.customer] : undefined })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { runCustomerLedgerBackfill };
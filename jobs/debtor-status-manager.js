@@ -0,0 +1,62 @@
+// jobs/debtor-status-manager.js
+// Automated debtor status management
+// Run this as a cron job (daily, after the batch status job)
+
+const prisma = require('../lib/prisma');
+const { markOverdueDebts, refreshReliabilityScores } = require('../services/debtorAgingService');
+const { refreshAllCreditHolds } = require('../services/creditControlService');
+const { createAuditLog } = require('../utils/auditLogger');
+
+/**
+ * Main debtor status job:
+ * 1. Mark debts past their due date as OVERDUE
+ * 2. Recalculate payment reliability scores from payment history
+ * 3. Place/release automatic credit holds
+ */
+async function manageDebtorStatus(userId = null) {
+  console.log('🔄 Starting debtor status management job...');
+
+  try {
+    const overdue = await markOverdueDebts();
+    const reliability = await refreshReliabilityScores();
+    const creditHolds = await refreshAllCreditHolds();
+
+    const summary = {
+      timestamp: new Date().toISOString(),
+      debtsMarkedOverdue: overdue.markedOverdue,
+      debtsNoLongerOverdue: overdue.restored,
+      reliabilityScoresUpdated: reliability.updated,
+      creditHoldsPlaced: creditHolds.placed,
+      creditHoldsReleased: creditHolds.released
+    };
+
+    if (overdue.markedOverdue > 0 || overdue.restored > 0) {
+      await createAuditLog({
+        userId,
+        action: 'AUTO_MARK_OVERDUE',
+        entity: 'Debtor',
+        newValues: summary
+      });
+    }
+
+    console.log('✅ Debtor status management completed:', summary);
+    return summary;
+
+  } catch (error) {
+    console.error('❌ Debtor status management failed:', error);
+    throw error;
+  }
+}
+
+// If running as standalone script
+if (require.main === module) {
+  manageDebtorStatus()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { manageDebtorStatus };
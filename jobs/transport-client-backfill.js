@@ -0,0 +1,88 @@
+// jobs/transport-client-backfill.js
+// One-off: links transport orders that predate the client master to transport
+// clients, matching the typed name (and phone) and creating clients as needed.
+// Existing orders stay cash orders and are not invoiced.
+//
+// Usage: node jobs/transport-client-backfill.js [--dry-run true]
+
+const prisma = require('../lib/prisma');
+const { resolveTransportClient } = require('../services/transportBillingService');
+
+async function runTransportClientBackfill({ dryRun = false } = {}) {
+  console.log(`🔄 Linking transport orders to clients${dryRun ? ' (dry run)' : ''}...`);
+
+  const orders = await prisma.transportOrder.findMany({
+    where: { transportClientId: null },
+    select: { id: true, name: true, phone: true, createdBy: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const existingClients = await prisma.transportClient.count();
+  const clientIds = new Set();
+  let linked = 0;
+  let skipped = 0;
+
+  for (const order of orders) {
+    if (!order.name || !order.name.trim()) {
+      skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      clientIds.add(`${order.name.trim().toLowerCase()}|${(order.phone || '').trim()}`);
+      linked++;
+      continue;
+    }
+
+    // Oldest order first, so a new client is attributed to whoever took its first trip
+    await prisma.$transaction(async (tx) => {
+      const transportClient = await resolveTransportClient(
+        { clientName: order.name, clientPhone: order.phone || null },
+        order.createdBy,
+        tx
+      );
+      await tx.transportOrder.update({
+        where: { id: order.id },
+        data: { transportClientId: transportClient.id }
+      });
+      clientIds.add(transportClient.id);
+    });
+    linked++;
+  }
+
+  const summary = {
+    timestamp: new Date().toISOString(),
+    dryRun,
+    ordersScanned: orders.length,
+    ordersLinked: linked,
+    ordersSkipped: skipped,
+    clientsMatched: clientIds.size,
+    clientsCreated: dryRun ? null : (await prisma.transportClient.count()) - existingClients
+  };
+
+  console.log('✅ Transport client backfill completed:', summary);
+  return summary;
+}
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+// If running as standalone script
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  runTransportClientBackfill({ dryRun: args['dry-run'] === 'true' })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    })
+    .finally(() => prisma.$disconnect());
+}
+
+module.exports = { runTransportClientBackfill };
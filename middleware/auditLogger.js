@@ -88,7 +88,7 @@ const auditLogger = async (req, res, next) => {
 // LOGIN/LOGOUT SPECIFIC LOGGING
 // ================================
 
-const logAuthEvent = async (userId, action, ipAddress, userAgent, success = true) => {
+const logAuthEvent = async (userId, action, ipAddress, userAgent, success = true, details = null) => {
   try {
     await prisma.auditLog.create({
       data: {
@@ -96,7 +96,7 @@ const logAuthEvent = async (userId, action, ipAddress, userAgent, success = true
         action,
         entity: 'AUTH',
         entityId: userId,
-        newValues: { success },
+        newValues: { success, ...(details || {}) },
         ipAddress,
         userAgent
       }
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 
 const prisma = require('../lib/prisma');
+const { isSessionIdle, revokeSession, touchSession } = require('../services/sessionService');
 
 // ================================
 // USER ROLES AND PERMISSIONS
@@ -130,22 +131,30 @@ const authenticateToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check if session exists and is active
-    const session = await prisma.userSession.findUnique({
-      where: { token },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-            role: true,
-            isActive: true,
-            permissions: true
-          }
+    const sessionUserInclude = {
+      user: {
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          role: true,
+          isActive: true,
+          permissions: true
         }
       }
-    });
+    };
+
+    // Tokens issued since refresh tokens carry their session id; older tokens
+    // were stored on the session row itself
+    const session = decoded.sessionId
+      ? await prisma.userSession.findUnique({
+          where: { id: decoded.sessionId },
+          include: sessionUserInclude
+        })
+      : await prisma.userSession.findUnique({
+          where: { token },
+          include: sessionUserInclude
+        });
 
     if (!session || !session.isActive || new Date() > session.expiresAt) {
       return res.status(401).json({
@@ -161,6 +170,14 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (isSessionIdle(session)) {
+      await revokeSession(session.id, 'IDLE_TIMEOUT');
+      return res.status(401).json({
+        error: 'Session expired',
+        message: 'Session expired due to inactivity. Please login again.'
+      });
+    }
+
     // Attach user info to request
     req.user = {
       id: session.user.id,
@@ -172,12 +189,7 @@ const authenticateToken = async (req, res, next) => {
     };
 
     // Update last activity
-    await prisma.userSession.update({
-      where: { id: session.id },
-      data: { 
-        // Could add lastActivity field if needed
-      }
-    });
+    await touchSession(session);
 
     next();
   } catch (error) {
@@ -193,7 +205,8 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         error: 'Token expired',
-        message: 'Please login again'
+        message: 'Access token expired. Refresh the session or login again',
+        code: 'TOKEN_EXPIRED'
       });
     }
 
@@ -60,6 +60,15 @@ const errorHandler = (error, req, res, next) => {
     });
   }
 
+  // Handle authentication errors (bad/expired sessions, refresh tokens)
+  if (error.name === 'AuthenticationError') {
+    return res.status(401).json({
+      error: 'Authentication Error',
+      message: error.message,
+      code: error.code || 'AUTHENTICATION_FAILED'
+    });
+  }
+
   // Handle authorization errors
   if (error.name === 'AuthorizationError') {
     return res.status(403).json({
@@ -272,6 +281,14 @@ class BusinessError extends Error {
   }
 }
 
+class AuthenticationError extends Error {
+  constructor(message = 'Authentication required', code = 'AUTHENTICATION_FAILED') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.code = code;
+  }
+}
+
 class AuthorizationError extends Error {
   constructor(message = 'Insufficient permissions') {
     super(message);
@@ -325,6 +342,7 @@ module.exports = {
   notFound,
   handlePrismaError,
   BusinessError,
+  AuthenticationError,
   AuthorizationError,
   NotFoundError,
   ValidationError,
@@ -0,0 +1,104 @@
+-- CreateTable
+CREATE TABLE "public"."warehouse_receipts" (
+    "id" TEXT NOT NULL,
+    "receipt_number" TEXT NOT NULL,
+    "warehouse_customer_id" TEXT,
+    "customer_name" TEXT,
+    "customer_phone" TEXT,
+    "payment_method" "public"."PaymentMethod",
+    "payment_status" TEXT NOT NULL DEFAULT 'PAID',
+    "amount_paid" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "credit_due_date" TIMESTAMP(3),
+    "credit_notes" TEXT,
+    "items_count" INTEGER NOT NULL DEFAULT 0,
+    "total_quantity" INTEGER NOT NULL DEFAULT 0,
+    "total_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_discount_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_cost" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "gross_profit" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "sales_officer" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_receipts_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_sales" ADD COLUMN "receipt_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_debtors" ALTER COLUMN "sale_id" DROP NOT NULL,
+ADD COLUMN "receipt_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_receipts_receipt_number_key" ON "public"."warehouse_receipts"("receipt_number");
+
+-- CreateIndex
+CREATE INDEX "warehouse_receipts_warehouse_customer_id_idx" ON "public"."warehouse_receipts"("warehouse_customer_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_receipts_created_at_idx" ON "public"."warehouse_receipts"("created_at");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sales_receipt_id_idx" ON "public"."warehouse_sales"("receipt_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_debtors_receipt_id_key" ON "public"."warehouse_debtors"("receipt_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_receipts" ADD CONSTRAINT "warehouse_receipts_warehouse_customer_id_fkey" FOREIGN KEY ("warehouse_customer_id") REFERENCES "public"."warehouse_customers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_receipts" ADD CONSTRAINT "warehouse_receipts_sales_officer_fkey" FOREIGN KEY ("sales_officer") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sales" ADD CONSTRAINT "warehouse_sales_receipt_id_fkey" FOREIGN KEY ("receipt_id") REFERENCES "public"."warehouse_receipts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_debtors" ADD CONSTRAINT "warehouse_debtors_receipt_id_fkey" FOREIGN KEY ("receipt_id") REFERENCES "public"."warehouse_receipts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: one header per existing receipt number, built from its sale lines
+INSERT INTO "public"."warehouse_receipts" (
+    "id", "receipt_number", "warehouse_customer_id", "customer_name", "customer_phone",
+    "payment_method", "payment_status", "credit_due_date", "credit_notes",
+    "items_count", "total_quantity", "total_amount", "total_discount_amount", "total_cost", "gross_profit",
+    "sales_officer", "created_at", "updated_at"
+)
+SELECT
+    'rcpt_' || md5(s.receipt_number),
+    s.receipt_number,
+    (array_agg(s.warehouse_customer_id ORDER BY s.created_at))[1],
+    (array_agg(s.customer_name ORDER BY s.created_at))[1],
+    (array_agg(s.customer_phone ORDER BY s.created_at))[1],
+    (array_agg(s.payment_method ORDER BY s.created_at))[1],
+    COALESCE((array_agg(s.payment_status ORDER BY s.created_at))[1], 'PAID'),
+    MIN(s.credit_due_date),
+    (array_agg(s.credit_notes ORDER BY s.created_at))[1],
+    COUNT(*),
+    SUM(s.quantity),
+    SUM(s.total_amount),
+    SUM(COALESCE(s.total_discount_amount, 0)),
+    SUM(s.total_cost),
+    SUM(s.gross_profit),
+    (array_agg(s.sales_officer ORDER BY s.created_at))[1],
+    MIN(s.created_at),
+    CURRENT_TIMESTAMP
+FROM "public"."warehouse_sales" s
+GROUP BY s.receipt_number;
+
+UPDATE "public"."warehouse_sales" s
+SET "receipt_id" = r."id"
+FROM "public"."warehouse_receipts" r
+WHERE r."receipt_number" = s."receipt_number";
+
+-- Backfill amount paid on headers: full total for paid receipts, debtor payments otherwise
+UPDATE "public"."warehouse_receipts" r
+SET "amount_paid" = CASE
+    WHEN r."payment_status" = 'PAID' THEN r."total_amount"
+    ELSE COALESCE((
+        SELECT SUM(d."amount_paid")
+        FROM "public"."warehouse_debtors" d
+        JOIN "public"."warehouse_sales" s ON s."id" = d."sale_id"
+        WHERE s."receipt_id" = r."id"
+    ), 0)
+END;
@@ -0,0 +1,133 @@
+-- CreateEnum
+CREATE TYPE "public"."SaleReturnStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "public"."ReturnReason" AS ENUM ('DAMAGED', 'EXPIRED', 'WRONG_ITEM', 'CUSTOMER_REJECTED', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "public"."ReturnSettlementType" AS ENUM ('CASH_REFUND', 'CREDIT_NOTE');
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_batch_sales" ADD COLUMN "quantity_returned" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_sale_returns" (
+    "id" TEXT NOT NULL,
+    "return_number" TEXT NOT NULL,
+    "receipt_id" TEXT NOT NULL,
+    "warehouse_customer_id" TEXT,
+    "status" "public"."SaleReturnStatus" NOT NULL DEFAULT 'PENDING',
+    "settlement_type" "public"."ReturnSettlementType" NOT NULL,
+    "refund_method" "public"."PaymentMethod",
+    "total_refund_amount" DECIMAL(12,2) NOT NULL,
+    "total_cost_amount" DECIMAL(12,2) NOT NULL,
+    "write_off_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "requested_by" TEXT NOT NULL,
+    "approved_by" TEXT,
+    "approved_at" TIMESTAMP(3),
+    "approval_notes" TEXT,
+    "rejection_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_sale_returns_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_sale_return_items" (
+    "id" TEXT NOT NULL,
+    "return_id" TEXT NOT NULL,
+    "sale_id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unit_type" "public"."UnitType" NOT NULL,
+    "reason" "public"."ReturnReason" NOT NULL,
+    "refund_amount" DECIMAL(12,2) NOT NULL,
+    "cost_amount" DECIMAL(12,2) NOT NULL,
+    "restocked" BOOLEAN NOT NULL DEFAULT false,
+    "restock_allocations" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "warehouse_sale_return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_stock_write_offs" (
+    "id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "batch_id" TEXT,
+    "return_item_id" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "unit_type" "public"."UnitType" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "cost_value" DECIMAL(12,2) NOT NULL,
+    "notes" TEXT,
+    "recorded_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "warehouse_stock_write_offs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_sale_returns_return_number_key" ON "public"."warehouse_sale_returns"("return_number");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sale_returns_receipt_id_idx" ON "public"."warehouse_sale_returns"("receipt_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sale_returns_status_idx" ON "public"."warehouse_sale_returns"("status");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sale_returns_approved_at_idx" ON "public"."warehouse_sale_returns"("approved_at");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sale_return_items_return_id_idx" ON "public"."warehouse_sale_return_items"("return_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sale_return_items_sale_id_idx" ON "public"."warehouse_sale_return_items"("sale_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_sale_return_items_product_id_idx" ON "public"."warehouse_sale_return_items"("product_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_stock_write_offs_return_item_id_key" ON "public"."warehouse_stock_write_offs"("return_item_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_stock_write_offs_product_id_idx" ON "public"."warehouse_stock_write_offs"("product_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_stock_write_offs_created_at_idx" ON "public"."warehouse_stock_write_offs"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_returns" ADD CONSTRAINT "warehouse_sale_returns_receipt_id_fkey" FOREIGN KEY ("receipt_id") REFERENCES "public"."warehouse_receipts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_returns" ADD CONSTRAINT "warehouse_sale_returns_warehouse_customer_id_fkey" FOREIGN KEY ("warehouse_customer_id") REFERENCES "public"."warehouse_customers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_returns" ADD CONSTRAINT "warehouse_sale_returns_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_returns" ADD CONSTRAINT "warehouse_sale_returns_approved_by_fkey" FOREIGN KEY ("approved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_return_items" ADD CONSTRAINT "warehouse_sale_return_items_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "public"."warehouse_sale_returns"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_return_items" ADD CONSTRAINT "warehouse_sale_return_items_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "public"."warehouse_sales"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_sale_return_items" ADD CONSTRAINT "warehouse_sale_return_items_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_stock_write_offs" ADD CONSTRAINT "warehouse_stock_write_offs_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_stock_write_offs" ADD CONSTRAINT "warehouse_stock_write_offs_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "public"."warehouse_product_purchases"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_stock_write_offs" ADD CONSTRAINT "warehouse_stock_write_offs_return_item_id_fkey" FOREIGN KEY ("return_item_id") REFERENCES "public"."warehouse_sale_return_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_stock_write_offs" ADD CONSTRAINT "warehouse_stock_write_offs_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "public"."user_sessions" ALTER COLUMN "token" DROP NOT NULL,
+ADD COLUMN "device_id" TEXT,
+ADD COLUMN "device_name" TEXT,
+ADD COLUMN "last_activity_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "revoked_at" TIMESTAMP(3),
+ADD COLUMN "revoked_reason" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."refresh_tokens" (
+    "id" TEXT NOT NULL,
+    "session_id" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "revoked_at" TIMESTAMP(3),
+    "replaced_by_id" TEXT,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_sessions_user_id_is_active_idx" ON "public"."user_sessions"("user_id", "is_active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refresh_tokens_token_hash_key" ON "public"."refresh_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_session_id_idx" ON "public"."refresh_tokens"("session_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."refresh_tokens" ADD CONSTRAINT "refresh_tokens_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "public"."user_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN "failed_login_attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "last_failed_login_at" TIMESTAMP(3),
+ADD COLUMN "locked_until" TIMESTAMP(3),
+ADD COLUMN "lockout_count" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."login_ip_throttles" (
+    "id" TEXT NOT NULL,
+    "ip_address" TEXT NOT NULL,
+    "failed_attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_failed_at" TIMESTAMP(3),
+    "locked_until" TIMESTAMP(3),
+    "lockout_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_ip_throttles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "login_ip_throttles_ip_address_key" ON "public"."login_ip_throttles"("ip_address");
@@ -0,0 +1,158 @@
+-- CreateEnum
+CREATE TYPE "public"."PurchaseOrderStatus" AS ENUM ('DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "public"."DeliveryVarianceType" AS ENUM ('EXACT', 'SHORT', 'OVER');
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_purchase_orders" (
+    "id" TEXT NOT NULL,
+    "po_number" TEXT NOT NULL,
+    "vendor_name" TEXT NOT NULL,
+    "vendor_phone" TEXT,
+    "vendor_email" TEXT,
+    "status" "public"."PurchaseOrderStatus" NOT NULL DEFAULT 'DRAFT',
+    "order_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expected_delivery_date" TIMESTAMP(3),
+    "total_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "received_amount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "amount_paid" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "sent_at" TIMESTAMP(3),
+    "closed_at" TIMESTAMP(3),
+    "close_reason" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_purchase_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_purchase_order_items" (
+    "id" TEXT NOT NULL,
+    "purchase_order_id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "quantity_ordered" INTEGER NOT NULL,
+    "quantity_received" INTEGER NOT NULL DEFAULT 0,
+    "unit_type" "public"."UnitType" NOT NULL,
+    "cost_per_unit" DECIMAL(10,2) NOT NULL,
+    "line_total" DECIMAL(12,2) NOT NULL,
+    "notes" TEXT,
+
+    CONSTRAINT "warehouse_purchase_order_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_goods_receipts" (
+    "id" TEXT NOT NULL,
+    "grn_number" TEXT NOT NULL,
+    "purchase_order_id" TEXT NOT NULL,
+    "received_date" TIMESTAMP(3) NOT NULL,
+    "delivery_note_number" TEXT,
+    "invoice_number" TEXT,
+    "payment_method" "public"."PaymentMethod" NOT NULL,
+    "total_cost" DECIMAL(12,2) NOT NULL,
+    "amount_paid" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "has_variance" BOOLEAN NOT NULL DEFAULT false,
+    "notes" TEXT,
+    "received_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "warehouse_goods_receipts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_goods_receipt_lines" (
+    "id" TEXT NOT NULL,
+    "goods_receipt_id" TEXT NOT NULL,
+    "purchase_order_item_id" TEXT NOT NULL,
+    "purchase_id" TEXT,
+    "quantity_expected" INTEGER NOT NULL,
+    "quantity_received" INTEGER NOT NULL,
+    "variance_quantity" INTEGER NOT NULL DEFAULT 0,
+    "variance_type" "public"."DeliveryVarianceType" NOT NULL DEFAULT 'EXACT',
+    "cost_per_unit" DECIMAL(10,2) NOT NULL,
+    "line_total" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "warehouse_goods_receipt_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."warehouse_purchase_order_payments" (
+    "id" TEXT NOT NULL,
+    "purchase_order_id" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "payment_method" "public"."PaymentMethod" NOT NULL,
+    "reference" TEXT,
+    "notes" TEXT,
+    "allocations" JSONB,
+    "paid_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "recorded_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "warehouse_purchase_order_payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_purchase_orders_po_number_key" ON "public"."warehouse_purchase_orders"("po_number");
+
+-- CreateIndex
+CREATE INDEX "warehouse_purchase_orders_status_idx" ON "public"."warehouse_purchase_orders"("status");
+
+-- CreateIndex
+CREATE INDEX "warehouse_purchase_orders_vendor_name_idx" ON "public"."warehouse_purchase_orders"("vendor_name");
+
+-- CreateIndex
+CREATE INDEX "warehouse_purchase_order_items_purchase_order_id_idx" ON "public"."warehouse_purchase_order_items"("purchase_order_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_purchase_order_items_product_id_idx" ON "public"."warehouse_purchase_order_items"("product_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_goods_receipts_grn_number_key" ON "public"."warehouse_goods_receipts"("grn_number");
+
+-- CreateIndex
+CREATE INDEX "warehouse_goods_receipts_purchase_order_id_idx" ON "public"."warehouse_goods_receipts"("purchase_order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "warehouse_goods_receipt_lines_purchase_id_key" ON "public"."warehouse_goods_receipt_lines"("purchase_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_goods_receipt_lines_goods_receipt_id_idx" ON "public"."warehouse_goods_receipt_lines"("goods_receipt_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_goods_receipt_lines_purchase_order_item_id_idx" ON "public"."warehouse_goods_receipt_lines"("purchase_order_item_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_purchase_order_payments_purchase_order_id_idx" ON "public"."warehouse_purchase_order_payments"("purchase_order_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_purchase_orders" ADD CONSTRAINT "warehouse_purchase_orders_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_purchase_order_items" ADD CONSTRAINT "warehouse_purchase_order_items_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "public"."warehouse_purchase_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_purchase_order_items" ADD CONSTRAINT "warehouse_purchase_order_items_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "public"."products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_goods_receipts" ADD CONSTRAINT "warehouse_goods_receipts_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "public"."warehouse_purchase_orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_goods_receipts" ADD CONSTRAINT "warehouse_goods_receipts_received_by_fkey" FOREIGN KEY ("received_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_goods_receipt_lines" ADD CONSTRAINT "warehouse_goods_receipt_lines_goods_receipt_id_fkey" FOREIGN KEY ("goods_receipt_id") REFERENCES "public"."warehouse_goods_receipts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_goods_receipt_lines" ADD CONSTRAINT "warehouse_goods_receipt_lines_purchase_order_item_id_fkey" FOREIGN KEY ("purchase_order_item_id") REFERENCES "public"."warehouse_purchase_order_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_goods_receipt_lines" ADD CONSTRAINT "warehouse_goods_receipt_lines_purchase_id_fkey" FOREIGN KEY ("purchase_id") REFERENCES "public"."warehouse_product_purchases"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_purchase_order_payments" ADD CONSTRAINT "warehouse_purchase_order_payments_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "public"."warehouse_purchase_orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_purchase_order_payments" ADD CONSTRAINT "warehouse_purchase_order_payments_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
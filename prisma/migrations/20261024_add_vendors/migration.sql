@@ -0,0 +1,156 @@
+-- CreateEnum
+CREATE TYPE "public"."VendorStatus" AS ENUM ('PENDING_REVIEW', 'ACTIVE', 'INACTIVE');
+
+-- CreateTable
+CREATE TABLE "public"."vendors" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "normalized_name" TEXT NOT NULL,
+    "status" "public"."VendorStatus" NOT NULL DEFAULT 'ACTIVE',
+    "contact_person" TEXT,
+    "phone" TEXT,
+    "email" TEXT,
+    "address" TEXT,
+    "payment_terms_days" INTEGER,
+    "bank_name" TEXT,
+    "bank_account_number" TEXT,
+    "bank_account_name" TEXT,
+    "notes" TEXT,
+    "created_by" TEXT,
+    "reviewed_by" TEXT,
+    "reviewed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vendors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."vendor_aliases" (
+    "id" TEXT NOT NULL,
+    "vendor_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "normalized_name" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "vendor_aliases_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_product_purchases" ADD COLUMN "vendor_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_expenses" ADD COLUMN "vendor_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_purchase_orders" ADD COLUMN "vendor_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vendors_name_key" ON "public"."vendors"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vendors_normalized_name_key" ON "public"."vendors"("normalized_name");
+
+-- CreateIndex
+CREATE INDEX "vendors_status_idx" ON "public"."vendors"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vendor_aliases_name_key" ON "public"."vendor_aliases"("name");
+
+-- CreateIndex
+CREATE INDEX "vendor_aliases_vendor_id_idx" ON "public"."vendor_aliases"("vendor_id");
+
+-- CreateIndex
+CREATE INDEX "vendor_aliases_normalized_name_idx" ON "public"."vendor_aliases"("normalized_name");
+
+-- CreateIndex
+CREATE INDEX "warehouse_product_purchases_vendor_id_idx" ON "public"."warehouse_product_purchases"("vendor_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_expenses_vendor_id_idx" ON "public"."warehouse_expenses"("vendor_id");
+
+-- CreateIndex
+CREATE INDEX "warehouse_purchase_orders_vendor_id_idx" ON "public"."warehouse_purchase_orders"("vendor_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."vendors" ADD CONSTRAINT "vendors_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."vendors" ADD CONSTRAINT "vendors_reviewed_by_fkey" FOREIGN KEY ("reviewed_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."vendor_aliases" ADD CONSTRAINT "vendor_aliases_vendor_id_fkey" FOREIGN KEY ("vendor_id") REFERENCES "public"."vendors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_product_purchases" ADD CONSTRAINT "warehouse_product_purchases_vendor_id_fkey" FOREIGN KEY ("vendor_id") REFERENCES "public"."vendors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_expenses" ADD CONSTRAINT "warehouse_expenses_vendor_id_fkey" FOREIGN KEY ("vendor_id") REFERENCES "public"."vendors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_purchase_orders" ADD CONSTRAINT "warehouse_purchase_orders_vendor_id_fkey" FOREIGN KEY ("vendor_id") REFERENCES "public"."vendors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Cluster existing free-text vendor names.
+-- Spellings that normalise to the same key (lowercase, punctuation and company
+-- suffixes removed) become one vendor named after its most common spelling.
+-- Clustered vendors start as PENDING_REVIEW so they can be renamed, merged or
+-- split via /warehouse/vendors/review before being confirmed.
+-- Keep the normalisation in sync with normalizeVendorName() in services/vendorService.js.
+CREATE TEMP TABLE "vendor_name_clusters" AS
+SELECT
+    "name",
+    COUNT(*)::INTEGER AS "occurrences",
+    COALESCE(
+        NULLIF(
+            TRIM(REGEXP_REPLACE(
+                REGEXP_REPLACE(
+                    REGEXP_REPLACE(LOWER("name"), '[^a-z0-9]+', ' ', 'g'),
+                    '\m(ltd|limited|plc|nig|nigeria|enterprise|enterprises|ent|co|company|inc|venture|ventures|intl|international)\M', ' ', 'g'
+                ),
+                '\s+', ' ', 'g'
+            )),
+            ''
+        ),
+        LOWER("name")
+    ) AS "normalized_name"
+FROM (
+    SELECT TRIM("vendor_name") AS "name" FROM "public"."warehouse_product_purchases"
+    UNION ALL
+    SELECT TRIM("vendor_name") FROM "public"."warehouse_expenses" WHERE "vendor_name" IS NOT NULL
+    UNION ALL
+    SELECT TRIM("vendor_name") FROM "public"."warehouse_purchase_orders"
+) AS "names"
+WHERE "name" <> ''
+GROUP BY "name";
+
+INSERT INTO "public"."vendors" ("id", "name", "normalized_name", "status", "created_at", "updated_at")
+SELECT DISTINCT ON ("normalized_name")
+    'vnd_' || MD5("normalized_name"),
+    "name",
+    "normalized_name",
+    'PENDING_REVIEW',
+    CURRENT_TIMESTAMP,
+    CURRENT_TIMESTAMP
+FROM "vendor_name_clusters"
+ORDER BY "normalized_name", "occurrences" DESC, "name";
+
+INSERT INTO "public"."vendor_aliases" ("id", "vendor_id", "name", "normalized_name", "created_at")
+SELECT 'vna_' || MD5("name"), 'vnd_' || MD5("normalized_name"), "name", "normalized_name", CURRENT_TIMESTAMP
+FROM "vendor_name_clusters";
+
+UPDATE "public"."warehouse_product_purchases" AS p
+SET "vendor_id" = a."vendor_id"
+FROM "public"."vendor_aliases" AS a
+WHERE a."name" = TRIM(p."vendor_name");
+
+UPDATE "public"."warehouse_expenses" AS e
+SET "vendor_id" = a."vendor_id"
+FROM "public"."vendor_aliases" AS a
+WHERE a."name" = TRIM(e."vendor_name");
+
+UPDATE "public"."warehouse_purchase_orders" AS o
+SET "vendor_id" = a."vendor_id"
+FROM "public"."vendor_aliases" AS a
+WHERE a."name" = TRIM(o."vendor_name");
+
+DROP TABLE "vendor_name_clusters";
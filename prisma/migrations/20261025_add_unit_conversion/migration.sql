@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "public"."products" ADD COLUMN     "units_per_pack" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_inventory" ADD COLUMN     "base_units" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_product_purchases" ADD COLUMN     "quantity_broken_down" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "source_batch_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "warehouse_product_purchases_source_batch_id_idx" ON "public"."warehouse_product_purchases"("source_batch_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_product_purchases" ADD CONSTRAINT "warehouse_product_purchases_source_batch_id_fkey" FOREIGN KEY ("source_batch_id") REFERENCES "public"."warehouse_product_purchases"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill base units from the existing counters (unset factors count as 1, as the inventory screens do)
+UPDATE "public"."warehouse_inventory" wi
+SET "base_units" = (wi."pallets" * COALESCE(p."packs_per_pallet", 1) + wi."packs") * COALESCE(p."units_per_pack", 1) + wi."units"
+FROM "public"."products" p
+WHERE p."id" = wi."product_id";
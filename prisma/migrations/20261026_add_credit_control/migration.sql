@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."warehouse_customers" ADD COLUMN     "credit_hold" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "credit_hold_at" TIMESTAMP(3),
+ADD COLUMN     "credit_hold_by" TEXT,
+ADD COLUMN     "credit_hold_reason" TEXT;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "public"."CashReconciliationStatus" AS ENUM ('SUBMITTED', 'APPROVED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "public"."cash_reconciliations" (
+    "id" TEXT NOT NULL,
+    "reconciliation_number" TEXT NOT NULL,
+    "business_date" DATE NOT NULL,
+    "module" TEXT NOT NULL,
+    "cashier" TEXT NOT NULL,
+    "status" "public"."CashReconciliationStatus" NOT NULL DEFAULT 'SUBMITTED',
+    "expected_total" DECIMAL(15,2) NOT NULL,
+    "counted_total" DECIMAL(15,2) NOT NULL,
+    "variance" DECIMAL(15,2) NOT NULL,
+    "entry_count" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "submitted_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "approved_by" TEXT,
+    "approved_at" TIMESTAMP(3),
+    "approval_notes" TEXT,
+    "rejection_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cash_reconciliations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."cash_reconciliation_lines" (
+    "id" TEXT NOT NULL,
+    "reconciliation_id" TEXT NOT NULL,
+    "payment_method" "public"."PaymentMethod" NOT NULL,
+    "expected_in" DECIMAL(15,2) NOT NULL DEFAULT 0,
+    "expected_out" DECIMAL(15,2) NOT NULL DEFAULT 0,
+    "expected_amount" DECIMAL(15,2) NOT NULL,
+    "counted_amount" DECIMAL(15,2) NOT NULL,
+    "variance" DECIMAL(15,2) NOT NULL,
+    "variance_reason" TEXT,
+
+    CONSTRAINT "cash_reconciliation_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."cash_flow" ADD COLUMN     "reconciliation_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cash_reconciliations_reconciliation_number_key" ON "public"."cash_reconciliations"("reconciliation_number");
+
+-- CreateIndex
+CREATE INDEX "cash_reconciliations_status_idx" ON "public"."cash_reconciliations"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cash_reconciliations_business_date_module_cashier_key" ON "public"."cash_reconciliations"("business_date", "module", "cashier");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cash_reconciliation_lines_reconciliation_id_payment_method_key" ON "public"."cash_reconciliation_lines"("reconciliation_id", "payment_method");
+
+-- CreateIndex
+CREATE INDEX "cash_flow_reconciliation_id_idx" ON "public"."cash_flow"("reconciliation_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."cash_reconciliations" ADD CONSTRAINT "cash_reconciliations_cashier_fkey" FOREIGN KEY ("cashier") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."cash_reconciliations" ADD CONSTRAINT "cash_reconciliations_approved_by_fkey" FOREIGN KEY ("approved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."cash_reconciliation_lines" ADD CONSTRAINT "cash_reconciliation_lines_reconciliation_id_fkey" FOREIGN KEY ("reconciliation_id") REFERENCES "public"."cash_reconciliations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."cash_flow" ADD CONSTRAINT "cash_flow_reconciliation_id_fkey" FOREIGN KEY ("reconciliation_id") REFERENCES "public"."cash_reconciliations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
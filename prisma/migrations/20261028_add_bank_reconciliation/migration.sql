@@ -0,0 +1,96 @@
+-- CreateEnum
+CREATE TYPE "public"."BankStatementFormat" AS ENUM ('CSV', 'OFX');
+
+-- CreateEnum
+CREATE TYPE "public"."BankStatementLineStatus" AS ENUM ('UNMATCHED', 'PROPOSED', 'MATCHED', 'IGNORED');
+
+-- AlterTable
+ALTER TABLE "public"."payment_history" ADD COLUMN     "is_reconciled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reconciliation_date" DATE;
+
+-- AlterTable
+ALTER TABLE "public"."warehouse_debtor_payments" ADD COLUMN     "cash_flow_id" TEXT,
+ADD COLUMN     "is_reconciled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "reconciliation_date" DATE;
+
+-- CreateTable
+CREATE TABLE "public"."bank_statements" (
+    "id" TEXT NOT NULL,
+    "bank_account" TEXT NOT NULL,
+    "file_name" TEXT,
+    "format" "public"."BankStatementFormat" NOT NULL,
+    "period_start" DATE,
+    "period_end" DATE,
+    "line_count" INTEGER NOT NULL DEFAULT 0,
+    "duplicate_count" INTEGER NOT NULL DEFAULT 0,
+    "imported_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bank_statements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."bank_statement_lines" (
+    "id" TEXT NOT NULL,
+    "statement_id" TEXT NOT NULL,
+    "bank_account" TEXT NOT NULL,
+    "transaction_date" DATE NOT NULL,
+    "amount" DECIMAL(15,2) NOT NULL,
+    "description" TEXT,
+    "reference" TEXT,
+    "bank_transaction_id" TEXT,
+    "fingerprint" TEXT NOT NULL,
+    "status" "public"."BankStatementLineStatus" NOT NULL DEFAULT 'UNMATCHED',
+    "proposed_entity_type" TEXT,
+    "proposed_entity_id" TEXT,
+    "match_score" INTEGER,
+    "rejected_matches" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "cash_flow_id" TEXT,
+    "payment_history_id" TEXT,
+    "matched_by" TEXT,
+    "matched_at" TIMESTAMP(3),
+    "notes" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bank_statement_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "warehouse_debtor_payments_cash_flow_id_idx" ON "public"."warehouse_debtor_payments"("cash_flow_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statements_bank_account_idx" ON "public"."bank_statements"("bank_account");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_cash_flow_id_key" ON "public"."bank_statement_lines"("cash_flow_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_payment_history_id_key" ON "public"."bank_statement_lines"("payment_history_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_statement_id_idx" ON "public"."bank_statement_lines"("statement_id");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_status_idx" ON "public"."bank_statement_lines"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_bank_account_fingerprint_key" ON "public"."bank_statement_lines"("bank_account", "fingerprint");
+
+-- AddForeignKey
+ALTER TABLE "public"."warehouse_debtor_payments" ADD CONSTRAINT "warehouse_debtor_payments_cash_flow_id_fkey" FOREIGN KEY ("cash_flow_id") REFERENCES "public"."cash_flow"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bank_statements" ADD CONSTRAINT "bank_statements_imported_by_fkey" FOREIGN KEY ("imported_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_statement_id_fkey" FOREIGN KEY ("statement_id") REFERENCES "public"."bank_statements"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_cash_flow_id_fkey" FOREIGN KEY ("cash_flow_id") REFERENCES "public"."cash_flow"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_payment_history_id_fkey" FOREIGN KEY ("payment_history_id") REFERENCES "public"."payment_history"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_matched_by_fkey" FOREIGN KEY ("matched_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "public"."distribution_analytics" ADD COLUMN     "period_type" "public"."PeriodType";
+
+-- AlterTable
+ALTER TABLE "public"."transport_analytics" ADD COLUMN     "period_type" "public"."PeriodType";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "distribution_analytics_analysis_type_period_period_type_key" ON "public"."distribution_analytics"("analysis_type", "period", "period_type");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transport_analytics_analysis_type_period_period_type_key" ON "public"."transport_analytics"("analysis_type", "period", "period_type");
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."AttachmentEntityType" AS ENUM ('EXPENSE', 'WAREHOUSE_EXPENSE', 'WAREHOUSE_PURCHASE', 'DISTRIBUTION_ORDER', 'TRANSPORT_ORDER');
+
+-- CreateEnum
+CREATE TYPE "public"."AttachmentCategory" AS ENUM ('RECEIPT', 'INVOICE', 'SUPPLIER_INVOICE', 'WAYBILL', 'DELIVERY_PROOF', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "public"."AttachmentStorage" AS ENUM ('LOCAL', 'S3');
+
+-- CreateTable
+CREATE TABLE "public"."attachments" (
+    "id" TEXT NOT NULL,
+    "entity_type" "public"."AttachmentEntityType" NOT NULL,
+    "entity_id" TEXT NOT NULL,
+    "category" "public"."AttachmentCategory" NOT NULL DEFAULT 'OTHER',
+    "file_name" TEXT NOT NULL,
+    "content_type" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "checksum" TEXT NOT NULL,
+    "description" TEXT,
+    "storage_backend" "public"."AttachmentStorage" NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "uploaded_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "attachments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "attachments_storage_key_key" ON "public"."attachments"("storage_key");
+
+-- CreateIndex
+CREATE INDEX "attachments_entity_type_entity_id_idx" ON "public"."attachments"("entity_type", "entity_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_uploaded_by_fkey" FOREIGN KEY ("uploaded_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
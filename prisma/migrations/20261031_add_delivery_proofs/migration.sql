@@ -0,0 +1,40 @@
+-- AlterEnum
+ALTER TYPE "public"."AttachmentCategory" ADD VALUE 'SIGNATURE';
+ALTER TYPE "public"."AttachmentCategory" ADD VALUE 'DELIVERY_PHOTO';
+
+-- AlterTable
+ALTER TABLE "public"."distribution_order_items" ADD COLUMN     "delivered_pallets" INTEGER,
+ADD COLUMN     "delivered_packs" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."delivery_proofs" (
+    "id" TEXT NOT NULL,
+    "order_id" TEXT NOT NULL,
+    "receiver_name" TEXT NOT NULL,
+    "receiver_phone" TEXT,
+    "signature_attachment_id" TEXT,
+    "latitude" DECIMAL(9,6),
+    "longitude" DECIMAL(9,6),
+    "gps_accuracy" DECIMAL(8,2),
+    "captured_at" TIMESTAMP(3) NOT NULL,
+    "recorded_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "delivery_proofs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_proofs_order_id_key" ON "public"."delivery_proofs"("order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "delivery_proofs_signature_attachment_id_key" ON "public"."delivery_proofs"("signature_attachment_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_proofs" ADD CONSTRAINT "delivery_proofs_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_proofs" ADD CONSTRAINT "delivery_proofs_signature_attachment_id_fkey" FOREIGN KEY ("signature_attachment_id") REFERENCES "public"."attachments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."delivery_proofs" ADD CONSTRAINT "delivery_proofs_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,91 @@
+-- CreateEnum
+CREATE TYPE "public"."DeliveryShortfallReason" AS ENUM ('NOT_LOADED', 'DAMAGED', 'REJECTED', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "public"."CreditNoteReason" AS ENUM ('DELIVERY_SHORTFALL');
+
+-- CreateEnum
+CREATE TYPE "public"."SupplierClaimType" AS ENUM ('SHORT_LOADED', 'DAMAGED', 'OVERPAYMENT', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "public"."SupplierClaimStatus" AS ENUM ('OPEN', 'ACKNOWLEDGED', 'CREDITED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "public"."distribution_order_items" ADD COLUMN     "shortfall_reason" "public"."DeliveryShortfallReason";
+
+-- CreateTable
+CREATE TABLE "public"."credit_notes" (
+    "id" TEXT NOT NULL,
+    "credit_note_number" TEXT NOT NULL,
+    "order_id" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "reason" "public"."CreditNoteReason" NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "applied_to_balance" DECIMAL(12,2) NOT NULL,
+    "refund_due" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "lines" JSONB NOT NULL,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "credit_notes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."supplier_claims" (
+    "id" TEXT NOT NULL,
+    "claim_number" TEXT NOT NULL,
+    "supplier_company_id" TEXT NOT NULL,
+    "order_id" TEXT,
+    "claim_type" "public"."SupplierClaimType" NOT NULL,
+    "status" "public"."SupplierClaimStatus" NOT NULL DEFAULT 'OPEN',
+    "pallets" INTEGER NOT NULL DEFAULT 0,
+    "packs" INTEGER NOT NULL DEFAULT 0,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "lines" JSONB,
+    "description" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "supplier_claims_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_notes_credit_note_number_key" ON "public"."credit_notes"("credit_note_number");
+
+-- CreateIndex
+CREATE INDEX "credit_notes_order_id_idx" ON "public"."credit_notes"("order_id");
+
+-- CreateIndex
+CREATE INDEX "credit_notes_customer_id_idx" ON "public"."credit_notes"("customer_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "supplier_claims_claim_number_key" ON "public"."supplier_claims"("claim_number");
+
+-- CreateIndex
+CREATE INDEX "supplier_claims_supplier_company_id_idx" ON "public"."supplier_claims"("supplier_company_id");
+
+-- CreateIndex
+CREATE INDEX "supplier_claims_order_id_idx" ON "public"."supplier_claims"("order_id");
+
+-- CreateIndex
+CREATE INDEX "supplier_claims_status_idx" ON "public"."supplier_claims"("status");
+
+-- AddForeignKey
+ALTER TABLE "public"."credit_notes" ADD CONSTRAINT "credit_notes_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."credit_notes" ADD CONSTRAINT "credit_notes_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."credit_notes" ADD CONSTRAINT "credit_notes_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_claims" ADD CONSTRAINT "supplier_claims_supplier_company_id_fkey" FOREIGN KEY ("supplier_company_id") REFERENCES "public"."supplier_companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_claims" ADD CONSTRAINT "supplier_claims_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_claims" ADD CONSTRAINT "supplier_claims_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,66 @@
+-- CreateEnum
+CREATE TYPE "public"."SupplierCreditEntryType" AS ENUM ('CLAIM_CREDITED', 'APPLIED_TO_PAYMENT');
+
+-- AlterEnum
+ALTER TYPE "public"."AttachmentEntityType" ADD VALUE 'SUPPLIER_CLAIM';
+
+-- AlterEnum
+ALTER TYPE "public"."AttachmentCategory" ADD VALUE 'CLAIM_EVIDENCE';
+
+-- AlterTable
+ALTER TABLE "public"."supplier_companies" ADD COLUMN     "credit_balance" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."distribution_orders" ADD COLUMN     "supplier_credit_applied" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."supplier_claims" ADD COLUMN     "acknowledged_by" TEXT,
+ADD COLUMN     "acknowledged_at" TIMESTAMP(3),
+ADD COLUMN     "credited_amount" DECIMAL(12,2),
+ADD COLUMN     "supplier_reference" TEXT,
+ADD COLUMN     "resolution_notes" TEXT,
+ADD COLUMN     "resolved_by" TEXT,
+ADD COLUMN     "resolved_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."supplier_credit_entries" (
+    "id" TEXT NOT NULL,
+    "supplier_company_id" TEXT NOT NULL,
+    "type" "public"."SupplierCreditEntryType" NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "balance_after" DECIMAL(12,2) NOT NULL,
+    "claim_id" TEXT,
+    "order_id" TEXT,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "supplier_credit_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "supplier_credit_entries_supplier_company_id_created_at_idx" ON "public"."supplier_credit_entries"("supplier_company_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "supplier_credit_entries_claim_id_idx" ON "public"."supplier_credit_entries"("claim_id");
+
+-- CreateIndex
+CREATE INDEX "supplier_credit_entries_order_id_idx" ON "public"."supplier_credit_entries"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_claims" ADD CONSTRAINT "supplier_claims_acknowledged_by_fkey" FOREIGN KEY ("acknowledged_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_claims" ADD CONSTRAINT "supplier_claims_resolved_by_fkey" FOREIGN KEY ("resolved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_credit_entries" ADD CONSTRAINT "supplier_credit_entries_supplier_company_id_fkey" FOREIGN KEY ("supplier_company_id") REFERENCES "public"."supplier_companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_credit_entries" ADD CONSTRAINT "supplier_credit_entries_claim_id_fkey" FOREIGN KEY ("claim_id") REFERENCES "public"."supplier_claims"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_credit_entries" ADD CONSTRAINT "supplier_credit_entries_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."supplier_credit_entries" ADD CONSTRAINT "supplier_credit_entries_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."CustomerLedgerEntryType" AS ENUM ('OPENING_BALANCE', 'INVOICE', 'PAYMENT', 'ADJUSTMENT', 'CREDIT_NOTE');
+
+-- CreateTable
+CREATE TABLE "public"."customer_ledger_entries" (
+    "id" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "order_id" TEXT,
+    "type" "public"."CustomerLedgerEntryType" NOT NULL,
+    "debit" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "credit" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "balance_after" DECIMAL(15,2) NOT NULL,
+    "reference" TEXT,
+    "description" TEXT NOT NULL,
+    "source_id" TEXT,
+    "entry_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "customer_ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "customer_ledger_entries_customer_id_entry_date_idx" ON "public"."customer_ledger_entries"("customer_id", "entry_date");
+
+-- CreateIndex
+CREATE INDEX "customer_ledger_entries_order_id_idx" ON "public"."customer_ledger_entries"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_ledger_entries" ADD CONSTRAINT "customer_ledger_entries_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_ledger_entries" ADD CONSTRAINT "customer_ledger_entries_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_ledger_entries" ADD CONSTRAINT "customer_ledger_entries_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,74 @@
+-- AlterEnum
+ALTER TYPE "public"."CustomerLedgerEntryType" ADD VALUE 'CREDIT_ALLOCATION';
+ALTER TYPE "public"."CustomerLedgerEntryType" ADD VALUE 'REFUND';
+
+-- CreateEnum
+CREATE TYPE "public"."CreditAllocationType" AS ENUM ('ORDER_PAYMENT', 'CASH_REFUND');
+
+-- CreateEnum
+CREATE TYPE "public"."CreditAllocationStatus" AS ENUM ('PENDING_APPROVAL', 'APPLIED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "public"."customer_credit_allocations" (
+    "id" TEXT NOT NULL,
+    "allocation_number" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "type" "public"."CreditAllocationType" NOT NULL,
+    "status" "public"."CreditAllocationStatus" NOT NULL DEFAULT 'APPLIED',
+    "amount" DECIMAL(12,2) NOT NULL,
+    "target_order_id" TEXT,
+    "payment_method" "public"."PaymentMethod",
+    "reference" TEXT,
+    "notes" TEXT,
+    "requested_by" TEXT NOT NULL,
+    "approved_by" TEXT,
+    "approved_at" TIMESTAMP(3),
+    "rejection_reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "customer_credit_allocations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."customer_credit_allocation_sources" (
+    "id" TEXT NOT NULL,
+    "allocation_id" TEXT NOT NULL,
+    "order_id" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "customer_credit_allocation_sources_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customer_credit_allocations_allocation_number_key" ON "public"."customer_credit_allocations"("allocation_number");
+
+-- CreateIndex
+CREATE INDEX "customer_credit_allocations_customer_id_status_idx" ON "public"."customer_credit_allocations"("customer_id", "status");
+
+-- CreateIndex
+CREATE INDEX "customer_credit_allocations_target_order_id_idx" ON "public"."customer_credit_allocations"("target_order_id");
+
+-- CreateIndex
+CREATE INDEX "customer_credit_allocation_sources_allocation_id_idx" ON "public"."customer_credit_allocation_sources"("allocation_id");
+
+-- CreateIndex
+CREATE INDEX "customer_credit_allocation_sources_order_id_idx" ON "public"."customer_credit_allocation_sources"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_credit_allocations" ADD CONSTRAINT "customer_credit_allocations_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "public"."customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_credit_allocations" ADD CONSTRAINT "customer_credit_allocations_target_order_id_fkey" FOREIGN KEY ("target_order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_credit_allocations" ADD CONSTRAINT "customer_credit_allocations_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_credit_allocations" ADD CONSTRAINT "customer_credit_allocations_approved_by_fkey" FOREIGN KEY ("approved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_credit_allocation_sources" ADD CONSTRAINT "customer_credit_allocation_sources_allocation_id_fkey" FOREIGN KEY ("allocation_id") REFERENCES "public"."customer_credit_allocations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."customer_credit_allocation_sources" ADD CONSTRAINT "customer_credit_allocation_sources_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "public"."distribution_orders"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "public"."RateTable" AS ENUM ('PALLET_PRICING', 'HAULAGE_RATE', 'SALARY_RATE');
+
+-- CreateEnum
+CREATE TYPE "public"."RateCardStatus" AS ENUM ('DRAFT', 'ACTIVATED', 'DISCARDED');
+
+-- CreateTable
+CREATE TABLE "public"."rate_card_imports" (
+    "id" TEXT NOT NULL,
+    "import_number" TEXT NOT NULL,
+    "rate_table" "public"."RateTable" NOT NULL,
+    "status" "public"."RateCardStatus" NOT NULL DEFAULT 'DRAFT',
+    "effective_date" TIMESTAMP(3) NOT NULL,
+    "file_name" TEXT,
+    "rows" JSONB NOT NULL,
+    "row_errors" JSONB,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "activated_by" TEXT,
+    "activated_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "rate_card_imports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rate_card_imports_import_number_key" ON "public"."rate_card_imports"("import_number");
+
+-- CreateIndex
+CREATE INDEX "rate_card_imports_rate_table_status_idx" ON "public"."rate_card_imports"("rate_table", "status");
+
+-- CreateIndex
+CREATE INDEX "pallet_pricing_product_id_location_id_effective_date_idx" ON "public"."pallet_pricing"("product_id", "location_id", "effective_date");
+
+-- AddForeignKey
+ALTER TABLE "public"."rate_card_imports" ADD CONSTRAINT "rate_card_imports_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."rate_card_imports" ADD CONSTRAINT "rate_card_imports_activated_by_fkey" FOREIGN KEY ("activated_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "public"."fuel_prices" (
+    "id" TEXT NOT NULL,
+    "location_id" TEXT,
+    "price_per_litre" DECIMAL(10,2) NOT NULL,
+    "effective_date" TIMESTAMP(3) NOT NULL,
+    "source" TEXT,
+    "notes" TEXT,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fuel_prices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "fuel_prices_location_id_effective_date_idx" ON "public"."fuel_prices"("location_id", "effective_date");
+
+-- AddForeignKey
+ALTER TABLE "public"."fuel_prices" ADD CONSTRAINT "fuel_prices_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "public"."locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."fuel_prices" ADD CONSTRAINT "fuel_prices_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,158 @@
+-- CreateEnum
+CREATE TYPE "public"."WorkOrderType" AS ENUM ('SCHEDULED_SERVICE', 'REPAIR', 'INSPECTION');
+
+-- CreateEnum
+CREATE TYPE "public"."WorkOrderStatus" AS ENUM ('OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "public"."WorkOrderItemType" AS ENUM ('PART', 'LABOUR');
+
+-- CreateEnum
+CREATE TYPE "public"."DowntimeReason" AS ENUM ('SERVICE', 'REPAIR', 'INSPECTION', 'ACCIDENT', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "public"."truck_capacity" ADD COLUMN     "current_odometer" INTEGER,
+ADD COLUMN     "odometer_updated_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."truck_odometer_readings" (
+    "id" TEXT NOT NULL,
+    "truck_id" TEXT NOT NULL,
+    "reading" INTEGER NOT NULL,
+    "reading_date" TIMESTAMP(3) NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'MANUAL',
+    "work_order_id" TEXT,
+    "notes" TEXT,
+    "recorded_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "truck_odometer_readings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."truck_service_schedules" (
+    "id" TEXT NOT NULL,
+    "truck_id" TEXT NOT NULL,
+    "service_type" TEXT NOT NULL,
+    "interval_km" INTEGER,
+    "interval_days" INTEGER,
+    "last_service_km" INTEGER,
+    "last_service_date" TIMESTAMP(3),
+    "due_soon_km" INTEGER NOT NULL DEFAULT 500,
+    "due_soon_days" INTEGER NOT NULL DEFAULT 7,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "truck_service_schedules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."truck_work_orders" (
+    "id" TEXT NOT NULL,
+    "work_order_number" TEXT NOT NULL,
+    "truck_id" TEXT NOT NULL,
+    "schedule_id" TEXT,
+    "type" "public"."WorkOrderType" NOT NULL,
+    "status" "public"."WorkOrderStatus" NOT NULL DEFAULT 'OPEN',
+    "description" TEXT NOT NULL,
+    "vendor" TEXT,
+    "odometer_reading" INTEGER,
+    "parts_cost" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "labour_cost" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_cost" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "opened_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(3),
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "completed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "truck_work_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."truck_work_order_items" (
+    "id" TEXT NOT NULL,
+    "work_order_id" TEXT NOT NULL,
+    "item_type" "public"."WorkOrderItemType" NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL DEFAULT 1,
+    "unit_cost" DECIMAL(12,2) NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "truck_work_order_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."truck_downtime" (
+    "id" TEXT NOT NULL,
+    "truck_id" TEXT NOT NULL,
+    "work_order_id" TEXT,
+    "reason" "public"."DowntimeReason" NOT NULL,
+    "start_date" TIMESTAMP(3) NOT NULL,
+    "end_date" TIMESTAMP(3),
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "truck_downtime_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "truck_odometer_readings_truck_id_reading_date_idx" ON "public"."truck_odometer_readings"("truck_id", "reading_date");
+
+-- CreateIndex
+CREATE INDEX "truck_service_schedules_truck_id_is_active_idx" ON "public"."truck_service_schedules"("truck_id", "is_active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "truck_work_orders_work_order_number_key" ON "public"."truck_work_orders"("work_order_number");
+
+-- CreateIndex
+CREATE INDEX "truck_work_orders_truck_id_status_idx" ON "public"."truck_work_orders"("truck_id", "status");
+
+-- CreateIndex
+CREATE INDEX "truck_work_order_items_work_order_id_idx" ON "public"."truck_work_order_items"("work_order_id");
+
+-- CreateIndex
+CREATE INDEX "truck_downtime_truck_id_start_date_idx" ON "public"."truck_downtime"("truck_id", "start_date");
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_odometer_readings" ADD CONSTRAINT "truck_odometer_readings_truck_id_fkey" FOREIGN KEY ("truck_id") REFERENCES "public"."truck_capacity"("truck_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_odometer_readings" ADD CONSTRAINT "truck_odometer_readings_recorded_by_fkey" FOREIGN KEY ("recorded_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_service_schedules" ADD CONSTRAINT "truck_service_schedules_truck_id_fkey" FOREIGN KEY ("truck_id") REFERENCES "public"."truck_capacity"("truck_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_service_schedules" ADD CONSTRAINT "truck_service_schedules_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_work_orders" ADD CONSTRAINT "truck_work_orders_truck_id_fkey" FOREIGN KEY ("truck_id") REFERENCES "public"."truck_capacity"("truck_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_work_orders" ADD CONSTRAINT "truck_work_orders_schedule_id_fkey" FOREIGN KEY ("schedule_id") REFERENCES "public"."truck_service_schedules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_work_orders" ADD CONSTRAINT "truck_work_orders_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_work_orders" ADD CONSTRAINT "truck_work_orders_completed_by_fkey" FOREIGN KEY ("completed_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_work_order_items" ADD CONSTRAINT "truck_work_order_items_work_order_id_fkey" FOREIGN KEY ("work_order_id") REFERENCES "public"."truck_work_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_downtime" ADD CONSTRAINT "truck_downtime_truck_id_fkey" FOREIGN KEY ("truck_id") REFERENCES "public"."truck_capacity"("truck_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_downtime" ADD CONSTRAINT "truck_downtime_work_order_id_fkey" FOREIGN KEY ("work_order_id") REFERENCES "public"."truck_work_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."truck_downtime" ADD CONSTRAINT "truck_downtime_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
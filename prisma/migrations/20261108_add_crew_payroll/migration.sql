@@ -0,0 +1,180 @@
+-- CreateEnum
+CREATE TYPE "public"."CrewRole" AS ENUM ('DRIVER', 'MOTOR_BOY');
+
+-- CreateEnum
+CREATE TYPE "public"."CrewStatus" AS ENUM ('ACTIVE', 'ON_LEAVE', 'SUSPENDED', 'TERMINATED');
+
+-- CreateEnum
+CREATE TYPE "public"."CrewDeductionType" AS ENUM ('ADVANCE', 'LOAN_REPAYMENT', 'FINE', 'DAMAGE', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "public"."PayrollRunStatus" AS ENUM ('DRAFT', 'APPROVED', 'PAID', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "public"."crew_members" (
+    "id" TEXT NOT NULL,
+    "role" "public"."CrewRole" NOT NULL,
+    "full_name" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "address" TEXT,
+    "staff_number" TEXT,
+    "status" "public"."CrewStatus" NOT NULL DEFAULT 'ACTIVE',
+    "hire_date" TIMESTAMP(3),
+    "licence_number" TEXT,
+    "licence_class" TEXT,
+    "licence_expiry" TIMESTAMP(3),
+    "guarantor_name" TEXT,
+    "guarantor_phone" TEXT,
+    "guarantor_address" TEXT,
+    "guarantor_relationship" TEXT,
+    "bank_name" TEXT,
+    "account_number" TEXT,
+    "account_name" TEXT,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "crew_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."crew_assignments" (
+    "id" TEXT NOT NULL,
+    "crew_member_id" TEXT NOT NULL,
+    "role" "public"."CrewRole" NOT NULL,
+    "transport_order_id" TEXT,
+    "truck_load_id" TEXT,
+    "assigned_by" TEXT NOT NULL,
+    "assigned_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "payslip_id" TEXT,
+    "trip_date" TIMESTAMP(3),
+    "salary_rate_id" TEXT,
+    "wage_amount" DECIMAL(10,2),
+    "allowance_amount" DECIMAL(10,2),
+
+    CONSTRAINT "crew_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."crew_deductions" (
+    "id" TEXT NOT NULL,
+    "crew_member_id" TEXT NOT NULL,
+    "type" "public"."CrewDeductionType" NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "deduction_date" TIMESTAMP(3) NOT NULL,
+    "description" TEXT,
+    "payslip_id" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "crew_deductions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."payroll_runs" (
+    "id" TEXT NOT NULL,
+    "run_number" TEXT NOT NULL,
+    "period_start" TIMESTAMP(3) NOT NULL,
+    "period_end" TIMESTAMP(3) NOT NULL,
+    "status" "public"."PayrollRunStatus" NOT NULL DEFAULT 'DRAFT',
+    "crew_count" INTEGER NOT NULL DEFAULT 0,
+    "trip_count" INTEGER NOT NULL DEFAULT 0,
+    "gross_pay" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_deductions" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "net_pay" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "approved_by" TEXT,
+    "approved_at" TIMESTAMP(3),
+    "paid_at" TIMESTAMP(3),
+    "payment_reference" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payroll_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."crew_payslips" (
+    "id" TEXT NOT NULL,
+    "payroll_run_id" TEXT NOT NULL,
+    "crew_member_id" TEXT NOT NULL,
+    "role" "public"."CrewRole" NOT NULL,
+    "trip_count" INTEGER NOT NULL DEFAULT 0,
+    "trip_wages" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "trip_allowances" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "gross_pay" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "total_deductions" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "net_pay" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "carried_forward" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "crew_payslips_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "crew_members_staff_number_key" ON "public"."crew_members"("staff_number");
+
+-- CreateIndex
+CREATE INDEX "crew_members_role_status_idx" ON "public"."crew_members"("role", "status");
+
+-- CreateIndex
+CREATE INDEX "crew_assignments_crew_member_id_payslip_id_idx" ON "public"."crew_assignments"("crew_member_id", "payslip_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "crew_assignments_transport_order_id_crew_member_id_key" ON "public"."crew_assignments"("transport_order_id", "crew_member_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "crew_assignments_truck_load_id_crew_member_id_key" ON "public"."crew_assignments"("truck_load_id", "crew_member_id");
+
+-- CreateIndex
+CREATE INDEX "crew_deductions_crew_member_id_payslip_id_idx" ON "public"."crew_deductions"("crew_member_id", "payslip_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payroll_runs_run_number_key" ON "public"."payroll_runs"("run_number");
+
+-- CreateIndex
+CREATE INDEX "payroll_runs_period_start_period_end_idx" ON "public"."payroll_runs"("period_start", "period_end");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "crew_payslips_payroll_run_id_crew_member_id_key" ON "public"."crew_payslips"("payroll_run_id", "crew_member_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_members" ADD CONSTRAINT "crew_members_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_assignments" ADD CONSTRAINT "crew_assignments_crew_member_id_fkey" FOREIGN KEY ("crew_member_id") REFERENCES "public"."crew_members"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_assignments" ADD CONSTRAINT "crew_assignments_transport_order_id_fkey" FOREIGN KEY ("transport_order_id") REFERENCES "public"."transport_orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_assignments" ADD CONSTRAINT "crew_assignments_truck_load_id_fkey" FOREIGN KEY ("truck_load_id") REFERENCES "public"."truck_loads"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_assignments" ADD CONSTRAINT "crew_assignments_payslip_id_fkey" FOREIGN KEY ("payslip_id") REFERENCES "public"."crew_payslips"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_assignments" ADD CONSTRAINT "crew_assignments_assigned_by_fkey" FOREIGN KEY ("assigned_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_deductions" ADD CONSTRAINT "crew_deductions_crew_member_id_fkey" FOREIGN KEY ("crew_member_id") REFERENCES "public"."crew_members"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_deductions" ADD CONSTRAINT "crew_deductions_payslip_id_fkey" FOREIGN KEY ("payslip_id") REFERENCES "public"."crew_payslips"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_deductions" ADD CONSTRAINT "crew_deductions_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payroll_runs" ADD CONSTRAINT "payroll_runs_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payroll_runs" ADD CONSTRAINT "payroll_runs_approved_by_fkey" FOREIGN KEY ("approved_by") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_payslips" ADD CONSTRAINT "crew_payslips_payroll_run_id_fkey" FOREIGN KEY ("payroll_run_id") REFERENCES "public"."payroll_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."crew_payslips" ADD CONSTRAINT "crew_payslips_crew_member_id_fkey" FOREIGN KEY ("crew_member_id") REFERENCES "public"."crew_members"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,106 @@
+-- CreateEnum
+CREATE TYPE "public"."TransportInvoiceStatus" AS ENUM ('ISSUED', 'PARTIALLY_PAID', 'PAID', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "public"."transport_orders" ADD COLUMN     "on_account" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "transport_client_id" TEXT,
+ADD COLUMN     "transport_invoice_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."transport_clients" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "phone" TEXT,
+    "email" TEXT,
+    "address" TEXT,
+    "contact_person" TEXT,
+    "payment_terms_days" INTEGER NOT NULL DEFAULT 30,
+    "credit_limit" DECIMAL(12,2),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transport_clients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."transport_invoices" (
+    "id" TEXT NOT NULL,
+    "invoice_number" TEXT NOT NULL,
+    "client_id" TEXT NOT NULL,
+    "status" "public"."TransportInvoiceStatus" NOT NULL DEFAULT 'ISSUED',
+    "invoice_date" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "payment_terms_days" INTEGER NOT NULL,
+    "due_date" TIMESTAMP(3) NOT NULL,
+    "total_amount" DECIMAL(12,2) NOT NULL,
+    "amount_paid" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "balance" DECIMAL(12,2) NOT NULL,
+    "notes" TEXT,
+    "cancelled_at" TIMESTAMP(3),
+    "cancel_reason" TEXT,
+    "created_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transport_invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."transport_invoice_payments" (
+    "id" TEXT NOT NULL,
+    "invoice_id" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "payment_date" TIMESTAMP(3) NOT NULL,
+    "payment_method" "public"."PaymentMethod" NOT NULL,
+    "reference" TEXT,
+    "notes" TEXT,
+    "cash_flow_id" TEXT,
+    "received_by" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "transport_invoice_payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transport_orders_transport_client_id_idx" ON "public"."transport_orders"("transport_client_id");
+
+-- CreateIndex
+CREATE INDEX "transport_orders_transport_invoice_id_idx" ON "public"."transport_orders"("transport_invoice_id");
+
+-- CreateIndex
+CREATE INDEX "transport_clients_name_idx" ON "public"."transport_clients"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transport_invoices_invoice_number_key" ON "public"."transport_invoices"("invoice_number");
+
+-- CreateIndex
+CREATE INDEX "transport_invoices_client_id_status_idx" ON "public"."transport_invoices"("client_id", "status");
+
+-- CreateIndex
+CREATE INDEX "transport_invoices_due_date_idx" ON "public"."transport_invoices"("due_date");
+
+-- CreateIndex
+CREATE INDEX "transport_invoice_payments_invoice_id_idx" ON "public"."transport_invoice_payments"("invoice_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_orders" ADD CONSTRAINT "transport_orders_transport_client_id_fkey" FOREIGN KEY ("transport_client_id") REFERENCES "public"."transport_clients"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_orders" ADD CONSTRAINT "transport_orders_transport_invoice_id_fkey" FOREIGN KEY ("transport_invoice_id") REFERENCES "public"."transport_invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_clients" ADD CONSTRAINT "transport_clients_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_invoices" ADD CONSTRAINT "transport_invoices_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "public"."transport_clients"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_invoices" ADD CONSTRAINT "transport_invoices_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_invoice_payments" ADD CONSTRAINT "transport_invoice_payments_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "public"."transport_invoices"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."transport_invoice_payments" ADD CONSTRAINT "transport_invoice_payments_received_by_fkey" FOREIGN KEY ("received_by") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- Broken-down batches keep their purchased quantity; the amount broken down lives in quantity_broken_down
+UPDATE "public"."warehouse_product_purchases"
+SET "quantity" = "quantity" + "quantity_broken_down"
+WHERE "quantity_broken_down" > 0;
@@ -5,6 +5,12 @@ const { asyncHandler, ValidationError, BusinessError } = require('../middleware/
 const { getAuditTrail } = require('../middleware/auditLogger');
 const { validateCuid } = require('../utils/validators'); // ✅ ADDED
 const { authorizeRole, authorizeModule, USER_ROLES, getFeaturePermissions, invalidatePermissionsCache, PERMISSIONS_FILE } = require('../middleware/auth');
+const { LOCKOUT_POLICY_KEY, invalidateLockoutPolicyCache } = require('../services/loginProtectionService');
+const { CREDIT_POLICY_KEY, invalidateCreditPolicyCache } = require('../services/creditControlService');
+const { FUEL_SURCHARGE_POLICY_KEY, invalidateFuelSurchargePolicyCache } = require('../services/fuelPriceService');
+const { syncProductInventory } = require('../services/inventorySyncService');
+const { PERIOD_TYPES, KPI_TYPES, resolveSeriesRange, getKpiSeries } = require('../services/analyticsRollupService');
+const { runAnalyticsBackfill } = require('../jobs/analytics-rollup');
 const fs = require('fs');
 
 const router = express.Router();
@@ -106,6 +112,11 @@ const createProductValidation = [
     .withMessage('Packs per pallet is required for distribution products')
     .isInt({ min: 1 })
     .withMessage('Packs per pallet must be a positive integer'),
+
+  body('unitsPerPack')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Units per pack must be a positive integer'),
     
   body('pricePerPack')
     .if(body('module').isIn(['WAREHOUSE', 'BOTH']))
@@ -156,6 +167,41 @@ const createLocationValidation = [
 // SYSTEM OVERVIEW
 // ================================
 
+const MODULE_KPI_TYPES = {
+  distributionRevenue: 'DISTRIBUTION_PERFORMANCE',
+  transportRevenue: 'TRANSPORT_PERFORMANCE',
+  warehouseRevenue: 'WAREHOUSE_PERFORMANCE'
+};
+
+/**
+ * Revenue per module since the first recorded order/sale
+ */
+const getLifetimeRevenue = async () => {
+  const firstRecords = await Promise.all([
+    prisma.distributionOrder.findFirst({ orderBy: { createdAt: 'asc' }, select: { createdAt: true } }),
+    prisma.transportOrder.findFirst({ orderBy: { createdAt: 'asc' }, select: { createdAt: true } }),
+    prisma.warehouseSale.findFirst({ orderBy: { createdAt: 'asc' }, select: { createdAt: true } })
+  ]);
+  const dates = firstRecords.filter(Boolean).map(r => r.createdAt.getTime());
+
+  const totals = { distributionRevenue: 0, transportRevenue: 0, warehouseRevenue: 0 };
+  if (dates.length === 0) return totals;
+
+  const series = await getKpiSeries({
+    periodType: 'YEARLY',
+    from: new Date(Math.min(...dates)),
+    metricTypes: Object.values(MODULE_KPI_TYPES)
+  });
+
+  for (const year of series) {
+    for (const [key, metricType] of Object.entries(MODULE_KPI_TYPES)) {
+      totals[key] += year.kpis[metricType].totalRevenue || 0;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, parseFloat(value.toFixed(2))]));
+};
+
 // @route   GET /api/v1/admin/dashboard
 // @desc    Get admin dashboard overview
 // @access  Private (Super Admin only)
@@ -192,22 +238,8 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
       where: { isActive: true }
     }),
 
-    // Business statistics
-    Promise.all([
-      prisma.distributionOrder.aggregate({
-        _sum: { finalAmount: true }
-      }),
-      prisma.transportOrder.aggregate({
-        _sum: { serviceCharge: true }
-      }),
-      prisma.warehouseSale.aggregate({
-        _sum: { totalAmount: true }
-      })
-    ]).then(([distributionRevenue, transportRevenue, warehouseRevenue]) => ({
-      distributionRevenue: distributionRevenue._sum.finalAmount || 0,
-      transportRevenue: transportRevenue._sum.serviceCharge || 0,
-      warehouseRevenue: warehouseRevenue._sum.totalAmount || 0
-    })),
+    // Business statistics (yearly KPI snapshots, live for the current year)
+    getLifetimeRevenue(),
 
     // Recent system activity
     prisma.auditLog.findMany({
@@ -224,9 +256,11 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     })
   ]);
 
-  const totalRevenue = businessStats.distributionRevenue + 
-                      businessStats.transportRevenue + 
-                      businessStats.warehouseRevenue;
+  const totalRevenue = parseFloat((
+    businessStats.distributionRevenue +
+    businessStats.transportRevenue +
+    businessStats.warehouseRevenue
+  ).toFixed(2));
 
   res.json({
     success: true,
@@ -263,6 +297,7 @@ router.post('/products',
       name, 
       description, 
       packsPerPallet, 
+      unitsPerPack,
       pricePerPack, 
       costPerPack,
       module = 'DISTRIBUTION' 
@@ -285,6 +320,7 @@ router.post('/products',
       module,
       // Only include fields if they're provided
       ...(packsPerPallet && { packsPerPallet: parseInt(packsPerPallet) }),
+      ...(unitsPerPack && { unitsPerPack: parseInt(unitsPerPack) }),
       ...(pricePerPack && { pricePerPack: parseFloat(pricePerPack) }),
       ...(costPerPack && { costPerPack: parseFloat(costPerPack) })
     };
@@ -388,6 +424,7 @@ router.put('/products/:id',
 
     // Convert numeric fields
     if (updateData.packsPerPallet) updateData.packsPerPallet = parseInt(updateData.packsPerPallet);
+    if (updateData.unitsPerPack) updateData.unitsPerPack = parseInt(updateData.unitsPerPack);
     if (updateData.pricePerPack) updateData.pricePerPack = parseFloat(updateData.pricePerPack);
 
     const updatedProduct = await prisma.product.update({
@@ -395,6 +432,11 @@ router.put('/products/:id',
       data: updateData
     });
 
+    // Stock totals in base units depend on the conversion factors
+    if (updateData.packsPerPallet !== undefined || updateData.unitsPerPack !== undefined) {
+      await syncProductInventory(id, null, 'conversion_factor_change');
+    }
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -668,6 +710,16 @@ router.put('/system-config/:key',
       }
     });
 
+    if (key === LOCKOUT_POLICY_KEY) {
+      invalidateLockoutPolicyCache();
+    }
+    if (key === CREDIT_POLICY_KEY) {
+      invalidateCreditPolicyCache();
+    }
+    if (key === FUEL_SURCHARGE_POLICY_KEY) {
+      invalidateFuelSurchargePolicyCache();
+    }
+
     res.json({
       success: true,
       message: 'System configuration updated successfully',
@@ -938,6 +990,91 @@ router.get('/reports/performance', asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/v1/admin/kpis
+// @desc    KPI series from period snapshots (live for the open period)
+// @access  Private (Super Admin only)
+router.get('/kpis',
+  authorizeModule('admin'),
+  [
+    query('metricType').optional().isIn(KPI_TYPES).withMessage('Invalid KPI type'),
+    query('period').optional().isIn(PERIOD_TYPES.map(p => p.toLowerCase())),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { metricType } = req.query;
+    const periodType = (req.query.period || 'monthly').toUpperCase();
+    const { from, to } = resolveSeriesRange(periodType, req.query.startDate, req.query.endDate);
+
+    const series = await getKpiSeries({
+      periodType,
+      from,
+      to,
+      metricTypes: metricType ? [metricType] : KPI_TYPES
+    });
+
+    res.json({
+      success: true,
+      data: {
+        periodType,
+        startDate: from,
+        endDate: to,
+        series
+      }
+    });
+  })
+);
+
+// Runs inside the request, so the range is kept short; longer backfills go through the job
+const MAX_ROLLUP_RANGE_DAYS = 92;
+
+// @route   POST /api/v1/admin/kpis/rollup
+// @desc    Backfill KPI and module snapshots for closed periods in a date range (up to 92 days)
+// @access  Private (Super Admin only)
+router.post('/kpis/rollup',
+  authorizeModule('admin', 'admin'),
+  [
+    body('startDate').isISO8601().withMessage('Start date is required'),
+    body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    body('periodTypes').optional().isArray({ min: 1 }).withMessage('Period types must be a non-empty array'),
+    body('periodTypes.*').optional().isIn(PERIOD_TYPES).withMessage('Invalid period type')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const from = new Date(req.body.startDate);
+    const to = req.body.endDate ? new Date(req.body.endDate) : new Date();
+    if (from > to) {
+      throw new BusinessError('Start date must be before end date', 'INVALID_DATE_RANGE');
+    }
+    if (to - from > MAX_ROLLUP_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new BusinessError(
+        `Rollup range cannot exceed ${MAX_ROLLUP_RANGE_DAYS} days; run node jobs/analytics-rollup.js --from ... for longer backfills`,
+        'ROLLUP_RANGE_TOO_LONG'
+      );
+    }
+
+    const summary = await runAnalyticsBackfill(
+      { from, to, periodTypes: req.body.periodTypes || PERIOD_TYPES },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Analytics snapshots rebuilt successfully',
+      data: summary
+    });
+  })
+);
+
 // @route   GET /api/v1/admin/products/next-number
 // @desc    Get next product number
 // @access  Private (Admin only)
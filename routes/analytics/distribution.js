@@ -5,11 +5,13 @@ const { query, validationResult } = require('express-validator');
 
 const { asyncHandler, ValidationError } = require('../../middleware/errorHandler');
 const { authorizeModule } = require('../../middleware/auth');
+const { resolveSeriesRange, getSnapshotSeries } = require('../../services/analyticsRollupService');
 
 const router = express.Router();
 const prisma = require('../../lib/prisma');
 
 // Get distribution analytics summary
+// Live from raw data (any date range, per-customer/location breakdowns); period series come from snapshots via /trends
 router.get('/summary',
   authorizeModule('distribution'),
   [
@@ -242,4 +244,37 @@ router.get('/targets',
   })
 );
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/v1/analytics/distribution/trends
+// @desc    Distribution revenue/profit series from period snapshots (live for the open period)
+// @access  Private (Distribution module access)
+router.get('/trends',
+  authorizeModule('distribution'),
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('period').optional().isIn(['daily', 'weekly', 'monthly', 'quarterly', 'yearly'])
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const periodType = (req.query.period || 'monthly').toUpperCase();
+    const { from, to } = resolveSeriesRange(periodType, req.query.startDate, req.query.endDate);
+
+    const series = await getSnapshotSeries({ source: 'DISTRIBUTION', periodType, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        periodType,
+        startDate: from,
+        endDate: to,
+        series
+      }
+    });
+  })
+);
+
+module.exports = router;
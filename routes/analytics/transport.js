@@ -6,6 +6,7 @@ const prisma = require('../../lib/prisma');
 
 const { asyncHandler, ValidationError, NotFoundError } = require('../../middleware/errorHandler');
 const { authorizeModule } = require('../../middleware/auth');
+const { resolveSeriesRange, getSnapshotSeries } = require('../../services/analyticsRollupService');
 const { validateCuid } = require('../../utils/validators');
 
 const router = express.Router();
@@ -18,7 +19,7 @@ router.use(authorizeModule('transport'));
 // ================================
 
 // @route   GET /api/v1/analytics/transport/dashboard
-// @desc    Get transport dashboard statistics
+// @desc    Get transport dashboard statistics (live from raw data; period series come from snapshots via /trends)
 // @access  Private (Transport module access)
 // @route   GET /api/v1/analytics/transport/dashboard
 router.get('/dashboard',
@@ -598,19 +599,22 @@ router.get('/clients',
         createdAt: Object.keys(dateFilter).length > 0 ? dateFilter : undefined
       },
       select: {
-        clientName: true,
+        name: true,
+        transportClient: { select: { id: true, name: true } },
         totalOrderAmount: true,
         netProfit: true,
         createdAt: true
       }
     });
 
-    // Aggregate by client
+    // Aggregate by client record, falling back to the typed name for unlinked orders
     const clientStats = {};
     orders.forEach(order => {
-      const client = order.clientName;
+      const client = order.transportClient?.id || `name:${order.name.trim().toLowerCase()}`;
       if (!clientStats[client]) {
         clientStats[client] = {
+          transportClientId: order.transportClient?.id || null,
+          clientName: order.transportClient?.name || order.name,
           totalTrips: 0,
           totalRevenue: 0,
           totalProfit: 0,
@@ -627,8 +631,9 @@ router.get('/clients',
     });
 
     // Convert to array and calculate metrics
-    const clientList = Object.entries(clientStats).map(([name, stats]) => ({
-      clientName: name,
+    const clientList = Object.values(clientStats).map(stats => ({
+      transportClientId: stats.transportClientId,
+      clientName: stats.clientName,
       totalTrips: stats.totalTrips,
       totalRevenue: parseFloat(stats.totalRevenue.toFixed(2)),
       totalProfit: parseFloat(stats.totalProfit.toFixed(2)),
@@ -738,4 +743,36 @@ router.get('/expenses/summary',
   })
 );
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/v1/analytics/transport/trends
+// @desc    Transport revenue/cost series from period snapshots (live for the open period)
+// @access  Private (Transport module access)
+router.get('/trends',
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('period').optional().isIn(['daily', 'weekly', 'monthly', 'quarterly', 'yearly'])
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const periodType = (req.query.period || 'monthly').toUpperCase();
+    const { from, to } = resolveSeriesRange(periodType, req.query.startDate, req.query.endDate);
+
+    const series = await getSnapshotSeries({ source: 'TRANSPORT', periodType, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        periodType,
+        startDate: from,
+        endDate: to,
+        series
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,198 @@
+// routes/attachments.js - File attachments for expenses, purchases, orders and deliveries
+
+const express = require('express');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { authenticateToken, authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  ALL_CATEGORIES,
+  ENTITY_TYPES,
+  MAX_FILE_SIZE,
+  MAX_FILE_SIZE_MB,
+  createSignedDownloadUrl,
+  verifyDownloadSignature,
+  resolveEntity,
+  uploadAttachment,
+  getAttachment,
+  listAttachments,
+  openAttachment,
+  deleteAttachment
+} = require('../services/attachmentService');
+
+const router = express.Router();
+
+// Files are held in memory so their bytes can be checked before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new ValidationError(
+        error.code === 'LIMIT_FILE_SIZE' ? `File exceeds the ${MAX_FILE_SIZE_MB} MB limit` : error.message
+      ));
+    }
+    next(error);
+  });
+};
+
+/**
+ * Module permission check against the record the attachment belongs to
+ */
+const authorizeEntityModule = (permission) => asyncHandler(async (req, res, next) => {
+  let { entityType, entityId } = { ...req.query, ...req.body };
+
+  if (req.params.id) {
+    req.attachment = await getAttachment(req.params.id);
+    ({ entityType, entityId } = req.attachment);
+  }
+
+  const { module } = await resolveEntity(entityType, entityId);
+  return authorizeModule(module, permission)(req, res, next);
+});
+
+const withDownloadUrl = (attachment) => ({
+  ...attachment,
+  downloadUrl: createSignedDownloadUrl(attachment.id)
+});
+
+// @route   GET /api/v1/attachments/:id/download
+// @desc    Download an attachment (bearer token, or a signed URL from the list/detail endpoints)
+// @access  Private (read access to the owning module) or signed URL
+router.get('/:id/download',
+  asyncHandler(async (req, res, next) => {
+    const { expires, signature } = req.query;
+    if (signature) {
+      if (!verifyDownloadSignature(req.params.id, expires, signature)) {
+        throw new AuthorizationError('Download link is invalid or has expired');
+      }
+      req.attachment = await getAttachment(req.params.id);
+      return next();
+    }
+
+    authenticateToken(req, res, (error) => {
+      if (error) return next(error);
+      authorizeEntityModule('read')(req, res, next);
+    });
+  }),
+  asyncHandler(async (req, res) => {
+    const attachment = req.attachment;
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+    const file = await openAttachment(attachment, { disposition });
+    if (file.redirectUrl) {
+      return res.redirect(file.redirectUrl);
+    }
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+
+    file.stream.on('error', (error) => {
+      console.error(`Attachment stream failed for ${attachment.id}:`, error.message);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  })
+);
+
+// Everything else needs a logged-in user
+router.use(authenticateToken);
+
+// @route   POST /api/v1/attachments
+// @desc    Upload a file (multipart field "file") and link it to a record
+// @access  Private (write access to the owning module)
+router.post('/',
+  uploadSingleFile,
+  [
+    body('entityType').isIn(Object.keys(ENTITY_TYPES)).withMessage(`Entity type must be one of ${Object.keys(ENTITY_TYPES).join(', ')}`),
+    body('entityId').custom(validateCuid('entity ID')),
+    body('category').optional().isIn(ALL_CATEGORIES).withMessage(`Category must be one of ${ALL_CATEGORIES.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must not exceed 500 characters')
+  ],
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+    next();
+  }),
+  authorizeEntityModule('write'),
+  asyncHandler(async (req, res) => {
+    const { entityType, entityId, category, description } = req.body;
+
+    const attachment = await uploadAttachment(
+      { entityType, entityId, category, description, file: req.file, userId: req.user.id },
+      getRequestMetadata(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: { attachment: withDownloadUrl(attachment) }
+    });
+  })
+);
+
+// @route   GET /api/v1/attachments
+// @desc    List the attachments of a record
+// @access  Private (read access to the owning module)
+router.get('/',
+  [
+    query('entityType').isIn(Object.keys(ENTITY_TYPES)).withMessage(`Entity type must be one of ${Object.keys(ENTITY_TYPES).join(', ')}`),
+    query('entityId').custom(validateCuid('entity ID'))
+  ],
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+    next();
+  }),
+  authorizeEntityModule('read'),
+  asyncHandler(async (req, res) => {
+    const attachments = await listAttachments(req.query.entityType, req.query.entityId);
+
+    res.json({
+      success: true,
+      data: { attachments: attachments.map(withDownloadUrl) }
+    });
+  })
+);
+
+// @route   GET /api/v1/attachments/:id
+// @desc    Attachment details with a signed download URL
+// @access  Private (read access to the owning module)
+router.get('/:id',
+  authorizeEntityModule('read'),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { attachment: withDownloadUrl(req.attachment) }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/attachments/:id
+// @desc    Delete an attachment and its stored file
+// @access  Private (write access to the owning module)
+router.delete('/:id',
+  authorizeEntityModule('write'),
+  asyncHandler(async (req, res) => {
+    await deleteAttachment(req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
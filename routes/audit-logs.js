@@ -7,6 +7,7 @@ const prisma = require('../lib/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authorizeModule } = require('../middleware/auth');
 const { query, validationResult } = require('express-validator');
+const { getLockoutPolicy, normalizeIp } = require('../services/loginProtectionService');
 
 /**
  * @route   GET /api/v1/audit-logs
@@ -331,6 +332,168 @@ router.get('/suspicious-activities',
   })
 );
 
+/**
+ * @route   GET /api/v1/audit-logs/brute-force
+ * @desc    Failed/blocked logins grouped by client IP, flagging IPs that fail
+ *          across many usernames, plus currently locked accounts and IPs
+ * @access  Private (Super Admin, Warehouse Admin)
+ */
+router.get('/brute-force',
+  authorizeModule('admin'),
+  [
+    query('hours').optional().isInt({ min: 1, max: 24 * 30 }).toInt(),
+    query('minFailures').optional().isInt({ min: 1 }).toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hours = 24, minFailures = 3 } = req.query;
+    const policy = await getLockoutPolicy();
+    const now = new Date();
+    const startDate = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    const logs = await prisma.auditLog.findMany({
+      where: {
+        entity: 'AUTH',
+        action: { in: ['LOGIN_FAILED', 'LOGIN_BLOCKED'] },
+        createdAt: { gte: startDate }
+      },
+      select: {
+        action: true,
+        userId: true,
+        newValues: true,
+        ipAddress: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    // Group by client IP
+    const byIp = new Map();
+    for (const log of logs) {
+      const ip = normalizeIp(log.ipAddress);
+      if (!byIp.has(ip)) {
+        byIp.set(ip, {
+          ipAddress: ip,
+          failedAttempts: 0,
+          blockedAttempts: 0,
+          usernames: new Set(),
+          unknownUsernameAttempts: 0,
+          firstSeen: log.createdAt,
+          lastSeen: log.createdAt
+        });
+      }
+
+      const entry = byIp.get(ip);
+      if (log.action === 'LOGIN_FAILED') entry.failedAttempts++;
+      if (log.action === 'LOGIN_BLOCKED') entry.blockedAttempts++;
+      if (log.newValues?.username) entry.usernames.add(String(log.newValues.username).toLowerCase());
+      if (log.newValues?.reason === 'UNKNOWN_USER') entry.unknownUsernameAttempts++;
+      entry.lastSeen = log.createdAt;
+    }
+
+    const candidates = [...byIp.values()].filter(e => e.failedAttempts >= minFailures);
+
+    const throttles = await prisma.loginIpThrottle.findMany({
+      where: {
+        OR: [
+          { ipAddress: { in: candidates.map(e => e.ipAddress) } },
+          { lockedUntil: { gt: now } }
+        ]
+      }
+    });
+    const throttleByIp = new Map(throttles.map(t => [t.ipAddress, t]));
+
+    const suspects = candidates.map(entry => {
+      const throttle = throttleByIp.get(entry.ipAddress);
+      const suspicionReasons = [];
+
+      if (entry.usernames.size >= policy.bruteForceDistinctUsernames) {
+        suspicionReasons.push(`Failed logins across ${entry.usernames.size} different usernames`);
+      }
+      if (entry.failedAttempts >= policy.ipMaxFailedAttempts) {
+        suspicionReasons.push(`${entry.failedAttempts} failed logins (IP threshold is ${policy.ipMaxFailedAttempts})`);
+      }
+      if (entry.unknownUsernameAttempts > 0) {
+        suspicionReasons.push(`${entry.unknownUsernameAttempts} attempts on non-existent usernames`);
+      }
+      if (entry.blockedAttempts > 0) {
+        suspicionReasons.push(`${entry.blockedAttempts} attempts while locked out`);
+      }
+
+      return {
+        ipAddress: entry.ipAddress,
+        failedAttempts: entry.failedAttempts,
+        blockedAttempts: entry.blockedAttempts,
+        distinctUsernames: entry.usernames.size,
+        usernames: [...entry.usernames],
+        firstSeen: entry.firstSeen,
+        lastSeen: entry.lastSeen,
+        isLocked: !!(throttle?.lockedUntil && throttle.lockedUntil > now),
+        lockedUntil: throttle?.lockedUntil > now ? throttle.lockedUntil : null,
+        lockoutCount: throttle?.lockoutCount || 0,
+        suspicionReasons,
+        severity: entry.usernames.size >= policy.bruteForceDistinctUsernames ||
+          entry.failedAttempts >= policy.ipMaxFailedAttempts ? 'HIGH' : 'MEDIUM'
+      };
+    });
+
+    suspects.sort((a, b) => {
+      if (a.severity === 'HIGH' && b.severity !== 'HIGH') return -1;
+      if (a.severity !== 'HIGH' && b.severity === 'HIGH') return 1;
+      return b.failedAttempts - a.failedAttempts;
+    });
+
+    const lockedAccounts = await prisma.user.findMany({
+      where: { lockedUntil: { gt: now } },
+      select: {
+        id: true,
+        username: true,
+        role: true,
+        lockedUntil: true,
+        lockoutCount: true,
+        lastFailedLoginAt: true
+      },
+      orderBy: { lockedUntil: 'desc' }
+    });
+
+    const lockedIps = throttles
+      .filter(t => t.lockedUntil && t.lockedUntil > now)
+      .map(t => ({
+        ipAddress: t.ipAddress,
+        lockedUntil: t.lockedUntil,
+        lockoutCount: t.lockoutCount
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        suspects,
+        lockedAccounts,
+        lockedIps,
+        policy,
+        summary: {
+          totalFailedLogins: logs.filter(l => l.action === 'LOGIN_FAILED').length,
+          totalBlockedLogins: logs.filter(l => l.action === 'LOGIN_BLOCKED').length,
+          suspiciousIps: suspects.length,
+          high: suspects.filter(s => s.severity === 'HIGH').length,
+          medium: suspects.filter(s => s.severity === 'MEDIUM').length,
+          lockedAccounts: lockedAccounts.length,
+          lockedIps: lockedIps.length,
+          period: `Last ${hours} hours`
+        }
+      }
+    });
+  })
+);
+
 /**
  * @route   GET /api/v1/audit-logs/product/:productId
  * @desc    Get all audit logs for a specific product
@@ -1,11 +1,25 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 
-const { asyncHandler, ValidationError, BusinessError } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, BusinessError, AuthenticationError } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
 const { logAuthEvent, getClientIP } = require('../middleware/auditLogger');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionIdle,
+  SESSION_IDLE_TIMEOUT_MINUTES
+} = require('../services/sessionService');
+const {
+  minutesUntil,
+  getUserLockState,
+  getActiveIpLock,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtectionService');
 
 const router = express.Router();
 const prisma = require('../lib/prisma');
@@ -24,7 +38,24 @@ const loginValidation = [
     .notEmpty()
     .withMessage('Password is required')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
+    .withMessage('Password must be at least 6 characters'),
+  body('deviceId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device ID must be at most 100 characters'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isString()
 ];
 
 const registerValidation = [
@@ -58,41 +89,12 @@ const changePasswordValidation = [
     .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
 ];
 
-// ================================
-// UTILITY FUNCTIONS
-// ================================
-
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-
-  return { accessToken };
-};
-
-const createUserSession = async (userId, token, req) => {
-  const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + 7); // 7 days
-
-  return await prisma.userSession.create({
-    data: {
-      userId,
-      token,
-      expiresAt,
-      ipAddress: getClientIP(req),
-      userAgent: req.get('User-Agent') || null
-    }
-  });
-};
-
 // ================================
 // AUTH ROUTES
 // ================================
 
 // @route   POST /api/v1/auth/login
-// @desc    Authenticate user and get token
+// @desc    Authenticate user and get access + refresh tokens
 // @access  Public
 router.post('/login', loginValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -100,11 +102,25 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
     throw new ValidationError('Invalid input data', errors.array());
   }
 
-  const { username, password } = req.body;
+  const { username, password, deviceId, deviceName } = req.body;
   const ipAddress = getClientIP(req);
   const userAgent = req.get('User-Agent');
 
   try {
+    // Block the client IP outright while it is locked out
+    const ipLock = await getActiveIpLock(ipAddress);
+    if (ipLock) {
+      await logAuthEvent(null, 'LOGIN_BLOCKED', ipAddress, userAgent, false, {
+        username,
+        reason: 'IP_LOCKED',
+        lockedUntil: ipLock.lockedUntil
+      });
+      throw new BusinessError(
+        `Too many failed login attempts from this network. Try again in ${minutesUntil(ipLock.lockedUntil)} minute(s)`,
+        'IP_LOCKED'
+      );
+    }
+
     // Find user by username or email
     const user = await prisma.user.findFirst({
       where: {
@@ -116,27 +132,71 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
     });
 
     if (!user) {
-      await logAuthEvent(null, 'LOGIN_FAILED', ipAddress, userAgent, false);
+      await recordFailedLogin({ user: null, ipAddress });
+      await logAuthEvent(null, 'LOGIN_FAILED', ipAddress, userAgent, false, {
+        username,
+        reason: 'UNKNOWN_USER'
+      });
       throw new BusinessError('Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
+    const lockState = getUserLockState(user);
+    if (lockState.isLocked) {
+      await logAuthEvent(user.id, 'LOGIN_BLOCKED', ipAddress, userAgent, false, {
+        username,
+        reason: 'ACCOUNT_LOCKED',
+        lockedUntil: lockState.lockedUntil
+      });
+      throw new BusinessError(
+        `Account is temporarily locked after repeated failed logins. Try again in ${minutesUntil(lockState.lockedUntil)} minute(s) or contact an administrator`,
+        'ACCOUNT_LOCKED'
+      );
+    }
+
     if (!user.isActive) {
-      await logAuthEvent(user.id, 'LOGIN_FAILED', ipAddress, userAgent, false);
+      await logAuthEvent(user.id, 'LOGIN_FAILED', ipAddress, userAgent, false, {
+        username,
+        reason: 'ACCOUNT_DEACTIVATED'
+      });
       throw new BusinessError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
     }
 
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
     if (!isPasswordValid) {
-      await logAuthEvent(user.id, 'LOGIN_FAILED', ipAddress, userAgent, false);
+      const { userLockedUntil, ipLockedUntil } = await recordFailedLogin({ user, ipAddress });
+
+      await logAuthEvent(user.id, 'LOGIN_FAILED', ipAddress, userAgent, false, {
+        username,
+        reason: 'INVALID_PASSWORD'
+      });
+
+      if (userLockedUntil) {
+        await logAuthEvent(user.id, 'ACCOUNT_LOCKED', ipAddress, userAgent, false, {
+          username,
+          lockedUntil: userLockedUntil
+        });
+        throw new BusinessError(
+          `Too many failed login attempts. Account locked for ${minutesUntil(userLockedUntil)} minute(s)`,
+          'ACCOUNT_LOCKED'
+        );
+      }
+
+      if (ipLockedUntil) {
+        await logAuthEvent(null, 'IP_LOCKED', ipAddress, userAgent, false, {
+          lockedUntil: ipLockedUntil
+        });
+      }
+
       throw new BusinessError('Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
-    // Generate tokens
-    const { accessToken } = generateTokens(user.id);
+    // Clear failure counters
+    await recordSuccessfulLogin(user);
 
-    // Create session
-    await createUserSession(user.id, accessToken, req);
+    // Create session with its first refresh token
+    const { accessToken, refreshToken, expiresIn, sessionId, sessionExpiresAt } =
+      await createSession(user.id, req, { deviceId, deviceName });
 
     // Update last login
     await prisma.user.update({
@@ -152,6 +212,10 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
       message: 'Login successful',
       data: {
         accessToken,
+        refreshToken,
+        expiresIn,
+        sessionId,
+        sessionExpiresAt,
         user: {
           id: user.id,
           username: user.username,
@@ -172,6 +236,45 @@ router.post('/login', loginValidation, asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   POST /api/v1/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', refreshValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Invalid input data', errors.array());
+  }
+
+  const ipAddress = getClientIP(req);
+  const userAgent = req.get('User-Agent');
+
+  try {
+    const { user, ...tokens } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    await logAuthEvent(user.id, 'TOKEN_REFRESH', ipAddress, userAgent, true);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        ...tokens,
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      const action = error.code === 'REFRESH_TOKEN_REUSE' ? 'REFRESH_TOKEN_REUSE' : 'TOKEN_REFRESH_FAILED';
+      await logAuthEvent(error.userId || null, action, ipAddress, userAgent, false);
+    }
+    throw error;
+  }
+}));
+
 // @route   POST /api/v1/auth/register
 // @desc    Register new user (Admin only)
 // @access  Private (Super Admin only)
@@ -240,11 +343,8 @@ router.post('/register',
 router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
   const { sessionId } = req.user;
 
-  // Invalidate session
-  await prisma.userSession.update({
-    where: { id: sessionId },
-    data: { isActive: false }
-  });
+  // Invalidate session and its refresh tokens
+  await revokeSession(sessionId, 'LOGOUT');
 
   // Log logout
   await logAuthEvent(
@@ -261,6 +361,27 @@ router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   POST /api/v1/auth/logout-all
+// @desc    Logout from every device (revokes all sessions and refresh tokens)
+// @access  Private
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  const revokedCount = await revokeAllUserSessions(req.user.id, 'LOGOUT_ALL');
+
+  await logAuthEvent(
+    req.user.id,
+    'LOGOUT_ALL',
+    getClientIP(req),
+    req.get('User-Agent'),
+    true
+  );
+
+  res.json({
+    success: true,
+    message: 'Logged out from all devices',
+    data: { revokedSessions: revokedCount }
+  });
+}));
+
 // @route   POST /api/v1/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -307,14 +428,8 @@ router.post('/change-password',
       data: { passwordHash: newPasswordHash }
     });
 
-    // Invalidate all sessions except current one
-    await prisma.userSession.updateMany({
-      where: {
-        userId,
-        id: { not: req.user.sessionId }
-      },
-      data: { isActive: false }
-    });
+    // Invalidate all sessions (and their refresh tokens) except current one
+    await revokeAllUserSessions(userId, 'PASSWORD_CHANGED', req.user.sessionId);
 
     res.json({
       success: true,
@@ -385,23 +500,31 @@ router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
     },
     select: {
       id: true,
+      deviceId: true,
+      deviceName: true,
       ipAddress: true,
       userAgent: true,
       createdAt: true,
+      lastActivityAt: true,
       expiresAt: true
     },
-    orderBy: { createdAt: 'desc' }
+    orderBy: { lastActivityAt: 'desc' }
   });
 
-  // Mark current session
-  const sessionsWithCurrent = sessions.map(session => ({
-    ...session,
-    isCurrent: session.id === req.user.sessionId
-  }));
+  // Mark current session and hide sessions that have already gone idle
+  const sessionsWithCurrent = sessions
+    .filter(session => !isSessionIdle(session))
+    .map(session => ({
+      ...session,
+      isCurrent: session.id === req.user.sessionId
+    }));
 
   res.json({
     success: true,
-    data: { sessions: sessionsWithCurrent }
+    data: {
+      sessions: sessionsWithCurrent,
+      idleTimeoutMinutes: SESSION_IDLE_TIMEOUT_MINUTES
+    }
   });
 }));
 
@@ -429,11 +552,8 @@ router.delete('/sessions/:sessionId', authenticateToken, asyncHandler(async (req
     throw new BusinessError('Cannot terminate current session', 'CANNOT_TERMINATE_CURRENT_SESSION');
   }
 
-  // Invalidate session
-  await prisma.userSession.update({
-    where: { id: sessionId },
-    data: { isActive: false }
-  });
+  // Invalidate session and its refresh tokens
+  await revokeSession(sessionId, 'TERMINATED_BY_USER');
 
   res.json({
     success: true,
@@ -0,0 +1,482 @@
+// routes/bank-reconciliation.js - Bank statement import and payment matching
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { authorizeRole } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const {
+  BANK_RECONCILIATION_ROLES,
+  ENTITY_TYPES,
+  DEFAULT_DATE_WINDOW_DAYS,
+  importStatement,
+  getUnmatchedSystemEntries,
+  getLineCandidates,
+  autoMatchStatement,
+  confirmMatch,
+  rejectProposal,
+  ignoreLine,
+  unmatchLine,
+  confirmProposals,
+  getStatementSummary
+} = require('../services/bankReconciliationService');
+
+const router = express.Router();
+const prisma = require('../lib/prisma');
+
+router.use(authorizeRole(BANK_RECONCILIATION_ROLES));
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+const lineIdParam = param('id').custom(validateCuid('bank statement line ID'));
+const statementIdParam = param('id').custom(validateCuid('bank statement ID'));
+
+// @route   POST /api/v1/bank-reconciliation/statements/import
+// @desc    Import a CSV or OFX bank statement (file contents as text) and suggest matches
+// @access  Private (Managing Director, General Manager, Accountant)
+router.post('/statements/import',
+  [
+    body('format').isIn(['CSV', 'OFX']).withMessage('Format must be CSV or OFX'),
+    body('content').isString().notEmpty().withMessage('Statement file contents are required'),
+    body('fileName').optional().trim().isLength({ max: 255 }),
+    body('bankAccount').optional().trim().isLength({ min: 1, max: 100 }),
+    body('columns').optional().isObject(),
+    body('dateOrder').optional().isIn(['DMY', 'MDY']),
+    body('autoMatch').optional().isBoolean(),
+    body('dateWindowDays').optional().isInt({ min: 0, max: 14 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const {
+      format,
+      content,
+      fileName,
+      bankAccount,
+      columns,
+      dateOrder,
+      autoMatch = true,
+      dateWindowDays = DEFAULT_DATE_WINDOW_DAYS
+    } = req.body;
+
+    const statement = await importStatement({
+      format,
+      content,
+      fileName,
+      bankAccount,
+      columns,
+      dateOrder,
+      userId: req.user.id
+    });
+
+    const matching = autoMatch
+      ? await autoMatchStatement(statement.id, { dateWindowDays: parseInt(dateWindowDays) })
+      : null;
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${statement.lineCount} line(s)` +
+        (statement.duplicateCount > 0 ? `, skipped ${statement.duplicateCount} already imported` : '') +
+        (matching ? `; ${matching.proposed} match(es) suggested` : ''),
+      data: {
+        statement,
+        matching,
+        summary: await getStatementSummary(statement.id)
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/bank-reconciliation/statements
+// @desc    List imported statements with reconciliation progress
+// @access  Private (Managing Director, General Manager, Accountant)
+router.get('/statements',
+  [
+    query('bankAccount').optional().trim(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { bankAccount, page = 1, limit = 20 } = req.query;
+    const where = bankAccount ? { bankAccount } : {};
+
+    const [statements, total] = await Promise.all([
+      prisma.bankStatement.findMany({
+        where,
+        include: { importedByUser: { select: { id: true, username: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.bankStatement.count({ where })
+    ]);
+
+    const withSummary = await Promise.all(statements.map(async (statement) => ({
+      ...statement,
+      summary: await getStatementSummary(statement.id)
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        statements: withSummary,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/bank-reconciliation/statements/:id
+// @desc    Statement lines with their suggested or confirmed matches
+// @access  Private (Managing Director, General Manager, Accountant)
+router.get('/statements/:id',
+  [
+    statementIdParam,
+    query('status').optional().isIn(['UNMATCHED', 'PROPOSED', 'MATCHED', 'IGNORED'])
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: req.params.id },
+      include: { importedByUser: { select: { id: true, username: true } } }
+    });
+    if (!statement) {
+      throw new NotFoundError('Bank statement not found');
+    }
+
+    const lines = await prisma.bankStatementLine.findMany({
+      where: {
+        statementId: statement.id,
+        ...(req.query.status && { status: req.query.status })
+      },
+      include: {
+        cashFlow: {
+          select: { id: true, transactionType: true, amount: true, paymentMethod: true, referenceNumber: true, description: true, module: true, createdAt: true }
+        },
+        paymentHistory: {
+          select: { id: true, paymentType: true, amount: true, paymentMethod: true, reference: true, paidBy: true, createdAt: true, order: { select: { orderNumber: true } } }
+        },
+        matchedByUser: { select: { id: true, username: true } }
+      },
+      orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    // Load the suggested entries so the accountant can compare side by side
+    const proposedCashFlowIds = lines.filter(l => l.proposedEntityType === 'CASH_FLOW').map(l => l.proposedEntityId);
+    const proposedPaymentIds = lines.filter(l => l.proposedEntityType === 'PAYMENT_HISTORY').map(l => l.proposedEntityId);
+    const [proposedCashFlows, proposedPayments] = await Promise.all([
+      proposedCashFlowIds.length ? prisma.cashFlow.findMany({ where: { id: { in: proposedCashFlowIds } } }) : [],
+      proposedPaymentIds.length
+        ? prisma.paymentHistory.findMany({ where: { id: { in: proposedPaymentIds } }, include: { order: { select: { orderNumber: true } } } })
+        : []
+    ]);
+    const proposedById = new Map([...proposedCashFlows, ...proposedPayments].map(e => [e.id, e]));
+
+    res.json({
+      success: true,
+      data: {
+        statement,
+        summary: await getStatementSummary(statement.id),
+        lines: lines.map(line => ({
+          ...line,
+          proposedEntry: line.proposedEntityId ? proposedById.get(line.proposedEntityId) || null : null
+        }))
+      }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/bank-reconciliation/statements/:id
+// @desc    Remove an imported statement that has no confirmed matches
+// @access  Private (Managing Director, General Manager, Accountant)
+router.delete('/statements/:id',
+  statementIdParam,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const statement = await prisma.bankStatement.findUnique({ where: { id: req.params.id } });
+    if (!statement) {
+      throw new NotFoundError('Bank statement not found');
+    }
+
+    const matched = await prisma.bankStatementLine.count({
+      where: { statementId: statement.id, status: 'MATCHED' }
+    });
+    if (matched > 0) {
+      throw new BusinessError(
+        `Statement has ${matched} confirmed match(es); unmatch them before deleting`,
+        'STATEMENT_HAS_MATCHES'
+      );
+    }
+
+    await prisma.bankStatement.delete({ where: { id: statement.id } });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'DELETE',
+      entity: 'BankStatement',
+      entityId: statement.id,
+      oldValues: statement,
+      ...getRequestMetadata(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Bank statement deleted'
+    });
+  })
+);
+
+// @route   POST /api/v1/bank-reconciliation/statements/:id/auto-match
+// @desc    Re-run match suggestions for the statement's open lines
+// @access  Private (Managing Director, General Manager, Accountant)
+router.post('/statements/:id/auto-match',
+  [
+    statementIdParam,
+    body('dateWindowDays').optional().isInt({ min: 0, max: 14 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await autoMatchStatement(req.params.id, {
+      dateWindowDays: parseInt(req.body.dateWindowDays ?? DEFAULT_DATE_WINDOW_DAYS)
+    });
+
+    res.json({
+      success: true,
+      message: `${result.proposed} match(es) suggested, ${result.unmatched} line(s) without a match`,
+      data: { ...result, summary: await getStatementSummary(req.params.id) }
+    });
+  })
+);
+
+// @route   POST /api/v1/bank-reconciliation/statements/:id/confirm-proposals
+// @desc    Confirm all suggestions scoring at least minScore (default 80)
+// @access  Private (Managing Director, General Manager, Accountant)
+router.post('/statements/:id/confirm-proposals',
+  [
+    statementIdParam,
+    body('minScore').optional().isInt({ min: 0, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await confirmProposals(
+      req.params.id,
+      req.user,
+      { minScore: parseInt(req.body.minScore ?? 80) },
+      getRequestMetadata(req)
+    );
+
+    res.json({
+      success: true,
+      message: `${result.confirmed} match(es) confirmed` + (result.failed.length ? `, ${result.failed.length} failed` : ''),
+      data: { ...result, summary: await getStatementSummary(req.params.id) }
+    });
+  })
+);
+
+// @route   GET /api/v1/bank-reconciliation/lines/unmatched
+// @desc    Bank lines with no confirmed match, across statements
+// @access  Private (Managing Director, General Manager, Accountant)
+router.get('/lines/unmatched',
+  [
+    query('bankAccount').optional().trim(),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { bankAccount, startDate, endDate } = req.query;
+    const where = { status: { in: ['UNMATCHED', 'PROPOSED'] } };
+    if (bankAccount) where.bankAccount = bankAccount;
+    if (startDate || endDate) {
+      where.transactionDate = {};
+      if (startDate) where.transactionDate.gte = new Date(startDate);
+      if (endDate) where.transactionDate.lte = new Date(endDate);
+    }
+
+    const lines = await prisma.bankStatementLine.findMany({
+      where,
+      include: { statement: { select: { id: true, fileName: true } } },
+      orderBy: { transactionDate: 'asc' }
+    });
+
+    const credits = lines.filter(l => parseFloat(l.amount) > 0);
+    const debits = lines.filter(l => parseFloat(l.amount) < 0);
+
+    res.json({
+      success: true,
+      data: {
+        lines,
+        summary: {
+          count: lines.length,
+          credits: { count: credits.length, amount: parseFloat(credits.reduce((sum, l) => sum + parseFloat(l.amount), 0).toFixed(2)) },
+          debits: { count: debits.length, amount: parseFloat(debits.reduce((sum, l) => sum + parseFloat(l.amount), 0).toFixed(2)) }
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/bank-reconciliation/entries/unmatched
+// @desc    Bank-settled payments recorded in the system that no bank line is matched to
+// @access  Private (Managing Director, General Manager, Accountant)
+router.get('/entries/unmatched',
+  [
+    query('module').optional().isIn(['WAREHOUSE', 'TRANSPORT', 'DISTRIBUTION']),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { module, startDate, endDate } = req.query;
+
+    // endDate is inclusive of the whole day
+    const end = endDate ? new Date(endDate) : undefined;
+    if (end) end.setDate(end.getDate() + 1);
+
+    const entries = await getUnmatchedSystemEntries({ module, startDate, endDate: end });
+
+    const inflow = entries.filter(e => e.amount > 0);
+    const outflow = entries.filter(e => e.amount < 0);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        summary: {
+          count: entries.length,
+          moneyIn: { count: inflow.length, amount: parseFloat(inflow.reduce((sum, e) => sum + e.amount, 0).toFixed(2)) },
+          moneyOut: { count: outflow.length, amount: parseFloat(outflow.reduce((sum, e) => sum + e.amount, 0).toFixed(2)) }
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/bank-reconciliation/lines/:id/candidates
+// @desc    Possible system entries for a bank line, best first
+// @access  Private (Managing Director, General Manager, Accountant)
+router.get('/lines/:id/candidates',
+  [
+    lineIdParam,
+    query('dateWindowDays').optional().isInt({ min: 0, max: 31 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const candidates = await getLineCandidates(req.params.id, {
+      dateWindowDays: parseInt(req.query.dateWindowDays ?? DEFAULT_DATE_WINDOW_DAYS)
+    });
+
+    res.json({
+      success: true,
+      data: { candidates }
+    });
+  })
+);
+
+// @route   PUT /api/v1/bank-reconciliation/lines/:id/confirm
+// @desc    Confirm the suggested match, or match to a chosen entry; marks it reconciled
+// @access  Private (Managing Director, General Manager, Accountant)
+router.put('/lines/:id/confirm',
+  [
+    lineIdParam,
+    body('entityType').optional().isIn(ENTITY_TYPES),
+    body('entityId').optional().custom(validateCuid('entry ID')),
+    body('notes').optional().trim().isLength({ max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { entityType, entityId, notes } = req.body;
+    if (!!entityType !== !!entityId) {
+      throw new ValidationError('entityType and entityId must be given together');
+    }
+
+    const line = await confirmMatch(req.params.id, req.user, { entityType, entityId, notes }, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Bank line matched and entry reconciled',
+      data: { line }
+    });
+  })
+);
+
+// @route   PUT /api/v1/bank-reconciliation/lines/:id/reject
+// @desc    Turn down the suggested match
+// @access  Private (Managing Director, General Manager, Accountant)
+router.put('/lines/:id/reject',
+  lineIdParam,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const line = await rejectProposal(req.params.id, req.user, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Suggested match rejected',
+      data: { line }
+    });
+  })
+);
+
+// @route   PUT /api/v1/bank-reconciliation/lines/:id/ignore
+// @desc    Set aside a line with no system counterpart (bank charges, interest, own transfers)
+// @access  Private (Managing Director, General Manager, Accountant)
+router.put('/lines/:id/ignore',
+  [
+    lineIdParam,
+    body('reason').trim().notEmpty().withMessage('A reason is required').isLength({ max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const line = await ignoreLine(req.params.id, req.user, req.body.reason, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Bank line ignored',
+      data: { line }
+    });
+  })
+);
+
+// @route   PUT /api/v1/bank-reconciliation/lines/:id/unmatch
+// @desc    Undo a confirmed match or ignore
+// @access  Private (Managing Director, General Manager, Accountant)
+router.put('/lines/:id/unmatch',
+  lineIdParam,
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const line = await unmatchLine(req.params.id, req.user, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Bank line unmatched',
+      data: { line }
+    });
+  })
+);
+
+module.exports = router;
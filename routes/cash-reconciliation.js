@@ -0,0 +1,485 @@
+// routes/cash-reconciliation.js - End-of-day till close-out and Z-reports (warehouse and transport)
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
+
+const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const {
+  CASH_MODULES,
+  SUPERVISOR_ROLES,
+  getExpectedTotals,
+  submitCloseOut,
+  getCloseOut,
+  approveCloseOut,
+  rejectCloseOut
+} = require('../services/cashReconciliationService');
+
+const router = express.Router();
+const prisma = require('../lib/prisma');
+
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'POS', 'WHATSAPP_TRANSFER', 'MOBILE_MONEY'];
+
+/**
+ * Module access check where the module comes from the request (or the close-out for /:id routes)
+ */
+const authorizeCashModule = (permission = 'read') => asyncHandler(async (req, res, next) => {
+  let module = req.body?.module || req.query.module;
+
+  if (req.params.id) {
+    const reconciliation = await prisma.cashReconciliation.findUnique({
+      where: { id: req.params.id },
+      select: { module: true, cashier: true }
+    });
+    if (!reconciliation) {
+      throw new NotFoundError('Close-out not found');
+    }
+    module = reconciliation.module;
+
+    // Cashiers only see their own close-outs
+    if (!SUPERVISOR_ROLES.includes(req.user.role) && reconciliation.cashier !== req.user.id) {
+      throw new NotFoundError('Close-out not found');
+    }
+  }
+
+  if (!CASH_MODULES.includes(module)) {
+    throw new ValidationError(`module must be one of ${CASH_MODULES.join(', ')}`);
+  }
+
+  return authorizeModule(module.toLowerCase(), permission)(req, res, next);
+});
+
+const requireSupervisor = (req, res, next) => {
+  if (!SUPERVISOR_ROLES.includes(req.user.role)) {
+    throw new BusinessError('Only a supervisor can sign off close-outs', 'INSUFFICIENT_PERMISSIONS');
+  }
+  next();
+};
+
+// Supervisors may act for another cashier; everyone else closes their own till
+const resolveCashier = (req, cashierId) => {
+  if (cashierId && cashierId !== req.user.id) {
+    if (!SUPERVISOR_ROLES.includes(req.user.role)) {
+      throw new BusinessError('You can only close out your own till', 'INSUFFICIENT_PERMISSIONS');
+    }
+    return cashierId;
+  }
+  return req.user.id;
+};
+
+const formatNaira = (amount) => `NGN ${parseFloat(amount).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+// @route   GET /api/v1/cash-reconciliations/expected
+// @desc    Expected till totals per payment method for a cashier's day
+// @access  Private (Module access)
+router.get('/expected',
+  [
+    query('module').isIn(CASH_MODULES),
+    query('date').optional().isISO8601(),
+    query('cashierId').optional().custom(validateCuid('cashier ID'))
+  ],
+  authorizeCashModule('read'),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { module, date = new Date().toISOString().split('T')[0], cashierId } = req.query;
+    const cashier = resolveCashier(req, cashierId);
+
+    const expected = await getExpectedTotals({ date, module, cashier });
+    const unreconciled = expected.entries.filter(e => !e.reconciliationId).length;
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        module,
+        cashier,
+        lines: expected.lines,
+        expectedTotal: expected.expectedTotal,
+        entryCount: expected.entryCount,
+        unreconciledEntries: unreconciled,
+        entries: expected.entries
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/cash-reconciliations
+// @desc    List close-outs
+// @access  Private (Module access; cashiers see their own)
+router.get('/',
+  [
+    query('module').isIn(CASH_MODULES),
+    query('status').optional().isIn(['SUBMITTED', 'APPROVED', 'REJECTED']),
+    query('cashierId').optional().custom(validateCuid('cashier ID')),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  authorizeCashModule('read'),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { module, status, cashierId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const where = { module };
+    if (status) where.status = status;
+    if (!SUPERVISOR_ROLES.includes(req.user.role)) {
+      where.cashier = req.user.id;
+    } else if (cashierId) {
+      where.cashier = cashierId;
+    }
+    if (startDate || endDate) {
+      where.businessDate = {};
+      if (startDate) where.businessDate.gte = new Date(startDate);
+      if (endDate) where.businessDate.lte = new Date(endDate);
+    }
+
+    const [reconciliations, total] = await Promise.all([
+      prisma.cashReconciliation.findMany({
+        where,
+        include: {
+          cashierUser: { select: { id: true, username: true } },
+          approverUser: { select: { id: true, username: true } }
+        },
+        orderBy: [{ businessDate: 'desc' }, { submittedAt: 'desc' }],
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.cashReconciliation.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reconciliations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  })
+);
+
+// @route   POST /api/v1/cash-reconciliations
+// @desc    Submit a till close-out with counted amounts per payment method
+// @access  Private (Module write access)
+router.post('/',
+  [
+    body('module').isIn(CASH_MODULES),
+    body('date').isISO8601().withMessage('Business date is required'),
+    body('cashierId').optional().custom(validateCuid('cashier ID')),
+    body('counts').isArray().withMessage('Counts must be an array'),
+    body('counts.*.paymentMethod').isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+    body('counts.*.countedAmount').isFloat({ min: 0 }).withMessage('Counted amount must be 0 or greater'),
+    body('counts.*.varianceReason').optional({ nullable: true }).trim().isLength({ max: 500 }),
+    body('notes').optional().trim().isLength({ max: 1000 })
+  ],
+  authorizeCashModule('write'),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { module, date, cashierId, counts, notes } = req.body;
+
+    const methods = counts.map(c => c.paymentMethod);
+    if (new Set(methods).size !== methods.length) {
+      throw new ValidationError('Each payment method can only be counted once');
+    }
+
+    const reconciliation = await submitCloseOut({
+      date: date.split('T')[0],
+      module,
+      cashier: resolveCashier(req, cashierId),
+      counts,
+      notes,
+      userId: req.user.id
+    });
+
+    const variance = parseFloat(reconciliation.variance);
+
+    res.status(201).json({
+      success: true,
+      message: variance === 0
+        ? `Close-out ${reconciliation.reconciliationNumber} submitted for sign-off`
+        : `Close-out ${reconciliation.reconciliationNumber} submitted with a variance of ₦${variance.toLocaleString()}`,
+      data: { reconciliation }
+    });
+  })
+);
+
+// @route   GET /api/v1/cash-reconciliations/:id
+// @desc    Close-out with its lines and cash flow entries
+// @access  Private (Module access; cashiers see their own)
+router.get('/:id',
+  param('id').custom(validateCuid('close-out ID')),
+  authorizeCashModule('read'),
+  asyncHandler(async (req, res) => {
+    const reconciliation = await getCloseOut(req.params.id);
+    const entries = await prisma.cashFlow.findMany({
+      where: { reconciliationId: reconciliation.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: { reconciliation, entries }
+    });
+  })
+);
+
+// @route   PUT /api/v1/cash-reconciliations/:id/approve
+// @desc    Supervisor sign-off; marks the day's entries reconciled and locks them
+// @access  Private (Managing Director, General Manager, Accountant)
+router.put('/:id/approve',
+  param('id').custom(validateCuid('close-out ID')),
+  body('notes').optional().trim().isLength({ max: 1000 }),
+  authorizeCashModule('write'),
+  requireSupervisor,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const reconciliation = await approveCloseOut(req.params.id, req.user, req.body.notes || null);
+
+    res.json({
+      success: true,
+      message: `Close-out ${reconciliation.reconciliationNumber} approved; ${reconciliation.entryCount} entries reconciled`,
+      data: { reconciliation }
+    });
+  })
+);
+
+// @route   PUT /api/v1/cash-reconciliations/:id/reject
+// @desc    Send a close-out back to the cashier for correction
+// @access  Private (Managing Director, General Manager, Accountant)
+router.put('/:id/reject',
+  param('id').custom(validateCuid('close-out ID')),
+  body('reason').trim().notEmpty().withMessage('A rejection reason is required'),
+  authorizeCashModule('write'),
+  requireSupervisor,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const reconciliation = await rejectCloseOut(req.params.id, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Close-out ${reconciliation.reconciliationNumber} rejected`,
+      data: { reconciliation }
+    });
+  })
+);
+
+// @route   GET /api/v1/cash-reconciliations/:id/z-report
+// @desc    Z-report PDF for a cashier's day
+// @access  Private (Module access; cashiers see their own)
+router.get('/:id/z-report',
+  param('id').custom(validateCuid('close-out ID')),
+  authorizeCashModule('read'),
+  asyncHandler(async (req, res) => {
+    const reconciliation = await getCloseOut(req.params.id);
+    const entries = await prisma.cashFlow.findMany({
+      where: { reconciliationId: reconciliation.id },
+      orderBy: { createdAt: 'asc' }
+    });
+    const businessDate = reconciliation.businessDate.toISOString().split('T')[0];
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'portrait'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=z-report-${reconciliation.reconciliationNumber}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('Z-REPORT', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`${reconciliation.module} till close-out - ${businessDate}`, { align: 'center' })
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    // Summary
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('SUMMARY', 50);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#000');
+
+    const summaryData = [
+      ['Z-Report No:', reconciliation.reconciliationNumber],
+      ['Cashier:', reconciliation.cashierUser?.username || 'N/A'],
+      ['Business Date:', businessDate],
+      ['Status:', reconciliation.status],
+      ['Transactions:', reconciliation.entryCount],
+      ['Expected Total:', formatNaira(reconciliation.expectedTotal)],
+      ['Counted Total:', formatNaira(reconciliation.countedTotal)],
+      ['Variance:', formatNaira(reconciliation.variance)]
+    ];
+
+    let yPos = doc.y + 10;
+    summaryData.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+      doc.font('Helvetica').text(String(value), { width: 350 });
+      yPos += 16;
+    });
+
+    doc.moveDown(2);
+
+    const drawTable = (headers, colWidths, rows, rowHeight = 22) => {
+      const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+      let currentY = doc.y;
+
+      const drawHeader = () => {
+        doc.fontSize(9)
+           .font('Helvetica-Bold');
+
+        doc.rect(30, currentY, tableWidth, rowHeight)
+           .fill('#1e40af');
+
+        let xPos = 35;
+        headers.forEach((header, i) => {
+          doc.fillColor('#fff')
+             .text(header, xPos, currentY + 7, { width: colWidths[i] - 10, align: 'left' });
+          xPos += colWidths[i];
+        });
+
+        currentY += rowHeight;
+        doc.font('Helvetica')
+           .fontSize(8);
+      };
+
+      drawHeader();
+
+      rows.forEach((row, rowIndex) => {
+        if (currentY > 760) {
+          doc.addPage();
+          currentY = 50;
+          drawHeader();
+        }
+
+        if (rowIndex % 2 === 0) {
+          doc.rect(30, currentY, tableWidth, rowHeight)
+             .fill('#f3f4f6');
+        }
+
+        let xPos = 35;
+        row.forEach((cell, i) => {
+          doc.fillColor('#000')
+             .text(String(cell), xPos, currentY + 7, { width: colWidths[i] - 10, align: 'left', lineBreak: false, ellipsis: true });
+          xPos += colWidths[i];
+        });
+
+        currentY += rowHeight;
+      });
+
+      doc.y = currentY + 15;
+      doc.x = 30;
+    };
+
+    // Payment method breakdown
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('BY PAYMENT METHOD', 30);
+    doc.moveDown(0.5);
+
+    const amount = (value) => parseFloat(value).toLocaleString('en-NG', { minimumFractionDigits: 2 });
+
+    drawTable(
+      ['Method', 'In', 'Out', 'Expected', 'Counted', 'Variance', 'Reason'],
+      [80, 70, 70, 75, 75, 70, 95],
+      reconciliation.lines.map(line => [
+        line.paymentMethod.replace(/_/g, ' '),
+        amount(line.expectedIn),
+        amount(line.expectedOut),
+        amount(line.expectedAmount),
+        amount(line.countedAmount),
+        amount(line.variance),
+        line.varianceReason || '-'
+      ])
+    );
+
+    // Transactions
+    if (doc.y > 700) doc.addPage();
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('TRANSACTIONS', 30);
+    doc.moveDown(0.5);
+
+    drawTable(
+      ['Time', 'Type', 'Method', 'Reference', 'Description', 'Amount (NGN)'],
+      [50, 65, 75, 90, 170, 85],
+      entries.map(entry => [
+        new Date(entry.createdAt).toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit' }),
+        entry.transactionType,
+        entry.paymentMethod.replace(/_/g, ' '),
+        entry.referenceNumber || '-',
+        entry.description || '-',
+        amount(entry.amount)
+      ])
+    );
+
+    // Sign-off
+    if (doc.y > 680) doc.addPage();
+    doc.moveDown(1);
+    const signY = doc.y + 20;
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#000');
+    doc.text(`Cashier: ${reconciliation.cashierUser?.username || ''}`, 50, signY);
+    doc.text(`Submitted: ${new Date(reconciliation.submittedAt).toLocaleString('en-NG')}`, 50, signY + 15);
+    doc.text(
+      `Signed off by: ${reconciliation.approverUser?.username || '____________________'}`,
+      320,
+      signY
+    );
+    doc.text(
+      `Date: ${reconciliation.approvedAt ? new Date(reconciliation.approvedAt).toLocaleString('en-NG') : '____________________'}`,
+      320,
+      signY + 15
+    );
+    if (reconciliation.status === 'REJECTED' && reconciliation.rejectionReason) {
+      doc.fillColor('#dc2626')
+         .text(`Rejected: ${reconciliation.rejectionReason}`, 50, signY + 40);
+    }
+
+    doc.end();
+  })
+);
+
+module.exports = router;
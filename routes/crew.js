@@ -0,0 +1,640 @@
+// routes/crew.js - Driver and motor-boy registry, trip crew assignment and trip-based payroll
+//
+// Mounted at /api/v1/transport/crew. Trip pay comes from the salary rates
+// (/api/v1/pricing/salary-rates) in force on each trip date.
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
+
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  CREW_ROLES,
+  CREW_STATUSES,
+  DEDUCTION_TYPES,
+  PAYROLL_RUN_STATUSES,
+  listCrewMembers,
+  getCrewMember,
+  createCrewMember,
+  updateCrewMember,
+  getTripCrew,
+  assignTripCrew,
+  listDeductions,
+  createDeduction,
+  deleteDeduction,
+  createPayrollRun,
+  recalculatePayrollRun,
+  approvePayrollRun,
+  markPayrollRunPaid,
+  cancelPayrollRun,
+  listPayrollRuns,
+  getPayrollRun,
+  getPayslip
+} = require('../services/crewPayrollService');
+
+const router = express.Router();
+
+router.use(authorizeModule('transport'));
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+const formatMoney = (value) => parseFloat(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (date) => new Date(date).toLocaleDateString('en-NG');
+
+const crewValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('role').isIn(CREW_ROLES).withMessage(`Role must be one of ${CREW_ROLES.join(', ')}`),
+    field('fullName').trim().notEmpty().withMessage('Full name is required'),
+    field('phone').trim().notEmpty().withMessage('Phone number is required'),
+    body('address').optional().trim(),
+    body('staffNumber').optional().trim(),
+    body('hireDate').optional({ values: 'null' }).isISO8601().withMessage('Hire date must be a valid date'),
+    body('licenceNumber').optional().trim(),
+    body('licenceClass').optional().trim(),
+    body('licenceExpiry').optional({ values: 'null' }).isISO8601().withMessage('Licence expiry must be a valid date'),
+    body('guarantorName').optional().trim(),
+    body('guarantorPhone').optional().trim(),
+    body('guarantorAddress').optional().trim(),
+    body('guarantorRelationship').optional().trim(),
+    body('bankName').optional().trim(),
+    body('accountNumber').optional().trim(),
+    body('accountName').optional().trim(),
+    body('notes').optional().trim()
+  ];
+};
+
+const crewAssignmentValidation = [
+  body('driverId').custom(validateCuid('driver ID')),
+  body('motorBoyIds').optional().isArray().withMessage('Motor boy IDs must be an array'),
+  body('motorBoyIds.*').custom(validateCuid('motor boy ID'))
+];
+
+// ================================
+// PAYROLL RUNS
+// ================================
+
+// @route   GET /api/v1/transport/crew/payroll
+// @desc    List payroll runs
+// @access  Private (Transport module access)
+router.get('/payroll',
+  [
+    query('status').optional().isIn(PAYROLL_RUN_STATUSES),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const result = await listPayrollRuns(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew/payroll
+// @desc    Start a draft payroll run over every unpaid completed trip in the period
+// @access  Private (Transport module write)
+router.post('/payroll',
+  authorizeModule('transport', 'write'),
+  [
+    body('periodStart').isISO8601().withMessage('Period start must be a valid date'),
+    body('periodEnd').isISO8601().withMessage('Period end must be a valid date'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const periodEnd = new Date(req.body.periodEnd);
+    periodEnd.setHours(23, 59, 59, 999);
+
+    const { run, warnings } = await createPayrollRun({
+      periodStart: new Date(req.body.periodStart),
+      periodEnd,
+      notes: req.body.notes
+    }, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Payroll run ${run.runNumber} created for ${run.crewCount} crew member(s), ${run.tripCount} trip(s)`,
+      data: { run, warnings }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/crew/payroll/:id
+// @desc    Payroll run with its payslips
+// @access  Private (Transport module access)
+router.get('/payroll/:id',
+  [param('id').custom(validateCuid('payroll run ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const run = await getPayrollRun(req.params.id);
+
+    res.json({
+      success: true,
+      data: { run }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew/payroll/:id/recalculate
+// @desc    Rebuild a draft run from current trips, rates and deductions
+// @access  Private (Transport module write)
+router.post('/payroll/:id/recalculate',
+  authorizeModule('transport', 'write'),
+  [param('id').custom(validateCuid('payroll run ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { run, warnings } = await recalculatePayrollRun(req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Payroll run recalculated',
+      data: { run, warnings }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew/payroll/:id/approve
+// @desc    Approve a draft payroll run
+// @access  Private (Transport module admin)
+router.post('/payroll/:id/approve',
+  authorizeModule('transport', 'admin'),
+  [param('id').custom(validateCuid('payroll run ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const run = await approvePayrollRun(req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Payroll run approved',
+      data: { run }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew/payroll/:id/pay
+// @desc    Mark an approved payroll run as paid
+// @access  Private (Transport module admin)
+router.post('/payroll/:id/pay',
+  authorizeModule('transport', 'admin'),
+  [
+    param('id').custom(validateCuid('payroll run ID')),
+    body('paidAt').optional().isISO8601().withMessage('Payment date must be a valid date'),
+    body('paymentReference').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const run = await markPayrollRunPaid(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Payroll run marked as paid',
+      data: { run }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew/payroll/:id/cancel
+// @desc    Cancel an unpaid payroll run; its trips and deductions go back to pending
+// @access  Private (Transport module admin)
+router.post('/payroll/:id/cancel',
+  authorizeModule('transport', 'admin'),
+  [
+    param('id').custom(validateCuid('payroll run ID')),
+    body('reason').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const run = await cancelPayrollRun(req.params.id, { reason: req.body.reason }, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Payroll run cancelled',
+      data: { run }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/crew/payroll/:id/payslips/:crewMemberId
+// @desc    A crew member's payslip with trip lines and deductions
+// @access  Private (Transport module access)
+router.get('/payroll/:id/payslips/:crewMemberId',
+  [
+    param('id').custom(validateCuid('payroll run ID')),
+    param('crewMemberId').custom(validateCuid('crew member ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const payslip = await getPayslip(req.params.id, req.params.crewMemberId);
+
+    res.json({
+      success: true,
+      data: { payslip }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/crew/payroll/:id/payslips/:crewMemberId/pdf
+// @desc    Payslip PDF
+// @access  Private (Transport module access)
+router.get('/payroll/:id/payslips/:crewMemberId/pdf',
+  [
+    param('id').custom(validateCuid('payroll run ID')),
+    param('crewMemberId').custom(validateCuid('crew member ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const payslip = await getPayslip(req.params.id, req.params.crewMemberId);
+    const { payrollRun: run, crewMember: member } = payslip;
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'portrait'
+    });
+
+    const fileName = `payslip-${run.runNumber}-${member.fullName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('PAYSLIP', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`${run.runNumber} - Period: ${formatDate(run.periodStart)} to ${formatDate(run.periodEnd)}`, { align: 'center' })
+       .text(run.status === 'PAID' ? `Paid on ${formatDate(run.paidAt)}` : `Status: ${run.status}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    const details = (rows) => {
+      let yPos = doc.y;
+      rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+        doc.font('Helvetica').text(String(value), { width: 350 });
+        yPos += 16;
+      });
+      doc.moveDown(1);
+    };
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('EMPLOYEE', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Name:', member.fullName],
+      ['Role:', payslip.role === 'DRIVER' ? 'Driver' : 'Motor boy'],
+      ['Staff Number:', member.staffNumber || 'N/A'],
+      ['Phone:', member.phone],
+      ['Bank Account:', member.accountNumber ? `${member.bankName || ''} ${member.accountNumber} (${member.accountName || member.fullName})`.trim() : 'N/A']
+    ]);
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('SUMMARY', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Trips:', payslip.tripCount],
+      ['Trip Wages:', `NGN ${formatMoney(payslip.tripWages)}`],
+      ['Trip Allowances:', `NGN ${formatMoney(payslip.tripAllowances)}`],
+      ['Gross Pay:', `NGN ${formatMoney(payslip.grossPay)}`],
+      ['Deductions:', `NGN ${formatMoney(payslip.totalDeductions)}`],
+      ['Net Pay:', `NGN ${formatMoney(payslip.netPay)}`],
+      ...(parseFloat(payslip.carriedForward) > 0
+        ? [['Carried Forward:', `NGN ${formatMoney(payslip.carriedForward)} (deductions left for the next payroll)`]]
+        : [])
+    ]);
+
+    const tableWidth = 535;
+    const rowHeight = 22;
+    let currentY = doc.y;
+
+    const drawTable = (headers, colWidths, rows, moneyFrom) => {
+      const drawHeader = () => {
+        doc.fontSize(8).font('Helvetica-Bold');
+        doc.rect(30, currentY, tableWidth, rowHeight).fill('#1e40af');
+        let xPos = 33;
+        headers.forEach((header, i) => {
+          doc.fillColor('#fff').text(header, xPos, currentY + 7, { width: colWidths[i] - 6, align: i >= moneyFrom ? 'right' : 'left' });
+          xPos += colWidths[i];
+        });
+        currentY += rowHeight;
+        doc.font('Helvetica').fontSize(7);
+      };
+
+      drawHeader();
+      rows.forEach((cells, index) => {
+        if (currentY > 760) {
+          doc.addPage();
+          currentY = 50;
+          drawHeader();
+        }
+        if (index % 2 === 0) {
+          doc.rect(30, currentY, tableWidth, rowHeight).fill('#f3f4f6');
+        }
+        let xPos = 33;
+        cells.forEach((cell, i) => {
+          doc.fillColor('#000').text(String(cell), xPos, currentY + 7, {
+            width: colWidths[i] - 6,
+            align: i >= moneyFrom ? 'right' : 'left',
+            lineBreak: false,
+            ellipsis: true
+          });
+          xPos += colWidths[i];
+        });
+        currentY += rowHeight;
+      });
+      currentY += 15;
+    };
+
+    // Trips
+    drawTable(
+      ['Date', 'Trip', 'Truck', 'Location', 'Wage', 'Allowance', 'Amount'],
+      [60, 95, 70, 130, 60, 60, 60],
+      payslip.trips.map(trip => [
+        trip.tripDate ? formatDate(trip.tripDate) : '',
+        trip.reference || '',
+        trip.truck || '',
+        trip.location || 'No salary rate',
+        formatMoney(trip.wageAmount),
+        formatMoney(trip.allowanceAmount),
+        formatMoney(trip.amount)
+      ]),
+      4
+    );
+
+    // Deductions
+    if (payslip.deductions.length > 0) {
+      drawTable(
+        ['Date', 'Type', 'Description', 'Amount'],
+        [60, 95, 320, 60],
+        payslip.deductions.map(deduction => [
+          formatDate(deduction.deductionDate),
+          deduction.type.replace(/_/g, ' '),
+          deduction.description || '',
+          formatMoney(deduction.amount)
+        ]),
+        3
+      );
+    }
+
+    doc.fontSize(8)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}. Trip pay is from the salary rate in force for each trip's location on the trip date.`, 30, currentY, { width: tableWidth });
+
+    doc.end();
+  })
+);
+
+// ================================
+// TRIP CREW
+// ================================
+
+// @route   GET /api/v1/transport/crew/trips/transport-orders/:orderId
+// @desc    Crew on a transport order
+// @access  Private (Transport module access)
+router.get('/trips/transport-orders/:orderId',
+  [param('orderId').custom(validateCuid('transport order ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const crew = await getTripCrew({ transportOrderId: req.params.orderId });
+
+    res.json({
+      success: true,
+      data: { crew }
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/crew/trips/transport-orders/:orderId
+// @desc    Set the driver and motor boys on a transport order
+// @access  Private (Transport module write)
+router.put('/trips/transport-orders/:orderId',
+  authorizeModule('transport', 'write'),
+  [param('orderId').custom(validateCuid('transport order ID')), ...crewAssignmentValidation],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const crew = await assignTripCrew({ transportOrderId: req.params.orderId }, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Crew assigned to transport order',
+      data: { crew }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/crew/trips/truck-loads/:loadId
+// @desc    Crew on a truck load
+// @access  Private (Transport module access)
+router.get('/trips/truck-loads/:loadId',
+  [param('loadId').custom(validateCuid('truck load ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const crew = await getTripCrew({ truckLoadId: req.params.loadId });
+
+    res.json({
+      success: true,
+      data: { crew }
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/crew/trips/truck-loads/:loadId
+// @desc    Set the driver and motor boys on a truck load
+// @access  Private (Transport module write)
+router.put('/trips/truck-loads/:loadId',
+  authorizeModule('transport', 'write'),
+  [param('loadId').custom(validateCuid('truck load ID')), ...crewAssignmentValidation],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const crew = await assignTripCrew({ truckLoadId: req.params.loadId }, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Crew assigned to truck load',
+      data: { crew }
+    });
+  })
+);
+
+// ================================
+// DEDUCTIONS
+// ================================
+
+// @route   DELETE /api/v1/transport/crew/deductions/:id
+// @desc    Delete a deduction not yet taken on a payslip
+// @access  Private (Transport module admin)
+router.delete('/deductions/:id',
+  authorizeModule('transport', 'admin'),
+  [param('id').custom(validateCuid('deduction ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    await deleteDeduction(req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Deduction deleted'
+    });
+  })
+);
+
+// ================================
+// CREW MEMBERS
+// ================================
+
+// @route   GET /api/v1/transport/crew
+// @desc    List crew (?licenceExpiringWithinDays= lists drivers whose licence expires soon or has expired)
+// @access  Private (Transport module access)
+router.get('/',
+  [
+    query('role').optional().isIn(CREW_ROLES),
+    query('status').optional().isIn(CREW_STATUSES),
+    query('search').optional().trim(),
+    query('licenceExpiringWithinDays').optional().isInt({ min: 0 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const crew = await listCrewMembers(req.query);
+
+    res.json({
+      success: true,
+      data: { crew }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew
+// @desc    Register a driver or motor boy (drivers need licence number and expiry)
+// @access  Private (Transport module write)
+router.post('/',
+  authorizeModule('transport', 'write'),
+  crewValidation(false),
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const member = await createCrewMember(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Crew member registered',
+      data: { member }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/crew/:id
+// @desc    Crew member with recent trips, deductions and payslips
+// @access  Private (Transport module access)
+router.get('/:id',
+  [param('id').custom(validateCuid('crew member ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const member = await getCrewMember(req.params.id);
+
+    res.json({
+      success: true,
+      data: { member }
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/crew/:id
+// @desc    Update a crew member (status TERMINATED instead of deleting)
+// @access  Private (Transport module write)
+router.put('/:id',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('crew member ID')),
+    ...crewValidation(true),
+    body('status').optional().isIn(CREW_STATUSES).withMessage(`Status must be one of ${CREW_STATUSES.join(', ')}`)
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const member = await updateCrewMember(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Crew member updated',
+      data: { member }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/crew/:id/deductions
+// @desc    Advances and other deductions for a crew member (?pending=true for those not yet taken)
+// @access  Private (Transport module access)
+router.get('/:id/deductions',
+  [
+    param('id').custom(validateCuid('crew member ID')),
+    query('pending').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const deductions = await listDeductions(req.params.id, { pendingOnly: req.query.pending === 'true' });
+
+    res.json({
+      success: true,
+      data: { deductions }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/crew/:id/deductions
+// @desc    Record an advance or deduction, taken on the next payroll run
+// @access  Private (Transport module write)
+router.post('/:id/deductions',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('crew member ID')),
+    body('type').isIn(DEDUCTION_TYPES).withMessage(`Type must be one of ${DEDUCTION_TYPES.join(', ')}`),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('deductionDate').optional().isISO8601().withMessage('Date must be a valid date'),
+    body('description').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const deduction = await createDeduction(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Deduction recorded',
+      data: { deduction }
+    });
+  })
+);
+
+module.exports = router;
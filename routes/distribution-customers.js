@@ -7,10 +7,43 @@ const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require(
 const { authorizeModule } = require('../middleware/auth');
 const { validateCuid } = require('../utils/validators');
 
+const { Parser } = require('json2csv');
+const PDFDocument = require('pdfkit');
+const { getCustomerStatement } = require('../services/customerLedgerService');
+
 const router = express.Router();
 const prisma = require('../lib/prisma');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
 
+const statementValidators = [
+  param('id').custom(validateCuid('customer ID')),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// A bare date in ?to= means the whole of that day
+const parseStatementRange = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Invalid query parameters', errors.array());
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  let to = req.query.to ? new Date(req.query.to) : null;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to = new Date(`${req.query.to}T23:59:59.999`);
+  }
+  if (from && to && from > to) {
+    throw new ValidationError('From date must be before to date');
+  }
+  return { from, to };
+};
+
+const formatMoney = (value) => parseFloat(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (date) => new Date(date).toLocaleDateString('en-NG');
+const statementFileName = (customer, ext) =>
+  `customer-statement-${customer.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().split('T')[0]}.${ext}`;
+
 // ================================
 // DISTRIBUTION CUSTOMER ROUTES
 // ================================
@@ -279,4 +312,209 @@ router.get('/customers/:id/orders',
   })
 );
 
-module.exports = router;
\ No newline at end of file
+// Get customer account statement (opening balance, ledger movements, closing balance)
+// Balances are debit - credit: positive means the customer owes us
+router.get('/customers/:id/statement',
+  authorizeModule('distribution'),
+  statementValidators,
+  asyncHandler(async (req, res) => {
+    const range = parseStatementRange(req);
+    const statement = await getCustomerStatement(req.params.id, range);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  })
+);
+
+// Export customer statement as CSV
+router.get('/customers/:id/statement/csv',
+  authorizeModule('distribution'),
+  statementValidators,
+  asyncHandler(async (req, res) => {
+    const range = parseStatementRange(req);
+    const statement = await getCustomerStatement(req.params.id, range);
+
+    const fields = [
+      { label: 'Date', value: 'date' },
+      { label: 'Type', value: 'type' },
+      { label: 'Reference', value: 'reference' },
+      { label: 'Order Number', value: 'orderNumber' },
+      { label: 'Description', value: 'description' },
+      { label: 'Debit (₦)', value: 'debit' },
+      { label: 'Credit (₦)', value: 'credit' },
+      { label: 'Balance (₦)', value: 'balance' }
+    ];
+
+    const csvData = [
+      {
+        date: range.from ? formatDate(range.from) : '',
+        type: 'OPENING_BALANCE',
+        description: 'Balance brought forward',
+        balance: statement.openingBalance.toFixed(2)
+      },
+      ...statement.entries.map(entry => ({
+        date: formatDate(entry.entryDate),
+        type: entry.type,
+        reference: entry.reference || '',
+        orderNumber: entry.orderNumber || '',
+        description: entry.description,
+        debit: entry.debit.toFixed(2),
+        credit: entry.credit.toFixed(2),
+        balance: entry.balance.toFixed(2)
+      })),
+      {
+        date: formatDate(range.to || new Date()),
+        type: 'CLOSING_BALANCE',
+        description: 'Balance carried forward',
+        debit: statement.summary.totalDebits.toFixed(2),
+        credit: statement.summary.totalCredits.toFixed(2),
+        balance: statement.closingBalance.toFixed(2)
+      }
+    ];
+
+    const parser = new Parser({ fields });
+    const csv = parser.parse(csvData);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${statementFileName(statement.customer, 'csv')}`);
+    res.send('\uFEFF' + csv); // Add BOM for Excel compatibility
+  })
+);
+
+// Export customer statement as PDF
+router.get('/customers/:id/statement/pdf',
+  authorizeModule('distribution'),
+  statementValidators,
+  asyncHandler(async (req, res) => {
+    const range = parseStatementRange(req);
+    const statement = await getCustomerStatement(req.params.id, range);
+    const { customer, summary } = statement;
+
+    const periodLabel = `${range.from ? formatDate(range.from) : 'Start of account'} to ${formatDate(range.to || new Date())}`;
+    const balanceNote = (balance) => balance > 0 ? '(due from customer)' : balance < 0 ? '(in customer\'s favour)' : '';
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'portrait'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${statementFileName(customer, 'pdf')}`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('CUSTOMER STATEMENT', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`Period: ${periodLabel}`, { align: 'center' })
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    const details = (rows) => {
+      let yPos = doc.y;
+      rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+        doc.font('Helvetica').text(String(value), { width: 350 });
+        yPos += 16;
+      });
+      doc.moveDown(1);
+    };
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('CUSTOMER', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Name:', customer.name],
+      ['Email / Phone:', `${customer.email || 'N/A'} / ${customer.phone || 'N/A'}`],
+      ['Address:', customer.address || 'N/A'],
+      ['Territory:', customer.territory || 'N/A']
+    ]);
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('SUMMARY', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Opening Balance:', `NGN ${formatMoney(statement.openingBalance)} ${balanceNote(statement.openingBalance)}`],
+      ['Invoiced:', `NGN ${formatMoney(summary.invoiced)}`],
+      ['Adjustments:', `NGN ${formatMoney(summary.adjustments)}`],
+      ['Credit Notes:', `NGN ${formatMoney(summary.creditNotes)}`],
+      ['Payments Received:', `NGN ${formatMoney(summary.payments)}`],
+      ['Refunds Paid:', `NGN ${formatMoney(summary.refunds)}`],
+      ['Closing Balance:', `NGN ${formatMoney(statement.closingBalance)} ${balanceNote(statement.closingBalance)}`]
+    ]);
+
+    // Entries
+    const headers = ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'];
+    const colWidths = [58, 62, 85, 150, 60, 60, 60];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 22;
+    let currentY = doc.y;
+
+    const drawHeader = () => {
+      doc.fontSize(8).font('Helvetica-Bold');
+      doc.rect(30, currentY, tableWidth, rowHeight).fill('#1e40af');
+      let xPos = 33;
+      headers.forEach((header, i) => {
+        doc.fillColor('#fff').text(header, xPos, currentY + 7, { width: colWidths[i] - 6, align: i >= 4 ? 'right' : 'left' });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+      doc.font('Helvetica').fontSize(7);
+    };
+
+    const drawRow = (cells, shaded) => {
+      if (currentY > 760) {
+        doc.addPage();
+        currentY = 50;
+        drawHeader();
+      }
+      if (shaded) {
+        doc.rect(30, currentY, tableWidth, rowHeight).fill('#f3f4f6');
+      }
+      let xPos = 33;
+      cells.forEach((cell, i) => {
+        doc.fillColor('#000').text(String(cell), xPos, currentY + 7, {
+          width: colWidths[i] - 6,
+          align: i >= 4 ? 'right' : 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+    };
+
+    drawHeader();
+    drawRow([range.from ? formatDate(range.from) : '', 'OPENING', '', 'Balance brought forward', '', '', formatMoney(statement.openingBalance)], false);
+    statement.entries.forEach((entry, index) => {
+      drawRow([
+        formatDate(entry.entryDate),
+        entry.type.replace(/_/g, ' '),
+        entry.reference || entry.orderNumber || '',
+        entry.description,
+        entry.debit ? formatMoney(entry.debit) : '',
+        entry.credit ? formatMoney(entry.credit) : '',
+        formatMoney(entry.balance)
+      ], index % 2 === 0);
+    });
+    doc.font('Helvetica-Bold');
+    drawRow(['', 'CLOSING', '', 'Balance carried forward', formatMoney(summary.totalDebits), formatMoney(summary.totalCredits), formatMoney(statement.closingBalance)], false);
+
+    doc.fontSize(8)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text('Debits are orders and upward adjustments; credits are payments, credit notes and downward adjustments. Credit moved between orders appears on both. Please report any discrepancies within 14 days.', 30, currentY + 15, { width: tableWidth });
+
+    doc.end();
+  })
+);
+
+module.exports = router;
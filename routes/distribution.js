@@ -12,6 +12,10 @@ const PDFDocument = require('pdfkit-table');
 const distributionPaymentRouter = require('./distributionPayment');
 const distributionCustomersRouter = require('./distribution-customers');
 const distributionPaymentService = require('../services/distributionPaymentService');
+const { checkDistributionCredit, enforceCreditCheck, logCreditOverride } = require('../services/creditControlService');
+const { postCustomerLedgerEntry, postOrderAdjustment } = require('../services/customerLedgerService');
+const { applyCreditToOrder } = require('../services/customerCreditService');
+const { getPalletPriceAsOf } = require('../services/ratePricingService');
 
 
 
@@ -62,8 +66,16 @@ const createOrderValidation = [
     .isFloat({ min: 0 })
     .withMessage('Amount must be a positive number'),
   body('remark')
+    .optional()
+    .trim(),
+  body('creditOverrideReason')
     .optional()
     .trim()
+    .isLength({ max: 500 }),
+  body('applyCustomerCredit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Customer credit to apply must be a positive number')
 ];
 
 
@@ -114,7 +126,8 @@ const priceAdjustmentValidation = [
 // BUSINESS LOGIC FUNCTIONS
 // ================================
 
-const calculatePalletPrice = async (productId, pallets, packs, locationId = null) => {
+// Prices come from the rate in force on `asOf` (order date), never a scheduled one
+const calculatePalletPrice = async (productId, pallets, packs, locationId = null, asOf = new Date()) => {
   const product = await prisma.product.findUnique({
     where: { id: productId }
   });
@@ -123,19 +136,8 @@ const calculatePalletPrice = async (productId, pallets, packs, locationId = null
     throw new NotFoundError('Product not found');
   }
 
-  // Check for location-specific pricing (base price only, no adjustments)
-  let effectivePrice = product.pricePerPack;
-
-  if (locationId) {
-    const locationPricing = await prisma.palletPricing.findFirst({
-      where: { productId, locationId, isActive: true },
-      orderBy: { effectiveDate: 'desc' }
-    });
-
-    if (locationPricing) {
-      effectivePrice = locationPricing.pricePerPack;
-    }
-  }
+  // Location price, else default pallet price, else product list price (base price only, no adjustments)
+  const { pricePerPack: effectivePrice, source: priceSource } = await getPalletPriceAsOf(productId, locationId, asOf);
 
   // ✅ SIMPLE: Just quantity × Rite Foods price
   const palletPacks = pallets * product.packsPerPallet;
@@ -145,7 +147,8 @@ const calculatePalletPrice = async (productId, pallets, packs, locationId = null
   return {
     finalAmount: parseFloat(finalAmount.toFixed(2)),
     totalPacks,
-    effectivePrice: parseFloat(effectivePrice)
+    effectivePrice: parseFloat(effectivePrice),
+    priceSource
   };
 };
 
@@ -164,7 +167,8 @@ const validateTruckCapacity = async (orderItems) => {
 };
 
 // Helper function to validate order before creation
-async function validateOrderCreation(customerId, orderItems, totalAmount) {
+// amountPaid is the deposit taken with the order; only the rest goes on credit
+async function validateOrderCreation(customerId, orderItems, totalAmount, amountPaid = 0) {
   // Check customer
   const customer = await prisma.customer.findUnique({
     where: { id: customerId }
@@ -178,28 +182,7 @@ async function validateOrderCreation(customerId, orderItems, totalAmount) {
     throw new ValidationError('Customer account is inactive');
   }
 
-  // Check credit limit
-  if (customer.creditLimit) {
-    const currentSpent = parseFloat(customer.totalSpent || 0);
-    const creditLimit = parseFloat(customer.creditLimit);
-    const availableCredit = creditLimit - currentSpent;
-
-    if (totalAmount > availableCredit) {
-      return {
-        valid: false,
-        error: `Order exceeds available credit. Available: ₦${availableCredit.toFixed(2)}, Requested: ₦${totalAmount.toFixed(2)}`,
-        requiresApproval: true,
-        customer: {
-          name: customer.name,
-          creditLimit,
-          currentSpent,
-          availableCredit
-        }
-      };
-    }
-  }
-
-  // Validate products
+  // Validate products first: a credit override only ever bypasses the credit failure
   for (const item of orderItems) {
     const product = await prisma.product.findUnique({
       where: { id: item.productId }
@@ -213,11 +196,29 @@ async function validateOrderCreation(customerId, orderItems, totalAmount) {
       throw new ValidationError(`Product ${product.name} is inactive`);
     }
 
-    if (product.module !== 'DISTRIBUTION') {
+    if (!['DISTRIBUTION', 'BOTH'].includes(product.module)) {
       throw new ValidationError(`Product ${product.name} is not available for distribution`);
     }
   }
 
+  // Check credit limit and overdue balances
+  const creditCheck = await checkDistributionCredit(customer, Math.max(0, totalAmount - amountPaid));
+
+  if (!creditCheck.allowed) {
+    return {
+      valid: false,
+      error: creditCheck.failures.map(f => f.message).join('; '),
+      requiresApproval: true,
+      creditCheck,
+      customer: {
+        name: customer.name,
+        creditLimit: creditCheck.creditLimit,
+        outstandingDebt: creditCheck.outstandingDebt,
+        availableCredit: creditCheck.availableCredit
+      }
+    };
+  }
+
   return {
     valid: true,
     customer
@@ -235,7 +236,8 @@ router.post('/orders/validate',
     body('orderItems').isArray({ min: 1 }),
     body('orderItems.*.productId').custom(validateCuid('product ID')),
     body('orderItems.*.pallets').isInt({ min: 0 }),
-    body('orderItems.*.packs').isInt({ min: 0 })
+    body('orderItems.*.packs').isInt({ min: 0 }),
+    body('amountPaid').optional().isFloat({ min: 0 })
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -243,7 +245,7 @@ router.post('/orders/validate',
       throw new ValidationError('Invalid input data', errors.array());
     }
 
-    const { customerId, locationId, orderItems } = req.body;
+    const { customerId, locationId, orderItems, amountPaid } = req.body;
 
     // Calculate total
     let totalAmount = 0;
@@ -272,7 +274,8 @@ router.post('/orders/validate',
     const validation = await validateOrderCreation(
       customerId,
       orderItems,
-      totalAmount
+      totalAmount,
+      parseFloat(amountPaid) || 0
     );
 
     res.json({
@@ -308,7 +311,7 @@ router.post('/orders',
       });
     }
 
-    const { customerId, supplierCompanyId, locationId, deliveryLocation, orderItems, amountPaid, remark } = req.body;
+    const { customerId, supplierCompanyId, locationId, deliveryLocation, orderItems, amountPaid, remark, creditOverrideReason, applyCustomerCredit } = req.body;
 
     const orderNumber = await generateDistributionOrderNumber();
 
@@ -380,6 +383,7 @@ router.post('/orders',
     let totalPacks = 0;
     let totalAmount = 0;
     const validatedItems = [];
+    const orderDate = new Date();
 
     for (const item of orderItems) {
       // Verify product exists
@@ -398,7 +402,13 @@ router.post('/orders',
       const pallets = parseInt(item.pallets) || 0;
       const addonPacks = parseInt(item.addonPacks) || 0;
       const packs = parseInt(item.packs) || 0;
-      const amount = parseFloat(item.amount) || 0;
+
+      // Items sent without an amount are priced from the price list in force today
+      let amount = parseFloat(item.amount) || 0;
+      if (item.amount === undefined || item.amount === null || item.amount === '') {
+        const { pricePerPack } = await getPalletPriceAsOf(item.productId, finalLocationId, orderDate);
+        amount = parseFloat((packs * pricePerPack).toFixed(2));
+      }
 
       totalPallets += pallets;
       totalPacks += packs;
@@ -416,6 +426,14 @@ router.post('/orders',
     // Calculate payment details
     const initialPayment = parseFloat(amountPaid) || 0;
     const orderBalance = totalAmount - initialPayment;
+    const creditToApply = parseFloat(applyCustomerCredit) || 0;
+
+    // Credit control: orders over the limit or for customers with overdue balances need a manager override
+    // (customer credit applied to the order counts like an upfront payment)
+    const validation = await validateOrderCreation(customerId, validatedItems, totalAmount, initialPayment + creditToApply);
+    const creditOverride = validation.valid
+      ? null
+      : enforceCreditCheck(validation.creditCheck, req.user, creditOverrideReason);
 
     // Determine payment status based on amount paid
     let paymentStatus = 'PENDING';
@@ -521,6 +539,17 @@ router.post('/orders',
         console.log('⚠️ Weekly performance update skipped:', error.message);
       }
 
+      // Invoice the order on the customer's ledger
+      await postCustomerLedgerEntry(tx, {
+        customerId,
+        orderId: createdOrder.id,
+        type: 'INVOICE',
+        debit: totalAmount,
+        reference: orderNumber,
+        description: `Order ${orderNumber}`,
+        createdBy: req.user.id
+      });
+
       // Create initial payment history record if customer paid something
       if (initialPayment > 0) {
         const customerData = await tx.customer.findUnique({
@@ -528,7 +557,7 @@ router.post('/orders',
           select: { name: true }
         });
 
-        await tx.paymentHistory.create({
+        const payment = await tx.paymentHistory.create({
           data: {
             orderId: createdOrder.id,
             amount: initialPayment,
@@ -539,17 +568,40 @@ router.post('/orders',
             notes: 'Initial payment during order creation'
           }
         });
+
+        await postCustomerLedgerEntry(tx, {
+          customerId,
+          orderId: createdOrder.id,
+          type: 'PAYMENT',
+          credit: initialPayment,
+          reference: orderNumber,
+          description: 'Initial payment during order creation',
+          sourceId: payment.id,
+          createdBy: req.user.id
+        });
+      }
+
+      // Settle part of the order from the customer's overpayments on other orders
+      let creditAllocation = null;
+      if (creditToApply > 0) {
+        const applied = await applyCreditToOrder(tx, {
+          order: createdOrder,
+          amount: creditToApply,
+          notes: 'Applied during order creation',
+          userId: req.user.id
+        });
+        creditAllocation = applied.allocation;
+        Object.assign(createdOrder, {
+          amountPaid: applied.order.amountPaid,
+          balance: applied.order.balance,
+          paymentStatus: applied.order.paymentStatus
+        });
       }
 
-      // Update customer balance
-      // Customer balance logic: Positive = customer owes us, Negative = we owe customer (credit)
-      // When order is created: add the balance to customer's total balance
+      // Customer balance moves with the ledger postings above
       await tx.customer.update({
         where: { id: customerId },
         data: {
-          customerBalance: {
-            increment: orderBalance
-          },
           totalOrders: {
             increment: 1
           },
@@ -574,20 +626,37 @@ router.post('/orders',
             totalAmount,
             amountPaid: initialPayment,
             balance: orderBalance,
-            paymentStatus
+            paymentStatus,
+            creditApplied: creditAllocation ? creditToApply : 0
           }
         }
       });
 
-      return createdOrder;
+      return { ...createdOrder, creditAllocation };
     });
 
     console.log('✅ Order created successfully:', order.id);
 
+    if (creditOverride) {
+      await logCreditOverride(creditOverride, {
+        userId: req.user.id,
+        entity: 'DistributionOrder',
+        entityId: order.id,
+        customerId,
+        ipAddress: getClientIP(req),
+        userAgent: req.get('user-agent') || null
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: { order }
+      data: {
+        order,
+        creditOverride: creditOverride
+          ? { reason: creditOverride.reason, failedChecks: creditOverride.failedChecks }
+          : null
+      }
     });
   })
 );
@@ -938,28 +1007,13 @@ router.patch('/orders/:id/items',
         }
       });
 
-      // Recalculate customer balance (sum of all ACTIVE order balances)
-      // Order balance: Positive = customer owes us (debt), Negative = overpaid (credit)
-      // Customer balance: Negative = customer owes us (debt), Positive = overpaid (credit)
-      // So we need to invert the sign. Exclude CANCELLED orders — their balance should be 0.
-      const customerOrders = await tx.distributionOrder.findMany({
-        where: { customerId: existingOrder.customerId, status: { not: 'CANCELLED' } },
-        select: { balance: true }
-      });
-
-      const totalOrderBalance = customerOrders.reduce((sum, order) => {
-        return sum + parseFloat(order.balance || 0);
-      }, 0);
-
-      // Invert the sign: order balance (positive = debt) -> customer balance (negative = debt)
-      const customerBalance = -totalOrderBalance;
-
-      // Update customer balance
-      await tx.customer.update({
-        where: { id: existingOrder.customerId },
-        data: {
-          customerBalance: customerBalance
-        }
+      // Post the change in what the customer owes on this order
+      await postOrderAdjustment(tx, {
+        order: existingOrder,
+        oldBalance: existingOrder.balance,
+        newBalance: order.balance,
+        description: `Order ${existingOrder.orderNumber || id} items edited`,
+        createdBy: userId
       });
 
       return order;
@@ -1175,14 +1229,14 @@ router.post('/orders/:id/price-adjustments',
         }
       });
 
-      // ✅ Update customer balance
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: {
-          customerBalance: {
-            increment: balanceChange
-          }
-        }
+      // ✅ Post the balance change to the customer's ledger
+      await postOrderAdjustment(tx, {
+        order,
+        oldBalance,
+        newBalance: oldBalance + balanceChange,
+        description: `Price adjustment: ${reason}`,
+        sourceId: adjustment.id,
+        createdBy: req.user.id
       });
 
       // Log the adjustment in audit trail
@@ -1897,7 +1951,7 @@ router.get('/reports/payment-reconciliation',
 );
 
 // @route   GET /api/v1/distribution/reports/delivery-performance
-// @desc    Delivery performance report
+// @desc    Delivery performance report, with credit notes and supplier claims for short deliveries
 // @access  Private (Admin)
 router.get('/reports/delivery-performance',
   authorizeModule('distribution', 'admin'),
@@ -1915,7 +1969,20 @@ router.get('/reports/delivery-performance',
       },
       include: {
         customer: { select: { name: true } },
-        location: { select: { name: true } }
+        location: { select: { name: true } },
+        creditNotes: {
+          where: { reason: 'DELIVERY_SHORTFALL' },
+          select: { creditNoteNumber: true, amount: true, refundDue: true, lines: true }
+        },
+        supplierClaims: {
+          select: {
+            claimNumber: true,
+            packs: true,
+            amount: true,
+            status: true,
+            supplierCompany: { select: { name: true } }
+          }
+        }
       }
     });
 
@@ -1929,7 +1996,59 @@ router.get('/reports/delivery-performance',
       byLocation: {}
     };
 
+    const shortfall = {
+      undeliveredPacks: 0,
+      creditedAmount: 0,
+      refundDue: 0,
+      claimedPacks: 0,
+      claimedAmount: 0,
+      claimsByStatus: {},
+      byReason: {}
+    };
+    const shortDeliveries = [];
+
     orders.forEach(order => {
+      if (order.creditNotes.length > 0 || order.supplierClaims.length > 0) {
+        const lines = order.creditNotes.flatMap(note => note.lines || []);
+        const credited = order.creditNotes.reduce((sum, note) => sum + parseFloat(note.amount), 0);
+        const refundDue = order.creditNotes.reduce((sum, note) => sum + parseFloat(note.refundDue), 0);
+
+        lines.forEach(line => {
+          shortfall.undeliveredPacks += line.packs;
+          if (!shortfall.byReason[line.reason]) {
+            shortfall.byReason[line.reason] = { packs: 0, amount: 0 };
+          }
+          shortfall.byReason[line.reason].packs += line.packs;
+          shortfall.byReason[line.reason].amount += line.amount;
+        });
+        shortfall.creditedAmount += credited;
+        shortfall.refundDue += refundDue;
+
+        order.supplierClaims.forEach(claim => {
+          shortfall.claimedPacks += claim.packs;
+          shortfall.claimedAmount += parseFloat(claim.amount);
+          shortfall.claimsByStatus[claim.status] = (shortfall.claimsByStatus[claim.status] || 0) + 1;
+        });
+
+        shortDeliveries.push({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          customer: order.customer.name,
+          location: order.location.name,
+          creditNotes: order.creditNotes.map(note => note.creditNoteNumber),
+          creditedAmount: parseFloat(credited.toFixed(2)),
+          refundDue: parseFloat(refundDue.toFixed(2)),
+          lines,
+          supplierClaims: order.supplierClaims.map(claim => ({
+            claimNumber: claim.claimNumber,
+            supplier: claim.supplierCompany.name,
+            packs: claim.packs,
+            amount: parseFloat(claim.amount),
+            status: claim.status
+          }))
+        });
+      }
+
       summary.totalOrderedPacks += order.totalPacks;
       summary.totalDeliveredPacks += (order.deliveredPacks || 0);
 
@@ -1972,6 +2091,17 @@ router.get('/reports/delivery-performance',
           deliveryRate: `${deliveryRate.toFixed(2)}%`,
           successRate: `${successRate.toFixed(2)}%`
         },
+        shortfall: {
+          ...shortfall,
+          creditedAmount: parseFloat(shortfall.creditedAmount.toFixed(2)),
+          refundDue: parseFloat(shortfall.refundDue.toFixed(2)),
+          claimedAmount: parseFloat(shortfall.claimedAmount.toFixed(2)),
+          byReason: Object.fromEntries(Object.entries(shortfall.byReason).map(([reason, stats]) => [
+            reason,
+            { packs: stats.packs, amount: parseFloat(stats.amount.toFixed(2)) }
+          ]))
+        },
+        shortDeliveries,
         locationPerformance: Object.entries(summary.byLocation).map(([location, stats]) => ({
           location,
           ...stats,
@@ -2066,17 +2196,28 @@ router.get('/reports/supplier-orders',
 // @access  Private (Distribution module access)
 router.get('/locations/available',
   authorizeModule('distribution'),
+  [
+    query('asOf').optional().isISO8601().withMessage('asOf must be a valid date')
+  ],
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    // Rates in force on asOf (default now); scheduled rates are not shown until they start
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
     const locations = await prisma.location.findMany({
       where: { isActive: true },
       include: {
         haulageRates: {
-          where: { isActive: true },
+          where: { isActive: true, effectiveDate: { lte: asOf } },
           orderBy: { effectiveDate: 'desc' },
           take: 1
         },
         salaryRates: {
-          where: { isActive: true },
+          where: { isActive: true, effectiveDate: { lte: asOf } },
           orderBy: { effectiveDate: 'desc' },
           take: 1
         },
@@ -2135,7 +2276,8 @@ router.get('/locations/available',
 router.get('/locations/:id/pricing',
   authorizeModule('distribution'),
   [
-    param('id').custom(validateCuid('location ID'))
+    param('id').custom(validateCuid('location ID')),
+    query('asOf').optional().isISO8601().withMessage('asOf must be a valid date')
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -2145,16 +2287,10 @@ router.get('/locations/:id/pricing',
 
     const { id } = req.params;
 
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
     const location = await prisma.location.findUnique({
-      where: { id },
-      include: {
-        palletPricing: {
-          where: { isActive: true },
-          include: {
-            product: true
-          }
-        }
-      }
+      where: { id }
     });
 
     if (!location) {
@@ -2169,14 +2305,9 @@ router.get('/locations/:id/pricing',
       }
     });
 
-    const productPricing = products.map(product => {
-      const customPricing = location.palletPricing.find(
-        p => p.productId === product.id
-      );
-
-      const pricePerPack = customPricing 
-        ? parseFloat(customPricing.pricePerPack)
-        : parseFloat(product.pricePerPack);
+    // Same as-of lookup used when orders are priced
+    const productPricing = await Promise.all(products.map(async product => {
+      const { pricePerPack, source } = await getPalletPriceAsOf(product.id, id, asOf);
 
       // ✅ No fuel adjustment - just the base price
       return {
@@ -2184,9 +2315,10 @@ router.get('/locations/:id/pricing',
         productName: product.name,
         packsPerPallet: product.packsPerPallet,
         pricePerPack: pricePerPack,
-        pricePerPallet: parseFloat((pricePerPack * product.packsPerPallet).toFixed(2))
+        pricePerPallet: parseFloat((pricePerPack * product.packsPerPallet).toFixed(2)),
+        priceSource: source
       };
-    });
+    }));
 
     res.json({
       success: true,
@@ -2196,6 +2328,7 @@ router.get('/locations/:id/pricing',
           name: location.name,
           fuelAdjustment: parseFloat(location.fuelAdjustment || 0)
         },
+        asOf,
         products: productPricing
       }
     });
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const distributionPaymentService = require('../services/distributionPaymentService');
 const distributionDeliveryService = require('../services/distributionDeliveryService');
@@ -15,7 +15,20 @@ const {
 
 
 const prisma = require('../lib/prisma');
+const PDFDocument = require('pdfkit');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
+const { readAttachment } = require('../services/attachmentService');
+const { SHORTFALL_REASONS } = require('../services/deliveryReconciliationService');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  ALLOCATION_TYPES,
+  ALLOCATION_STATUSES,
+  applyCustomerCredit,
+  requestCreditRefund,
+  approveCreditRefund,
+  rejectCreditRefund,
+  getCustomerCredit
+} = require('../services/customerCreditService');
 
 // Helper for validation
 const validateCuid = (field) => {
@@ -124,13 +137,14 @@ router.post('/payments/confirm',
 );
 
 // @route   POST /api/v1/distribution/payments/supplier
-// @desc    Record payment to supplier (Admin only)
+// @desc    Record payment to supplier, optionally settled partly from supplier credit (Admin only)
 // @access  Private (Admin)
 router.post('/payments/supplier',
   authorizeModule('distribution', 'admin'),
   [
     body('orderId').custom(validateCuid('order ID')),
-    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+    body('creditApplied').optional().isFloat({ min: 0 }).withMessage('Credit applied must be a positive number'),
     body('paymentMethod').isIn(['BANK_TRANSFER', 'CHECK']),
     body('reference').optional().trim(),
     body('supplierOrderNumber').optional().trim(),
@@ -145,6 +159,7 @@ router.post('/payments/supplier',
     const {
       orderId,
       amount,
+      creditApplied,
       paymentMethod,
       reference,
       supplierOrderNumber,
@@ -154,6 +169,7 @@ router.post('/payments/supplier',
     const result = await distributionPaymentService.recordPaymentToSupplier({
       orderId,
       amount,
+      creditApplied,
       paymentMethod,
       reference,
       supplierOrderNumber,
@@ -245,6 +261,141 @@ router.get('/payments/:orderId/summary',
   })
 );
 
+// @route   GET /api/v1/distribution/payments/credit/:customerId
+// @desc    Customer credit available to allocate (overpaid orders, pending refunds) and allocation history
+// @access  Private (Distribution access)
+router.get('/payments/credit/:customerId',
+  authorizeModule('distribution'),
+  [
+    param('customerId').custom(validateCuid('customer ID')),
+    query('status').optional().isIn(ALLOCATION_STATUSES),
+    query('type').optional().isIn(ALLOCATION_TYPES),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const credit = await getCustomerCredit(req.params.customerId, req.query);
+
+    res.json({
+      success: true,
+      data: credit
+    });
+  })
+);
+
+// @route   POST /api/v1/distribution/payments/credit/apply
+// @desc    Apply customer credit to an order's outstanding balance (amount defaults to as much as possible)
+// @access  Private (Distribution write access)
+router.post('/payments/credit/apply',
+  authorizeModule('distribution', 'write'),
+  [
+    body('orderId').custom(validateCuid('order ID')),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { orderId, amount, notes } = req.body;
+
+    const result = await applyCustomerCredit(orderId, { amount, notes }, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: `₦${parseFloat(result.allocation.amount).toFixed(2)} of customer credit applied`,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/distribution/payments/credit/refund
+// @desc    Request a cash refund of customer credit (needs admin approval)
+// @access  Private (Distribution write access)
+router.post('/payments/credit/refund',
+  authorizeModule('distribution', 'write'),
+  [
+    body('customerId').custom(validateCuid('customer ID')),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('paymentMethod').isIn(['BANK_TRANSFER', 'CASH', 'CHECK', 'WHATSAPP_TRANSFER', 'POS', 'MOBILE_MONEY']),
+    body('reference').optional().trim(),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { customerId, ...refund } = req.body;
+
+    const allocation = await requestCreditRefund(customerId, refund, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Refund ${allocation.allocationNumber} submitted for approval`,
+      data: { allocation }
+    });
+  })
+);
+
+// @route   POST /api/v1/distribution/payments/credit/refund/:id/approve
+// @desc    Approve a credit refund; the credit is drawn from the customer's overpaid orders
+// @access  Private (Distribution admin)
+router.post('/payments/credit/refund/:id/approve',
+  authorizeModule('distribution', 'admin'),
+  [
+    param('id').custom(validateCuid('refund ID')),
+    body('reference').optional().trim(),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const allocation = await approveCreditRefund(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: `Refund ${allocation.allocationNumber} approved`,
+      data: { allocation }
+    });
+  })
+);
+
+// @route   POST /api/v1/distribution/payments/credit/refund/:id/reject
+// @desc    Reject a credit refund request
+// @access  Private (Distribution admin)
+router.post('/payments/credit/refund/:id/reject',
+  authorizeModule('distribution', 'admin'),
+  [
+    param('id').custom(validateCuid('refund ID')),
+    body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const allocation = await rejectCreditRefund(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: `Refund ${allocation.allocationNumber} rejected`,
+      data: { allocation }
+    });
+  })
+);
+
 // @route   GET /api/v1/distribution/payments/pending
 // @desc    Get orders with pending payments (for accountant dashboard)
 // @access  Private (Admin)
@@ -392,7 +543,7 @@ router.post('/delivery/assign-transport',
 );
 
 // @route   POST /api/v1/distribution/delivery/record
-// @desc    Record delivery outcome (full, partial, or failed)
+// @desc    Record delivery outcome (full, partial, or failed); partial deliveries are credited per line
 // @access  Private (Distribution admin)
 router.post('/delivery/record',
   authorizeModule('distribution', 'admin'),
@@ -404,7 +555,19 @@ router.post('/delivery/record',
     body('deliveredBy').trim().notEmpty().withMessage('Delivered by is required'),
     body('deliveryNotes').optional().trim(),
     body('nonDeliveryReason').optional().trim(),
-    body('partialDeliveryReason').optional().trim()
+    body('partialDeliveryReason').optional().trim(),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.orderItemId').custom(validateCuid('order item ID')),
+    body('items.*.deliveredPacks').isInt({ min: 0 }).withMessage('Delivered packs must be a non-negative integer'),
+    body('items.*.deliveredPallets').optional().isInt({ min: 0 }).withMessage('Delivered pallets must be a non-negative integer'),
+    body('items.*.shortfallReason').optional().isIn(SHORTFALL_REASONS).withMessage(`Shortfall reason must be one of ${SHORTFALL_REASONS.join(', ')}`),
+    body('receiverName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Receiver name must be 2-100 characters'),
+    body('receiverPhone').optional().trim().isLength({ max: 20 }).withMessage('Receiver phone must not exceed 20 characters'),
+    body('signatureAttachmentId').optional().custom(validateCuid('signature attachment ID')),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('gpsAccuracy').optional().isFloat({ min: 0 }).withMessage('GPS accuracy must be a positive number of metres'),
+    body('capturedAt').optional().isISO8601().withMessage('Captured at must be a valid date')
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -420,9 +583,21 @@ router.post('/delivery/record',
       deliveredBy,
       deliveryNotes,
       nonDeliveryReason,
-      partialDeliveryReason
+      partialDeliveryReason,
+      items,
+      receiverName,
+      receiverPhone,
+      signatureAttachmentId,
+      latitude,
+      longitude,
+      gpsAccuracy,
+      capturedAt
     } = req.body;
 
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      throw new ValidationError('Latitude and longitude must be provided together');
+    }
+
     const order = await distributionDeliveryService.recordDelivery({
       orderId,
       deliveryStatus,
@@ -432,6 +607,16 @@ router.post('/delivery/record',
       deliveryNotes,
       nonDeliveryReason,
       partialDeliveryReason,
+      items,
+      proof: {
+        receiverName,
+        receiverPhone,
+        signatureAttachmentId,
+        latitude,
+        longitude,
+        gpsAccuracy,
+        capturedAt
+      },
       reviewerId: req.user.id
     });
 
@@ -470,6 +655,192 @@ router.get('/delivery/:orderId/summary',
   })
 );
 
+// @route   GET /api/v1/distribution/delivery/:orderId/proof
+// @desc    Printable proof-of-delivery PDF (receiver, signature, GPS, per-product quantities, photos)
+// @access  Private (Distribution access)
+router.get('/delivery/:orderId/proof',
+  authorizeModule('distribution'),
+  [
+    param('orderId').custom(validateCuid('order ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { order, proof, photos } = await distributionDeliveryService.getDeliveryProof(req.params.orderId);
+
+    // Only JPEG and PNG can be embedded; a missing file shouldn't stop the document
+    const loadImage = async (attachment) => {
+      if (!attachment || !['image/jpeg', 'image/png'].includes(attachment.contentType)) return null;
+      try {
+        return await readAttachment(attachment);
+      } catch (error) {
+        console.error(`POD image ${attachment.id} unavailable:`, error.message);
+        return null;
+      }
+    };
+
+    const signatureImage = await loadImage(proof.signature);
+    const photoImages = (await Promise.all(photos.slice(0, 4).map(loadImage))).filter(Boolean);
+    const reference = order.orderNumber || order.id;
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'portrait'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=proof-of-delivery-${reference}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('PROOF OF DELIVERY', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`Order ${reference}`, { align: 'center' })
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    const section = (title) => {
+      doc.fontSize(12)
+         .font('Helvetica-Bold')
+         .fillColor('#1e40af')
+         .text(title, 50);
+      doc.fontSize(10)
+         .font('Helvetica')
+         .fillColor('#000');
+    };
+
+    const details = (rows) => {
+      let yPos = doc.y + 10;
+      rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+        doc.font('Helvetica').text(String(value), { width: 350 });
+        yPos += 16;
+      });
+      doc.moveDown(1.5);
+    };
+
+    section('DELIVERY');
+    details([
+      ['Customer:', order.customer.name],
+      ['Location:', order.location.name],
+      ['Delivery Address:', order.deliveryLocation || order.customer.address || 'N/A'],
+      ['Status:', order.deliveryStatus.replace(/_/g, ' ')],
+      ['Delivered At:', order.deliveredAt ? new Date(order.deliveredAt).toLocaleString('en-NG') : 'N/A'],
+      ['Transporter:', order.transporterCompany || 'N/A'],
+      ['Truck / Driver:', `${order.truckNumber || 'N/A'} / ${order.driverNumber || 'N/A'}`],
+      ['Delivered By:', order.deliveredBy || 'N/A']
+    ]);
+
+    section('RECEIVED BY');
+    details([
+      ['Name:', proof.receiverName],
+      ['Phone:', proof.receiverPhone || 'N/A'],
+      ['Hand-over Time:', new Date(proof.capturedAt).toLocaleString('en-NG')],
+      ['GPS:', proof.latitude !== null
+        ? `${parseFloat(proof.latitude)}, ${parseFloat(proof.longitude)}${proof.gpsAccuracy !== null ? ` (±${parseFloat(proof.gpsAccuracy)} m)` : ''}`
+        : 'Not captured'],
+      ['Recorded By:', proof.recordedByUser?.username || 'N/A']
+    ]);
+
+    // Per-product quantities
+    section('QUANTITIES');
+    doc.moveDown(0.5);
+
+    const headers = ['Product', 'Ordered Pallets', 'Ordered Packs', 'Delivered Pallets', 'Delivered Packs', 'Short Packs'];
+    const colWidths = [155, 75, 75, 75, 75, 80];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 22;
+    let currentY = doc.y;
+
+    const drawHeader = () => {
+      doc.fontSize(9).font('Helvetica-Bold');
+      doc.rect(30, currentY, tableWidth, rowHeight).fill('#1e40af');
+      let xPos = 35;
+      headers.forEach((header, i) => {
+        doc.fillColor('#fff').text(header, xPos, currentY + 7, { width: colWidths[i] - 10, align: 'left' });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+      doc.font('Helvetica').fontSize(8);
+    };
+
+    drawHeader();
+
+    order.orderItems.forEach((item, rowIndex) => {
+      if (currentY > 760) {
+        doc.addPage();
+        currentY = 50;
+        drawHeader();
+      }
+      if (rowIndex % 2 === 0) {
+        doc.rect(30, currentY, tableWidth, rowHeight).fill('#f3f4f6');
+      }
+      const delivered = item.deliveredPacks;
+      const row = [
+        item.product.name,
+        item.pallets,
+        item.packs,
+        item.deliveredPallets ?? '-',
+        delivered ?? '-',
+        delivered !== null ? item.packs - delivered : '-'
+      ];
+      let xPos = 35;
+      row.forEach((cell, i) => {
+        doc.fillColor('#000').text(String(cell), xPos, currentY + 7, { width: colWidths[i] - 10, align: 'left', lineBreak: false, ellipsis: true });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+    });
+
+    doc.y = currentY + 10;
+    doc.x = 30;
+
+    if (order.partialDeliveryReason || order.deliveryNotes) {
+      doc.fontSize(9)
+         .fillColor('#000')
+         .text(`Notes: ${[order.partialDeliveryReason, order.deliveryNotes].filter(Boolean).join(' - ')}`, 50, doc.y, { width: 500 });
+    }
+    doc.moveDown(1.5);
+
+    // Signature
+    if (doc.y > 650) doc.addPage();
+    section('RECEIVER SIGNATURE');
+    const signatureY = doc.y + 10;
+    doc.rect(50, signatureY, 220, 90).stroke('#999');
+    if (signatureImage) {
+      doc.image(signatureImage, 55, signatureY + 5, { fit: [210, 80], align: 'center', valign: 'center' });
+    } else {
+      doc.fontSize(9).fillColor('#666').text('No signature captured', 60, signatureY + 40);
+    }
+    doc.y = signatureY + 105;
+    doc.x = 30;
+
+    // Photos (first four, two per row)
+    if (photoImages.length > 0) {
+      if (doc.y > 400) doc.addPage();
+      section(`DELIVERY PHOTOS (${photos.length})`);
+      const photoY = doc.y + 10;
+      photoImages.forEach((image, i) => {
+        doc.image(image, 50 + (i % 2) * 255, photoY + Math.floor(i / 2) * 190, { fit: [245, 180] });
+      });
+    }
+
+    doc.end();
+  })
+);
+
 // @route   GET /api/v1/distribution/delivery/in-transit
 // @desc    Get all orders currently in transit
 // @access  Private (Distribution access)
@@ -0,0 +1,515 @@
+// routes/fleet-maintenance.js - Truck odometer, service schedules, work orders and downtime
+//
+// Mounted at /api/v1/transport/maintenance. Trucks are addressed by their
+// truckId (e.g. "TRK-001"), as in /api/v1/transport/trucks.
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const prisma = require('../lib/prisma');
+const {
+  WORK_ORDER_TYPES,
+  WORK_ORDER_STATUSES,
+  DOWNTIME_REASONS,
+  SCHEDULE_STATUSES,
+  recordOdometerReading,
+  listOdometerReadings,
+  createServiceSchedule,
+  updateServiceSchedule,
+  listServiceSchedules,
+  getMaintenanceAlerts,
+  createWorkOrder,
+  updateWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder,
+  getWorkOrder,
+  listWorkOrders,
+  createDowntime,
+  updateDowntime,
+  deleteDowntime,
+  getDowntimeCalendar,
+  getTruckServiceHistory
+} = require('../services/fleetMaintenanceService');
+
+const router = express.Router();
+
+router.use(authorizeModule('transport'));
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+const truckIdParam = param('truckId').trim().notEmpty().withMessage('Truck ID is required');
+
+const itemValidation = [
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemType').isIn(['PART', 'LABOUR']).withMessage('Item type must be PART or LABOUR'),
+  body('items.*.description').trim().notEmpty().withMessage('Item description is required'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than zero'),
+  body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be zero or more')
+];
+
+// ================================
+// ALERTS & CALENDAR
+// ================================
+
+// @route   GET /api/v1/transport/maintenance/alerts
+// @desc    Services overdue or due soon, and trucks currently out of service
+// @access  Private (Transport module access)
+router.get('/alerts',
+  [query('truckId').optional().trim()],
+  asyncHandler(async (req, res) => {
+    const alerts = await getMaintenanceAlerts({ truckId: req.query.truckId });
+
+    res.json({
+      success: true,
+      data: alerts
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/maintenance/downtime
+// @desc    Downtime calendar for a window (default the next 30 days), with days out of service per truck
+// @access  Private (Transport module access)
+router.get('/downtime',
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('truckId').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { startDate, endDate, truckId } = req.query;
+    const to = endDate ? new Date(endDate) : null;
+    if (to) to.setHours(23, 59, 59, 999);
+
+    const calendar = await getDowntimeCalendar({
+      from: startDate ? new Date(startDate) : null,
+      to,
+      truckId
+    });
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/maintenance/downtime
+// @desc    Book a truck out of service (no endDate = until further notice)
+// @access  Private (Transport module write)
+router.post('/downtime',
+  authorizeModule('transport', 'write'),
+  [
+    body('truckId').trim().notEmpty().withMessage('Truck ID is required'),
+    body('reason').isIn(DOWNTIME_REASONS).withMessage(`Reason must be one of ${DOWNTIME_REASONS.join(', ')}`),
+    body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const downtime = await createDowntime(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Truck downtime recorded',
+      data: { downtime }
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/maintenance/downtime/:id
+// @desc    Change downtime dates (set endDate to put the truck back in service)
+// @access  Private (Transport module write)
+router.put('/downtime/:id',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('downtime ID')),
+    body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('endDate').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const downtime = await updateDowntime(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Truck downtime updated',
+      data: { downtime }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/transport/maintenance/downtime/:id
+// @desc    Delete downtime entered by mistake
+// @access  Private (Transport module admin)
+router.delete('/downtime/:id',
+  authorizeModule('transport', 'admin'),
+  [param('id').custom(validateCuid('downtime ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    await deleteDowntime(req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Truck downtime deleted'
+    });
+  })
+);
+
+// ================================
+// SERVICE SCHEDULES
+// ================================
+
+// @route   GET /api/v1/transport/maintenance/schedules
+// @desc    Service schedules with next due km/date and status (?status=OVERDUE|DUE_SOON|OK|UNKNOWN)
+// @access  Private (Transport module access)
+router.get('/schedules',
+  [
+    query('truckId').optional().trim(),
+    query('status').optional().isIn(SCHEDULE_STATUSES),
+    query('includeInactive').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const schedules = await listServiceSchedules({
+      truckId: req.query.truckId,
+      status: req.query.status,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: { schedules }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/maintenance/schedules
+// @desc    Create a service schedule; counting starts from the last service (default: now, current odometer)
+// @access  Private (Transport module write)
+router.post('/schedules',
+  authorizeModule('transport', 'write'),
+  [
+    body('truckId').trim().notEmpty().withMessage('Truck ID is required'),
+    body('serviceType').trim().notEmpty().withMessage('Service type is required'),
+    body('intervalKm').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Interval km must be a positive whole number'),
+    body('intervalDays').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Interval days must be a positive whole number'),
+    body('lastServiceKm').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('lastServiceDate').optional({ values: 'null' }).isISO8601().withMessage('Last service date must be a valid date'),
+    body('dueSoonKm').optional().isInt({ min: 0 }),
+    body('dueSoonDays').optional().isInt({ min: 0 }),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const schedule = await createServiceSchedule(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Service schedule created',
+      data: { schedule }
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/maintenance/schedules/:id
+// @desc    Update a service schedule
+// @access  Private (Transport module write)
+router.put('/schedules/:id',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('schedule ID')),
+    body('serviceType').optional().trim().notEmpty(),
+    body('intervalKm').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('intervalDays').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('lastServiceKm').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('lastServiceDate').optional({ values: 'null' }).isISO8601(),
+    body('dueSoonKm').optional().isInt({ min: 0 }),
+    body('dueSoonDays').optional().isInt({ min: 0 }),
+    body('isActive').optional().isBoolean(),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const schedule = await updateServiceSchedule(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Service schedule updated',
+      data: { schedule }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/transport/maintenance/schedules/:id
+// @desc    Deactivate a service schedule (its work order history is kept)
+// @access  Private (Transport module admin)
+router.delete('/schedules/:id',
+  authorizeModule('transport', 'admin'),
+  [param('id').custom(validateCuid('schedule ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const schedule = await updateServiceSchedule(req.params.id, { isActive: false }, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Service schedule deactivated',
+      data: { schedule }
+    });
+  })
+);
+
+// ================================
+// WORK ORDERS
+// ================================
+
+// @route   GET /api/v1/transport/maintenance/work-orders
+// @desc    List work orders
+// @access  Private (Transport module access)
+router.get('/work-orders',
+  [
+    query('truckId').optional().trim(),
+    query('status').optional().isIn(WORK_ORDER_STATUSES),
+    query('type').optional().isIn(WORK_ORDER_TYPES),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { truckId, status, type, startDate, endDate, page, limit } = req.query;
+    const to = endDate ? new Date(endDate) : null;
+    if (to) to.setHours(23, 59, 59, 999);
+
+    const result = await listWorkOrders({
+      truckId,
+      status,
+      type,
+      from: startDate ? new Date(startDate) : null,
+      to,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/maintenance/work-orders/:id
+// @desc    Work order with items, downtime and the expenses it posted
+// @access  Private (Transport module access)
+router.get('/work-orders/:id',
+  [param('id').custom(validateCuid('work order ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const workOrder = await getWorkOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: { workOrder }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/maintenance/work-orders
+// @desc    Open a work order; outOfService books the truck off the road until it is completed
+// @access  Private (Transport module write)
+router.post('/work-orders',
+  authorizeModule('transport', 'write'),
+  [
+    body('truckId').trim().notEmpty().withMessage('Truck ID is required'),
+    body('type').isIn(WORK_ORDER_TYPES).withMessage(`Type must be one of ${WORK_ORDER_TYPES.join(', ')}`),
+    body('scheduleId').optional({ values: 'null' }).custom(validateCuid('schedule ID')),
+    body('description').trim().notEmpty().withMessage('Description is required'),
+    body('vendor').optional().trim(),
+    body('odometerReading').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('openedAt').optional().isISO8601().withMessage('Opened date must be a valid date'),
+    body('outOfService').optional({ values: 'null' }).isObject(),
+    body('outOfService.startDate').optional().isISO8601().withMessage('Out of service start must be a valid date'),
+    body('outOfService.endDate').optional({ values: 'null' }).isISO8601().withMessage('Out of service end must be a valid date'),
+    body('notes').optional().trim(),
+    ...itemValidation
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const workOrder = await createWorkOrder(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Work order ${workOrder.workOrderNumber} opened`,
+      data: { workOrder }
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/maintenance/work-orders/:id
+// @desc    Update an open work order (items replace the existing lines)
+// @access  Private (Transport module write)
+router.put('/work-orders/:id',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('work order ID')),
+    body('status').optional().isIn(['OPEN', 'IN_PROGRESS']).withMessage('Use the complete or cancel actions to close a work order'),
+    body('description').optional().trim().notEmpty(),
+    body('vendor').optional().trim(),
+    body('odometerReading').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('notes').optional().trim(),
+    ...itemValidation
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const workOrder = await updateWorkOrder(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Work order updated',
+      data: { workOrder }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/maintenance/work-orders/:id/complete
+// @desc    Complete a work order: posts parts/labour expenses, records odometer, resets its schedule, ends its downtime
+// @access  Private (Transport module write)
+router.post('/work-orders/:id/complete',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('work order ID')),
+    body('completedAt').optional().isISO8601().withMessage('Completion date must be a valid date'),
+    body('odometerReading').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('notes').optional().trim(),
+    ...itemValidation
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { workOrder, expenses } = await completeWorkOrder(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: expenses.length > 0
+        ? `Work order completed; ${expenses.length} expense(s) posted for approval`
+        : 'Work order completed',
+      data: { workOrder, expenses }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/maintenance/work-orders/:id/cancel
+// @desc    Cancel an open work order and release its downtime
+// @access  Private (Transport module write)
+router.post('/work-orders/:id/cancel',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('work order ID')),
+    body('reason').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const workOrder = await cancelWorkOrder(req.params.id, { reason: req.body.reason }, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Work order cancelled',
+      data: { workOrder }
+    });
+  })
+);
+
+// ================================
+// TRUCKS
+// ================================
+
+// @route   GET /api/v1/transport/maintenance/trucks/:truckId/history
+// @desc    Service history: schedules, work orders, downtime, odometer and maintenance spend
+// @access  Private (Transport module access)
+router.get('/trucks/:truckId/history',
+  [truckIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const history = await getTruckServiceHistory(req.params.truckId);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/maintenance/trucks/:truckId/odometer
+// @desc    Odometer readings, newest first
+// @access  Private (Transport module access)
+router.get('/trucks/:truckId/odometer',
+  [truckIdParam, query('limit').optional().isInt({ min: 1, max: 500 })],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await listOdometerReadings(req.params.truckId, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/maintenance/trucks/:truckId/odometer
+// @desc    Record an odometer reading
+// @access  Private (Transport module write)
+router.post('/trucks/:truckId/odometer',
+  authorizeModule('transport', 'write'),
+  [
+    truckIdParam,
+    body('reading').isInt({ min: 0 }).withMessage('Reading must be a whole number of km'),
+    body('readingDate').optional().isISO8601().withMessage('Reading date must be a valid date'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const reading = await prisma.$transaction(tx => recordOdometerReading(
+      req.params.truckId,
+      { reading: req.body.reading, readingDate: req.body.readingDate, notes: req.body.notes },
+      req.user.id,
+      getRequestMetadata(req),
+      tx
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Odometer reading recorded',
+      data: { reading }
+    });
+  })
+);
+
+module.exports = router;
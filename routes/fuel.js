@@ -0,0 +1,232 @@
+// routes/fuel.js - Diesel price index, pallet price fuel surcharge and fuel margin impact report
+//
+// Mounted at /api/v1/transport/fuel. The surcharge rule itself is the
+// "fuel_surcharge_policy" system setting (PUT /api/v1/admin/system-config/fuel_surcharge_policy).
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  getFuelSurchargePolicy,
+  getFuelPriceAsOf,
+  listFuelPrices,
+  createFuelPrice,
+  deleteFuelPrice,
+  previewFuelSurcharge,
+  applyFuelSurcharge,
+  getFuelImpactReport
+} = require('../services/fuelPriceService');
+
+const router = express.Router();
+
+router.use(authorizeModule('transport'));
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+// locationId filters also accept COMPANY for company-wide prices
+const locationFilter = (field = 'locationId') => query(field).optional().custom(value =>
+  value === 'COMPANY' || validateCuid('location ID')(value));
+
+// ================================
+// FUEL PRICES
+// ================================
+
+// @route   GET /api/v1/transport/fuel/prices
+// @desc    Fuel price series, newest first, with change from the previous price
+// @access  Private (Transport module access)
+router.get('/prices',
+  [
+    locationFilter(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('includeInactive').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { locationId, startDate, endDate, includeInactive, page, limit } = req.query;
+    const result = await listFuelPrices({
+      locationId,
+      from: startDate ? new Date(startDate) : null,
+      to: endDate ? new Date(endDate) : null,
+      includeInactive: includeInactive === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/fuel/prices/as-of
+// @desc    Fuel price in force for a location on a date (?date=, defaults to now)
+// @access  Private (Transport module access)
+router.get('/prices/as-of',
+  [
+    query('locationId').optional().custom(validateCuid('location ID')),
+    query('date').optional().isISO8601().withMessage('Date must be a valid date')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const asOf = req.query.date ? new Date(req.query.date) : new Date();
+    const fuelPrice = await getFuelPriceAsOf(req.query.locationId || null, asOf);
+
+    res.json({
+      success: true,
+      data: { asOf, fuelPrice }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/fuel/prices
+// @desc    Record a diesel price (company-wide, or for one location); a future effectiveDate schedules it
+// @access  Private (Transport module admin)
+router.post('/prices',
+  authorizeModule('transport', 'admin'),
+  [
+    body('locationId').optional({ values: 'null' }).custom(validateCuid('location ID')),
+    body('pricePerLitre').isFloat({ gt: 0 }).withMessage('Price per litre must be greater than zero'),
+    body('effectiveDate').optional().isISO8601().withMessage('Effective date must be a valid date'),
+    body('source').optional().trim().isLength({ max: 100 }),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { fuelPrice, surcharge } = await createFuelPrice(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: surcharge && surcharge.summary.changed > 0
+        ? `Fuel price recorded; fuel adjustment updated on ${surcharge.summary.changed} pallet price(s)`
+        : 'Fuel price recorded',
+      data: { fuelPrice, surcharge }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/transport/fuel/prices/:id
+// @desc    Delete a scheduled fuel price; prices already in effect are deactivated
+// @access  Private (Transport module admin)
+router.delete('/prices/:id',
+  authorizeModule('transport', 'admin'),
+  [param('id').custom(validateCuid('fuel price ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await deleteFuelPrice(req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: result.deleted ? 'Scheduled fuel price deleted' : 'Fuel price deactivated',
+      data: result
+    });
+  })
+);
+
+// ================================
+// FUEL SURCHARGE
+// ================================
+
+// @route   GET /api/v1/transport/fuel/surcharge
+// @desc    Surcharge rule and the pallet price fuel adjustments it gives (?date=, ?locationId=)
+// @access  Private (Transport module access)
+router.get('/surcharge',
+  [
+    query('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    query('locationId').optional().custom(validateCuid('location ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const preview = await previewFuelSurcharge({
+      asOf: req.query.date ? new Date(req.query.date) : null,
+      locationId: req.query.locationId
+    });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/fuel/surcharge/apply
+// @desc    Write new pallet prices where the fuel adjustment changes (from now, or a future date)
+// @access  Private (Distribution module admin)
+router.post('/surcharge/apply',
+  authorizeModule('distribution', 'admin'),
+  [
+    body('effectiveDate').optional().isISO8601().withMessage('Effective date must be a valid date'),
+    body('locationId').optional().custom(validateCuid('location ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await applyFuelSurcharge({
+      asOf: req.body.effectiveDate ? new Date(req.body.effectiveDate) : null,
+      locationId: req.body.locationId
+    }, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: `Fuel adjustment updated on ${result.summary.changed} pallet price(s)`,
+      data: result
+    });
+  })
+);
+
+// ================================
+// REPORTS
+// ================================
+
+// @route   GET /api/v1/transport/fuel/reports/margin-impact
+// @desc    Fuel cost against a baseline diesel price and its effect on margin, per route and month
+// @access  Private (Transport module access)
+router.get('/reports/margin-impact',
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('locationId').optional().custom(validateCuid('location ID')),
+    query('baselinePrice').optional().isFloat({ gt: 0 }).withMessage('Baseline price must be greater than zero')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { startDate, endDate, locationId, baselinePrice } = req.query;
+    const to = endDate ? new Date(endDate) : null;
+    if (to) to.setHours(23, 59, 59, 999);
+
+    const [report, policy] = await Promise.all([
+      getFuelImpactReport({
+        from: startDate ? new Date(startDate) : null,
+        to,
+        locationId,
+        baselinePrice
+      }),
+      getFuelSurchargePolicy()
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...report, surchargePolicy: policy }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,342 @@
+// routes/pricing.js - Effective-dated rate tables: pallet prices, haulage rates and salary rates
+//
+// Every route is scoped to a table: /api/v1/pricing/pallet-prices, /haulage-rates, /salary-rates.
+// Pallet prices belong to the distribution module, haulage and salary rates to transport;
+// reading needs module access, changing rates needs module admin.
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  RATE_TABLES,
+  RATE_STATUSES,
+  RATE_CARD_STATUSES,
+  rateTableBySlug,
+  listRates,
+  getRatesAsOf,
+  getRate,
+  createRate,
+  updateRate,
+  deleteRate,
+  getRateHistory,
+  createRateCard,
+  getRateCard,
+  listRateCards,
+  activateRateCard,
+  discardRateCard
+} = require('../services/ratePricingService');
+
+const router = express.Router();
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+router.param('table', (req, res, next, slug) => {
+  req.rateTable = rateTableBySlug(slug);
+  if (!req.rateTable) {
+    return next(new NotFoundError(`Unknown rate table "${slug}"`));
+  }
+  next();
+});
+
+// Module permission for the table in the URL
+const authorizeRateTable = (permission = 'read') => (req, res, next) =>
+  authorizeModule(RATE_TABLES[req.rateTable].module, permission)(req, res, next);
+
+const rateIdParam = param('id').custom(validateCuid('rate ID'));
+const rateCardIdParam = param('id').custom(validateCuid('rate card ID'));
+
+const rateBodyValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('productId').optional().custom(validateCuid('product ID')),
+    body('locationId').optional({ values: 'null' }).custom(validateCuid('location ID')),
+    body('effectiveDate').optional().isISO8601().withMessage('Effective date must be a valid date'),
+    body('isActive').optional().isBoolean(),
+    // Pallet pricing
+    body('pricePerPack').optional().isFloat({ min: 0 }).withMessage('Price per pack must be a non-negative number'),
+    body('fuelAdjustment').optional().isFloat({ min: 0 }),
+    // Haulage rates
+    body('distance').optional().isFloat({ min: 0 }),
+    body('rate15Ton').optional().isFloat({ min: 0 }),
+    body('rate20Ton').optional().isFloat({ min: 0 }),
+    body('rate30Ton').optional().isFloat({ min: 0 }),
+    body('locationCode').optional().trim().isLength({ max: 20 }),
+    // Salary rates
+    body('tripAllowance').optional().isFloat({ min: 0 }),
+    body('driverWages').optional().isFloat({ min: 0 }),
+    body('motorBoyWages').optional().isFloat({ min: 0 }),
+    body('totalWages').optional().isFloat({ min: 0 }),
+    body('locationName').optional().trim(),
+    field('productId').if((value, { req }) => req.rateTable === 'PALLET_PRICING')
+      .notEmpty().withMessage('Product is required for pallet prices'),
+    field('pricePerPack').if((value, { req }) => req.rateTable === 'PALLET_PRICING')
+      .notEmpty().withMessage('Price per pack is required'),
+    field('locationId').if((value, { req }) => req.rateTable !== 'PALLET_PRICING')
+      .notEmpty().withMessage('Location is required'),
+    ...['distance', 'rate15Ton', 'rate20Ton', 'rate30Ton'].map(name =>
+      field(name).if((value, { req }) => req.rateTable === 'HAULAGE_RATE').notEmpty().withMessage(`${name} is required`)),
+    ...['tripAllowance', 'driverWages', 'motorBoyWages'].map(name =>
+      field(name).if((value, { req }) => req.rateTable === 'SALARY_RATE').notEmpty().withMessage(`${name} is required`))
+  ];
+};
+
+// @route   GET /api/v1/pricing/:table
+// @desc    List rates with their status (CURRENT, SCHEDULED, SUPERSEDED, INACTIVE)
+// @access  Private (Module access)
+router.get('/:table',
+  authorizeRateTable(),
+  [
+    query('locationId').optional().custom(validateCuid('location ID')),
+    query('productId').optional().custom(validateCuid('product ID')),
+    query('status').optional().isIn(RATE_STATUSES).withMessage(`Status must be one of ${RATE_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const result = await listRates(req.rateTable, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/pricing/:table/as-of
+// @desc    Price list in force on a date (?date=, defaults to now), one rate per product/location
+// @access  Private (Module access)
+router.get('/:table/as-of',
+  authorizeRateTable(),
+  [
+    query('date').optional().isISO8601().withMessage('Date must be a valid date'),
+    query('locationId').optional().custom(validateCuid('location ID')),
+    query('productId').optional().custom(validateCuid('product ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const asOf = req.query.date ? new Date(req.query.date) : new Date();
+    const result = await getRatesAsOf(req.rateTable, asOf, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/pricing/:table/history
+// @desc    Who changed which rate and when (filter by rateId, locationId, productId)
+// @access  Private (Module access)
+router.get('/:table/history',
+  authorizeRateTable(),
+  [
+    query('rateId').optional().custom(validateCuid('rate ID')),
+    query('locationId').optional().custom(validateCuid('location ID')),
+    query('productId').optional().custom(validateCuid('product ID')),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const history = await getRateHistory(req.rateTable, req.query);
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+  })
+);
+
+// @route   GET /api/v1/pricing/:table/rate-cards
+// @desc    Uploaded rate cards (?status=DRAFT|ACTIVATED|DISCARDED)
+// @access  Private (Module access)
+router.get('/:table/rate-cards',
+  authorizeRateTable(),
+  [
+    query('status').optional().isIn(RATE_CARD_STATUSES),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const result = await listRateCards(req.rateTable, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/pricing/:table/rate-cards
+// @desc    Upload a CSV rate card (file contents as text) with a future effectiveDate as a draft, returning the diff against rates in force
+// @access  Private (Module admin)
+router.post('/:table/rate-cards',
+  authorizeRateTable('admin'),
+  [
+    body('content').isString().notEmpty().withMessage('Rate card file contents are required'),
+    body('fileName').optional().trim().isLength({ max: 255 }),
+    body('effectiveDate').isISO8601().withMessage('Effective date is required'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const rateCard = await createRateCard(req.rateTable, req.body, req.user.id, getRequestMetadata(req));
+    const errorCount = rateCard.rowErrors ? rateCard.rowErrors.length : 0;
+
+    res.status(201).json({
+      success: true,
+      message: errorCount > 0
+        ? `Rate card ${rateCard.importNumber} uploaded with ${errorCount} row error(s); it cannot be activated until they are fixed`
+        : `Rate card ${rateCard.importNumber} uploaded; review the changes and activate it`,
+      data: { rateCard }
+    });
+  })
+);
+
+// @route   GET /api/v1/pricing/:table/rate-cards/:id
+// @desc    Rate card with its diff preview (drafts only)
+// @access  Private (Module access)
+router.get('/:table/rate-cards/:id',
+  authorizeRateTable(),
+  [rateCardIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const rateCard = await getRateCard(req.rateTable, req.params.id);
+
+    res.json({
+      success: true,
+      data: { rateCard }
+    });
+  })
+);
+
+// @route   POST /api/v1/pricing/:table/rate-cards/:id/activate
+// @desc    Write the card's new and changed rates, effective from the card's date
+// @access  Private (Module admin)
+router.post('/:table/rate-cards/:id/activate',
+  authorizeRateTable('admin'),
+  [rateCardIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await activateRateCard(req.rateTable, req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: `Rate card activated: ${result.created} rate(s) added, ${result.updated} replaced, ${result.unchanged} unchanged`,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/pricing/:table/rate-cards/:id/discard
+// @desc    Discard a draft rate card
+// @access  Private (Module admin)
+router.post('/:table/rate-cards/:id/discard',
+  authorizeRateTable('admin'),
+  [rateCardIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const rateCard = await discardRateCard(req.rateTable, req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Rate card discarded',
+      data: { rateCard }
+    });
+  })
+);
+
+// @route   GET /api/v1/pricing/:table/:id
+// @desc    Get a rate
+// @access  Private (Module access)
+router.get('/:table/:id',
+  authorizeRateTable(),
+  [rateIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const rate = await getRate(req.rateTable, req.params.id);
+
+    res.json({
+      success: true,
+      data: { rate }
+    });
+  })
+);
+
+// @route   POST /api/v1/pricing/:table
+// @desc    Add a rate; a future effectiveDate schedules it
+// @access  Private (Module admin)
+router.post('/:table',
+  authorizeRateTable('admin'),
+  rateBodyValidators(),
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const rate = await createRate(req.rateTable, req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: rate.effectiveDate > new Date() ? 'Rate scheduled' : 'Rate created',
+      data: { rate }
+    });
+  })
+);
+
+// @route   PUT /api/v1/pricing/:table/:id
+// @desc    Edit a scheduled rate, or activate/deactivate any rate
+// @access  Private (Module admin)
+router.put('/:table/:id',
+  authorizeRateTable('admin'),
+  [rateIdParam, ...rateBodyValidators(true)],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const rate = await updateRate(req.rateTable, req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Rate updated',
+      data: { rate }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/pricing/:table/:id
+// @desc    Delete a scheduled rate; rates already in effect are deactivated instead
+// @access  Private (Module admin)
+router.delete('/:table/:id',
+  authorizeRateTable('admin'),
+  [rateIdParam],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await deleteRate(req.rateTable, req.params.id, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: result.deleted ? 'Scheduled rate deleted' : 'Rate deactivated',
+      data: result
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// routes/supplier-claims.js - Claims against distribution suppliers and the credit they produce
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authorizeModule } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  createClaim,
+  listClaims,
+  getClaim,
+  acknowledgeClaim,
+  creditClaim,
+  rejectClaim,
+  getSupplierCredit
+} = require('../services/supplierClaimService');
+
+const router = express.Router();
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+// @route   GET /api/v1/supplier-claims
+// @desc    List supplier claims (filter by supplier, order, status, type)
+// @access  Private (Distribution access)
+router.get('/',
+  authorizeModule('distribution'),
+  [
+    query('supplierCompanyId').optional().custom(validateCuid('supplier company ID')),
+    query('orderId').optional().custom(validateCuid('order ID')),
+    query('status').optional().isIn(CLAIM_STATUSES).withMessage(`Status must be one of ${CLAIM_STATUSES.join(', ')}`),
+    query('claimType').optional().isIn(CLAIM_TYPES).withMessage(`Claim type must be one of ${CLAIM_TYPES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const result = await listClaims(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/supplier-claims/credit/:supplierCompanyId
+// @desc    Supplier credit balance and its movements
+// @access  Private (Distribution access)
+router.get('/credit/:supplierCompanyId',
+  authorizeModule('distribution'),
+  [
+    param('supplierCompanyId').custom(validateCuid('supplier company ID')),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const credit = await getSupplierCredit(req.params.supplierCompanyId, req.query);
+
+    res.json({
+      success: true,
+      data: credit
+    });
+  })
+);
+
+// @route   GET /api/v1/supplier-claims/:id
+// @desc    Claim details with evidence attachments and credit entries
+// @access  Private (Distribution access)
+router.get('/:id',
+  authorizeModule('distribution'),
+  [param('id').custom(validateCuid('claim ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const claim = await getClaim(req.params.id);
+
+    res.json({
+      success: true,
+      data: { claim }
+    });
+  })
+);
+
+// @route   POST /api/v1/supplier-claims
+// @desc    Raise a claim against a supplier (evidence is uploaded to /attachments with entityType SUPPLIER_CLAIM)
+// @access  Private (Distribution write)
+router.post('/',
+  authorizeModule('distribution', 'write'),
+  [
+    body('supplierCompanyId').optional().custom(validateCuid('supplier company ID')),
+    body('orderId').optional().custom(validateCuid('order ID')),
+    body('claimType').isIn(CLAIM_TYPES).withMessage(`Claim type must be one of ${CLAIM_TYPES.join(', ')}`),
+    body('pallets').optional().isInt({ min: 0 }).withMessage('Pallets must be a non-negative integer'),
+    body('packs').optional().isInt({ min: 0 }).withMessage('Packs must be a non-negative integer'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Claim value must be greater than 0'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must not exceed 1000 characters')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const claim = await createClaim(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Claim ${claim.claimNumber} raised against ${claim.supplierCompany.name}`,
+      data: { claim }
+    });
+  })
+);
+
+// @route   POST /api/v1/supplier-claims/:id/acknowledge
+// @desc    Record that the supplier has accepted the claim for review
+// @access  Private (Distribution write)
+router.post('/:id/acknowledge',
+  authorizeModule('distribution', 'write'),
+  [
+    param('id').custom(validateCuid('claim ID')),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const claim = await acknowledgeClaim(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Claim acknowledged',
+      data: { claim }
+    });
+  })
+);
+
+// @route   POST /api/v1/supplier-claims/:id/credit
+// @desc    Mark the claim credited; the credited amount is added to the supplier's credit balance
+// @access  Private (Distribution admin)
+router.post('/:id/credit',
+  authorizeModule('distribution', 'admin'),
+  [
+    param('id').custom(validateCuid('claim ID')),
+    body('creditedAmount').optional().isFloat({ min: 0.01 }).withMessage('Credited amount must be greater than 0'),
+    body('supplierReference').optional().trim().isLength({ max: 100 }),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const claim = await creditClaim(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: `Claim credited: ₦${parseFloat(claim.creditedAmount).toFixed(2)} added to ${claim.supplierCompany.name}'s credit balance`,
+      data: { claim }
+    });
+  })
+);
+
+// @route   POST /api/v1/supplier-claims/:id/reject
+// @desc    Close the claim as rejected by the supplier
+// @access  Private (Distribution admin)
+router.post('/:id/reject',
+  authorizeModule('distribution', 'admin'),
+  [
+    param('id').custom(validateCuid('claim ID')),
+    body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const claim = await rejectClaim(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Claim rejected',
+      data: { claim }
+    });
+  })
+);
+
+module.exports = router;
@@ -1,9 +1,40 @@
 const express = require('express');
 const router = express.Router();
+const PDFDocument = require('pdfkit');
+const { param, query, validationResult } = require('express-validator');
 const supplierCompanyService = require('../services/supplierCompanyService');
+const { ORDER_BALANCE_STATUSES, getSupplierLedger, getSupplierOrderBalances } = require('../services/supplierLedgerService');
 const { authenticateToken, authorizeModule, authorizeFeature } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { validateCuid } = require('../utils/validators');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
 
+const ledgerValidators = [
+  param('id').custom(validateCuid('supplier company ID')),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// A bare date in ?to= means the whole of that day
+const parseLedgerRange = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Invalid query parameters', errors.array());
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  let to = req.query.to ? new Date(req.query.to) : null;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to = new Date(`${req.query.to}T23:59:59.999`);
+  }
+  if (from && to && from > to) {
+    throw new ValidationError('From date must be before to date');
+  }
+  return { from, to };
+};
+
+const formatMoney = (value) => parseFloat(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
 /**
  * @route   GET /api/v1/supplier-companies
  * @desc    Get all supplier companies
@@ -78,7 +109,7 @@ router.get('/:id/categories', authenticateToken, async (req, res) => {
 
 /**
  * @route   GET /api/v1/supplier-companies/:id/stats
- * @desc    Get supplier company statistics
+ * @desc    Get supplier company statistics, including claims and credit balance
  * @access  Private (All authenticated users)
  */
 router.get('/:id/stats', authenticateToken, async (req, res) => {
@@ -100,6 +131,209 @@ router.get('/:id/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/supplier-companies/:id/ledger
+ * @desc    Supplier payables ledger: orders, price adjustments, payments, credited claims and incentives,
+ *          with opening/closing balance for the period (?from&to)
+ * @access  Private (Distribution access)
+ */
+router.get('/:id/ledger',
+  authenticateToken,
+  authorizeModule('distribution'),
+  ledgerValidators,
+  asyncHandler(async (req, res) => {
+    const range = parseLedgerRange(req);
+    const ledger = await getSupplierLedger(req.params.id, range);
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+  })
+);
+
+/**
+ * @route   GET /api/v1/supplier-companies/:id/statement
+ * @desc    Supplier account statement PDF for a period (?from&to), for sending to the supplier
+ * @access  Private (Distribution access)
+ */
+router.get('/:id/statement',
+  authenticateToken,
+  authorizeModule('distribution'),
+  ledgerValidators,
+  asyncHandler(async (req, res) => {
+    const range = parseLedgerRange(req);
+    const ledger = await getSupplierLedger(req.params.id, range);
+    const { company, summary } = ledger;
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-NG');
+    const periodLabel = `${range.from ? formatDate(range.from) : 'Start of account'} to ${formatDate(range.to || new Date())}`;
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'portrait'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=supplier-statement-${company.code}-${new Date().toISOString().split('T')[0]}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('SUPPLIER STATEMENT', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`Period: ${periodLabel}`, { align: 'center' })
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    const details = (rows) => {
+      let yPos = doc.y;
+      rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+        doc.font('Helvetica').text(String(value), { width: 350 });
+        yPos += 16;
+      });
+      doc.moveDown(1);
+    };
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('SUPPLIER', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Name:', `${company.name} (${company.code})`],
+      ['Contact:', company.contactPerson || 'N/A'],
+      ['Email / Phone:', `${company.email || 'N/A'} / ${company.phone || 'N/A'}`],
+      ['Address:', company.address || 'N/A'],
+      ['Payment Terms:', company.paymentTerms || 'N/A']
+    ]);
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('SUMMARY', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Opening Balance:', `NGN ${formatMoney(ledger.openingBalance)}`],
+      ['Orders:', `NGN ${formatMoney(summary.orders)}`],
+      ['Price Adjustments:', `+NGN ${formatMoney(summary.priceIncreases)} / -NGN ${formatMoney(summary.priceDecreases)}`],
+      ['Payments:', `NGN ${formatMoney(summary.payments)}`],
+      ['Claims Credited:', `NGN ${formatMoney(summary.claimsCredited)}`],
+      ['Incentives Received:', `NGN ${formatMoney(summary.incentives)}`],
+      ['Closing Balance:', `NGN ${formatMoney(ledger.closingBalance)} ${ledger.closingBalance < 0 ? '(in our favour)' : ledger.closingBalance > 0 ? '(due to supplier)' : ''}`]
+    ]);
+
+    // Entries
+    const headers = ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'];
+    const colWidths = [58, 62, 85, 150, 60, 60, 60];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 22;
+    let currentY = doc.y;
+
+    const drawHeader = () => {
+      doc.fontSize(8).font('Helvetica-Bold');
+      doc.rect(30, currentY, tableWidth, rowHeight).fill('#1e40af');
+      let xPos = 33;
+      headers.forEach((header, i) => {
+        doc.fillColor('#fff').text(header, xPos, currentY + 7, { width: colWidths[i] - 6, align: i >= 4 ? 'right' : 'left' });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+      doc.font('Helvetica').fontSize(7);
+    };
+
+    const drawRow = (cells, shaded) => {
+      if (currentY > 760) {
+        doc.addPage();
+        currentY = 50;
+        drawHeader();
+      }
+      if (shaded) {
+        doc.rect(30, currentY, tableWidth, rowHeight).fill('#f3f4f6');
+      }
+      let xPos = 33;
+      cells.forEach((cell, i) => {
+        doc.fillColor('#000').text(String(cell), xPos, currentY + 7, {
+          width: colWidths[i] - 6,
+          align: i >= 4 ? 'right' : 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+    };
+
+    drawHeader();
+    drawRow([range.from ? formatDate(range.from) : '', 'OPENING', '', 'Balance brought forward', '', '', formatMoney(ledger.openingBalance)], false);
+    ledger.entries.forEach((entry, index) => {
+      drawRow([
+        formatDate(entry.date),
+        entry.type.replace(/_/g, ' '),
+        entry.reference || '',
+        entry.description,
+        entry.debit ? formatMoney(entry.debit) : '',
+        entry.credit ? formatMoney(entry.credit) : '',
+        formatMoney(entry.balance)
+      ], index % 2 === 0);
+    });
+    doc.font('Helvetica-Bold');
+    drawRow(['', 'CLOSING', '', 'Balance carried forward', formatMoney(summary.totalDebits), formatMoney(summary.totalCredits), formatMoney(ledger.closingBalance)], false);
+
+    doc.y = currentY + 15;
+    doc.x = 30;
+
+    if (ledger.openClaims.length > 0) {
+      if (doc.y > 700) doc.addPage();
+      doc.fontSize(10)
+         .font('Helvetica-Bold')
+         .fillColor('#1e40af')
+         .text('OPEN CLAIMS (not yet credited, not included in the balance)', 30);
+      doc.fontSize(8).font('Helvetica').fillColor('#000').moveDown(0.3);
+      ledger.openClaims.forEach(claim => {
+        doc.text(`${claim.claimNumber}  ${claim.claimType.replace(/_/g, ' ')}  ${claim.status}  NGN ${formatMoney(claim.amount)}  raised ${formatDate(claim.createdAt)}`, 30);
+      });
+      doc.moveDown(1);
+    }
+
+    doc.fontSize(8)
+       .fillColor('#666')
+       .text('Debits are amounts due to the supplier; credits are payments, credited claims and incentives. Please report any discrepancies within 14 days.', 30, doc.y, { width: tableWidth });
+
+    doc.end();
+  })
+);
+
+/**
+ * @route   GET /api/v1/supplier-companies/:id/order-balances
+ * @desc    Orders sent to the supplier that are unpaid or overpaid (?status=UNPAID|OVERPAID|SETTLED)
+ * @access  Private (Distribution access)
+ */
+router.get('/:id/order-balances',
+  authenticateToken,
+  authorizeModule('distribution'),
+  [
+    param('id').custom(validateCuid('supplier company ID')),
+    query('status').optional().isIn(ORDER_BALANCE_STATUSES).withMessage(`Status must be one of ${ORDER_BALANCE_STATUSES.join(', ')}`)
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const result = await getSupplierOrderBalances(req.params.id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
 /**
  * @route   POST /api/v1/supplier-companies
  * @desc    Create new supplier company
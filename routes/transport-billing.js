@@ -0,0 +1,494 @@
+// routes/transport-billing.js - Transport clients, invoices, payments and receivables aging
+//
+// Mounted at /api/v1/transport/billing. Cash orders are invoiced when they are
+// created (POST /api/v1/transport/orders); on-account orders are invoiced here
+// once delivered.
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
+
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { getRequestMetadata } = require('../utils/auditLogger');
+const {
+  INVOICE_STATUSES,
+  listTransportClients,
+  getTransportClient,
+  createTransportClient,
+  updateTransportClient,
+  getUninvoicedOrders,
+  createInvoice,
+  getInvoice,
+  listInvoices,
+  recordInvoicePayment,
+  reverseInvoicePayment,
+  cancelInvoice,
+  getReceivablesAging
+} = require('../services/transportBillingService');
+
+const router = express.Router();
+
+router.use(authorizeModule('transport'));
+
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'POS', 'WHATSAPP_TRANSFER', 'MOBILE_MONEY'];
+
+const checkValidation = (req, message = 'Invalid input data') => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError(message, errors.array());
+  }
+};
+
+const formatMoney = (value) => parseFloat(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (date) => new Date(date).toLocaleDateString('en-NG');
+
+const clientValidation = (optional) => [
+  optional
+    ? body('name').optional().trim().notEmpty().withMessage('Client name cannot be empty')
+    : body('name').trim().notEmpty().withMessage('Client name is required'),
+  body('phone').optional().trim(),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Valid email is required'),
+  body('address').optional().trim(),
+  body('contactPerson').optional().trim(),
+  body('paymentTermsDays').optional().isInt({ min: 0, max: 365 }).withMessage('Payment terms must be 0-365 days'),
+  body('creditLimit').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Credit limit must be zero or more'),
+  body('notes').optional().trim()
+];
+
+// ================================
+// CLIENTS
+// ================================
+
+// @route   GET /api/v1/transport/billing/clients
+// @desc    Transport clients with outstanding balances
+// @access  Private (Transport module access)
+router.get('/clients',
+  [
+    query('search').optional().trim(),
+    query('isActive').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const clients = await listTransportClients({
+      search: req.query.search,
+      isActive: req.query.isActive !== undefined ? req.query.isActive === 'true' : undefined
+    });
+
+    res.json({
+      success: true,
+      data: { clients }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/billing/clients
+// @desc    Create a transport client
+// @access  Private (Transport module write)
+router.post('/clients',
+  authorizeModule('transport', 'write'),
+  clientValidation(false),
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const client = await createTransportClient(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Transport client created',
+      data: { client }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/billing/clients/:id
+// @desc    Client with trip history, invoices, balances and credit position
+// @access  Private (Transport module access)
+router.get('/clients/:id',
+  [param('id').custom(validateCuid('client ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const result = await getTransportClient(req.params.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   PUT /api/v1/transport/billing/clients/:id
+// @desc    Update a transport client (isActive false stops new orders)
+// @access  Private (Transport module write)
+router.put('/clients/:id',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('client ID')),
+    ...clientValidation(true),
+    body('isActive').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const client = await updateTransportClient(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Transport client updated',
+      data: { client }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/billing/clients/:id/uninvoiced-orders
+// @desc    Delivered on-account orders waiting to be invoiced
+// @access  Private (Transport module access)
+router.get('/clients/:id/uninvoiced-orders',
+  [param('id').custom(validateCuid('client ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const orders = await getUninvoicedOrders(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        totalAmount: parseFloat(orders.reduce((sum, o) => sum + parseFloat(o.totalOrderAmount), 0).toFixed(2))
+      }
+    });
+  })
+);
+
+// ================================
+// INVOICES
+// ================================
+
+// @route   GET /api/v1/transport/billing/invoices
+// @desc    List invoices (?overdue=true for open invoices past due)
+// @access  Private (Transport module access)
+router.get('/invoices',
+  [
+    query('clientId').optional().custom(validateCuid('client ID')),
+    query('status').optional().isIn(INVOICE_STATUSES),
+    query('overdue').optional().isBoolean(),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const { clientId, status, overdue, startDate, endDate, page, limit } = req.query;
+    const to = endDate ? new Date(endDate) : null;
+    if (to) to.setHours(23, 59, 59, 999);
+
+    const result = await listInvoices({
+      clientId,
+      status,
+      overdue: overdue === 'true',
+      from: startDate ? new Date(startDate) : null,
+      to,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/billing/invoices
+// @desc    Invoice one or more delivered on-account orders of a client
+// @access  Private (Transport module write)
+router.post('/invoices',
+  authorizeModule('transport', 'write'),
+  [
+    body('clientId').custom(validateCuid('client ID')),
+    body('orderIds').isArray({ min: 1 }).withMessage('At least one order is required'),
+    body('orderIds.*').custom(validateCuid('transport order ID')),
+    body('invoiceDate').optional().isISO8601().withMessage('Invoice date must be a valid date'),
+    body('paymentTermsDays').optional().isInt({ min: 0, max: 365 }).withMessage('Payment terms must be 0-365 days'),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const invoice = await createInvoice(req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} issued for ${invoice.orders.length} order(s)`,
+      data: { invoice }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/billing/invoices/:id
+// @desc    Invoice with its orders and payments
+// @access  Private (Transport module access)
+router.get('/invoices/:id',
+  [param('id').custom(validateCuid('invoice ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const invoice = await getInvoice(req.params.id);
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/billing/invoices/:id/payments
+// @desc    Record a full or partial payment against an invoice
+// @access  Private (Transport module write)
+router.post('/invoices/:id/payments',
+  authorizeModule('transport', 'write'),
+  [
+    param('id').custom(validateCuid('invoice ID')),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('paymentMethod').isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`),
+    body('paymentDate').optional().isISO8601().withMessage('Payment date must be a valid date'),
+    body('reference').optional().trim(),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const { payment, invoice } = await recordInvoicePayment(req.params.id, req.body, req.user.id, getRequestMetadata(req));
+
+    res.status(201).json({
+      success: true,
+      message: invoice.status === 'PAID'
+        ? `Payment recorded; invoice ${invoice.invoiceNumber} is fully paid`
+        : `Payment recorded; ₦${formatMoney(invoice.balance)} outstanding`,
+      data: { payment, invoice }
+    });
+  })
+);
+
+// @route   DELETE /api/v1/transport/billing/invoices/:id/payments/:paymentId
+// @desc    Reverse a payment recorded in error (not once its cash flow entry is reconciled)
+// @access  Private (Transport module admin)
+router.delete('/invoices/:id/payments/:paymentId',
+  authorizeModule('transport', 'admin'),
+  [
+    param('id').custom(validateCuid('invoice ID')),
+    param('paymentId').custom(validateCuid('payment ID')),
+    body('reason').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const invoice = await reverseInvoicePayment(
+      req.params.id,
+      req.params.paymentId,
+      { reason: req.body?.reason },
+      req.user.id,
+      getRequestMetadata(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Payment reversed',
+      data: { invoice }
+    });
+  })
+);
+
+// @route   POST /api/v1/transport/billing/invoices/:id/cancel
+// @desc    Cancel an invoice with no payments; its orders can be invoiced again
+// @access  Private (Transport module admin)
+router.post('/invoices/:id/cancel',
+  authorizeModule('transport', 'admin'),
+  [
+    param('id').custom(validateCuid('invoice ID')),
+    body('reason').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const invoice = await cancelInvoice(req.params.id, { reason: req.body.reason }, req.user.id, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      message: 'Invoice cancelled',
+      data: { invoice }
+    });
+  })
+);
+
+// @route   GET /api/v1/transport/billing/invoices/:id/pdf
+// @desc    Invoice PDF
+// @access  Private (Transport module access)
+router.get('/invoices/:id/pdf',
+  [param('id').custom(validateCuid('invoice ID'))],
+  asyncHandler(async (req, res) => {
+    checkValidation(req);
+
+    const invoice = await getInvoice(req.params.id);
+    const { client } = invoice;
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'portrait'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=transport-invoice-${invoice.invoiceNumber}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('TRANSPORT INVOICE', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(invoice.invoiceNumber, { align: 'center' })
+       .text(`Issued ${formatDate(invoice.invoiceDate)} - Due ${formatDate(invoice.dueDate)}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    const details = (rows) => {
+      let yPos = doc.y;
+      rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+        doc.font('Helvetica').text(String(value), { width: 350 });
+        yPos += 16;
+      });
+      doc.moveDown(1);
+    };
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#1e40af').text('BILL TO', 50);
+    doc.fontSize(10).fillColor('#000').moveDown(0.5);
+    details([
+      ['Client:', client.name],
+      ['Contact:', client.contactPerson || 'N/A'],
+      ['Phone / Email:', `${client.phone || 'N/A'} / ${client.email || 'N/A'}`],
+      ['Address:', client.address || 'N/A'],
+      ['Payment Terms:', invoice.paymentTermsDays > 0 ? `${invoice.paymentTermsDays} days` : 'Due on receipt']
+    ]);
+
+    // Orders
+    const headers = ['Order', 'Date', 'Destination', 'Status', 'Amount'];
+    const colWidths = [100, 70, 200, 85, 80];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 22;
+    let currentY = doc.y;
+
+    const drawHeader = () => {
+      doc.fontSize(8).font('Helvetica-Bold');
+      doc.rect(30, currentY, tableWidth, rowHeight).fill('#1e40af');
+      let xPos = 33;
+      headers.forEach((header, i) => {
+        doc.fillColor('#fff').text(header, xPos, currentY + 7, { width: colWidths[i] - 6, align: i === 4 ? 'right' : 'left' });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+      doc.font('Helvetica').fontSize(8);
+    };
+
+    const drawRow = (cells, shaded) => {
+      if (currentY > 760) {
+        doc.addPage();
+        currentY = 50;
+        drawHeader();
+      }
+      if (shaded) {
+        doc.rect(30, currentY, tableWidth, rowHeight).fill('#f3f4f6');
+      }
+      let xPos = 33;
+      cells.forEach((cell, i) => {
+        doc.fillColor('#000').text(String(cell), xPos, currentY + 7, {
+          width: colWidths[i] - 6,
+          align: i === 4 ? 'right' : 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+        xPos += colWidths[i];
+      });
+      currentY += rowHeight;
+    };
+
+    drawHeader();
+    invoice.orders.forEach((order, index) => {
+      drawRow([
+        order.orderNumber,
+        formatDate(order.deliveryDate || order.createdAt),
+        [order.pickupLocation, order.deliveryAddress || order.location?.name].filter(Boolean).join(' to '),
+        order.deliveryStatus.replace(/_/g, ' '),
+        formatMoney(order.totalOrderAmount)
+      ], index % 2 === 0);
+    });
+
+    doc.font('Helvetica-Bold');
+    drawRow(['', '', '', 'Total', formatMoney(invoice.totalAmount)], false);
+    drawRow(['', '', '', 'Paid', formatMoney(invoice.amountPaid)], false);
+    drawRow(['', '', '', 'Balance Due', formatMoney(invoice.balance)], false);
+
+    if (invoice.payments.length > 0) {
+      doc.fontSize(8)
+         .font('Helvetica')
+         .fillColor('#000')
+         .text(
+           `Payments: ${invoice.payments.map(p => `${formatDate(p.paymentDate)} NGN ${formatMoney(p.amount)} (${p.paymentMethod.replace(/_/g, ' ')}${p.reference ? ` ${p.reference}` : ''})`).join('; ')}`,
+           30, currentY + 10, { width: tableWidth }
+         );
+      currentY = doc.y;
+    }
+
+    doc.fontSize(8)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(
+         invoice.status === 'CANCELLED'
+           ? `This invoice was cancelled on ${formatDate(invoice.cancelledAt)}.`
+           : `Please quote ${invoice.invoiceNumber} with your payment. Generated on ${new Date().toLocaleString('en-NG')}.`,
+         30, currentY + 15, { width: tableWidth }
+       );
+
+    doc.end();
+  })
+);
+
+// ================================
+// REPORTS
+// ================================
+
+// @route   GET /api/v1/transport/billing/reports/aging
+// @desc    Open invoice balances by client: Current, 1-30, 31-60, 61-90, 90+ days past due
+// @access  Private (Transport module access)
+router.get('/reports/aging',
+  [
+    query('asOf').optional().isISO8601().withMessage('As-of date must be a valid date'),
+    query('clientId').optional().custom(validateCuid('client ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    checkValidation(req, 'Invalid query parameters');
+
+    const report = await getReceivablesAging({
+      asOf: req.query.asOf ? new Date(req.query.asOf) : new Date(),
+      clientId: req.query.clientId
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  })
+);
+
+module.exports = router;
@@ -10,6 +10,10 @@ const { asyncHandler, ValidationError, BusinessError, NotFoundError } = require(
 const { authorizeModule, authorizeRole } = require('../middleware/auth');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
 const { validateCuid } = require('../utils/validators');
+const { getHaulageRateAsOf, selectHaulageRate } = require('../services/ratePricingService');
+const { getFuelPriceAsOf } = require('../services/fuelPriceService');
+const { assertTruckInService } = require('../services/fleetMaintenanceService');
+const { resolveTransportClient, assertClientCredit, issueCashInvoice } = require('../services/transportBillingService');
 
 const router = express.Router();
 const prisma = require('../lib/prisma');
@@ -24,13 +28,17 @@ router.use(authorizeModule('transport'));
 // ================================
 
 const createTransportOrderValidation = [
-  // orderNumber is auto-generated server-side — not required from client
-  body('clientName').notEmpty().withMessage('Client name is required'),
+  // orderNumber and invoiceNumber are generated server-side — not accepted from client
+  body('transportClientId').optional().custom(validateCuid('transport client ID')),
+  body('clientName')
+    .if(body('transportClientId').not().exists())
+    .notEmpty().withMessage('Client name is required'),
   body('clientPhone').optional().trim(),
+  body('onAccount').optional().isBoolean().withMessage('onAccount must be true or false'),
   body('pickupLocation').optional().trim(),
   body('locationId').notEmpty().custom(validateCuid('location ID')),
   body('totalOrderAmount').isFloat({ min: 0 }).withMessage('Order amount must be positive'),
-  body('fuelCostPerLitre').isFloat({ min: 0 }).withMessage('Fuel cost per litre must be positive'),
+  body('fuelCostPerLitre').optional().isFloat({ min: 0 }).withMessage('Fuel cost per litre must be positive'),
   body('tripAllowance').optional().isFloat({ min: 0 }).withMessage('Trip allowance must be positive'),
   body('truckId')
     .optional()
@@ -40,7 +48,6 @@ const createTransportOrderValidation = [
       throw new Error('Invalid truck ID format');
     }),
   body('driverDetails').optional().trim(),
-  body('invoiceNumber').optional().trim(),
 ];
 
 const updateTransportOrderValidation = [
@@ -61,7 +68,6 @@ const updateTransportOrderValidation = [
       throw new Error('Invalid truck ID format');
     }),
   body('driverDetails').optional().trim(),
-  body('invoiceNumber').optional().trim(),
   body('truckExpensesDescription').optional().trim(),
   body('locationId').optional().custom((value) => {
     if (!value || value === '') return true;
@@ -104,18 +110,18 @@ async function calculateOrderCosts(
   fuelPricePerLiter,
   totalOrderAmount,
   driverWages,
-  tripAllowance
+  tripAllowance,
+  { truckId = null, asOf = new Date() } = {}
 ) {
-  // Get haulage rate for location
-  const haulageRate = await prisma.haulageRate.findFirst({
-    where: {
-      locationId,
-      isActive: true
-    },
-    orderBy: { effectiveDate: 'desc' }
-  });
+  // Haulage rate in force on the order date, for the truck's capacity column
+  const haulageRate = await getHaulageRateAsOf(locationId, asOf);
+  const truck = truckId
+    ? await prisma.truckCapacity.findUnique({ where: { truckId }, select: { capacity: true } })
+    : null;
 
-  const baseHaulageRate = haulageRate ? parseFloat(haulageRate.rate) : 50000;
+  const baseHaulageRate = haulageRate
+    ? parseFloat(selectHaulageRate(haulageRate, truck?.capacity || 15))
+    : 50000;
 
   // Calculate costs
   const totalFuelCost = fuelRequired * fuelPricePerLiter;
@@ -166,6 +172,7 @@ router.post('/orders',
     }
 
     const {
+      transportClientId,
       clientName,
       clientPhone = '',
       pickupLocation,
@@ -175,21 +182,39 @@ router.post('/orders',
       tripAllowance,
       truckId,
       driverDetails,
-      invoiceNumber,
       paymentMethod
     } = req.body;
+    const onAccount = req.body.onAccount === true || req.body.onAccount === 'true';
 
     const userId = req.user.id;
 
     // Fetch location to get pre-configured costs (fuelRequired and driverWages)
     const location = await prisma.location.findUnique({
       where: { id: locationId },
-      select: { fuelRequired: true, driverWages: true, orderAmount: true, name: true }
+      select: { fuelRequired: true, fuelCostPerLitre: true, driverWages: true, orderAmount: true, name: true }
     });
     if (!location) throw new NotFoundError('Location not found');
 
+    // Trucks booked out for maintenance cannot take new orders
+    if (truckId) await assertTruckInService(truckId);
+
+    // Fuel price: as entered, else today's fuel index price, else the location's configured price
+    let fuelPriceSource = 'ENTERED';
+    let fuelPricePerLiter = parseFloat(fuelCostPerLitre);
+    if (fuelCostPerLitre === undefined || fuelCostPerLitre === null || fuelCostPerLitre === '') {
+      const indexPrice = await getFuelPriceAsOf(locationId);
+      if (indexPrice) {
+        fuelPricePerLiter = indexPrice.pricePerLitre;
+        fuelPriceSource = indexPrice.source === 'LOCATION' ? 'FUEL_INDEX_LOCATION' : 'FUEL_INDEX';
+      } else if (parseFloat(location.fuelCostPerLitre) > 0) {
+        fuelPricePerLiter = parseFloat(location.fuelCostPerLitre);
+        fuelPriceSource = 'LOCATION_DEFAULT';
+      } else {
+        throw new ValidationError('Fuel cost per litre is required: no fuel price has been recorded for this location');
+      }
+    }
+
     const fuelRequired = parseFloat(location.fuelRequired);
-    const fuelPricePerLiter = parseFloat(fuelCostPerLitre);
     const driverWages = parseFloat(location.driverWages);
     const resolvedTripAllowance = tripAllowance ? parseFloat(tripAllowance) : 0;
 
@@ -212,12 +237,19 @@ router.post('/orders',
 
     // ✨ USE TRANSACTION to create order + ALL cash flow entries atomically
     const result = await prisma.$transaction(async (tx) => {
-      // 1. CREATE TRANSPORT ORDER
+      // 1. CREATE TRANSPORT ORDER for the chosen client, or the client matching the name given
+      const transportClient = await resolveTransportClient({ transportClientId, clientName, clientPhone }, userId, tx);
+      if (onAccount) {
+        await assertClientCredit(transportClient, totalOrderAmount, tx);
+      }
+
       const order = await tx.transportOrder.create({
         data: {
           orderNumber,
-          name: clientName,
-          phone: clientPhone,
+          transportClientId: transportClient.id,
+          onAccount,
+          name: transportClient.name,
+          phone: clientPhone || transportClient.phone || '',
           pickupLocation: pickupLocation || null,
           deliveryAddress: null,
           locationId,
@@ -234,7 +266,6 @@ router.post('/orders',
           profitMargin,
           truckId: truckId || null,
           driverDetails,
-          invoiceNumber,
           deliveryStatus: 'PENDING',
           createdBy: userId,
           serviceChargePercent: 10.0,
@@ -255,17 +286,31 @@ router.post('/orders',
       });
 
       // 2. ✨ CREATE REVENUE CASH FLOW ENTRY (CASH_IN) ✨
-      const revenueCashFlow = await tx.cashFlow.create({
-        data: {
-          transactionType: 'CASH_IN',
-          amount: parseFloat(totalOrderAmount),
+      // Cash orders are paid now and invoiced as paid; on-account orders are
+      // invoiced after delivery and their revenue comes in with the invoice payments
+      let revenueCashFlow = null;
+      if (!onAccount) {
+        revenueCashFlow = await tx.cashFlow.create({
+          data: {
+            transactionType: 'CASH_IN',
+            amount: parseFloat(totalOrderAmount),
+            paymentMethod: paymentMethod || 'BANK_TRANSFER',
+            description: `Transport Revenue: ${transportClient.name} - ${pickupLocation || location.name}`,
+            referenceNumber: orderNumber,
+            cashier: userId,
+            module: 'TRANSPORT'
+          }
+        });
+
+        const invoice = await issueCashInvoice(tx, {
+          order,
+          transportClient,
           paymentMethod: paymentMethod || 'BANK_TRANSFER',
-          description: `Transport Revenue: ${clientName} - ${pickupLocation || location.name}`,
-          referenceNumber: orderNumber,
-          cashier: userId,
-          module: 'TRANSPORT'
-        }
-      });
+          cashFlowId: revenueCashFlow.id
+        }, userId);
+        order.transportInvoiceId = invoice.id;
+        order.invoiceNumber = invoice.invoiceNumber;
+      }
 
       // 3. ✨ CREATE FUEL EXPENSE CASH FLOW ENTRY (CASH_OUT) ✨
       const fuelCashFlow = await tx.cashFlow.create({
@@ -308,7 +353,7 @@ router.post('/orders',
 
       console.log('✅ Transport order & cash flow entries created:', {
         orderNumber,
-        revenue: totalOrderAmount,
+        revenue: onAccount ? 'ON_ACCOUNT' : totalOrderAmount,
         expenses: {
           fuel: totalFuelCost,
           wages: totalWages,
@@ -342,19 +387,22 @@ router.post('/orders',
 
     res.status(201).json({
       success: true,
-      message: 'Transport order created successfully. All cash flow entries recorded automatically.',
+      message: onAccount
+        ? 'Transport order created on account. Revenue will be recorded as its invoice is paid.'
+        : 'Transport order created successfully. All cash flow entries recorded automatically.',
       data: { 
         order: result.order,
+        fuelPriceSource,
         cashFlowRecorded: true,
         cashFlowSummary: {
-          revenueRecorded: parseFloat(totalOrderAmount),
+          revenueRecorded: onAccount ? 0 : parseFloat(totalOrderAmount),
           expensesRecorded: {
             fuel: totalFuelCost,
             wages: totalWages,
             serviceCharge: serviceChargeExpense,
             total: totalTripExpenses
           },
-          netCashFlow: parseFloat(totalOrderAmount) - totalTripExpenses
+          netCashFlow: (onAccount ? 0 : parseFloat(totalOrderAmount)) - totalTripExpenses
         }
       }
     });
@@ -626,6 +674,15 @@ router.put('/orders/:id',
       }
     }
 
+    // The invoice total is fixed once issued
+    if (existingOrder.transportInvoiceId && updateData.totalOrderAmount !== undefined &&
+        parseFloat(updateData.totalOrderAmount) !== parseFloat(existingOrder.totalOrderAmount)) {
+      throw new BusinessError(
+        `Order is on invoice ${existingOrder.invoiceNumber}; cancel the invoice before changing the order amount`,
+        'ORDER_INVOICED'
+      );
+    }
+
     // ✅ Map frontend field names to database field names
     const prismaData = {};
 
@@ -644,7 +701,7 @@ router.put('/orders/:id',
     // Note: truckId and locationId are relation fields handled separately
     const directFields = [
       'orderNumber', 'pickupLocation', 'driverDetails',
-      'invoiceNumber', 'truckExpensesDescription', 'deliveryAddress'
+      'truckExpensesDescription', 'deliveryAddress'
     ];
 
     directFields.forEach(field => {
@@ -664,6 +721,8 @@ router.put('/orders/:id',
         // Disconnect truck if null or empty
         prismaData.truck = { disconnect: true };
       } else if (updateData.truckId !== existingOrder.truckId) {
+        await assertTruckInService(updateData.truckId);
+
         // Connect to new truck if changed
         prismaData.truck = {
           connect: { truckId: updateData.truckId }
@@ -731,7 +790,11 @@ router.put('/orders/:id',
         fuelCostPerLitre,
         totalOrderAmount,
         driverWages,
-        tripAllowance
+        tripAllowance,
+        {
+          truckId: updateData.truckId || existingOrder.truckId,
+          asOf: existingOrder.createdAt
+        }
       );
 
       // Only add calculated values if they're valid numbers
@@ -829,6 +892,13 @@ router.put('/orders/:id/status',
       }
     }
 
+    if (deliveryStatus === 'CANCELLED' && existingOrder.onAccount && existingOrder.transportInvoiceId) {
+      throw new BusinessError(
+        `Order is on invoice ${existingOrder.invoiceNumber}; cancel the invoice before cancelling the order`,
+        'ORDER_INVOICED'
+      );
+    }
+
     // Update order status
     const updatedOrder = await prisma.transportOrder.update({
       where: { id },
@@ -1517,7 +1587,8 @@ router.post('/cash-flow',
         paymentMethod,
         description,
         referenceNumber,
-        cashier: req.user.id
+        cashier: req.user.id,
+        module: 'TRANSPORT'
       },
       include: {
         cashierUser: {
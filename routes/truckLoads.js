@@ -5,6 +5,7 @@ const { authorizeModule } = require('../middleware/auth');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
 const { validateCuid } = require('../utils/validators');
 const { generateTruckLoadNumber } = require('../utils/orderNumberGenerator');
+const { findFleetTruck, assertTruckInService } = require('../services/fleetMaintenanceService');
 const prisma = require('../lib/prisma');
 
 const router = express.Router();
@@ -98,6 +99,10 @@ router.post('/',
     const supplier = await prisma.supplierCompany.findUnique({ where: { id: supplierCompanyId } });
     if (!supplier) throw new NotFoundError('Supplier company not found');
 
+    // Our own trucks must be in service; hired trucks are not tracked
+    const fleetTruck = await findFleetTruck(truckNumber);
+    if (fleetTruck) await assertTruckInService(fleetTruck.truckId);
+
     // Fetch all orders
     const orders = await prisma.distributionOrder.findMany({
       where: { id: { in: orderIds } },
@@ -238,6 +243,11 @@ router.put('/:id',
       }
     }
 
+    if (truckNumber && truckNumber !== truckLoad.truckNumber) {
+      const fleetTruck = await findFleetTruck(truckNumber);
+      if (fleetTruck) await assertTruckInService(fleetTruck.truckId);
+    }
+
     const updateData = {};
     if (status !== undefined) updateData.status = status;
     if (transporterCompany !== undefined) updateData.transporterCompany = transporterCompany || null;
@@ -284,6 +284,17 @@ router.delete('/trucks/:id',
       );
     }
 
+    const workOrders = await prisma.truckWorkOrder.count({
+      where: { truckId: id }
+    });
+
+    if (workOrders > 0) {
+      throw new BusinessError(
+        `Cannot delete truck. It has ${workOrders} maintenance work order(s)`,
+        'TRUCK_IN_USE'
+      );
+    }
+
     // Delete truck
     await prisma.truckCapacity.delete({
       where: { truckId: id }
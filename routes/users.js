@@ -4,8 +4,10 @@ const bcrypt = require('bcrypt');
 
 const { asyncHandler, ValidationError, BusinessError, NotFoundError } = require('../middleware/errorHandler');
 const { authorizeRole } = require('../middleware/auth');
-const { getUserActivity } = require('../middleware/auditLogger');
+const { getUserActivity, logDataChange, getClientIP } = require('../middleware/auditLogger');
 const { validateCuid } = require('../utils/validators'); // ✅ ADDED
+const { revokeAllUserSessions } = require('../services/sessionService');
+const { getUserLockState, unlockUser, unlockIp } = require('../services/loginProtectionService');
 
 const router = express.Router();
 const prisma = require('../lib/prisma');
@@ -128,7 +130,11 @@ router.get('/:id',
         role: true,
         isActive: true,
         createdAt: true,
-        lastLoginAt: true
+        lastLoginAt: true,
+        failedLoginAttempts: true,
+        lastFailedLoginAt: true,
+        lockedUntil: true,
+        lockoutCount: true
       }
     });
 
@@ -136,9 +142,16 @@ router.get('/:id',
       throw new NotFoundError('User not found');
     }
 
+    const { failedLoginAttempts, lastFailedLoginAt, lockedUntil, lockoutCount, ...userData } = user;
+
     res.json({
       success: true,
-      data: { user }
+      data: {
+        user: {
+          ...userData,
+          lockout: getUserLockState(user)
+        }
+      }
     });
   })
 );
@@ -188,6 +201,11 @@ router.put('/:id',
       }
     });
 
+    // Deactivated users must not keep refreshing their tokens
+    if (existingUser.isActive && updatedUser.isActive === false) {
+      await revokeAllUserSessions(id, 'ACCOUNT_DEACTIVATED');
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -229,11 +247,8 @@ router.delete('/:id',
       data: { isActive: false }
     });
 
-    // Invalidate all user sessions
-    await prisma.userSession.updateMany({
-      where: { userId: id },
-      data: { isActive: false }
-    });
+    // Invalidate all user sessions and refresh tokens
+    await revokeAllUserSessions(id, 'ACCOUNT_DEACTIVATED');
 
     res.json({
       success: true,
@@ -392,16 +407,11 @@ router.post('/:id/reset-password',
     const passwordHash = await bcrypt.hash(newPassword, 12);
 
     // Update password and invalidate all sessions
-    await Promise.all([
-      prisma.user.update({
-        where: { id },
-        data: { passwordHash }
-      }),
-      prisma.userSession.updateMany({
-        where: { userId: id },
-        data: { isActive: false }
-      })
-    ]);
+    await prisma.user.update({
+      where: { id },
+      data: { passwordHash }
+    });
+    await revokeAllUserSessions(id, 'PASSWORD_RESET');
 
     res.json({
       success: true,
@@ -410,4 +420,76 @@ router.post('/:id/reset-password',
   })
 );
 
+// @route   POST /api/v1/users/unlock-ip
+// @desc    Clear a login lockout on a client IP address
+// @access  Private (Managing Director and General Manager only)
+router.post('/unlock-ip',
+  authorizeRole(['MANAGING_DIRECTOR', 'GENERAL_MANAGER']),
+  [
+    body('ipAddress')
+      .trim()
+      .notEmpty()
+      .withMessage('IP address is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { ipAddress } = req.body;
+
+    const unlocked = await unlockIp(ipAddress);
+    if (!unlocked) {
+      throw new NotFoundError('No login lockout record for this IP address');
+    }
+
+    await logDataChange(req.user.id, 'LoginIpThrottle', ipAddress, 'UNLOCK', null, { ipAddress }, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: `Login lockout cleared for ${ipAddress}`
+    });
+  })
+);
+
+// @route   POST /api/v1/users/:id/unlock
+// @desc    Unlock an account locked by repeated failed logins
+// @access  Private (Managing Director and General Manager only)
+router.post('/:id/unlock',
+  param('id').custom(validateCuid('user ID')),
+  authorizeRole(['MANAGING_DIRECTOR', 'GENERAL_MANAGER']),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const previousState = getUserLockState(user);
+    const updatedUser = await unlockUser(id);
+
+    await logDataChange(req.user.id, 'User', id, 'UNLOCK', previousState, getUserLockState(updatedUser), getClientIP(req));
+
+    res.json({
+      success: true,
+      message: `Account ${user.username} has been unlocked`,
+      data: {
+        user: {
+          id: updatedUser.id,
+          username: updatedUser.username,
+          lockout: getUserLockState(updatedUser)
+        }
+      }
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -3,9 +3,14 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 
-const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
-const { authorizeModule } = require('../middleware/auth');
+const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { authorizeModule, authorizeRole } = require('../middleware/auth');
 const { validateCuid } = require('../utils/validators');
+const {
+  CREDIT_OVERRIDE_ROLES,
+  checkWarehouseCredit,
+  refreshCreditHold
+} = require('../services/creditControlService');
 
 const router = express.Router();
 const prisma = require('../lib/prisma');
@@ -309,6 +314,12 @@ router.get('/customers/:id',
                 receiptNumber: true,
                 totalAmount: true
               }
+            },
+            receipt: {
+              select: {
+                receiptNumber: true,
+                totalAmount: true
+              }
             }
           }
         }
@@ -466,7 +477,8 @@ router.put('/customers/:id',
     }
 
     const { id } = req.params;
-    const updateData = req.body;
+    // Credit hold is managed through PUT /customers/:id/credit-hold
+    const { creditHold, creditHoldReason, creditHoldAt, creditHoldBy, ...updateData } = req.body;
 
     const existingCustomer = await prisma.warehouseCustomer.findUnique({ where: { id } });
 
@@ -488,4 +500,109 @@ router.put('/customers/:id',
   })
 );
 
+// @route   GET /api/v1/warehouse/customers/:id/credit-status
+// @desc    Credit checks for a customer, optionally for a proposed credit amount
+// @access  Private (Warehouse module access)
+router.get('/customers/:id/credit-status',
+  authorizeModule('warehouse', 'read'),
+  param('id').custom(validateCuid('customer ID')),
+  query('amount').optional().isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const customer = await prisma.warehouseCustomer.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+    if (!customer) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    const creditStatus = await checkWarehouseCredit(customer.id, parseFloat(req.query.amount || 0));
+
+    res.json({
+      success: true,
+      data: {
+        ...creditStatus,
+        canOverride: CREDIT_OVERRIDE_ROLES.includes(req.user.role)
+      }
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/customers/:id/credit-hold
+// @desc    Place or lift a manual credit hold
+// @access  Private (Managing Director, General Manager)
+router.put('/customers/:id/credit-hold',
+  authorizeModule('warehouse', 'write'),
+  authorizeRole(CREDIT_OVERRIDE_ROLES),
+  param('id').custom(validateCuid('customer ID')),
+  [
+    body('hold').isBoolean().withMessage('hold must be true or false'),
+    body('reason').if(body('hold').equals('true')).trim().notEmpty().withMessage('A reason is required to place a credit hold')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const hold = req.body.hold === true || req.body.hold === 'true';
+
+    const existingCustomer = await prisma.warehouseCustomer.findUnique({ where: { id } });
+    if (!existingCustomer) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    if (hold) {
+      await prisma.warehouseCustomer.update({
+        where: { id },
+        data: {
+          creditHold: true,
+          creditHoldReason: req.body.reason,
+          creditHoldAt: new Date(),
+          creditHoldBy: req.user.id
+        }
+      });
+    } else {
+      if (!existingCustomer.creditHold) {
+        throw new BusinessError('Customer is not on credit hold', 'NOT_ON_CREDIT_HOLD');
+      }
+      await prisma.warehouseCustomer.update({
+        where: { id },
+        data: { creditHold: false, creditHoldReason: null, creditHoldAt: null, creditHoldBy: null }
+      });
+      // Re-applies the automatic hold if overdue debts remain
+      await refreshCreditHold(id);
+    }
+
+    const customer = await prisma.warehouseCustomer.findUnique({ where: { id } });
+
+    logDataChange(
+      req.user.id,
+      'WAREHOUSE_CUSTOMER',
+      id,
+      hold ? 'CREDIT_HOLD' : 'CREDIT_HOLD_RELEASE',
+      { creditHold: existingCustomer.creditHold, creditHoldReason: existingCustomer.creditHoldReason },
+      { creditHold: customer.creditHold, creditHoldReason: customer.creditHoldReason },
+      getClientIP(req)
+    ).catch(console.error);
+
+    let message = hold ? 'Credit hold placed' : 'Credit hold lifted';
+    if (!hold && customer.creditHold) {
+      message = 'Manual hold lifted, but the customer remains on automatic hold for overdue debts';
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { customer }
+    });
+  })
+);
+
 module.exports = router;
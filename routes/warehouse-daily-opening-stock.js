@@ -128,10 +128,11 @@ async function getSystemOpeningStock(productId, stockDate) {
   // For past dates, calculate opening stock by working backwards
   // Opening Stock = Current Stock - Purchases since that date + Sales since that date
 
-  // Get purchases made on or after the date
+  // Get purchases made on or after the date (batches split off a break-down aren't purchases)
   const purchasesAfter = await prisma.warehouseProductPurchase.aggregate({
     where: {
       productId,
+      sourceBatchId: null,
       purchaseDate: { gte: dateStart },
       batchStatus: { in: ['ACTIVE', 'DEPLETED'] }
     },
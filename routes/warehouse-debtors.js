@@ -6,11 +6,81 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
+const { Parser } = require('json2csv');
 const { authorizeModule } = require('../middleware/auth');
 const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
 
 const prisma = require('../lib/prisma');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
+const { refreshCreditHold } = require('../services/creditControlService');
+const {
+  AGING_BUCKETS,
+  getDebtStatusAfterPayment,
+  calculatePaymentReliability,
+  getDebtorAgingReport
+} = require('../services/debtorAgingService');
+const { manageDebtorStatus } = require('../jobs/debtor-status-manager');
+
+const saleLineSelect = {
+  id: true,
+  receiptNumber: true,
+  quantity: true,
+  unitType: true,
+  unitPrice: true,
+  totalAmount: true,
+  createdAt: true,
+  paymentMethod: true,
+  paymentStatus: true,
+  product: {
+    select: {
+      id: true,
+      name: true,
+      productNo: true
+    }
+  }
+};
+
+// Debtors belong either to a receipt header (current) or to a single sale line (legacy)
+const getDebtorReceiptNumber = (debtor) =>
+  debtor.receipt?.receiptNumber || debtor.sale?.receiptNumber || null;
+
+const getDebtorProductLabel = (debtor) => {
+  if (debtor.sale?.product) return debtor.sale.product.name;
+  const items = debtor.receipt?.items || [];
+  if (items.length === 1 && items[0].product) return items[0].product.name;
+  return `${items.length} items`;
+};
+
+// Mirror a debtor's new status onto the receipt header and its lines (or the legacy sale)
+const syncSalePaymentStatus = async (tx, debtor, newStatus, paymentAmount) => {
+  const paymentStatus = newStatus === 'PAID' ? 'PAID' : 'PARTIAL';
+
+  if (debtor.receiptId) {
+    await tx.warehouseReceipt.update({
+      where: { id: debtor.receiptId },
+      data: {
+        paymentStatus,
+        amountPaid: { increment: paymentAmount }
+      }
+    });
+    const lines = await tx.warehouseSale.findMany({
+      where: { receiptId: debtor.receiptId },
+      select: { id: true }
+    });
+    await tx.warehouseSale.updateMany({
+      where: { receiptId: debtor.receiptId },
+      data: { paymentStatus }
+    });
+    return lines.map(line => line.id);
+  }
+
+  await tx.warehouseSale.update({
+    where: { id: debtor.saleId },
+    data: { paymentStatus }
+  });
+  return [debtor.saleId];
+};
 
 // ================================
 // GET ALL DEBTORS (GROUPED BY RECEIPT)
@@ -46,22 +116,16 @@ router.get('/',
           }
         },
         sale: {
+          select: saleLineSelect
+        },
+        receipt: {
           select: {
-            id: true,
             receiptNumber: true,
-            quantity: true,
-            unitType: true,
-            unitPrice: true,
-            totalAmount: true,
             createdAt: true,
             paymentMethod: true,
-            paymentStatus: true,
-            product: {
-              select: {
-                id: true,
-                name: true,
-                productNo: true
-              }
+            items: {
+              select: saleLineSelect,
+              orderBy: { createdAt: 'asc' }
             }
           }
         },
@@ -78,7 +142,9 @@ router.get('/',
     const receiptMap = new Map();
 
     for (const debtor of debtors) {
-      const receiptNumber = debtor.sale.receiptNumber;
+      const receiptNumber = getDebtorReceiptNumber(debtor);
+      const header = debtor.receipt || debtor.sale;
+      if (!receiptNumber) continue;
 
       if (!receiptMap.has(receiptNumber)) {
         receiptMap.set(receiptNumber, {
@@ -96,8 +162,8 @@ router.get('/',
           amountDue: 0,
           status: 'OUTSTANDING',
           dueDate: debtor.dueDate,
-          createdAt: debtor.sale.createdAt,
-          paymentMethod: debtor.sale.paymentMethod,
+          createdAt: header.createdAt,
+          paymentMethod: header.paymentMethod,
           products: [],
           debtorIds: [],
           allPayments: []
@@ -114,19 +180,24 @@ router.get('/',
       // Track debtor IDs for payment
       receipt.debtorIds.push(debtor.id);
 
-      // Add product details
-      receipt.products.push({
-        debtorId: debtor.id,
-        saleId: debtor.saleId,
-        product: debtor.sale.product,
-        quantity: debtor.sale.quantity,
-        unitType: debtor.sale.unitType,
-        unitPrice: parseFloat(debtor.sale.unitPrice),
-        totalAmount: parseFloat(debtor.totalAmount),
-        amountPaid: parseFloat(debtor.amountPaid),
-        amountDue: parseFloat(debtor.amountDue),
-        status: debtor.status
-      });
+      // Add product details (receipt debtors spread their balance across lines pro rata)
+      const lines = debtor.receipt ? debtor.receipt.items : [debtor.sale];
+      const debtTotal = parseFloat(debtor.totalAmount);
+      for (const line of lines) {
+        const share = debtor.receipt && debtTotal > 0 ? parseFloat(line.totalAmount) / debtTotal : 1;
+        receipt.products.push({
+          debtorId: debtor.id,
+          saleId: line.id,
+          product: line.product,
+          quantity: line.quantity,
+          unitType: line.unitType,
+          unitPrice: parseFloat(line.unitPrice),
+          totalAmount: debtor.receipt ? parseFloat(line.totalAmount) : debtTotal,
+          amountPaid: parseFloat((parseFloat(debtor.amountPaid) * share).toFixed(2)),
+          amountDue: parseFloat((parseFloat(debtor.amountDue) * share).toFixed(2)),
+          status: debtor.status
+        });
+      }
 
       // Collect all payments (deduplicate if needed)
       receipt.allPayments.push(...debtor.payments);
@@ -273,6 +344,12 @@ router.get('/customer/:customerId/summary',
               totalAmount: true
             }
           },
+          receipt: {
+            select: {
+              receiptNumber: true,
+              totalAmount: true
+            }
+          },
           payments: true
         },
         orderBy: { createdAt: 'desc' }
@@ -348,6 +425,11 @@ router.post('/:debtorId/payments',
             include: {
               product: true
             }
+          },
+          receipt: {
+            include: {
+              items: { include: { product: true } }
+            }
           }
         }
       });
@@ -382,12 +464,7 @@ router.post('/:debtorId/payments',
       const newAmountPaid = parseFloat(debtor.amountPaid) + paymentAmount;
       const newAmountDue = parseFloat(debtor.totalAmount) - newAmountPaid;
 
-      let newStatus = debtor.status;
-      if (newAmountDue <= 0) {
-        newStatus = 'PAID';
-      } else if (newAmountPaid > 0) {
-        newStatus = 'PARTIAL';
-      }
+      const newStatus = getDebtStatusAfterPayment(debtor, newAmountPaid, newAmountDue);
 
       const updatedDebtor = await tx.debtor.update({
         where: { id: debtorId },
@@ -399,22 +476,17 @@ router.post('/:debtorId/payments',
       });
 
       // 3. ✅ UPDATE WAREHOUSE SALE PAYMENT STATUS (FIX ADDED HERE)
-      await tx.warehouseSale.update({
-        where: { id: debtor.saleId },
-        data: {
-          paymentStatus: newStatus === 'PAID' ? 'PAID' : 'PARTIAL'
-        }
-      });
+      const receiptNumber = getDebtorReceiptNumber(debtor);
+      await syncSalePaymentStatus(tx, debtor, newStatus, paymentAmount);
 
       console.log('✅ Warehouse sale payment status updated:', {
-        saleId: debtor.saleId,
-        receiptNumber: debtor.sale.receiptNumber,
+        receiptNumber,
         newPaymentStatus: newStatus === 'PAID' ? 'PAID' : 'PARTIAL',
         debtorStatus: newStatus
       });
 
       // 4. CREATE CASH FLOW ENTRY (INFLOW)
-      const cashFlowDescription = `Debt payment from ${debtor.warehouseCustomer.name} - ${debtor.sale.product.name} (Receipt: ${debtor.sale.receiptNumber})`;
+      const cashFlowDescription = `Debt payment from ${debtor.warehouseCustomer.name} - ${getDebtorProductLabel(debtor)} (Receipt: ${receiptNumber})`;
       
       const cashFlowEntry = await tx.cashFlow.create({
         data: {
@@ -424,7 +496,8 @@ router.post('/:debtorId/payments',
           description: cashFlowDescription,
           referenceNumber: referenceNumber || `DEBT-PAY-${payment.id.slice(-8)}`,
           cashier: req.user.id,
-          module: 'WAREHOUSE'
+          module: 'WAREHOUSE',
+          debtorPayments: { connect: { id: payment.id } }
         }
       });
 
@@ -445,26 +518,8 @@ router.post('/:debtorId/payments',
         _sum: { amountDue: true }
       });
 
-      // Calculate payment reliability
-      const allPayments = await tx.debtorPayment.count({
-        where: {
-          debtor: { warehouseCustomerId: debtor.warehouseCustomerId }
-        }
-      });
-
-      const latePayments = await tx.debtorPayment.count({
-        where: {
-          debtor: {
-            warehouseCustomerId: debtor.warehouseCustomerId,
-            dueDate: { not: null }
-          },
-          paymentDate: { gt: debtor.dueDate }
-        }
-      });
-
-      const reliabilityScore = allPayments > 0
-        ? ((allPayments - latePayments) / allPayments) * 100
-        : 100;
+      // Recalculate payment reliability from the full payment history
+      const reliabilityScore = await calculatePaymentReliability(debtor.warehouseCustomerId, tx);
 
       // ✅ Prepare customer update data
       const customerUpdateData = {
@@ -483,6 +538,9 @@ router.post('/:debtorId/payments',
         data: customerUpdateData
       });
 
+      // Settling overdue debts lifts the automatic credit hold
+      await refreshCreditHold(debtor.warehouseCustomerId, tx);
+
       return { payment, debtor: updatedDebtor, cashFlowEntry };
     });
 
@@ -543,9 +601,10 @@ router.post('/receipt/:receiptNumber/payment',
       // Get all debtors for this receipt
       const receiptDebtors = await tx.debtor.findMany({
         where: {
-          sale: {
-            receiptNumber: receiptNumber
-          },
+          OR: [
+            { receipt: { receiptNumber } },
+            { sale: { receiptNumber } }
+          ],
           status: { in: ['OUTSTANDING', 'PARTIAL', 'OVERDUE'] },
           amountDue: { gt: 0 }
         },
@@ -606,12 +665,7 @@ router.post('/receipt/:receiptNumber/payment',
         const newAmountPaid = parseFloat(debt.amountPaid) + paymentForThisDebt;
         const newAmountDue = parseFloat(debt.totalAmount) - newAmountPaid;
 
-        let newStatus = debt.status;
-        if (newAmountDue <= 0) {
-          newStatus = 'PAID';
-        } else if (newAmountPaid > 0) {
-          newStatus = 'PARTIAL';
-        }
+        const newStatus = getDebtStatusAfterPayment(debt, newAmountPaid, newAmountDue);
 
         const updatedDebtor = await tx.debtor.update({
           where: { id: debt.id },
@@ -625,14 +679,7 @@ router.post('/receipt/:receiptNumber/payment',
         debtorsUpdated.push(updatedDebtor);
 
         // 3. Update warehouse sale payment status
-        await tx.warehouseSale.update({
-          where: { id: debt.saleId },
-          data: {
-            paymentStatus: newStatus === 'PAID' ? 'PAID' : 'PARTIAL'
-          }
-        });
-
-        salesUpdated.push(debt.saleId);
+        salesUpdated.push(...await syncSalePaymentStatus(tx, debt, newStatus, paymentForThisDebt));
 
         remainingPayment -= paymentForThisDebt;
       }
@@ -649,7 +696,8 @@ router.post('/receipt/:receiptNumber/payment',
           description: cashFlowDescription,
           referenceNumber: referenceNumber || `DEBT-PAY-${receiptNumber}`,
           cashier: req.user.id,
-          module: 'WAREHOUSE'
+          module: 'WAREHOUSE',
+          debtorPayments: { connect: paymentsCreated.map(p => ({ id: p.id })) }
         }
       });
 
@@ -672,29 +720,8 @@ router.post('/receipt/:receiptNumber/payment',
         _sum: { amountDue: true }
       });
 
-      // Calculate payment reliability
-      const allPaymentsWithDebtors = await tx.debtorPayment.findMany({
-        where: {
-          debtor: { warehouseCustomerId: customerId }
-        },
-        include: {
-          debtor: {
-            select: { dueDate: true }
-          }
-        }
-      });
-
-      const allPayments = allPaymentsWithDebtors.length;
-
-      // Count late payments (payments made after due date)
-      const latePayments = allPaymentsWithDebtors.filter(payment => {
-        if (!payment.debtor.dueDate) return false;
-        return new Date(payment.paymentDate) > new Date(payment.debtor.dueDate);
-      }).length;
-
-      const reliabilityScore = allPayments > 0
-        ? ((allPayments - latePayments) / allPayments) * 100
-        : 100;
+      // Recalculate payment reliability from the full payment history
+      const reliabilityScore = await calculatePaymentReliability(customerId, tx);
 
       // ✅ Count how many debts were fully paid in this transaction
       const fullyPaidCount = debtorsUpdated.filter((updatedDebtor, index) => {
@@ -719,6 +746,8 @@ router.post('/receipt/:receiptNumber/payment',
         data: customerUpdateData
       });
 
+      await refreshCreditHold(customerId, tx);
+
       return {
         payments: paymentsCreated,
         debtorsUpdated,
@@ -838,12 +867,7 @@ router.post('/customer/:customerId/payment',
         const newAmountPaid = parseFloat(debt.amountPaid) + paymentForThisDebt;
         const newAmountDue = parseFloat(debt.totalAmount) - newAmountPaid;
 
-        let newStatus = debt.status;
-        if (newAmountDue <= 0) {
-          newStatus = 'PAID';
-        } else if (newAmountPaid > 0) {
-          newStatus = 'PARTIAL';
-        }
+        const newStatus = getDebtStatusAfterPayment(debt, newAmountPaid, newAmountDue);
 
         const updatedDebtor = await tx.debtor.update({
           where: { id: debt.id },
@@ -857,14 +881,7 @@ router.post('/customer/:customerId/payment',
         debtorsUpdated.push(updatedDebtor);
 
         // 3. Update warehouse sale payment status
-        await tx.warehouseSale.update({
-          where: { id: debt.saleId },
-          data: {
-            paymentStatus: newStatus === 'PAID' ? 'PAID' : 'PARTIAL'
-          }
-        });
-
-        salesUpdated.push(debt.saleId);
+        salesUpdated.push(...await syncSalePaymentStatus(tx, debt, newStatus, paymentForThisDebt));
 
         remainingPayment -= paymentForThisDebt;
       }
@@ -881,7 +898,8 @@ router.post('/customer/:customerId/payment',
           description: cashFlowDescription,
           referenceNumber: referenceNumber || `DEBT-PAY-${Date.now()}`,
           cashier: req.user.id,
-          module: 'WAREHOUSE'
+          module: 'WAREHOUSE',
+          debtorPayments: { connect: paymentsCreated.map(p => ({ id: p.id })) }
         }
       });
 
@@ -903,29 +921,8 @@ router.post('/customer/:customerId/payment',
         _sum: { amountDue: true }
       });
 
-      // Calculate payment reliability
-      const allPaymentsWithDebtors = await tx.debtorPayment.findMany({
-        where: {
-          debtor: { warehouseCustomerId: customerId }
-        },
-        include: {
-          debtor: {
-            select: { dueDate: true }
-          }
-        }
-      });
-
-      const allPayments = allPaymentsWithDebtors.length;
-
-      // Count late payments (payments made after due date)
-      const latePayments = allPaymentsWithDebtors.filter(payment => {
-        if (!payment.debtor.dueDate) return false;
-        return new Date(payment.paymentDate) > new Date(payment.debtor.dueDate);
-      }).length;
-
-      const reliabilityScore = allPayments > 0
-        ? ((allPayments - latePayments) / allPayments) * 100
-        : 100;
+      // Recalculate payment reliability from the full payment history
+      const reliabilityScore = await calculatePaymentReliability(customerId, tx);
 
       // ✅ Count how many debts were fully paid in this transaction
       const fullyPaidCount = debtorsUpdated.filter((updatedDebtor, index) => {
@@ -950,6 +947,8 @@ router.post('/customer/:customerId/payment',
         data: customerUpdateData
       });
 
+      await refreshCreditHold(customerId, tx);
+
       return {
         payments: paymentsCreated,
         debtorsUpdated,
@@ -1090,6 +1089,8 @@ router.get('/analytics',
       `
     ]);
 
+    const aging = await getDebtorAgingReport();
+
     res.json({
       success: true,
       data: {
@@ -1102,10 +1103,278 @@ router.get('/analytics',
         statusBreakdown,
         topDebtors,
         paymentTrends,
-        agingAnalysis
+        agingAnalysis,
+        agingBuckets: aging.buckets
       }
     });
   })
 );
 
+// ================================
+// DEBTOR AGING REPORT
+// ================================
+const agingQueryValidation = [
+  query('asOf').optional().isISO8601(),
+  query('customerId').optional(),
+  query('bucket').optional().isIn(AGING_BUCKETS.map(b => b.key))
+];
+
+const loadAgingReport = async (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Invalid query parameters', errors.array());
+  }
+
+  const { asOf, customerId, bucket } = req.query;
+  return getDebtorAgingReport({
+    asOf: asOf ? new Date(asOf) : new Date(),
+    customerId,
+    bucket
+  });
+};
+
+const formatNaira = (amount) => `NGN ${amount.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+// @route   GET /api/v1/warehouse/debtors/aging
+// @desc    Outstanding debt by age bucket, per customer and in total
+// @access  Private (Warehouse module access)
+router.get('/aging',
+  authorizeModule('warehouse', 'read'),
+  agingQueryValidation,
+  asyncHandler(async (req, res) => {
+    const report = await loadAgingReport(req);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/debtors/aging/export/csv
+// @desc    Export the debtor aging report to CSV
+// @access  Private (Warehouse module access)
+router.get('/aging/export/csv',
+  authorizeModule('warehouse', 'read'),
+  agingQueryValidation,
+  asyncHandler(async (req, res) => {
+    const report = await loadAgingReport(req);
+
+    const fields = [
+      { label: 'Customer', value: 'customerName' },
+      { label: 'Phone', value: 'phone' },
+      ...AGING_BUCKETS.map(b => ({ label: `${b.label} (NGN)`, value: b.key })),
+      { label: 'Total Due (NGN)', value: 'totalDue' },
+      { label: 'Open Debts', value: 'debtCount' },
+      { label: 'Oldest Due Date', value: 'oldestDueDate' },
+      { label: 'Max Days Overdue', value: 'maxDaysOverdue' },
+      { label: 'Credit Limit (NGN)', value: 'creditLimit' },
+      { label: 'Reliability Score (%)', value: 'paymentReliabilityScore' },
+      { label: 'Credit Hold', value: 'creditHold' }
+    ];
+
+    const totalsRow = {
+      customerName: 'TOTAL',
+      ...Object.fromEntries(report.buckets.map(b => [b.key, b.amount.toFixed(2)])),
+      totalDue: report.summary.totalDue.toFixed(2),
+      debtCount: report.summary.openDebts
+    };
+
+    const csvData = [
+      ...report.customers.map(row => ({
+        ...row,
+        phone: row.phone || '',
+        ...Object.fromEntries(AGING_BUCKETS.map(b => [b.key, row[b.key].toFixed(2)])),
+        totalDue: row.totalDue.toFixed(2),
+        oldestDueDate: row.oldestDueDate ? new Date(row.oldestDueDate).toISOString().split('T')[0] : '',
+        creditLimit: row.creditLimit !== null ? row.creditLimit.toFixed(2) : '',
+        creditHold: row.creditHold ? 'Yes' : 'No'
+      })),
+      totalsRow
+    ];
+
+    const parser = new Parser({ fields });
+    const csv = parser.parse(csvData);
+
+    const asOfDate = new Date(report.asOf).toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=debtor-aging-${asOfDate}.csv`);
+    res.send('\uFEFF' + csv);
+  })
+);
+
+// @route   GET /api/v1/warehouse/debtors/aging/export/pdf
+// @desc    Export the debtor aging report to PDF
+// @access  Private (Warehouse module access)
+router.get('/aging/export/pdf',
+  authorizeModule('warehouse', 'read'),
+  agingQueryValidation,
+  asyncHandler(async (req, res) => {
+    const report = await loadAgingReport(req);
+    const asOfDate = new Date(report.asOf).toISOString().split('T')[0];
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'landscape'
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=debtor-aging-${asOfDate}.pdf`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('DEBTOR AGING REPORT', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`As of ${new Date(report.asOf).toLocaleDateString('en-NG')}`, { align: 'center' })
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}`, { align: 'center' });
+
+    doc.moveDown(1.5);
+
+    // Summary
+    const summaryY = doc.y;
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('SUMMARY', 50, summaryY);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#000');
+
+    const summaryData = [
+      ['Total Outstanding:', formatNaira(report.summary.totalDue)],
+      ['Overdue:', formatNaira(report.summary.overdueAmount)],
+      ['Customers with Debt:', report.summary.customersWithDebt],
+      ['Open Debts:', report.summary.openDebts]
+    ];
+
+    let yPos = summaryY + 20;
+    summaryData.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+      doc.font('Helvetica').text(String(value), { width: 200 });
+      yPos += 15;
+    });
+
+    // Bucket totals next to the summary
+    yPos = summaryY + 20;
+    report.buckets.forEach(b => {
+      doc.font('Helvetica-Bold').text(`${b.label}:`, 420, yPos, { width: 100, continued: true });
+      doc.font('Helvetica').text(`${formatNaira(b.amount)} (${b.percentage}%)`, { width: 220 });
+      yPos += 15;
+    });
+
+    doc.y = Math.max(doc.y, summaryY + 20 + report.buckets.length * 15);
+    doc.moveDown(2);
+
+    // Table
+    const headers = ['Customer', 'Phone', ...AGING_BUCKETS.map(b => b.label), 'Total Due', 'Max Days', 'Score'];
+    const colWidths = [140, 80, 75, 75, 75, 75, 75, 85, 50, 50];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 22;
+    let currentY = doc.y;
+
+    const drawHeader = () => {
+      doc.fontSize(9)
+         .font('Helvetica-Bold');
+
+      doc.rect(30, currentY, tableWidth, rowHeight)
+         .fill('#1e40af');
+
+      let xPos = 35;
+      headers.forEach((header, i) => {
+        doc.fillColor('#fff')
+           .text(header, xPos, currentY + 7, { width: colWidths[i] - 10, align: 'left' });
+        xPos += colWidths[i];
+      });
+
+      currentY += rowHeight;
+      doc.font('Helvetica')
+         .fontSize(8);
+    };
+
+    const amount = (value) => value.toLocaleString('en-NG', { minimumFractionDigits: 2 });
+
+    const drawRow = (cells, fill) => {
+      if (fill) {
+        doc.rect(30, currentY, tableWidth, rowHeight)
+           .fill(fill);
+      }
+
+      let xPos = 35;
+      cells.forEach((cell, i) => {
+        doc.fillColor('#000')
+           .text(String(cell), xPos, currentY + 7, { width: colWidths[i] - 10, align: 'left' });
+        xPos += colWidths[i];
+      });
+
+      currentY += rowHeight;
+    };
+
+    drawHeader();
+
+    report.customers.forEach((row, rowIndex) => {
+      if (currentY > 520) {
+        doc.addPage({ layout: 'landscape' });
+        currentY = 50;
+        drawHeader();
+      }
+
+      drawRow([
+        `${row.customerName.substring(0, 26)}${row.creditHold ? ' (HOLD)' : ''}`,
+        row.phone || '-',
+        ...AGING_BUCKETS.map(b => amount(row[b.key])),
+        amount(row.totalDue),
+        row.maxDaysOverdue,
+        `${row.paymentReliabilityScore.toFixed(0)}%`
+      ], rowIndex % 2 === 0 ? '#f3f4f6' : null);
+    });
+
+    if (report.customers.length === 0) {
+      doc.fillColor('#666')
+         .fontSize(10)
+         .text('No outstanding debts.', 35, currentY + 10);
+    } else {
+      if (currentY > 520) {
+        doc.addPage({ layout: 'landscape' });
+        currentY = 50;
+      }
+      doc.font('Helvetica-Bold');
+      drawRow([
+        'TOTAL',
+        '',
+        ...report.buckets.map(b => amount(b.amount)),
+        amount(report.summary.totalDue),
+        '',
+        ''
+      ], '#dbeafe');
+    }
+
+    doc.end();
+  })
+);
+
+// @route   POST /api/v1/warehouse/debtors/aging/refresh
+// @desc    Run the daily overdue/reliability/credit-hold job now
+// @access  Private (Warehouse admin)
+router.post('/aging/refresh',
+  authorizeModule('warehouse', 'admin'),
+  asyncHandler(async (req, res) => {
+    const summary = await manageDebtorStatus(req.user.id);
+
+    res.json({
+      success: true,
+      message: `${summary.debtsMarkedOverdue} debt(s) marked overdue`,
+      data: summary
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
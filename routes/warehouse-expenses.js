@@ -10,6 +10,7 @@ const { validateCuid } = require('../utils/validators');
 const router = express.Router();
 const prisma = require('../lib/prisma');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
+const { resolveVendor } = require('../services/vendorService');
 
 // ================================
 // VALIDATION RULES
@@ -32,6 +33,7 @@ const createWarehouseExpenseValidation = [
   body('expenseDate').isISO8601().withMessage('Valid expense date is required'),
   body('productId').optional().custom(validateCuid('product ID')),
   body('location').optional().trim(),
+  body('vendorId').optional().custom(validateCuid('vendor ID')),
   body('vendorName').optional().trim(),
   body('vendorContact').optional().trim(),
   body('receiptNumber').optional().trim()
@@ -41,7 +43,9 @@ const updateWarehouseExpenseValidation = [
   body('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'PAID']),
   body('rejectionReason').optional().trim(),
   body('paymentMethod').optional().isIn(['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'MOBILE_MONEY']),
-  body('paymentReference').optional().trim()
+  body('paymentReference').optional().trim(),
+  body('vendorId').optional().custom(validateCuid('vendor ID')),
+  body('vendorName').optional().trim().notEmpty()
 ];
 
 // ================================
@@ -60,8 +64,14 @@ router.post('/expenses',
       throw new ValidationError('Invalid input data', errors.array());
     }
 
+    // Vendor is optional on expenses; a typed name is still matched to a vendor
+    const vendor = await resolveVendor(req.body, req.user.id);
+
     const expenseData = {
       ...req.body,
+      vendorId: vendor?.vendorId || null,
+      vendorName: vendor?.vendorName || null,
+      vendorContact: req.body.vendorContact || vendor?.vendor.phone || null,
       createdBy: req.user.id,
       // ✨ Auto-approve if created by GENERAL_MANAGER
       status: req.user.role === 'GENERAL_MANAGER' ? 'APPROVED' : 'PENDING',
@@ -154,6 +164,7 @@ router.get('/expenses',
       expenseType,
       category,
       location,
+      vendorId,
       startDate,
       endDate,
       isPaid
@@ -168,6 +179,7 @@ router.get('/expenses',
     if (expenseType) where.expenseType = expenseType;
     if (category) where.category = category;
     if (location) where.location = { contains: location, mode: 'insensitive' };
+    if (vendorId) where.vendorId = vendorId;
     if (isPaid !== undefined) where.isPaid = isPaid === 'true';
 
     if (startDate || endDate) {
@@ -186,6 +198,7 @@ router.get('/expenses',
         where,
         include: {
           product: { select: { name: true, productNo: true } },
+          vendor: { select: { id: true, name: true } },
           createdByUser: { select: { username: true } },
           approver: { select: { username: true } }
         },
@@ -282,6 +295,12 @@ router.put('/expenses/:id',
       throw new BusinessError('Access denied', 'INSUFFICIENT_PERMISSIONS');
     }
 
+    if (updateData.vendorId || updateData.vendorName) {
+      const { vendorId, vendorName } = await resolveVendor(updateData, req.user.id);
+      updateData.vendorId = vendorId;
+      updateData.vendorName = vendorName;
+    }
+
     // Handle approval/rejection
     if (updateData.status && ['APPROVED', 'REJECTED'].includes(updateData.status)) {
       if (!['MANAGING_DIRECTOR', 'GENERAL_MANAGER'].includes(req.user.role)) {
@@ -4,6 +4,13 @@ const prisma = require('../lib/prisma'); // ✅ Use shared singleton
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authorizeModule } = require('../middleware/auth');
 const { query, validationResult } = require('express-validator');
+const { UNIT_TYPES, toBaseUnits, fromBaseUnits, stockToBaseUnits } = require('../utils/unitConversion');
+
+// Quantities are netted in base units and reported in the requested unit (packs by default)
+const sumInBaseUnits = (rows, product) =>
+  rows.reduce((sum, row) => sum + toBaseUnits(row.quantity, row.unitType, product), 0);
+
+const inUnit = (baseUnits, unit, product) => parseFloat(fromBaseUnits(baseUnits, unit, product).toFixed(2));
 
 // Use shared Prisma instance
 /**
@@ -16,6 +23,7 @@ const { query, validationResult } = require('express-validator');
  * - productId: filter by specific product
  * - location: filter by warehouse location
  * - lowStockOnly: boolean - filter only low stock items
+ * - unit: PALLETS, PACKS or UNITS - unit for totals and movements (default: PACKS)
  * - page: page number (default: 1)
  * - limit: items per page (default: 20, max: 100)
  */
@@ -27,6 +35,7 @@ router.get(
     query('productId').optional().isString(),
     query('location').optional().isString(),
     query('lowStockOnly').optional().isBoolean().toBoolean(),
+    query('unit').optional().isIn(UNIT_TYPES),
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
   ],
@@ -47,7 +56,8 @@ router.get(
       location, 
       lowStockOnly, 
       page = 1, 
-      limit = 20 
+      limit = 20,
+      unit = 'PACKS'
     } = req.query;
 
     // Parse the target date - default to today
@@ -101,22 +111,12 @@ router.get(
           select: { quantity: true, unitPrice: true, totalAmount: true, unitType: true }
         });
 
-        // Calculate movements on the date
-        const totalSalesQuantity = salesOnDate.reduce((sum, sale) => {
-          if (sale.unitType === 'PALLETS') return sum + (sale.quantity * (product.packsPerPallet || 1));
-          if (sale.unitType === 'PACKS') return sum + sale.quantity;
-          if (sale.unitType === 'UNITS') return sum + sale.quantity;
-          return sum;
-        }, 0);
+        // Calculate movements on the date (in base units)
+        const totalSalesQuantity = sumInBaseUnits(salesOnDate, product);
 
         const totalSalesRevenue = salesOnDate.reduce((sum, sale) => sum + parseFloat(sale.totalAmount.toString()), 0);
 
-        const totalPurchasesQuantity = purchasesOnDate.reduce((sum, purchase) => {
-          if (purchase.unitType === 'PALLETS') return sum + (purchase.quantity * (product.packsPerPallet || 1));
-          if (purchase.unitType === 'PACKS') return sum + purchase.quantity;
-          if (purchase.unitType === 'UNITS') return sum + purchase.quantity;
-          return sum;
-        }, 0);
+        const totalPurchasesQuantity = sumInBaseUnits(purchasesOnDate, product);
 
         // Get inventory location info and current stock (source of truth)
         const inventoryLocation = product.warehouseInventory[0]?.location || null;
@@ -125,8 +125,12 @@ router.get(
         const currentPacks = product.warehouseInventory[0]?.packs || 0;
         const currentUnits = product.warehouseInventory[0]?.units || 0;
 
-        // Get current inventory total in packs for reference
-        const currentTotalPacks = (currentPallets * (product.packsPerPallet || 1)) + currentPacks + currentUnits;
+        // Get current inventory total in base units for reference
+        const currentTotalPacks = stockToBaseUnits({
+          pallets: currentPallets,
+          packs: currentPacks,
+          units: currentUnits
+        }, product);
 
         // Calculate using consistent unit (packs)
         const today = new Date();
@@ -150,7 +154,8 @@ router.get(
         } else if (isPast) {
           // For past dates: Work backwards from current inventory
           // Get all purchases AFTER the target date (end of day) until now
-          const purchasesAfterDate = await prisma.warehouseProductPurchase.aggregate({
+          const purchasesAfterDate = await prisma.warehouseProductPurchase.groupBy({
+            by: ['unitType'],
             where: {
               productId: product.id,
               purchaseDate: { gt: endOfDay },
@@ -160,7 +165,8 @@ router.get(
           });
 
           // Get all sales AFTER the target date (end of day) until now
-          const salesAfterDate = await prisma.warehouseSale.aggregate({
+          const salesAfterDate = await prisma.warehouseSale.groupBy({
+            by: ['unitType'],
             where: {
               productId: product.id,
               createdAt: { gt: endOfDay }
@@ -168,8 +174,8 @@ router.get(
             _sum: { quantity: true }
           });
 
-          const purchasedAfter = purchasesAfterDate._sum.quantity || 0;
-          const soldAfter = salesAfterDate._sum.quantity || 0;
+          const purchasedAfter = sumInBaseUnits(purchasesAfterDate.map(p => ({ unitType: p.unitType, quantity: p._sum.quantity || 0 })), product);
+          const soldAfter = sumInBaseUnits(salesAfterDate.map(s => ({ unitType: s.unitType, quantity: s._sum.quantity || 0 })), product);
 
           // Closing stock at end of target date = Current - Purchases After + Sales After
           totalClosingStock = currentTotalPacks - purchasedAfter + soldAfter;
@@ -179,7 +185,7 @@ router.get(
 
           closingStock = {
             pallets: 0,
-            packs: Math.max(0, totalClosingStock),
+            packs: Math.max(0, inUnit(totalClosingStock, 'PACKS', product)),
             units: 0
           };
         } else {
@@ -200,7 +206,7 @@ router.get(
         // Distribute opening stock (simplified: keep as packs)
         const openingStock = {
           pallets: 0,
-          packs: totalOpeningStock,
+          packs: inUnit(totalOpeningStock, 'PACKS', product),
           units: 0
         };
 
@@ -210,18 +216,20 @@ router.get(
           productName: product.name,
           location: inventoryLocation,
           date: targetDate.toISOString().split('T')[0],
+          unit,
           
           openingStock: {
             pallets: openingStock.pallets,
             packs: openingStock.packs,
             units: openingStock.units,
-            total: totalOpeningStock
+            total: inUnit(totalOpeningStock, unit, product),
+            baseUnits: totalOpeningStock
           },
           
           movements: {
-            salesQuantity: totalSalesQuantity,
+            salesQuantity: inUnit(totalSalesQuantity, unit, product),
             salesRevenue: parseFloat(totalSalesRevenue.toFixed(2)),
-            purchasesQuantity: totalPurchasesQuantity,
+            purchasesQuantity: inUnit(totalPurchasesQuantity, unit, product),
             salesCount: salesOnDate.length,
             purchasesCount: purchasesOnDate.length
           },
@@ -230,18 +238,20 @@ router.get(
             pallets: closingStock.pallets,
             packs: closingStock.packs,
             units: closingStock.units,
-            total: totalClosingStock
+            total: inUnit(totalClosingStock, unit, product),
+            baseUnits: totalClosingStock
           },
           
           variance: {
             pallets: closingStock.pallets - openingStock.pallets,
             packs: closingStock.packs - openingStock.packs,
             units: closingStock.units - openingStock.units,
-            total: totalClosingStock - totalOpeningStock
+            total: inUnit(totalClosingStock - totalOpeningStock, unit, product)
           },
           
           reorderLevel,
-          stockStatus: totalClosingStock <= reorderLevel ? 'LOW_STOCK' : 'NORMAL'
+          // reorderLevel is kept in packs
+          stockStatus: inUnit(totalClosingStock, 'PACKS', product) <= reorderLevel ? 'LOW_STOCK' : 'NORMAL'
         };
       })
     );
@@ -257,6 +267,7 @@ router.get(
     // Calculate summary statistics (from ALL filtered data, not just current page)
     const summary = {
       date: targetDate.toISOString().split('T')[0],
+      unit,
       totalProducts: filteredData.length,
       totalOpeningStock: filteredData.reduce((sum, item) => sum + item.openingStock.total, 0),
       totalClosingStock: filteredData.reduce((sum, item) => sum + item.closingStock.total, 0),
@@ -302,7 +313,8 @@ router.get(
   [
     query('startDate').isISO8601().withMessage('Start date is required'),
     query('endDate').isISO8601().withMessage('End date is required'),
-    query('productId').optional().isString()
+    query('productId').optional().isString(),
+    query('unit').optional().isIn(UNIT_TYPES)
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -314,7 +326,7 @@ router.get(
       });
     }
 
-    const { startDate, endDate, productId } = req.query;
+    const { startDate, endDate, productId, unit = 'PACKS' } = req.query;
 
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -367,18 +379,17 @@ router.get(
           });
 
           const openingStock = calculateStock(purchases, sales);
-          const totalOpeningStock = 
-            (openingStock.pallets * (product.packsPerPallet || 1)) + 
-            openingStock.packs + 
-            openingStock.units;
+          const totalOpeningStock = stockToBaseUnits(openingStock, product);
 
           return {
             date: date.toISOString().split('T')[0],
+            unit,
             openingStock: {
               pallets: openingStock.pallets,
               packs: openingStock.packs,
               units: openingStock.units,
-              total: totalOpeningStock
+              total: inUnit(totalOpeningStock, unit, product),
+              baseUnits: totalOpeningStock
             }
           };
         })
@@ -0,0 +1,1342 @@
+// routes/warehouse-purchase-orders.js - Purchase orders, goods-received notes and supplier payables
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { syncProductInventory } = require('../services/inventorySyncService');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const { resolveVendor } = require('../services/vendorService');
+const { getReorderSuggestions } = require('../services/replenishmentService');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+
+const router = express.Router();
+const prisma = require('../lib/prisma');
+
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'MOBILE_MONEY'];
+const PO_STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED', 'CANCELLED'];
+
+// Only these can still take deliveries
+const RECEIVABLE_STATUSES = ['SENT', 'PARTIALLY_RECEIVED'];
+
+// ================================
+// VALIDATION RULES
+// ================================
+
+const purchaseOrderItemValidation = [
+  body('items.*.productId').custom(validateCuid('product ID')),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.unitType').isIn(['PALLETS', 'PACKS', 'UNITS']),
+  body('items.*.costPerUnit').isFloat({ min: 0.01 }).withMessage('Cost per unit must be greater than 0'),
+  body('items.*.notes').optional().trim()
+];
+
+const createPurchaseOrderValidation = [
+  body('vendorId').optional().custom(validateCuid('vendor ID')),
+  body('vendorName').if(body('vendorId').not().exists()).trim().notEmpty().withMessage('Vendor name is required'),
+  body('vendorPhone').optional().trim(),
+  body('vendorEmail').optional().isEmail(),
+  body('orderDate').optional().isISO8601(),
+  body('expectedDeliveryDate').optional().isISO8601(),
+  body('notes').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  ...purchaseOrderItemValidation
+];
+
+const updatePurchaseOrderValidation = [
+  body('vendorId').optional().custom(validateCuid('vendor ID')),
+  body('vendorName').optional().trim().notEmpty(),
+  body('vendorPhone').optional().trim(),
+  body('vendorEmail').optional().isEmail(),
+  body('orderDate').optional().isISO8601(),
+  body('expectedDeliveryDate').optional().isISO8601(),
+  body('notes').optional().trim(),
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+  ...purchaseOrderItemValidation
+];
+
+const goodsReceiptValidation = [
+  body('receivedDate').optional().isISO8601(),
+  body('deliveryNoteNumber').optional().trim(),
+  body('invoiceNumber').optional().trim(),
+  body('paymentMethod').isIn(PAYMENT_METHODS),
+  body('amountPaid').optional().isFloat({ min: 0 }),
+  body('notes').optional().trim(),
+  body('lines').isArray({ min: 1 }).withMessage('At least one received line is required'),
+  body('lines.*.itemId').custom(validateCuid('purchase order item ID')),
+  body('lines.*.quantityReceived').isInt({ min: 0 }).withMessage('Received quantity cannot be negative'),
+  body('lines.*.batchNumber').optional().trim(),
+  body('lines.*.expiryDate').optional().isISO8601()
+];
+
+const purchaseOrderInclude = {
+  createdByUser: { select: { id: true, username: true, role: true } },
+  vendor: { select: { id: true, name: true, status: true, paymentTermsDays: true } },
+  items: {
+    include: {
+      product: { select: { id: true, name: true, productNo: true } }
+    }
+  },
+  goodsReceipts: {
+    include: {
+      receivedByUser: { select: { id: true, username: true } },
+      lines: {
+        include: {
+          purchase: {
+            select: {
+              id: true,
+              batchNumber: true,
+              expiryDate: true,
+              quantityRemaining: true,
+              amountPaid: true,
+              amountDue: true,
+              paymentStatus: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: { receivedDate: 'asc' }
+  },
+  payments: {
+    include: {
+      recordedByUser: { select: { id: true, username: true } }
+    },
+    orderBy: { paidAt: 'asc' }
+  }
+};
+
+// ================================
+// HELPER FUNCTIONS
+// ================================
+
+const generatePoNumber = () => generateDocumentNumber('PO', 'warehousePurchaseOrder', 'poNumber');
+const generateGrnNumber = () => generateDocumentNumber('GRN', 'warehouseGoodsReceipt', 'grnNumber');
+
+/**
+ * Normalise PO items from the request body and compute line totals
+ */
+function buildPurchaseOrderItems(items) {
+  return items.map(item => {
+    const quantityOrdered = parseInt(item.quantity);
+    const costPerUnit = parseFloat(item.costPerUnit);
+
+    return {
+      productId: item.productId,
+      quantityOrdered,
+      unitType: item.unitType,
+      costPerUnit,
+      lineTotal: parseFloat((quantityOrdered * costPerUnit).toFixed(2)),
+      notes: item.notes || null
+    };
+  });
+}
+
+async function assertProductsExist(items) {
+  const productIds = [...new Set(items.map(i => i.productId))];
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true, name: true, isActive: true }
+  });
+
+  const found = new Map(products.map(p => [p.id, p]));
+  for (const productId of productIds) {
+    const product = found.get(productId);
+    if (!product) {
+      throw new NotFoundError(`Product ${productId} not found`);
+    }
+    if (!product.isActive) {
+      throw new BusinessError(`Product ${product.name} is inactive`, 'PRODUCT_INACTIVE');
+    }
+  }
+}
+
+/**
+ * Classify a received quantity against what was still outstanding on the line
+ */
+function getDeliveryVariance(quantityExpected, quantityReceived) {
+  const varianceQuantity = quantityReceived - quantityExpected;
+  let varianceType = 'EXACT';
+  if (varianceQuantity < 0) varianceType = 'SHORT';
+  if (varianceQuantity > 0) varianceType = 'OVER';
+
+  return { varianceQuantity, varianceType };
+}
+
+/**
+ * Status a PO should move to after a delivery
+ */
+function getReceivedStatus(items) {
+  const fullyReceived = items.every(item => item.quantityReceived >= item.quantityOrdered);
+  return fullyReceived ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+}
+
+const getPaymentStatus = (amountPaid, totalCost) => {
+  if (amountPaid >= totalCost) return 'PAID';
+  if (amountPaid > 0) return 'PARTIAL';
+  return 'PENDING';
+};
+
+/**
+ * Add outstanding quantities, delivery flags and payable amounts to a PO
+ */
+function formatPurchaseOrder(po) {
+  const items = (po.items || []).map(item => {
+    const quantityOutstanding = Math.max(0, item.quantityOrdered - item.quantityReceived);
+    let deliveryStatus = 'PENDING';
+    if (item.quantityReceived > item.quantityOrdered) deliveryStatus = 'OVER_DELIVERED';
+    else if (item.quantityReceived === item.quantityOrdered) deliveryStatus = 'COMPLETE';
+    else if (po.status === 'CLOSED') deliveryStatus = 'SHORT_CLOSED';
+    else if (item.quantityReceived > 0) deliveryStatus = 'PARTIAL';
+
+    return {
+      ...item,
+      quantityOutstanding,
+      outstandingValue: parseFloat((quantityOutstanding * parseFloat(item.costPerUnit)).toFixed(2)),
+      deliveryStatus
+    };
+  });
+
+  const totalAmount = parseFloat(po.totalAmount);
+  const receivedAmount = parseFloat(po.receivedAmount);
+  const amountPaid = parseFloat(po.amountPaid);
+  const isOpen = RECEIVABLE_STATUSES.includes(po.status);
+
+  return {
+    ...po,
+    items,
+    summary: {
+      orderedValue: totalAmount,
+      receivedValue: receivedAmount,
+      outstandingDeliveryValue: isOpen
+        ? parseFloat(items.reduce((sum, i) => sum + i.outstandingValue, 0).toFixed(2))
+        : 0,
+      amountPaid,
+      amountDue: parseFloat(Math.max(0, receivedAmount - amountPaid).toFixed(2)),
+      shortLines: items.filter(i => ['PARTIAL', 'SHORT_CLOSED'].includes(i.deliveryStatus)).length,
+      overLines: items.filter(i => i.deliveryStatus === 'OVER_DELIVERED').length
+    }
+  };
+}
+
+async function loadPurchaseOrder(id) {
+  const po = await prisma.warehousePurchaseOrder.findUnique({
+    where: { id },
+    include: purchaseOrderInclude
+  });
+
+  if (!po) {
+    throw new NotFoundError('Purchase order not found');
+  }
+
+  return po;
+}
+
+// ================================
+// PURCHASE ORDER ROUTES
+// ================================
+
+// @route   POST /api/v1/warehouse/purchase-orders
+// @desc    Create a draft purchase order
+// @access  Private (Warehouse module - write permission)
+router.post('/',
+  authorizeModule('warehouse', 'write'),
+  createPurchaseOrderValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { vendorPhone, vendorEmail, orderDate, expectedDeliveryDate, notes, items } = req.body;
+
+    await assertProductsExist(items);
+    const { vendor, vendorId, vendorName } = await resolveVendor(req.body, req.user.id);
+
+    const poItems = buildPurchaseOrderItems(items);
+    const totalAmount = parseFloat(poItems.reduce((sum, i) => sum + i.lineTotal, 0).toFixed(2));
+    const poNumber = await generatePoNumber();
+
+    const purchaseOrder = await prisma.warehousePurchaseOrder.create({
+      data: {
+        poNumber,
+        vendorId,
+        vendorName,
+        vendorPhone: vendorPhone || vendor.phone,
+        vendorEmail: vendorEmail || vendor.email,
+        orderDate: orderDate ? new Date(orderDate) : new Date(),
+        expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : null,
+        totalAmount,
+        notes,
+        createdBy: req.user.id,
+        items: { create: poItems }
+      },
+      include: purchaseOrderInclude
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'CREATE',
+      entity: 'WarehousePurchaseOrder',
+      entityId: purchaseOrder.id,
+      newValues: { poNumber, vendorName, totalAmount, items: poItems },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${poNumber} created as draft`,
+      data: formatPurchaseOrder(purchaseOrder)
+    });
+  })
+);
+
+// @route   POST /api/v1/warehouse/purchase-orders/from-suggestions
+// @desc    Draft purchase orders (one per supplier) from the current reorder suggestions for approval
+// @access  Private (Warehouse module - write permission)
+router.post('/from-suggestions',
+  authorizeModule('warehouse', 'write'),
+  [
+    body('productIds').optional().isArray({ min: 1 }),
+    body('productIds.*').optional().custom(validateCuid('product ID')),
+    body('lookbackDays').optional().isInt({ min: 1, max: 365 }),
+    body('safetyDays').optional().isInt({ min: 0, max: 90 }),
+    body('targetCoverDays').optional().isInt({ min: 1, max: 365 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { productIds, lookbackDays, safetyDays, targetCoverDays } = req.body;
+
+    const { suggestions } = await getReorderSuggestions({
+      productIds,
+      lookbackDays,
+      safetyDays,
+      targetCoverDays
+    });
+
+    const skipped = [];
+    const bySupplier = {};
+    for (const suggestion of suggestions) {
+      if (suggestion.suggestedPacks <= 0) continue;
+      if (!suggestion.supplier || suggestion.costPerPack <= 0) {
+        skipped.push({
+          productId: suggestion.productId,
+          productName: suggestion.productName,
+          reason: suggestion.supplier ? 'No supplier cost per pack' : 'No available supplier'
+        });
+        continue;
+      }
+      (bySupplier[suggestion.supplier.id] = bySupplier[suggestion.supplier.id] || []).push(suggestion);
+    }
+
+    if (Object.keys(bySupplier).length === 0) {
+      throw new BusinessError('No reorder suggestions can be drafted right now', 'NOTHING_TO_REORDER');
+    }
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    const purchaseOrders = [];
+
+    for (const lines of Object.values(bySupplier)) {
+      const { vendor, vendorId, vendorName } = await resolveVendor({ vendorName: lines[0].supplier.name }, req.user.id);
+      const leadTimeDays = Math.max(...lines.map(l => l.leadTimeDays));
+
+      const poItems = buildPurchaseOrderItems(lines.map(line => ({
+        productId: line.productId,
+        quantity: line.suggestedPacks,
+        unitType: 'PACKS',
+        costPerUnit: line.costPerPack,
+        notes: `Suggested: ${line.daysOfCover ?? 'no'} days of cover, ${line.dailyVelocity} packs/day`
+      })));
+      const totalAmount = parseFloat(poItems.reduce((sum, i) => sum + i.lineTotal, 0).toFixed(2));
+      const poNumber = await generatePoNumber();
+
+      const purchaseOrder = await prisma.warehousePurchaseOrder.create({
+        data: {
+          poNumber,
+          vendorId,
+          vendorName,
+          vendorPhone: vendor.phone,
+          vendorEmail: vendor.email,
+          orderDate: new Date(),
+          expectedDeliveryDate: new Date(Date.now() + leadTimeDays * 24 * 60 * 60 * 1000),
+          totalAmount,
+          notes: 'Drafted from reorder suggestions',
+          createdBy: req.user.id,
+          items: { create: poItems }
+        },
+        include: purchaseOrderInclude
+      });
+
+      createAuditLog({
+        userId: req.user.id,
+        action: 'CREATE',
+        entity: 'WarehousePurchaseOrder',
+        entityId: purchaseOrder.id,
+        newValues: { poNumber, vendorName, totalAmount, items: poItems, source: 'REORDER_SUGGESTIONS' },
+        ipAddress,
+        userAgent
+      }).catch(console.error);
+
+      purchaseOrders.push(formatPurchaseOrder(purchaseOrder));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${purchaseOrders.length} draft purchase order(s) created for approval`,
+      data: {
+        purchaseOrders,
+        skipped
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/purchase-orders
+// @desc    List purchase orders with filtering and pagination
+// @access  Private (Warehouse module - read permission)
+router.get('/',
+  authorizeModule('warehouse'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(PO_STATUSES),
+    query('vendorId').optional(),
+    query('vendorName').optional().trim(),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { page = 1, limit = 20, status, vendorId, vendorName, startDate, endDate } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (vendorId) where.vendorId = vendorId;
+    if (vendorName) where.vendorName = { contains: vendorName, mode: 'insensitive' };
+    if (startDate || endDate) {
+      where.orderDate = {};
+      if (startDate) where.orderDate.gte = new Date(startDate);
+      if (endDate) where.orderDate.lte = new Date(endDate);
+    }
+
+    const [purchaseOrders, total] = await Promise.all([
+      prisma.warehousePurchaseOrder.findMany({
+        where,
+        include: {
+          createdByUser: { select: { id: true, username: true } },
+          items: {
+            include: {
+              product: { select: { id: true, name: true, productNo: true } }
+            }
+          },
+          _count: { select: { goodsReceipts: true, payments: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.warehousePurchaseOrder.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        purchaseOrders: purchaseOrders.map(formatPurchaseOrder),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/purchase-orders/outstanding
+// @desc    Goods ordered but not yet landed (open PO lines)
+// @access  Private (Warehouse module - read permission)
+router.get('/outstanding',
+  authorizeModule('warehouse'),
+  [
+    query('vendorName').optional().trim(),
+    query('productId').optional().custom(validateCuid('product ID'))
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { vendorName, productId } = req.query;
+    const now = new Date();
+
+    const items = await prisma.warehousePurchaseOrderItem.findMany({
+      where: {
+        ...(productId && { productId }),
+        purchaseOrder: {
+          status: { in: RECEIVABLE_STATUSES },
+          ...(vendorName && { vendorName: { contains: vendorName, mode: 'insensitive' } })
+        }
+      },
+      include: {
+        product: { select: { id: true, name: true, productNo: true } },
+        purchaseOrder: {
+          select: {
+            id: true,
+            poNumber: true,
+            vendorName: true,
+            status: true,
+            orderDate: true,
+            expectedDeliveryDate: true
+          }
+        }
+      },
+      orderBy: { purchaseOrder: { orderDate: 'asc' } }
+    });
+
+    const openLines = items
+      .filter(item => item.quantityReceived < item.quantityOrdered)
+      .map(item => {
+        const quantityOutstanding = item.quantityOrdered - item.quantityReceived;
+        const expected = item.purchaseOrder.expectedDeliveryDate;
+        return {
+          itemId: item.id,
+          purchaseOrder: item.purchaseOrder,
+          product: item.product,
+          unitType: item.unitType,
+          quantityOrdered: item.quantityOrdered,
+          quantityReceived: item.quantityReceived,
+          quantityOutstanding,
+          outstandingValue: parseFloat((quantityOutstanding * parseFloat(item.costPerUnit)).toFixed(2)),
+          isOverdue: !!expected && new Date(expected) < now,
+          daysOverdue: expected && new Date(expected) < now
+            ? Math.floor((now - new Date(expected)) / (1000 * 60 * 60 * 24))
+            : 0
+        };
+      });
+
+    // Roll up per product so the store can see what's inbound
+    const byProduct = {};
+    for (const line of openLines) {
+      const key = `${line.product.id}:${line.unitType}`;
+      if (!byProduct[key]) {
+        byProduct[key] = {
+          product: line.product,
+          unitType: line.unitType,
+          quantityOutstanding: 0,
+          outstandingValue: 0,
+          purchaseOrders: 0
+        };
+      }
+      byProduct[key].quantityOutstanding += line.quantityOutstanding;
+      byProduct[key].outstandingValue = parseFloat((byProduct[key].outstandingValue + line.outstandingValue).toFixed(2));
+      byProduct[key].purchaseOrders += 1;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        lines: openLines,
+        byProduct: Object.values(byProduct),
+        summary: {
+          openLines: openLines.length,
+          openPurchaseOrders: new Set(openLines.map(l => l.purchaseOrder.id)).size,
+          totalOutstandingValue: parseFloat(openLines.reduce((sum, l) => sum + l.outstandingValue, 0).toFixed(2)),
+          overdueLines: openLines.filter(l => l.isOverdue).length
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/purchase-orders/payables
+// @desc    Outstanding supplier payables (unpaid amountDue on purchase batches), by vendor with aging
+// @access  Private (Warehouse module - read permission)
+router.get('/payables',
+  authorizeModule('warehouse'),
+  [
+    query('vendorId').optional(),
+    query('vendorName').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const { vendorId, vendorName } = req.query;
+    const now = new Date();
+
+    const purchases = await prisma.warehouseProductPurchase.findMany({
+      where: {
+        amountDue: { gt: 0 },
+        ...(vendorId && { vendorId }),
+        ...(vendorName && { vendorName: { contains: vendorName, mode: 'insensitive' } })
+      },
+      select: {
+        id: true,
+        vendorName: true,
+        vendor: { select: { id: true, name: true, paymentTermsDays: true } },
+        orderNumber: true,
+        invoiceNumber: true,
+        purchaseDate: true,
+        totalCost: true,
+        amountPaid: true,
+        amountDue: true,
+        paymentStatus: true,
+        product: { select: { name: true, productNo: true } },
+        goodsReceiptLine: {
+          select: {
+            goodsReceipt: {
+              select: {
+                grnNumber: true,
+                purchaseOrder: { select: { id: true, poNumber: true } }
+              }
+            }
+          }
+        }
+      },
+      orderBy: { purchaseDate: 'asc' }
+    });
+
+    const agingBucket = (date) => {
+      const days = Math.floor((now - new Date(date)) / (1000 * 60 * 60 * 24));
+      if (days <= 30) return 'current';
+      if (days <= 60) return 'days31to60';
+      if (days <= 90) return 'days61to90';
+      return 'over90';
+    };
+
+    const vendors = {};
+    for (const purchase of purchases) {
+      const key = purchase.vendor?.id || purchase.vendorName.trim().toLowerCase();
+      if (!vendors[key]) {
+        vendors[key] = {
+          vendorId: purchase.vendor?.id || null,
+          vendorName: purchase.vendor?.name || purchase.vendorName,
+          paymentTermsDays: purchase.vendor?.paymentTermsDays ?? null,
+          totalDue: 0,
+          aging: { current: 0, days31to60: 0, days61to90: 0, over90: 0 },
+          oldestPurchaseDate: purchase.purchaseDate,
+          purchases: []
+        };
+      }
+
+      const amountDue = parseFloat(purchase.amountDue);
+      const vendor = vendors[key];
+      const bucket = agingBucket(purchase.purchaseDate);
+
+      vendor.totalDue = parseFloat((vendor.totalDue + amountDue).toFixed(2));
+      vendor.aging[bucket] = parseFloat((vendor.aging[bucket] + amountDue).toFixed(2));
+      vendor.purchases.push({
+        purchaseId: purchase.id,
+        product: purchase.product,
+        purchaseDate: purchase.purchaseDate,
+        invoiceNumber: purchase.invoiceNumber,
+        poNumber: purchase.goodsReceiptLine?.goodsReceipt.purchaseOrder.poNumber || null,
+        purchaseOrderId: purchase.goodsReceiptLine?.goodsReceipt.purchaseOrder.id || null,
+        grnNumber: purchase.goodsReceiptLine?.goodsReceipt.grnNumber || null,
+        totalCost: parseFloat(purchase.totalCost),
+        amountPaid: parseFloat(purchase.amountPaid),
+        amountDue,
+        paymentStatus: purchase.paymentStatus,
+        agingBucket: bucket
+      });
+    }
+
+    const vendorList = Object.values(vendors).sort((a, b) => b.totalDue - a.totalDue);
+
+    const totals = vendorList.reduce((acc, v) => {
+      acc.totalDue += v.totalDue;
+      for (const bucket of Object.keys(acc.aging)) {
+        acc.aging[bucket] += v.aging[bucket];
+      }
+      return acc;
+    }, { totalDue: 0, aging: { current: 0, days31to60: 0, days61to90: 0, over90: 0 } });
+
+    res.json({
+      success: true,
+      data: {
+        vendors: vendorList,
+        summary: {
+          vendorCount: vendorList.length,
+          unpaidPurchases: purchases.length,
+          totalDue: parseFloat(totals.totalDue.toFixed(2)),
+          aging: Object.fromEntries(
+            Object.entries(totals.aging).map(([bucket, amount]) => [bucket, parseFloat(amount.toFixed(2))])
+          )
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/purchase-orders/:id
+// @desc    Purchase order with lines, GRNs, payments and delivery variances
+// @access  Private (Warehouse module - read permission)
+router.get('/:id',
+  authorizeModule('warehouse'),
+  param('id').custom(validateCuid('purchase order ID')),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const purchaseOrder = await loadPurchaseOrder(req.params.id);
+
+    res.json({
+      success: true,
+      data: formatPurchaseOrder(purchaseOrder)
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/purchase-orders/:id
+// @desc    Edit a draft purchase order (items are replaced when provided)
+// @access  Private (Warehouse module - write permission)
+router.put('/:id',
+  authorizeModule('warehouse', 'write'),
+  param('id').custom(validateCuid('purchase order ID')),
+  updatePurchaseOrderValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const existing = await loadPurchaseOrder(id);
+
+    if (existing.status !== 'DRAFT') {
+      throw new BusinessError('Only draft purchase orders can be edited', 'PO_NOT_EDITABLE');
+    }
+
+    const { vendorPhone, vendorEmail, orderDate, expectedDeliveryDate, notes, items } = req.body;
+
+    const data = {};
+    if (req.body.vendorId || req.body.vendorName) {
+      const { vendorId, vendorName } = await resolveVendor(req.body, req.user.id);
+      data.vendorId = vendorId;
+      data.vendorName = vendorName;
+    }
+    if (vendorPhone !== undefined) data.vendorPhone = vendorPhone;
+    if (vendorEmail !== undefined) data.vendorEmail = vendorEmail;
+    if (orderDate !== undefined) data.orderDate = new Date(orderDate);
+    if (expectedDeliveryDate !== undefined) data.expectedDeliveryDate = expectedDeliveryDate ? new Date(expectedDeliveryDate) : null;
+    if (notes !== undefined) data.notes = notes;
+
+    let poItems = null;
+    if (items) {
+      await assertProductsExist(items);
+      poItems = buildPurchaseOrderItems(items);
+      data.totalAmount = parseFloat(poItems.reduce((sum, i) => sum + i.lineTotal, 0).toFixed(2));
+    }
+
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      if (poItems) {
+        await tx.warehousePurchaseOrderItem.deleteMany({ where: { purchaseOrderId: id } });
+        data.items = { create: poItems };
+      }
+
+      return tx.warehousePurchaseOrder.update({
+        where: { id },
+        data,
+        include: purchaseOrderInclude
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: formatPurchaseOrder(purchaseOrder)
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/purchase-orders/:id/send
+// @desc    Mark a draft purchase order as sent to the supplier
+// @access  Private (Warehouse module - write permission)
+router.put('/:id/send',
+  authorizeModule('warehouse', 'write'),
+  param('id').custom(validateCuid('purchase order ID')),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+
+    // Conditional update so a PO can't be sent twice
+    const result = await prisma.warehousePurchaseOrder.updateMany({
+      where: { id, status: 'DRAFT' },
+      data: { status: 'SENT', sentAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      await loadPurchaseOrder(id);
+      throw new BusinessError('Only draft purchase orders can be sent', 'PO_NOT_DRAFT');
+    }
+
+    const purchaseOrder = await loadPurchaseOrder(id);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'UPDATE',
+      entity: 'WarehousePurchaseOrder',
+      entityId: id,
+      oldValues: { status: 'DRAFT' },
+      newValues: { status: 'SENT' },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.poNumber} sent`,
+      data: formatPurchaseOrder(purchaseOrder)
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/purchase-orders/:id/cancel
+// @desc    Cancel a purchase order that has not received any goods
+// @access  Private (Warehouse module - admin permission)
+router.put('/:id/cancel',
+  authorizeModule('warehouse', 'admin'),
+  param('id').custom(validateCuid('purchase order ID')),
+  [
+    body('reason').optional().trim().isLength({ max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const existing = await loadPurchaseOrder(id);
+
+    if (!['DRAFT', 'SENT'].includes(existing.status) || existing.goodsReceipts.length > 0) {
+      throw new BusinessError(
+        'Only draft or sent purchase orders with no deliveries can be cancelled. Close it instead.',
+        'PO_NOT_CANCELLABLE'
+      );
+    }
+
+    const purchaseOrder = await prisma.warehousePurchaseOrder.update({
+      where: { id },
+      data: {
+        status: 'CANCELLED',
+        closedAt: new Date(),
+        closeReason: req.body.reason || 'Cancelled'
+      },
+      include: purchaseOrderInclude
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'UPDATE',
+      entity: 'WarehousePurchaseOrder',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: { status: 'CANCELLED', reason: req.body.reason },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.poNumber} cancelled`,
+      data: formatPurchaseOrder(purchaseOrder)
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/purchase-orders/:id/close
+// @desc    Close a purchase order; any undelivered quantity is recorded as short-closed
+// @access  Private (Warehouse module - admin permission)
+router.put('/:id/close',
+  authorizeModule('warehouse', 'admin'),
+  param('id').custom(validateCuid('purchase order ID')),
+  [
+    body('reason').optional().trim().isLength({ max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const existing = await loadPurchaseOrder(id);
+
+    if (!['PARTIALLY_RECEIVED', 'RECEIVED'].includes(existing.status)) {
+      throw new BusinessError(
+        'Only purchase orders that have received goods can be closed',
+        'PO_NOT_CLOSABLE'
+      );
+    }
+
+    const shortLines = existing.items
+      .filter(item => item.quantityReceived < item.quantityOrdered)
+      .map(item => ({
+        itemId: item.id,
+        product: item.product,
+        quantityOrdered: item.quantityOrdered,
+        quantityReceived: item.quantityReceived,
+        quantityShort: item.quantityOrdered - item.quantityReceived
+      }));
+
+    if (shortLines.length > 0 && !req.body.reason) {
+      throw new ValidationError('A reason is required to close a purchase order with undelivered quantities');
+    }
+
+    const purchaseOrder = await prisma.warehousePurchaseOrder.update({
+      where: { id },
+      data: {
+        status: 'CLOSED',
+        closedAt: new Date(),
+        closeReason: req.body.reason || null
+      },
+      include: purchaseOrderInclude
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'UPDATE',
+      entity: 'WarehousePurchaseOrder',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: { status: 'CLOSED', reason: req.body.reason, shortLines },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: shortLines.length > 0
+        ? `Purchase order ${purchaseOrder.poNumber} closed with ${shortLines.length} short-delivered line(s)`
+        : `Purchase order ${purchaseOrder.poNumber} closed`,
+      data: {
+        ...formatPurchaseOrder(purchaseOrder),
+        shortLines
+      }
+    });
+  })
+);
+
+// ================================
+// GOODS RECEIVED NOTES
+// ================================
+
+// @route   POST /api/v1/warehouse/purchase-orders/:id/receipts
+// @desc    Record a delivery (GRN); creates a stock batch per received line
+// @access  Private (Warehouse module - write permission)
+router.post('/:id/receipts',
+  authorizeModule('warehouse', 'write'),
+  param('id').custom(validateCuid('purchase order ID')),
+  goodsReceiptValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const {
+      receivedDate,
+      deliveryNoteNumber,
+      invoiceNumber,
+      paymentMethod,
+      amountPaid = 0,
+      notes,
+      lines
+    } = req.body;
+
+    const purchaseOrder = await loadPurchaseOrder(id);
+
+    if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+      throw new BusinessError(
+        `Cannot receive goods against a ${purchaseOrder.status.toLowerCase()} purchase order`,
+        'PO_NOT_RECEIVABLE'
+      );
+    }
+
+    const itemsById = new Map(purchaseOrder.items.map(item => [item.id, item]));
+    const seen = new Set();
+    const today = new Date();
+
+    const receiptLines = lines.map(line => {
+      const item = itemsById.get(line.itemId);
+      if (!item) {
+        throw new ValidationError(`Item ${line.itemId} does not belong to purchase order ${purchaseOrder.poNumber}`);
+      }
+      if (seen.has(line.itemId)) {
+        throw new ValidationError(`Item ${line.itemId} appears more than once on this delivery`);
+      }
+      seen.add(line.itemId);
+
+      if (line.expiryDate && new Date(line.expiryDate) <= today) {
+        throw new BusinessError(`Cannot receive expired stock for ${item.product.name}`, 'EXPIRED_PRODUCT');
+      }
+
+      const quantityReceived = parseInt(line.quantityReceived);
+      const quantityExpected = Math.max(0, item.quantityOrdered - item.quantityReceived);
+      const costPerUnit = parseFloat(item.costPerUnit);
+
+      return {
+        item,
+        quantityReceived,
+        quantityExpected,
+        costPerUnit,
+        lineTotal: parseFloat((quantityReceived * costPerUnit).toFixed(2)),
+        batchNumber: line.batchNumber || null,
+        expiryDate: line.expiryDate ? new Date(line.expiryDate) : null,
+        ...getDeliveryVariance(quantityExpected, quantityReceived)
+      };
+    });
+
+    if (!receiptLines.some(line => line.quantityReceived > 0)) {
+      throw new ValidationError('At least one line must have a received quantity');
+    }
+
+    const totalCost = parseFloat(receiptLines.reduce((sum, l) => sum + l.lineTotal, 0).toFixed(2));
+    const paidAmount = parseFloat(parseFloat(amountPaid).toFixed(2));
+
+    if (paidAmount > totalCost) {
+      throw new BusinessError(
+        `Amount paid (₦${paidAmount.toLocaleString()}) exceeds the value received (₦${totalCost.toLocaleString()})`,
+        'PAYMENT_EXCEEDS_RECEIPT'
+      );
+    }
+
+    const grnNumber = await generateGrnNumber();
+    const receiptDate = receivedDate ? new Date(receivedDate) : new Date();
+    const hasVariance = receiptLines.some(l => l.varianceType !== 'EXACT');
+
+    const result = await prisma.$transaction(async (tx) => {
+      const goodsReceipt = await tx.warehouseGoodsReceipt.create({
+        data: {
+          grnNumber,
+          purchaseOrderId: id,
+          receivedDate: receiptDate,
+          deliveryNoteNumber,
+          invoiceNumber,
+          paymentMethod,
+          totalCost,
+          amountPaid: paidAmount,
+          hasVariance,
+          notes,
+          receivedBy: req.user.id
+        }
+      });
+
+      // Spread the payment over the batches in line order
+      let unallocated = paidAmount;
+
+      for (const line of receiptLines) {
+        let purchase = null;
+
+        if (line.quantityReceived > 0) {
+          const batchPaid = parseFloat(Math.min(unallocated, line.lineTotal).toFixed(2));
+          unallocated = parseFloat((unallocated - batchPaid).toFixed(2));
+
+          purchase = await tx.warehouseProductPurchase.create({
+            data: {
+              productId: line.item.productId,
+              vendorId: purchaseOrder.vendorId,
+              vendorName: purchaseOrder.vendorName,
+              vendorPhone: purchaseOrder.vendorPhone,
+              vendorEmail: purchaseOrder.vendorEmail,
+              orderNumber: purchaseOrder.poNumber,
+              batchNumber: line.batchNumber,
+              expiryDate: line.expiryDate,
+              quantity: line.quantityReceived,
+              unitType: line.item.unitType,
+              quantityRemaining: line.quantityReceived,
+              quantitySold: 0,
+              batchStatus: 'ACTIVE',
+              costPerUnit: line.costPerUnit,
+              totalCost: line.lineTotal,
+              paymentMethod,
+              paymentStatus: getPaymentStatus(batchPaid, line.lineTotal),
+              amountPaid: batchPaid,
+              amountDue: parseFloat((line.lineTotal - batchPaid).toFixed(2)),
+              purchaseDate: receiptDate,
+              invoiceNumber,
+              notes: `Received on ${grnNumber}`,
+              createdBy: req.user.id
+            }
+          });
+
+          await tx.warehousePurchaseOrderItem.update({
+            where: { id: line.item.id },
+            data: { quantityReceived: { increment: line.quantityReceived } }
+          });
+        }
+
+        await tx.warehouseGoodsReceiptLine.create({
+          data: {
+            goodsReceiptId: goodsReceipt.id,
+            purchaseOrderItemId: line.item.id,
+            purchaseId: purchase?.id || null,
+            quantityExpected: line.quantityExpected,
+            quantityReceived: line.quantityReceived,
+            varianceQuantity: line.varianceQuantity,
+            varianceType: line.varianceType,
+            costPerUnit: line.costPerUnit,
+            lineTotal: line.lineTotal
+          }
+        });
+      }
+
+      const updatedItems = await tx.warehousePurchaseOrderItem.findMany({
+        where: { purchaseOrderId: id }
+      });
+
+      await tx.warehousePurchaseOrder.update({
+        where: { id },
+        data: {
+          status: getReceivedStatus(updatedItems),
+          receivedAmount: { increment: totalCost },
+          amountPaid: { increment: paidAmount }
+        }
+      });
+
+      let cashFlowEntry = null;
+      if (paidAmount > 0) {
+        cashFlowEntry = await tx.cashFlow.create({
+          data: {
+            transactionType: 'CASH_OUT',
+            amount: paidAmount,
+            paymentMethod,
+            description: `Purchase: ${grnNumber} against ${purchaseOrder.poNumber} from ${purchaseOrder.vendorName}`,
+            referenceNumber: grnNumber,
+            cashier: req.user.id,
+            module: 'WAREHOUSE'
+          }
+        });
+      }
+
+      // Batches are the source of truth for stock; make sure each product has an inventory row first
+      const productIds = [...new Set(receiptLines.filter(l => l.quantityReceived > 0).map(l => l.item.productId))];
+      for (const productId of productIds) {
+        await tx.warehouseInventory.upsert({
+          where: {
+            productId_location: {
+              productId,
+              location: 'Main Warehouse'
+            }
+          },
+          create: {
+            productId,
+            pallets: 0,
+            packs: 0,
+            units: 0,
+            reorderLevel: 10,
+            location: 'Main Warehouse'
+          },
+          update: {}
+        });
+        await syncProductInventory(productId, tx, 'goods_receipt');
+      }
+
+      return { goodsReceipt, cashFlowEntry };
+    }, { timeout: 30000 });
+
+    const variances = receiptLines
+      .filter(l => l.varianceType !== 'EXACT')
+      .map(l => ({
+        itemId: l.item.id,
+        product: l.item.product,
+        quantityExpected: l.quantityExpected,
+        quantityReceived: l.quantityReceived,
+        varianceQuantity: l.varianceQuantity,
+        varianceType: l.varianceType
+      }));
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'CREATE',
+      entity: 'WarehouseGoodsReceipt',
+      entityId: result.goodsReceipt.id,
+      newValues: {
+        grnNumber,
+        poNumber: purchaseOrder.poNumber,
+        totalCost,
+        amountPaid: paidAmount,
+        variances
+      },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    const updatedPurchaseOrder = await loadPurchaseOrder(id);
+
+    const response = {
+      success: true,
+      message: `${grnNumber} recorded against ${purchaseOrder.poNumber}`,
+      data: {
+        goodsReceipt: updatedPurchaseOrder.goodsReceipts.find(g => g.id === result.goodsReceipt.id),
+        purchaseOrder: formatPurchaseOrder(updatedPurchaseOrder),
+        variances,
+        cashFlowRecorded: result.cashFlowEntry !== null
+      }
+    };
+
+    if (variances.length > 0) {
+      response.warning = {
+        message: `Delivery differs from the purchase order on ${variances.length} line(s)`,
+        short: variances.filter(v => v.varianceType === 'SHORT').length,
+        over: variances.filter(v => v.varianceType === 'OVER').length
+      };
+    }
+
+    res.status(201).json(response);
+  })
+);
+
+// ================================
+// SUPPLIER PAYMENTS
+// ================================
+
+// @route   POST /api/v1/warehouse/purchase-orders/:id/payments
+// @desc    Pay the supplier against goods received on this PO (oldest batches first)
+// @access  Private (Warehouse module - write permission)
+router.post('/:id/payments',
+  authorizeModule('warehouse', 'write'),
+  param('id').custom(validateCuid('purchase order ID')),
+  [
+    body('amount').isFloat({ min: 0.01 }).withMessage('Payment amount must be greater than 0'),
+    body('paymentMethod').isIn(PAYMENT_METHODS),
+    body('reference').optional().trim(),
+    body('paidAt').optional().isISO8601(),
+    body('notes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const { paymentMethod, reference, paidAt, notes } = req.body;
+    const amount = parseFloat(parseFloat(req.body.amount).toFixed(2));
+
+    const purchaseOrder = await loadPurchaseOrder(id);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const unpaidBatches = await tx.warehouseProductPurchase.findMany({
+        where: {
+          amountDue: { gt: 0 },
+          goodsReceiptLine: { goodsReceipt: { purchaseOrderId: id } }
+        },
+        orderBy: [{ purchaseDate: 'asc' }, { createdAt: 'asc' }]
+      });
+
+      const totalDue = parseFloat(unpaidBatches.reduce((sum, b) => sum + parseFloat(b.amountDue), 0).toFixed(2));
+
+      if (totalDue <= 0) {
+        throw new BusinessError('Nothing is owed on this purchase order', 'NOTHING_DUE');
+      }
+      if (amount > totalDue) {
+        throw new BusinessError(
+          `Payment (₦${amount.toLocaleString()}) exceeds the amount due (₦${totalDue.toLocaleString()})`,
+          'PAYMENT_EXCEEDS_BALANCE'
+        );
+      }
+
+      let remaining = amount;
+      const allocations = [];
+
+      for (const batch of unpaidBatches) {
+        if (remaining <= 0) break;
+
+        const due = parseFloat(batch.amountDue);
+        const applied = parseFloat(Math.min(remaining, due).toFixed(2));
+        const newPaid = parseFloat((parseFloat(batch.amountPaid) + applied).toFixed(2));
+        const newDue = parseFloat((due - applied).toFixed(2));
+
+        await tx.warehouseProductPurchase.update({
+          where: { id: batch.id },
+          data: {
+            amountPaid: newPaid,
+            amountDue: newDue,
+            paymentStatus: getPaymentStatus(newPaid, parseFloat(batch.totalCost))
+          }
+        });
+
+        allocations.push({ purchaseId: batch.id, amount: applied });
+        remaining = parseFloat((remaining - applied).toFixed(2));
+      }
+
+      const payment = await tx.warehousePurchaseOrderPayment.create({
+        data: {
+          purchaseOrderId: id,
+          amount,
+          paymentMethod,
+          reference,
+          notes,
+          allocations,
+          paidAt: paidAt ? new Date(paidAt) : new Date(),
+          recordedBy: req.user.id
+        }
+      });
+
+      await tx.warehousePurchaseOrder.update({
+        where: { id },
+        data: { amountPaid: { increment: amount } }
+      });
+
+      await tx.cashFlow.create({
+        data: {
+          transactionType: 'CASH_OUT',
+          amount,
+          paymentMethod,
+          description: `Supplier payment: ${purchaseOrder.poNumber} to ${purchaseOrder.vendorName}`,
+          referenceNumber: reference || purchaseOrder.poNumber,
+          cashier: req.user.id,
+          module: 'WAREHOUSE'
+        }
+      });
+
+      return { payment, remainingDue: parseFloat((totalDue - amount).toFixed(2)) };
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'CREATE',
+      entity: 'WarehousePurchaseOrderPayment',
+      entityId: result.payment.id,
+      newValues: { poNumber: purchaseOrder.poNumber, amount, paymentMethod, allocations: result.payment.allocations },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.status(201).json({
+      success: true,
+      message: `Payment of ₦${amount.toLocaleString()} recorded against ${purchaseOrder.poNumber}`,
+      data: {
+        payment: result.payment,
+        remainingDue: result.remainingDue
+      }
+    });
+  })
+);
+
+module.exports = router;
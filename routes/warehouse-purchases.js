@@ -6,6 +6,8 @@ const prisma = require('../lib/prisma');
 const { asyncHandler, ValidationError, BusinessError, NotFoundError } = require('../middleware/errorHandler');
 const { authorizeModule } = require('../middleware/auth');
 const { syncProductInventory } = require('../services/inventorySyncService');
+const { resolveVendor } = require('../services/vendorService');
+const { assertCashFlowEditable } = require('../services/cashReconciliationService');
 
 // ================================
 // CREATE WAREHOUSE PURCHASE
@@ -14,7 +16,8 @@ router.post('/',
   authorizeModule('warehouse', 'write'),
   [
     body('productId').notEmpty().withMessage('Product ID is required'),
-    body('vendorName').trim().notEmpty().withMessage('Vendor name is required'),
+    body('vendorId').optional().trim().notEmpty(),
+    body('vendorName').if(body('vendorId').not().exists()).trim().notEmpty().withMessage('Vendor name is required'),
     body('vendorPhone').optional().trim(),
     body('vendorEmail').optional().isEmail(),
     body('orderNumber').optional().trim(),
@@ -38,7 +41,6 @@ router.post('/',
 
     const {
       productId,
-      vendorName,
       vendorPhone,
       vendorEmail,
       orderNumber,
@@ -80,6 +82,9 @@ router.post('/',
 
     const initialBatchStatus = 'ACTIVE';
 
+    // Picked vendor, or the typed name matched/clustered to one
+    const { vendor, vendorId, vendorName } = await resolveVendor(req.body, req.user.id);
+
 
     // Use transaction to ensure atomic operations
     const result = await prisma.$transaction(async (tx) => {
@@ -87,9 +92,10 @@ router.post('/',
       const purchase = await tx.warehouseProductPurchase.create({
         data: {
           productId,
+          vendorId,
           vendorName,
-          vendorPhone,
-          vendorEmail,
+          vendorPhone: vendorPhone || vendor.phone,
+          vendorEmail: vendorEmail || vendor.email,
           orderNumber,
           batchNumber,
           expiryDate: expiryDate ? new Date(expiryDate) : null,
@@ -216,6 +222,7 @@ router.get('/',
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('productId').optional(),
+    query('vendorId').optional(),
     query('vendorName').optional().trim(),
     query('paymentStatus').optional().isIn(['PAID', 'PARTIAL', 'PENDING']),
     query('startDate').optional().isISO8601(),
@@ -231,6 +238,7 @@ router.get('/',
       page = 1,
       limit = 20,
       productId,
+      vendorId,
       vendorName,
       paymentStatus,
       startDate,
@@ -240,6 +248,7 @@ router.get('/',
     const where = {};
 
     if (productId) where.productId = productId;
+    if (vendorId) where.vendorId = vendorId;
     if (vendorName)
       where.vendorName = { contains: vendorName, mode: 'insensitive' };
     if (paymentStatus) where.paymentStatus = paymentStatus;
@@ -255,6 +264,7 @@ router.get('/',
         where,
         include: {
           product: { select: { name: true, productNo: true } },
+          vendor: { select: { id: true, name: true, status: true } },
           createdByUser: { select: { username: true } }
         },
         orderBy: { createdAt: 'desc' },
@@ -398,7 +408,8 @@ router.get('/analytics',
   asyncHandler(async (req, res) => {
     const { startDate, endDate } = req.query;
 
-    const where = {};
+    // Batches split off a pallet break-down aren't purchases
+    const where = { sourceBatchId: null };
     if (startDate || endDate) {
       where.purchaseDate = {};
       if (startDate) where.purchaseDate.gte = new Date(startDate);
@@ -436,7 +447,7 @@ router.get('/analytics',
 
       // Top vendors
       prisma.warehouseProductPurchase.groupBy({
-        by: ['vendorName'],
+        by: ['vendorId'],
         where,
         _sum: {
           totalCost: true
@@ -475,6 +486,15 @@ router.get('/analytics',
       return acc;
     }, {});
 
+    const vendors = await prisma.vendor.findMany({
+      where: { id: { in: byVendor.map(v => v.vendorId).filter(Boolean) } },
+      select: { id: true, name: true }
+    });
+    const vendorsMap = vendors.reduce((acc, v) => {
+      acc[v.id] = v;
+      return acc;
+    }, {});
+
     const topProducts = byProduct.map(item => ({
       product: productsMap[item.productId],
       totalQuantity: item._sum.quantity,
@@ -493,7 +513,8 @@ router.get('/analytics',
         },
         topProducts,
         topVendors: byVendor.map(v => ({
-          vendorName: v.vendorName,
+          vendorId: v.vendorId,
+          vendorName: v.vendorId ? vendorsMap[v.vendorId]?.name : 'Unlinked vendors',
           totalSpent: v._sum.totalCost,
           purchaseCount: v._count
         })),
@@ -517,6 +538,18 @@ router.get('/:id',
         product: true,
         createdByUser: {
           select: { username: true, role: true }
+        },
+        goodsReceiptLine: {
+          select: {
+            varianceType: true,
+            goodsReceipt: {
+              select: {
+                id: true,
+                grnNumber: true,
+                purchaseOrder: { select: { id: true, poNumber: true, status: true } }
+              }
+            }
+          }
         }
       }
     });
@@ -542,7 +575,8 @@ router.put('/:id',
     body('costPerUnit').optional().isFloat({ min: 0.01 }).withMessage('Cost per unit must be greater than 0'),
     body('expiryDate').optional().isISO8601(),
     body('batchNumber').optional().trim(),
-    body('vendorName').optional().trim(),
+    body('vendorId').optional().trim().notEmpty(),
+    body('vendorName').optional().trim().notEmpty(),
     body('paymentStatus').optional().isIn(['PAID', 'PARTIAL', 'PENDING']),
     body('amountPaid').optional().isFloat({ min: 0 })
   ],
@@ -566,7 +600,10 @@ router.put('/:id',
     const existingPurchase = await prisma.warehouseProductPurchase.findUnique({
       where: { id },
       include: {
-        warehouseBatchSales: true
+        warehouseBatchSales: true,
+        goodsReceiptLine: {
+          select: { goodsReceipt: { select: { grnNumber: true } } }
+        }
       }
     });
 
@@ -574,6 +611,24 @@ router.put('/:id',
       throw new NotFoundError('Purchase not found');
     }
 
+    // Quantities and payments of GRN batches are owned by the purchase order
+    const lockedFields = ['quantity', 'costPerUnit', 'amountPaid', 'paymentStatus'];
+    if (existingPurchase.goodsReceiptLine && lockedFields.some(field => updateData[field] !== undefined)) {
+      throw new BusinessError(
+        `This batch was received on ${existingPurchase.goodsReceiptLine.goodsReceipt.grnNumber}. Record payments through its purchase order.`,
+        'GRN_BATCH_LOCKED'
+      );
+    }
+
+    // Batches split by a pallet break-down must keep quantities in step with each other
+    if ((existingPurchase.quantityBrokenDown > 0 || existingPurchase.sourceBatchId) &&
+        (updateData.quantity !== undefined || updateData.costPerUnit !== undefined)) {
+      throw new BusinessError(
+        'Quantity and cost cannot be edited on a batch that was broken down into smaller units',
+        'BATCH_BROKEN_DOWN'
+      );
+    }
+
     // Check if batch has been used in sales
     if (existingPurchase.warehouseBatchSales.length > 0 && updateData.quantity) {
       const totalSold = existingPurchase.quantitySold;
@@ -585,6 +640,12 @@ router.put('/:id',
       }
     }
 
+    if (updateData.vendorId || updateData.vendorName) {
+      const { vendorId, vendorName } = await resolveVendor(updateData, req.user.id);
+      updateData.vendorId = vendorId;
+      updateData.vendorName = vendorName;
+    }
+
     // Recalculate if quantity or cost changed
     if (updateData.quantity || updateData.costPerUnit) {
       const quantity = updateData.quantity || existingPurchase.quantity;
@@ -704,6 +765,12 @@ router.put('/:id',
             const cashFlowDescription = `Purchase: ${updatedPurchase.product.name} (${updatedPurchase.quantity} ${updatedPurchase.unitType}) from ${updatedPurchase.vendorName}`;
 
             if (existingCashFlow) {
+              // A closed-out till entry can't be rewritten
+              if (parseFloat(existingCashFlow.amount) !== parseFloat(newAmountPaid) ||
+                  existingCashFlow.paymentMethod !== updatedPurchase.paymentMethod) {
+                await assertCashFlowEditable(tx, { id: existingCashFlow.id });
+              }
+
               // Update existing cash flow entry
               await tx.cashFlow.update({
                 where: { id: existingCashFlow.id },
@@ -740,6 +807,7 @@ router.put('/:id',
         } else if (newPaymentStatus === 'PENDING') {
           // Should NOT have a cash flow entry (delete if exists)
           if (existingCashFlow) {
+            await assertCashFlowEditable(tx, { id: existingCashFlow.id });
             await tx.cashFlow.delete({
               where: { id: existingCashFlow.id }
             });
@@ -772,7 +840,10 @@ router.delete('/:id',
     const purchase = await prisma.warehouseProductPurchase.findUnique({
       where: { id },
       include: {
-        warehouseBatchSales: true
+        warehouseBatchSales: true,
+        goodsReceiptLine: {
+          select: { goodsReceipt: { select: { grnNumber: true } } }
+        }
       }
     });
 
@@ -780,6 +851,20 @@ router.delete('/:id',
       throw new NotFoundError('Purchase not found');
     }
 
+    if (purchase.goodsReceiptLine) {
+      throw new BusinessError(
+        `Cannot delete a batch received on ${purchase.goodsReceiptLine.goodsReceipt.grnNumber}`,
+        'GRN_BATCH_LOCKED'
+      );
+    }
+
+    if (purchase.quantityBrokenDown > 0 || purchase.sourceBatchId) {
+      throw new BusinessError(
+        'Cannot delete purchase - batch is part of a pallet break-down',
+        'BATCH_BROKEN_DOWN'
+      );
+    }
+
     // Cannot delete if batch has been used
     if (purchase.warehouseBatchSales.length > 0 || purchase.quantitySold > 0) {
       throw new BusinessError(
@@ -870,12 +955,12 @@ router.delete('/:id',
       }, tx);
 
       // Delete cash flow entry if exists
-      await tx.cashFlow.deleteMany({
-        where: {
-          module: 'WAREHOUSE',
-          referenceNumber: purchase.invoiceNumber || purchase.orderNumber || `PUR-${id.slice(-8)}`
-        }
-      });
+      const cashFlowWhere = {
+        module: 'WAREHOUSE',
+        referenceNumber: purchase.invoiceNumber || purchase.orderNumber || `PUR-${id.slice(-8)}`
+      };
+      await assertCashFlowEditable(tx, cashFlowWhere);
+      await tx.cashFlow.deleteMany({ where: cashFlowWhere });
 
       // Delete the purchase
       await tx.warehouseProductPurchase.delete({
@@ -0,0 +1,256 @@
+// routes/warehouse-reorder.js - Reorder suggestions from sales velocity, cover and supplier lead times
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const PDFDocument = require('pdfkit');
+const { Parser } = require('json2csv');
+
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { getReorderSuggestions } = require('../services/replenishmentService');
+
+const router = express.Router();
+
+const suggestionQueryValidation = [
+  query('lookbackDays').optional().isInt({ min: 1, max: 365 }),
+  query('defaultLeadTimeDays').optional().isInt({ min: 0, max: 180 }),
+  query('safetyDays').optional().isInt({ min: 0, max: 90 }),
+  query('targetCoverDays').optional().isInt({ min: 1, max: 365 }),
+  query('urgency').optional().isIn(['CRITICAL', 'HIGH', 'NORMAL']),
+  query('supplierId').optional(),
+  query('includeAll').optional().isBoolean()
+];
+
+/**
+ * Run the engine with the request's query options and apply list filters
+ */
+async function loadSuggestions(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Invalid query parameters', errors.array());
+  }
+
+  const { urgency, supplierId, includeAll, ...options } = req.query;
+
+  const result = await getReorderSuggestions({
+    ...options,
+    includeAll: includeAll === 'true'
+  });
+
+  if (urgency) {
+    result.suggestions = result.suggestions.filter(s => s.urgency === urgency);
+  }
+  if (supplierId) {
+    result.suggestions = result.suggestions.filter(s => s.supplier?.id === supplierId);
+  }
+
+  return result;
+}
+
+const formatNaira = (amount) => `NGN ${amount.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+// @route   GET /api/v1/warehouse/reorder-suggestions
+// @desc    Products to reorder, with velocity, days of cover, lead time and suggested quantity
+// @access  Private (Warehouse module access)
+router.get('/',
+  authorizeModule('warehouse'),
+  suggestionQueryValidation,
+  asyncHandler(async (req, res) => {
+    const result = await loadSuggestions(req);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/reorder-suggestions/export/csv
+// @desc    Export reorder suggestions to CSV
+// @access  Private (Warehouse module access)
+router.get('/export/csv',
+  authorizeModule('warehouse'),
+  suggestionQueryValidation,
+  asyncHandler(async (req, res) => {
+    const { suggestions } = await loadSuggestions(req);
+
+    const fields = [
+      { label: 'Product No', value: 'productNo' },
+      { label: 'Product Name', value: 'productName' },
+      { label: 'Urgency', value: 'urgency' },
+      { label: 'Stock (packs)', value: 'stockPacks' },
+      { label: 'On Order (packs)', value: 'onOrderPacks' },
+      { label: 'Daily Velocity (packs)', value: 'dailyVelocity' },
+      { label: 'Days of Cover', value: 'daysOfCover' },
+      { label: 'Lead Time (days)', value: 'leadTimeDays' },
+      { label: 'Reorder Level', value: 'reorderLevel' },
+      { label: 'Reorder Point', value: 'reorderPoint' },
+      { label: 'Target Stock', value: 'targetStock' },
+      { label: 'Minimum Order (packs)', value: 'minimumOrderPacks' },
+      { label: 'Suggested Packs', value: 'suggestedPacks' },
+      { label: 'Suggested Pallets', value: 'suggestedPallets' },
+      { label: 'Supplier', value: 'supplierName' },
+      { label: 'Cost Per Pack (NGN)', value: 'costPerPack' },
+      { label: 'Estimated Cost (NGN)', value: 'estimatedCost' }
+    ];
+
+    const csvData = suggestions.map(s => ({
+      ...s,
+      daysOfCover: s.daysOfCover ?? 'No sales',
+      suggestedPallets: s.suggestedPallets ?? '',
+      supplierName: s.supplier?.name || 'No supplier',
+      costPerPack: s.costPerPack.toFixed(2),
+      estimatedCost: s.estimatedCost.toFixed(2)
+    }));
+
+    const parser = new Parser({ fields });
+    const csv = parser.parse(csvData);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=reorder-suggestions-${new Date().toISOString().split('T')[0]}.csv`);
+    res.send('\uFEFF' + csv);
+  })
+);
+
+// @route   GET /api/v1/warehouse/reorder-suggestions/export/pdf
+// @desc    Export reorder suggestions to PDF
+// @access  Private (Warehouse module access)
+router.get('/export/pdf',
+  authorizeModule('warehouse'),
+  suggestionQueryValidation,
+  asyncHandler(async (req, res) => {
+    const { suggestions, summary, parameters } = await loadSuggestions(req);
+
+    const doc = new PDFDocument({
+      margin: 30,
+      size: 'A4',
+      layout: 'landscape'
+    });
+
+    const filename = `reorder-suggestions-${new Date().toISOString().split('T')[0]}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    doc.pipe(res);
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('REORDER SUGGESTIONS', { align: 'center' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#666')
+       .text(`Generated on ${new Date().toLocaleString('en-NG')}`, { align: 'center' })
+       .text(
+         `Velocity over last ${parameters.lookbackDays} days | Safety stock ${parameters.safetyDays} days | Default lead time ${parameters.defaultLeadTimeDays} days`,
+         { align: 'center' }
+       );
+
+    doc.moveDown(1.5);
+
+    // Summary
+    const summaryY = doc.y;
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor('#1e40af')
+       .text('SUMMARY', 50, summaryY);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#000');
+
+    const summaryData = [
+      ['Products to Reorder:', summary.productsToReorder],
+      ['Critical:', summary.critical],
+      ['Without Supplier:', summary.withoutSupplier],
+      ['Total Suggested Packs:', summary.totalSuggestedPacks.toLocaleString()],
+      ['Estimated Cost:', formatNaira(summary.estimatedTotalCost)]
+    ];
+
+    let yPos = summaryY + 20;
+    summaryData.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
+      doc.font('Helvetica').text(String(value), { width: 200 });
+      yPos += 15;
+    });
+
+    doc.moveDown(2);
+
+    // Table
+    const headers = ['Product', 'Urgency', 'Stock', 'On Order', 'Per Day', 'Cover (days)', 'Lead (days)', 'Suggested', 'Supplier', 'Est. Cost (NGN)'];
+    const colWidths = [140, 60, 50, 55, 50, 65, 55, 60, 105, 90];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+    const rowHeight = 25;
+    let currentY = doc.y;
+
+    const drawHeader = () => {
+      doc.fontSize(9)
+         .font('Helvetica-Bold');
+
+      doc.rect(30, currentY, tableWidth, rowHeight)
+         .fill('#1e40af');
+
+      let xPos = 35;
+      headers.forEach((header, i) => {
+        doc.fillColor('#fff')
+           .text(header, xPos, currentY + 8, { width: colWidths[i] - 10, align: 'left' });
+        xPos += colWidths[i];
+      });
+
+      currentY += rowHeight;
+      doc.font('Helvetica')
+         .fontSize(8);
+    };
+
+    drawHeader();
+
+    const urgencyColors = { CRITICAL: '#dc2626', HIGH: '#d97706', NORMAL: '#000' };
+
+    suggestions.forEach((s, rowIndex) => {
+      if (currentY > 520) {
+        doc.addPage({ layout: 'landscape' });
+        currentY = 50;
+        drawHeader();
+      }
+
+      if (rowIndex % 2 === 0) {
+        doc.rect(30, currentY, tableWidth, rowHeight)
+           .fill('#f3f4f6');
+      }
+
+      const row = [
+        s.productName.substring(0, 28),
+        s.urgency,
+        s.stockPacks,
+        s.onOrderPacks,
+        s.dailyVelocity,
+        s.daysOfCover ?? '-',
+        s.leadTimeDays,
+        s.suggestedPacks,
+        (s.supplier?.name || 'No supplier').substring(0, 20),
+        s.estimatedCost.toLocaleString('en-NG', { minimumFractionDigits: 2 })
+      ];
+
+      let xPos = 35;
+      row.forEach((cell, i) => {
+        doc.fillColor(i === 1 ? urgencyColors[s.urgency] : '#000')
+           .text(String(cell), xPos, currentY + 8, { width: colWidths[i] - 10, align: 'left' });
+        xPos += colWidths[i];
+      });
+
+      currentY += rowHeight;
+    });
+
+    if (suggestions.length === 0) {
+      doc.fillColor('#666')
+         .fontSize(10)
+         .text('No products need reordering.', 35, currentY + 10);
+    }
+
+    doc.end();
+  })
+);
+
+module.exports = router;
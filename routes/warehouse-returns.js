@@ -0,0 +1,799 @@
+// routes/warehouse-returns.js - Warehouse sales returns, refunds and stock write-offs
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { syncProductInventory, verifyBatchIntegrity } = require('../services/inventorySyncService');
+const { createAuditLog, logInventoryChange, getRequestMetadata } = require('../utils/auditLogger');
+
+const router = express.Router();
+const prisma = require('../lib/prisma');
+
+// Returned goods in these conditions can't be resold and go to the write-off bucket
+const NON_SELLABLE_REASONS = ['DAMAGED', 'EXPIRED'];
+
+const RETURN_REASONS = ['DAMAGED', 'EXPIRED', 'WRONG_ITEM', 'CUSTOMER_REJECTED', 'OTHER'];
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'MOBILE_MONEY'];
+
+// ================================
+// VALIDATION RULES
+// ================================
+
+const createReturnValidation = [
+  body('receiptNumber').trim().notEmpty().withMessage('Receipt number is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.saleId').custom(validateCuid('sale ID')),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Return quantity must be a positive integer'),
+  body('items.*.reason').isIn(RETURN_REASONS).withMessage('Invalid return reason'),
+  body('settlementType').optional().isIn(['CASH_REFUND', 'CREDIT_NOTE']),
+  body('refundMethod').optional().isIn(PAYMENT_METHODS),
+  body('notes').optional().trim().isLength({ max: 500 })
+];
+
+const returnInclude = {
+  receipt: {
+    select: {
+      id: true,
+      receiptNumber: true,
+      customerName: true,
+      customerPhone: true,
+      totalAmount: true,
+      paymentStatus: true
+    }
+  },
+  warehouseCustomer: { select: { id: true, name: true, phone: true } },
+  requestedByUser: { select: { id: true, username: true, role: true } },
+  approver: { select: { id: true, username: true, role: true } },
+  items: {
+    include: {
+      product: { select: { id: true, name: true, productNo: true } },
+      writeOff: true
+    }
+  }
+};
+
+// ================================
+// HELPER FUNCTIONS
+// ================================
+
+/**
+ * Generate unique return number (RTN-YYYYMMDD-NNNN)
+ */
+async function generateReturnNumber() {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+
+  const prefix = `RTN-${year}${month}${day}`;
+
+  const count = await prisma.warehouseSaleReturn.count({
+    where: {
+      returnNumber: {
+        startsWith: prefix
+      }
+    }
+  });
+
+  return `${prefix}-${String(count + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Quantity of a sale line already claimed by pending or approved returns
+ */
+async function getReturnedQuantity(client, saleId, excludeReturnId = null) {
+  const result = await client.warehouseSaleReturnItem.aggregate({
+    where: {
+      saleId,
+      saleReturn: {
+        status: { in: ['PENDING', 'APPROVED'] },
+        ...(excludeReturnId && { id: { not: excludeReturnId } })
+      }
+    },
+    _sum: { quantity: true }
+  });
+
+  return result._sum.quantity || 0;
+}
+
+/**
+ * Put sellable stock back into the batches the sale drew from.
+ * Latest-expiring batches are refilled first so FEFO order is preserved.
+ */
+async function restockSaleBatches(tx, item, userId, ipAddress, userAgent) {
+  const batchSales = await tx.warehouseBatchSale.findMany({
+    where: { saleId: item.saleId, quantitySold: { gt: 0 } },
+    include: { batch: true }
+  });
+
+  batchSales.sort((a, b) => {
+    const aExpiry = a.batch.expiryDate ? new Date(a.batch.expiryDate).getTime() : Infinity;
+    const bExpiry = b.batch.expiryDate ? new Date(b.batch.expiryDate).getTime() : Infinity;
+    return bExpiry - aExpiry;
+  });
+
+  let remaining = item.quantity;
+  const allocations = [];
+
+  for (const batchSale of batchSales) {
+    if (remaining <= 0) break;
+
+    const quantity = Math.min(remaining, batchSale.quantitySold);
+    const batchBefore = batchSale.batch;
+
+    const updatedBatch = await tx.warehouseProductPurchase.update({
+      where: { id: batchSale.batchId },
+      data: {
+        quantityRemaining: { increment: quantity },
+        quantitySold: { decrement: quantity },
+        // Expired batches stay expired; depleted ones become sellable again
+        ...(batchBefore.batchStatus === 'DEPLETED' && { batchStatus: 'ACTIVE' })
+      }
+    });
+
+    await tx.warehouseBatchSale.update({
+      where: { id: batchSale.id },
+      data: {
+        quantitySold: { decrement: quantity },
+        quantityReturned: { increment: quantity }
+      }
+    });
+
+    await logInventoryChange({
+      userId,
+      action: 'UPDATE',
+      entity: 'WarehouseBatch',
+      entityId: batchSale.batchId,
+      oldValues: {
+        batchNumber: batchBefore.batchNumber,
+        quantityRemaining: batchBefore.quantityRemaining,
+        quantitySold: batchBefore.quantitySold,
+        batchStatus: batchBefore.batchStatus
+      },
+      newValues: {
+        batchNumber: updatedBatch.batchNumber,
+        quantityRemaining: updatedBatch.quantityRemaining,
+        quantitySold: updatedBatch.quantitySold,
+        batchStatus: updatedBatch.batchStatus
+      },
+      ipAddress,
+      userAgent,
+      metadata: {
+        triggeredBy: 'SALE_RETURN',
+        saleId: item.saleId,
+        returnItemId: item.id,
+        quantityRestocked: quantity
+      }
+    }, tx);
+
+    allocations.push({
+      batchId: batchSale.batchId,
+      batchNumber: batchBefore.batchNumber,
+      quantity
+    });
+
+    remaining -= quantity;
+  }
+
+  if (remaining > 0) {
+    throw new BusinessError(
+      `Unable to restock ${item.quantity} units for sale ${item.saleId}: batch records only cover ${item.quantity - remaining}`,
+      'RESTOCK_MISMATCH'
+    );
+  }
+
+  return allocations;
+}
+
+/**
+ * Reduce a receipt debtor by a credit note or a refund and mirror the status onto the sale
+ */
+async function applyReturnToDebtor(tx, debtor, amount, settlementType) {
+  const totalAmount = parseFloat((parseFloat(debtor.totalAmount) - amount).toFixed(2));
+  const amountPaid = settlementType === 'CREDIT_NOTE'
+    ? parseFloat(debtor.amountPaid)
+    : parseFloat((parseFloat(debtor.amountPaid) - amount).toFixed(2));
+  const amountDue = parseFloat(Math.max(0, totalAmount - amountPaid).toFixed(2));
+
+  let status = debtor.status;
+  if (amountDue <= 0) status = 'PAID';
+  else if (amountPaid > 0 && status !== 'OVERDUE') status = 'PARTIAL';
+
+  const updatedDebtor = await tx.debtor.update({
+    where: { id: debtor.id },
+    data: { totalAmount, amountPaid, amountDue, status }
+  });
+
+  const debtReduction = parseFloat(debtor.amountDue) - amountDue;
+  await tx.warehouseCustomer.update({
+    where: { id: debtor.warehouseCustomerId },
+    data: {
+      outstandingDebt: { decrement: debtReduction },
+      totalCreditAmount: { decrement: amount },
+      ...(status === 'PAID' && debtor.status !== 'PAID' && { totalCreditPurchases: { decrement: 1 } })
+    }
+  });
+
+  const paymentStatus = amountDue <= 0 ? 'PAID' : (amountPaid > 0 ? 'PARTIAL' : 'CREDIT');
+  if (debtor.receiptId) {
+    await tx.warehouseReceipt.update({
+      where: { id: debtor.receiptId },
+      data: { paymentStatus }
+    });
+    await tx.warehouseSale.updateMany({
+      where: { receiptId: debtor.receiptId },
+      data: { paymentStatus }
+    });
+  }
+
+  return updatedDebtor;
+}
+
+// ================================
+// RETURN ROUTES
+// ================================
+
+// @route   POST /api/v1/warehouse/returns
+// @desc    Request a return against a receipt (full or partial quantities)
+// @access  Private (Warehouse module - write permission)
+router.post('/returns',
+  authorizeModule('warehouse', 'write'),
+  createReturnValidation,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { receiptNumber, items, notes } = req.body;
+    let { settlementType, refundMethod } = req.body;
+
+    const receipt = await prisma.warehouseReceipt.findUnique({
+      where: { receiptNumber },
+      include: {
+        items: true,
+        debtor: true
+      }
+    });
+
+    if (!receipt) {
+      throw new NotFoundError(`Receipt ${receiptNumber} not found`);
+    }
+
+    // Combine duplicate lines for the same sale so limits are checked on the total
+    const requested = new Map();
+    for (const item of items) {
+      const existing = requested.get(item.saleId);
+      if (existing && existing.reason !== item.reason) {
+        throw new ValidationError('Each sale line can only be returned with one reason per request');
+      }
+      requested.set(item.saleId, {
+        saleId: item.saleId,
+        reason: item.reason,
+        quantity: (existing?.quantity || 0) + parseInt(item.quantity)
+      });
+    }
+
+    const returnItems = [];
+    for (const item of requested.values()) {
+      const sale = receipt.items.find(line => line.id === item.saleId);
+      if (!sale) {
+        throw new ValidationError(`Sale ${item.saleId} does not belong to receipt ${receiptNumber}`);
+      }
+
+      const alreadyReturned = await getReturnedQuantity(prisma, sale.id);
+      const returnable = sale.quantity - alreadyReturned;
+      if (item.quantity > returnable) {
+        throw new BusinessError(
+          `Only ${returnable} ${sale.unitType.toLowerCase()} of this line can still be returned`,
+          'RETURN_QUANTITY_EXCEEDED'
+        );
+      }
+
+      const unitRevenue = parseFloat(sale.totalAmount) / sale.quantity;
+      returnItems.push({
+        saleId: sale.id,
+        productId: sale.productId,
+        quantity: item.quantity,
+        unitType: sale.unitType,
+        reason: item.reason,
+        refundAmount: parseFloat((unitRevenue * item.quantity).toFixed(2)),
+        costAmount: parseFloat((parseFloat(sale.costPerUnit) * item.quantity).toFixed(2))
+      });
+    }
+
+    const totalRefundAmount = parseFloat(returnItems.reduce((sum, i) => sum + i.refundAmount, 0).toFixed(2));
+    const totalCostAmount = parseFloat(returnItems.reduce((sum, i) => sum + i.costAmount, 0).toFixed(2));
+    const outstanding = receipt.debtor ? parseFloat(receipt.debtor.amountDue) : 0;
+
+    // Default: credit the customer's open balance, otherwise hand money back
+    if (!settlementType) {
+      settlementType = outstanding >= totalRefundAmount ? 'CREDIT_NOTE' : 'CASH_REFUND';
+    }
+
+    if (settlementType === 'CREDIT_NOTE') {
+      if (!receipt.debtor) {
+        throw new BusinessError('A credit note can only be issued against a credit sale', 'NO_DEBTOR');
+      }
+      if (outstanding < totalRefundAmount) {
+        throw new BusinessError(
+          `Credit note (₦${totalRefundAmount.toLocaleString()}) exceeds the outstanding balance (₦${outstanding.toLocaleString()}). Use a cash refund instead.`,
+          'CREDIT_NOTE_EXCEEDS_BALANCE'
+        );
+      }
+      refundMethod = null;
+    } else {
+      const amountReceived = parseFloat(receipt.amountPaid);
+      if (totalRefundAmount > amountReceived) {
+        throw new BusinessError(
+          `Cash refund (₦${totalRefundAmount.toLocaleString()}) exceeds the amount paid on this receipt (₦${amountReceived.toLocaleString()})`,
+          'REFUND_EXCEEDS_PAYMENT'
+        );
+      }
+      refundMethod = refundMethod || receipt.paymentMethod || 'CASH';
+    }
+
+    const returnNumber = await generateReturnNumber();
+
+    const saleReturn = await prisma.warehouseSaleReturn.create({
+      data: {
+        returnNumber,
+        receiptId: receipt.id,
+        warehouseCustomerId: receipt.warehouseCustomerId,
+        settlementType,
+        refundMethod,
+        totalRefundAmount,
+        totalCostAmount,
+        notes,
+        requestedBy: req.user.id,
+        items: { create: returnItems }
+      },
+      include: returnInclude
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'CREATE',
+      entity: 'WarehouseSaleReturn',
+      entityId: saleReturn.id,
+      newValues: { returnNumber, receiptNumber, settlementType, totalRefundAmount, items: returnItems },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${returnNumber} submitted for approval`,
+      data: saleReturn
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/returns
+// @desc    List returns with filtering and pagination
+// @access  Private (Warehouse module - read permission)
+router.get('/returns',
+  authorizeModule('warehouse'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED']),
+    query('receiptNumber').optional().trim(),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { page = 1, limit = 20, status, receiptNumber, startDate, endDate } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+    if (status) where.status = status;
+    if (receiptNumber) where.receipt = { receiptNumber };
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [returns, total, totals] = await Promise.all([
+      prisma.warehouseSaleReturn.findMany({
+        where,
+        include: returnInclude,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.warehouseSaleReturn.count({ where }),
+      prisma.warehouseSaleReturn.aggregate({
+        where: { ...where, status: 'APPROVED' },
+        _sum: { totalRefundAmount: true, writeOffAmount: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        },
+        summary: {
+          totalRefunded: parseFloat(totals._sum.totalRefundAmount || 0),
+          totalWrittenOff: parseFloat(totals._sum.writeOffAmount || 0)
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/returns/:id
+// @desc    Get a single return
+// @access  Private (Warehouse module - read permission)
+router.get('/returns/:id',
+  authorizeModule('warehouse'),
+  [param('id').custom(validateCuid('return ID'))],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const saleReturn = await prisma.warehouseSaleReturn.findUnique({
+      where: { id: req.params.id },
+      include: returnInclude
+    });
+
+    if (!saleReturn) {
+      throw new NotFoundError('Return not found');
+    }
+
+    res.json({
+      success: true,
+      data: saleReturn
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/returns/:id/approve
+// @desc    Approve a return: restock or write off stock, then refund or credit the customer
+// @access  Private (Warehouse module - admin permission)
+router.put('/returns/:id/approve',
+  authorizeModule('warehouse', 'admin'),
+  [
+    param('id').custom(validateCuid('return ID')),
+    body('approvalNotes').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const saleReturn = await prisma.warehouseSaleReturn.findUnique({
+      where: { id: req.params.id },
+      include: {
+        items: { include: { sale: true, product: { select: { name: true } } } },
+        receipt: { include: { debtor: true } }
+      }
+    });
+
+    if (!saleReturn) {
+      throw new NotFoundError('Return not found');
+    }
+
+    if (saleReturn.status !== 'PENDING') {
+      throw new BusinessError('Can only approve returns with PENDING status');
+    }
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    const refundAmount = parseFloat(saleReturn.totalRefundAmount);
+    const productIds = [...new Set(saleReturn.items.map(item => item.productId))];
+
+    const result = await prisma.$transaction(async (tx) => {
+      let writeOffAmount = 0;
+
+      // 1. Stock: back into batches, or into the write-off bucket
+      for (const item of saleReturn.items) {
+        const otherReturns = await getReturnedQuantity(tx, item.saleId, saleReturn.id);
+        if (otherReturns + item.quantity > item.sale.quantity) {
+          throw new BusinessError(
+            `${item.product.name}: return quantity exceeds what is left on the sale`,
+            'RETURN_QUANTITY_EXCEEDED'
+          );
+        }
+
+        if (NON_SELLABLE_REASONS.includes(item.reason)) {
+          const sourceBatch = await tx.warehouseBatchSale.findFirst({
+            where: { saleId: item.saleId },
+            orderBy: { createdAt: 'asc' },
+            select: { batchId: true }
+          });
+
+          await tx.warehouseStockWriteOff.create({
+            data: {
+              productId: item.productId,
+              batchId: sourceBatch?.batchId || null,
+              returnItemId: item.id,
+              quantity: item.quantity,
+              unitType: item.unitType,
+              reason: item.reason,
+              costValue: item.costAmount,
+              notes: `Returned on ${saleReturn.returnNumber}`,
+              recordedBy: req.user.id
+            }
+          });
+
+          writeOffAmount += parseFloat(item.costAmount);
+        } else {
+          const allocations = await restockSaleBatches(tx, item, req.user.id, ipAddress, userAgent);
+          await tx.warehouseSaleReturnItem.update({
+            where: { id: item.id },
+            data: { restocked: true, restockAllocations: allocations }
+          });
+        }
+      }
+
+      for (const productId of productIds) {
+        await syncProductInventory(productId, tx, 'sale_return');
+        await verifyBatchIntegrity(tx, productId);
+      }
+
+      // 2. Money: credit note against the debtor, or cash out of the till
+      // (re-read so returns approved since the request was loaded are accounted for)
+      const receipt = await tx.warehouseReceipt.findUnique({
+        where: { id: saleReturn.receiptId },
+        include: { debtor: true }
+      });
+      const debtor = receipt.debtor;
+      let cashFlowEntry = null;
+
+      if (saleReturn.settlementType === 'CREDIT_NOTE') {
+        if (!debtor || parseFloat(debtor.amountDue) < refundAmount) {
+          throw new BusinessError(
+            'Outstanding balance is now lower than the credit note. Reject and resubmit as a cash refund.',
+            'CREDIT_NOTE_EXCEEDS_BALANCE'
+          );
+        }
+        await applyReturnToDebtor(tx, debtor, refundAmount, 'CREDIT_NOTE');
+      } else {
+        if (parseFloat(receipt.amountPaid) < refundAmount) {
+          throw new BusinessError(
+            `Only ₦${parseFloat(receipt.amountPaid).toLocaleString()} paid on this receipt remains to refund. Reject and resubmit as a credit note or a smaller refund.`,
+            'REFUND_EXCEEDS_PAID'
+          );
+        }
+
+        cashFlowEntry = await tx.cashFlow.create({
+          data: {
+            transactionType: 'CASH_OUT',
+            amount: refundAmount,
+            paymentMethod: saleReturn.refundMethod || 'CASH',
+            description: `Refund for return ${saleReturn.returnNumber} (Receipt: ${saleReturn.receipt.receiptNumber})`,
+            referenceNumber: saleReturn.returnNumber,
+            cashier: req.user.id,
+            module: 'WAREHOUSE'
+          }
+        });
+
+        await tx.warehouseReceipt.update({
+          where: { id: saleReturn.receiptId },
+          data: { amountPaid: { decrement: refundAmount } }
+        });
+
+        if (debtor) {
+          await applyReturnToDebtor(tx, debtor, refundAmount, 'CASH_REFUND');
+        }
+
+        if (saleReturn.warehouseCustomerId) {
+          await tx.warehouseCustomer.update({
+            where: { id: saleReturn.warehouseCustomerId },
+            data: { totalSpent: { decrement: refundAmount } }
+          });
+        }
+      }
+
+      // 3. Close the request
+      const approvedReturn = await tx.warehouseSaleReturn.update({
+        where: { id: saleReturn.id },
+        data: {
+          status: 'APPROVED',
+          approvedBy: req.user.id,
+          approvedAt: new Date(),
+          approvalNotes: req.body.approvalNotes,
+          writeOffAmount: parseFloat(writeOffAmount.toFixed(2))
+        },
+        include: returnInclude
+      });
+
+      await createAuditLog({
+        userId: req.user.id,
+        action: 'APPROVE',
+        entity: 'WarehouseSaleReturn',
+        entityId: saleReturn.id,
+        oldValues: { status: 'PENDING' },
+        newValues: {
+          status: 'APPROVED',
+          settlementType: saleReturn.settlementType,
+          refundAmount,
+          writeOffAmount
+        },
+        ipAddress,
+        userAgent
+      }, tx);
+
+      return { approvedReturn, cashFlowEntry };
+    }, { timeout: 25000, maxWait: 10000 });
+
+    for (const productId of productIds) {
+      await syncProductInventory(productId, null, 'sale_return');
+    }
+
+    const settlementMessage = saleReturn.settlementType === 'CREDIT_NOTE'
+      ? `credit note of ₦${refundAmount.toLocaleString()} applied to customer balance`
+      : `₦${refundAmount.toLocaleString()} refunded`;
+
+    res.json({
+      success: true,
+      message: `Return approved: ${settlementMessage}`,
+      data: {
+        saleReturn: result.approvedReturn,
+        cashFlowId: result.cashFlowEntry?.id || null
+      }
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/returns/:id/reject
+// @desc    Reject a pending return
+// @access  Private (Warehouse module - admin permission)
+router.put('/returns/:id/reject',
+  authorizeModule('warehouse', 'admin'),
+  [
+    param('id').custom(validateCuid('return ID')),
+    body('rejectionReason').notEmpty().withMessage('Rejection reason is required').trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const saleReturn = await prisma.warehouseSaleReturn.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!saleReturn) {
+      throw new NotFoundError('Return not found');
+    }
+
+    if (saleReturn.status !== 'PENDING') {
+      throw new BusinessError('Can only reject returns with PENDING status');
+    }
+
+    const rejectedReturn = await prisma.warehouseSaleReturn.update({
+      where: { id: req.params.id },
+      data: {
+        status: 'REJECTED',
+        approvedBy: req.user.id,
+        approvedAt: new Date(),
+        rejectionReason: req.body.rejectionReason
+      },
+      include: returnInclude
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'REJECT',
+      entity: 'WarehouseSaleReturn',
+      entityId: saleReturn.id,
+      oldValues: { status: 'PENDING' },
+      newValues: { status: 'REJECTED', rejectionReason: req.body.rejectionReason },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      data: rejectedReturn
+    });
+  })
+);
+
+// ================================
+// WRITE-OFF ROUTES
+// ================================
+
+// @route   GET /api/v1/warehouse/write-offs
+// @desc    List stock written off (damaged/expired returns) with totals per product
+// @access  Private (Warehouse module - read permission)
+router.get('/write-offs',
+  authorizeModule('warehouse'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('productId').optional().custom(validateCuid('product ID')),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { page = 1, limit = 20, productId, startDate, endDate } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+    if (productId) where.productId = productId;
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [writeOffs, total, byProduct] = await Promise.all([
+      prisma.warehouseStockWriteOff.findMany({
+        where,
+        include: {
+          product: { select: { id: true, name: true, productNo: true } },
+          batch: { select: { id: true, batchNumber: true, expiryDate: true } },
+          returnItem: { select: { saleReturn: { select: { returnNumber: true } } } },
+          recordedByUser: { select: { id: true, username: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.warehouseStockWriteOff.count({ where }),
+      prisma.warehouseStockWriteOff.groupBy({
+        by: ['productId', 'unitType'],
+        where,
+        _sum: { quantity: true, costValue: true }
+      })
+    ]);
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: byProduct.map(p => p.productId) } },
+      select: { id: true, name: true, productNo: true }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        writeOffs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        },
+        summary: {
+          totalValue: parseFloat(byProduct.reduce((sum, p) => sum + parseFloat(p._sum.costValue || 0), 0).toFixed(2)),
+          byProduct: byProduct.map(p => ({
+            product: products.find(prod => prod.id === p.productId),
+            unitType: p.unitType,
+            quantity: p._sum.quantity || 0,
+            costValue: parseFloat(p._sum.costValue || 0)
+          }))
+        }
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const { validateCuid } = require('../utils/validators');
 const router = express.Router();
 const prisma = require('../lib/prisma');
 const { logDataChange, getClientIP } = require('../middleware/auditLogger');
+const { UNIT_TYPES, stockToBaseUnits, fromBaseUnits, expressQuantity } = require('../utils/unitConversion');
 
 // ================================
 // VALIDATION RULES
@@ -123,12 +124,14 @@ function calculateVariance(counted, system) {
 }
 
 /**
- * Calculate variance value based on product cost
+ * Calculate variance value based on product cost.
+ * Counters are netted in base units first, so 1 pallet counted where the
+ * system holds the same stock as loose packs is not a loss.
  */
 async function calculateVarianceValue(productId, variance) {
   const product = await prisma.product.findUnique({
     where: { id: productId },
-    select: { costPerPack: true, packsPerPallet: true }
+    select: { costPerPack: true, packsPerPallet: true, unitsPerPack: true }
   });
 
   if (!product || !product.costPerPack) {
@@ -136,16 +139,48 @@ async function calculateVarianceValue(productId, variance) {
   }
 
   const costPerPack = parseFloat(product.costPerPack);
-  const packsPerPallet = product.packsPerPallet || 0;
 
-  // Convert variance to packs
-  const totalPacksVariance =
-    (variance.variancePallets * packsPerPallet) +
-    variance.variancePacks;
+  const netVarianceBaseUnits = stockToBaseUnits({
+    pallets: variance.variancePallets,
+    packs: variance.variancePacks,
+    units: variance.varianceUnits
+  }, product);
 
-  return totalPacksVariance * costPerPack;
+  return parseFloat((fromBaseUnits(netVarianceBaseUnits, 'PACKS', product) * costPerPack).toFixed(2));
 }
 
+/**
+ * Counted, system and variance quantities of a stock count in one unit
+ * (pallets, packs and units netted through the product's conversion factors)
+ */
+function expressStockCount(stockCount, unit = 'PACKS') {
+  const product = stockCount.product || {};
+  const counted = stockToBaseUnits({
+    pallets: stockCount.countedPallets,
+    packs: stockCount.countedPacks,
+    units: stockCount.countedUnits
+  }, product);
+  const system = stockToBaseUnits({
+    pallets: stockCount.systemPallets,
+    packs: stockCount.systemPacks,
+    units: stockCount.systemUnits
+  }, product);
+
+  return {
+    ...stockCount,
+    converted: {
+      counted: expressQuantity(counted, product, unit),
+      system: expressQuantity(system, product, unit),
+      netVariance: expressQuantity(counted - system, product, unit)
+    }
+  };
+}
+
+const productConversionSelect = {
+  packsPerPallet: true,
+  unitsPerPack: true
+};
+
 // ================================
 // STOCK COUNT ROUTES
 // ================================
@@ -264,7 +299,8 @@ router.get('/stock-counts',
     query('productId').optional().custom(validateCuid('product ID')),
     query('location').optional().trim(),
     query('startDate').optional().isISO8601(),
-    query('endDate').optional().isISO8601()
+    query('endDate').optional().isISO8601(),
+    query('unit').optional().isIn(UNIT_TYPES)
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -279,7 +315,8 @@ router.get('/stock-counts',
       productId,
       location,
       startDate,
-      endDate
+      endDate,
+      unit = 'PACKS'
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -322,7 +359,8 @@ router.get('/stock-counts',
             select: {
               id: true,
               name: true,
-              productNo: true
+              productNo: true,
+              ...productConversionSelect
             }
           },
           countedByUser: {
@@ -345,7 +383,7 @@ router.get('/stock-counts',
 
     res.json({
       success: true,
-      data: stockCounts,
+      data: stockCounts.map(stockCount => expressStockCount(stockCount, unit)),
       pagination: {
         total,
         page: parseInt(page),
@@ -361,7 +399,10 @@ router.get('/stock-counts',
 // @access  Private (Warehouse module - read permission)
 router.get('/stock-counts/:id',
   authorizeModule('warehouse'),
-  [param('id').custom(validateCuid('stock count ID'))],
+  [
+    param('id').custom(validateCuid('stock count ID')),
+    query('unit').optional().isIn(UNIT_TYPES)
+  ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -377,7 +418,8 @@ router.get('/stock-counts/:id',
             name: true,
             productNo: true,
             costPerPack: true,
-            packsPerPallet: true
+            packsPerPallet: true,
+            unitsPerPack: true
           }
         },
         countedByUser: {
@@ -414,7 +456,7 @@ router.get('/stock-counts/:id',
 
     res.json({
       success: true,
-      data: stockCount
+      data: expressStockCount(stockCount, req.query.unit)
     });
   })
 );
@@ -610,7 +652,12 @@ router.put('/stock-counts/:id/approve',
             data: {
               pallets: stockCount.countedPallets,
               packs: stockCount.countedPacks,
-              units: stockCount.countedUnits
+              units: stockCount.countedUnits,
+              baseUnits: stockToBaseUnits({
+                pallets: stockCount.countedPallets,
+                packs: stockCount.countedPacks,
+                units: stockCount.countedUnits
+              }, stockCount.product)
             }
           });
         }
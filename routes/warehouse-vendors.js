@@ -0,0 +1,818 @@
+// routes/warehouse-vendors.js - Vendor master for warehouse purchases and expenses
+
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+
+const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { authorizeModule } = require('../middleware/auth');
+const { validateCuid } = require('../utils/validators');
+const { createAuditLog, getRequestMetadata } = require('../utils/auditLogger');
+const {
+  normalizeVendorName,
+  reassignAlias,
+  mergeVendors,
+  clusterUnlinkedVendorNames
+} = require('../services/vendorService');
+
+const router = express.Router();
+const prisma = require('../lib/prisma');
+
+const VENDOR_STATUSES = ['PENDING_REVIEW', 'ACTIVE', 'INACTIVE'];
+
+// ================================
+// VALIDATION RULES
+// ================================
+
+const vendorDetailsValidation = [
+  body('contactPerson').optional({ nullable: true }).trim(),
+  body('phone').optional({ nullable: true }).trim(),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Invalid email'),
+  body('address').optional({ nullable: true }).trim(),
+  body('paymentTermsDays').optional({ nullable: true }).isInt({ min: 0, max: 365 }).withMessage('Payment terms must be between 0 and 365 days'),
+  body('bankName').optional({ nullable: true }).trim(),
+  body('bankAccountNumber').optional({ nullable: true }).trim().isLength({ max: 20 }),
+  body('bankAccountName').optional({ nullable: true }).trim(),
+  body('notes').optional({ nullable: true }).trim()
+];
+
+const VENDOR_DETAIL_FIELDS = [
+  'contactPerson', 'phone', 'email', 'address', 'paymentTermsDays',
+  'bankName', 'bankAccountNumber', 'bankAccountName', 'notes'
+];
+
+const pickVendorDetails = (source) => {
+  const data = {};
+  for (const field of VENDOR_DETAIL_FIELDS) {
+    if (source[field] !== undefined) {
+      data[field] = field === 'paymentTermsDays' && source[field] !== null
+        ? parseInt(source[field])
+        : source[field];
+    }
+  }
+  return data;
+};
+
+const vendorCountsInclude = {
+  _count: {
+    select: {
+      aliases: true,
+      purchases: true,
+      expenses: true,
+      purchaseOrders: true
+    }
+  }
+};
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24);
+
+// ================================
+// HELPER FUNCTIONS
+// ================================
+
+/**
+ * Lead time from order (or send) date to first delivery, across a vendor's POs
+ */
+function calculateLeadTimes(purchaseOrders) {
+  const leadTimes = [];
+  let onTime = 0;
+  let withExpectedDate = 0;
+
+  for (const po of purchaseOrders) {
+    const firstDelivery = po.goodsReceipts[0];
+    if (!firstDelivery) continue;
+
+    const orderedAt = po.sentAt || po.orderDate;
+    leadTimes.push(Math.max(0, daysBetween(orderedAt, firstDelivery.receivedDate)));
+
+    if (po.expectedDeliveryDate) {
+      withExpectedDate++;
+      if (new Date(firstDelivery.receivedDate) <= new Date(po.expectedDeliveryDate)) onTime++;
+    }
+  }
+
+  if (leadTimes.length === 0) {
+    return { averageDays: null, minDays: null, maxDays: null, deliveries: 0, onTimeRate: null };
+  }
+
+  return {
+    averageDays: parseFloat((leadTimes.reduce((sum, d) => sum + d, 0) / leadTimes.length).toFixed(1)),
+    minDays: parseFloat(Math.min(...leadTimes).toFixed(1)),
+    maxDays: parseFloat(Math.max(...leadTimes).toFixed(1)),
+    deliveries: leadTimes.length,
+    onTimeRate: withExpectedDate > 0 ? parseFloat(((onTime / withExpectedDate) * 100).toFixed(1)) : null
+  };
+}
+
+// ================================
+// VENDOR ROUTES
+// ================================
+
+// @route   GET /api/v1/warehouse/vendors
+// @desc    List vendors with search and status filter
+// @access  Private (Warehouse module - read permission)
+router.get('/',
+  authorizeModule('warehouse'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(VENDOR_STATUSES),
+    query('search').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { aliases: { some: { name: { contains: search, mode: 'insensitive' } } } },
+        { phone: { contains: search } }
+      ];
+    }
+
+    const [vendors, total] = await Promise.all([
+      prisma.vendor.findMany({
+        where,
+        include: vendorCountsInclude,
+        orderBy: { name: 'asc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.vendor.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        vendors,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/vendors/options
+// @desc    Lightweight vendor list for pickers on purchase and expense forms
+// @access  Private (Warehouse module - read permission)
+router.get('/options',
+  authorizeModule('warehouse'),
+  [
+    query('search').optional().trim()
+  ],
+  asyncHandler(async (req, res) => {
+    const { search } = req.query;
+
+    const vendors = await prisma.vendor.findMany({
+      where: {
+        status: { in: ['ACTIVE', 'PENDING_REVIEW'] },
+        ...(search && {
+          OR: [
+            { name: { contains: search, mode: 'insensitive' } },
+            { aliases: { some: { name: { contains: search, mode: 'insensitive' } } } }
+          ]
+        })
+      },
+      select: {
+        id: true,
+        name: true,
+        status: true,
+        phone: true,
+        email: true,
+        paymentTermsDays: true
+      },
+      orderBy: { name: 'asc' },
+      take: 50
+    });
+
+    res.json({
+      success: true,
+      data: { vendors }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/vendors/review
+// @desc    Vendors awaiting review (clustered from free-text names) with their spellings and likely duplicates
+// @access  Private (Warehouse module - admin permission)
+router.get('/review',
+  authorizeModule('warehouse', 'admin'),
+  asyncHandler(async (req, res) => {
+    const [pending, allVendors] = await Promise.all([
+      prisma.vendor.findMany({
+        where: { status: 'PENDING_REVIEW' },
+        include: {
+          aliases: { orderBy: { name: 'asc' } },
+          ...vendorCountsInclude
+        },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.vendor.findMany({
+        where: { status: { not: 'INACTIVE' } },
+        select: { id: true, name: true, normalizedName: true, status: true }
+      })
+    ]);
+
+    // Vendors sharing the first word of their key are worth a second look ("rite foods" / "rite food")
+    const byFirstWord = {};
+    for (const vendor of allVendors) {
+      const firstWord = vendor.normalizedName.split(' ')[0];
+      (byFirstWord[firstWord] = byFirstWord[firstWord] || []).push(vendor);
+    }
+
+    const clusters = pending.map(vendor => {
+      const firstWord = vendor.normalizedName.split(' ')[0];
+      return {
+        ...vendor,
+        possibleDuplicates: (byFirstWord[firstWord] || [])
+          .filter(other => other.id !== vendor.id)
+          .map(({ id, name, status }) => ({ id, name, status }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        clusters,
+        summary: {
+          pendingVendors: pending.length,
+          spellings: pending.reduce((sum, v) => sum + v.aliases.length, 0),
+          withPossibleDuplicates: clusters.filter(c => c.possibleDuplicates.length > 0).length
+        }
+      }
+    });
+  })
+);
+
+// @route   POST /api/v1/warehouse/vendors/review/scan
+// @desc    Cluster any purchases/expenses still saved with an unlinked free-text vendor name
+// @access  Private (Warehouse module - admin permission)
+router.post('/review/scan',
+  authorizeModule('warehouse', 'admin'),
+  asyncHandler(async (req, res) => {
+    const result = await clusterUnlinkedVendorNames(req.user.id);
+
+    res.json({
+      success: true,
+      message: `Processed ${result.namesProcessed} unlinked vendor name(s)`,
+      data: result
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/vendors/aliases/:aliasId
+// @desc    Move a spelling (and its transactions) to another vendor, or split it into a new vendor
+// @access  Private (Warehouse module - admin permission)
+router.put('/aliases/:aliasId',
+  authorizeModule('warehouse', 'admin'),
+  param('aliasId').notEmpty(),
+  [
+    body('vendorId').optional().custom(validateCuid('vendor ID')),
+    body('newVendorName').optional().trim().notEmpty()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { aliasId } = req.params;
+    const { vendorId, newVendorName } = req.body;
+
+    if (!vendorId && !newVendorName) {
+      throw new ValidationError('Provide a target vendorId or a newVendorName');
+    }
+
+    let targetVendorId = vendorId;
+    if (!targetVendorId) {
+      const normalizedName = normalizeVendorName(newVendorName);
+      const existing = await prisma.vendor.findFirst({
+        where: { OR: [{ name: newVendorName }, { normalizedName }] }
+      });
+      if (existing) {
+        throw new BusinessError(
+          `A vendor matching "${newVendorName}" already exists (${existing.name}). Move the spelling to it instead.`,
+          'VENDOR_EXISTS'
+        );
+      }
+
+      const created = await prisma.vendor.create({
+        data: {
+          name: newVendorName,
+          normalizedName,
+          status: 'PENDING_REVIEW',
+          createdBy: req.user.id
+        }
+      });
+      targetVendorId = created.id;
+    }
+
+    const result = await reassignAlias(aliasId, targetVendorId);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'UPDATE',
+      entity: 'VendorAlias',
+      entityId: aliasId,
+      newValues: { vendorId: targetVendorId, removedVendorId: result.removedVendorId },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: `"${result.alias.name}" moved to the selected vendor`,
+      data: result
+    });
+  })
+);
+
+// @route   POST /api/v1/warehouse/vendors
+// @desc    Create a vendor
+// @access  Private (Warehouse module - write permission)
+router.post('/',
+  authorizeModule('warehouse', 'write'),
+  [
+    body('name').trim().notEmpty().withMessage('Vendor name is required'),
+    ...vendorDetailsValidation
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { name } = req.body;
+    const normalizedName = normalizeVendorName(name);
+
+    const duplicate = await prisma.vendor.findFirst({
+      where: {
+        OR: [
+          { name },
+          { normalizedName },
+          { aliases: { some: { normalizedName } } }
+        ]
+      }
+    });
+
+    if (duplicate) {
+      throw new BusinessError(`Vendor already exists as "${duplicate.name}"`, 'VENDOR_EXISTS');
+    }
+
+    const vendor = await prisma.vendor.create({
+      data: {
+        name,
+        normalizedName,
+        status: 'ACTIVE',
+        ...pickVendorDetails(req.body),
+        createdBy: req.user.id,
+        aliases: {
+          create: { name, normalizedName }
+        }
+      },
+      include: { aliases: true }
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'CREATE',
+      entity: 'Vendor',
+      entityId: vendor.id,
+      newValues: vendor,
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.status(201).json({
+      success: true,
+      message: 'Vendor created successfully',
+      data: { vendor }
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/vendors/:id
+// @desc    Vendor details with spellings and activity counts
+// @access  Private (Warehouse module - read permission)
+router.get('/:id',
+  authorizeModule('warehouse'),
+  param('id').notEmpty(),
+  asyncHandler(async (req, res) => {
+    const vendor = await prisma.vendor.findUnique({
+      where: { id: req.params.id },
+      include: {
+        aliases: { orderBy: { name: 'asc' } },
+        createdByUser: { select: { id: true, username: true } },
+        reviewer: { select: { id: true, username: true } },
+        ...vendorCountsInclude
+      }
+    });
+
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+
+    res.json({
+      success: true,
+      data: { vendor }
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/vendors/:id
+// @desc    Update vendor name, contacts, payment terms, bank details or status
+// @access  Private (Warehouse module - write permission)
+router.put('/:id',
+  authorizeModule('warehouse', 'write'),
+  param('id').notEmpty(),
+  [
+    body('name').optional().trim().notEmpty(),
+    body('status').optional().isIn(['ACTIVE', 'INACTIVE']),
+    ...vendorDetailsValidation
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const { id } = req.params;
+    const { name, status } = req.body;
+
+    const existing = await prisma.vendor.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError('Vendor not found');
+    }
+
+    const data = pickVendorDetails(req.body);
+    if (status) data.status = status;
+
+    if (name && name !== existing.name) {
+      const normalizedName = normalizeVendorName(name);
+      const clash = await prisma.vendor.findFirst({
+        where: {
+          id: { not: id },
+          OR: [{ name }, { normalizedName }]
+        }
+      });
+      if (clash) {
+        throw new BusinessError(
+          `Another vendor already uses this name (${clash.name}). Merge the vendors instead.`,
+          'VENDOR_EXISTS'
+        );
+      }
+
+      data.name = name;
+      data.normalizedName = normalizedName;
+    }
+
+    const vendor = await prisma.$transaction(async (tx) => {
+      const updated = await tx.vendor.update({
+        where: { id },
+        data,
+        include: { aliases: true }
+      });
+
+      // Keep the new spelling resolvable from free text
+      if (data.name) {
+        await tx.vendorAlias.upsert({
+          where: { name: data.name },
+          update: { vendorId: id },
+          create: { vendorId: id, name: data.name, normalizedName: data.normalizedName }
+        });
+      }
+
+      return updated;
+    });
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'UPDATE',
+      entity: 'Vendor',
+      entityId: id,
+      oldValues: existing,
+      newValues: data,
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: 'Vendor updated successfully',
+      data: { vendor }
+    });
+  })
+);
+
+// @route   PUT /api/v1/warehouse/vendors/:id/approve
+// @desc    Confirm a clustered vendor after review
+// @access  Private (Warehouse module - admin permission)
+router.put('/:id/approve',
+  authorizeModule('warehouse', 'admin'),
+  param('id').notEmpty(),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await prisma.vendor.updateMany({
+      where: { id, status: 'PENDING_REVIEW' },
+      data: {
+        status: 'ACTIVE',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date()
+      }
+    });
+
+    if (result.count === 0) {
+      const vendor = await prisma.vendor.findUnique({ where: { id } });
+      if (!vendor) {
+        throw new NotFoundError('Vendor not found');
+      }
+      throw new BusinessError('Vendor is not awaiting review', 'VENDOR_NOT_PENDING');
+    }
+
+    const vendor = await prisma.vendor.findUnique({
+      where: { id },
+      include: { aliases: true, ...vendorCountsInclude }
+    });
+
+    res.json({
+      success: true,
+      message: `Vendor ${vendor.name} confirmed`,
+      data: { vendor }
+    });
+  })
+);
+
+// @route   POST /api/v1/warehouse/vendors/:id/merge
+// @desc    Merge duplicate vendors into this one
+// @access  Private (Warehouse module - admin permission)
+router.post('/:id/merge',
+  authorizeModule('warehouse', 'admin'),
+  param('id').notEmpty(),
+  [
+    body('sourceVendorIds').isArray({ min: 1 }).withMessage('sourceVendorIds must list the vendors to merge'),
+    body('sourceVendorIds.*').isString().notEmpty()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid input data', errors.array());
+    }
+
+    const result = await mergeVendors(req.params.id, req.body.sourceVendorIds);
+
+    const { ipAddress, userAgent } = getRequestMetadata(req);
+    createAuditLog({
+      userId: req.user.id,
+      action: 'MERGE',
+      entity: 'Vendor',
+      entityId: req.params.id,
+      newValues: { mergedVendors: result.mergedVendors, moved: result.moved },
+      ipAddress,
+      userAgent
+    }).catch(console.error);
+
+    res.json({
+      success: true,
+      message: `Merged ${result.mergedVendors.length} vendor(s) into ${result.vendor.name}`,
+      data: result
+    });
+  })
+);
+
+// @route   GET /api/v1/warehouse/vendors/:id/statement
+// @desc    Vendor statement: purchases, payments, running balance, outstanding amountDue and lead time
+// @access  Private (Warehouse module - read permission)
+router.get('/:id/statement',
+  authorizeModule('warehouse'),
+  param('id').notEmpty(),
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid query parameters', errors.array());
+    }
+
+    const { id } = req.params;
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    const now = new Date();
+
+    const vendor = await prisma.vendor.findUnique({
+      where: { id },
+      include: { aliases: { select: { name: true } } }
+    });
+
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+
+    const [purchases, poPayments, purchaseOrders, expenses] = await Promise.all([
+      prisma.warehouseProductPurchase.findMany({
+        where: { vendorId: id, sourceBatchId: null },
+        select: {
+          id: true,
+          purchaseDate: true,
+          quantity: true,
+          unitType: true,
+          totalCost: true,
+          amountPaid: true,
+          amountDue: true,
+          paymentStatus: true,
+          paymentMethod: true,
+          invoiceNumber: true,
+          orderNumber: true,
+          product: { select: { name: true, productNo: true } },
+          goodsReceiptLine: {
+            select: { goodsReceipt: { select: { grnNumber: true } } }
+          }
+        },
+        orderBy: { purchaseDate: 'asc' }
+      }),
+      prisma.warehousePurchaseOrderPayment.findMany({
+        where: { purchaseOrder: { vendorId: id } },
+        include: { purchaseOrder: { select: { poNumber: true } } },
+        orderBy: { paidAt: 'asc' }
+      }),
+      prisma.warehousePurchaseOrder.findMany({
+        where: { vendorId: id, status: { not: 'CANCELLED' } },
+        select: {
+          id: true,
+          poNumber: true,
+          status: true,
+          orderDate: true,
+          sentAt: true,
+          expectedDeliveryDate: true,
+          goodsReceipts: {
+            select: { receivedDate: true },
+            orderBy: { receivedDate: 'asc' },
+            take: 1
+          }
+        }
+      }),
+      prisma.warehouseExpense.findMany({
+        where: {
+          vendorId: id,
+          ...((startDate || endDate) && {
+            expenseDate: {
+              ...(startDate && { gte: startDate }),
+              ...(endDate && { lte: endDate })
+            }
+          })
+        },
+        select: {
+          id: true,
+          expenseDate: true,
+          expenseType: true,
+          category: true,
+          amount: true,
+          status: true,
+          isPaid: true,
+          receiptNumber: true
+        },
+        orderBy: { expenseDate: 'asc' }
+      })
+    ]);
+
+    // Part of a batch's amountPaid came from later PO payments; the rest was paid on receipt
+    const allocatedByPurchase = {};
+    for (const payment of poPayments) {
+      for (const allocation of payment.allocations || []) {
+        allocatedByPurchase[allocation.purchaseId] = (allocatedByPurchase[allocation.purchaseId] || 0) + parseFloat(allocation.amount);
+      }
+    }
+
+    const entries = [];
+    for (const purchase of purchases) {
+      const reference = purchase.invoiceNumber
+        || purchase.goodsReceiptLine?.goodsReceipt.grnNumber
+        || purchase.orderNumber
+        || `PUR-${purchase.id.slice(-8)}`;
+      const totalCost = parseFloat(purchase.totalCost);
+
+      entries.push({
+        date: purchase.purchaseDate,
+        type: 'PURCHASE',
+        reference,
+        description: `${purchase.product.name} (${purchase.quantity} ${purchase.unitType.toLowerCase()})`,
+        debit: totalCost,
+        credit: 0,
+        purchaseId: purchase.id
+      });
+
+      const paidOnReceipt = parseFloat(Math.max(0, parseFloat(purchase.amountPaid) - (allocatedByPurchase[purchase.id] || 0)).toFixed(2));
+      if (paidOnReceipt > 0) {
+        entries.push({
+          date: purchase.purchaseDate,
+          type: 'PAYMENT',
+          reference,
+          description: `Paid on purchase (${purchase.paymentMethod.replace(/_/g, ' ').toLowerCase()})`,
+          debit: 0,
+          credit: paidOnReceipt,
+          purchaseId: purchase.id
+        });
+      }
+    }
+
+    for (const payment of poPayments) {
+      entries.push({
+        date: payment.paidAt,
+        type: 'PAYMENT',
+        reference: payment.reference || payment.purchaseOrder.poNumber,
+        description: `Payment against ${payment.purchaseOrder.poNumber} (${payment.paymentMethod.replace(/_/g, ' ').toLowerCase()})`,
+        debit: 0,
+        credit: parseFloat(payment.amount),
+        paymentId: payment.id
+      });
+    }
+
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date) || (a.type === 'PURCHASE' ? -1 : 1));
+
+    let openingBalance = 0;
+    let balance = 0;
+    const statementEntries = [];
+    for (const entry of entries) {
+      balance = parseFloat((balance + entry.debit - entry.credit).toFixed(2));
+      if (startDate && new Date(entry.date) < startDate) {
+        openingBalance = balance;
+        continue;
+      }
+      if (endDate && new Date(entry.date) > endDate) continue;
+      statementEntries.push({ ...entry, balance });
+    }
+
+    const totalPurchased = statementEntries.reduce((sum, e) => sum + e.debit, 0);
+    const totalPaid = statementEntries.reduce((sum, e) => sum + e.credit, 0);
+
+    const unpaid = purchases.filter(p => parseFloat(p.amountDue) > 0);
+    const outstanding = unpaid.reduce((sum, p) => sum + parseFloat(p.amountDue), 0);
+    const overdue = vendor.paymentTermsDays !== null
+      ? unpaid
+        .filter(p => daysBetween(p.purchaseDate, now) > vendor.paymentTermsDays)
+        .reduce((sum, p) => sum + parseFloat(p.amountDue), 0)
+      : null;
+
+    const approvedExpenses = expenses.filter(e => ['APPROVED', 'PAID'].includes(e.status));
+
+    res.json({
+      success: true,
+      data: {
+        vendor: {
+          id: vendor.id,
+          name: vendor.name,
+          status: vendor.status,
+          contactPerson: vendor.contactPerson,
+          phone: vendor.phone,
+          email: vendor.email,
+          address: vendor.address,
+          paymentTermsDays: vendor.paymentTermsDays,
+          bankName: vendor.bankName,
+          bankAccountNumber: vendor.bankAccountNumber,
+          bankAccountName: vendor.bankAccountName,
+          spellings: vendor.aliases.map(a => a.name)
+        },
+        period: {
+          startDate: startDate || null,
+          endDate: endDate || null
+        },
+        openingBalance,
+        entries: statementEntries,
+        closingBalance: statementEntries.length > 0
+          ? statementEntries[statementEntries.length - 1].balance
+          : openingBalance,
+        expenses: {
+          items: expenses,
+          totalApproved: parseFloat(approvedExpenses.reduce((sum, e) => sum + parseFloat(e.amount), 0).toFixed(2))
+        },
+        summary: {
+          totalPurchased: parseFloat(totalPurchased.toFixed(2)),
+          totalPaid: parseFloat(totalPaid.toFixed(2)),
+          outstandingAmountDue: parseFloat(outstanding.toFixed(2)),
+          overdueAmount: overdue === null ? null : parseFloat(overdue.toFixed(2)),
+          unpaidPurchases: unpaid.length,
+          purchaseCount: purchases.length,
+          openPurchaseOrders: purchaseOrders.filter(po => ['SENT', 'PARTIALLY_RECEIVED'].includes(po.status)).length,
+          leadTime: calculateLeadTimes(purchaseOrders)
+        }
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -7,7 +7,17 @@ const { Parser } = require('json2csv');
 const { asyncHandler, ValidationError, NotFoundError, BusinessError } = require('../middleware/errorHandler');
 const { authorizeModule, authorizeRole } = require('../middleware/auth');
 const { validateCuid } = require('../utils/validators');
-const { syncProductInventory } = require('../services/inventorySyncService');
+const { syncProductInventory, calculateInventoryFromBatches, verifyBatchIntegrity } = require('../services/inventorySyncService');
+const { checkWarehouseCredit, enforceCreditCheck, logCreditOverride } = require('../services/creditControlService');
+const { assertCashFlowEditable } = require('../services/cashReconciliationService');
+const {
+  UNIT_TYPES,
+  convertQuantity,
+  isConversionConfigured,
+  largerUnitTypes,
+  stockToBaseUnits,
+  expressQuantity
+} = require('../utils/unitConversion');
 
 const router = express.Router();
 const prisma = require('../lib/prisma');
@@ -23,6 +33,15 @@ router.use('/', warehouseExpensesRouter);
 const warehousePurchasesRouter = require('./warehouse-purchases');
 router.use('/purchases', warehousePurchasesRouter);
 
+const warehousePurchaseOrdersRouter = require('./warehouse-purchase-orders');
+router.use('/purchase-orders', warehousePurchaseOrdersRouter);
+
+const warehouseVendorsRouter = require('./warehouse-vendors');
+router.use('/vendors', warehouseVendorsRouter);
+
+const warehouseReorderRouter = require('./warehouse-reorder');
+router.use('/reorder-suggestions', warehouseReorderRouter);
+
 const warehouseDebtorsRouter = require('./warehouse-debtors');
 router.use('/debtors', warehouseDebtorsRouter);
 
@@ -32,6 +51,9 @@ router.use('/opening-stock', warehouseOpeningStockRouter);
 const warehouseStockCountRouter = require('./warehouse-stock-count');
 router.use('/', warehouseStockCountRouter);
 
+const warehouseReturnsRouter = require('./warehouse-returns');
+router.use('/', warehouseReturnsRouter);
+
 
 // Include discount management routes (if created)
 let checkCustomerDiscount;
@@ -85,16 +107,6 @@ try {
 // VALIDATION RULES
 // ================================
 
-const createWarehouseSaleValidation = [
-  body('productId').custom(validateCuid('product ID')),
-  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-  body('unitType').isIn(['PALLETS', 'PACKS', 'UNITS']).withMessage('Invalid unit type'),
-  body('unitPrice').isDecimal({ decimal_digits: '0,2' }).withMessage('Valid unit price required'),
-  body('paymentMethod').isIn(['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'MOBILE_MONEY']).withMessage('Invalid payment method'),
-  body('customerName').optional().isLength({ max: 200 }),
-  body('customerPhone').optional().isLength({ max: 20 })
-];
-
 const createCashFlowValidation = [
   body('transactionType').isIn(['CASH_IN', 'CASH_OUT', 'SALE', 'EXPENSE', 'ADJUSTMENT']).withMessage('Invalid transaction type'),
   body('amount').isDecimal({ decimal_digits: '0,2' }).withMessage('Valid amount required'),
@@ -120,7 +132,7 @@ const isReceiptNumberConflict = (error) => {
   if (!error || error.code !== 'P2002') return false;
   const target = error.meta?.target;
   if (Array.isArray(target)) {
-    return target.includes('receipt_number');
+    return target.includes('receipt_number') || target.includes('receiptNumber');
   }
   if (typeof target === 'string') {
     return target.includes('receipt_number');
@@ -128,88 +140,72 @@ const isReceiptNumberConflict = (error) => {
   return false;
 };
 
-const dropReceiptNumberConstraintIfExists = async () => {
-  try {
-    await prisma.$executeRaw`DROP INDEX IF EXISTS "warehouse_sales_receipt_number_key"`;
-  } catch (dropError) {
-    console.error('Failed to drop receipt number unique index', dropError);
-  }
-};
-
-const withReceiptConflictRetry = async (operation) => {
-  try {
-    return await operation();
-  } catch (error) {
-    if (isReceiptNumberConflict(error)) {
-      await dropReceiptNumberConstraintIfExists();
-      return operation();
-    }
-    throw error;
-  }
-};
-
 const generateReceiptNumber = async () => {
   const prefix = 'WHS';
   const date = new Date();
   const dateStr = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
-  
-  const lastReceipt = await prisma.warehouseSale.findFirst({
+
+  const lastReceipt = await prisma.warehouseReceipt.findFirst({
     where: {
-      receiptNumber: { startsWith: `${prefix}-${dateStr}` }
+      receiptNumber: { startsWith: `${prefix}-${dateStr}-` }
     },
-    orderBy: { createdAt: 'desc' }
+    orderBy: { receiptNumber: 'desc' }
   });
 
   let sequence = 1;
   if (lastReceipt) {
     const lastSequence = parseInt(lastReceipt.receiptNumber.split('-')[2]);
-    sequence = lastSequence + 1;
+    sequence = isNaN(lastSequence) ? 1 : lastSequence + 1;
   }
 
   return `${prefix}-${dateStr}-${String(sequence).padStart(4, '0')}`;
 };
 
-const updateInventoryAfterSale = async (productId, quantity, unitType, tx) => {
-  const inventory = await tx.warehouseInventory.findFirst({
-    where: { productId }
-  });
-
-  if (!inventory) {
-    throw new BusinessError('Product not found in inventory', 'PRODUCT_NOT_FOUND');
-  }
-
-  const updateData = {};
-  
-  switch (unitType) {
-    case 'PALLETS':
-      if (inventory.pallets < quantity) {
-        throw new BusinessError('Insufficient pallets in inventory', 'INSUFFICIENT_STOCK');
-      }
-      updateData.pallets = inventory.pallets - quantity;
-      break;
-    case 'PACKS':
-      if (inventory.packs < quantity) {
-        throw new BusinessError('Insufficient packs in inventory', 'INSUFFICIENT_STOCK');
-      }
-      updateData.packs = inventory.packs - quantity;
-      break;
-    case 'UNITS':
-      if (inventory.units < quantity) {
-        throw new BusinessError('Insufficient units in inventory', 'INSUFFICIENT_STOCK');
+// Runs a receipt-creating operation. Receipt numbers are unique on the header, so when
+// two cashiers race for the same generated number the loser simply takes the next one.
+// Client-supplied numbers are never rewritten: the retry finds the header the other
+// request created and appends to it.
+const withReceiptConflictRetry = async (operation, providedReceiptNumber, maxAttempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    const receiptNumber = providedReceiptNumber || await generateReceiptNumber();
+    try {
+      return await operation(receiptNumber);
+    } catch (error) {
+      if (isReceiptNumberConflict(error) && attempt < maxAttempts) {
+        console.warn(`⚠️ Receipt number ${receiptNumber} already taken, retrying (${attempt}/${maxAttempts})`);
+        continue;
       }
-      updateData.units = inventory.units - quantity;
-      break;
+      throw error;
+    }
   }
-
-  await tx.warehouseInventory.update({
-    where: { id: inventory.id },
-    data: updateData
-  });
 };
 
+// Recompute header totals from the receipt's remaining line items
+const recalculateReceiptTotals = async (tx, receiptId) => {
+  const totals = await tx.warehouseSale.aggregate({
+    where: { receiptId },
+    _sum: {
+      quantity: true,
+      totalAmount: true,
+      totalDiscountAmount: true,
+      totalCost: true,
+      grossProfit: true
+    },
+    _count: true
+  });
 
-
-
+  return tx.warehouseReceipt.update({
+    where: { id: receiptId },
+    data: {
+      itemsCount: totals._count,
+      totalQuantity: totals._sum.quantity || 0,
+      totalAmount: parseFloat(totals._sum.totalAmount || 0),
+      totalDiscountAmount: parseFloat(totals._sum.totalDiscountAmount || 0),
+      totalCost: parseFloat(totals._sum.totalCost || 0),
+      grossProfit: parseFloat(totals._sum.grossProfit || 0)
+    }
+  });
+};
 
 router.use('/', warehouseCustomersRouter);
 
@@ -221,7 +217,11 @@ router.use('/', warehouseCustomersRouter);
 // @desc    Get warehouse inventory with filtering
 // @access  Private (Warehouse module access)
 router.get('/inventory', asyncHandler(async (req, res) => {
-  const { productId, location, lowStock } = req.query;
+  const { productId, location, lowStock, unit } = req.query;
+
+  if (unit && !UNIT_TYPES.includes(unit)) {
+    throw new ValidationError('unit must be one of PALLETS, PACKS or UNITS');
+  }
 
   const where = {};
   if (productId) where.productId = productId;
@@ -243,6 +243,7 @@ router.get('/inventory', asyncHandler(async (req, res) => {
     // Convert to packs
     const palletsToPacks = (inv.pallets ?? 0) * packsPerPallet;
     const totalPacks = palletsToPacks + (inv.packs ?? 0);
+    const baseUnits = stockToBaseUnits(inv, product || {});
 
     // Get configured reorder levels
     let minimumStock = inv.reorderLevel ?? 0;
@@ -308,6 +309,8 @@ router.get('/inventory', asyncHandler(async (req, res) => {
       packs: inv.packs ?? 0,
       units: inv.units ?? 0,
       currentStock: totalPacks,
+      baseUnits,
+      stock: expressQuantity(baseUnits, product || {}, unit || 'PACKS'),
       minimumStock,
       maximumStock,
       lastRestocked: lastPurchase?.purchaseDate ?? inv.createdAt,
@@ -369,6 +372,13 @@ router.put('/inventory/:id',
       throw new NotFoundError('Inventory not found');
     }
 
+    const counters = {
+      pallets: updateData.pallets ?? oldInventory.pallets,
+      packs: updateData.packs ?? oldInventory.packs,
+      units: updateData.units ?? oldInventory.units
+    };
+    updateData.baseUnits = stockToBaseUnits(counters, oldInventory.product);
+
     // Update inventory
     const inventory = await prisma.warehouseInventory.update({
       where: { id },
@@ -558,7 +568,7 @@ async function autoFixBatchIntegrity(productId) {
  * Average = (Sum of all batch prices) / (Number of batches)
  */
 async function calculateSimpleAverageCost(tx, productId, unitType) {
-  const allBatches = await tx.warehouseProductPurchase.findMany({
+  let allBatches = await tx.warehouseProductPurchase.findMany({
     where: {
       productId,
       unitType,
@@ -567,6 +577,30 @@ async function calculateSimpleAverageCost(tx, productId, unitType) {
     }
   });
 
+  // Nothing held in this unit yet: price it from larger batches that FEFO will break down
+  if (allBatches.length === 0) {
+    const product = await tx.product.findUnique({
+      where: { id: productId },
+      select: { packsPerPallet: true, unitsPerPack: true }
+    });
+    const convertibleUnits = largerUnitTypes(unitType)
+      .filter(larger => isConversionConfigured(larger, unitType, product));
+
+    const largerBatches = convertibleUnits.length === 0 ? [] : await tx.warehouseProductPurchase.findMany({
+      where: {
+        productId,
+        unitType: { in: convertibleUnits },
+        batchStatus: 'ACTIVE',
+        quantityRemaining: { gt: 0 }
+      }
+    });
+
+    allBatches = largerBatches.map(batch => ({
+      ...batch,
+      costPerUnit: parseFloat(batch.costPerUnit) / convertQuantity(1, batch.unitType, unitType, product)
+    }));
+  }
+
   if (allBatches.length === 0) {
     throw new BusinessError('No active batches available for cost calculation', 'NO_BATCHES');
   }
@@ -590,7 +624,95 @@ async function calculateSimpleAverageCost(tx, productId, unitType) {
   return parseFloat(averageCost.toFixed(2));
 }
 
-async function allocateSaleQuantityFEFO(tx, productId, quantityToSell, unitType) {
+/**
+ * Break whole pallets (or packs) off a batch into a new batch of a smaller unit.
+ * The parent keeps its purchased quantity and records the amount in quantityBrokenDown,
+ * so quantity = quantitySold + quantityRemaining + quantityBrokenDown for both batches.
+ * The child carries no purchase cost of its own (totalCost 0); the purchase
+ * and its payments stay on the parent.
+ */
+async function breakDownBatch(tx, batch, quantityToBreak, targetUnitType, factor, userId) {
+  const { createAuditLog } = require('../utils/auditLogger');
+
+  const parent = await tx.warehouseProductPurchase.update({
+    where: { id: batch.id },
+    data: {
+      quantityRemaining: { decrement: quantityToBreak },
+      quantityBrokenDown: { increment: quantityToBreak }
+    }
+  });
+
+  if (parent.quantityRemaining <= 0) {
+    await tx.warehouseProductPurchase.update({
+      where: { id: parent.id },
+      data: { batchStatus: 'DEPLETED' }
+    });
+  }
+
+  const childQuantity = quantityToBreak * factor;
+  const child = await tx.warehouseProductPurchase.create({
+    data: {
+      productId: parent.productId,
+      vendorId: parent.vendorId,
+      vendorName: parent.vendorName,
+      vendorPhone: parent.vendorPhone,
+      vendorEmail: parent.vendorEmail,
+      batchNumber: parent.batchNumber,
+      orderNumber: parent.orderNumber,
+      expiryDate: parent.expiryDate,
+      quantity: childQuantity,
+      unitType: targetUnitType,
+      quantityRemaining: childQuantity,
+      quantitySold: 0,
+      batchStatus: 'ACTIVE',
+      costPerUnit: parseFloat((parseFloat(parent.costPerUnit) / factor).toFixed(2)),
+      totalCost: 0,
+      paymentMethod: parent.paymentMethod,
+      paymentStatus: 'PAID',
+      amountPaid: 0,
+      amountDue: 0,
+      purchaseDate: parent.purchaseDate,
+      invoiceNumber: parent.invoiceNumber,
+      notes: `Broken down from ${quantityToBreak} ${parent.unitType.toLowerCase()} of batch ${parent.batchNumber || parent.id}`,
+      sourceBatchId: parent.id,
+      createdBy: userId
+    }
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'BREAK_BULK',
+    entity: 'WarehouseBatch',
+    entityId: parent.id,
+    oldValues: {
+      batchNumber: batch.batchNumber,
+      unitType: parent.unitType,
+      quantityRemaining: batch.quantityRemaining
+    },
+    newValues: {
+      batchNumber: parent.batchNumber,
+      unitType: parent.unitType,
+      quantityRemaining: parent.quantityRemaining,
+      childBatchId: child.id,
+      childUnitType: targetUnitType,
+      childQuantity
+    },
+    metadata: {
+      triggeredBy: 'SALE',
+      quantityBrokenDown: quantityToBreak
+    }
+  }, tx);
+
+  return child;
+}
+
+/**
+ * Allocate a sale line to batches, earliest expiry first.
+ * Batches already held in the sold unit are used first; any shortfall is made up
+ * by breaking down the earliest-expiring larger batches (pallets into packs,
+ * packs into units) when the product's conversion factors are configured.
+ */
+async function allocateSaleQuantityFEFO(tx, productId, quantityToSell, unitType, userId) {
   // ============================================================================
   // PESSIMISTIC LOCKING: Lock batches to prevent race conditions
   // This ensures no two concurrent sales can allocate from the same batch
@@ -598,34 +720,79 @@ async function allocateSaleQuantityFEFO(tx, productId, quantityToSell, unitType)
 
   // Use raw SQL with FOR UPDATE to lock the rows during allocation
   // This prevents race conditions where two sales read the same stock level
-  const availableBatches = await tx.$queryRaw`
+  const lockBatches = (lockUnitType) => tx.$queryRaw`
     SELECT
       id,
       batch_number as "batchNumber",
       expiry_date as "expiryDate",
+      purchase_date as "purchaseDate",
       cost_per_unit as "costPerUnit",
       quantity_remaining as "quantityRemaining",
       quantity_sold as "quantitySold",
       batch_status as "batchStatus"
     FROM warehouse_product_purchases
     WHERE product_id = ${productId}
-      AND unit_type = ${unitType}::"UnitType"
+      AND unit_type = ${lockUnitType}::"UnitType"
       AND batch_status = 'ACTIVE'::"BatchStatus"
       AND quantity_remaining > 0
     ORDER BY expiry_date ASC NULLS LAST, purchase_date ASC
     FOR UPDATE
   `;
 
-  if (!availableBatches || availableBatches.length === 0) {
-    throw new BusinessError('No active batches available for this product', 'NO_BATCHES');
-  }
+  const availableBatches = await lockBatches(unitType);
 
   // Calculate total available quantity
-  const totalAvailable = availableBatches.reduce(
+  let totalAvailable = availableBatches.reduce(
     (sum, batch) => sum + batch.quantityRemaining,
     0
   );
 
+  // Break bulk to cover any shortfall
+  if (totalAvailable < quantityToSell) {
+    const product = await tx.product.findUnique({
+      where: { id: productId },
+      select: { packsPerPallet: true, unitsPerPack: true }
+    });
+
+    for (const largerUnit of largerUnitTypes(unitType)) {
+      if (totalAvailable >= quantityToSell) break;
+      if (!isConversionConfigured(largerUnit, unitType, product)) continue;
+
+      const factor = convertQuantity(1, largerUnit, unitType, product);
+      const largerBatches = await lockBatches(largerUnit);
+
+      for (const batch of largerBatches) {
+        const shortfall = quantityToSell - totalAvailable;
+        if (shortfall <= 0) break;
+
+        const quantityToBreak = Math.min(Math.ceil(shortfall / factor), batch.quantityRemaining);
+        const child = await breakDownBatch(tx, batch, quantityToBreak, unitType, factor, userId);
+
+        availableBatches.push({
+          id: child.id,
+          batchNumber: child.batchNumber,
+          expiryDate: child.expiryDate,
+          purchaseDate: child.purchaseDate,
+          costPerUnit: child.costPerUnit,
+          quantityRemaining: child.quantityRemaining,
+          quantitySold: 0,
+          batchStatus: child.batchStatus
+        });
+        totalAvailable += child.quantityRemaining;
+      }
+    }
+
+    availableBatches.sort((a, b) =>
+      (a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity) -
+        (b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity) ||
+      new Date(a.purchaseDate) - new Date(b.purchaseDate)
+    );
+  }
+
+  if (availableBatches.length === 0) {
+    throw new BusinessError('No active batches available for this product', 'NO_BATCHES');
+  }
+
   if (totalAvailable < quantityToSell) {
     throw new BusinessError(
       `Insufficient stock. Available: ${totalAvailable}, Requested: ${quantityToSell}`,
@@ -742,17 +909,65 @@ async function updateBatchesAfterSale(tx, saleId, allocations, userId, ipAddress
 
 
 
+// Recalculate the inventory row for a product from its batches (batches are the source of truth)
+async function syncInventoryFromBatches(tx, productId) {
+  const allBatches = await tx.warehouseProductPurchase.findMany({
+    where: {
+      productId,
+      batchStatus: { in: ['ACTIVE', 'DEPLETED'] }
+    }
+  });
+
+  const conversion = await tx.product.findUnique({
+    where: { id: productId },
+    select: { packsPerPallet: true, unitsPerPack: true }
+  });
+
+  const calculatedInventory = calculateInventoryFromBatches(allBatches, conversion || {});
+
+  await tx.warehouseInventory.updateMany({
+    where: { productId },
+    data: {
+      pallets: calculatedInventory.pallets,
+      packs: calculatedInventory.packs,
+      units: calculatedInventory.units,
+      baseUnits: calculatedInventory.baseUnits,
+      lastUpdated: new Date()
+    }
+  });
+
+  console.log(`✅ Inventory auto-synced: P:${calculatedInventory.pallets} | Pk:${calculatedInventory.packs} | U:${calculatedInventory.units}`);
+  return calculatedInventory;
+}
+
+const getDebtorStatus = (amountPaid, amountDue) => {
+  if (amountDue <= 0) return 'PAID';
+  if (amountPaid > 0) return 'PARTIAL';
+  return 'OUTSTANDING';
+};
+
+
+
 // @route   POST /api/v1/warehouse/sales
-// @desc    Create warehouse sale with automatic discount application
+// @desc    Create a warehouse receipt with one or more line items (FEFO per line)
 // @access  Private (Warehouse Sales Officer, Admin)
+//
+// Body accepts either `items: [{ productId, quantity, unitType, unitPrice }]` for a full
+// basket, or the legacy single-product fields. Legacy callers that pass an existing
+// `receiptNumber` have their line appended to that receipt.
 router.post(
   '/sales',
   authorizeModule('warehouse', 'write'),
   [
-    body('productId').custom(validateCuid('product ID')),
-    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be greater than 0'),
-    body('unitType').isIn(['PALLETS', 'PACKS', 'UNITS']).withMessage('Invalid unit type'),
-    body('unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be 0 or greater'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.productId').custom(validateCuid('product ID')),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be greater than 0'),
+    body('items.*.unitType').isIn(['PALLETS', 'PACKS', 'UNITS']).withMessage('Invalid unit type'),
+    body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be 0 or greater'),
+    body('productId').if(body('items').not().exists()).custom(validateCuid('product ID')),
+    body('quantity').if(body('items').not().exists()).isInt({ min: 1 }).withMessage('Quantity must be greater than 0'),
+    body('unitType').if(body('items').not().exists()).isIn(['PALLETS', 'PACKS', 'UNITS']).withMessage('Invalid unit type'),
+    body('unitPrice').if(body('items').not().exists()).isFloat({ min: 0 }).withMessage('Unit price must be 0 or greater'),
     body('paymentMethod').optional().isIn(['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'MOBILE_MONEY']),
     body('paymentStatus').optional().isIn(['PAID', 'CREDIT', 'PARTIAL']),
     body('creditDueDate').optional().isISO8601(),
@@ -760,8 +975,10 @@ router.post(
     body('warehouseCustomerId').optional().custom(validateCuid('warehouse customer ID')),
     body('customerName').optional().trim(),
     body('customerPhone').optional().trim(),
+    body('receiptNumber').optional().trim().isLength({ min: 1, max: 50 }),
     body('amountPaid').optional().isFloat({ min: 0 }),
     body('initialPaymentMethod').optional().isIn(['CASH', 'BANK_TRANSFER', 'CHECK', 'CARD', 'MOBILE_MONEY']),
+    body('creditOverrideReason').optional().trim().isLength({ max: 500 }),
   ],
   asyncHandler(async (req, res, next) => {
     const errors = validationResult(req);
@@ -770,10 +987,7 @@ router.post(
     }
 
     const {
-      productId,
-      quantity,
-      unitType,
-      unitPrice,
+      items,
       paymentMethod,
       paymentStatus,
       creditDueDate,
@@ -783,9 +997,19 @@ router.post(
       customerPhone,
       receiptNumber: providedReceiptNumber,
       amountPaid: providedAmountPaid,
-      initialPaymentMethod
+      initialPaymentMethod,
+      creditOverrideReason
     } = req.body;
 
+    const requestedLines = Array.isArray(items) && items.length > 0
+      ? items
+      : [{
+          productId: req.body.productId,
+          quantity: req.body.quantity,
+          unitType: req.body.unitType,
+          unitPrice: req.body.unitPrice
+        }];
+
     // ============================================================================
     // 🔥 FIX: Prevent Auto-Multiplication of Partial Amount
     // ============================================================================
@@ -802,6 +1026,10 @@ router.post(
       }
     }
 
+    if (!isCreditSale && !paymentMethod) {
+      throw new ValidationError('Payment method is required for paid sales');
+    }
+
     // ============================================================================
     // CUSTOMER VALIDATION
     // ============================================================================
@@ -811,6 +1039,16 @@ router.post(
       throw new ValidationError('Customer information is required for credit sales.');
     }
 
+    if (warehouseCustomerId) {
+      const customerCheck = await prisma.warehouseCustomer.findUnique({
+        where: { id: warehouseCustomerId },
+        select: { id: true }
+      });
+      if (!customerCheck) {
+        throw new NotFoundError('Customer not found. Please select a valid customer.');
+      }
+    }
+
     // Create or find customer
     if (!customerId && customerName) {
       let existingCustomer = await prisma.warehouseCustomer.findFirst({
@@ -830,49 +1068,84 @@ router.post(
     }
 
     // ============================================================================
-    // PRODUCT VALIDATION AND PRICE RANGE ENFORCEMENT
+    // PRODUCT VALIDATION, PRICE RANGE ENFORCEMENT AND COSTING (per line)
+    // Mixing raw SQL (FOR UPDATE) and ORM queries on the same tx connection can
+    // cause "Response from the Engine was empty" on high-latency DBs (e.g. Railway).
+    // All reads that don't need locks happen before the transaction.
     // ============================================================================
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: {
-        id: true,
-        name: true,
-        costPerPack: true,
-        pricePerPack: true,
-        minSellingPrice: true,
-        maxSellingPrice: true,
-        packsPerPallet: true
-      }
-    });
+    const lines = [];
+    const fixedProducts = new Set();
 
-    if (!product) throw new NotFoundError('Product not found');
+    for (const line of requestedLines) {
+      const quantity = parseInt(line.quantity);
+      const unitType = line.unitType;
 
-    const price = parseFloat(unitPrice);
-    if (product.minSellingPrice !== null) {
-      const minPrice = parseFloat(product.minSellingPrice);
-      if (price < minPrice) {
-        throw new ValidationError(
-          `Unit price (₦${price}) is below minimum selling price (₦${minPrice}) for ${product.name}`
-        );
+      const product = await prisma.product.findUnique({
+        where: { id: line.productId },
+        select: {
+          id: true,
+          name: true,
+          costPerPack: true,
+          pricePerPack: true,
+          minSellingPrice: true,
+          maxSellingPrice: true,
+          packsPerPallet: true
+        }
+      });
+
+      if (!product) throw new NotFoundError('Product not found');
+
+      const price = parseFloat(line.unitPrice);
+      if (product.minSellingPrice !== null) {
+        const minPrice = parseFloat(product.minSellingPrice);
+        if (price < minPrice) {
+          throw new ValidationError(
+            `Unit price (₦${price}) is below minimum selling price (₦${minPrice}) for ${product.name}`
+          );
+        }
       }
-    }
-    if (product.maxSellingPrice !== null) {
-      const maxPrice = parseFloat(product.maxSellingPrice);
-      if (price > maxPrice) {
-        throw new ValidationError(
-          `Unit price (₦${price}) exceeds maximum selling price (₦${maxPrice}) for ${product.name}`
+      if (product.maxSellingPrice !== null) {
+        const maxPrice = parseFloat(product.maxSellingPrice);
+        if (price > maxPrice) {
+          throw new ValidationError(
+            `Unit price (₦${price}) exceeds maximum selling price (₦${maxPrice}) for ${product.name}`
+          );
+        }
+      }
+
+      // AUTO-FIX: Fix any batch integrity issues before recording sale
+      if (!fixedProducts.has(product.id)) {
+        await autoFixBatchIntegrity(product.id);
+        fixedProducts.add(product.id);
+      }
+
+      // Batch costs don't change during a sale, so the average is computed up front
+      const averagePurchaseCost = await calculateSimpleAverageCost(prisma, product.id, unitType);
+      const totalCost = parseFloat((averagePurchaseCost * quantity).toFixed(2));
+
+      if (!isFinite(averagePurchaseCost) || totalCost === 0) {
+        throw new BusinessError(
+          `Unable to calculate cost for ${product.name}. Please check that this product has active purchase batches.`,
+          'COST_CALCULATION_ERROR'
         );
       }
+
+      const totalAmount = parseFloat((price * quantity).toFixed(2));
+
+      lines.push({
+        product,
+        quantity,
+        unitType,
+        unitPrice: price,
+        totalAmount,
+        costPerUnit: averagePurchaseCost,
+        totalCost,
+        grossProfit: parseFloat((totalAmount - totalCost).toFixed(2)),
+        profitMargin: totalAmount > 0 ? ((totalAmount - totalCost) / totalAmount) * 100 : 0
+      });
     }
 
-    // ============================================================================
-    // CALCULATE TOTALS AND PROFITS
-    // ============================================================================
-    const totalAmount = parseFloat((price * quantity).toFixed(2));
-    const costPerUnit = parseFloat(product.costPerPack || 0);
-    const totalCost = parseFloat((costPerUnit * quantity).toFixed(2));
-    const grossProfit = totalAmount - totalCost;
-    const profitMargin = totalAmount > 0 ? (grossProfit / totalAmount) * 100 : 0;
+    const totalAmount = parseFloat(lines.reduce((sum, l) => sum + l.totalAmount, 0).toFixed(2));
 
     if (amountPaid > totalAmount) {
       throw new ValidationError(
@@ -884,123 +1157,155 @@ router.post(
       throw new ValidationError('Payment method is required for partial payment');
     }
 
-    const receiptNumber = providedReceiptNumber || await generateReceiptNumber();
-
     // ============================================================================
-    // AUTO-FIX: Fix any batch integrity issues before recording sale
+    // CREDIT CONTROL: limit, overdue debts, reliability and credit hold
     // ============================================================================
-    await autoFixBatchIntegrity(productId);
-
-    // ============================================================================
-    // PRE-TRANSACTION: Validate customer + compute cost BEFORE acquiring DB locks
-    // Mixing raw SQL (FOR UPDATE) and ORM queries on the same tx connection can
-    // cause "Response from the Engine was empty" on high-latency DBs (e.g. Railway).
-    // Doing these reads outside the transaction avoids that failure.
-    // ============================================================================
-    if (warehouseCustomerId) {
-      const customerCheck = await prisma.warehouseCustomer.findUnique({
-        where: { id: warehouseCustomerId },
-        select: { id: true }
-      });
-      if (!customerCheck) {
-        throw new NotFoundError('Customer not found. Please select a valid customer.');
-      }
+    let creditCheck = null;
+    let creditOverride = null;
+    if (isCreditSale && customerId) {
+      creditCheck = await checkWarehouseCredit(customerId, parseFloat((totalAmount - amountPaid).toFixed(2)));
+      creditOverride = enforceCreditCheck(creditCheck, req.user, creditOverrideReason);
     }
 
-    // Calculate average cost BEFORE the transaction (batch costs don't change during a sale)
-    const averagePurchaseCost = await calculateSimpleAverageCost(prisma, productId, unitType);
-    const totalCostUsingAverage = parseFloat((averagePurchaseCost * quantity).toFixed(2));
-
-    if (!isFinite(averagePurchaseCost) || totalCostUsingAverage === 0) {
-      throw new BusinessError('Unable to calculate cost. Please check that this product has active purchase batches.', 'COST_CALCULATION_ERROR');
-    }
+    const productSummary = lines.length === 1
+      ? lines[0].product.name
+      : `${lines.length} items`;
 
     // ============================================================================
     // CREATE TRANSACTION
     // ============================================================================
-    const createSaleOperation = () =>
+    const createSaleOperation = (receiptNumber) =>
       prisma.$transaction(async (tx) => {
-        // Determine payment status
-        let salePaymentStatus = 'PAID';
-        if (isCreditSale) {
-          if (amountPaid === 0) salePaymentStatus = 'CREDIT';
-          else if (amountPaid < totalAmount) salePaymentStatus = 'PARTIAL';
-          else salePaymentStatus = 'PAID';
-        }
+        const { getRequestMetadata } = require('../utils/auditLogger');
+        const metadata = getRequestMetadata(req);
 
-        const batchAllocations = await allocateSaleQuantityFEFO(
-          tx,
-          productId,
-          quantity,
-          unitType
-        );
+        // Legacy clients post one line at a time under a shared receipt number
+        let receipt = providedReceiptNumber
+          ? await tx.warehouseReceipt.findUnique({
+              where: { receiptNumber },
+              include: { debtor: true }
+            })
+          : null;
+        const isNewReceipt = !receipt;
+
+        // The header's payment status comes from its debtor, so only matching lines may join it
+        if (!isNewReceipt) {
+          const receiptIsCredit = Boolean(receipt.debtor);
+          let mismatch = null;
+          if (receipt.salesOfficer !== req.user.id) {
+            mismatch = 'sales officer';
+          } else if ((receipt.warehouseCustomerId || null) !== (customerId || null)) {
+            mismatch = 'customer';
+          } else if (receiptIsCredit !== isCreditSale || (!isCreditSale && receipt.paymentMethod !== paymentMethod)) {
+            mismatch = 'payment method';
+          }
 
-        // ✅ ADD VALIDATION
-        if (!batchAllocations || batchAllocations.length === 0) {
-          throw new BusinessError(
-            `Insufficient inventory for ${product.name}. Requested: ${quantity} ${unitType}`,
-            'INSUFFICIENT_INVENTORY'
-          );
+          if (mismatch) {
+            throw new BusinessError(
+              `Receipt ${receiptNumber} was issued with a different ${mismatch}. Start a new receipt for this sale.`,
+              'RECEIPT_MISMATCH'
+            );
+          }
         }
 
-        console.log('📦 FEFO Allocations:', batchAllocations.map(b => ({
-          batch: b.batchNumber,
-          qty: b.quantityAllocated,
-          expiry: b.expiryDate
-        })));
+        const salePaymentMethod = isCreditSale
+          ? (amountPaid > 0 ? initialPaymentMethod : null)
+          : paymentMethod;
 
-        // Step 1: Create sale
-        const warehouseSale = await tx.warehouseSale.create({
-          data: {
-            product: {
-              connect: { id: productId }  // ✅ ADD THIS
-            },
-            quantity,
-            unitType,
-            unitPrice: price,
-            totalAmount,
-            costPerUnit: averagePurchaseCost,  // Simple average cost per unit
-            totalCost: totalCostUsingAverage,  // Total cost using average
-            grossProfit: totalAmount - totalCostUsingAverage,  // Revenue - Average Cost
-            profitMargin: totalAmount > 0 ? ((totalAmount - totalCostUsingAverage) / totalAmount) * 100 : 0,
-            paymentMethod: isCreditSale 
-              ? (amountPaid > 0 ? initialPaymentMethod : null)
-              : paymentMethod,            
-            warehouseCustomer: warehouseCustomerId ? {  // ✅ Also connect customer if present
-              connect: { id: warehouseCustomerId }
-            } : undefined,
-            customerName,
-            customerPhone,
-            receiptNumber,
-            salesOfficerUser: {  // ✅ CHANGED FROM salesOfficer
-              connect: { id: req.user.id }
+        if (isNewReceipt) {
+          receipt = await tx.warehouseReceipt.create({
+            data: {
+              receiptNumber,
+              warehouseCustomerId: customerId || null,
+              customerName,
+              customerPhone,
+              paymentMethod: salePaymentMethod,
+              paymentStatus: 'PAID',
+              creditDueDate: isCreditSale && creditDueDate ? new Date(creditDueDate) : null,
+              creditNotes: isCreditSale ? creditNotes : null,
+              salesOfficer: req.user.id
             },
-            paymentStatus: salePaymentStatus,
-            creditDueDate: isCreditSale ? new Date(creditDueDate) : null,
-            creditNotes: isCreditSale ? creditNotes : null
+            include: { debtor: true }
+          });
+        }
+
+        // Step 1: Create one sale row per line, allocating batches FEFO
+        const createdSales = [];
+        const batchSaleRecords = [];
+
+        for (const line of lines) {
+          const batchAllocations = await allocateSaleQuantityFEFO(
+            tx,
+            line.product.id,
+            line.quantity,
+            line.unitType,
+            req.user.id
+          );
+
+          if (!batchAllocations || batchAllocations.length === 0) {
+            throw new BusinessError(
+              `Insufficient inventory for ${line.product.name}. Requested: ${line.quantity} ${line.unitType}`,
+              'INSUFFICIENT_INVENTORY'
+            );
           }
-        });
 
-        // Step 2: Cash Flow
-        if (!isCreditSale) {
-          await tx.cashFlow.create({
+          console.log('📦 FEFO Allocations:', batchAllocations.map(b => ({
+            batch: b.batchNumber,
+            qty: b.quantityAllocated,
+            expiry: b.expiryDate
+          })));
+
+          const warehouseSale = await tx.warehouseSale.create({
             data: {
-              transactionType: 'CASH_IN',
-              amount: totalAmount,
-              paymentMethod,
-              description: `Sale: ${product.name} - ${customerName || 'Walk-in'}`,
-              referenceNumber: receiptNumber,
-              cashier: req.user.id,
-              module: 'WAREHOUSE'
+              receipt: { connect: { id: receipt.id } },
+              product: { connect: { id: line.product.id } },
+              quantity: line.quantity,
+              unitType: line.unitType,
+              unitPrice: line.unitPrice,
+              totalAmount: line.totalAmount,
+              costPerUnit: line.costPerUnit,  // Simple average cost per unit
+              totalCost: line.totalCost,
+              grossProfit: line.grossProfit,
+              profitMargin: line.profitMargin,
+              paymentMethod: salePaymentMethod,
+              warehouseCustomer: customerId ? { connect: { id: customerId } } : undefined,
+              customerName,
+              customerPhone,
+              receiptNumber,
+              salesOfficerUser: { connect: { id: req.user.id } },
+              paymentStatus: 'PAID', // Synced with the header below
+              creditDueDate: isCreditSale && creditDueDate ? new Date(creditDueDate) : null,
+              creditNotes: isCreditSale ? creditNotes : null
             }
           });
-        } else if (isCreditSale && amountPaid > 0) {
+
+          // Batches are the source of truth; inventory is synced from them afterwards
+          const lineBatchSales = await updateBatchesAfterSale(
+            tx,
+            warehouseSale.id,
+            batchAllocations,
+            req.user.id,
+            metadata.ipAddress,
+            metadata.userAgent
+          );
+
+          console.log(`Sale line ${line.product.name} used ${lineBatchSales.length} batch(es)`);
+
+          createdSales.push(warehouseSale);
+          batchSaleRecords.push(...lineBatchSales.map(b => ({ ...b, productName: line.product.name })));
+        }
+
+        // Step 2: One cash flow entry for the money actually received
+        const cashReceived = isCreditSale ? amountPaid : totalAmount;
+        if (cashReceived > 0) {
           await tx.cashFlow.create({
             data: {
               transactionType: 'CASH_IN',
-              amount: amountPaid,
-              paymentMethod: initialPaymentMethod,
-              description: `Partial payment on credit sale: ${product.name} - ${customerName}`,
+              amount: cashReceived,
+              paymentMethod: isCreditSale ? initialPaymentMethod : paymentMethod,
+              description: isCreditSale
+                ? `Partial payment on credit sale: ${productSummary} - ${customerName || 'Customer'}`
+                : `Sale: ${productSummary} - ${customerName || 'Walk-in'}`,
               referenceNumber: receiptNumber,
               cashier: req.user.id,
               module: 'WAREHOUSE'
@@ -1008,24 +1313,40 @@ router.post(
           });
         }
 
-        // Step 3: Debtors update
+        // Step 3: One debtor per receipt for credit sales
+        const amountDue = isCreditSale ? parseFloat((totalAmount - amountPaid).toFixed(2)) : 0;
+        let debtor = receipt.debtor;
+
         if (isCreditSale) {
-          const amountDue = parseFloat((totalAmount - amountPaid).toFixed(2));
-          let debtorStatus = 'OUTSTANDING';
-          if (amountDue === 0) debtorStatus = 'PAID';
-          else if (amountPaid > 0) debtorStatus = 'PARTIAL';
+          if (!customerId) {
+            throw new ValidationError('Customer information is required for credit sales.');
+          }
 
-          const debtor = await tx.debtor.create({
-            data: {
-              warehouseCustomerId: customerId,
-              saleId: warehouseSale.id,
-              totalAmount,
-              amountPaid,
-              amountDue,
-              dueDate: creditDueDate ? new Date(creditDueDate) : null,
-              status: debtorStatus
-            }
-          });
+          if (debtor) {
+            const newPaid = parseFloat(debtor.amountPaid) + amountPaid;
+            const newDue = parseFloat(debtor.amountDue) + amountDue;
+            debtor = await tx.debtor.update({
+              where: { id: debtor.id },
+              data: {
+                totalAmount: { increment: totalAmount },
+                amountPaid: { increment: amountPaid },
+                amountDue: { increment: amountDue },
+                status: getDebtorStatus(newPaid, newDue)
+              }
+            });
+          } else {
+            debtor = await tx.debtor.create({
+              data: {
+                warehouseCustomerId: customerId,
+                receiptId: receipt.id,
+                totalAmount,
+                amountPaid,
+                amountDue,
+                dueDate: creditDueDate ? new Date(creditDueDate) : null,
+                status: getDebtorStatus(amountPaid, amountDue)
+              }
+            });
+          }
 
           if (amountPaid > 0) {
             await tx.debtorPayment.create({
@@ -1043,7 +1364,7 @@ router.post(
           await tx.warehouseCustomer.update({
             where: { id: customerId },
             data: {
-              totalCreditPurchases: { increment: 1 },
+              totalCreditPurchases: isNewReceipt ? { increment: 1 } : undefined,
               totalCreditAmount: { increment: totalAmount },
               outstandingDebt: { increment: amountDue },
               lastPaymentDate: amountPaid > 0 ? new Date() : undefined
@@ -1051,69 +1372,40 @@ router.post(
           });
         }
 
-        // Step 4: Update batches (inventory is calculated from batches, not decremented directly)
-        // ⚠️ IMPORTANT: We removed the direct inventory decrement to fix double-deduction bug
-        // The batch system is the source of truth, inventory is synced from batches
-        const { logInventoryChange, getRequestMetadata } = require('../utils/auditLogger');
-        const metadata = getRequestMetadata(req);
-
-        const batchSaleRecords = await updateBatchesAfterSale(
-          tx,
-          warehouseSale.id,
-          batchAllocations,
-          req.user.id,
-          metadata.ipAddress,
-          metadata.userAgent
-        );
-
-        console.log(`Sale used ${batchSaleRecords.length} batch(es)`)
-
-        // Step 5: Auto-sync inventory from batches (ensures inventory is always accurate)
-        // Calculate current stock from all active batches
-        const allBatches = await tx.warehouseProductPurchase.findMany({
-          where: {
-            productId,
-            batchStatus: { in: ['ACTIVE', 'DEPLETED'] }
-          }
-        });
+        // Step 4: Header totals and payment status, mirrored onto every line
+        await recalculateReceiptTotals(tx, receipt.id);
 
-        // Sum up quantities by unit type
-        const calculatedInventory = {
-          pallets: 0,
-          packs: 0,
-          units: 0
-        };
+        let receiptPaymentStatus = 'PAID';
+        if (debtor) {
+          const outstanding = parseFloat(debtor.amountDue);
+          const paid = parseFloat(debtor.amountPaid);
+          if (outstanding > 0) receiptPaymentStatus = paid > 0 ? 'PARTIAL' : 'CREDIT';
+        }
 
-        allBatches.forEach(batch => {
-          const remaining = batch.quantityRemaining || 0;
-          if (batch.unitType === 'PALLETS') {
-            calculatedInventory.pallets += remaining;
-          } else if (batch.unitType === 'PACKS') {
-            calculatedInventory.packs += remaining;
-          } else if (batch.unitType === 'UNITS') {
-            calculatedInventory.units += remaining;
+        receipt = await tx.warehouseReceipt.update({
+          where: { id: receipt.id },
+          data: {
+            paymentStatus: receiptPaymentStatus,
+            amountPaid: { increment: cashReceived }
           }
         });
 
-        // Update inventory table to match batch calculations
-        await tx.warehouseInventory.updateMany({
-          where: { productId },
-          data: {
-            pallets: calculatedInventory.pallets,
-            packs: calculatedInventory.packs,
-            units: calculatedInventory.units,
-            lastUpdated: new Date()
-          }
+        await tx.warehouseSale.updateMany({
+          where: { receiptId: receipt.id },
+          data: { paymentStatus: receiptPaymentStatus }
         });
 
-        console.log(`✅ Inventory auto-synced: P:${calculatedInventory.pallets} | Pk:${calculatedInventory.packs} | U:${calculatedInventory.units}`);
+        // Step 5: Auto-sync inventory from batches (ensures inventory is always accurate)
+        for (const productId of fixedProducts) {
+          await syncInventoryFromBatches(tx, productId);
+        }
 
         if (customerId) {
           const amountToRecord = isCreditSale ? amountPaid : totalAmount;
           const stats = await tx.warehouseCustomer.update({
             where: { id: customerId },
             data: {
-              totalPurchases: { increment: 1 },
+              totalPurchases: isNewReceipt ? { increment: 1 } : undefined,
               totalSpent: { increment: amountToRecord },
               lastPurchaseDate: new Date()
             },
@@ -1135,56 +1427,33 @@ router.post(
         // FINAL INTEGRITY CHECK: Validate batch data before committing
         // This prevents any discrepancies from being persisted
         // ============================================================================
-        const integrityCheck = await tx.$queryRaw`
-          SELECT
-            COUNT(*) as invalid_batches
-          FROM warehouse_product_purchases
-          WHERE product_id = ${productId}
-            AND (
-              quantity_remaining < 0
-              OR quantity_sold < 0
-              OR quantity_remaining + quantity_sold != quantity
-            )
-        `;
-
-        if (integrityCheck[0]?.invalid_batches > 0) {
-          throw new BusinessError(
-            'Batch integrity check failed. Transaction rolled back.',
-            'BATCH_INTEGRITY_ERROR'
-          );
-        }
-
-        // Verify batch quantitySold matches the warehouseBatchSale records
-        const batchSalesCheck = await tx.$queryRaw`
-          SELECT
-            wpp.id,
-            wpp.quantity_sold as batch_qty_sold,
-            COALESCE(SUM(wbs.quantity_sold), 0) as tracked_sales
-          FROM warehouse_product_purchases wpp
-          LEFT JOIN warehouse_batch_sales wbs ON wbs.batch_id = wpp.id
-          WHERE wpp.product_id = ${productId}
-          GROUP BY wpp.id, wpp.quantity_sold
-          HAVING wpp.quantity_sold != COALESCE(SUM(wbs.quantity_sold), 0)
-        `;
-
-        if (batchSalesCheck.length > 0) {
-          console.error('⚠️ Batch-sales mismatch detected:', batchSalesCheck);
-          throw new BusinessError(
-            'Batch-sales tracking mismatch. Transaction rolled back.',
-            'BATCH_SALES_MISMATCH'
-          );
+        for (const productId of fixedProducts) {
+          await verifyBatchIntegrity(tx, productId);
         }
 
         console.log('✅✅✅ Transaction completed successfully (integrity verified)');
-        return { warehouseSale, batchSaleRecords };
+        return { receipt, sales: createdSales, debtor, batchSaleRecords };
       }, { timeout: 25000, maxWait: 10000 });
 
-    const result = await withReceiptConflictRetry(() => createSaleOperation());
+    const result = await withReceiptConflictRetry(createSaleOperation, providedReceiptNumber);
+
+    if (creditOverride) {
+      const { getRequestMetadata } = require('../utils/auditLogger');
+      await logCreditOverride(creditOverride, {
+        userId: req.user.id,
+        entity: 'WarehouseReceipt',
+        entityId: result.receipt.id,
+        customerId,
+        ...getRequestMetadata(req)
+      });
+    }
 
     // ============================================================================
     // AUTO-SYNC INVENTORY (Ensure inventory matches batch data)
     // ============================================================================
-    await syncProductInventory(productId, null, 'sale_creation');
+    for (const productId of fixedProducts) {
+      await syncProductInventory(productId, null, 'sale_creation');
+    }
 
     // ============================================================================
     // SUCCESS MESSAGE
@@ -1196,9 +1465,9 @@ router.post(
       message =
         amountPaid > 0
           ? `Credit sale created with partial payment. Paid ₦${amountPaid.toLocaleString()}, Remaining ₦${balance.toLocaleString()}`
-          : `Credit sale created successfully. Total ₦${totalAmount.toLocaleString()}, Due ${new Date(
+          : `Credit sale created successfully. Total ₦${totalAmount.toLocaleString()}${creditDueDate ? `, Due ${new Date(
               creditDueDate
-            ).toLocaleDateString()}`;
+            ).toLocaleDateString()}` : ''}`;
     } else {
       message = `Sale recorded successfully. Total ₦${totalAmount.toLocaleString()}`;
     }
@@ -1207,13 +1476,20 @@ router.post(
       success: true,
       message,
       data: {
-        sale: result.warehouseSale,
-        batchesUsed: result.batchSaleRecords?.length || 0,
-        batchDetails: result.batchSaleRecords?.map(b => ({
+        receipt: result.receipt,
+        sales: result.sales,
+        sale: result.sales[0], // Kept for single-item clients
+        debtor: result.debtor || null,
+        creditOverride: creditOverride
+          ? { reason: creditOverride.reason, failedChecks: creditOverride.failedChecks }
+          : null,
+        batchesUsed: result.batchSaleRecords.length,
+        batchDetails: result.batchSaleRecords.map(b => ({
+          productName: b.productName,
           batchNumber: b.batchNumber,
           quantity: b.quantitySold,
           expiryDate: b.expiryDate
-        })) || []
+        }))
       }
     });
   })
@@ -1386,6 +1662,20 @@ router.get('/sales',
             dueDate: true
           }
         },
+        receipt: {
+          select: {
+            paymentStatus: true,
+            debtor: {
+              select: {
+                id: true,
+                amountPaid: true,
+                amountDue: true,
+                status: true,
+                dueDate: true
+              }
+            }
+          }
+        },
       },
       orderBy: { createdAt: 'asc' }
     });
@@ -1455,17 +1745,22 @@ router.get('/sales',
         aggregate.warehouseCustomer = sale.warehouseCustomer;
       }
 
-      // ✅ CRITICAL FIX: Capture debtor info from the first sale that has it
-      if (sale.debtor && !aggregate.debtor) {
+      // Receipt-level debtor first, falling back to legacy per-line debtors
+      const saleDebtor = sale.receipt?.debtor || sale.debtor;
+      if (saleDebtor && !aggregate.debtor) {
         aggregate.debtor = {
-          id: sale.debtor.id,
-          amountPaid: Number(sale.debtor.amountPaid),
-          amountDue: Number(sale.debtor.amountDue),
-          status: sale.debtor.status,
-          dueDate: sale.debtor.dueDate
+          id: saleDebtor.id,
+          amountPaid: Number(saleDebtor.amountPaid),
+          amountDue: Number(saleDebtor.amountDue),
+          status: saleDebtor.status,
+          dueDate: saleDebtor.dueDate
         };
       }
 
+      if (sale.receipt?.paymentStatus) {
+        aggregate.paymentStatus = sale.receipt.paymentStatus;
+      }
+
       aggregate.items.push({
         id: sale.id,
         productId: sale.productId,
@@ -1519,8 +1814,97 @@ router.get('/sales',
   })
 );
 
+// Load a receipt header with its line items, shaped the way receipt views expect it
+const loadReceiptView = async (receiptNumber, user) => {
+  const where = { receiptNumber };
+
+  if (!['MANAGING_DIRECTOR', 'GENERAL_MANAGER', 'ACCOUNTANT'].includes(user.role)) {
+    where.salesOfficer = user.id;
+  }
+
+  const receipt = await prisma.warehouseReceipt.findFirst({
+    where,
+    include: {
+      warehouseCustomer: { select: { id: true, name: true, phone: true, email: true, address: true } },
+      salesOfficerUser: { select: { id: true, username: true, role: true } },
+      debtor: {
+        select: {
+          id: true,
+          amountPaid: true,
+          amountDue: true,
+          status: true,
+          dueDate: true
+        }
+      },
+      items: {
+        include: {
+          product: { select: { name: true, productNo: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!receipt || receipt.items.length === 0) {
+    return null;
+  }
+
+  const items = receipt.items;
+  const discountedItem = items.find(item => item.discountReason);
+
+  return {
+    id: receipt.id,
+    receiptNumber: receipt.receiptNumber,
+    saleIds: items.map(item => item.id),
+    warehouseCustomerId: receipt.warehouseCustomerId,
+    customerName: receipt.customerName || receipt.warehouseCustomer?.name || null,
+    customerPhone: receipt.customerPhone || receipt.warehouseCustomer?.phone || null,
+    paymentMethod: receipt.paymentMethod,
+    paymentStatus: receipt.paymentStatus,
+    amountPaid: Number(receipt.amountPaid),
+    creditDueDate: receipt.creditDueDate,
+    creditNotes: receipt.creditNotes,
+    salesOfficer: receipt.salesOfficer,
+    salesOfficerUser: receipt.salesOfficerUser,
+    warehouseCustomer: receipt.warehouseCustomer,
+    discountApplied: items.some(item => item.discountApplied),
+    discountPercentage: Math.max(0, ...items.map(item => Number(item.discountPercentage || 0))),
+    discountReason: discountedItem ? discountedItem.discountReason : null,
+    totalAmount: Number(receipt.totalAmount),
+    totalDiscountAmount: Number(receipt.totalDiscountAmount),
+    totalCost: Number(receipt.totalCost),
+    grossProfit: Number(receipt.grossProfit),
+    totalQuantity: receipt.totalQuantity,
+    itemsCount: receipt.itemsCount,
+    createdAt: receipt.createdAt,
+    debtor: receipt.debtor ? {
+      id: receipt.debtor.id,
+      amountPaid: Number(receipt.debtor.amountPaid),
+      amountDue: Number(receipt.debtor.amountDue),
+      status: receipt.debtor.status,
+      dueDate: receipt.debtor.dueDate
+    } : null,
+    items: items.map(sale => ({
+      id: sale.id,
+      productId: sale.productId,
+      product: sale.product,
+      quantity: sale.quantity,
+      unitType: sale.unitType,
+      unitPrice: Number(sale.unitPrice),
+      totalAmount: Number(sale.totalAmount),
+      totalDiscountAmount: sale.totalDiscountAmount ? Number(sale.totalDiscountAmount) : 0,
+      discountApplied: sale.discountApplied,
+      discountPercentage: sale.discountPercentage ? Number(sale.discountPercentage) : null,
+      originalUnitPrice: sale.originalUnitPrice ? Number(sale.originalUnitPrice) : null,
+      costPerUnit: Number(sale.costPerUnit || 0),
+      totalCost: Number(sale.totalCost || 0),
+      grossProfit: Number(sale.grossProfit || 0)
+    }))
+  };
+};
+
 // @route   GET /api/v1/warehouse/sales/receipt/:receiptNumber
-// @desc    Get all sale items grouped by receipt number
+// @desc    Get a receipt header with all of its line items
 // @access  Private (Warehouse module access)
 router.get('/sales/receipt/:receiptNumber',
   authorizeModule('warehouse'),
@@ -1532,140 +1916,15 @@ router.get('/sales/receipt/:receiptNumber',
     }
 
     const { receiptNumber } = req.params;
-    const where = { receiptNumber };
+    const receipt = await loadReceiptView(receiptNumber, req.user);
 
-    if (!['MANAGING_DIRECTOR', 'GENERAL_MANAGER', 'ACCOUNTANT'].includes(req.user.role)) {
-      where.salesOfficer = req.user.id;
-    }
-
-    // ✅ UPDATED: Include debtor information
-    const sales = await prisma.warehouseSale.findMany({
-      where,
-      include: {
-        product: { select: { name: true, productNo: true } },
-        warehouseCustomer: { select: { id: true, name: true, phone: true, email: true, address: true } },
-        salesOfficerUser: { select: { id: true, username: true, role: true } },
-        debtor: {
-          select: {
-            id: true,
-            amountPaid: true,
-            amountDue: true,
-            status: true,
-            dueDate: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'asc' }
-    });
-
-    if (sales.length === 0) {
+    if (!receipt) {
       throw new NotFoundError(`No sales found with receipt number: ${receiptNumber}`);
     }
 
-    // ✅ UPDATED: Add payment status and debtor fields
-    const aggregatedSale = {
-      receiptNumber,
-      saleIds: [],
-      warehouseCustomerId: sales[0].warehouseCustomerId,
-      customerName: sales[0].customerName || sales[0].warehouseCustomer?.name || null,
-      customerPhone: sales[0].customerPhone || sales[0].warehouseCustomer?.phone || null,
-      paymentMethod: sales[0].paymentMethod,
-      paymentStatus: sales[0].paymentStatus,           // ✅ NEW
-      creditDueDate: sales[0].creditDueDate,           // ✅ NEW
-      creditNotes: sales[0].creditNotes,               // ✅ NEW
-      salesOfficer: sales[0].salesOfficer,
-      salesOfficerUser: sales[0].salesOfficerUser,
-      warehouseCustomer: sales[0].warehouseCustomer,
-      discountApplied: false,
-      discountPercentage: 0,
-      discountReason: null,
-      totalAmount: 0,
-      totalDiscountAmount: 0,
-      totalCost: 0,
-      grossProfit: 0,
-      createdAt: sales[sales.length - 1].createdAt,
-      items: [],
-      debtor: null                                     // ✅ NEW
-    };
-
-    for (const sale of sales) {
-      aggregatedSale.saleIds.push(sale.id);
-      aggregatedSale.totalAmount += Number(sale.totalAmount);
-      aggregatedSale.totalDiscountAmount += Number(sale.totalDiscountAmount || 0);
-      aggregatedSale.totalCost += Number(sale.totalCost || 0);
-      aggregatedSale.grossProfit += Number(sale.grossProfit || 0);
-      aggregatedSale.discountApplied = aggregatedSale.discountApplied || sale.discountApplied;
-
-      if (sale.discountPercentage && sale.discountPercentage > (aggregatedSale.discountPercentage || 0)) {
-        aggregatedSale.discountPercentage = Number(sale.discountPercentage);
-      }
-
-      if (sale.discountReason && !aggregatedSale.discountReason) {
-        aggregatedSale.discountReason = sale.discountReason;
-      }
-
-      if (!aggregatedSale.customerName) {
-        aggregatedSale.customerName = sale.customerName || sale.warehouseCustomer?.name || null;
-      }
-
-      if (!aggregatedSale.customerPhone) {
-        aggregatedSale.customerPhone = sale.customerPhone || sale.warehouseCustomer?.phone || null;
-      }
-
-      if (!aggregatedSale.warehouseCustomer && sale.warehouseCustomer) {
-        aggregatedSale.warehouseCustomer = sale.warehouseCustomer;
-      }
-
-      // ✅ FIXED: Aggregate debtor info from ALL sales with this receipt
-      if (sale.debtor) {
-        if (!aggregatedSale.debtor) {
-          // Initialize debtor object on first encounter
-          aggregatedSale.debtor = {
-            id: sale.debtor.id,
-            amountPaid: 0,
-            amountDue: 0,
-            status: sale.debtor.status,
-            dueDate: sale.debtor.dueDate
-          };
-        }
-
-        // Accumulate amounts from all sales in this receipt
-        aggregatedSale.debtor.amountPaid += Number(sale.debtor.amountPaid);
-        aggregatedSale.debtor.amountDue += Number(sale.debtor.amountDue);
-
-        // Update status to worst case (OVERDUE > PARTIAL > OUTSTANDING > PAID)
-        const statusPriority = { 'OVERDUE': 4, 'PARTIAL': 3, 'OUTSTANDING': 2, 'PAID': 1 };
-        const currentPriority = statusPriority[aggregatedSale.debtor.status] || 0;
-        const salePriority = statusPriority[sale.debtor.status] || 0;
-        if (salePriority > currentPriority) {
-          aggregatedSale.debtor.status = sale.debtor.status;
-        }
-      }
-
-      aggregatedSale.items.push({
-        id: sale.id,
-        productId: sale.productId,
-        product: sale.product,
-        quantity: sale.quantity,
-        unitType: sale.unitType,
-        unitPrice: Number(sale.unitPrice),
-        totalAmount: Number(sale.totalAmount),
-        totalDiscountAmount: sale.totalDiscountAmount ? Number(sale.totalDiscountAmount) : 0,
-        discountApplied: sale.discountApplied,
-        discountPercentage: sale.discountPercentage ? Number(sale.discountPercentage) : null,
-        originalUnitPrice: sale.originalUnitPrice ? Number(sale.originalUnitPrice) : null,
-        costPerUnit: Number(sale.costPerUnit || 0),
-        totalCost: Number(sale.totalCost || 0),
-        grossProfit: Number(sale.grossProfit || 0)
-      });
-    }
-
-    aggregatedSale.totalQuantity = aggregatedSale.items.reduce((sum, item) => sum + Number(item.quantity || 0), 0);
-    aggregatedSale.itemsCount = aggregatedSale.items.length;
-
     res.json({
       success: true,
-      data: aggregatedSale
+      data: receipt
     });
   })
 );
@@ -1738,7 +1997,8 @@ router.put('/sales/:id',
       include: {
         product: true,
         warehouseBatchSales: true,
-        debtor: true
+        debtor: true,
+        receipt: { include: { debtor: true } }
       }
     });
 
@@ -1747,7 +2007,8 @@ router.put('/sales/:id',
     }
 
     // Don't allow editing sales with outstanding debt
-    if (existingSale.debtor && existingSale.debtor.amountDue > 0) {
+    const existingDebtor = existingSale.receipt?.debtor || existingSale.debtor;
+    if (existingDebtor && existingDebtor.amountDue > 0) {
       throw new BusinessError(
         'Cannot edit sale with outstanding debt. Clear debt first.',
         'OUTSTANDING_DEBT'
@@ -1774,15 +2035,23 @@ router.put('/sales/:id',
       updateData.grossProfit = updateData.totalAmount - updateData.totalCost;
     }
 
-    const updatedSale = await prisma.warehouseSale.update({
-      where: { id },
-      data: updateData,
-      include: {
-        product: true,
-        salesOfficerUser: {
-          select: { username: true }
+    const updatedSale = await prisma.$transaction(async (tx) => {
+      const sale = await tx.warehouseSale.update({
+        where: { id },
+        data: updateData,
+        include: {
+          product: true,
+          salesOfficerUser: {
+            select: { username: true }
+          }
         }
+      });
+
+      if (existingSale.receiptId) {
+        await recalculateReceiptTotals(tx, existingSale.receiptId);
       }
+
+      return sale;
     });
 
     res.json({
@@ -1817,7 +2086,13 @@ router.delete('/sales/:id',
             batch: true
           }
         },
-        debtor: true
+        debtor: true,
+        receipt: {
+          include: {
+            debtor: true,
+            _count: { select: { items: true } }
+          }
+        }
       }
     });
 
@@ -1825,14 +2100,25 @@ router.delete('/sales/:id',
       throw new NotFoundError('Sale not found');
     }
 
-    // Check if sale has outstanding debt
-    if (sale.debtor && sale.debtor.amountDue > 0) {
+    // Check if sale (or the receipt it belongs to) has outstanding debt
+    const saleDebtor = sale.receipt?.debtor || sale.debtor;
+    const isLastLineOnReceipt = !sale.receipt || sale.receipt._count.items <= 1;
+    // A line can come off an unpaid receipt (it reduces the debt), the whole receipt cannot
+    if (saleDebtor && saleDebtor.amountDue > 0 && isLastLineOnReceipt) {
       throw new BusinessError(
         'Cannot delete sale with outstanding debt. Clear debt first.',
         'OUTSTANDING_DEBT'
       );
     }
 
+    const returnCount = await prisma.warehouseSaleReturnItem.count({ where: { saleId: id } });
+    if (returnCount > 0) {
+      throw new BusinessError(
+        'Cannot delete a sale that has returns recorded against it.',
+        'SALE_HAS_RETURNS'
+      );
+    }
+
     await prisma.$transaction(async (tx) => {
       // Get product info and inventory for logging
       const product = await tx.product.findUnique({
@@ -1916,7 +2202,7 @@ router.delete('/sales/:id',
           customerPhone: sale.customerPhone
         },
         newSale: null,
-        reason: `Sale deleted${sale.debtor ? ' (debt cleared)' : ''}`,
+        reason: `Sale deleted${saleDebtor ? ' (debt cleared)' : ''}`,
         ipAddress,
         userAgent
       }, tx);
@@ -1926,51 +2212,105 @@ router.delete('/sales/:id',
         where: { saleId: id }
       });
 
-      // 5. Delete debtor record if exists
-      if (sale.debtor) {
+      // 5. Delete debtor record if exists (receipt debtors only go with the last line)
+      const debtorToDelete = sale.debtor || (isLastLineOnReceipt ? sale.receipt?.debtor : null);
+      if (debtorToDelete) {
         // Delete payments first
         await tx.debtorPayment.deleteMany({
-          where: { debtorId: sale.debtor.id }
+          where: { debtorId: debtorToDelete.id }
         });
 
         await tx.debtor.delete({
-          where: { id: sale.debtor.id }
+          where: { id: debtorToDelete.id }
         });
       }
 
-      // 6. Reverse cash flow entry if exists
-      await tx.cashFlow.deleteMany({
-        where: {
-          module: 'WAREHOUSE',
-          referenceNumber: sale.receiptNumber
-        }
-      });
+      // 6. Reverse cash flow: drop the receipt's entries when the whole receipt goes,
+      // otherwise the line first clears any unpaid balance and only cash paid
+      // beyond the receipt's new total is refunded
+      const lineAmount = parseFloat(sale.totalAmount);
+      let lineRefund = 0;
+      if (isLastLineOnReceipt) {
+        const cashFlowWhere = { module: 'WAREHOUSE', referenceNumber: sale.receiptNumber };
+        await assertCashFlowEditable(tx, cashFlowWhere);
+        await tx.cashFlow.deleteMany({ where: cashFlowWhere });
+      } else {
+        const receiptNow = await tx.warehouseReceipt.findUnique({ where: { id: sale.receipt.id } });
+        const remainingTotal = parseFloat(receiptNow.totalAmount) - lineAmount;
+        lineRefund = parseFloat(Math.max(0, Math.min(lineAmount, parseFloat(receiptNow.amountPaid) - remainingTotal)).toFixed(2));
+      }
 
-      // 7. Delete the sale
+      if (lineRefund > 0) {
+        await tx.cashFlow.create({
+          data: {
+            transactionType: 'CASH_OUT',
+            amount: lineRefund,
+            paymentMethod: sale.paymentMethod || sale.receipt.paymentMethod || 'CASH',
+            description: `Sale line removed: ${product?.name || 'Unknown'} - ${sale.customerName || 'Walk-in'}`,
+            referenceNumber: sale.receiptNumber,
+            cashier: req.user.id,
+            module: 'WAREHOUSE'
+          }
+        });
+      }
+
+      // 7. Delete the sale, then its header or the header totals
       await tx.warehouseSale.delete({
         where: { id }
       });
 
+      if (sale.receipt) {
+        if (isLastLineOnReceipt) {
+          await tx.warehouseReceipt.delete({ where: { id: sale.receipt.id } });
+        } else {
+          await recalculateReceiptTotals(tx, sale.receipt.id);
+          await tx.warehouseReceipt.update({
+            where: { id: sale.receipt.id },
+            data: { amountPaid: { decrement: lineRefund } }
+          });
+
+          // The receipt debtor shrinks by the line: the refunded part comes off what was paid,
+          // the rest off what is still owed
+          if (sale.receipt.debtor) {
+            const debtor = await tx.debtor.findUnique({ where: { id: sale.receipt.debtor.id } });
+            const totalAmount = parseFloat((parseFloat(debtor.totalAmount) - lineAmount).toFixed(2));
+            const amountPaid = parseFloat((parseFloat(debtor.amountPaid) - lineRefund).toFixed(2));
+            const amountDue = parseFloat(Math.max(0, totalAmount - amountPaid).toFixed(2));
+
+            let status = debtor.status;
+            if (amountDue <= 0) status = 'PAID';
+            else if (amountPaid > 0 && status !== 'OVERDUE') status = 'PARTIAL';
+
+            await tx.debtor.update({
+              where: { id: debtor.id },
+              data: { totalAmount, amountPaid, amountDue, status }
+            });
+
+            await tx.warehouseCustomer.update({
+              where: { id: debtor.warehouseCustomerId },
+              data: {
+                outstandingDebt: { decrement: parseFloat(debtor.amountDue) - amountDue },
+                totalCreditAmount: { decrement: lineAmount }
+              }
+            });
+
+            const paymentStatus = amountDue <= 0 ? 'PAID' : (amountPaid > 0 ? 'PARTIAL' : 'CREDIT');
+            await tx.warehouseReceipt.update({
+              where: { id: sale.receipt.id },
+              data: { paymentStatus }
+            });
+            await tx.warehouseSale.updateMany({
+              where: { receiptId: sale.receipt.id },
+              data: { paymentStatus }
+            });
+          }
+        }
+      }
+
       // ============================================================================
       // INTEGRITY CHECK: Verify batch data is valid after reversal
       // ============================================================================
-      const integrityCheck = await tx.$queryRaw`
-        SELECT COUNT(*) as invalid_batches
-        FROM warehouse_product_purchases
-        WHERE product_id = ${sale.productId}
-          AND (
-            quantity_remaining < 0
-            OR quantity_sold < 0
-            OR quantity_remaining + quantity_sold != quantity
-          )
-      `;
-
-      if (integrityCheck[0]?.invalid_batches > 0) {
-        throw new BusinessError(
-          'Batch integrity check failed after deletion. Transaction rolled back.',
-          'BATCH_INTEGRITY_ERROR'
-        );
-      }
+      await verifyBatchIntegrity(tx, sale.productId);
     });
 
     // ============================================================================
@@ -2487,8 +2827,14 @@ router.get('/analytics/profit-summary',
       if (endDate) where.createdAt.lte = new Date(endDate);
     }
 
-    // Fetch sales data and expenses in parallel
-    const [profitByProduct, expenses, expensesByType] = await Promise.all([
+    // Returns count in the period they were approved
+    const returnWhere = { saleReturn: { status: 'APPROVED' } };
+    if (where.createdAt) {
+      returnWhere.saleReturn.approvedAt = where.createdAt;
+    }
+
+    // Fetch sales data, returns and expenses in parallel
+    const [profitByProduct, returnsByProduct, expenses, expensesByType] = await Promise.all([
       prisma.warehouseSale.groupBy({
         by: ['productId'],
         where,
@@ -2509,6 +2855,16 @@ router.get('/analytics/profit-summary',
         }
       }),
 
+      prisma.warehouseSaleReturnItem.groupBy({
+        by: ['productId', 'restocked'],
+        where: returnWhere,
+        _sum: {
+          refundAmount: true,
+          costAmount: true,
+          quantity: true
+        }
+      }),
+
       // Get total expenses
       prisma.warehouseExpense.aggregate({
         where: {
@@ -2533,6 +2889,35 @@ router.get('/analytics/profit-summary',
       })
     ]);
 
+    // Returns per product: refunds reduce revenue, returned cost comes out of COGS,
+    // and stock that couldn't be restocked is a write-off loss
+    const returnsMap = new Map();
+    for (const row of returnsByProduct) {
+      const entry = returnsMap.get(row.productId) || { refunds: 0, cost: 0, writeOffs: 0, quantity: 0 };
+      entry.refunds += parseFloat(row._sum.refundAmount || 0);
+      entry.cost += parseFloat(row._sum.costAmount || 0);
+      entry.quantity += row._sum.quantity || 0;
+      if (!row.restocked) {
+        entry.writeOffs += parseFloat(row._sum.costAmount || 0);
+      }
+      returnsMap.set(row.productId, entry);
+    }
+
+    // Products with returns but no sales in the period still need a row
+    for (const productId of returnsMap.keys()) {
+      if (!profitByProduct.some(p => p.productId === productId)) {
+        profitByProduct.push({ productId, _sum: {}, _avg: {}, _count: 0 });
+      }
+    }
+
+    const emptyReturns = { refunds: 0, cost: 0, writeOffs: 0, quantity: 0 };
+    const netOfReturns = (item) => {
+      const returns = returnsMap.get(item.productId) || emptyReturns;
+      const revenue = parseFloat(item._sum.totalAmount || 0) - returns.refunds;
+      const cost = parseFloat(item._sum.totalCost || 0) - returns.cost;
+      return { revenue, cost, grossProfit: revenue - cost, returns };
+    };
+
     // Get product details
     const productIds = profitByProduct.map(p => p.productId);
     const products = await prisma.product.findMany({
@@ -2541,11 +2926,13 @@ router.get('/analytics/profit-summary',
     });
 
     // Calculate totals
-    const totalRevenue = profitByProduct.reduce((sum, item) => sum + parseFloat(item._sum.totalAmount || 0), 0);
-    const totalCost = profitByProduct.reduce((sum, item) => sum + parseFloat(item._sum.totalCost || 0), 0);
-    const totalGrossProfit = profitByProduct.reduce((sum, item) => sum + parseFloat(item._sum.grossProfit || 0), 0);
+    const totalRevenue = profitByProduct.reduce((sum, item) => sum + netOfReturns(item).revenue, 0);
+    const totalCost = profitByProduct.reduce((sum, item) => sum + netOfReturns(item).cost, 0);
+    const totalGrossProfit = profitByProduct.reduce((sum, item) => sum + netOfReturns(item).grossProfit, 0);
+    const totalRefunds = [...returnsMap.values()].reduce((sum, r) => sum + r.refunds, 0);
+    const totalWriteOffs = [...returnsMap.values()].reduce((sum, r) => sum + r.writeOffs, 0);
     const totalExpenses = parseFloat(expenses._sum.amount || 0);
-    const totalNetProfit = totalGrossProfit - totalExpenses;
+    const totalNetProfit = totalGrossProfit - totalExpenses - totalWriteOffs;
 
     // Build expense breakdown
     const expenseBreakdown = expensesByType.reduce((acc, item) => {
@@ -2556,23 +2943,24 @@ router.get('/analytics/profit-summary',
 
     // Allocate expenses proportionally to each product
     const profitAnalysis = profitByProduct.map(item => {
-      const revenue = parseFloat(item._sum.totalAmount || 0);
-      const cost = parseFloat(item._sum.totalCost || 0);
-      const grossProfit = parseFloat(item._sum.grossProfit || 0);
+      const { revenue, cost, grossProfit, returns } = netOfReturns(item);
 
       // Proportional expense allocation
       const allocatedExpenses = totalRevenue > 0
         ? (revenue / totalRevenue) * totalExpenses
         : 0;
 
-      const netProfit = grossProfit - allocatedExpenses;
+      const netProfit = grossProfit - allocatedExpenses - returns.writeOffs;
       const grossMargin = revenue > 0 ? (grossProfit / revenue) * 100 : 0;
       const netMargin = revenue > 0 ? (netProfit / revenue) * 100 : 0;
 
       return {
         product: products.find(p => p.id === item.productId),
         salesCount: item._count,
-        totalQuantity: item._sum.quantity,
+        totalQuantity: item._sum.quantity || 0,
+        returnedQuantity: returns.quantity,
+        refunds: parseFloat(returns.refunds.toFixed(2)),
+        writeOffs: parseFloat(returns.writeOffs.toFixed(2)),
         revenue: parseFloat(revenue.toFixed(2)),
         cogs: parseFloat(cost.toFixed(2)),
         grossProfit: parseFloat(grossProfit.toFixed(2)),
@@ -2593,6 +2981,8 @@ router.get('/analytics/profit-summary',
           totalRevenue: parseFloat(totalRevenue.toFixed(2)),
           totalCOGS: parseFloat(totalCost.toFixed(2)),
           totalExpenses: parseFloat(totalExpenses.toFixed(2)),
+          totalRefunds: parseFloat(totalRefunds.toFixed(2)),
+          totalWriteOffs: parseFloat(totalWriteOffs.toFixed(2)),
           grossProfit: parseFloat(totalGrossProfit.toFixed(2)),
           netProfit: parseFloat(totalNetProfit.toFixed(2)),
           grossMargin: totalRevenue > 0
@@ -2980,9 +3370,10 @@ router.get('/sales/export/pdf',
 );
 
 // @route   GET /api/v1/warehouse/sales/:id/export/pdf
-// @desc    Export individual sale detail to PDF
+// @desc    Export a receipt (header + line items) to PDF. :id is the receipt number.
 // @access  Private (Warehouse module access)
 router.get('/sales/:id/export/pdf',
+  authorizeModule('warehouse'),
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -2990,42 +3381,21 @@ router.get('/sales/:id/export/pdf',
     }
 
     const { id: receiptNumber } = req.params;
-    const where = { receiptNumber };
-
-    // Role-based access
-    if (!['MANAGING_DIRECTOR', 'GENERAL_MANAGER', 'ACCOUNTANT'].includes(req.user.role)) {
-      where.salesOfficer = req.user.id;
-    }
+    const receipt = await loadReceiptView(receiptNumber, req.user);
 
-const sale = await prisma.warehouseSale.findFirst({
-  where,
-  include: {
-    product: true,
-    warehouseCustomer: {
-      select: {
-        id: true,
-        name: true,
-        phone: true,
-        address: true,
-        customerType: true,
-        businessName: true
-      }
-    },
-    salesOfficerUser: { select: { username: true, role: true } }
-  }
-});
-
-
-    if (!sale) {
+    if (!receipt) {
       throw new NotFoundError('Sale not found');
     }
 
+    const formatNaira = (value) =>
+      `NGN ${parseFloat(value || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
     const doc = new PDFDocument({ 
       margin: 50, 
       size: 'A4'
     });
     
-    const filename = `warehouse-sale-${sale.id.slice(-8)}-${new Date().toISOString().split('T')[0]}.pdf`;
+    const filename = `warehouse-receipt-${receipt.receiptNumber}-${new Date().toISOString().split('T')[0]}.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
     
@@ -3045,18 +3415,17 @@ const sale = await prisma.warehouseSale.findFirst({
        .fillColor('#e0e7ff')
        .text('Warehouse Sale Receipt', 50, 65);
     
-    // Sale ID and date on right
     doc.fontSize(10)
        .fillColor('#ffffff')
-       .text(`Sale ID: WS-${sale.id.slice(-8)}`, 400, 40, { align: 'right' });
+       .text(`Receipt: ${receipt.receiptNumber}`, 350, 40, { width: 195, align: 'right' });
     
     doc.fontSize(9)
        .fillColor('#e0e7ff')
-       .text(`Date: ${new Date(sale.createdAt).toLocaleDateString('en-NG', { 
+       .text(`Date: ${new Date(receipt.createdAt).toLocaleDateString('en-NG', { 
          year: 'numeric', 
          month: 'long', 
          day: 'numeric' 
-       })}`, 400, 60, { align: 'right' });
+       })}`, 350, 60, { width: 195, align: 'right' });
 
     let yPos = 150;
 
@@ -3073,9 +3442,9 @@ const sale = await prisma.warehouseSale.findFirst({
        .fillColor('#000');
 
     const customerInfo = [
-      ['Customer Name:', sale.customer?.name || 'Walk-in Customer'],
-      ['Phone:', sale.customer?.phone || 'N/A'],
-      ['Email:', sale.customer?.email || 'N/A']
+      ['Customer Name:', receipt.customerName || 'Walk-in Customer'],
+      ['Phone:', receipt.customerPhone || 'N/A'],
+      ['Email:', receipt.warehouseCustomer?.email || 'N/A']
     ];
 
     customerInfo.forEach(([label, value]) => {
@@ -3086,59 +3455,74 @@ const sale = await prisma.warehouseSale.findFirst({
 
     yPos += 20;
 
-    // ===== PRODUCT INFORMATION =====
+    // ===== LINE ITEMS =====
     doc.fontSize(14)
        .font('Helvetica-Bold')
        .fillColor('#1e40af')
-       .text('PRODUCT DETAILS', 50, yPos);
-    
-    yPos += 25;
+       .text('ITEMS', 50, yPos);
 
-    doc.fontSize(10)
-       .font('Helvetica')
-       .fillColor('#000');
+    yPos += 25;
 
-    const productInfo = [
-      ['Product Name:', sale.product?.name || 'N/A'],
-      ['Product Number:', sale.product?.productNo || 'N/A'],
-      ['Quantity:', `${sale.quantity} packs`],
-      ['Unit Price:', `NGN ${parseFloat(sale.unitPrice).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`]
+    const columns = [
+      { header: '#', x: 50, width: 20 },
+      { header: 'Product', x: 75, width: 185 },
+      { header: 'Qty', x: 265, width: 70 },
+      { header: 'Unit Price', x: 340, width: 95 },
+      { header: 'Amount', x: 440, width: 105 }
     ];
 
-    productInfo.forEach(([label, value]) => {
-      doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 150, continued: true });
-      doc.font('Helvetica').text(String(value), { width: 350 });
-      yPos += 20;
+    doc.rect(50, yPos - 5, 495, 20).fill('#f3f4f6');
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('#000');
+    columns.forEach(col => doc.text(col.header, col.x, yPos, { width: col.width }));
+    yPos += 20;
+
+    doc.font('Helvetica');
+    receipt.items.forEach((item, index) => {
+      if (yPos > 700) {
+        doc.addPage();
+        yPos = 50;
+      }
+
+      const row = [
+        String(index + 1),
+        item.product?.name || 'N/A',
+        `${item.quantity} ${item.unitType.toLowerCase()}`,
+        formatNaira(item.unitPrice),
+        formatNaira(item.totalAmount)
+      ];
+      columns.forEach((col, i) => doc.text(row[i], col.x, yPos, { width: col.width }));
+      yPos += 18;
     });
 
-    yPos += 20;
+    doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor('#d1d5db').stroke();
+    yPos += 15;
 
     // ===== PRICING BREAKDOWN =====
-    doc.fontSize(14)
-       .font('Helvetica-Bold')
-       .fillColor('#1e40af')
-       .text('PRICING BREAKDOWN', 50, yPos);
-    
-    yPos += 25;
+    if (yPos > 620) {
+      doc.addPage();
+      yPos = 50;
+    }
 
-    doc.fontSize(10)
-       .font('Helvetica')
-       .fillColor('#000');
+    const pricingInfo = [];
 
-    const subtotal = sale.originalUnitPrice 
-      ? parseFloat(sale.originalUnitPrice) * sale.quantity 
-      : parseFloat(sale.unitPrice) * sale.quantity;
+    if (receipt.discountApplied) {
+      pricingInfo.push(['Subtotal (Before Discount):', formatNaira(receipt.totalAmount + receipt.totalDiscountAmount)]);
+      pricingInfo.push(['Discount Amount:', formatNaira(receipt.totalDiscountAmount)]);
+    }
 
-    const pricingInfo = [];
-    
-    if (sale.discountApplied) {
-      pricingInfo.push(['Subtotal (Before Discount):', `NGN ${subtotal.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`]);
-      pricingInfo.push(['Discount Applied:', `${parseFloat(sale.discountPercentage || 0).toFixed(2)}%`]);
-      pricingInfo.push(['Discount Amount:', `NGN ${parseFloat(sale.totalDiscountAmount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`]);
+    pricingInfo.push(['Total Amount:', formatNaira(receipt.totalAmount)]);
+    pricingInfo.push(['Payment Method:', receipt.paymentMethod ? receipt.paymentMethod.replace(/_/g, ' ') : 'N/A']);
+    pricingInfo.push(['Payment Status:', receipt.paymentStatus]);
+
+    if (receipt.debtor) {
+      pricingInfo.push(['Amount Paid:', formatNaira(receipt.debtor.amountPaid)]);
+      pricingInfo.push(['Balance Due:', formatNaira(receipt.debtor.amountDue)]);
+      if (receipt.debtor.dueDate) {
+        pricingInfo.push(['Due Date:', new Date(receipt.debtor.dueDate).toLocaleDateString('en-NG')]);
+      }
     }
-    
-    pricingInfo.push(['Total Amount:', `NGN ${parseFloat(sale.totalAmount).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`]);
 
+    doc.fontSize(10).fillColor('#000');
     pricingInfo.forEach(([label, value]) => {
       doc.font('Helvetica-Bold').text(label, 50, yPos, { width: 200, continued: true });
       doc.font('Helvetica').text(value, { width: 300 });
@@ -3149,6 +3533,11 @@ const sale = await prisma.warehouseSale.findFirst({
 
     // ===== COST & PROFIT ANALYSIS =====
     if (['MANAGING_DIRECTOR', 'GENERAL_MANAGER', 'ACCOUNTANT'].includes(req.user.role)) {
+      if (yPos > 650) {
+        doc.addPage();
+        yPos = 50;
+      }
+
       doc.fontSize(14)
          .font('Helvetica-Bold')
          .fillColor('#1e40af')
@@ -3161,10 +3550,9 @@ const sale = await prisma.warehouseSale.findFirst({
          .fillColor('#000');
 
       const profitInfo = [
-        ['Cost Per Unit:', `NGN ${parseFloat(sale.costPerUnit || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`],
-        ['Total Cost:', `NGN ${parseFloat(sale.totalCost || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`],
-        ['Gross Profit:', `NGN ${parseFloat(sale.grossProfit || 0).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`],
-        ['Profit Margin:', `${parseFloat(sale.totalAmount) > 0 ? ((parseFloat(sale.grossProfit || 0) / parseFloat(sale.totalAmount)) * 100).toFixed(2) : 0}%`]
+        ['Total Cost:', formatNaira(receipt.totalCost)],
+        ['Gross Profit:', formatNaira(receipt.grossProfit)],
+        ['Profit Margin:', `${receipt.totalAmount > 0 ? ((receipt.grossProfit / receipt.totalAmount) * 100).toFixed(2) : 0}%`]
       ];
 
       profitInfo.forEach(([label, value]) => {
@@ -3194,9 +3582,8 @@ const sale = await prisma.warehouseSale.findFirst({
        .fillColor('#000');
 
     const additionalInfo = [
-      ['Sales Officer:', sale.salesOfficerUser?.username || 'N/A'],
-      ['Created At:', new Date(sale.createdAt).toLocaleString('en-NG')],
-      ['Last Updated:', new Date(sale.updatedAt).toLocaleString('en-NG')]
+      ['Sales Officer:', receipt.salesOfficerUser?.username || 'N/A'],
+      ['Created At:', new Date(receipt.createdAt).toLocaleString('en-NG')]
     ];
 
     additionalInfo.forEach(([label, value]) => {
@@ -15,6 +15,9 @@ const { auditLogger } = require('./middleware/auditLogger');
 const { manageBatchStatus } = require('./jobs/batch-status-manager');
 const { startInventorySyncCron } = require('./cron/inventorySyncCron');
 const { reconcileCustomerBalances } = require('./cron/customerBalanceReconciliation');
+const { checkMaintenanceAlerts } = require('./cron/maintenanceAlerts');
+const { manageDebtorStatus } = require('./jobs/debtor-status-manager');
+const { runAnalyticsRollup } = require('./jobs/analytics-rollup');
 
 
 // Import routes
@@ -31,11 +34,20 @@ const supplierCompanyRoutes = require('./routes/supplierCompany');
 const supplierProductRoutes = require('./routes/supplier-products');
 const supplierTargetRoutes = require('./routes/supplier-targets');
 const supplierIncentiveRoutes = require('./routes/supplier-incentives');
+const supplierClaimRoutes = require('./routes/supplier-claims');
 
 // SUPPORTING ROUTES
 const targetRoutes = require('./routes/targets'); // Distribution targets only
 const truckRoutes = require('./routes/trucks'); // Transport trucks only
 const adminRoutes = require('./routes/admin');
+const cashReconciliationRoutes = require('./routes/cash-reconciliation'); // Till close-out (warehouse + transport)
+const bankReconciliationRoutes = require('./routes/bank-reconciliation'); // Bank statement matching
+const attachmentRoutes = require('./routes/attachments'); // Receipts, invoices, delivery proofs
+const pricingRoutes = require('./routes/pricing'); // Effective-dated pallet prices, haulage and salary rates
+const fuelRoutes = require('./routes/fuel'); // Diesel price index, fuel surcharge, fuel margin report
+const fleetMaintenanceRoutes = require('./routes/fleet-maintenance'); // Truck service schedules, work orders, downtime
+const crewRoutes = require('./routes/crew'); // Drivers, motor boys, trip crew and payroll
+const transportBillingRoutes = require('./routes/transport-billing'); // Transport clients, invoices and receivables
 
 // SEPARATE ANALYTICS ROUTES
 const distributionAnalyticsRoutes = require('./routes/analytics/distribution');
@@ -400,6 +412,10 @@ app.use(`/api/${apiVersion}/users`, authenticateToken, userRoutes);
 // STANDALONE MODULE ROUTES (completely separate)
 app.use(`/api/${apiVersion}/distribution/truck-loads`, authenticateToken, truckLoadRoutes);
 app.use(`/api/${apiVersion}/distribution`, authenticateToken, distributionRoutes);
+app.use(`/api/${apiVersion}/transport/fuel`, authenticateToken, fuelRoutes);
+app.use(`/api/${apiVersion}/transport/maintenance`, authenticateToken, fleetMaintenanceRoutes);
+app.use(`/api/${apiVersion}/transport/crew`, authenticateToken, crewRoutes);
+app.use(`/api/${apiVersion}/transport/billing`, authenticateToken, transportBillingRoutes);
 app.use(`/api/${apiVersion}/transport`, authenticateToken, transportRoutes);
 app.use(`/api/${apiVersion}/warehouse`, authenticateToken, warehouseRoutes);
 app.use(`/api/${apiVersion}/warehouse/daily-opening-stock`, authenticateToken, warehouseDailyOpeningStockRoutes);
@@ -413,6 +429,11 @@ app.use(`/api/${apiVersion}/supplier-companies`, authenticateToken, supplierComp
 app.use(`/api/${apiVersion}/supplier-products`, authenticateToken, supplierProductRoutes); // Supplier product catalog
 app.use(`/api/${apiVersion}/supplier-targets`, authenticateToken, supplierTargetRoutes); // Supplier targets
 app.use(`/api/${apiVersion}/supplier-incentives`, authenticateToken, supplierIncentiveRoutes); // Supplier incentives/profitability
+app.use(`/api/${apiVersion}/supplier-claims`, authenticateToken, supplierClaimRoutes); // Short-load/damage/overpayment claims and supplier credit
+app.use(`/api/${apiVersion}/cash-reconciliations`, authenticateToken, cashReconciliationRoutes); // Till close-out (warehouse + transport)
+app.use(`/api/${apiVersion}/bank-reconciliation`, authenticateToken, bankReconciliationRoutes); // Bank statement matching
+app.use(`/api/${apiVersion}/attachments`, attachmentRoutes); // File uploads; authenticates per route so signed download links work
+app.use(`/api/${apiVersion}/pricing`, authenticateToken, pricingRoutes); // Effective-dated pallet prices, haulage and salary rates
 
 // SEPARATE ANALYTICS ENDPOINTS
 app.use(`/api/${apiVersion}/analytics/distribution`, authenticateToken, distributionAnalyticsRoutes);
@@ -606,6 +627,26 @@ async function startServer() {
     }
   });
 
+  // Debtor status management (overdue debts, reliability scores, credit holds) - daily at 00:30
+  cron.schedule('30 0 * * *', async () => {
+    console.log('🕐 Running scheduled debtor status management...');
+    try {
+      await manageDebtorStatus();
+    } catch (error) {
+      console.error('❌ Scheduled job failed:', error);
+    }
+  });
+
+  // Analytics rollup (KPI + module snapshots for closed periods) - daily at 01:00
+  cron.schedule('0 1 * * *', async () => {
+    console.log('🕐 Running scheduled analytics rollup...');
+    try {
+      await runAnalyticsRollup();
+    } catch (error) {
+      console.error('❌ Scheduled job failed:', error);
+    }
+  });
+
   // Inventory auto-sync (every 5 min) + hourly audit + daily integrity
   startInventorySyncCron();
 
@@ -618,6 +659,15 @@ async function startServer() {
     }
   });
 
+  // Truck service due/overdue alerts - daily at 06:00
+  cron.schedule('0 6 * * *', async () => {
+    try {
+      await checkMaintenanceAlerts();
+    } catch (error) {
+      console.error('❌ Maintenance alerts failed:', error);
+    }
+  });
+
   console.log('✅ All cron jobs started (after Prisma connected)');
 
   // Run initial checks after 3 minutes — gives the Prisma engine time to stabilize
@@ -0,0 +1,726 @@
+/**
+ * Analytics Rollup Service
+ *
+ * Materialises period snapshots so dashboards don't recompute from raw orders:
+ * - KPIMetrics: one row per KPIType, period and periodType
+ * - DistributionAnalytics / TransportAnalytics: PERIOD_SUMMARY rows per period
+ *
+ * Periods (server local time):
+ *   DAILY 2026-10-19 | WEEKLY 2026-W43 (ISO, Monday start) | MONTHLY 2026-10
+ *   QUARTERLY 2026-Q4 | YEARLY 2026
+ *
+ * Only closed periods are stored. Readers get stored snapshots for closed periods
+ * and a live calculation for the open period (or a closed one not rolled up yet).
+ *
+ * Snapshots back the period series only: GET /admin/kpis and
+ * /analytics/{distribution,transport,warehouse}/trends. The summary and dashboard
+ * endpoints (and GET /admin/dashboard) stay on raw data: they take arbitrary date
+ * ranges and break figures down by customer, truck and location, which a period
+ * snapshot doesn't hold.
+ *
+ * Cancelled orders are excluded. Fuel efficiency is average litres per trip, since
+ * trips don't record distance. A delivery is on time when it lands within the
+ * SLA days of the order being placed (SystemConfig `delivery_sla_policy`).
+ */
+
+const prisma = require('../lib/prisma');
+const { BusinessError } = require('../middleware/errorHandler');
+const { convertQuantity } = require('../utils/unitConversion');
+
+const PERIOD_TYPES = ['DAILY', 'WEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY'];
+const KPI_TYPES = [
+  'OVERALL_PERFORMANCE',
+  'DISTRIBUTION_PERFORMANCE',
+  'TRANSPORT_PERFORMANCE',
+  'WAREHOUSE_PERFORMANCE',
+  'PROFITABILITY',
+  'EFFICIENCY',
+  'TARGET_ACHIEVEMENT'
+];
+const SNAPSHOT_ANALYSIS_TYPE = 'PERIOD_SUMMARY';
+
+const TRANSPORT_EXPENSE_TYPES = ['TRANSPORT_EXPENSE', 'MAINTENANCE', 'FUEL_COST', 'SALARY_WAGES'];
+
+const DELIVERY_SLA_POLICY_KEY = 'delivery_sla_policy';
+const DEFAULT_DELIVERY_SLA_POLICY = {
+  distributionDays: 7,
+  transportDays: 2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Live fallbacks recompute from raw rows, so keep a series bounded
+const MAX_SERIES_PERIODS = 120;
+const DEFAULT_SERIES_PERIODS = 12;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Percentages go into Decimal(5,2) columns
+const percent = (part, whole) =>
+  whole > 0 ? Math.max(-999.99, Math.min(999.99, round((part / whole) * 100))) : null;
+
+const ratio = (total, count) => (count > 0 ? round(total / count) : null);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ================================
+// PERIODS
+// ================================
+
+const getPeriodStart = (periodType, date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+
+  switch (periodType) {
+    case 'DAILY':
+      return d;
+    case 'WEEKLY':
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+      return d;
+    case 'MONTHLY':
+      return new Date(d.getFullYear(), d.getMonth(), 1);
+    case 'QUARTERLY':
+      return new Date(d.getFullYear(), Math.floor(d.getMonth() / 3) * 3, 1);
+    case 'YEARLY':
+      return new Date(d.getFullYear(), 0, 1);
+    default:
+      throw new Error(`Unknown period type: ${periodType}`);
+  }
+};
+
+const getPeriodEnd = (periodType, start) => {
+  const end = new Date(start);
+  if (periodType === 'DAILY') end.setDate(end.getDate() + 1);
+  else if (periodType === 'WEEKLY') end.setDate(end.getDate() + 7);
+  else if (periodType === 'MONTHLY') end.setMonth(end.getMonth() + 1);
+  else if (periodType === 'QUARTERLY') end.setMonth(end.getMonth() + 3);
+  else end.setFullYear(end.getFullYear() + 1);
+  return end;
+};
+
+const getPeriodKey = (periodType, start) => {
+  const y = start.getFullYear();
+
+  switch (periodType) {
+    case 'DAILY':
+      return `${y}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    case 'WEEKLY': {
+      // ISO week: the week belongs to the year its Thursday falls in
+      const thursday = new Date(start);
+      thursday.setDate(thursday.getDate() + 3);
+      const isoYear = thursday.getFullYear();
+      const week1 = getPeriodStart('WEEKLY', new Date(isoYear, 0, 4));
+      const week = 1 + Math.round((start - week1) / (7 * DAY_MS));
+      return `${isoYear}-W${pad(week)}`;
+    }
+    case 'MONTHLY':
+      return `${y}-${pad(start.getMonth() + 1)}`;
+    case 'QUARTERLY':
+      return `${y}-Q${Math.floor(start.getMonth() / 3) + 1}`;
+    default:
+      return String(y);
+  }
+};
+
+/**
+ * The period containing `date`
+ * @returns {object} { periodType, key, start, end }
+ */
+const getPeriod = (periodType, date = new Date()) => {
+  const start = getPeriodStart(periodType, date);
+  return { periodType, key: getPeriodKey(periodType, start), start, end: getPeriodEnd(periodType, start) };
+};
+
+/**
+ * Periods from the one containing `from` up to the one containing `to`
+ */
+const listPeriods = (periodType, from, to) => {
+  const periods = [];
+  let period = getPeriod(periodType, from);
+  while (period.start <= new Date(to)) {
+    periods.push(period);
+    period = getPeriod(periodType, period.end);
+  }
+  return periods;
+};
+
+const isPeriodClosed = (period, now = new Date()) => period.end <= now;
+
+/**
+ * Resolve a series range from optional query dates (defaults to the last 12 periods)
+ * @returns {object} { from, to }
+ */
+const resolveSeriesRange = (periodType, startDate, endDate) => {
+  const to = endDate ? new Date(endDate) : new Date();
+  let from = startDate ? new Date(startDate) : null;
+
+  if (!from) {
+    from = getPeriod(periodType, to).start;
+    for (let i = 1; i < DEFAULT_SERIES_PERIODS; i++) {
+      from = getPeriod(periodType, new Date(from.getTime() - 1)).start;
+    }
+  }
+
+  if (from > to) {
+    throw new BusinessError('Start date must be before end date', 'INVALID_DATE_RANGE');
+  }
+  if (listPeriods(periodType, from, to).length > MAX_SERIES_PERIODS) {
+    throw new BusinessError(
+      `Date range covers more than ${MAX_SERIES_PERIODS} ${periodType.toLowerCase()} periods; narrow the range or use a longer period`,
+      'RANGE_TOO_LARGE'
+    );
+  }
+
+  return { from, to };
+};
+
+// ================================
+// POLICY
+// ================================
+
+async function getDeliverySlaPolicy() {
+  const row = await prisma.systemConfig.findUnique({ where: { key: DELIVERY_SLA_POLICY_KEY } });
+  const value = row?.value && typeof row.value === 'object' ? row.value : {};
+
+  const days = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+  return {
+    distributionDays: days(value.distributionDays, DEFAULT_DELIVERY_SLA_POLICY.distributionDays),
+    transportDays: days(value.transportDays, DEFAULT_DELIVERY_SLA_POLICY.transportDays)
+  };
+}
+
+const countOnTime = (deliveries, slaDays) =>
+  deliveries.filter(d => (new Date(d.deliveredAt) - new Date(d.createdAt)) <= slaDays * DAY_MS).length;
+
+// ================================
+// MODULE METRICS
+// ================================
+
+async function computeDistributionMetrics(start, end, policy) {
+  const [orders, expenses, deliveries] = await Promise.all([
+    prisma.distributionOrder.findMany({
+      where: { createdAt: { gte: start, lt: end }, status: { not: 'CANCELLED' } },
+      select: {
+        createdAt: true,
+        finalAmount: true,
+        totalPacks: true,
+        totalPallets: true,
+        orderItems: { select: { packs: true, product: { select: { costPerPack: true } } } }
+      }
+    }),
+    prisma.expense.aggregate({
+      where: { expenseType: 'DISTRIBUTION_EXPENSE', status: 'APPROVED', expenseDate: { gte: start, lt: end } },
+      _sum: { amount: true }
+    }),
+    prisma.distributionOrder.findMany({
+      where: {
+        deliveredAt: { gte: start, lt: end },
+        deliveryStatus: { in: ['FULLY_DELIVERED', 'PARTIALLY_DELIVERED'] }
+      },
+      select: { createdAt: true, deliveredAt: true }
+    })
+  ]);
+
+  let totalRevenue = 0;
+  let costOfGoodsSold = 0;
+  let totalPacks = 0;
+  let totalPallets = 0;
+  const packsByMonth = {};
+
+  for (const order of orders) {
+    totalRevenue += parseFloat(order.finalAmount);
+    totalPacks += order.totalPacks;
+    totalPallets += order.totalPallets;
+
+    const month = `${order.createdAt.getFullYear()}-${order.createdAt.getMonth() + 1}`;
+    packsByMonth[month] = (packsByMonth[month] || 0) + order.totalPacks;
+
+    for (const item of order.orderItems) {
+      costOfGoodsSold += item.packs * parseFloat(item.product.costPerPack || 0);
+    }
+  }
+
+  const operatingExpenses = parseFloat(expenses._sum.amount || 0);
+  const grossProfit = totalRevenue - costOfGoodsSold;
+  const netProfit = grossProfit - operatingExpenses;
+  const onTimeDeliveries = countOnTime(deliveries, policy.distributionDays);
+
+  return {
+    totalRevenue: round(totalRevenue),
+    costOfGoodsSold: round(costOfGoodsSold),
+    grossProfit: round(grossProfit),
+    operatingExpenses: round(operatingExpenses),
+    netProfit: round(netProfit),
+    profitMargin: percent(netProfit, totalRevenue) ?? 0,
+    totalOrders: orders.length,
+    totalPacks,
+    totalPallets,
+    averageOrderValue: ratio(totalRevenue, orders.length) ?? 0,
+    deliveries: deliveries.length,
+    onTimeDeliveries,
+    onTimeDeliveryRate: percent(onTimeDeliveries, deliveries.length),
+    costPerPack: ratio(costOfGoodsSold, totalPacks),
+    packsByMonth
+  };
+}
+
+async function computeTransportMetrics(start, end, policy) {
+  const [orders, expenses, deliveries] = await Promise.all([
+    prisma.transportOrder.findMany({
+      where: { createdAt: { gte: start, lt: end }, deliveryStatus: { not: 'CANCELLED' } },
+      select: {
+        truckId: true,
+        totalOrderAmount: true,
+        totalFuelCost: true,
+        fuelRequired: true,
+        driverWages: true,
+        tripAllowance: true,
+        serviceChargeExpense: true,
+        totalTripExpenses: true
+      }
+    }),
+    prisma.expense.aggregate({
+      where: { expenseType: { in: TRANSPORT_EXPENSE_TYPES }, status: 'APPROVED', expenseDate: { gte: start, lt: end } },
+      _sum: { amount: true }
+    }),
+    prisma.transportOrder.findMany({
+      where: {
+        deliveryDate: { gte: start, lt: end },
+        deliveryStatus: { in: ['DELIVERED', 'PARTIALLY_DELIVERED'] }
+      },
+      select: { createdAt: true, deliveryDate: true }
+    })
+  ]);
+
+  let totalRevenue = 0;
+  let fuelCosts = 0;
+  let driverWages = 0;
+  let serviceCharges = 0;
+  let tripExpenses = 0;
+  let totalFuelLiters = 0;
+  let truckTrips = 0;
+  let truckRevenue = 0;
+
+  for (const order of orders) {
+    const revenue = parseFloat(order.totalOrderAmount);
+    totalRevenue += revenue;
+    fuelCosts += parseFloat(order.totalFuelCost || 0);
+    driverWages += parseFloat(order.driverWages || 0) + parseFloat(order.tripAllowance || 0);
+    serviceCharges += parseFloat(order.serviceChargeExpense || 0);
+    tripExpenses += parseFloat(order.totalTripExpenses || 0);
+    totalFuelLiters += parseFloat(order.fuelRequired || 0);
+
+    if (order.truckId) {
+      truckTrips += 1;
+      truckRevenue += revenue;
+    }
+  }
+
+  const nonTripExpenses = parseFloat(expenses._sum.amount || 0);
+  const totalExpenses = tripExpenses + nonTripExpenses;
+  const grossProfit = totalRevenue - tripExpenses;
+  const netProfit = totalRevenue - totalExpenses;
+  const onTimeDeliveries = countOnTime(
+    deliveries.map(d => ({ createdAt: d.createdAt, deliveredAt: d.deliveryDate })),
+    policy.transportDays
+  );
+
+  return {
+    totalRevenue: round(totalRevenue),
+    fuelCosts: round(fuelCosts),
+    driverWages: round(driverWages),
+    serviceCharges: round(serviceCharges),
+    tripExpenses: round(tripExpenses),
+    nonTripExpenses: round(nonTripExpenses),
+    totalExpenses: round(totalExpenses),
+    grossProfit: round(grossProfit),
+    netProfit: round(netProfit),
+    profitMargin: percent(netProfit, totalRevenue) ?? 0,
+    totalTrips: orders.length,
+    averageRevenue: ratio(totalRevenue, orders.length) ?? 0,
+    totalFuelLiters: round(totalFuelLiters),
+    deliveries: deliveries.length,
+    onTimeDeliveries,
+    onTimeDeliveryRate: percent(onTimeDeliveries, deliveries.length),
+    revenuePerTruckTrip: ratio(truckRevenue, truckTrips),
+    fuelEfficiency: ratio(totalFuelLiters, orders.length)
+  };
+}
+
+async function computeWarehouseMetrics(start, end) {
+  const [sales, expenses] = await Promise.all([
+    prisma.warehouseSale.findMany({
+      where: { createdAt: { gte: start, lt: end } },
+      select: {
+        receiptNumber: true,
+        quantity: true,
+        unitType: true,
+        totalAmount: true,
+        totalCost: true,
+        product: { select: { unitsPerPack: true, packsPerPallet: true } }
+      }
+    }),
+    prisma.warehouseExpense.aggregate({
+      where: { status: 'APPROVED', expenseDate: { gte: start, lt: end } },
+      _sum: { amount: true }
+    })
+  ]);
+
+  let totalRevenue = 0;
+  let costOfGoodsSold = 0;
+  let packsSold = 0;
+  const receipts = new Set();
+
+  for (const sale of sales) {
+    totalRevenue += parseFloat(sale.totalAmount);
+    costOfGoodsSold += parseFloat(sale.totalCost);
+    packsSold += convertQuantity(sale.quantity, sale.unitType, 'PACKS', sale.product);
+    receipts.add(sale.receiptNumber);
+  }
+
+  const operatingExpenses = parseFloat(expenses._sum.amount || 0);
+  const grossProfit = totalRevenue - costOfGoodsSold;
+  const netProfit = grossProfit - operatingExpenses;
+
+  return {
+    totalRevenue: round(totalRevenue),
+    costOfGoodsSold: round(costOfGoodsSold),
+    grossProfit: round(grossProfit),
+    operatingExpenses: round(operatingExpenses),
+    netProfit: round(netProfit),
+    profitMargin: percent(netProfit, totalRevenue) ?? 0,
+    totalSales: receipts.size,
+    packsSold: Math.round(packsSold),
+    costPerPack: ratio(costOfGoodsSold, packsSold)
+  };
+}
+
+/**
+ * Distribution pack target achievement for the months a period covers (monthly and longer only)
+ */
+async function computeTargetAchievement(period, distribution) {
+  if (['DAILY', 'WEEKLY'].includes(period.periodType)) return null;
+
+  const months = listPeriods('MONTHLY', period.start, new Date(period.end - 1));
+  const targets = await prisma.distributionTarget.findMany({
+    where: { OR: months.map(m => ({ year: m.start.getFullYear(), month: m.start.getMonth() + 1 })) },
+    select: { year: true, month: true, totalPacksTarget: true }
+  });
+  if (targets.length === 0) return null;
+
+  // Only months that had a target count towards achievement
+  let targetPacks = 0;
+  let actualPacks = 0;
+  for (const target of targets) {
+    targetPacks += target.totalPacksTarget;
+    actualPacks += distribution.packsByMonth[`${target.year}-${target.month}`] || 0;
+  }
+
+  return percent(actualPacks, targetPacks);
+}
+
+/**
+ * All module metrics and KPI rows for a period
+ * @param {object} period - from getPeriod()
+ * @param {object} options - { modules: ['DISTRIBUTION','TRANSPORT','WAREHOUSE'], policy }
+ */
+async function computePeriodMetrics(period, { modules = ['DISTRIBUTION', 'TRANSPORT', 'WAREHOUSE'], policy } = {}) {
+  const sla = policy || await getDeliverySlaPolicy();
+
+  const [distribution, transport, warehouse] = await Promise.all([
+    modules.includes('DISTRIBUTION') ? computeDistributionMetrics(period.start, period.end, sla) : null,
+    modules.includes('TRANSPORT') ? computeTransportMetrics(period.start, period.end, sla) : null,
+    modules.includes('WAREHOUSE') ? computeWarehouseMetrics(period.start, period.end) : null
+  ]);
+
+  return { distribution, transport, warehouse };
+}
+
+/**
+ * KPIMetrics field values per KPIType (needs all three modules)
+ */
+async function buildKpiRows(period, { distribution, transport, warehouse }) {
+  const revenue = distribution.totalRevenue + transport.totalRevenue + warehouse.totalRevenue;
+  const netProfit = distribution.netProfit + transport.netProfit + warehouse.netProfit;
+  const grossProfit = distribution.grossProfit + transport.grossProfit + warehouse.grossProfit;
+  const operatingExpenses = distribution.operatingExpenses + transport.nonTripExpenses + warehouse.operatingExpenses;
+  const packs = distribution.totalPacks + warehouse.packsSold;
+  const goodsCost = distribution.costOfGoodsSold + warehouse.costOfGoodsSold;
+  const deliveries = distribution.deliveries + transport.deliveries;
+  const onTime = distribution.onTimeDeliveries + transport.onTimeDeliveries;
+  const targetAchievement = await computeTargetAchievement(period, distribution);
+
+  return {
+    OVERALL_PERFORMANCE: {
+      totalRevenue: round(revenue),
+      totalProfit: round(netProfit),
+      profitMargin: percent(netProfit, revenue),
+      costRatio: percent(revenue - netProfit, revenue),
+      totalOrders: distribution.totalOrders + transport.totalTrips + warehouse.totalSales,
+      totalPacksSold: packs,
+      onTimeDeliveryRate: percent(onTime, deliveries)
+    },
+    DISTRIBUTION_PERFORMANCE: {
+      totalRevenue: distribution.totalRevenue,
+      totalProfit: distribution.netProfit,
+      profitMargin: percent(distribution.netProfit, distribution.totalRevenue),
+      costRatio: percent(distribution.costOfGoodsSold + distribution.operatingExpenses, distribution.totalRevenue),
+      totalOrders: distribution.totalOrders,
+      totalPacksSold: distribution.totalPacks,
+      targetAchievement,
+      onTimeDeliveryRate: distribution.onTimeDeliveryRate,
+      costPerPack: distribution.costPerPack
+    },
+    TRANSPORT_PERFORMANCE: {
+      totalRevenue: transport.totalRevenue,
+      totalProfit: transport.netProfit,
+      profitMargin: percent(transport.netProfit, transport.totalRevenue),
+      costRatio: percent(transport.totalExpenses, transport.totalRevenue),
+      totalOrders: transport.totalTrips,
+      onTimeDeliveryRate: transport.onTimeDeliveryRate,
+      revenuePerTruckTrip: transport.revenuePerTruckTrip,
+      fuelEfficiency: transport.fuelEfficiency
+    },
+    WAREHOUSE_PERFORMANCE: {
+      totalRevenue: warehouse.totalRevenue,
+      totalProfit: warehouse.netProfit,
+      profitMargin: percent(warehouse.netProfit, warehouse.totalRevenue),
+      costRatio: percent(warehouse.costOfGoodsSold + warehouse.operatingExpenses, warehouse.totalRevenue),
+      totalOrders: warehouse.totalSales,
+      totalPacksSold: warehouse.packsSold,
+      costPerPack: warehouse.costPerPack
+    },
+    PROFITABILITY: {
+      totalRevenue: round(revenue),
+      totalProfit: round(grossProfit),
+      profitMargin: percent(grossProfit, revenue),
+      costRatio: percent(operatingExpenses, revenue)
+    },
+    EFFICIENCY: {
+      onTimeDeliveryRate: percent(onTime, deliveries),
+      revenuePerTruckTrip: transport.revenuePerTruckTrip,
+      costPerPack: ratio(goodsCost, packs),
+      fuelEfficiency: transport.fuelEfficiency
+    },
+    TARGET_ACHIEVEMENT: {
+      totalOrders: distribution.totalOrders,
+      totalPacksSold: distribution.totalPacks,
+      targetAchievement
+    }
+  };
+}
+
+const toDistributionAnalytics = (m) => ({
+  totalRevenue: m.totalRevenue,
+  costOfGoodsSold: m.costOfGoodsSold,
+  grossProfit: m.grossProfit,
+  netProfit: m.netProfit,
+  profitMargin: m.profitMargin,
+  totalOrders: m.totalOrders,
+  totalPacks: m.totalPacks,
+  totalPallets: m.totalPallets,
+  averageOrderValue: m.averageOrderValue
+});
+
+const toTransportAnalytics = (m) => ({
+  totalRevenue: m.totalRevenue,
+  fuelCosts: m.fuelCosts,
+  driverWages: m.driverWages,
+  serviceCharges: m.serviceCharges,
+  totalExpenses: m.totalExpenses,
+  grossProfit: m.grossProfit,
+  netProfit: m.netProfit,
+  profitMargin: m.profitMargin,
+  totalTrips: m.totalTrips,
+  averageRevenue: m.averageRevenue,
+  totalFuelLiters: m.totalFuelLiters
+});
+
+// ================================
+// ROLLUP
+// ================================
+
+/**
+ * Store the snapshots for one closed period (re-running overwrites them)
+ */
+async function rollupPeriod(period, policy) {
+  const metrics = await computePeriodMetrics(period, { policy });
+  const kpis = await buildKpiRows(period, metrics);
+
+  const snapshotKey = { analysisType: SNAPSHOT_ANALYSIS_TYPE, period: period.key, periodType: period.periodType };
+  const distribution = toDistributionAnalytics(metrics.distribution);
+  const transport = toTransportAnalytics(metrics.transport);
+
+  await prisma.$transaction([
+    ...Object.entries(kpis).map(([metricType, values]) =>
+      prisma.kPIMetrics.upsert({
+        where: { metricType_period_periodType: { metricType, period: period.key, periodType: period.periodType } },
+        create: { metricType, period: period.key, periodType: period.periodType, ...values },
+        update: values
+      })
+    ),
+    prisma.distributionAnalytics.upsert({
+      where: { analysisType_period_periodType: snapshotKey },
+      create: { ...snapshotKey, ...distribution },
+      update: distribution
+    }),
+    prisma.transportAnalytics.upsert({
+      where: { analysisType_period_periodType: snapshotKey },
+      create: { ...snapshotKey, ...transport },
+      update: transport
+    })
+  ]);
+
+  return metrics;
+}
+
+/**
+ * Roll up every closed period in a date range
+ * @param {object} options - { from, to, periodTypes, onProgress }
+ */
+async function backfillRollups({ from, to = new Date(), periodTypes = PERIOD_TYPES, onProgress } = {}) {
+  const now = new Date();
+  const policy = await getDeliverySlaPolicy();
+  const result = {};
+
+  for (const periodType of periodTypes) {
+    const periods = listPeriods(periodType, from, to).filter(p => isPeriodClosed(p, now));
+    for (const period of periods) {
+      await rollupPeriod(period, policy);
+      if (onProgress) onProgress(period);
+    }
+    result[periodType] = periods.length;
+  }
+
+  return result;
+}
+
+/**
+ * Daily job: roll up periods that closed within the lookback window. Recent days are
+ * re-rolled so late edits (backdated expenses, deleted sales) reach the snapshots.
+ */
+async function rollupRecentPeriods({ now = new Date(), lookbackDays = 7 } = {}) {
+  return backfillRollups({ from: new Date(now.getTime() - lookbackDays * DAY_MS), to: now });
+}
+
+// ================================
+// READING SNAPSHOTS
+// ================================
+
+const toNumbers = (row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [
+    key,
+    value !== null && typeof value === 'object' && typeof value.toNumber === 'function' ? value.toNumber() : value
+  ])
+);
+
+const stripMeta = ({ id, analysisType, metricType, period, periodType, createdAt, updatedAt, ...values }) => values;
+
+const periodBase = (period) => ({
+  period: period.key,
+  periodType: period.periodType,
+  start: period.start,
+  end: period.end
+});
+
+/**
+ * KPI values per period, keyed by KPIType, with live values for open (or not yet rolled up) periods
+ * @param {object} options - { periodType, from, to, metricTypes }
+ * @returns {Array} [{ period, periodType, start, end, source: 'snapshot' | 'live', kpis: { [KPIType]: values } }]
+ */
+async function getKpiSeries({ periodType, from, to = new Date(), metricTypes = KPI_TYPES }) {
+  const now = new Date();
+  const periods = listPeriods(periodType, from, to);
+
+  const rows = await prisma.kPIMetrics.findMany({
+    where: { metricType: { in: metricTypes }, periodType, period: { in: periods.map(p => p.key) } }
+  });
+  const byPeriod = new Map();
+  for (const row of rows) {
+    if (!byPeriod.has(row.period)) byPeriod.set(row.period, {});
+    byPeriod.get(row.period)[row.metricType] = stripMeta(toNumbers(row));
+  }
+
+  const policy = await getDeliverySlaPolicy();
+  const series = [];
+
+  for (const period of periods) {
+    const stored = byPeriod.get(period.key);
+
+    if (stored && isPeriodClosed(period, now) && metricTypes.every(type => stored[type])) {
+      series.push({ ...periodBase(period), source: 'snapshot', kpis: stored });
+      continue;
+    }
+
+    const rowsByType = await buildKpiRows(period, await computePeriodMetrics(period, { policy }));
+    const kpis = Object.fromEntries(metricTypes.map(type => [type, rowsByType[type]]));
+    series.push({ ...periodBase(period), source: 'live', isOpen: !isPeriodClosed(period, now), kpis });
+  }
+
+  return series;
+}
+
+/**
+ * A series of snapshots with live values for open (or not yet rolled up) periods
+ * @param {object} options - { source: 'KPI' | 'DISTRIBUTION' | 'TRANSPORT', periodType, from, to, metricType }
+ * @returns {Array} [{ period, periodType, start, end, source: 'snapshot' | 'live', ...values }]
+ */
+async function getSnapshotSeries({ source, periodType, from, to = new Date(), metricType }) {
+  if (source === 'KPI') {
+    const series = await getKpiSeries({ periodType, from, to, metricTypes: [metricType] });
+    return series.map(({ kpis, ...entry }) => ({ ...entry, ...kpis[metricType] }));
+  }
+
+  const now = new Date();
+  const periods = listPeriods(periodType, from, to);
+  const model = source === 'DISTRIBUTION' ? prisma.distributionAnalytics : prisma.transportAnalytics;
+
+  const rows = await model.findMany({
+    where: { analysisType: SNAPSHOT_ANALYSIS_TYPE, periodType, period: { in: periods.map(p => p.key) } }
+  });
+  const byPeriod = new Map(rows.map(row => [row.period, stripMeta(toNumbers(row))]));
+
+  const policy = await getDeliverySlaPolicy();
+  const series = [];
+
+  for (const period of periods) {
+    const stored = byPeriod.get(period.key);
+
+    if (stored && isPeriodClosed(period, now)) {
+      series.push({ ...periodBase(period), source: 'snapshot', ...stored });
+      continue;
+    }
+
+    let values;
+    if (source === 'DISTRIBUTION') {
+      const { distribution } = await computePeriodMetrics(period, { modules: ['DISTRIBUTION'], policy });
+      values = toDistributionAnalytics(distribution);
+    } else {
+      const { transport } = await computePeriodMetrics(period, { modules: ['TRANSPORT'], policy });
+      values = toTransportAnalytics(transport);
+    }
+
+    series.push({ ...periodBase(period), source: 'live', isOpen: !isPeriodClosed(period, now), ...values });
+  }
+
+  return series;
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  KPI_TYPES,
+  DELIVERY_SLA_POLICY_KEY,
+  DEFAULT_DELIVERY_SLA_POLICY,
+  getPeriod,
+  listPeriods,
+  isPeriodClosed,
+  resolveSeriesRange,
+  getDeliverySlaPolicy,
+  computePeriodMetrics,
+  buildKpiRows,
+  rollupPeriod,
+  backfillRollups,
+  rollupRecentPeriods,
+  getKpiSeries,
+  getSnapshotSeries
+};
@@ -0,0 +1,365 @@
+/**
+ * Attachment Service
+ *
+ * Files (receipts, invoices, waybills, delivery proofs) uploaded against a business
+ * record. Access follows the owning record's module: reading an attachment needs read
+ * access to that module, uploading or deleting needs write access.
+ *
+ * Uploading a RECEIPT to an expense or purchase also fills its receiptUrl with the
+ * attachment's download path, so older clients reading receiptUrl keep working.
+ *
+ * Downloads go through GET /attachments/:id/download, either with a bearer token or a
+ * short-lived signed URL (for <img> tags and links opened outside the app).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const prisma = require('../lib/prisma');
+const { BusinessError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { getStorage } = require('../utils/attachmentStorage');
+
+const MAX_FILE_SIZE_MB = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const MAX_FILE_SIZE = MAX_FILE_SIZE_MB * 1024 * 1024;
+
+const SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+// Accepted types and the leading bytes their content must start with
+const ALLOWED_CONTENT_TYPES = {
+  'application/pdf': { extension: '.pdf', matches: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+  'image/jpeg': { extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': {
+    extension: '.webp',
+    matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+};
+
+const ALL_CATEGORIES = ['RECEIPT', 'INVOICE', 'SUPPLIER_INVOICE', 'WAYBILL', 'DELIVERY_PROOF', 'SIGNATURE', 'DELIVERY_PHOTO', 'CLAIM_EVIDENCE', 'OTHER'];
+
+/**
+ * Per entity type: how to load the record, which module guards it,
+ * the categories that make sense for it and whether it carries a receiptUrl
+ */
+const ENTITY_TYPES = {
+  EXPENSE: {
+    label: 'Expense',
+    load: (id) => prisma.expense.findUnique({ where: { id }, select: { id: true, expenseType: true, receiptUrl: true } }),
+    module: (expense) => (expense.expenseType === 'DISTRIBUTION_EXPENSE' ? 'distribution' : 'transport'),
+    categories: ['RECEIPT', 'INVOICE', 'OTHER'],
+    receiptModel: 'expense'
+  },
+  WAREHOUSE_EXPENSE: {
+    label: 'Warehouse expense',
+    load: (id) => prisma.warehouseExpense.findUnique({ where: { id }, select: { id: true, receiptUrl: true } }),
+    module: () => 'warehouse',
+    categories: ['RECEIPT', 'INVOICE', 'OTHER'],
+    receiptModel: 'warehouseExpense'
+  },
+  WAREHOUSE_PURCHASE: {
+    label: 'Purchase',
+    load: (id) => prisma.warehouseProductPurchase.findUnique({ where: { id }, select: { id: true, receiptUrl: true } }),
+    module: () => 'warehouse',
+    categories: ['RECEIPT', 'INVOICE', 'WAYBILL', 'DELIVERY_PROOF', 'OTHER'],
+    receiptModel: 'warehouseProductPurchase'
+  },
+  DISTRIBUTION_ORDER: {
+    label: 'Distribution order',
+    load: (id) => prisma.distributionOrder.findUnique({ where: { id }, select: { id: true } }),
+    module: () => 'distribution',
+    categories: ['SUPPLIER_INVOICE', 'WAYBILL', 'DELIVERY_PROOF', 'SIGNATURE', 'DELIVERY_PHOTO', 'INVOICE', 'RECEIPT', 'OTHER']
+  },
+  TRANSPORT_ORDER: {
+    label: 'Transport order',
+    load: (id) => prisma.transportOrder.findUnique({ where: { id }, select: { id: true } }),
+    module: () => 'transport',
+    categories: ['WAYBILL', 'DELIVERY_PROOF', 'INVOICE', 'RECEIPT', 'OTHER']
+  },
+  SUPPLIER_CLAIM: {
+    label: 'Supplier claim',
+    load: (id) => prisma.supplierClaim.findUnique({ where: { id }, select: { id: true } }),
+    module: () => 'distribution',
+    categories: ['CLAIM_EVIDENCE', 'DELIVERY_PHOTO', 'WAYBILL', 'SUPPLIER_INVOICE', 'OTHER']
+  }
+};
+
+const downloadPath = (attachmentId) => `/api/v1/attachments/${attachmentId}/download`;
+
+// ================================
+// SIGNED URLS
+// ================================
+
+const signingSecret = () => process.env.JWT_SECRET;
+
+const sign = (attachmentId, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${attachmentId}:${expires}`).digest('hex');
+
+/**
+ * Short-lived download URL that works without an Authorization header
+ */
+const createSignedDownloadUrl = (attachmentId, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${downloadPath(attachmentId)}?expires=${expires}&signature=${sign(attachmentId, expires)}`;
+};
+
+const verifyDownloadSignature = (attachmentId, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(sign(attachmentId, expiresAt), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// ================================
+// ENTITIES
+// ================================
+
+/**
+ * Load the record an attachment belongs to and the module that guards it
+ * @returns {object} { entity, module }
+ */
+async function resolveEntity(entityType, entityId) {
+  const config = ENTITY_TYPES[entityType];
+  if (!config) {
+    throw new ValidationError(`entityType must be one of ${Object.keys(ENTITY_TYPES).join(', ')}`);
+  }
+
+  const entity = await config.load(entityId);
+  if (!entity) {
+    throw new NotFoundError(`${config.label} not found`);
+  }
+
+  return { entity, module: config.module(entity) };
+}
+
+/**
+ * Point the record's receiptUrl at its latest RECEIPT attachment (or clear it if the
+ * url was one of ours and no receipt is left). Urls entered by hand are left alone.
+ */
+async function syncReceiptUrl(tx, entityType, entity) {
+  const { receiptModel } = ENTITY_TYPES[entityType];
+  if (!receiptModel) return;
+
+  const ownUrl = !entity.receiptUrl || entity.receiptUrl.startsWith('/api/v1/attachments/');
+  if (!ownUrl) return;
+
+  const latest = await tx.attachment.findFirst({
+    where: { entityType, entityId: entity.id, category: 'RECEIPT' },
+    orderBy: { createdAt: 'desc' },
+    select: { id: true }
+  });
+  const receiptUrl = latest ? downloadPath(latest.id) : null;
+
+  if (receiptUrl !== entity.receiptUrl) {
+    await tx[receiptModel].update({ where: { id: entity.id }, data: { receiptUrl } });
+  }
+}
+
+// ================================
+// UPLOAD / READ / DELETE
+// ================================
+
+/**
+ * Check the declared content type against the allow-list and the file's leading bytes
+ */
+const validateFile = (file) => {
+  if (!file || !file.buffer || file.size === 0) {
+    throw new ValidationError('A non-empty file is required');
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    throw new ValidationError(`File exceeds the ${MAX_FILE_SIZE_MB} MB limit`);
+  }
+
+  const type = ALLOWED_CONTENT_TYPES[file.mimetype];
+  if (!type) {
+    throw new ValidationError(`Unsupported file type ${file.mimetype}; allowed: ${Object.keys(ALLOWED_CONTENT_TYPES).join(', ')}`);
+  }
+  if (!type.matches(file.buffer)) {
+    throw new ValidationError(`File content does not match its declared type ${file.mimetype}`);
+  }
+
+  return type;
+};
+
+/**
+ * Store an uploaded file and link it to a record
+ * @param {object} params - { entityType, entityId, category, description, file (multer memory file), userId }
+ */
+async function uploadAttachment({ entityType, entityId, category = 'OTHER', description, file, userId }, requestMeta = {}) {
+  const { entity } = await resolveEntity(entityType, entityId);
+
+  const { categories, label } = ENTITY_TYPES[entityType];
+  if (!categories.includes(category)) {
+    throw new BusinessError(
+      `${label} attachments can be ${categories.join(', ')}, not ${category}`,
+      'INVALID_ATTACHMENT_CATEGORY'
+    );
+  }
+
+  const type = validateFile(file);
+  const storage = getStorage();
+
+  const now = new Date();
+  const storageKey = [
+    entityType.toLowerCase(),
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    `${crypto.randomUUID()}${type.extension}`
+  ].join('/');
+
+  // Keep the client's name for downloads, minus any directory part
+  const fileName = path.basename(file.originalname || `attachment${type.extension}`).slice(0, 255);
+
+  await storage.put(storageKey, file.buffer, file.mimetype);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const attachment = await tx.attachment.create({
+        data: {
+          entityType,
+          entityId,
+          category,
+          fileName,
+          contentType: file.mimetype,
+          size: file.size,
+          checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+          description: description || null,
+          storageBackend: storage.name,
+          storageKey,
+          uploadedBy: userId
+        }
+      });
+
+      if (category === 'RECEIPT') {
+        await syncReceiptUrl(tx, entityType, entity);
+      }
+
+      await createAuditLog({
+        userId,
+        action: 'UPLOAD_ATTACHMENT',
+        entity: 'Attachment',
+        entityId: attachment.id,
+        newValues: { entityType, entityId, category, fileName, size: file.size },
+        ...requestMeta
+      }, tx);
+
+      return attachment;
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+}
+
+async function getAttachment(id) {
+  const attachment = await prisma.attachment.findUnique({
+    where: { id },
+    include: { uploadedByUser: { select: { id: true, username: true } } }
+  });
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+  return attachment;
+}
+
+async function listAttachments(entityType, entityId) {
+  return prisma.attachment.findMany({
+    where: { entityType, entityId },
+    include: { uploadedByUser: { select: { id: true, username: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * How to serve an attachment: a redirect to the bucket when the backend can presign,
+ * otherwise a stream through the API
+ * @returns {object} { redirectUrl } | { stream }
+ */
+async function openAttachment(attachment, { disposition = 'inline' } = {}) {
+  const storage = getStorage(attachment.storageBackend);
+
+  if (storage.getDownloadUrl) {
+    return {
+      redirectUrl: storage.getDownloadUrl(attachment.storageKey, {
+        fileName: attachment.fileName,
+        contentType: attachment.contentType,
+        disposition
+      })
+    };
+  }
+
+  try {
+    return { stream: await storage.get(attachment.storageKey) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NotFoundError('Attachment file is missing from storage');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whole file contents (for embedding images in generated PDFs)
+ */
+async function readAttachment(attachment) {
+  const stream = await getStorage(attachment.storageBackend).get(attachment.storageKey);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function deleteAttachment(id, userId, requestMeta = {}) {
+  const attachment = await getAttachment(id);
+  const { entity } = await resolveEntity(attachment.entityType, attachment.entityId);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.attachment.delete({ where: { id } });
+
+    if (attachment.category === 'RECEIPT') {
+      await syncReceiptUrl(tx, attachment.entityType, entity);
+    }
+
+    await createAuditLog({
+      userId,
+      action: 'DELETE_ATTACHMENT',
+      entity: 'Attachment',
+      entityId: id,
+      oldValues: {
+        entityType: attachment.entityType,
+        entityId: attachment.entityId,
+        category: attachment.category,
+        fileName: attachment.fileName,
+        checksum: attachment.checksum
+      },
+      ...requestMeta
+    }, tx);
+  });
+
+  // The record is gone either way; a file left behind only costs disk space
+  await getStorage(attachment.storageBackend).remove(attachment.storageKey).catch((error) => {
+    console.error(`Failed to remove attachment file ${attachment.storageKey}:`, error.message);
+  });
+
+  return attachment;
+}
+
+module.exports = {
+  ALLOWED_CONTENT_TYPES,
+  ALL_CATEGORIES,
+  ENTITY_TYPES,
+  MAX_FILE_SIZE,
+  MAX_FILE_SIZE_MB,
+  createSignedDownloadUrl,
+  verifyDownloadSignature,
+  resolveEntity,
+  uploadAttachment,
+  getAttachment,
+  listAttachments,
+  openAttachment,
+  readAttachment,
+  deleteAttachment
+};
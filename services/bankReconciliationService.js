@@ -0,0 +1,606 @@
+/**
+ * Bank Reconciliation Service
+ *
+ * Matches imported bank statement lines against payments recorded in the system:
+ * - CashFlow (warehouse and transport). Warehouse debt collections are banked as one
+ *   CashFlow entry; the DebtorPayment rows it covers are reconciled with it.
+ * - PaymentHistory (distribution): TO_COMPANY is money in, TO_SUPPLIER money out.
+ *
+ * Only bank-settled payment methods are considered. A suggestion needs the same
+ * amount and direction within the date window; it's scored on date distance and
+ * whether the system reference appears in the bank narration. Suggestions are
+ * only applied once the accountant confirms them.
+ */
+
+const prisma = require('../lib/prisma');
+const { BusinessError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { parseCsvStatement, parseOfxStatement } = require('../utils/bankStatementParser');
+const { INFLOW_TYPES } = require('./cashReconciliationService');
+
+const BANK_RECONCILIATION_ROLES = ['MANAGING_DIRECTOR', 'GENERAL_MANAGER', 'ACCOUNTANT'];
+const BANK_PAYMENT_METHODS = ['BANK_TRANSFER', 'POS', 'WHATSAPP_TRANSFER', 'CARD', 'CHECK'];
+const ENTITY_TYPES = ['CASH_FLOW', 'PAYMENT_HISTORY'];
+
+const DEFAULT_DATE_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Calendar day of a system timestamp (server local time) as a UTC-midnight value
+const dayValue = (date) => {
+  const d = new Date(date);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+const matchKey = (entityType, entityId) => `${entityType}:${entityId}`;
+
+// Uppercase alphanumeric tokens of 4+ characters, for reference matching. Bare years
+// are dropped: most document numbers carry one, so they would match each other.
+const referenceTokens = (text) =>
+  (String(text || '').toUpperCase().match(/[A-Z0-9]{4,}/g) || [])
+    .filter(token => !/^(19|20)\d{2}$/.test(token));
+
+const buildFingerprint = (line) =>
+  line.bankTransactionId
+    ? `FITID:${line.bankTransactionId}`
+    : [
+        line.transactionDate.toISOString().split('T')[0],
+        line.amount.toFixed(2),
+        (line.reference || '').toUpperCase(),
+        (line.description || '').toUpperCase().replace(/\s+/g, ' ')
+      ].join('|');
+
+/**
+ * Import a CSV or OFX statement, skipping lines already imported for the account
+ * @param {object} params - { format, content, fileName, bankAccount, columns, dateOrder, userId }
+ */
+async function importStatement({ format, content, fileName, bankAccount, columns, dateOrder, userId }) {
+  const parsed = format === 'OFX'
+    ? parseOfxStatement(content)
+    : parseCsvStatement(content, { columns, dateOrder });
+
+  if (parsed.errors.length > 0) {
+    throw new ValidationError(
+      `Statement could not be read (${parsed.errors.length} problem${parsed.errors.length > 1 ? 's' : ''})`,
+      parsed.errors.slice(0, 50)
+    );
+  }
+  if (parsed.lines.length === 0) {
+    throw new ValidationError('Statement has no transactions');
+  }
+
+  const account = (bankAccount || parsed.bankAccount || '').trim();
+  if (!account) {
+    throw new ValidationError('Bank account is required');
+  }
+
+  // Identical lines in one file (two equal transfers on a day) are told apart by occurrence
+  const occurrences = new Map();
+  const lines = parsed.lines.map(line => {
+    const base = buildFingerprint(line);
+    const n = (occurrences.get(base) || 0) + 1;
+    occurrences.set(base, n);
+    return { ...line, fingerprint: n > 1 ? `${base}#${n}` : base };
+  });
+
+  const existing = await prisma.bankStatementLine.findMany({
+    where: { bankAccount: account, fingerprint: { in: lines.map(l => l.fingerprint) } },
+    select: { fingerprint: true }
+  });
+  const existingFingerprints = new Set(existing.map(l => l.fingerprint));
+  const newLines = lines.filter(l => !existingFingerprints.has(l.fingerprint));
+
+  if (newLines.length === 0) {
+    throw new BusinessError('Every line in this statement has already been imported', 'STATEMENT_ALREADY_IMPORTED');
+  }
+
+  const statement = await prisma.$transaction(async (tx) => {
+    const created = await tx.bankStatement.create({
+      data: {
+        bankAccount: account,
+        fileName: fileName || null,
+        format,
+        periodStart: parsed.periodStart,
+        periodEnd: parsed.periodEnd,
+        lineCount: newLines.length,
+        duplicateCount: lines.length - newLines.length,
+        importedBy: userId
+      }
+    });
+
+    await tx.bankStatementLine.createMany({
+      data: newLines.map(line => ({
+        statementId: created.id,
+        bankAccount: account,
+        transactionDate: line.transactionDate,
+        amount: line.amount,
+        description: line.description,
+        reference: line.reference,
+        bankTransactionId: line.bankTransactionId,
+        fingerprint: line.fingerprint
+      }))
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'BANK_STATEMENT_IMPORT',
+      entity: 'BankStatement',
+      entityId: created.id,
+      newValues: {
+        bankAccount: account,
+        fileName,
+        format,
+        lineCount: newLines.length,
+        duplicateCount: lines.length - newLines.length
+      }
+    }, tx);
+
+    return created;
+  });
+
+  return statement;
+}
+
+/**
+ * Bank-settled system payments in a date range that aren't matched to a bank line yet
+ * @returns {Array} [{ entityType, entityId, date, amount (signed), paymentMethod, reference, description, module }]
+ */
+async function getUnmatchedSystemEntries({ startDate, endDate, module, entityType, entityId } = {}, client = prisma) {
+  const dateFilter = {};
+  if (startDate) dateFilter.gte = new Date(startDate);
+  if (endDate) dateFilter.lt = new Date(endDate);
+  const createdAt = Object.keys(dateFilter).length ? dateFilter : undefined;
+
+  const [cashFlows, payments] = await Promise.all([
+    module === 'DISTRIBUTION' || (entityType && entityType !== 'CASH_FLOW') ? [] : client.cashFlow.findMany({
+      where: {
+        ...(entityId && { id: entityId }),
+        paymentMethod: { in: BANK_PAYMENT_METHODS },
+        bankStatementLine: { is: null },
+        ...(module && { module }),
+        ...(createdAt && { createdAt })
+      },
+      include: { _count: { select: { debtorPayments: true } } },
+      orderBy: { createdAt: 'asc' }
+    }),
+    (module && module !== 'DISTRIBUTION') || (entityType && entityType !== 'PAYMENT_HISTORY') ? [] : client.paymentHistory.findMany({
+      where: {
+        ...(entityId && { id: entityId }),
+        paymentMethod: { in: BANK_PAYMENT_METHODS },
+        bankStatementLine: { is: null },
+        ...(createdAt && { createdAt })
+      },
+      include: { order: { select: { orderNumber: true } } },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return [
+    ...cashFlows.map(entry => ({
+      entityType: 'CASH_FLOW',
+      entityId: entry.id,
+      date: entry.createdAt,
+      amount: round(parseFloat(entry.amount) * (INFLOW_TYPES.includes(entry.transactionType) ? 1 : -1)),
+      paymentMethod: entry.paymentMethod,
+      reference: entry.referenceNumber,
+      description: entry.description,
+      module: entry.module,
+      debtorPayments: entry._count.debtorPayments
+    })),
+    ...payments.map(payment => ({
+      entityType: 'PAYMENT_HISTORY',
+      entityId: payment.id,
+      date: payment.createdAt,
+      amount: round(parseFloat(payment.amount) * (payment.paymentType === 'TO_COMPANY' ? 1 : -1)),
+      paymentMethod: payment.paymentMethod,
+      reference: payment.reference,
+      description: `${payment.paymentType === 'TO_COMPANY' ? 'Payment from' : 'Payment to supplier for'} order ${payment.order?.orderNumber || ''}${payment.paidBy ? ` (${payment.paidBy})` : ''}`.trim(),
+      module: 'DISTRIBUTION'
+    }))
+  ];
+}
+
+/**
+ * Score a system entry against a bank line; null when it can't be the same payment
+ */
+const scoreCandidate = (line, entry, dateWindowDays) => {
+  if (Math.abs(parseFloat(line.amount) - entry.amount) >= 0.005) return null;
+
+  const dayDiff = Math.abs(Math.round((line.transactionDate.getTime() - dayValue(entry.date)) / DAY_MS));
+  if (dayDiff > dateWindowDays) return null;
+
+  const bankTokens = new Set([...referenceTokens(line.reference), ...referenceTokens(line.description)]);
+  const referenceMatch = referenceTokens(entry.reference).some(token => bankTokens.has(token));
+
+  const score = 20 + Math.max(0, 40 - dayDiff * 10) + (referenceMatch ? 40 : 0);
+  return { score, dayDiff, referenceMatch };
+};
+
+/**
+ * Candidates for one line, best first
+ */
+async function getLineCandidates(lineId, { dateWindowDays = DEFAULT_DATE_WINDOW_DAYS } = {}) {
+  const line = await prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+  if (!line) {
+    throw new NotFoundError('Bank statement line not found');
+  }
+
+  const day = line.transactionDate.getTime();
+  const entries = await getUnmatchedSystemEntries({
+    startDate: new Date(day - (dateWindowDays + 1) * DAY_MS),
+    endDate: new Date(day + (dateWindowDays + 2) * DAY_MS)
+  });
+
+  return entries
+    .map(entry => ({ ...entry, ...scoreCandidate(line, entry, dateWindowDays) }))
+    .filter(entry => entry.score)
+    .map(entry => ({ ...entry, previouslyRejected: line.rejectedMatches.includes(matchKey(entry.entityType, entry.entityId)) }))
+    .sort((a, b) => b.score - a.score || a.dayDiff - b.dayDiff);
+}
+
+/**
+ * Suggest a match for every unmatched line of a statement. Each system entry is
+ * suggested for at most one line; highest scores are assigned first.
+ */
+async function autoMatchStatement(statementId, { dateWindowDays = DEFAULT_DATE_WINDOW_DAYS } = {}) {
+  const statement = await prisma.bankStatement.findUnique({ where: { id: statementId } });
+  if (!statement) {
+    throw new NotFoundError('Bank statement not found');
+  }
+
+  const lines = await prisma.bankStatementLine.findMany({
+    where: { statementId, status: { in: ['UNMATCHED', 'PROPOSED'] } },
+    orderBy: { transactionDate: 'asc' }
+  });
+  if (lines.length === 0) {
+    return { linesChecked: 0, proposed: 0, unmatched: 0 };
+  }
+
+  const days = lines.map(l => l.transactionDate.getTime());
+  const [entries, proposedElsewhere] = await Promise.all([
+    getUnmatchedSystemEntries({
+      startDate: new Date(Math.min(...days) - (dateWindowDays + 1) * DAY_MS),
+      endDate: new Date(Math.max(...days) + (dateWindowDays + 2) * DAY_MS)
+    }),
+    prisma.bankStatementLine.findMany({
+      where: { status: 'PROPOSED', statementId: { not: statementId } },
+      select: { proposedEntityType: true, proposedEntityId: true }
+    })
+  ]);
+
+  const taken = new Set(proposedElsewhere.map(l => matchKey(l.proposedEntityType, l.proposedEntityId)));
+
+  const pairs = [];
+  for (const line of lines) {
+    for (const entry of entries) {
+      const key = matchKey(entry.entityType, entry.entityId);
+      if (taken.has(key) || line.rejectedMatches.includes(key)) continue;
+
+      const result = scoreCandidate(line, entry, dateWindowDays);
+      if (result) pairs.push({ line, entry, key, ...result });
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score || a.dayDiff - b.dayDiff);
+
+  const assignments = new Map();
+  for (const pair of pairs) {
+    if (assignments.has(pair.line.id) || taken.has(pair.key)) continue;
+    assignments.set(pair.line.id, pair);
+    taken.add(pair.key);
+  }
+
+  await prisma.$transaction(lines.map(line => {
+    const pair = assignments.get(line.id);
+    return prisma.bankStatementLine.update({
+      where: { id: line.id },
+      data: pair
+        ? { status: 'PROPOSED', proposedEntityType: pair.entry.entityType, proposedEntityId: pair.entry.entityId, matchScore: pair.score }
+        : { status: 'UNMATCHED', proposedEntityType: null, proposedEntityId: null, matchScore: null }
+    });
+  }));
+
+  return {
+    linesChecked: lines.length,
+    proposed: assignments.size,
+    unmatched: lines.length - assignments.size
+  };
+}
+
+/**
+ * Set or clear the reconciled flags on a system entry (and, for cash flow, the debtor payments it covers)
+ */
+async function setEntryReconciled(tx, entityType, entityId, reconciled, bankDate) {
+  if (entityType === 'PAYMENT_HISTORY') {
+    await tx.paymentHistory.update({
+      where: { id: entityId },
+      data: { isReconciled: reconciled, reconciliationDate: reconciled ? bankDate : null }
+    });
+    return;
+  }
+
+  const entry = await tx.cashFlow.findUnique({
+    where: { id: entityId },
+    include: { reconciliation: { select: { status: true, businessDate: true } } }
+  });
+
+  // An approved till close-out keeps the entry reconciled when the bank match is undone
+  const closedOut = entry.reconciliation?.status === 'APPROVED';
+  await tx.cashFlow.update({
+    where: { id: entityId },
+    data: reconciled
+      ? { isReconciled: true, reconciliationDate: entry.reconciliationDate || bankDate }
+      : { isReconciled: closedOut, reconciliationDate: closedOut ? entry.reconciliation.businessDate : null }
+  });
+
+  await tx.debtorPayment.updateMany({
+    where: { cashFlowId: entityId },
+    data: { isReconciled: reconciled, reconciliationDate: reconciled ? bankDate : null }
+  });
+}
+
+const getLine = async (lineId) => {
+  const line = await prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+  if (!line) {
+    throw new NotFoundError('Bank statement line not found');
+  }
+  return line;
+};
+
+/**
+ * Confirm a line's suggestion, or match it to an entry the accountant picked
+ */
+async function confirmMatch(lineId, user, { entityType, entityId, notes } = {}, meta = {}) {
+  const line = await getLine(lineId);
+
+  if (line.status === 'MATCHED') {
+    throw new BusinessError('Bank line is already matched', 'LINE_ALREADY_MATCHED');
+  }
+
+  const type = entityType || line.proposedEntityType;
+  const id = entityId || line.proposedEntityId;
+  if (!type || !id) {
+    throw new ValidationError('No suggested match for this line; choose the entry to match it to');
+  }
+  if (!ENTITY_TYPES.includes(type)) {
+    throw new ValidationError(`Entity type must be one of ${ENTITY_TYPES.join(', ')}`);
+  }
+
+  const [entry] = await getUnmatchedSystemEntries({ entityType: type, entityId: id });
+  if (!entry) {
+    const exists = type === 'CASH_FLOW'
+      ? await prisma.cashFlow.findUnique({ where: { id }, select: { id: true } })
+      : await prisma.paymentHistory.findUnique({ where: { id }, select: { id: true } });
+    if (!exists) {
+      throw new NotFoundError('Entry to match not found');
+    }
+    throw new BusinessError('Entry is already matched to a bank line or was not paid through the bank', 'ENTRY_NOT_MATCHABLE');
+  }
+
+  if (Math.abs(parseFloat(line.amount) - entry.amount) >= 0.005) {
+    throw new BusinessError(
+      `Amounts differ: bank ₦${parseFloat(line.amount).toLocaleString()} vs recorded ₦${entry.amount.toLocaleString()}`,
+      'AMOUNT_MISMATCH'
+    );
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.bankStatementLine.update({
+      where: { id: lineId },
+      data: {
+        status: 'MATCHED',
+        cashFlowId: type === 'CASH_FLOW' ? id : null,
+        paymentHistoryId: type === 'PAYMENT_HISTORY' ? id : null,
+        proposedEntityType: null,
+        proposedEntityId: null,
+        matchedBy: user.id,
+        matchedAt: new Date(),
+        notes: notes || line.notes
+      }
+    });
+
+    // The entry may have been suggested on another line
+    await tx.bankStatementLine.updateMany({
+      where: { status: 'PROPOSED', proposedEntityType: type, proposedEntityId: id, id: { not: lineId } },
+      data: { status: 'UNMATCHED', proposedEntityType: null, proposedEntityId: null, matchScore: null }
+    });
+
+    await setEntryReconciled(tx, type, id, true, line.transactionDate);
+
+    await createAuditLog({
+      userId: user.id,
+      action: 'BANK_LINE_MATCH',
+      entity: 'BankStatementLine',
+      entityId: lineId,
+      oldValues: { status: line.status, proposedEntityType: line.proposedEntityType, proposedEntityId: line.proposedEntityId },
+      newValues: { status: 'MATCHED', entityType: type, entityId: id, amount: entry.amount },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    }, tx);
+  });
+
+  return prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+}
+
+/**
+ * Turn down a suggestion; it won't be suggested for this line again
+ */
+async function rejectProposal(lineId, user, meta = {}) {
+  const line = await getLine(lineId);
+
+  if (line.status !== 'PROPOSED') {
+    throw new BusinessError('Bank line has no suggested match', 'INVALID_STATUS');
+  }
+
+  const rejected = matchKey(line.proposedEntityType, line.proposedEntityId);
+  const updated = await prisma.bankStatementLine.update({
+    where: { id: lineId },
+    data: {
+      status: 'UNMATCHED',
+      proposedEntityType: null,
+      proposedEntityId: null,
+      matchScore: null,
+      rejectedMatches: { push: rejected }
+    }
+  });
+
+  await createAuditLog({
+    userId: user.id,
+    action: 'BANK_LINE_REJECT_MATCH',
+    entity: 'BankStatementLine',
+    entityId: lineId,
+    oldValues: { proposed: rejected, matchScore: line.matchScore },
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent
+  });
+
+  return updated;
+}
+
+/**
+ * Set aside a line that has no system counterpart (bank charges, interest, transfers between accounts)
+ */
+async function ignoreLine(lineId, user, reason, meta = {}) {
+  const line = await getLine(lineId);
+
+  if (line.status === 'MATCHED') {
+    throw new BusinessError('Unmatch the line before ignoring it', 'LINE_ALREADY_MATCHED');
+  }
+
+  const updated = await prisma.bankStatementLine.update({
+    where: { id: lineId },
+    data: {
+      status: 'IGNORED',
+      proposedEntityType: null,
+      proposedEntityId: null,
+      matchScore: null,
+      matchedBy: user.id,
+      matchedAt: new Date(),
+      notes: reason
+    }
+  });
+
+  await createAuditLog({
+    userId: user.id,
+    action: 'BANK_LINE_IGNORE',
+    entity: 'BankStatementLine',
+    entityId: lineId,
+    oldValues: { status: line.status },
+    newValues: { status: 'IGNORED', reason },
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent
+  });
+
+  return updated;
+}
+
+/**
+ * Undo a confirmed match or an ignore; the entry becomes unreconciled again
+ */
+async function unmatchLine(lineId, user, meta = {}) {
+  const line = await getLine(lineId);
+
+  if (!['MATCHED', 'IGNORED'].includes(line.status)) {
+    throw new BusinessError('Bank line is not matched', 'INVALID_STATUS');
+  }
+
+  const type = line.cashFlowId ? 'CASH_FLOW' : line.paymentHistoryId ? 'PAYMENT_HISTORY' : null;
+  const id = line.cashFlowId || line.paymentHistoryId;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.bankStatementLine.update({
+      where: { id: lineId },
+      data: {
+        status: 'UNMATCHED',
+        cashFlowId: null,
+        paymentHistoryId: null,
+        matchedBy: null,
+        matchedAt: null
+      }
+    });
+
+    if (type) {
+      await setEntryReconciled(tx, type, id, false);
+    }
+
+    await createAuditLog({
+      userId: user.id,
+      action: 'BANK_LINE_UNMATCH',
+      entity: 'BankStatementLine',
+      entityId: lineId,
+      oldValues: { status: line.status, entityType: type, entityId: id },
+      newValues: { status: 'UNMATCHED' },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    }, tx);
+  });
+
+  return prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+}
+
+/**
+ * Confirm every suggestion on a statement scoring at least `minScore`
+ */
+async function confirmProposals(statementId, user, { minScore = 80 } = {}, meta = {}) {
+  const lines = await prisma.bankStatementLine.findMany({
+    where: { statementId, status: 'PROPOSED', matchScore: { gte: minScore } },
+    select: { id: true }
+  });
+
+  const failed = [];
+  for (const line of lines) {
+    try {
+      await confirmMatch(line.id, user, {}, meta);
+    } catch (error) {
+      failed.push({ lineId: line.id, message: error.message });
+    }
+  }
+
+  return { confirmed: lines.length - failed.length, failed };
+}
+
+/**
+ * Statement totals by line status
+ */
+async function getStatementSummary(statementId) {
+  const groups = await prisma.bankStatementLine.groupBy({
+    by: ['status'],
+    where: { statementId },
+    _count: { _all: true },
+    _sum: { amount: true }
+  });
+
+  const summary = Object.fromEntries(['UNMATCHED', 'PROPOSED', 'MATCHED', 'IGNORED'].map(status => {
+    const group = groups.find(g => g.status === status);
+    return [status.toLowerCase(), {
+      count: group?._count._all || 0,
+      amount: round(parseFloat(group?._sum.amount || 0))
+    }];
+  }));
+
+  const total = Object.values(summary).reduce((sum, s) => sum + s.count, 0);
+  summary.total = total;
+  summary.percentReconciled = total > 0
+    ? round(((summary.matched.count + summary.ignored.count) / total) * 100)
+    : 0;
+
+  return summary;
+}
+
+module.exports = {
+  BANK_RECONCILIATION_ROLES,
+  BANK_PAYMENT_METHODS,
+  ENTITY_TYPES,
+  DEFAULT_DATE_WINDOW_DAYS,
+  importStatement,
+  getUnmatchedSystemEntries,
+  getLineCandidates,
+  autoMatchStatement,
+  confirmMatch,
+  rejectProposal,
+  ignoreLine,
+  unmatchLine,
+  confirmProposals,
+  getStatementSummary
+};
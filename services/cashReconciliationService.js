@@ -0,0 +1,347 @@
+/**
+ * Cash Reconciliation Service
+ *
+ * End-of-day till close-out per cashier and module (WAREHOUSE / TRANSPORT):
+ * 1. Expected totals per payment method come from the day's CashFlow entries
+ *    (CASH_IN, SALE and ADJUSTMENT in; CASH_OUT and EXPENSE out)
+ * 2. The cashier submits counted cash and bank/POS settlement figures; any
+ *    variance needs a reason. The day's entries are linked to the close-out.
+ * 3. A supervisor (not the cashier) approves, which marks the entries
+ *    reconciled, or rejects, which unlinks them for a resubmission.
+ *
+ * Entries linked to a close-out can't be edited or deleted (assertCashFlowEditable).
+ */
+
+const prisma = require('../lib/prisma');
+const { BusinessError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+
+const CASH_MODULES = ['WAREHOUSE', 'TRANSPORT'];
+const SUPERVISOR_ROLES = ['MANAGING_DIRECTOR', 'GENERAL_MANAGER', 'ACCOUNTANT'];
+
+const INFLOW_TYPES = ['CASH_IN', 'SALE', 'ADJUSTMENT'];
+const OUTFLOW_TYPES = ['CASH_OUT', 'EXPENSE'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Start and end of a business day (server local time), plus the DATE value stored on the close-out
+ */
+const getDayRange = (date) => {
+  // A plain YYYY-MM-DD is a local calendar day, not UTC midnight
+  const match = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const start = match ? new Date(+match[1], +match[2] - 1, +match[3]) : new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const y = start.getFullYear();
+  const m = String(start.getMonth() + 1).padStart(2, '0');
+  const d = String(start.getDate()).padStart(2, '0');
+
+  return { start, end, businessDate: new Date(`${y}-${m}-${d}T00:00:00.000Z`) };
+};
+
+/**
+ * The day's cash flow entries for a cashier and module, totalled per payment method
+ */
+async function getExpectedTotals({ date, module, cashier }, client = prisma) {
+  const { start, end } = getDayRange(date);
+
+  const entries = await client.cashFlow.findMany({
+    where: {
+      module,
+      cashier,
+      createdAt: { gte: start, lt: end }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const byMethod = new Map();
+  for (const entry of entries) {
+    if (!byMethod.has(entry.paymentMethod)) {
+      byMethod.set(entry.paymentMethod, { paymentMethod: entry.paymentMethod, expectedIn: 0, expectedOut: 0, entryCount: 0 });
+    }
+    const line = byMethod.get(entry.paymentMethod);
+    const amount = parseFloat(entry.amount);
+
+    if (OUTFLOW_TYPES.includes(entry.transactionType)) {
+      line.expectedOut += amount;
+    } else if (INFLOW_TYPES.includes(entry.transactionType)) {
+      line.expectedIn += amount;
+    }
+    line.entryCount += 1;
+  }
+
+  const lines = [...byMethod.values()].map(line => ({
+    ...line,
+    expectedIn: round(line.expectedIn),
+    expectedOut: round(line.expectedOut),
+    expectedAmount: round(line.expectedIn - line.expectedOut)
+  }));
+
+  return {
+    entries,
+    lines,
+    expectedTotal: round(lines.reduce((sum, l) => sum + l.expectedAmount, 0)),
+    entryCount: entries.length
+  };
+}
+
+/**
+ * Submit (or resubmit after rejection) a cashier's close-out for a day
+ * @param {object} params - { date, module, cashier, counts: [{ paymentMethod, countedAmount, varianceReason }], notes, userId }
+ */
+async function submitCloseOut({ date, module, cashier, counts, notes, userId }) {
+  const { start, businessDate } = getDayRange(date);
+  if (start > new Date()) {
+    throw new ValidationError('Cannot close out a future date');
+  }
+
+  const existing = await prisma.cashReconciliation.findUnique({
+    where: { businessDate_module_cashier: { businessDate, module, cashier } }
+  });
+  if (existing && existing.status !== 'REJECTED') {
+    throw new BusinessError(
+      `This till was already closed out for the day (${existing.reconciliationNumber}, ${existing.status})`,
+      'ALREADY_CLOSED_OUT'
+    );
+  }
+
+  const expected = await getExpectedTotals({ date, module, cashier });
+
+  const countsByMethod = new Map(counts.map(c => [c.paymentMethod, c]));
+  const missing = expected.lines.filter(l => l.expectedAmount !== 0 && !countsByMethod.has(l.paymentMethod));
+  if (missing.length > 0) {
+    throw new ValidationError(`Enter the counted amount for ${missing.map(l => l.paymentMethod).join(', ')}`);
+  }
+
+  const methods = [...new Set([...expected.lines.map(l => l.paymentMethod), ...countsByMethod.keys()])];
+  const lines = methods.map(paymentMethod => {
+    const exp = expected.lines.find(l => l.paymentMethod === paymentMethod) || { expectedIn: 0, expectedOut: 0, expectedAmount: 0 };
+    const count = countsByMethod.get(paymentMethod);
+    const countedAmount = round(parseFloat(count?.countedAmount || 0));
+
+    return {
+      paymentMethod,
+      expectedIn: exp.expectedIn,
+      expectedOut: exp.expectedOut,
+      expectedAmount: exp.expectedAmount,
+      countedAmount,
+      variance: round(countedAmount - exp.expectedAmount),
+      varianceReason: count?.varianceReason?.trim() || null
+    };
+  });
+
+  const unexplained = lines.filter(l => Math.abs(l.variance) >= 0.01 && !l.varianceReason);
+  if (unexplained.length > 0) {
+    throw new ValidationError(
+      `A reason is required for the variance on ${unexplained.map(l => `${l.paymentMethod} (₦${l.variance.toLocaleString()})`).join(', ')}`
+    );
+  }
+
+  const countedTotal = round(lines.reduce((sum, l) => sum + l.countedAmount, 0));
+
+  const reconciliation = await prisma.$transaction(async (tx) => {
+    const data = {
+      status: 'SUBMITTED',
+      expectedTotal: expected.expectedTotal,
+      countedTotal,
+      variance: round(countedTotal - expected.expectedTotal),
+      entryCount: expected.entryCount,
+      notes: notes || null,
+      submittedAt: new Date(),
+      approvedBy: null,
+      approvedAt: null,
+      approvalNotes: null,
+      rejectionReason: null
+    };
+
+    let record;
+    if (existing) {
+      await tx.cashReconciliationLine.deleteMany({ where: { reconciliationId: existing.id } });
+      record = await tx.cashReconciliation.update({
+        where: { id: existing.id },
+        data: { ...data, lines: { create: lines } }
+      });
+    } else {
+      record = await tx.cashReconciliation.create({
+        data: {
+          ...data,
+          reconciliationNumber: await generateDocumentNumber('ZR', 'cashReconciliation', 'reconciliationNumber', tx),
+          businessDate,
+          module,
+          cashier,
+          lines: { create: lines }
+        }
+      });
+    }
+
+    if (expected.entries.length > 0) {
+      await tx.cashFlow.updateMany({
+        where: { id: { in: expected.entries.map(e => e.id) } },
+        data: { reconciliationId: record.id }
+      });
+    }
+
+    await createAuditLog({
+      userId,
+      action: existing ? 'CASH_CLOSE_OUT_RESUBMIT' : 'CASH_CLOSE_OUT_SUBMIT',
+      entity: 'CashReconciliation',
+      entityId: record.id,
+      newValues: {
+        reconciliationNumber: record.reconciliationNumber,
+        module,
+        cashier,
+        expectedTotal: expected.expectedTotal,
+        countedTotal,
+        variance: data.variance,
+        lines
+      }
+    }, tx);
+
+    return record;
+  });
+
+  return getCloseOut(reconciliation.id);
+}
+
+async function getCloseOut(id) {
+  const reconciliation = await prisma.cashReconciliation.findUnique({
+    where: { id },
+    include: {
+      lines: { orderBy: { paymentMethod: 'asc' } },
+      cashierUser: { select: { id: true, username: true } },
+      approverUser: { select: { id: true, username: true } }
+    }
+  });
+  if (!reconciliation) {
+    throw new NotFoundError('Close-out not found');
+  }
+  return reconciliation;
+}
+
+/**
+ * Supervisor sign-off: marks the linked entries reconciled
+ */
+async function approveCloseOut(id, user, approvalNotes = null) {
+  const reconciliation = await getCloseOut(id);
+
+  if (reconciliation.status !== 'SUBMITTED') {
+    throw new BusinessError(`Close-out is ${reconciliation.status.toLowerCase()}`, 'INVALID_STATUS');
+  }
+  if (reconciliation.cashier === user.id) {
+    throw new BusinessError('A close-out must be signed off by someone other than the cashier', 'SELF_APPROVAL_NOT_ALLOWED');
+  }
+
+  // Entries posted or removed after submission would make the figures wrong
+  const expected = await getExpectedTotals({
+    date: reconciliation.businessDate.toISOString().split('T')[0],
+    module: reconciliation.module,
+    cashier: reconciliation.cashier
+  });
+  if (expected.entryCount !== reconciliation.entryCount ||
+      expected.expectedTotal !== parseFloat(reconciliation.expectedTotal)) {
+    throw new BusinessError(
+      `Cash flow for the day changed after submission (${reconciliation.entryCount} → ${expected.entryCount} entries). Reject and resubmit the close-out.`,
+      'CLOSE_OUT_STALE'
+    );
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.cashReconciliation.update({
+      where: { id },
+      data: {
+        status: 'APPROVED',
+        approvedBy: user.id,
+        approvedAt: new Date(),
+        approvalNotes
+      }
+    });
+
+    await tx.cashFlow.updateMany({
+      where: { reconciliationId: id },
+      data: { isReconciled: true, reconciliationDate: reconciliation.businessDate }
+    });
+
+    await createAuditLog({
+      userId: user.id,
+      action: 'CASH_CLOSE_OUT_APPROVE',
+      entity: 'CashReconciliation',
+      entityId: id,
+      oldValues: { status: reconciliation.status },
+      newValues: { status: 'APPROVED', variance: parseFloat(reconciliation.variance), approvalNotes }
+    }, tx);
+  });
+
+  return getCloseOut(id);
+}
+
+/**
+ * Send a close-out back to the cashier; entries are unlocked for correction
+ */
+async function rejectCloseOut(id, user, reason) {
+  const reconciliation = await getCloseOut(id);
+
+  if (reconciliation.status !== 'SUBMITTED') {
+    throw new BusinessError(`Close-out is ${reconciliation.status.toLowerCase()}`, 'INVALID_STATUS');
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.cashReconciliation.update({
+      where: { id },
+      data: { status: 'REJECTED', rejectionReason: reason }
+    });
+
+    await tx.cashFlow.updateMany({
+      where: { reconciliationId: id },
+      data: { reconciliationId: null }
+    });
+
+    await createAuditLog({
+      userId: user.id,
+      action: 'CASH_CLOSE_OUT_REJECT',
+      entity: 'CashReconciliation',
+      entityId: id,
+      oldValues: { status: reconciliation.status },
+      newValues: { status: 'REJECTED', rejectionReason: reason }
+    }, tx);
+  });
+
+  return getCloseOut(id);
+}
+
+/**
+ * Throw if any cash flow entry matching `where` has been closed out
+ */
+async function assertCashFlowEditable(client, where) {
+  const locked = await client.cashFlow.findFirst({
+    where: {
+      ...where,
+      OR: [{ isReconciled: true }, { reconciliationId: { not: null } }]
+    },
+    select: { reconciliation: { select: { reconciliationNumber: true } } }
+  });
+
+  if (locked) {
+    throw new BusinessError(
+      `Cash flow has been closed out${locked.reconciliation ? ` on ${locked.reconciliation.reconciliationNumber}` : ''} and can no longer be changed`,
+      'CASH_FLOW_LOCKED'
+    );
+  }
+}
+
+module.exports = {
+  CASH_MODULES,
+  SUPERVISOR_ROLES,
+  INFLOW_TYPES,
+  OUTFLOW_TYPES,
+  getDayRange,
+  getExpectedTotals,
+  submitCloseOut,
+  getCloseOut,
+  approveCloseOut,
+  rejectCloseOut,
+  assertCashFlowEditable
+};
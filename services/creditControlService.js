@@ -0,0 +1,377 @@
+/**
+ * Credit Control Service
+ *
+ * Decides whether a customer may take more goods on credit:
+ * - the sale must fit within the customer's credit limit
+ * - no debts overdue by more than overdueGraceDays
+ * - (warehouse) payment reliability score at or above minReliabilityScore
+ * - (warehouse) the customer isn't on credit hold
+ *
+ * Warehouse customers are put on credit hold automatically while they have
+ * overdue Debtor records, and released once those are settled. Holds placed
+ * by a manager (creditHoldBy set) are only lifted by a manager.
+ *
+ * A failed check can be overridden by a manager with a reason; overrides are
+ * audit-logged as CREDIT_OVERRIDE.
+ *
+ * Thresholds are stored in SystemConfig under "credit_control_policy".
+ */
+
+const prisma = require('../lib/prisma');
+const { BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+
+const CREDIT_POLICY_KEY = 'credit_control_policy';
+
+const DEFAULT_CREDIT_POLICY = {
+  overdueGraceDays: 0,          // days past the due date before a debt blocks new credit
+  minReliabilityScore: 50,      // warehouse paymentReliabilityScore (0-100)
+  distributionOverdueDays: 30   // distribution order balances older than this count as overdue
+};
+
+const CREDIT_OVERRIDE_ROLES = ['MANAGING_DIRECTOR', 'GENERAL_MANAGER'];
+
+const OPEN_DEBTOR_STATUSES = ['OUTSTANDING', 'PARTIAL', 'OVERDUE'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let _policyCache = null;
+let _policyCacheTime = 0;
+const POLICY_CACHE_TTL = 60 * 1000;
+
+// Unlike the lockout policy, 0 is a meaningful value here (no grace period / no minimum score)
+const normalizePolicy = (value) => {
+  const policy = { ...DEFAULT_CREDIT_POLICY };
+  if (!value || typeof value !== 'object') return policy;
+
+  for (const key of Object.keys(DEFAULT_CREDIT_POLICY)) {
+    const num = Number(value[key]);
+    if (value[key] !== null && value[key] !== undefined && Number.isFinite(num) && num >= 0) {
+      policy[key] = num;
+    }
+  }
+  return policy;
+};
+
+async function getCreditPolicy() {
+  if (_policyCache && Date.now() - _policyCacheTime < POLICY_CACHE_TTL) {
+    return _policyCache;
+  }
+
+  try {
+    const row = await prisma.systemConfig.findUnique({ where: { key: CREDIT_POLICY_KEY } });
+    _policyCache = normalizePolicy(row?.value);
+  } catch (error) {
+    console.error('Failed to load credit policy, using defaults:', error.message);
+    _policyCache = _policyCache || { ...DEFAULT_CREDIT_POLICY };
+  }
+  _policyCacheTime = Date.now();
+
+  return _policyCache;
+}
+
+const invalidateCreditPolicyCache = () => {
+  _policyCache = null;
+  _policyCacheTime = 0;
+};
+
+const formatNaira = (amount) => `₦${amount.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Open debtor records past their due date (plus grace days)
+ */
+async function getOverdueDebtors(customerId, policy, client = prisma, now = new Date()) {
+  const cutoff = new Date(now.getTime() - policy.overdueGraceDays * DAY_MS);
+
+  return client.debtor.findMany({
+    where: {
+      warehouseCustomerId: customerId,
+      status: { in: OPEN_DEBTOR_STATUSES },
+      amountDue: { gt: 0 },
+      dueDate: { lt: cutoff }
+    },
+    select: { id: true, amountDue: true, dueDate: true, receiptId: true, saleId: true },
+    orderBy: { dueDate: 'asc' }
+  });
+}
+
+const describeOverdue = (overdueDebtors) => {
+  const total = overdueDebtors.reduce((sum, d) => sum + parseFloat(d.amountDue), 0);
+  return `${overdueDebtors.length} overdue debt(s) totalling ${formatNaira(total)}`;
+};
+
+/**
+ * Place or release the automatic credit hold for a warehouse customer.
+ * Manual holds are left alone.
+ * @returns {object|null} { creditHold, creditHoldReason, changed }
+ */
+async function refreshCreditHold(customerId, client = prisma) {
+  const customer = await client.warehouseCustomer.findUnique({
+    where: { id: customerId },
+    select: { id: true, creditHold: true, creditHoldReason: true, creditHoldBy: true }
+  });
+  if (!customer) return null;
+
+  if (customer.creditHold && customer.creditHoldBy) {
+    return { creditHold: true, creditHoldReason: customer.creditHoldReason, changed: false };
+  }
+
+  const policy = await getCreditPolicy();
+  const overdueDebtors = await getOverdueDebtors(customerId, policy, client);
+
+  if (overdueDebtors.length > 0) {
+    const reason = `Automatic: ${describeOverdue(overdueDebtors)}`;
+    if (customer.creditHold && customer.creditHoldReason === reason) {
+      return { creditHold: true, creditHoldReason: reason, changed: false };
+    }
+
+    await client.warehouseCustomer.update({
+      where: { id: customerId },
+      data: {
+        creditHold: true,
+        creditHoldReason: reason,
+        creditHoldAt: customer.creditHold ? undefined : new Date(),
+        creditHoldBy: null
+      }
+    });
+    return { creditHold: true, creditHoldReason: reason, changed: !customer.creditHold };
+  }
+
+  if (customer.creditHold) {
+    await client.warehouseCustomer.update({
+      where: { id: customerId },
+      data: { creditHold: false, creditHoldReason: null, creditHoldAt: null, creditHoldBy: null }
+    });
+    return { creditHold: false, creditHoldReason: null, changed: true };
+  }
+
+  return { creditHold: false, creditHoldReason: null, changed: false };
+}
+
+/**
+ * Refresh the automatic hold for every customer with open debts or an automatic hold
+ */
+async function refreshAllCreditHolds() {
+  const customers = await prisma.warehouseCustomer.findMany({
+    where: {
+      OR: [
+        { debtors: { some: { status: { in: OPEN_DEBTOR_STATUSES }, amountDue: { gt: 0 } } } },
+        { creditHold: true, creditHoldBy: null }
+      ]
+    },
+    select: { id: true }
+  });
+
+  let placed = 0;
+  let released = 0;
+
+  for (const { id } of customers) {
+    const result = await refreshCreditHold(id);
+    if (result?.changed) {
+      if (result.creditHold) placed++;
+      else released++;
+    }
+  }
+
+  return { customersChecked: customers.length, placed, released };
+}
+
+/**
+ * Credit checks for a warehouse sale that leaves `creditAmount` unpaid
+ * @returns {object} { allowed, failures: [{ code, message }], customer, creditLimit, outstandingDebt, availableCredit, overdueDebtors }
+ */
+async function checkWarehouseCredit(customerId, creditAmount = 0, client = prisma) {
+  const policy = await getCreditPolicy();
+
+  await refreshCreditHold(customerId, client);
+
+  const customer = await client.warehouseCustomer.findUnique({
+    where: { id: customerId },
+    select: {
+      id: true,
+      name: true,
+      creditLimit: true,
+      outstandingDebt: true,
+      paymentReliabilityScore: true,
+      creditHold: true,
+      creditHoldReason: true
+    }
+  });
+
+  const failures = [];
+  const outstandingDebt = parseFloat(customer.outstandingDebt || 0);
+  const creditLimit = customer.creditLimit !== null ? parseFloat(customer.creditLimit) : null;
+  const availableCredit = creditLimit !== null ? round(creditLimit - outstandingDebt) : null;
+  const overdueDebtors = await getOverdueDebtors(customerId, policy, client);
+
+  if (customer.creditHold) {
+    failures.push({
+      code: 'CREDIT_HOLD',
+      message: `${customer.name} is on credit hold${customer.creditHoldReason ? ` (${customer.creditHoldReason})` : ''}`
+    });
+  }
+
+  if (creditLimit !== null && creditAmount > availableCredit) {
+    failures.push({
+      code: 'CREDIT_LIMIT_EXCEEDED',
+      message: `Credit of ${formatNaira(creditAmount)} exceeds available credit of ${formatNaira(Math.max(0, availableCredit))} (limit ${formatNaira(creditLimit)})`
+    });
+  }
+
+  if (overdueDebtors.length > 0) {
+    failures.push({
+      code: 'OVERDUE_DEBT',
+      message: `Customer has ${describeOverdue(overdueDebtors)}`
+    });
+  }
+
+  const reliability = parseFloat(customer.paymentReliabilityScore);
+  if (reliability < policy.minReliabilityScore) {
+    failures.push({
+      code: 'LOW_RELIABILITY',
+      message: `Payment reliability score ${reliability.toFixed(0)}% is below the ${policy.minReliabilityScore}% minimum`
+    });
+  }
+
+  return {
+    allowed: failures.length === 0,
+    failures,
+    customer: { id: customer.id, name: customer.name },
+    creditLimit,
+    outstandingDebt: round(outstandingDebt),
+    availableCredit,
+    requestedCredit: round(creditAmount),
+    creditHold: customer.creditHold,
+    creditHoldReason: customer.creditHoldReason,
+    paymentReliabilityScore: reliability,
+    overdueDebtors: overdueDebtors.map(d => ({
+      id: d.id,
+      amountDue: parseFloat(d.amountDue),
+      dueDate: d.dueDate
+    }))
+  };
+}
+
+/**
+ * Credit checks for a distribution order. Outstanding debt is the unpaid balance of the
+ * customer's open orders; orders older than distributionOverdueDays count as overdue.
+ */
+async function checkDistributionCredit(customer, orderAmount = 0, client = prisma) {
+  const policy = await getCreditPolicy();
+  const overdueCutoff = new Date(Date.now() - policy.distributionOverdueDays * DAY_MS);
+
+  const openOrders = await client.distributionOrder.findMany({
+    where: {
+      customerId: customer.id,
+      balance: { gt: 0 },
+      status: { not: 'CANCELLED' }
+    },
+    select: { id: true, orderNumber: true, balance: true, createdAt: true }
+  });
+
+  const outstandingDebt = openOrders.reduce((sum, o) => sum + parseFloat(o.balance), 0);
+  const overdueOrders = openOrders.filter(o => o.createdAt < overdueCutoff);
+  const overdueAmount = overdueOrders.reduce((sum, o) => sum + parseFloat(o.balance), 0);
+
+  const creditLimit = customer.creditLimit !== null ? parseFloat(customer.creditLimit) : null;
+  const availableCredit = creditLimit !== null ? round(creditLimit - outstandingDebt) : null;
+
+  const failures = [];
+
+  if (creditLimit !== null && orderAmount > availableCredit) {
+    failures.push({
+      code: 'CREDIT_LIMIT_EXCEEDED',
+      message: `Order of ${formatNaira(orderAmount)} exceeds available credit of ${formatNaira(Math.max(0, availableCredit))} (limit ${formatNaira(creditLimit)})`
+    });
+  }
+
+  if (overdueOrders.length > 0) {
+    failures.push({
+      code: 'OVERDUE_DEBT',
+      message: `Customer has ${overdueOrders.length} order(s) unpaid for over ${policy.distributionOverdueDays} days totalling ${formatNaira(overdueAmount)}`
+    });
+  }
+
+  return {
+    allowed: failures.length === 0,
+    failures,
+    customer: { id: customer.id, name: customer.name },
+    creditLimit,
+    outstandingDebt: round(outstandingDebt),
+    availableCredit,
+    requestedCredit: round(orderAmount),
+    overdueOrders: overdueOrders.map(o => ({
+      id: o.id,
+      orderNumber: o.orderNumber,
+      balance: parseFloat(o.balance),
+      createdAt: o.createdAt
+    }))
+  };
+}
+
+/**
+ * Throw unless the credit check passed or a manager overrides it with a reason
+ * @param {object} creditCheck - result of checkWarehouseCredit / checkDistributionCredit
+ * @param {object} user - req.user
+ * @param {string} overrideReason - creditOverrideReason from the request body
+ * @returns {object|null} override details to log once the document exists, or null if not needed
+ */
+function enforceCreditCheck(creditCheck, user, overrideReason) {
+  if (creditCheck.allowed) return null;
+
+  const summary = creditCheck.failures.map(f => f.message).join('; ');
+
+  if (!overrideReason || !String(overrideReason).trim()) {
+    throw new BusinessError(
+      `Credit check failed: ${summary}. A manager can override with a reason.`,
+      'CREDIT_CHECK_FAILED'
+    );
+  }
+
+  if (!CREDIT_OVERRIDE_ROLES.includes(user.role)) {
+    throw new BusinessError(
+      `Credit check failed: ${summary}. Only a Managing Director or General Manager can override.`,
+      'CREDIT_OVERRIDE_NOT_ALLOWED'
+    );
+  }
+
+  return {
+    reason: String(overrideReason).trim(),
+    failedChecks: creditCheck.failures.map(f => f.code),
+    failures: creditCheck.failures,
+    creditLimit: creditCheck.creditLimit,
+    outstandingDebt: creditCheck.outstandingDebt,
+    requestedCredit: creditCheck.requestedCredit
+  };
+}
+
+/**
+ * Audit-log a manager override against the document it allowed
+ */
+async function logCreditOverride(override, { userId, entity, entityId, customerId, ipAddress, userAgent }) {
+  return createAuditLog({
+    userId,
+    action: 'CREDIT_OVERRIDE',
+    entity,
+    entityId,
+    newValues: { customerId, ...override },
+    ipAddress,
+    userAgent
+  });
+}
+
+module.exports = {
+  CREDIT_POLICY_KEY,
+  DEFAULT_CREDIT_POLICY,
+  CREDIT_OVERRIDE_ROLES,
+  getCreditPolicy,
+  invalidateCreditPolicyCache,
+  refreshCreditHold,
+  refreshAllCreditHolds,
+  checkWarehouseCredit,
+  checkDistributionCredit,
+  enforceCreditCheck,
+  logCreditOverride
+};
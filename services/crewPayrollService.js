@@ -0,0 +1,831 @@
+/**
+ * Crew Payroll Service
+ *
+ * Drivers and motor boys, their assignment to trips (transport orders and
+ * truck loads), and trip-based payroll runs.
+ *
+ * - A trip is payable once it is done: a transport order DELIVERED or
+ *   PARTIALLY_DELIVERED (dated by deliveryDate, else createdAt), or a truck load
+ *   COMPLETED (dated by createdAt).
+ * - Pay comes from the SalaryRate in force on the trip date for the trip's
+ *   location: drivers get driverWages + tripAllowance, motor boys motorBoyWages.
+ *   A truck load dropping at several locations pays at the dearest of them.
+ * - A payroll run picks up every unpaid trip and every pending deduction dated
+ *   up to its end, so trips completed after an earlier run are paid by the next. Deductions are taken whole, oldest first,
+ *   while they fit in the gross pay; the rest carry forward to the next run.
+ * - Trips and deductions on a run's payslips are released again if the run is
+ *   recalculated (DRAFT) or cancelled.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, ValidationError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+const { getSalaryRateAsOf } = require('./ratePricingService');
+
+const CREW_ROLES = ['DRIVER', 'MOTOR_BOY'];
+const CREW_STATUSES = ['ACTIVE', 'ON_LEAVE', 'SUSPENDED', 'TERMINATED'];
+const DEDUCTION_TYPES = ['ADVANCE', 'LOAN_REPAYMENT', 'FINE', 'DAMAGE', 'OTHER'];
+const PAYROLL_RUN_STATUSES = ['DRAFT', 'APPROVED', 'PAID', 'CANCELLED'];
+
+const PAYABLE_ORDER_STATUSES = ['DELIVERED', 'PARTIALLY_DELIVERED'];
+const LICENCE_WARNING_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const CREW_FIELDS = [
+  'fullName', 'phone', 'address', 'staffNumber',
+  'licenceNumber', 'licenceClass',
+  'guarantorName', 'guarantorPhone', 'guarantorAddress', 'guarantorRelationship',
+  'bankName', 'accountNumber', 'accountName', 'notes'
+];
+
+// ================================
+// CREW MEMBERS
+// ================================
+
+/**
+ * VALID, EXPIRING (within 30 days), EXPIRED or MISSING; null for crew who do not drive
+ */
+const licenceStatus = (member, at = new Date()) => {
+  if (member.role !== 'DRIVER') return null;
+  if (!member.licenceExpiry) return 'MISSING';
+  const expiry = new Date(member.licenceExpiry);
+  if (expiry < at) return 'EXPIRED';
+  if (expiry - at <= LICENCE_WARNING_DAYS * DAY_MS) return 'EXPIRING';
+  return 'VALID';
+};
+
+const withLicenceStatus = (member) => ({ ...member, licenceStatus: licenceStatus(member) });
+
+const assertDriverLicence = (member) => {
+  if (member.role === 'DRIVER' && (!member.licenceNumber || !member.licenceExpiry)) {
+    throw new ValidationError('Drivers need a licence number and licence expiry date');
+  }
+};
+
+async function findCrewMember(id, client = prisma) {
+  const member = await client.crewMember.findUnique({ where: { id } });
+  if (!member) {
+    throw new NotFoundError('Crew member not found');
+  }
+  return member;
+}
+
+async function listCrewMembers({ role, status, search, licenceExpiringWithinDays } = {}) {
+  const where = {};
+  if (role) where.role = role;
+  if (status) where.status = status;
+  if (search) {
+    where.OR = [
+      { fullName: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search } },
+      { staffNumber: { contains: search, mode: 'insensitive' } },
+      { licenceNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+  if (licenceExpiringWithinDays !== undefined && licenceExpiringWithinDays !== null) {
+    where.role = 'DRIVER';
+    where.licenceExpiry = { lte: new Date(Date.now() + parseInt(licenceExpiringWithinDays) * DAY_MS) };
+  }
+
+  const members = await prisma.crewMember.findMany({
+    where,
+    include: {
+      _count: { select: { assignments: { where: { payslipId: null } }, deductions: { where: { payslipId: null } } } }
+    },
+    orderBy: [{ role: 'asc' }, { fullName: 'asc' }]
+  });
+
+  return members.map(({ _count, ...member }) => ({
+    ...withLicenceStatus(member),
+    unpaidTrips: _count.assignments,
+    pendingDeductions: _count.deductions
+  }));
+}
+
+async function getCrewMember(id) {
+  const member = await prisma.crewMember.findUnique({
+    where: { id },
+    include: {
+      creator: { select: { id: true, username: true } },
+      assignments: {
+        include: {
+          transportOrder: { select: { id: true, orderNumber: true, deliveryStatus: true, deliveryDate: true, createdAt: true, location: { select: { name: true } } } },
+          truckLoad: { select: { id: true, loadNumber: true, status: true, createdAt: true } }
+        },
+        orderBy: { assignedAt: 'desc' },
+        take: 50
+      },
+      deductions: { orderBy: { deductionDate: 'desc' }, take: 50 },
+      payslips: {
+        include: { payrollRun: { select: { id: true, runNumber: true, periodStart: true, periodEnd: true, status: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: 12
+      }
+    }
+  });
+  if (!member) {
+    throw new NotFoundError('Crew member not found');
+  }
+
+  const pendingDeductions = member.deductions
+    .filter(d => !d.payslipId)
+    .reduce((sum, d) => sum + parseFloat(d.amount), 0);
+
+  return { ...withLicenceStatus(member), pendingDeductions: round(pendingDeductions) };
+}
+
+async function createCrewMember(input, userId, requestMeta = {}) {
+  assertDriverLicence(input);
+
+  const data = { role: input.role, createdBy: userId };
+  CREW_FIELDS.forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field] || null;
+  });
+  if (input.licenceExpiry) data.licenceExpiry = new Date(input.licenceExpiry);
+  if (input.hireDate) data.hireDate = new Date(input.hireDate);
+
+  if (data.staffNumber) {
+    const existing = await prisma.crewMember.findUnique({ where: { staffNumber: data.staffNumber } });
+    if (existing) {
+      throw new BusinessError('Staff number already in use', 'STAFF_NUMBER_EXISTS');
+    }
+  }
+
+  const member = await prisma.crewMember.create({ data });
+
+  await createAuditLog({
+    userId,
+    action: 'CREW_MEMBER_CREATED',
+    entity: 'CrewMember',
+    entityId: member.id,
+    newValues: { role: member.role, fullName: member.fullName, phone: member.phone, licenceNumber: member.licenceNumber },
+    ...requestMeta
+  });
+
+  return withLicenceStatus(member);
+}
+
+async function updateCrewMember(id, input, userId, requestMeta = {}) {
+  const existing = await findCrewMember(id);
+
+  const data = {};
+  CREW_FIELDS.forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field] || null;
+  });
+  ['role', 'status'].forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field];
+  });
+  if (input.licenceExpiry !== undefined) data.licenceExpiry = input.licenceExpiry ? new Date(input.licenceExpiry) : null;
+  if (input.hireDate !== undefined) data.hireDate = input.hireDate ? new Date(input.hireDate) : null;
+
+  assertDriverLicence({ ...existing, ...data });
+
+  if (data.staffNumber && data.staffNumber !== existing.staffNumber) {
+    const taken = await prisma.crewMember.findUnique({ where: { staffNumber: data.staffNumber } });
+    if (taken) {
+      throw new BusinessError('Staff number already in use', 'STAFF_NUMBER_EXISTS');
+    }
+  }
+
+  const member = await prisma.crewMember.update({ where: { id }, data });
+
+  await createAuditLog({
+    userId,
+    action: data.status && data.status !== existing.status ? 'CREW_MEMBER_STATUS_CHANGED' : 'CREW_MEMBER_UPDATED',
+    entity: 'CrewMember',
+    entityId: id,
+    oldValues: existing,
+    newValues: data,
+    ...requestMeta
+  });
+
+  return withLicenceStatus(member);
+}
+
+// ================================
+// TRIP ASSIGNMENT
+// ================================
+
+const crewInclude = {
+  crewMember: { select: { id: true, role: true, fullName: true, phone: true, staffNumber: true, licenceNumber: true, licenceExpiry: true } },
+  payslip: { select: { id: true, payrollRunId: true } }
+};
+
+/**
+ * The trip a crew assignment hangs off: { transportOrderId } or { truckLoadId }
+ */
+async function findTrip(trip, client = prisma) {
+  if (trip.transportOrderId) {
+    const order = await client.transportOrder.findUnique({
+      where: { id: trip.transportOrderId },
+      select: { id: true, orderNumber: true, deliveryStatus: true, driverDetails: true }
+    });
+    if (!order) throw new NotFoundError('Transport order not found');
+    return { reference: order.orderNumber, cancelled: order.deliveryStatus === 'CANCELLED', record: order };
+  }
+
+  const load = await client.truckLoad.findUnique({
+    where: { id: trip.truckLoadId },
+    select: { id: true, loadNumber: true, status: true, driverNumber: true }
+  });
+  if (!load) throw new NotFoundError('Truck load not found');
+  return { reference: load.loadNumber, cancelled: load.status === 'CANCELLED', record: load };
+}
+
+const tripWhere = (trip) => trip.transportOrderId
+  ? { transportOrderId: trip.transportOrderId }
+  : { truckLoadId: trip.truckLoadId };
+
+async function getTripCrew(trip) {
+  await findTrip(trip);
+  return prisma.crewAssignment.findMany({
+    where: tripWhere(trip),
+    include: crewInclude,
+    orderBy: { role: 'asc' }
+  });
+}
+
+/**
+ * Set the crew on a trip: one driver and any motor boys. Replaces the current
+ * crew. The driver's name and phone are also written to the trip's free-text
+ * driver field so existing screens keep showing them.
+ */
+async function assignTripCrew(trip, { driverId, motorBoyIds = [] }, userId, requestMeta = {}) {
+  const { reference, cancelled } = await findTrip(trip);
+  if (cancelled) {
+    throw new BusinessError(`${reference} is cancelled`, 'TRIP_CANCELLED');
+  }
+
+  const current = await prisma.crewAssignment.findMany({ where: tripWhere(trip) });
+  if (current.some(assignment => assignment.payslipId)) {
+    throw new BusinessError(`Crew on ${reference} is already on a payroll run`, 'CREW_ALREADY_PAID');
+  }
+
+  const uniqueMotorBoys = [...new Set(motorBoyIds)];
+  if (uniqueMotorBoys.includes(driverId)) {
+    throw new ValidationError('The driver cannot also be a motor boy on the same trip');
+  }
+
+  const members = await prisma.crewMember.findMany({ where: { id: { in: [driverId, ...uniqueMotorBoys] } } });
+  const byId = new Map(members.map(member => [member.id, member]));
+  const now = new Date();
+
+  const slots = [[driverId, 'DRIVER'], ...uniqueMotorBoys.map(id => [id, 'MOTOR_BOY'])];
+  slots.forEach(([id, role]) => {
+    const member = byId.get(id);
+    if (!member) {
+      throw new NotFoundError('Crew member not found');
+    }
+    if (member.role !== role) {
+      throw new BusinessError(`${member.fullName} is not registered as a ${role === 'DRIVER' ? 'driver' : 'motor boy'}`, 'CREW_ROLE_MISMATCH');
+    }
+    if (member.status !== 'ACTIVE') {
+      throw new BusinessError(`${member.fullName} is ${member.status.toLowerCase().replace('_', ' ')}`, 'CREW_NOT_ACTIVE');
+    }
+    if (role === 'DRIVER' && licenceStatus(member, now) === 'EXPIRED') {
+      throw new BusinessError(
+        `${member.fullName}'s driving licence expired on ${member.licenceExpiry.toISOString().slice(0, 10)}`,
+        'LICENCE_EXPIRED'
+      );
+    }
+  });
+
+  const driver = byId.get(driverId);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.crewAssignment.deleteMany({ where: tripWhere(trip) });
+    await tx.crewAssignment.createMany({
+      data: slots.map(([crewMemberId, role]) => ({ crewMemberId, role, ...tripWhere(trip), assignedBy: userId }))
+    });
+
+    if (trip.transportOrderId) {
+      await tx.transportOrder.update({
+        where: { id: trip.transportOrderId },
+        data: { driverDetails: `${driver.fullName} (${driver.phone})` }
+      });
+    } else {
+      await tx.truckLoad.update({
+        where: { id: trip.truckLoadId },
+        data: { driverNumber: driver.phone }
+      });
+    }
+
+    await createAuditLog({
+      userId,
+      action: 'TRIP_CREW_ASSIGNED',
+      entity: trip.transportOrderId ? 'TransportOrder' : 'TruckLoad',
+      entityId: trip.transportOrderId || trip.truckLoadId,
+      oldValues: { crew: current.map(a => ({ crewMemberId: a.crewMemberId, role: a.role })) },
+      newValues: { crew: slots.map(([crewMemberId, role]) => ({ crewMemberId, role })) },
+      ...requestMeta
+    }, tx);
+
+    return tx.crewAssignment.findMany({ where: tripWhere(trip), include: crewInclude, orderBy: { role: 'asc' } });
+  });
+}
+
+// ================================
+// DEDUCTIONS
+// ================================
+
+async function listDeductions(crewMemberId, { pendingOnly = false } = {}) {
+  await findCrewMember(crewMemberId);
+  return prisma.crewDeduction.findMany({
+    where: { crewMemberId, ...(pendingOnly ? { payslipId: null } : {}) },
+    include: { payslip: { select: { id: true, payrollRun: { select: { id: true, runNumber: true } } } } },
+    orderBy: { deductionDate: 'desc' }
+  });
+}
+
+async function createDeduction(crewMemberId, { type, amount, deductionDate, description }, userId, requestMeta = {}) {
+  await findCrewMember(crewMemberId);
+
+  const deduction = await prisma.crewDeduction.create({
+    data: {
+      crewMemberId,
+      type,
+      amount: parseFloat(amount),
+      deductionDate: deductionDate ? new Date(deductionDate) : new Date(),
+      description: description || null,
+      createdBy: userId
+    }
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'CREW_DEDUCTION_CREATED',
+    entity: 'CrewDeduction',
+    entityId: deduction.id,
+    newValues: { crewMemberId, type, amount: parseFloat(amount) },
+    ...requestMeta
+  });
+
+  return deduction;
+}
+
+async function deleteDeduction(id, userId, requestMeta = {}) {
+  const deduction = await prisma.crewDeduction.findUnique({ where: { id } });
+  if (!deduction) {
+    throw new NotFoundError('Deduction not found');
+  }
+  if (deduction.payslipId) {
+    throw new BusinessError('Deduction has already been taken on a payslip', 'DEDUCTION_APPLIED');
+  }
+
+  await prisma.crewDeduction.delete({ where: { id } });
+
+  await createAuditLog({
+    userId,
+    action: 'CREW_DEDUCTION_DELETED',
+    entity: 'CrewDeduction',
+    entityId: id,
+    oldValues: { crewMemberId: deduction.crewMemberId, type: deduction.type, amount: parseFloat(deduction.amount) },
+    ...requestMeta
+  });
+}
+
+// ================================
+// PAYROLL RUNS
+// ================================
+
+const tripDateOf = (assignment) => assignment.transportOrder
+  ? (assignment.transportOrder.deliveryDate || assignment.transportOrder.createdAt)
+  : assignment.truckLoad.createdAt;
+
+/**
+ * Salary rate for a trip: the order's location, or the dearest drop on a truck load
+ */
+async function tripSalaryRate(assignment, tripDate, client) {
+  const locationIds = assignment.transportOrder
+    ? [assignment.transportOrder.locationId]
+    : [...new Set(assignment.truckLoad.orders.map(order => order.locationId))];
+
+  const rates = (await Promise.all(locationIds.map(locationId => getSalaryRateAsOf(locationId, tripDate, client)))).filter(Boolean);
+  return rates.sort((a, b) => parseFloat(b.driverWages) - parseFloat(a.driverWages))[0] || null;
+}
+
+/**
+ * Unpaid trips dated up to the period end (no lower bound, so trips that became payable
+ * after an earlier run are not lost), priced and grouped into payslips, with pending
+ * deductions applied. Returns warnings for trips with no salary rate.
+ */
+async function buildPayslips(run, client) {
+  const periodEnd = run.periodEnd;
+
+  const assignments = await client.crewAssignment.findMany({
+    where: {
+      payslipId: null,
+      OR: [
+        {
+          transportOrder: {
+            deliveryStatus: { in: PAYABLE_ORDER_STATUSES },
+            OR: [
+              { deliveryDate: { lte: periodEnd } },
+              { deliveryDate: null, createdAt: { lte: periodEnd } }
+            ]
+          }
+        },
+        { truckLoad: { status: 'COMPLETED', createdAt: { lte: periodEnd } } }
+      ]
+    },
+    include: {
+      transportOrder: { select: { id: true, orderNumber: true, locationId: true, deliveryDate: true, createdAt: true } },
+      truckLoad: { select: { id: true, loadNumber: true, createdAt: true, orders: { select: { locationId: true } } } }
+    }
+  });
+
+  const warnings = [];
+  const byMember = new Map();
+
+  for (const assignment of assignments) {
+    const tripDate = tripDateOf(assignment);
+    const rate = await tripSalaryRate(assignment, tripDate, client);
+    const reference = assignment.transportOrder ? assignment.transportOrder.orderNumber : assignment.truckLoad.loadNumber;
+
+    let wageAmount = 0;
+    let allowanceAmount = 0;
+    if (!rate) {
+      warnings.push({ code: 'NO_SALARY_RATE', reference, message: `No salary rate in force for ${reference} on ${tripDate.toISOString().slice(0, 10)}; paid at zero` });
+    } else if (assignment.role === 'DRIVER') {
+      wageAmount = parseFloat(rate.driverWages);
+      allowanceAmount = parseFloat(rate.tripAllowance);
+    } else {
+      wageAmount = parseFloat(rate.motorBoyWages);
+    }
+
+    const trips = byMember.get(assignment.crewMemberId) || [];
+    trips.push({ assignment, tripDate, salaryRateId: rate ? rate.id : null, wageAmount, allowanceAmount });
+    byMember.set(assignment.crewMemberId, trips);
+  }
+
+  const members = await client.crewMember.findMany({ where: { id: { in: [...byMember.keys()] } }, select: { id: true, role: true } });
+  const roleOf = new Map(members.map(member => [member.id, member.role]));
+
+  const totals = { crewCount: 0, tripCount: 0, grossPay: 0, totalDeductions: 0, netPay: 0 };
+
+  for (const [crewMemberId, trips] of byMember) {
+    const tripWages = round(trips.reduce((sum, t) => sum + t.wageAmount, 0));
+    const tripAllowances = round(trips.reduce((sum, t) => sum + t.allowanceAmount, 0));
+    const grossPay = round(tripWages + tripAllowances);
+
+    // Oldest first, whole deductions only, never below zero net
+    const pending = await client.crewDeduction.findMany({
+      where: { crewMemberId, payslipId: null, deductionDate: { lte: periodEnd } },
+      orderBy: { deductionDate: 'asc' }
+    });
+    const taken = [];
+    let totalDeductions = 0;
+    let carriedForward = 0;
+    pending.forEach(deduction => {
+      const amount = parseFloat(deduction.amount);
+      if (round(totalDeductions + amount) <= grossPay) {
+        taken.push(deduction.id);
+        totalDeductions = round(totalDeductions + amount);
+      } else {
+        carriedForward = round(carriedForward + amount);
+      }
+    });
+
+    const payslip = await client.payslip.create({
+      data: {
+        payrollRunId: run.id,
+        crewMemberId,
+        role: roleOf.get(crewMemberId),
+        tripCount: trips.length,
+        tripWages,
+        tripAllowances,
+        grossPay,
+        totalDeductions,
+        netPay: round(grossPay - totalDeductions),
+        carriedForward
+      }
+    });
+
+    // Linked only while still unpaid, so overlapping runs can't take each other's trips
+    for (const trip of trips) {
+      const { count } = await client.crewAssignment.updateMany({
+        where: { id: trip.assignment.id, payslipId: null },
+        data: {
+          payslipId: payslip.id,
+          tripDate: trip.tripDate,
+          salaryRateId: trip.salaryRateId,
+          wageAmount: trip.wageAmount,
+          allowanceAmount: trip.allowanceAmount
+        }
+      });
+      if (count === 0) {
+        throw new BusinessError('Trips were picked up by another payroll run; try again', 'TRIP_ALREADY_PAID');
+      }
+    }
+    if (taken.length > 0) {
+      const { count } = await client.crewDeduction.updateMany({
+        where: { id: { in: taken }, payslipId: null },
+        data: { payslipId: payslip.id }
+      });
+      if (count !== taken.length) {
+        throw new BusinessError('Deductions were taken by another payroll run; try again', 'DEDUCTION_ALREADY_TAKEN');
+      }
+    }
+
+    totals.crewCount++;
+    totals.tripCount += trips.length;
+    totals.grossPay = round(totals.grossPay + grossPay);
+    totals.totalDeductions = round(totals.totalDeductions + totalDeductions);
+    totals.netPay = round(totals.netPay + grossPay - totalDeductions);
+  }
+
+  return { totals, warnings };
+}
+
+/**
+ * Release a run's trips and deductions and remove its payslips
+ */
+async function releasePayslips(runId, client) {
+  const payslipIds = (await client.payslip.findMany({ where: { payrollRunId: runId }, select: { id: true } })).map(p => p.id);
+  if (payslipIds.length === 0) return;
+
+  await client.crewAssignment.updateMany({
+    where: { payslipId: { in: payslipIds } },
+    data: { payslipId: null, tripDate: null, salaryRateId: null, wageAmount: null, allowanceAmount: null }
+  });
+  await client.crewDeduction.updateMany({ where: { payslipId: { in: payslipIds } }, data: { payslipId: null } });
+  await client.payslip.deleteMany({ where: { payrollRunId: runId } });
+}
+
+async function findPayrollRun(id, client = prisma) {
+  const run = await client.payrollRun.findUnique({ where: { id } });
+  if (!run) {
+    throw new NotFoundError('Payroll run not found');
+  }
+  return run;
+}
+
+const assertRunStatus = (run, allowed, action) => {
+  if (!allowed.includes(run.status)) {
+    throw new BusinessError(`Cannot ${action} a ${run.status.toLowerCase()} payroll run`, 'INVALID_PAYROLL_STATUS');
+  }
+};
+
+/**
+ * Change a run only while it is still in an allowed status (a cancel racing a pay can't both win)
+ */
+async function transitionPayrollRun(tx, id, allowed, action, data) {
+  const { count } = await tx.payrollRun.updateMany({ where: { id, status: { in: allowed } }, data });
+  if (count === 0) {
+    assertRunStatus(await findPayrollRun(id, tx), allowed, action);
+    throw new BusinessError(`Cannot ${action} this payroll run`, 'INVALID_PAYROLL_STATUS');
+  }
+  return findPayrollRun(id, tx);
+}
+
+async function createPayrollRun({ periodStart, periodEnd, notes }, userId, requestMeta = {}) {
+  if (periodEnd < periodStart) {
+    throw new ValidationError('Period end must be after period start');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const run = await tx.payrollRun.create({
+      data: {
+        runNumber: await generateDocumentNumber('PAY', 'payrollRun', 'runNumber', tx),
+        periodStart,
+        periodEnd,
+        notes: notes || null,
+        createdBy: userId
+      }
+    });
+
+    const { totals, warnings } = await buildPayslips(run, tx);
+    if (totals.tripCount === 0) {
+      throw new BusinessError('No unpaid crew trips up to the end of this period', 'NO_TRIPS');
+    }
+
+    const updated = await tx.payrollRun.update({ where: { id: run.id }, data: totals });
+
+    await createAuditLog({
+      userId,
+      action: 'PAYROLL_RUN_CREATED',
+      entity: 'PayrollRun',
+      entityId: run.id,
+      newValues: { runNumber: run.runNumber, periodStart, periodEnd, ...totals },
+      ...requestMeta
+    }, tx);
+
+    return { run: updated, warnings };
+  });
+}
+
+/**
+ * Rebuild a draft run, e.g. after late deliveries, rate or deduction changes
+ */
+async function recalculatePayrollRun(id, userId, requestMeta = {}) {
+  const existing = await findPayrollRun(id);
+  assertRunStatus(existing, ['DRAFT'], 'recalculate');
+
+  return prisma.$transaction(async (tx) => {
+    // Locks the run and confirms it is still a draft before its payslips are rebuilt
+    await transitionPayrollRun(tx, id, ['DRAFT'], 'recalculate', { status: 'DRAFT' });
+    await releasePayslips(id, tx);
+    const { totals, warnings } = await buildPayslips(existing, tx);
+    const run = await tx.payrollRun.update({ where: { id }, data: totals });
+
+    await createAuditLog({
+      userId,
+      action: 'PAYROLL_RUN_RECALCULATED',
+      entity: 'PayrollRun',
+      entityId: id,
+      oldValues: { tripCount: existing.tripCount, grossPay: parseFloat(existing.grossPay), netPay: parseFloat(existing.netPay) },
+      newValues: totals,
+      ...requestMeta
+    }, tx);
+
+    return { run, warnings };
+  });
+}
+
+async function approvePayrollRun(id, userId, requestMeta = {}) {
+  const existing = await findPayrollRun(id);
+  assertRunStatus(existing, ['DRAFT'], 'approve');
+
+  return prisma.$transaction(async (tx) => {
+    const run = await transitionPayrollRun(tx, id, ['DRAFT'], 'approve', {
+      status: 'APPROVED',
+      approvedBy: userId,
+      approvedAt: new Date()
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'PAYROLL_RUN_APPROVED',
+      entity: 'PayrollRun',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: { status: 'APPROVED', netPay: parseFloat(run.netPay) },
+      ...requestMeta
+    }, tx);
+
+    return run;
+  });
+}
+
+async function markPayrollRunPaid(id, { paidAt, paymentReference }, userId, requestMeta = {}) {
+  const existing = await findPayrollRun(id);
+  assertRunStatus(existing, ['APPROVED'], 'pay');
+
+  return prisma.$transaction(async (tx) => {
+    const run = await transitionPayrollRun(tx, id, ['APPROVED'], 'pay', {
+      status: 'PAID',
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      paymentReference: paymentReference || null
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'PAYROLL_RUN_PAID',
+      entity: 'PayrollRun',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: { status: 'PAID', paidAt: run.paidAt, paymentReference: run.paymentReference },
+      ...requestMeta
+    }, tx);
+
+    return run;
+  });
+}
+
+async function cancelPayrollRun(id, { reason } = {}, userId, requestMeta = {}) {
+  const existing = await findPayrollRun(id);
+  assertRunStatus(existing, ['DRAFT', 'APPROVED'], 'cancel');
+
+  return prisma.$transaction(async (tx) => {
+    // Cancel first: trips are only released if the run was not paid in the meantime
+    const run = await transitionPayrollRun(tx, id, ['DRAFT', 'APPROVED'], 'cancel', {
+      status: 'CANCELLED',
+      notes: reason ? [existing.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n') : existing.notes
+    });
+    await releasePayslips(id, tx);
+
+    await createAuditLog({
+      userId,
+      action: 'PAYROLL_RUN_CANCELLED',
+      entity: 'PayrollRun',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: { status: 'CANCELLED', reason: reason || null },
+      ...requestMeta
+    }, tx);
+
+    return run;
+  });
+}
+
+async function listPayrollRuns({ status, page = 1, limit = 20 } = {}) {
+  const where = status ? { status } : {};
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [runs, total] = await Promise.all([
+    prisma.payrollRun.findMany({
+      where,
+      include: {
+        creator: { select: { id: true, username: true } },
+        approver: { select: { id: true, username: true } }
+      },
+      orderBy: { periodEnd: 'desc' },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum
+    }),
+    prisma.payrollRun.count({ where })
+  ]);
+
+  return {
+    runs,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+  };
+}
+
+async function getPayrollRun(id) {
+  const run = await prisma.payrollRun.findUnique({
+    where: { id },
+    include: {
+      creator: { select: { id: true, username: true } },
+      approver: { select: { id: true, username: true } },
+      payslips: {
+        include: { crewMember: { select: { id: true, fullName: true, staffNumber: true, phone: true, bankName: true, accountNumber: true, accountName: true } } },
+        orderBy: [{ role: 'asc' }, { netPay: 'desc' }]
+      }
+    }
+  });
+  if (!run) {
+    throw new NotFoundError('Payroll run not found');
+  }
+  return run;
+}
+
+/**
+ * One crew member's payslip on a run, with trip lines and deductions
+ */
+async function getPayslip(runId, crewMemberId) {
+  const payslip = await prisma.payslip.findUnique({
+    where: { payrollRunId_crewMemberId: { payrollRunId: runId, crewMemberId } },
+    include: {
+      payrollRun: true,
+      crewMember: true,
+      assignments: {
+        include: {
+          transportOrder: { select: { orderNumber: true, location: { select: { name: true } }, truckId: true } },
+          truckLoad: { select: { loadNumber: true, truckNumber: true } }
+        },
+        orderBy: { tripDate: 'asc' }
+      },
+      deductions: { orderBy: { deductionDate: 'asc' } }
+    }
+  });
+  if (!payslip) {
+    throw new NotFoundError('Payslip not found');
+  }
+
+  const rateIds = [...new Set(payslip.assignments.map(a => a.salaryRateId).filter(Boolean))];
+  const rates = await prisma.salaryRate.findMany({ where: { id: { in: rateIds } }, select: { id: true, locationName: true } });
+  const locationByRate = new Map(rates.map(rate => [rate.id, rate.locationName]));
+
+  const trips = payslip.assignments.map(a => ({
+    tripDate: a.tripDate,
+    reference: a.transportOrder ? a.transportOrder.orderNumber : a.truckLoad?.loadNumber,
+    truck: a.transportOrder ? a.transportOrder.truckId : a.truckLoad?.truckNumber,
+    location: locationByRate.get(a.salaryRateId) || a.transportOrder?.location?.name || null,
+    wageAmount: parseFloat(a.wageAmount || 0),
+    allowanceAmount: parseFloat(a.allowanceAmount || 0),
+    amount: round(parseFloat(a.wageAmount || 0) + parseFloat(a.allowanceAmount || 0))
+  }));
+
+  const { assignments, ...rest } = payslip;
+  return { ...rest, trips };
+}
+
+module.exports = {
+  CREW_ROLES,
+  CREW_STATUSES,
+  DEDUCTION_TYPES,
+  PAYROLL_RUN_STATUSES,
+  licenceStatus,
+  listCrewMembers,
+  getCrewMember,
+  createCrewMember,
+  updateCrewMember,
+  getTripCrew,
+  assignTripCrew,
+  listDeductions,
+  createDeduction,
+  deleteDeduction,
+  createPayrollRun,
+  recalculatePayrollRun,
+  approvePayrollRun,
+  markPayrollRunPaid,
+  cancelPayrollRun,
+  listPayrollRuns,
+  getPayrollRun,
+  getPayslip
+};
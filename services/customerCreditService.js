@@ -0,0 +1,477 @@
+/**
+ * Customer Credit Service
+ *
+ * A customer's credit is the overpayment sitting on their orders (orders with a
+ * negative balance). It can be put to use in two ways, each recorded as a
+ * CustomerCreditAllocation:
+ * - ORDER_PAYMENT: applied to the balance of another order, either when the order
+ *   is created (applyCustomerCredit on POST /distribution/orders) or later
+ * - CASH_REFUND: paid back to the customer. Requested as PENDING_APPROVAL, and
+ *   only drawn from their orders once an admin approves it
+ *
+ * Credit is drawn from the oldest overpaid orders first; each order drawn from is
+ * kept as an allocation source. Drawing moves amountPaid from the source order to
+ * the target, so order balances and the customer ledger stay in step.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+const { postCustomerLedgerEntry } = require('./customerLedgerService');
+
+const ALLOCATION_TYPES = ['ORDER_PAYMENT', 'CASH_REFUND'];
+const ALLOCATION_STATUSES = ['PENDING_APPROVAL', 'APPLIED', 'REJECTED'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const allocationInclude = {
+  customer: { select: { id: true, name: true } },
+  targetOrder: { select: { id: true, orderNumber: true } },
+  sources: { include: { order: { select: { id: true, orderNumber: true } } } },
+  requester: { select: { id: true, username: true } },
+  approver: { select: { id: true, username: true } }
+};
+
+const paymentStatusFor = (balance, amountPaid) => {
+  if (balance === 0) return 'CONFIRMED';
+  if (balance < 0) return 'OVERPAID';
+  return amountPaid > 0 ? 'PARTIAL' : 'PENDING';
+};
+
+/**
+ * Overpaid orders and the credit still free to allocate (pending refunds are reserved)
+ */
+async function getAvailableCredit(client, customerId, { excludeAllocationId } = {}) {
+  const [overpaidOrders, pendingRefunds] = await Promise.all([
+    client.distributionOrder.findMany({
+      where: { customerId, balance: { lt: 0 }, status: { not: 'CANCELLED' } },
+      select: { id: true, orderNumber: true, balance: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    client.customerCreditAllocation.aggregate({
+      where: {
+        customerId,
+        type: 'CASH_REFUND',
+        status: 'PENDING_APPROVAL',
+        ...(excludeAllocationId ? { id: { not: excludeAllocationId } } : {})
+      },
+      _sum: { amount: true }
+    })
+  ]);
+
+  const orders = overpaidOrders.map(order => ({
+    id: order.id,
+    orderNumber: order.orderNumber,
+    credit: round(-parseFloat(order.balance)),
+    createdAt: order.createdAt
+  }));
+  const totalCredit = round(orders.reduce((sum, order) => sum + order.credit, 0));
+  const reserved = round(parseFloat(pendingRefunds._sum.amount || 0));
+
+  return {
+    overpaidOrders: orders,
+    totalCredit,
+    pendingRefunds: reserved,
+    available: round(Math.max(0, totalCredit - reserved))
+  };
+}
+
+/**
+ * Take `amount` of credit off the customer's overpaid orders, oldest first.
+ * Each source order gives up the overpayment: amountPaid down, balance up.
+ */
+async function drawCredit(tx, { customerId, amount, excludeOrderId = null, description, userId }) {
+  const { overpaidOrders } = await getAvailableCredit(tx, customerId);
+  const sources = [];
+  let remaining = round(amount);
+
+  for (const order of overpaidOrders) {
+    if (remaining <= 0) break;
+    if (order.id === excludeOrderId) continue;
+
+    const drawn = round(Math.min(order.credit, remaining));
+
+    // Guard against a concurrent draw on the same order
+    const { count } = await tx.distributionOrder.updateMany({
+      where: { id: order.id, balance: { lte: -drawn } },
+      data: { amountPaid: { decrement: drawn }, balance: { increment: drawn } }
+    });
+    if (count === 0) {
+      throw new BusinessError('Customer credit changed while it was being allocated, please retry', 'INSUFFICIENT_CUSTOMER_CREDIT');
+    }
+
+    const updated = await tx.distributionOrder.findUnique({
+      where: { id: order.id },
+      select: { amountPaid: true, balance: true }
+    });
+    await tx.distributionOrder.update({
+      where: { id: order.id },
+      data: { paymentStatus: paymentStatusFor(parseFloat(updated.balance), parseFloat(updated.amountPaid)) }
+    });
+
+    sources.push({ orderId: order.id, orderNumber: order.orderNumber, amount: drawn });
+    remaining = round(remaining - drawn);
+  }
+
+  if (remaining > 0) {
+    throw new BusinessError(
+      `Customer only has ₦${round(amount - remaining).toFixed(2)} of credit available`,
+      'INSUFFICIENT_CUSTOMER_CREDIT'
+    );
+  }
+
+  for (const source of sources) {
+    await postCustomerLedgerEntry(tx, {
+      customerId,
+      orderId: source.orderId,
+      type: description.type,
+      debit: source.amount,
+      reference: source.orderNumber,
+      description: description.text,
+      createdBy: userId
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Apply customer credit to an order's outstanding balance. Takes the caller's
+ * transaction so order creation can apply credit to the order it just created.
+ * `amount` defaults to as much as the order needs and the credit covers.
+ */
+async function applyCreditToOrder(tx, { order, amount, notes, userId }, requestMeta = {}) {
+  const balance = parseFloat(order.balance);
+  if (balance <= 0) {
+    throw new BusinessError('Order has no outstanding balance to apply credit to', 'NO_OUTSTANDING_BALANCE');
+  }
+
+  const { available } = await getAvailableCredit(tx, order.customerId);
+  const toApply = round(amount !== undefined && amount !== null ? parseFloat(amount) : Math.min(balance, available));
+
+  if (toApply <= 0) {
+    throw new BusinessError('Customer has no credit available', 'INSUFFICIENT_CUSTOMER_CREDIT');
+  }
+  if (toApply > balance) {
+    throw new BusinessError(`Credit applied cannot exceed the order balance of ₦${balance.toFixed(2)}`, 'CREDIT_EXCEEDS_BALANCE');
+  }
+  if (toApply > available) {
+    throw new BusinessError(`Customer only has ₦${available.toFixed(2)} of credit available`, 'INSUFFICIENT_CUSTOMER_CREDIT');
+  }
+
+  const allocationNumber = await generateDocumentNumber('CA', 'customerCreditAllocation', 'allocationNumber', tx);
+  const orderLabel = order.orderNumber || order.id;
+
+  const sources = await drawCredit(tx, {
+    customerId: order.customerId,
+    amount: toApply,
+    excludeOrderId: order.id,
+    description: { type: 'CREDIT_ALLOCATION', text: `Credit moved to order ${orderLabel} (${allocationNumber})` },
+    userId
+  });
+
+  const amountPaid = round(parseFloat(order.amountPaid) + toApply);
+  const newBalance = round(balance - toApply);
+  const updatedOrder = await tx.distributionOrder.update({
+    where: { id: order.id },
+    data: {
+      amountPaid,
+      balance: newBalance,
+      paymentStatus: paymentStatusFor(newBalance, amountPaid)
+    }
+  });
+
+  await postCustomerLedgerEntry(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    type: 'CREDIT_ALLOCATION',
+    credit: toApply,
+    reference: allocationNumber,
+    description: `Credit applied from order${sources.length > 1 ? 's' : ''} ${sources.map(s => s.orderNumber).join(', ')}`,
+    createdBy: userId
+  });
+
+  const allocation = await tx.customerCreditAllocation.create({
+    data: {
+      allocationNumber,
+      customerId: order.customerId,
+      type: 'ORDER_PAYMENT',
+      status: 'APPLIED',
+      amount: toApply,
+      targetOrderId: order.id,
+      notes: notes || null,
+      requestedBy: userId,
+      approvedBy: userId,
+      approvedAt: new Date(),
+      sources: { create: sources.map(({ orderId, amount }) => ({ orderId, amount })) }
+    },
+    include: allocationInclude
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'CUSTOMER_CREDIT_APPLIED',
+    entity: 'CustomerCreditAllocation',
+    entityId: allocation.id,
+    oldValues: { balance },
+    newValues: {
+      allocationNumber,
+      targetOrderId: order.id,
+      amount: toApply,
+      balance: newBalance,
+      sources
+    },
+    ...requestMeta
+  }, tx);
+
+  return { allocation, order: updatedOrder };
+}
+
+async function applyCustomerCredit(orderId, { amount, notes }, userId, requestMeta = {}) {
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.distributionOrder.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (order.status === 'CANCELLED') {
+      throw new BusinessError('Cannot apply credit to a cancelled order', 'ORDER_CANCELLED');
+    }
+
+    return applyCreditToOrder(tx, { order, amount, notes, userId }, requestMeta);
+  });
+}
+
+/**
+ * Ask for credit to be paid back in cash. The amount is reserved but nothing
+ * moves until the refund is approved.
+ */
+async function requestCreditRefund(customerId, { amount, paymentMethod, reference, notes }, userId, requestMeta = {}) {
+  return prisma.$transaction(async (tx) => {
+    const customer = await tx.customer.findUnique({ where: { id: customerId }, select: { id: true } });
+    if (!customer) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    const { available } = await getAvailableCredit(tx, customerId);
+    const requested = round(parseFloat(amount));
+    if (requested > available) {
+      throw new BusinessError(`Customer only has ₦${available.toFixed(2)} of credit available`, 'INSUFFICIENT_CUSTOMER_CREDIT');
+    }
+
+    const allocation = await tx.customerCreditAllocation.create({
+      data: {
+        allocationNumber: await generateDocumentNumber('CA', 'customerCreditAllocation', 'allocationNumber', tx),
+        customerId,
+        type: 'CASH_REFUND',
+        status: 'PENDING_APPROVAL',
+        amount: requested,
+        paymentMethod,
+        reference: reference || null,
+        notes: notes || null,
+        requestedBy: userId
+      },
+      include: allocationInclude
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'CUSTOMER_REFUND_REQUESTED',
+      entity: 'CustomerCreditAllocation',
+      entityId: allocation.id,
+      newValues: { allocationNumber: allocation.allocationNumber, customerId, amount: requested, paymentMethod },
+      ...requestMeta
+    }, tx);
+
+    return allocation;
+  });
+}
+
+async function getPendingRefund(tx, allocationId) {
+  const allocation = await tx.customerCreditAllocation.findUnique({ where: { id: allocationId } });
+  if (!allocation || allocation.type !== 'CASH_REFUND') {
+    throw new NotFoundError('Refund request not found');
+  }
+  if (allocation.status !== 'PENDING_APPROVAL') {
+    throw new BusinessError(`Refund request is already ${allocation.status.toLowerCase()}`, 'INVALID_REFUND_STATUS');
+  }
+  return allocation;
+}
+
+/**
+ * Approve a refund: the credit is drawn from the customer's overpaid orders and
+ * posted to their ledger as paid out
+ */
+async function approveCreditRefund(allocationId, { reference, notes }, userId, requestMeta = {}) {
+  return prisma.$transaction(async (tx) => {
+    const allocation = await getPendingRefund(tx, allocationId);
+    const amount = parseFloat(allocation.amount);
+
+    const sources = await drawCredit(tx, {
+      customerId: allocation.customerId,
+      amount,
+      description: { type: 'REFUND', text: `Cash refund ${allocation.allocationNumber} (${allocation.paymentMethod})` },
+      userId
+    });
+
+    const approved = await tx.customerCreditAllocation.update({
+      where: { id: allocationId },
+      data: {
+        status: 'APPLIED',
+        approvedBy: userId,
+        approvedAt: new Date(),
+        reference: reference || allocation.reference,
+        notes: notes || allocation.notes,
+        sources: { create: sources.map(({ orderId, amount }) => ({ orderId, amount })) }
+      },
+      include: allocationInclude
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'CUSTOMER_REFUND_APPROVED',
+      entity: 'CustomerCreditAllocation',
+      entityId: allocationId,
+      oldValues: { status: allocation.status },
+      newValues: { status: 'APPLIED', amount, sources },
+      ...requestMeta
+    }, tx);
+
+    return approved;
+  });
+}
+
+async function rejectCreditRefund(allocationId, { reason }, userId, requestMeta = {}) {
+  return prisma.$transaction(async (tx) => {
+    const allocation = await getPendingRefund(tx, allocationId);
+
+    const rejected = await tx.customerCreditAllocation.update({
+      where: { id: allocationId },
+      data: {
+        status: 'REJECTED',
+        approvedBy: userId,
+        approvedAt: new Date(),
+        rejectionReason: reason
+      },
+      include: allocationInclude
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'CUSTOMER_REFUND_REJECTED',
+      entity: 'CustomerCreditAllocation',
+      entityId: allocationId,
+      oldValues: { status: allocation.status },
+      newValues: { status: 'REJECTED', reason },
+      ...requestMeta
+    }, tx);
+
+    return rejected;
+  });
+}
+
+/**
+ * Available credit for a customer with their allocation history
+ */
+async function getCustomerCredit(customerId, { status, type, limit = 50 } = {}) {
+  const customer = await prisma.customer.findUnique({
+    where: { id: customerId },
+    select: { id: true, name: true, customerBalance: true }
+  });
+  if (!customer) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const where = { customerId };
+  if (status) where.status = status;
+  if (type) where.type = type;
+
+  const [credit, allocations] = await Promise.all([
+    getAvailableCredit(prisma, customerId),
+    prisma.customerCreditAllocation.findMany({
+      where,
+      include: allocationInclude,
+      orderBy: { createdAt: 'desc' },
+      take: parseInt(limit)
+    })
+  ]);
+
+  return {
+    customer: { ...customer, customerBalance: parseFloat(customer.customerBalance) },
+    ...credit,
+    allocations
+  };
+}
+
+/**
+ * Credit applied to an order and credit drawn from it, for the payment summary
+ */
+async function getOrderAllocations(orderId) {
+  const [received, drawn] = await Promise.all([
+    prisma.customerCreditAllocation.findMany({
+      where: { targetOrderId: orderId, status: 'APPLIED' },
+      include: { sources: { include: { order: { select: { orderNumber: true } } } } },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.customerCreditAllocationSource.findMany({
+      where: { orderId, allocation: { status: 'APPLIED' } },
+      include: { allocation: { include: { targetOrder: { select: { orderNumber: true } } } } },
+      orderBy: { allocation: { createdAt: 'asc' } }
+    })
+  ]);
+
+  return {
+    creditApplied: round(received.reduce((sum, a) => sum + parseFloat(a.amount), 0)),
+    creditDrawn: round(drawn.reduce((sum, s) => sum + parseFloat(s.amount), 0)),
+    received: received.map(a => ({
+      id: a.id,
+      allocationNumber: a.allocationNumber,
+      amount: parseFloat(a.amount),
+      fromOrders: a.sources.map(s => ({ orderId: s.orderId, orderNumber: s.order.orderNumber, amount: parseFloat(s.amount) })),
+      date: a.approvedAt || a.createdAt
+    })),
+    drawn: drawn.map(s => ({
+      id: s.allocation.id,
+      allocationNumber: s.allocation.allocationNumber,
+      type: s.allocation.type,
+      amount: parseFloat(s.amount),
+      toOrder: s.allocation.targetOrder
+        ? { orderId: s.allocation.targetOrderId, orderNumber: s.allocation.targetOrder.orderNumber }
+        : null,
+      date: s.allocation.approvedAt || s.allocation.createdAt
+    }))
+  };
+}
+
+/**
+ * Net credit moved onto an order (applied minus drawn). Payments recalculated
+ * from payment history add this back so allocations aren't lost.
+ */
+async function getNetAllocatedCredit(client, orderId) {
+  const [received, drawn] = await Promise.all([
+    client.customerCreditAllocation.aggregate({
+      where: { targetOrderId: orderId, status: 'APPLIED' },
+      _sum: { amount: true }
+    }),
+    client.customerCreditAllocationSource.aggregate({
+      where: { orderId, allocation: { status: 'APPLIED' } },
+      _sum: { amount: true }
+    })
+  ]);
+
+  return round(parseFloat(received._sum.amount || 0) - parseFloat(drawn._sum.amount || 0));
+}
+
+module.exports = {
+  ALLOCATION_TYPES,
+  ALLOCATION_STATUSES,
+  getAvailableCredit,
+  applyCreditToOrder,
+  applyCustomerCredit,
+  requestCreditRefund,
+  approveCreditRefund,
+  rejectCreditRefund,
+  getCustomerCredit,
+  getOrderAllocations,
+  getNetAllocatedCredit
+};
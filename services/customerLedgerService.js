@@ -0,0 +1,375 @@
+/**
+ * Customer Ledger Service
+ *
+ * Double-entry style account for distribution customers. Every movement on a
+ * customer's account is posted as a CustomerLedgerEntry:
+ * - INVOICE      debit  - order raised
+ * - PAYMENT      credit - money received against an order
+ * - ADJUSTMENT   debit or credit - price adjustments and order edits
+ * - CREDIT_NOTE  credit - delivery shortfall credits
+ * - CREDIT_ALLOCATION  debit on the overpaid order, credit on the order it was
+ *   applied to (nets to zero for the customer)
+ * - REFUND       debit  - customer credit paid back in cash
+ *
+ * Statement balance = debits - credits (positive: customer owes us). Posting an
+ * entry is the only place Customer.customerBalance changes, and it is kept as
+ * the negative of the ledger balance (positive: customer is in credit), so the
+ * stored balance always has a matching history.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+
+const ENTRY_TYPES = ['OPENING_BALANCE', 'INVOICE', 'PAYMENT', 'ADJUSTMENT', 'CREDIT_NOTE', 'CREDIT_ALLOCATION', 'REFUND'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Post one entry and move the customer's balance with it. Must run inside the
+ * transaction that changes the underlying order/payment. Zero-value entries are skipped.
+ */
+async function postCustomerLedgerEntry(tx, {
+  customerId,
+  orderId = null,
+  type,
+  debit = 0,
+  credit = 0,
+  reference = null,
+  description,
+  sourceId = null,
+  entryDate,
+  createdBy = null
+}) {
+  debit = round(parseFloat(debit) || 0);
+  credit = round(parseFloat(credit) || 0);
+  if (debit === 0 && credit === 0) return null;
+
+  // The increment locks the customer row, so balanceAfter follows posting order
+  const customer = await tx.customer.update({
+    where: { id: customerId },
+    data: { customerBalance: { increment: round(credit - debit) } },
+    select: { customerBalance: true }
+  });
+
+  return tx.customerLedgerEntry.create({
+    data: {
+      customerId,
+      orderId,
+      type,
+      debit,
+      credit,
+      balanceAfter: round(-parseFloat(customer.customerBalance)),
+      reference,
+      description,
+      sourceId,
+      entryDate: entryDate || new Date(),
+      createdBy
+    }
+  });
+}
+
+/**
+ * Post a change in an order's balance as an ADJUSTMENT (debit when it went up)
+ */
+async function postOrderAdjustment(tx, { order, oldBalance, newBalance, description, sourceId = null, createdBy = null }) {
+  const change = round(parseFloat(newBalance) - parseFloat(oldBalance));
+
+  return postCustomerLedgerEntry(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    type: 'ADJUSTMENT',
+    debit: Math.max(0, change),
+    credit: Math.max(0, -change),
+    reference: order.orderNumber || null,
+    description,
+    sourceId,
+    createdBy
+  });
+}
+
+/**
+ * Customer statement for a period: opening balance, entries with running balance, closing balance.
+ * `from`/`to` are Date objects; either may be omitted.
+ */
+async function getCustomerStatement(customerId, { from, to } = {}) {
+  const customer = await prisma.customer.findUnique({
+    where: { id: customerId },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true,
+      address: true,
+      territory: true,
+      customerBalance: true
+    }
+  });
+
+  if (!customer) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const entryDate = {};
+  if (from) entryDate.gte = from;
+  if (to) entryDate.lte = to;
+
+  const [before, rows] = await Promise.all([
+    from
+      ? prisma.customerLedgerEntry.aggregate({
+        where: { customerId, entryDate: { lt: from } },
+        _sum: { debit: true, credit: true }
+      })
+      : null,
+    prisma.customerLedgerEntry.findMany({
+      where: { customerId, ...(from || to ? { entryDate } : {}) },
+      include: {
+        order: { select: { orderNumber: true } },
+        createdByUser: { select: { username: true } }
+      },
+      orderBy: [{ entryDate: 'asc' }, { createdAt: 'asc' }]
+    })
+  ]);
+
+  const openingBalance = before
+    ? round(parseFloat(before._sum.debit || 0) - parseFloat(before._sum.credit || 0))
+    : 0;
+
+  const summary = {
+    invoiced: 0,
+    payments: 0,
+    creditNotes: 0,
+    refunds: 0,
+    adjustments: 0,
+    totalDebits: 0,
+    totalCredits: 0
+  };
+
+  let running = openingBalance;
+  const entries = rows.map(row => {
+    const debit = parseFloat(row.debit);
+    const credit = parseFloat(row.credit);
+    running = round(running + debit - credit);
+
+    summary.totalDebits += debit;
+    summary.totalCredits += credit;
+    if (row.type === 'INVOICE') summary.invoiced += debit - credit;
+    else if (row.type === 'PAYMENT') summary.payments += credit - debit;
+    else if (row.type === 'CREDIT_NOTE') summary.creditNotes += credit - debit;
+    else if (row.type === 'REFUND') summary.refunds += debit - credit;
+    else summary.adjustments += debit - credit;
+
+    return {
+      id: row.id,
+      entryDate: row.entryDate,
+      type: row.type,
+      reference: row.reference,
+      orderId: row.orderId,
+      orderNumber: row.order?.orderNumber || null,
+      description: row.description,
+      debit,
+      credit,
+      balance: running,
+      createdBy: row.createdByUser?.username || null
+    };
+  });
+
+  Object.keys(summary).forEach(key => { summary[key] = round(summary[key]); });
+
+  return {
+    customer: {
+      ...customer,
+      customerBalance: parseFloat(customer.customerBalance)
+    },
+    period: { from: from || null, to: to || null },
+    openingBalance,
+    entries,
+    closingBalance: running,
+    summary
+  };
+}
+
+/**
+ * Compare each customer's ledger with their stored balance and their order balances.
+ * Read-only: discrepancies are reported, never corrected.
+ */
+async function verifyCustomerLedgers() {
+  const [customers, ledgerTotals, orderTotals] = await Promise.all([
+    prisma.customer.findMany({
+      where: { OR: [{ totalOrders: { gt: 0 } }, { ledgerEntries: { some: {} } }] },
+      select: { id: true, name: true, customerBalance: true }
+    }),
+    prisma.customerLedgerEntry.groupBy({
+      by: ['customerId'],
+      _sum: { debit: true, credit: true },
+      _count: { _all: true }
+    }),
+    prisma.distributionOrder.groupBy({
+      by: ['customerId'],
+      _sum: { balance: true }
+    })
+  ]);
+
+  const ledgerByCustomer = new Map(ledgerTotals.map(row => [row.customerId, row]));
+  const ordersByCustomer = new Map(orderTotals.map(row => [row.customerId, parseFloat(row._sum.balance || 0)]));
+
+  const discrepancies = [];
+  for (const customer of customers) {
+    const ledger = ledgerByCustomer.get(customer.id);
+    const ledgerBalance = ledger
+      ? round(parseFloat(ledger._sum.debit || 0) - parseFloat(ledger._sum.credit || 0))
+      : 0;
+    const accountBalance = round(-parseFloat(customer.customerBalance));
+    const orderBalance = round(ordersByCustomer.get(customer.id) || 0);
+
+    const issues = [];
+    if (!ledger && orderBalance !== 0) issues.push('NO_LEDGER');
+    if (Math.abs(ledgerBalance - accountBalance) > 0.01) issues.push('BALANCE_MISMATCH');
+    if (Math.abs(ledgerBalance - orderBalance) > 0.01) issues.push('ORDERS_MISMATCH');
+
+    if (issues.length > 0) {
+      discrepancies.push({
+        customerId: customer.id,
+        customerName: customer.name,
+        ledgerBalance,
+        accountBalance,
+        orderBalance,
+        entryCount: ledger?._count._all || 0,
+        issues
+      });
+    }
+  }
+
+  return { checked: customers.length, discrepancies };
+}
+
+/**
+ * Rebuild the history of one customer from their orders, adjustments, credit notes
+ * and payments. Whatever the records can't explain is posted as a final
+ * ADJUSTMENT so the ledger lands on the order balances.
+ */
+async function backfillCustomer(tx, customerId, userId) {
+  const orders = await tx.distributionOrder.findMany({
+    where: { customerId },
+    include: {
+      priceAdjustments: { orderBy: { createdAt: 'asc' } },
+      creditNotes: { orderBy: { createdAt: 'asc' } },
+      paymentHistory: { where: { paymentType: 'TO_COMPANY' }, orderBy: { createdAt: 'asc' } }
+    }
+  });
+
+  const postings = [];
+  for (const order of orders) {
+    const reference = order.orderNumber || null;
+    const creditNoteTotal = order.creditNotes.reduce((sum, cn) => sum + parseFloat(cn.amount), 0);
+    const invoiced = order.priceAdjustments.length > 0
+      ? parseFloat(order.priceAdjustments[0].originalAmount)
+      : parseFloat(order.finalAmount) + creditNoteTotal;
+
+    const orderPostings = [{
+      type: 'INVOICE', debit: invoiced, entryDate: order.createdAt, description: `Order ${reference || order.id}`
+    }];
+
+    for (const adjustment of order.priceAdjustments) {
+      const change = parseFloat(adjustment.adjustedAmount) - parseFloat(adjustment.originalAmount);
+      orderPostings.push({
+        type: 'ADJUSTMENT',
+        debit: Math.max(0, change),
+        credit: Math.max(0, -change),
+        entryDate: adjustment.createdAt,
+        sourceId: adjustment.id,
+        description: `Price adjustment: ${adjustment.reason}`
+      });
+    }
+
+    for (const creditNote of order.creditNotes) {
+      orderPostings.push({
+        type: 'CREDIT_NOTE',
+        credit: parseFloat(creditNote.amount),
+        entryDate: creditNote.createdAt,
+        sourceId: creditNote.id,
+        reference: creditNote.creditNoteNumber,
+        description: `Credit note ${creditNote.creditNoteNumber} - delivery shortfall`
+      });
+    }
+
+    for (const payment of order.paymentHistory) {
+      orderPostings.push({
+        type: 'PAYMENT',
+        credit: parseFloat(payment.amount),
+        entryDate: payment.createdAt,
+        sourceId: payment.id,
+        reference: payment.reference || reference,
+        description: `Payment (${payment.paymentMethod})`
+      });
+    }
+
+    const explained = orderPostings.reduce((sum, p) => sum + (p.debit || 0) - (p.credit || 0), 0);
+    const unexplained = round(parseFloat(order.balance) - explained);
+    if (unexplained !== 0) {
+      orderPostings.push({
+        type: 'ADJUSTMENT',
+        debit: Math.max(0, unexplained),
+        credit: Math.max(0, -unexplained),
+        entryDate: new Date(Math.max(...orderPostings.map(p => p.entryDate.getTime()))),
+        description: 'Balance brought forward from order records'
+      });
+    }
+
+    postings.push(...orderPostings.map(p => ({ orderId: order.id, reference, ...p })));
+  }
+
+  postings.sort((a, b) => a.entryDate - b.entryDate);
+
+  // Balance is rebuilt from zero by the postings themselves
+  await tx.customer.update({ where: { id: customerId }, data: { customerBalance: 0 } });
+  for (const posting of postings) {
+    await postCustomerLedgerEntry(tx, { customerId, createdBy: userId, ...posting });
+  }
+
+  return postings.length;
+}
+
+/**
+ * Backfill customers that have orders but no ledger entries yet
+ */
+async function backfillCustomerLedgers({ customerIds } = {}, userId = null) {
+  const customers = await prisma.customer.findMany({
+    where: {
+      ...(customerIds ? { id: { in: customerIds } } : {}),
+      distributionOrders: { some: {} },
+      ledgerEntries: { none: {} }
+    },
+    select: { id: true, name: true, customerBalance: true }
+  });
+
+  let entriesPosted = 0;
+  for (const customer of customers) {
+    entriesPosted += await prisma.$transaction(async (tx) => {
+      const count = await backfillCustomer(tx, customer.id, userId);
+      const after = await tx.customer.findUnique({ where: { id: customer.id }, select: { customerBalance: true } });
+
+      await createAuditLog({
+        userId,
+        action: 'CUSTOMER_LEDGER_BACKFILL',
+        entity: 'Customer',
+        entityId: customer.id,
+        oldValues: { customerBalance: parseFloat(customer.customerBalance) },
+        newValues: { customerBalance: parseFloat(after.customerBalance), entriesPosted: count }
+      }, tx);
+
+      return count;
+    }, { timeout: 60000 });
+  }
+
+  return { customersBackfilled: customers.length, entriesPosted };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  postCustomerLedgerEntry,
+  postOrderAdjustment,
+  getCustomerStatement,
+  verifyCustomerLedgers,
+  backfillCustomerLedgers
+};
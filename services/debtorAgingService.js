@@ -0,0 +1,279 @@
+/**
+ * Debtor Aging Service
+ *
+ * - Moves open debts to OVERDUE once their dueDate has passed (and back if a
+ *   due date is extended)
+ * - Recalculates WarehouseCustomer.paymentReliabilityScore from payment history
+ * - Builds the aging report: Current, 1-30, 31-60, 61-90 and 90+ days past due
+ *
+ * Debts without a due date are treated as current.
+ */
+
+const prisma = require('../lib/prisma');
+
+const OPEN_DEBTOR_STATUSES = ['OUTSTANDING', 'PARTIAL', 'OVERDUE'];
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: -Infinity, maxDays: 0 },
+  { key: 'days1to30', label: '1-30 Days', minDays: 1, maxDays: 30 },
+  { key: 'days31to60', label: '31-60 Days', minDays: 31, maxDays: 60 },
+  { key: 'days61to90', label: '61-90 Days', minDays: 61, maxDays: 90 },
+  { key: 'over90', label: '90+ Days', minDays: 91, maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Whole days a debt is past its due date as of `asOf` (0 when not yet due or no due date)
+ */
+const getDaysOverdue = (dueDate, asOf = new Date()) => {
+  if (!dueDate) return 0;
+  return Math.max(0, Math.round((startOfDay(asOf) - startOfDay(dueDate)) / DAY_MS));
+};
+
+const getAgingBucket = (daysOverdue) =>
+  AGING_BUCKETS.find(b => daysOverdue >= b.minDays && daysOverdue <= b.maxDays);
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+
+/**
+ * Status for an open debt after a payment. Debts still past due stay OVERDUE.
+ */
+const getDebtStatusAfterPayment = (debt, amountPaid, amountDue, now = new Date()) => {
+  if (amountDue <= 0) return 'PAID';
+  if (getDaysOverdue(debt.dueDate, now) > 0) return 'OVERDUE';
+  if (amountPaid > 0) return 'PARTIAL';
+  return debt.status === 'OVERDUE' ? 'OUTSTANDING' : debt.status;
+};
+
+/**
+ * Move open debts past their due date to OVERDUE, and OVERDUE debts whose due date was
+ * moved out again back to OUTSTANDING/PARTIAL
+ * @returns {object} { markedOverdue, restored, customerIds }
+ */
+async function markOverdueDebts(asOf = new Date()) {
+  const today = startOfDay(asOf);
+
+  // The conditions are repeated on each update so a debt paid between the read and the
+  // write is left alone
+  const overdueWhere = {
+    status: { in: ['OUTSTANDING', 'PARTIAL'] },
+    amountDue: { gt: 0 },
+    dueDate: { lt: today }
+  };
+
+  const becameOverdue = await prisma.debtor.findMany({
+    where: overdueWhere,
+    select: { id: true, warehouseCustomerId: true }
+  });
+
+  let markedOverdue = 0;
+  if (becameOverdue.length > 0) {
+    ({ count: markedOverdue } = await prisma.debtor.updateMany({
+      where: { id: { in: becameOverdue.map(d => d.id) }, ...overdueWhere },
+      data: { status: 'OVERDUE' }
+    }));
+  }
+
+  const restoreWhere = {
+    status: 'OVERDUE',
+    OR: [{ dueDate: null }, { dueDate: { gte: today } }]
+  };
+
+  const noLongerOverdue = await prisma.debtor.findMany({
+    where: restoreWhere,
+    select: { id: true, warehouseCustomerId: true, amountPaid: true }
+  });
+
+  let restored = 0;
+  for (const debt of noLongerOverdue) {
+    const { count } = await prisma.debtor.updateMany({
+      where: { id: debt.id, ...restoreWhere },
+      data: { status: parseFloat(debt.amountPaid) > 0 ? 'PARTIAL' : 'OUTSTANDING' }
+    });
+    restored += count;
+  }
+
+  return {
+    markedOverdue,
+    restored,
+    customerIds: [...new Set([...becameOverdue, ...noLongerOverdue].map(d => d.warehouseCustomerId))]
+  };
+}
+
+/**
+ * Payment reliability (0-100) from a customer's credit history: the share of
+ * payments made on or before their debt's due date, with every debt that is
+ * currently overdue counting as a missed payment. 100 when there's no history.
+ */
+async function calculatePaymentReliability(customerId, client = prisma, asOf = new Date()) {
+  const [payments, overdueDebts] = await Promise.all([
+    client.debtorPayment.findMany({
+      where: { debtor: { warehouseCustomerId: customerId } },
+      select: { paymentDate: true, debtor: { select: { dueDate: true } } }
+    }),
+    client.debtor.findMany({
+      where: {
+        warehouseCustomerId: customerId,
+        status: { in: OPEN_DEBTOR_STATUSES },
+        amountDue: { gt: 0 },
+        dueDate: { lt: startOfDay(asOf) }
+      },
+      select: { id: true }
+    })
+  ]);
+
+  const latePayments = payments.filter(p =>
+    p.debtor.dueDate && startOfDay(p.paymentDate) > startOfDay(p.debtor.dueDate)
+  ).length;
+
+  const events = payments.length + overdueDebts.length;
+  if (events === 0) return 100;
+
+  return round(((payments.length - latePayments) / events) * 100);
+}
+
+/**
+ * Recalculate reliability scores, for the given customers or everyone with credit history
+ */
+async function refreshReliabilityScores(customerIds = null) {
+  const ids = customerIds || (await prisma.warehouseCustomer.findMany({
+    where: { debtors: { some: {} } },
+    select: { id: true }
+  })).map(c => c.id);
+
+  let updated = 0;
+  for (const id of ids) {
+    const score = await calculatePaymentReliability(id);
+    const result = await prisma.warehouseCustomer.updateMany({
+      where: { id, NOT: { paymentReliabilityScore: score } },
+      data: { paymentReliabilityScore: score }
+    });
+    updated += result.count;
+  }
+
+  return { customersChecked: ids.length, updated };
+}
+
+/**
+ * Aging of open debts per customer and in total
+ * @param {object} options - { asOf, customerId, bucket }
+ */
+async function getDebtorAgingReport({ asOf = new Date(), customerId, bucket } = {}) {
+  const debts = await prisma.debtor.findMany({
+    where: {
+      status: { in: OPEN_DEBTOR_STATUSES },
+      amountDue: { gt: 0 },
+      ...(customerId && { warehouseCustomerId: customerId })
+    },
+    select: {
+      id: true,
+      amountDue: true,
+      dueDate: true,
+      createdAt: true,
+      warehouseCustomer: {
+        select: {
+          id: true,
+          name: true,
+          phone: true,
+          creditLimit: true,
+          paymentReliabilityScore: true,
+          creditHold: true
+        }
+      }
+    }
+  });
+
+  const totals = emptyBuckets();
+  const byCustomer = new Map();
+
+  for (const debt of debts) {
+    const amountDue = parseFloat(debt.amountDue);
+    const daysOverdue = getDaysOverdue(debt.dueDate, asOf);
+    const { key } = getAgingBucket(daysOverdue);
+    const customer = debt.warehouseCustomer;
+
+    if (!byCustomer.has(customer.id)) {
+      byCustomer.set(customer.id, {
+        customerId: customer.id,
+        customerName: customer.name,
+        phone: customer.phone,
+        creditLimit: customer.creditLimit !== null ? parseFloat(customer.creditLimit) : null,
+        paymentReliabilityScore: parseFloat(customer.paymentReliabilityScore),
+        creditHold: customer.creditHold,
+        ...emptyBuckets(),
+        totalDue: 0,
+        debtCount: 0,
+        maxDaysOverdue: 0,
+        oldestDueDate: null
+      });
+    }
+
+    const row = byCustomer.get(customer.id);
+    row[key] += amountDue;
+    row.totalDue += amountDue;
+    row.debtCount += 1;
+    row.maxDaysOverdue = Math.max(row.maxDaysOverdue, daysOverdue);
+    if (debt.dueDate && (!row.oldestDueDate || debt.dueDate < row.oldestDueDate)) {
+      row.oldestDueDate = debt.dueDate;
+    }
+
+    totals[key] += amountDue;
+  }
+
+  let customers = [...byCustomer.values()].map(row => {
+    for (const b of AGING_BUCKETS) row[b.key] = round(row[b.key]);
+    row.totalDue = round(row.totalDue);
+    return row;
+  });
+
+  const totalDue = round(Object.values(totals).reduce((sum, v) => sum + v, 0));
+
+  const buckets = AGING_BUCKETS.map(b => ({
+    key: b.key,
+    label: b.label,
+    amount: round(totals[b.key]),
+    percentage: totalDue > 0 ? round((totals[b.key] / totalDue) * 100) : 0,
+    customers: customers.filter(row => row[b.key] > 0).length
+  }));
+
+  const customersWithDebt = customers.length;
+
+  if (bucket) {
+    customers = customers.filter(row => row[bucket] > 0);
+  }
+
+  customers.sort((a, b) => b.maxDaysOverdue - a.maxDaysOverdue || b.totalDue - a.totalDue);
+
+  return {
+    asOf,
+    buckets,
+    customers,
+    summary: {
+      totalDue,
+      overdueAmount: round(totalDue - totals.current),
+      customersWithDebt,
+      openDebts: debts.length
+    }
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  getDaysOverdue,
+  getAgingBucket,
+  getDebtStatusAfterPayment,
+  markOverdueDebts,
+  calculatePaymentReliability,
+  refreshReliabilityScores,
+  getDebtorAgingReport
+};
@@ -0,0 +1,258 @@
+/**
+ * Delivery Reconciliation Service
+ *
+ * Settles the money side of a partial delivery, line by line:
+ * - each undelivered pack is credited to the customer at the price it was sold
+ *   at (item.amount / item.packs), as a CreditNote against the order
+ * - the order's finalAmount and balance drop by the credit; if the customer had
+ *   already paid more than the new amount, the excess is recorded as refundDue
+ * - packs the supplier never loaded (shortfallReason NOT_LOADED) are claimed back
+ *   from the order's supplier company at supplier cost, as a SupplierClaim
+ *
+ * A failed delivery is credited in full the same way (no supplier claim), so what
+ * the customer already paid shows up as refundDue.
+ *
+ * Runs inside the recordDelivery transaction, on an order re-read after the order
+ * row was claimed. An order is only reconciled once.
+ */
+
+const { BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+const { raiseClaim } = require('./supplierClaimService');
+const { postCustomerLedgerEntry } = require('./customerLedgerService');
+
+const SHORTFALL_REASONS = ['NOT_LOADED', 'DAMAGED', 'REJECTED', 'OTHER'];
+const DEFAULT_SHORTFALL_REASON = 'NOT_LOADED';
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Undelivered quantity and value per order line.
+ * `lines` are the resolved delivered lines ({ id, deliveredPallets, deliveredPacks, shortfallReason }).
+ */
+function calculateShortfall(order, lines) {
+  const byItemId = new Map(lines.map(line => [line.id, line]));
+
+  return order.orderItems
+    .map(item => {
+      const line = byItemId.get(item.id);
+      const shortPacks = item.packs - line.deliveredPacks;
+      const shortPallets = Math.max(0, item.pallets - line.deliveredPallets);
+      const unitPrice = item.packs > 0 ? parseFloat(item.amount) / item.packs : 0;
+
+      return {
+        orderItemId: item.id,
+        productId: item.productId,
+        product: item.product.name,
+        pallets: shortPallets,
+        packs: shortPacks,
+        unitPrice: round(unitPrice),
+        amount: round(unitPrice * shortPacks),
+        reason: line.shortfallReason || DEFAULT_SHORTFALL_REASON
+      };
+    })
+    .filter(line => line.packs > 0);
+}
+
+/**
+ * Supplier cost per pack for each product: the supplier's price list, else the product cost
+ */
+async function getSupplierUnitCosts(tx, supplierCompanyId, products) {
+  const supplierProducts = await tx.supplierProduct.findMany({
+    where: { supplierCompanyId, productId: { in: products.map(p => p.id) } },
+    select: { productId: true, supplierCostPerPack: true }
+  });
+  const listed = new Map(supplierProducts.map(sp => [sp.productId, parseFloat(sp.supplierCostPerPack)]));
+
+  return new Map(products.map(p => [
+    p.id,
+    listed.get(p.id) ?? (p.costPerPack !== null && p.costPerPack !== undefined ? parseFloat(p.costPerPack) : 0)
+  ]));
+}
+
+/**
+ * Fails if the order already has a delivery credit note; re-recording would credit twice
+ */
+async function assertNotReconciled(client, orderId) {
+  const existing = await client.creditNote.findFirst({
+    where: { orderId, reason: 'DELIVERY_SHORTFALL' },
+    select: { creditNoteNumber: true }
+  });
+
+  if (existing) {
+    throw new BusinessError(
+      `Delivery was already reconciled with credit note ${existing.creditNoteNumber}`,
+      'DELIVERY_ALREADY_RECONCILED'
+    );
+  }
+}
+
+/**
+ * Credit the customer for an undelivered amount: the credit note, the order's reduced
+ * finalAmount and balance (refundDue for anything already paid beyond it) and the ledger credit
+ */
+async function issueDeliveryCreditNote(tx, { order, creditAmount, lines, notes, description, userId }) {
+  const oldFinalAmount = parseFloat(order.finalAmount);
+  const amountPaid = parseFloat(order.amountPaid);
+  const oldBalance = parseFloat(order.balance);
+
+  const newFinalAmount = round(oldFinalAmount - creditAmount);
+  const newBalance = round(oldBalance - creditAmount);
+  const refundDue = round(Math.max(0, amountPaid - newFinalAmount) - Math.max(0, amountPaid - oldFinalAmount));
+
+  const creditNote = await tx.creditNote.create({
+    data: {
+      creditNoteNumber: await generateDocumentNumber('CN', 'creditNote', 'creditNoteNumber', tx),
+      orderId: order.id,
+      customerId: order.customerId,
+      reason: 'DELIVERY_SHORTFALL',
+      amount: creditAmount,
+      appliedToBalance: round(creditAmount - refundDue),
+      refundDue,
+      lines,
+      notes: notes || null,
+      createdBy: userId
+    }
+  });
+
+  let paymentStatus = order.paymentStatus;
+  if (newFinalAmount > 0 || amountPaid > 0) {
+    if (newBalance === 0) paymentStatus = 'CONFIRMED';
+    else if (newBalance < 0) paymentStatus = 'OVERPAID';
+    else if (amountPaid > 0) paymentStatus = 'PARTIAL';
+  }
+
+  await tx.distributionOrder.update({
+    where: { id: order.id },
+    data: {
+      finalAmount: { decrement: creditAmount },
+      balance: { decrement: creditAmount },
+      paymentStatus
+    }
+  });
+
+  await postCustomerLedgerEntry(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    type: 'CREDIT_NOTE',
+    credit: creditAmount,
+    reference: creditNote.creditNoteNumber,
+    description: `Credit note ${creditNote.creditNoteNumber} - ${description}`,
+    sourceId: creditNote.id,
+    createdBy: userId
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'CREDIT_NOTE_ISSUED',
+    entity: 'CreditNote',
+    entityId: creditNote.id,
+    oldValues: { finalAmount: oldFinalAmount, balance: oldBalance },
+    newValues: {
+      creditNoteNumber: creditNote.creditNoteNumber,
+      orderId: order.id,
+      amount: creditAmount,
+      refundDue,
+      finalAmount: newFinalAmount,
+      balance: newBalance
+    }
+  }, tx);
+
+  return creditNote;
+}
+
+/**
+ * Post the credit note and supplier claim for a partial delivery.
+ * Returns { creditNote, supplierClaim, creditAmount } (nulls and 0 when nothing was short).
+ */
+async function reconcilePartialDelivery(tx, { order, lines, userId }) {
+  const shortfall = calculateShortfall(order, lines);
+  if (shortfall.length === 0) {
+    return { creditNote: null, supplierClaim: null, creditAmount: 0 };
+  }
+
+  // Price adjustments can leave finalAmount below the sum of the lines
+  const creditAmount = round(Math.min(
+    shortfall.reduce((sum, line) => sum + line.amount, 0),
+    parseFloat(order.finalAmount)
+  ));
+
+  const creditNote = creditAmount > 0
+    ? await issueDeliveryCreditNote(tx, {
+      order,
+      creditAmount,
+      lines: shortfall,
+      notes: order.partialDeliveryReason,
+      description: 'delivery shortfall',
+      userId
+    })
+    : null;
+
+  const notLoaded = shortfall.filter(line => line.reason === 'NOT_LOADED');
+  let supplierClaim = null;
+
+  if (order.supplierCompanyId && notLoaded.length > 0) {
+    const products = order.orderItems
+      .filter(item => notLoaded.some(line => line.orderItemId === item.id))
+      .map(item => item.product);
+    const unitCosts = await getSupplierUnitCosts(tx, order.supplierCompanyId, products);
+
+    const claimLines = notLoaded.map(line => {
+      const unitCost = unitCosts.get(line.productId) || 0;
+      return {
+        orderItemId: line.orderItemId,
+        productId: line.productId,
+        product: line.product,
+        pallets: line.pallets,
+        packs: line.packs,
+        unitCost,
+        amount: round(unitCost * line.packs)
+      };
+    });
+
+    supplierClaim = await raiseClaim(tx, {
+      supplierCompanyId: order.supplierCompanyId,
+      orderId: order.id,
+      claimType: 'SHORT_LOADED',
+      pallets: claimLines.reduce((sum, line) => sum + line.pallets, 0),
+      packs: claimLines.reduce((sum, line) => sum + line.packs, 0),
+      amount: round(claimLines.reduce((sum, line) => sum + line.amount, 0)),
+      lines: claimLines,
+      description: `Not loaded on order ${order.orderNumber || order.id}`
+    }, userId);
+  }
+
+  return { creditNote, supplierClaim, creditAmount };
+}
+
+/**
+ * Credit the whole order when nothing was delivered. Returns the same shape as
+ * reconcilePartialDelivery; no supplier claim, the goods were loaded.
+ */
+async function reconcileFailedDelivery(tx, { order, lines, userId }) {
+  const creditAmount = round(parseFloat(order.finalAmount));
+  if (creditAmount <= 0) {
+    return { creditNote: null, supplierClaim: null, creditAmount: 0 };
+  }
+
+  const creditNote = await issueDeliveryCreditNote(tx, {
+    order,
+    creditAmount,
+    lines: calculateShortfall(order, lines).map(line => ({ ...line, reason: 'OTHER' })),
+    notes: order.nonDeliveryReason,
+    description: 'failed delivery',
+    userId
+  });
+
+  return { creditNote, supplierClaim: null, creditAmount };
+}
+
+module.exports = {
+  SHORTFALL_REASONS,
+  DEFAULT_SHORTFALL_REASON,
+  calculateShortfall,
+  assertNotReconciled,
+  reconcilePartialDelivery,
+  reconcileFailedDelivery
+};
@@ -1,5 +1,14 @@
 const { NotFoundError, ValidationError, BusinessError } = require('../middleware/errorHandler');
 const prisma = require('../lib/prisma');
+const {
+  DEFAULT_SHORTFALL_REASON,
+  assertNotReconciled,
+  reconcilePartialDelivery,
+  reconcileFailedDelivery
+} = require('./deliveryReconciliationService');
+
+// Deliveries already settled with a credit note; they can't be recorded again
+const SETTLED_DELIVERY_STATUSES = ['PARTIALLY_DELIVERED', 'FAILED'];
 
 class DistributionDeliveryService {
 
@@ -105,7 +114,78 @@ class DistributionDeliveryService {
   }
 
   // ================================
-  // Record delivery (full, partial, or failed)
+  // HELPER: Per-line delivered quantities
+  // ================================
+  // FULLY_DELIVERED and FAILED are implied; PARTIALLY_DELIVERED needs every line,
+  // with a shortfall reason (default NOT_LOADED) for lines that came up short.
+  resolveDeliveredLines(order, deliveryStatus, items) {
+    if (deliveryStatus === 'FULLY_DELIVERED') {
+      return order.orderItems.map(item => ({ id: item.id, deliveredPallets: item.pallets, deliveredPacks: item.packs, shortfallReason: null }));
+    }
+    if (deliveryStatus === 'FAILED') {
+      return order.orderItems.map(item => ({ id: item.id, deliveredPallets: 0, deliveredPacks: 0, shortfallReason: null }));
+    }
+    if (!items || items.length === 0) {
+      throw new ValidationError('Delivered quantities per order line are required for a partial delivery');
+    }
+
+    const byItemId = new Map(items.map(line => [line.orderItemId, line]));
+    if (byItemId.size !== items.length) {
+      throw new ValidationError('Each order line can only appear once in delivered items');
+    }
+
+    const unknown = items.filter(line => !order.orderItems.some(item => item.id === line.orderItemId));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Order lines not on this order: ${unknown.map(line => line.orderItemId).join(', ')}`);
+    }
+
+    return order.orderItems.map(item => {
+      const line = byItemId.get(item.id);
+      if (!line) {
+        throw new ValidationError(`Delivered quantity missing for ${item.product.name}`);
+      }
+
+      const deliveredPacks = parseInt(line.deliveredPacks);
+      const packsPerPallet = item.product.packsPerPallet || 0;
+      const deliveredPallets = line.deliveredPallets !== undefined && line.deliveredPallets !== null
+        ? parseInt(line.deliveredPallets)
+        : Math.min(item.pallets, packsPerPallet > 0 ? Math.floor(deliveredPacks / packsPerPallet) : 0);
+
+      if (deliveredPacks > item.packs || deliveredPallets > item.pallets) {
+        throw new ValidationError(
+          `${item.product.name}: delivered ${deliveredPacks} packs / ${deliveredPallets} pallets exceeds ordered ${item.packs} packs / ${item.pallets} pallets`
+        );
+      }
+
+      const shortfallReason = deliveredPacks < item.packs
+        ? line.shortfallReason || DEFAULT_SHORTFALL_REASON
+        : null;
+
+      return { id: item.id, deliveredPallets, deliveredPacks, shortfallReason };
+    });
+  }
+
+  // ================================
+  // HELPER: Check the signature belongs to this order
+  // ================================
+  async validateSignature(orderId, signatureAttachmentId) {
+    if (!signatureAttachmentId) return;
+
+    const signature = await prisma.attachment.findUnique({
+      where: { id: signatureAttachmentId },
+      select: { entityType: true, entityId: true, category: true, contentType: true }
+    });
+
+    if (!signature || signature.entityType !== 'DISTRIBUTION_ORDER' || signature.entityId !== orderId) {
+      throw new ValidationError('Signature attachment not found on this order');
+    }
+    if (signature.category !== 'SIGNATURE' || !signature.contentType.startsWith('image/')) {
+      throw new ValidationError('Signature attachment must be an image uploaded with category SIGNATURE');
+    }
+  }
+
+  // ================================
+  // Record delivery (full, partial, or failed) with proof of delivery
   // ================================
   async recordDelivery({
     orderId,
@@ -116,6 +196,8 @@ class DistributionDeliveryService {
     deliveryNotes,
     nonDeliveryReason,
     partialDeliveryReason,
+    items,
+    proof,
     reviewerId
   }) {
     const order = await prisma.distributionOrder.findUnique({
@@ -132,11 +214,15 @@ class DistributionDeliveryService {
       throw new NotFoundError('Order not found');
     }
 
+    const lines = this.resolveDeliveredLines(order, deliveryStatus, items);
+
     // Validate delivery quantities
     if (deliveryStatus === 'FULLY_DELIVERED') {
       deliveredPallets = order.totalPallets;
       deliveredPacks = order.totalPacks;
     } else if (deliveryStatus === 'PARTIALLY_DELIVERED') {
+      deliveredPallets = lines.reduce((sum, line) => sum + line.deliveredPallets, 0);
+      deliveredPacks = lines.reduce((sum, line) => sum + line.deliveredPacks, 0);
       if (!deliveredPallets && !deliveredPacks) {
         throw new ValidationError('Must specify delivered quantities for partial delivery');
       }
@@ -151,7 +237,29 @@ class DistributionDeliveryService {
       }
     }
 
+    // Goods changed hands, so someone has to have received them
+    if (deliveryStatus !== 'FAILED' && !proof?.receiverName) {
+      throw new ValidationError('Receiver name is required to record a delivery');
+    }
+    await this.validateSignature(orderId, proof?.signatureAttachmentId);
+
     return await prisma.$transaction(async (tx) => {
+      // Claim the order row first: a double submit waits here, then fails instead of crediting twice
+      const claimed = await tx.distributionOrder.updateMany({
+        where: { id: orderId, deliveryStatus: { notIn: SETTLED_DELIVERY_STATUSES } },
+        data: { deliveryStatus }
+      });
+      if (claimed.count === 0) {
+        throw new BusinessError('Delivery has already been recorded for this order', 'DELIVERY_ALREADY_RECORDED');
+      }
+      await assertNotReconciled(tx, orderId);
+
+      // Amounts as they are now, not as read before the claim
+      const current = await tx.distributionOrder.findUnique({
+        where: { id: orderId },
+        select: { finalAmount: true, amountPaid: true, balance: true, paymentStatus: true }
+      });
+
       // Determine final order status
       let finalStatus;
       if (deliveryStatus === 'FULLY_DELIVERED') {
@@ -162,6 +270,52 @@ class DistributionDeliveryService {
         finalStatus = 'CANCELLED';
       }
 
+      for (const line of lines) {
+        await tx.distributionOrderItem.update({
+          where: { id: line.id },
+          data: {
+            deliveredPallets: line.deliveredPallets,
+            deliveredPacks: line.deliveredPacks,
+            shortfallReason: line.shortfallReason
+          }
+        });
+      }
+
+      // Credit the customer for what didn't arrive and claim unloaded stock from the supplier
+      let reconciliation = { creditNote: null, supplierClaim: null, creditAmount: 0 };
+      if (deliveryStatus === 'PARTIALLY_DELIVERED') {
+        reconciliation = await reconcilePartialDelivery(tx, {
+          order: { ...order, ...current, partialDeliveryReason },
+          lines,
+          userId: reviewerId
+        });
+      } else if (deliveryStatus === 'FAILED') {
+        reconciliation = await reconcileFailedDelivery(tx, {
+          order: { ...order, ...current, nonDeliveryReason },
+          lines,
+          userId: reviewerId
+        });
+      }
+
+      if (proof?.receiverName) {
+        const proofData = {
+          receiverName: proof.receiverName,
+          receiverPhone: proof.receiverPhone || null,
+          signatureAttachmentId: proof.signatureAttachmentId || null,
+          latitude: proof.latitude ?? null,
+          longitude: proof.longitude ?? null,
+          gpsAccuracy: proof.gpsAccuracy ?? null,
+          capturedAt: proof.capturedAt ? new Date(proof.capturedAt) : new Date(),
+          recordedBy: reviewerId
+        };
+
+        await tx.deliveryProof.upsert({
+          where: { orderId },
+          create: { orderId, ...proofData },
+          update: proofData
+        });
+      }
+
       // Update order
       const updatedOrder = await tx.distributionOrder.update({
         where: { id: orderId },
@@ -184,6 +338,9 @@ class DistributionDeliveryService {
           orderItems: {
             include: { product: true }
           },
+          deliveryProof: true,
+          creditNotes: true,
+          supplierClaims: true,
           deliveryReviewer: {
             select: { username: true, role: true }
           }
@@ -196,7 +353,7 @@ class DistributionDeliveryService {
           where: { id: order.customerId },
           data: {
             totalOrders: { increment: 1 },
-            totalSpent: { increment: order.finalAmount },
+            totalSpent: { increment: parseFloat(current.finalAmount) - reconciliation.creditAmount },
             lastOrderDate: new Date()
           }
         });
@@ -240,7 +397,12 @@ class DistributionDeliveryService {
             deliveryStatus,
             deliveredPallets,
             deliveredPacks,
-            status: finalStatus
+            status: finalStatus,
+            lines,
+            receiverName: proof?.receiverName || null,
+            signatureAttachmentId: proof?.signatureAttachmentId || null,
+            creditNoteNumber: reconciliation.creditNote?.creditNoteNumber || null,
+            supplierClaimNumber: reconciliation.supplierClaim?.claimNumber || null
           }
         }
       });
@@ -258,6 +420,16 @@ class DistributionDeliveryService {
       include: {
         customer: true,
         location: true,
+        orderItems: {
+          include: { product: { select: { name: true, productNo: true } } }
+        },
+        deliveryProof: true,
+        creditNotes: {
+          select: { creditNoteNumber: true, amount: true, refundDue: true, createdAt: true }
+        },
+        supplierClaims: {
+          select: { claimNumber: true, packs: true, amount: true, status: true }
+        },
         deliveryReviewer: {
           select: { username: true, role: true }
         }
@@ -301,12 +473,61 @@ class DistributionDeliveryService {
         partial: order.partialDeliveryReason,
         failed: order.nonDeliveryReason
       },
+      items: order.orderItems.map(item => ({
+        orderItemId: item.id,
+        product: item.product.name,
+        productNo: item.product.productNo,
+        orderedPallets: item.pallets,
+        orderedPacks: item.packs,
+        deliveredPallets: item.deliveredPallets,
+        deliveredPacks: item.deliveredPacks,
+        shortfallReason: item.shortfallReason
+      })),
+      proof: order.deliveryProof,
+      creditNotes: order.creditNotes,
+      supplierClaims: order.supplierClaims,
       reviewer: {
         name: order.deliveryReviewer?.username,
         reviewedAt: order.deliveryReviewedAt
       }
     };
   }
+
+  // ================================
+  // Proof of delivery (for the POD document)
+  // ================================
+  async getDeliveryProof(orderId) {
+    const order = await prisma.distributionOrder.findUnique({
+      where: { id: orderId },
+      include: {
+        customer: { select: { name: true, phone: true, address: true } },
+        location: { select: { name: true } },
+        orderItems: {
+          include: { product: { select: { name: true, productNo: true } } }
+        },
+        deliveryProof: {
+          include: {
+            signature: true,
+            recordedByUser: { select: { username: true } }
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (!order.deliveryProof) {
+      throw new BusinessError('No proof of delivery has been recorded for this order', 'NO_DELIVERY_PROOF');
+    }
+
+    const photos = await prisma.attachment.findMany({
+      where: { entityType: 'DISTRIBUTION_ORDER', entityId: orderId, category: 'DELIVERY_PHOTO' },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return { order, proof: order.deliveryProof, photos };
+  }
 }
 
 module.exports = new DistributionDeliveryService();
\ No newline at end of file
@@ -6,6 +6,9 @@ const {
   generateSupplierOrderNumber,
   generateSupplierInvoiceNumber
 } = require('../utils/orderNumberGenerator');
+const { applySupplierCredit } = require('./supplierClaimService');
+const { postCustomerLedgerEntry, postOrderAdjustment } = require('./customerLedgerService');
+const { getOrderAllocations, getNetAllocatedCredit } = require('./customerCreditService');
 
 class DistributionPaymentService {
   
@@ -57,7 +60,9 @@ class DistributionPaymentService {
         _sum: { amount: true }
       });
 
-      const totalAmountPaid = parseFloat(totalPaid._sum.amount || 0);
+      // Credit moved onto or off this order counts as paid
+      const netCredit = await getNetAllocatedCredit(tx, orderId);
+      const totalAmountPaid = parseFloat(totalPaid._sum.amount || 0) + netCredit;
       const orderAmount = parseFloat(order.finalAmount);
 
       // Determine payment status
@@ -96,16 +101,25 @@ class DistributionPaymentService {
         }
       });
 
-      // Update customer balance
-      // When customer pays more, their balance decreases (they owe less)
-      // balanceChange is negative when payment reduces the balance
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: {
-          customerBalance: {
-            increment: balanceChange
-          }
-        }
+      // Credit the payment to the customer's ledger
+      await postCustomerLedgerEntry(tx, {
+        customerId: order.customerId,
+        orderId,
+        type: 'PAYMENT',
+        credit: amount,
+        reference: reference || order.orderNumber,
+        description: `Payment (${paymentMethod})`,
+        sourceId: payment.id,
+        createdBy: userId
+      });
+
+      // Anything the payment alone doesn't explain (e.g. payment history edited by hand)
+      await postOrderAdjustment(tx, {
+        order,
+        oldBalance: oldBalance - parseFloat(amount),
+        newBalance: oldBalance + balanceChange,
+        description: `Order ${order.orderNumber || orderId} balance recalculated from payment history`,
+        createdBy: userId
       });
 
       // Audit log
@@ -189,9 +203,11 @@ class DistributionPaymentService {
   }
 
   // Record payment to Rite Foods
+  // creditApplied settles part (or all) of it from the supplier's credit balance
   async recordPaymentToSupplier({
     orderId,
     amount,
+    creditApplied = 0,
     paymentMethod,
     reference,
     supplierOrderNumber,
@@ -228,8 +244,14 @@ class DistributionPaymentService {
       throw new BusinessError(`Payment to ${order.supplierCompany.name} has already been recorded for this order`);
     }
 
-    const paymentAmount = parseFloat(amount);
-    if (paymentAmount > parseFloat(order.finalAmount)) {
+    const paymentAmount = parseFloat(amount || 0);
+    const creditAmount = parseFloat(creditApplied || 0);
+    const totalSettled = parseFloat((paymentAmount + creditAmount).toFixed(2));
+
+    if (totalSettled <= 0) {
+      throw new ValidationError('Payment amount or credit applied must be greater than 0');
+    }
+    if (totalSettled > parseFloat(order.finalAmount)) {
       throw new BusinessError('Payment amount cannot exceed order total');
     }
 
@@ -240,24 +262,45 @@ class DistributionPaymentService {
 
     // Record payment in transaction
     const result = await prisma.$transaction(async (tx) => {
-      // Record payment to supplier
-      const payment = await tx.paymentHistory.create({
-        data: {
-          orderId,
-          amount: paymentAmount,
-          paymentMethod: paymentMethod,
-          paymentType: 'TO_SUPPLIER',
-          reference: finalReference,
-          notes: `Payment to ${order.supplierCompany.name} - ${finalReference}`,
-        }
+      // Claim the order first so a double submit can't pay (or spend credit) twice
+      const claimed = await tx.distributionOrder.updateMany({
+        where: { id: orderId, paidToSupplier: false },
+        data: { paidToSupplier: true }
       });
+      if (claimed.count === 0) {
+        throw new BusinessError(`Payment to ${order.supplierCompany.name} has already been recorded for this order`);
+      }
+
+      // Record payment to supplier (nothing to record when credit covers it all)
+      const payment = paymentAmount > 0
+        ? await tx.paymentHistory.create({
+          data: {
+            orderId,
+            amount: paymentAmount,
+            paymentMethod: paymentMethod,
+            paymentType: 'TO_SUPPLIER',
+            reference: finalReference,
+            notes: `Payment to ${order.supplierCompany.name} - ${finalReference}`,
+          }
+        })
+        : null;
+
+      const creditEntry = creditAmount > 0
+        ? await applySupplierCredit(tx, {
+          supplierCompanyId: order.supplierCompanyId,
+          orderId,
+          amount: creditAmount,
+          userId
+        })
+        : null;
 
       // Update order
       const updatedOrder = await tx.distributionOrder.update({
         where: { id: orderId },
         data: {
           paidToSupplier: true,
-          amountPaidToSupplier: paymentAmount,
+          amountPaidToSupplier: totalSettled,
+          supplierCreditApplied: creditAmount,
           paymentDateToSupplier: new Date(),
           supplierStatus: 'PAYMENT_SENT',
           supplierInvoiceNumber: finalSupplierInvoiceNumber,
@@ -284,6 +327,7 @@ class DistributionPaymentService {
             paymentReference: finalReference,
             supplierInvoiceNumber: finalSupplierInvoiceNumber,
             amount: paymentAmount,
+            creditApplied: creditAmount,
             supplierName: order.supplierCompany.name
           }
         }
@@ -292,6 +336,7 @@ class DistributionPaymentService {
       return {
         order: updatedOrder,
         payment,
+        creditEntry,
         paymentReference: finalReference,
         supplierInvoiceNumber: finalSupplierInvoiceNumber
       };
@@ -377,7 +422,7 @@ class DistributionPaymentService {
 
   // Get payment summary for an order
   async getOrderPaymentSummary(orderId) {
-    const [order, payments] = await Promise.all([
+    const [order, payments, creditAllocations] = await Promise.all([
       prisma.distributionOrder.findUnique({
         where: { id: orderId },
         include: {
@@ -390,7 +435,8 @@ class DistributionPaymentService {
       prisma.paymentHistory.findMany({
         where: { orderId },
         orderBy: { createdAt: 'desc' }
-      })
+      }),
+      getOrderAllocations(orderId)
     ]);
 
     if (!order) {
@@ -419,6 +465,7 @@ class DistributionPaymentService {
         receivedBy: p.receivedBy,
         date: p.createdAt
       })),
+      creditAllocations,
       supplierPayment: supplierPayments[0] ? {
         amount: parseFloat(supplierPayments[0].amount),
         method: supplierPayments[0].paymentMethod,
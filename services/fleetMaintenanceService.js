@@ -0,0 +1,903 @@
+/**
+ * Fleet Maintenance Service
+ *
+ * Per-truck odometer readings, service schedules, work orders and downtime.
+ *
+ * - Service schedules fall due every intervalKm and/or intervalDays after the
+ *   last service, whichever comes first; DUE_SOON within dueSoonKm/dueSoonDays.
+ * - Work orders collect parts and labour lines. Completing one posts the parts
+ *   and labour totals as PENDING Expense rows (category MAINTENANCE, or REPAIRS
+ *   for repairs; referenceId = work order id), records the odometer reading,
+ *   resets the linked schedule and ends the work order's downtime.
+ * - Downtime marks a truck out of service between startDate and endDate (open
+ *   ended while endDate is null). Trucks out of service cannot be assigned to
+ *   transport orders or truck loads.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, ValidationError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+
+const WORK_ORDER_TYPES = ['SCHEDULED_SERVICE', 'REPAIR', 'INSPECTION'];
+const WORK_ORDER_STATUSES = ['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+const DOWNTIME_REASONS = ['SERVICE', 'REPAIR', 'INSPECTION', 'ACCIDENT', 'OTHER'];
+const SCHEDULE_STATUSES = ['OVERDUE', 'DUE_SOON', 'OK', 'UNKNOWN'];
+
+const OPEN_WORK_ORDER_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+const DOWNTIME_REASON_BY_TYPE = {
+  SCHEDULED_SERVICE: 'SERVICE',
+  REPAIR: 'REPAIR',
+  INSPECTION: 'INSPECTION'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const truckSelect = { select: { truckId: true, registrationNumber: true, make: true, model: true, currentOdometer: true } };
+
+async function getTruck(truckId, client = prisma) {
+  const truck = await client.truckCapacity.findUnique({ where: { truckId } });
+  if (!truck) {
+    throw new NotFoundError('Truck not found');
+  }
+  return truck;
+}
+
+// ================================
+// ODOMETER
+// ================================
+
+/**
+ * Record a reading. Readings must not go backwards in time order; the truck's
+ * currentOdometer follows the most recent reading.
+ */
+async function recordOdometerReading(truckId, { reading, readingDate, notes, source = 'MANUAL', workOrderId = null }, userId, requestMeta = {}, client = prisma) {
+  const truck = await getTruck(truckId, client);
+  const km = parseInt(reading);
+  const date = readingDate ? new Date(readingDate) : new Date();
+
+  const [before, after] = await Promise.all([
+    client.truckOdometerReading.findFirst({
+      where: { truckId, readingDate: { lte: date } },
+      orderBy: [{ reading: 'desc' }]
+    }),
+    client.truckOdometerReading.findFirst({
+      where: { truckId, readingDate: { gt: date } },
+      orderBy: [{ reading: 'asc' }]
+    })
+  ]);
+
+  if (!before && truck.currentOdometer !== null && truck.odometerUpdatedAt && truck.odometerUpdatedAt <= date && km < truck.currentOdometer) {
+    throw new BusinessError(
+      `Odometer reading ${km.toLocaleString()} km is lower than the truck's current ${truck.currentOdometer.toLocaleString()} km`,
+      'ODOMETER_ROLLBACK'
+    );
+  }
+  if (before && km < before.reading) {
+    throw new BusinessError(
+      `Odometer reading ${km.toLocaleString()} km is lower than ${before.reading.toLocaleString()} km recorded on ${before.readingDate.toISOString().slice(0, 10)}`,
+      'ODOMETER_ROLLBACK'
+    );
+  }
+  if (after && km > after.reading) {
+    throw new BusinessError(
+      `Odometer reading ${km.toLocaleString()} km is higher than ${after.reading.toLocaleString()} km recorded later on ${after.readingDate.toISOString().slice(0, 10)}`,
+      'ODOMETER_ROLLBACK'
+    );
+  }
+
+  const odometerReading = await client.truckOdometerReading.create({
+    data: { truckId, reading: km, readingDate: date, source, workOrderId, notes: notes || null, recordedBy: userId }
+  });
+
+  if (!truck.odometerUpdatedAt || date >= truck.odometerUpdatedAt) {
+    await client.truckCapacity.update({
+      where: { truckId },
+      data: { currentOdometer: km, odometerUpdatedAt: date }
+    });
+  }
+
+  await createAuditLog({
+    userId,
+    action: 'ODOMETER_RECORDED',
+    entity: 'TruckCapacity',
+    entityId: truck.id,
+    oldValues: { currentOdometer: truck.currentOdometer },
+    newValues: { truckId, reading: km, readingDate: date, source },
+    ...requestMeta
+  }, client);
+
+  return odometerReading;
+}
+
+async function listOdometerReadings(truckId, { limit = 100 } = {}) {
+  const truck = await getTruck(truckId);
+
+  const readings = await prisma.truckOdometerReading.findMany({
+    where: { truckId },
+    include: { recorder: { select: { id: true, username: true } } },
+    orderBy: { readingDate: 'desc' },
+    take: parseInt(limit)
+  });
+
+  return { truckId, currentOdometer: truck.currentOdometer, odometerUpdatedAt: truck.odometerUpdatedAt, readings };
+}
+
+// ================================
+// SERVICE SCHEDULES
+// ================================
+
+/**
+ * When a schedule next falls due and how close it is
+ */
+const scheduleStatus = (schedule, currentOdometer, now = new Date()) => {
+  let nextDueKm = null;
+  let kmRemaining = null;
+  let nextDueDate = null;
+  let daysRemaining = null;
+
+  if (schedule.intervalKm && schedule.lastServiceKm !== null && schedule.lastServiceKm !== undefined) {
+    nextDueKm = schedule.lastServiceKm + schedule.intervalKm;
+    if (currentOdometer !== null && currentOdometer !== undefined) {
+      kmRemaining = nextDueKm - currentOdometer;
+    }
+  }
+  if (schedule.intervalDays && schedule.lastServiceDate) {
+    nextDueDate = new Date(new Date(schedule.lastServiceDate).getTime() + schedule.intervalDays * DAY_MS);
+    daysRemaining = Math.floor((nextDueDate - now) / DAY_MS);
+  }
+
+  let status = 'UNKNOWN';
+  if ((kmRemaining !== null && kmRemaining <= 0) || (daysRemaining !== null && daysRemaining < 0)) {
+    status = 'OVERDUE';
+  } else if ((kmRemaining !== null && kmRemaining <= schedule.dueSoonKm) || (daysRemaining !== null && daysRemaining <= schedule.dueSoonDays)) {
+    status = 'DUE_SOON';
+  } else if (kmRemaining !== null || daysRemaining !== null) {
+    status = 'OK';
+  }
+
+  return { nextDueKm, kmRemaining, nextDueDate, daysRemaining, status };
+};
+
+const withStatus = (schedule, now) => ({
+  ...schedule,
+  ...scheduleStatus(schedule, schedule.truck?.currentOdometer, now)
+});
+
+async function createServiceSchedule(input, userId, requestMeta = {}) {
+  const truck = await getTruck(input.truckId);
+  if (!input.intervalKm && !input.intervalDays) {
+    throw new ValidationError('A service schedule needs an interval in km, in days, or both');
+  }
+
+  // Counting starts from the last service, else from today's odometer and date
+  const schedule = await prisma.truckServiceSchedule.create({
+    data: {
+      truckId: truck.truckId,
+      serviceType: input.serviceType,
+      intervalKm: input.intervalKm ? parseInt(input.intervalKm) : null,
+      intervalDays: input.intervalDays ? parseInt(input.intervalDays) : null,
+      lastServiceKm: input.lastServiceKm !== undefined && input.lastServiceKm !== null
+        ? parseInt(input.lastServiceKm)
+        : truck.currentOdometer,
+      lastServiceDate: input.lastServiceDate ? new Date(input.lastServiceDate) : new Date(),
+      dueSoonKm: input.dueSoonKm !== undefined ? parseInt(input.dueSoonKm) : undefined,
+      dueSoonDays: input.dueSoonDays !== undefined ? parseInt(input.dueSoonDays) : undefined,
+      notes: input.notes || null,
+      createdBy: userId
+    },
+    include: { truck: truckSelect }
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'SERVICE_SCHEDULE_CREATED',
+    entity: 'TruckServiceSchedule',
+    entityId: schedule.id,
+    newValues: {
+      truckId: schedule.truckId,
+      serviceType: schedule.serviceType,
+      intervalKm: schedule.intervalKm,
+      intervalDays: schedule.intervalDays
+    },
+    ...requestMeta
+  });
+
+  return withStatus(schedule);
+}
+
+async function updateServiceSchedule(id, input, userId, requestMeta = {}) {
+  const existing = await prisma.truckServiceSchedule.findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Service schedule not found');
+  }
+
+  const data = {};
+  ['serviceType', 'notes'].forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field] || null;
+  });
+  ['intervalKm', 'intervalDays', 'lastServiceKm', 'dueSoonKm', 'dueSoonDays'].forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field] === null ? null : parseInt(input[field]);
+  });
+  if (input.lastServiceDate !== undefined) data.lastServiceDate = input.lastServiceDate ? new Date(input.lastServiceDate) : null;
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  const intervalKm = data.intervalKm !== undefined ? data.intervalKm : existing.intervalKm;
+  const intervalDays = data.intervalDays !== undefined ? data.intervalDays : existing.intervalDays;
+  if (!intervalKm && !intervalDays) {
+    throw new ValidationError('A service schedule needs an interval in km, in days, or both');
+  }
+
+  const schedule = await prisma.truckServiceSchedule.update({
+    where: { id },
+    data,
+    include: { truck: truckSelect }
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'SERVICE_SCHEDULE_UPDATED',
+    entity: 'TruckServiceSchedule',
+    entityId: id,
+    oldValues: existing,
+    newValues: data,
+    ...requestMeta
+  });
+
+  return withStatus(schedule);
+}
+
+async function listServiceSchedules({ truckId, status, includeInactive = false } = {}) {
+  const now = new Date();
+  const schedules = await prisma.truckServiceSchedule.findMany({
+    where: {
+      ...(truckId ? { truckId } : {}),
+      ...(includeInactive ? {} : { isActive: true })
+    },
+    include: { truck: truckSelect },
+    orderBy: [{ truckId: 'asc' }, { serviceType: 'asc' }]
+  });
+
+  const rows = schedules.map(schedule => withStatus(schedule, now));
+  return status ? rows.filter(row => row.status === status) : rows;
+}
+
+/**
+ * Services due soon or overdue, most urgent first, plus trucks currently out of service
+ */
+async function getMaintenanceAlerts({ truckId } = {}) {
+  const now = new Date();
+  const [schedules, downtime] = await Promise.all([
+    listServiceSchedules({ truckId }),
+    prisma.truckDowntime.findMany({
+      where: {
+        ...(truckId ? { truckId } : {}),
+        startDate: { lte: now },
+        OR: [{ endDate: null }, { endDate: { gte: now } }]
+      },
+      include: { truck: truckSelect, workOrder: { select: { id: true, workOrderNumber: true, status: true } } },
+      orderBy: { startDate: 'asc' }
+    })
+  ]);
+
+  // Most overdue first: compare by whichever measure is further past due
+  const urgency = (row) => Math.min(
+    row.kmRemaining !== null ? row.kmRemaining / Math.max(row.dueSoonKm, 1) : Infinity,
+    row.daysRemaining !== null ? row.daysRemaining / Math.max(row.dueSoonDays, 1) : Infinity
+  );
+
+  const overdue = schedules.filter(row => row.status === 'OVERDUE').sort((a, b) => urgency(a) - urgency(b));
+  const dueSoon = schedules.filter(row => row.status === 'DUE_SOON').sort((a, b) => urgency(a) - urgency(b));
+
+  return {
+    summary: {
+      overdue: overdue.length,
+      dueSoon: dueSoon.length,
+      outOfService: new Set(downtime.map(d => d.truckId)).size
+    },
+    overdue,
+    dueSoon,
+    outOfService: downtime
+  };
+}
+
+// ================================
+// WORK ORDERS
+// ================================
+
+const workOrderInclude = {
+  truck: truckSelect,
+  schedule: { select: { id: true, serviceType: true } },
+  items: true,
+  downtime: true,
+  creator: { select: { id: true, username: true } },
+  completer: { select: { id: true, username: true } }
+};
+
+const buildItems = (items = []) => items.map(item => {
+  const quantity = item.quantity !== undefined ? parseFloat(item.quantity) : 1;
+  const unitCost = parseFloat(item.unitCost);
+  return {
+    itemType: item.itemType,
+    description: item.description,
+    quantity,
+    unitCost,
+    amount: round(quantity * unitCost)
+  };
+});
+
+const costTotals = (items) => {
+  const partsCost = round(items.filter(i => i.itemType === 'PART').reduce((sum, i) => sum + parseFloat(i.amount), 0));
+  const labourCost = round(items.filter(i => i.itemType === 'LABOUR').reduce((sum, i) => sum + parseFloat(i.amount), 0));
+  return { partsCost, labourCost, totalCost: round(partsCost + labourCost) };
+};
+
+async function findWorkOrder(id, client = prisma) {
+  const workOrder = await client.truckWorkOrder.findUnique({ where: { id }, include: workOrderInclude });
+  if (!workOrder) {
+    throw new NotFoundError('Work order not found');
+  }
+  return workOrder;
+}
+
+const assertWorkOrderOpen = (workOrder) => {
+  if (!OPEN_WORK_ORDER_STATUSES.includes(workOrder.status)) {
+    throw new BusinessError(`Work order is already ${workOrder.status.toLowerCase()}`, 'WORK_ORDER_CLOSED');
+  }
+};
+
+/**
+ * Close a work order only if it is still open, so a double submit can't post its costs twice
+ */
+async function claimWorkOrder(tx, id, data) {
+  const { count } = await tx.truckWorkOrder.updateMany({
+    where: { id, status: { in: OPEN_WORK_ORDER_STATUSES } },
+    data
+  });
+  if (count === 0) {
+    assertWorkOrderOpen(await findWorkOrder(id, tx));
+    throw new BusinessError('Work order is already closed', 'WORK_ORDER_CLOSED');
+  }
+}
+
+/**
+ * Open a work order. With outOfService the truck is booked off the road from
+ * outOfService.startDate (default now) until outOfService.endDate, or until the
+ * work order is completed.
+ */
+async function createWorkOrder(input, userId, requestMeta = {}) {
+  const truck = await getTruck(input.truckId);
+
+  if (input.scheduleId) {
+    const schedule = await prisma.truckServiceSchedule.findUnique({ where: { id: input.scheduleId } });
+    if (!schedule || schedule.truckId !== truck.truckId) {
+      throw new NotFoundError('Service schedule not found for this truck');
+    }
+  }
+
+  const items = buildItems(input.items);
+
+  return prisma.$transaction(async (tx) => {
+    const workOrder = await tx.truckWorkOrder.create({
+      data: {
+        workOrderNumber: await generateDocumentNumber('WO', 'truckWorkOrder', 'workOrderNumber', tx),
+        truckId: truck.truckId,
+        scheduleId: input.scheduleId || null,
+        type: input.type,
+        description: input.description,
+        vendor: input.vendor || null,
+        odometerReading: input.odometerReading ? parseInt(input.odometerReading) : null,
+        ...costTotals(items),
+        openedAt: input.openedAt ? new Date(input.openedAt) : new Date(),
+        notes: input.notes || null,
+        createdBy: userId,
+        items: { create: items }
+      }
+    });
+
+    if (input.outOfService) {
+      const startDate = input.outOfService.startDate ? new Date(input.outOfService.startDate) : new Date();
+      const endDate = input.outOfService.endDate ? new Date(input.outOfService.endDate) : null;
+      if (endDate && endDate < startDate) {
+        throw new ValidationError('Downtime end date must be after its start date');
+      }
+
+      await tx.truckDowntime.create({
+        data: {
+          truckId: truck.truckId,
+          workOrderId: workOrder.id,
+          reason: DOWNTIME_REASON_BY_TYPE[input.type],
+          startDate,
+          endDate,
+          notes: `${workOrder.workOrderNumber}: ${input.description}`,
+          createdBy: userId
+        }
+      });
+    }
+
+    await createAuditLog({
+      userId,
+      action: 'WORK_ORDER_CREATED',
+      entity: 'TruckWorkOrder',
+      entityId: workOrder.id,
+      newValues: {
+        workOrderNumber: workOrder.workOrderNumber,
+        truckId: truck.truckId,
+        type: workOrder.type,
+        totalCost: parseFloat(workOrder.totalCost),
+        outOfService: Boolean(input.outOfService)
+      },
+      ...requestMeta
+    }, tx);
+
+    return findWorkOrder(workOrder.id, tx);
+  });
+}
+
+async function updateWorkOrder(id, input, userId, requestMeta = {}) {
+  const existing = await findWorkOrder(id);
+  assertWorkOrderOpen(existing);
+
+  return prisma.$transaction(async (tx) => {
+    const data = {};
+    ['description', 'vendor', 'notes'].forEach(field => {
+      if (input[field] !== undefined) data[field] = input[field] || null;
+    });
+    if (input.odometerReading !== undefined) data.odometerReading = input.odometerReading ? parseInt(input.odometerReading) : null;
+    if (input.status !== undefined) data.status = input.status;
+
+    if (input.items !== undefined) {
+      const items = buildItems(input.items);
+      await tx.truckWorkOrderItem.deleteMany({ where: { workOrderId: id } });
+      await tx.truckWorkOrderItem.createMany({ data: items.map(item => ({ ...item, workOrderId: id })) });
+      Object.assign(data, costTotals(items));
+    }
+
+    await tx.truckWorkOrder.update({ where: { id }, data });
+
+    await createAuditLog({
+      userId,
+      action: 'WORK_ORDER_UPDATED',
+      entity: 'TruckWorkOrder',
+      entityId: id,
+      oldValues: { status: existing.status, totalCost: parseFloat(existing.totalCost) },
+      newValues: data,
+      ...requestMeta
+    }, tx);
+
+    return findWorkOrder(id, tx);
+  });
+}
+
+/**
+ * Complete a work order: post its costs as expenses, record the odometer,
+ * reset the schedule it serviced and put the truck back in service.
+ */
+async function completeWorkOrder(id, input, userId, requestMeta = {}) {
+  const existing = await findWorkOrder(id);
+  assertWorkOrderOpen(existing);
+
+  const completedAt = input.completedAt ? new Date(input.completedAt) : new Date();
+  if (completedAt < existing.openedAt) {
+    throw new ValidationError('Completion date cannot be before the work order was opened');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await claimWorkOrder(tx, id, { status: 'COMPLETED', completedAt, completedBy: userId });
+
+    let items = existing.items;
+    if (input.items !== undefined) {
+      items = buildItems(input.items);
+      await tx.truckWorkOrderItem.deleteMany({ where: { workOrderId: id } });
+      await tx.truckWorkOrderItem.createMany({ data: items.map(item => ({ ...item, workOrderId: id })) });
+    }
+    const totals = costTotals(items);
+
+    const odometerReading = input.odometerReading !== undefined && input.odometerReading !== null
+      ? parseInt(input.odometerReading)
+      : existing.odometerReading;
+
+    if (odometerReading !== null && odometerReading !== undefined) {
+      await recordOdometerReading(existing.truckId, {
+        reading: odometerReading,
+        readingDate: completedAt,
+        source: 'WORK_ORDER',
+        workOrderId: id,
+        notes: existing.workOrderNumber
+      }, userId, requestMeta, tx);
+    }
+
+    // Parts and labour become expenses for the normal approval flow
+    const category = existing.type === 'REPAIR' ? 'REPAIRS' : 'MAINTENANCE';
+    const expenses = [];
+    for (const [label, amount] of [['Parts', totals.partsCost], ['Labour', totals.labourCost]]) {
+      if (amount <= 0) continue;
+      expenses.push(await tx.expense.create({
+        data: {
+          expenseType: 'MAINTENANCE',
+          category,
+          amount,
+          description: `${existing.workOrderNumber} ${label.toLowerCase()}: ${existing.description}${existing.vendor ? ` (${existing.vendor})` : ''}`,
+          referenceId: id,
+          expenseDate: completedAt,
+          truckId: existing.truckId,
+          status: 'PENDING',
+          createdBy: userId
+        }
+      }));
+    }
+
+    if (existing.scheduleId) {
+      const truck = await tx.truckCapacity.findUnique({ where: { truckId: existing.truckId }, select: { currentOdometer: true } });
+      await tx.truckServiceSchedule.update({
+        where: { id: existing.scheduleId },
+        data: {
+          lastServiceDate: completedAt,
+          lastServiceKm: odometerReading ?? truck.currentOdometer
+        }
+      });
+    }
+
+    // Downtime booked for this job ends when it is done
+    await tx.truckDowntime.updateMany({
+      where: { workOrderId: id, OR: [{ endDate: null }, { endDate: { gt: completedAt } }] },
+      data: { endDate: completedAt }
+    });
+
+    await tx.truckWorkOrder.update({
+      where: { id },
+      data: {
+        ...totals,
+        odometerReading,
+        ...(input.notes !== undefined ? { notes: input.notes || null } : {})
+      }
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'WORK_ORDER_COMPLETED',
+      entity: 'TruckWorkOrder',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: {
+        status: 'COMPLETED',
+        workOrderNumber: existing.workOrderNumber,
+        truckId: existing.truckId,
+        ...totals,
+        expenseIds: expenses.map(expense => expense.id)
+      },
+      ...requestMeta
+    }, tx);
+
+    return { workOrder: await findWorkOrder(id, tx), expenses };
+  });
+}
+
+async function cancelWorkOrder(id, { reason } = {}, userId, requestMeta = {}) {
+  const existing = await findWorkOrder(id);
+  assertWorkOrderOpen(existing);
+  const now = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    await claimWorkOrder(tx, id, {
+      status: 'CANCELLED',
+      notes: reason ? [existing.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n') : existing.notes
+    });
+
+    // Downtime not yet started is dropped; downtime under way ends now
+    await tx.truckDowntime.deleteMany({ where: { workOrderId: id, startDate: { gt: now } } });
+    await tx.truckDowntime.updateMany({
+      where: { workOrderId: id, OR: [{ endDate: null }, { endDate: { gt: now } }] },
+      data: { endDate: now }
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'WORK_ORDER_CANCELLED',
+      entity: 'TruckWorkOrder',
+      entityId: id,
+      oldValues: { status: existing.status },
+      newValues: { status: 'CANCELLED', reason: reason || null },
+      ...requestMeta
+    }, tx);
+
+    return findWorkOrder(id, tx);
+  });
+}
+
+async function getWorkOrder(id) {
+  const workOrder = await findWorkOrder(id);
+  const expenses = await prisma.expense.findMany({
+    where: { referenceId: id, truckId: workOrder.truckId },
+    select: { id: true, category: true, amount: true, description: true, status: true, expenseDate: true }
+  });
+  return { ...workOrder, expenses };
+}
+
+async function listWorkOrders({ truckId, status, type, from, to, page = 1, limit = 20 } = {}) {
+  const where = {};
+  if (truckId) where.truckId = truckId;
+  if (status) where.status = status;
+  if (type) where.type = type;
+  if (from || to) {
+    where.openedAt = {};
+    if (from) where.openedAt.gte = from;
+    if (to) where.openedAt.lte = to;
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [workOrders, total] = await Promise.all([
+    prisma.truckWorkOrder.findMany({
+      where,
+      include: {
+        truck: truckSelect,
+        schedule: { select: { id: true, serviceType: true } },
+        _count: { select: { items: true } }
+      },
+      orderBy: { openedAt: 'desc' },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum
+    }),
+    prisma.truckWorkOrder.count({ where })
+  ]);
+
+  return {
+    workOrders,
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+  };
+}
+
+// ================================
+// DOWNTIME
+// ================================
+
+/**
+ * Downtime covering a moment, or null if the truck is in service
+ */
+async function getActiveDowntime(truckId, at = new Date(), client = prisma) {
+  return client.truckDowntime.findFirst({
+    where: {
+      truckId,
+      startDate: { lte: at },
+      OR: [{ endDate: null }, { endDate: { gte: at } }]
+    },
+    orderBy: { startDate: 'asc' }
+  });
+}
+
+/**
+ * Refuse to assign a truck that is out of service
+ */
+async function assertTruckInService(truckId, at = new Date(), client = prisma) {
+  const downtime = await getActiveDowntime(truckId, at, client);
+  if (!downtime) return;
+
+  const until = downtime.endDate ? `until ${downtime.endDate.toISOString().slice(0, 10)}` : 'until further notice';
+  throw new BusinessError(
+    `Truck ${truckId} is out of service (${downtime.reason.toLowerCase()}) ${until}`,
+    'TRUCK_OUT_OF_SERVICE'
+  );
+}
+
+/**
+ * Fleet truck for a free-text truck number (truck ID or registration), or null for hired trucks
+ */
+async function findFleetTruck(truckNumber, client = prisma) {
+  if (!truckNumber) return null;
+  const value = String(truckNumber).trim();
+
+  return client.truckCapacity.findFirst({
+    where: {
+      OR: [
+        { truckId: { equals: value, mode: 'insensitive' } },
+        { registrationNumber: { equals: value, mode: 'insensitive' } }
+      ]
+    },
+    select: { truckId: true }
+  });
+}
+
+async function createDowntime({ truckId, reason, startDate, endDate, notes }, userId, requestMeta = {}) {
+  const truck = await getTruck(truckId);
+  const start = new Date(startDate);
+  const end = endDate ? new Date(endDate) : null;
+  if (end && end < start) {
+    throw new ValidationError('Downtime end date must be after its start date');
+  }
+
+  const downtime = await prisma.truckDowntime.create({
+    data: { truckId: truck.truckId, reason, startDate: start, endDate: end, notes: notes || null, createdBy: userId },
+    include: { truck: truckSelect }
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'TRUCK_DOWNTIME_CREATED',
+    entity: 'TruckDowntime',
+    entityId: downtime.id,
+    newValues: { truckId: truck.truckId, reason, startDate: start, endDate: end },
+    ...requestMeta
+  });
+
+  return downtime;
+}
+
+async function updateDowntime(id, { startDate, endDate, notes }, userId, requestMeta = {}) {
+  const existing = await prisma.truckDowntime.findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Downtime not found');
+  }
+
+  const data = {};
+  if (startDate !== undefined) data.startDate = new Date(startDate);
+  if (endDate !== undefined) data.endDate = endDate ? new Date(endDate) : null;
+  if (notes !== undefined) data.notes = notes || null;
+
+  const start = data.startDate || existing.startDate;
+  const end = data.endDate !== undefined ? data.endDate : existing.endDate;
+  if (end && end < start) {
+    throw new ValidationError('Downtime end date must be after its start date');
+  }
+
+  const downtime = await prisma.truckDowntime.update({ where: { id }, data, include: { truck: truckSelect } });
+
+  await createAuditLog({
+    userId,
+    action: 'TRUCK_DOWNTIME_UPDATED',
+    entity: 'TruckDowntime',
+    entityId: id,
+    oldValues: { startDate: existing.startDate, endDate: existing.endDate, notes: existing.notes },
+    newValues: data,
+    ...requestMeta
+  });
+
+  return downtime;
+}
+
+async function deleteDowntime(id, userId, requestMeta = {}) {
+  const existing = await prisma.truckDowntime.findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Downtime not found');
+  }
+  if (existing.workOrderId) {
+    throw new BusinessError('Downtime booked by a work order ends with the work order; complete or cancel it instead', 'DOWNTIME_FROM_WORK_ORDER');
+  }
+
+  await prisma.truckDowntime.delete({ where: { id } });
+
+  await createAuditLog({
+    userId,
+    action: 'TRUCK_DOWNTIME_DELETED',
+    entity: 'TruckDowntime',
+    entityId: id,
+    oldValues: { truckId: existing.truckId, reason: existing.reason, startDate: existing.startDate, endDate: existing.endDate },
+    ...requestMeta
+  });
+}
+
+/**
+ * Downtime overlapping a window, with days out of service per truck within it
+ */
+async function getDowntimeCalendar({ from, to, truckId } = {}) {
+  const start = from || new Date(new Date().setHours(0, 0, 0, 0));
+  const end = to || new Date(start.getTime() + 30 * DAY_MS);
+
+  const entries = await prisma.truckDowntime.findMany({
+    where: {
+      ...(truckId ? { truckId } : {}),
+      startDate: { lte: end },
+      OR: [{ endDate: null }, { endDate: { gte: start } }]
+    },
+    include: {
+      truck: truckSelect,
+      workOrder: { select: { id: true, workOrderNumber: true, status: true, type: true } }
+    },
+    orderBy: [{ startDate: 'asc' }]
+  });
+
+  const byTruck = new Map();
+  entries.forEach(entry => {
+    const overlapStart = Math.max(entry.startDate.getTime(), start.getTime());
+    const overlapEnd = Math.min((entry.endDate || end).getTime(), end.getTime());
+    const days = round(Math.max(0, overlapEnd - overlapStart) / DAY_MS);
+
+    const row = byTruck.get(entry.truckId) || { truckId: entry.truckId, truck: entry.truck, daysOutOfService: 0, entries: 0 };
+    row.daysOutOfService = round(row.daysOutOfService + days);
+    row.entries++;
+    byTruck.set(entry.truckId, row);
+  });
+
+  return {
+    period: { from: start, to: end },
+    entries,
+    trucks: [...byTruck.values()].sort((a, b) => b.daysOutOfService - a.daysOutOfService)
+  };
+}
+
+// ================================
+// SERVICE HISTORY
+// ================================
+
+async function getTruckServiceHistory(truckId) {
+  const truck = await getTruck(truckId);
+  const now = new Date();
+
+  const [schedules, workOrders, downtime, readings, expenses] = await Promise.all([
+    prisma.truckServiceSchedule.findMany({ where: { truckId, isActive: true }, orderBy: { serviceType: 'asc' } }),
+    prisma.truckWorkOrder.findMany({
+      where: { truckId },
+      include: {
+        items: true,
+        schedule: { select: { id: true, serviceType: true } },
+        completer: { select: { id: true, username: true } }
+      },
+      orderBy: { openedAt: 'desc' }
+    }),
+    prisma.truckDowntime.findMany({ where: { truckId }, orderBy: { startDate: 'desc' } }),
+    prisma.truckOdometerReading.findMany({ where: { truckId }, orderBy: { readingDate: 'desc' }, take: 20 }),
+    prisma.expense.findMany({
+      where: { truckId, category: { in: ['MAINTENANCE', 'REPAIRS'] } },
+      select: { id: true, category: true, amount: true, description: true, status: true, expenseDate: true, referenceId: true },
+      orderBy: { expenseDate: 'desc' }
+    })
+  ]);
+
+  const completed = workOrders.filter(wo => wo.status === 'COMPLETED');
+  const workOrderIds = new Set(workOrders.map(wo => wo.id));
+  const downtimeDays = downtime.reduce((sum, d) => {
+    const endAt = d.endDate && d.endDate < now ? d.endDate : now;
+    return sum + Math.max(0, endAt - d.startDate) / DAY_MS;
+  }, 0);
+
+  return {
+    truck,
+    schedules: schedules.map(schedule => ({ ...schedule, ...scheduleStatus(schedule, truck.currentOdometer, now) })),
+    workOrders,
+    downtime,
+    odometerReadings: readings,
+    // Maintenance expenses entered directly, not through a work order
+    otherMaintenanceExpenses: expenses.filter(expense => !workOrderIds.has(expense.referenceId)),
+    summary: {
+      workOrdersCompleted: completed.length,
+      workOrdersOpen: workOrders.filter(wo => OPEN_WORK_ORDER_STATUSES.includes(wo.status)).length,
+      partsCost: round(completed.reduce((sum, wo) => sum + parseFloat(wo.partsCost), 0)),
+      labourCost: round(completed.reduce((sum, wo) => sum + parseFloat(wo.labourCost), 0)),
+      totalMaintenanceExpenses: round(expenses.reduce((sum, e) => sum + parseFloat(e.amount), 0)),
+      downtimeDays: round(downtimeDays),
+      outOfServiceNow: downtime.some(d => d.startDate <= now && (!d.endDate || d.endDate >= now))
+    }
+  };
+}
+
+module.exports = {
+  WORK_ORDER_TYPES,
+  WORK_ORDER_STATUSES,
+  DOWNTIME_REASONS,
+  SCHEDULE_STATUSES,
+  recordOdometerReading,
+  listOdometerReadings,
+  scheduleStatus,
+  createServiceSchedule,
+  updateServiceSchedule,
+  listServiceSchedules,
+  getMaintenanceAlerts,
+  createWorkOrder,
+  updateWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder,
+  getWorkOrder,
+  listWorkOrders,
+  getActiveDowntime,
+  assertTruckInService,
+  findFleetTruck,
+  createDowntime,
+  updateDowntime,
+  deleteDowntime,
+  getDowntimeCalendar,
+  getTruckServiceHistory
+};
@@ -0,0 +1,567 @@
+/**
+ * Fuel Price Service
+ *
+ * Managed diesel price series. Each FuelPrice applies from its effectiveDate
+ * until the next active price for the same scope; a location (depot) price
+ * overrides the company-wide price for that location. New transport orders
+ * take their fuel price per litre from here unless one is given.
+ *
+ * Fuel surcharge: while diesel is more than thresholdPercent above the
+ * baseline price, pallet prices carry a fuelAdjustment (percent) of
+ * passThroughPercent of the rise, capped at maxAdjustmentPercent; below the
+ * threshold the adjustment is 0. Adjustments are written as new effective-dated
+ * pallet prices, so past prices are left as they were. The rule runs whenever a
+ * fuel price is recorded (if enabled) or on demand.
+ *
+ * The rule is stored in SystemConfig under "fuel_surcharge_policy".
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { getRatesAsOf, saveRateOnDate } = require('./ratePricingService');
+
+const FUEL_SURCHARGE_POLICY_KEY = 'fuel_surcharge_policy';
+
+const DEFAULT_FUEL_SURCHARGE_POLICY = {
+  enabled: false,              // apply automatically when a fuel price is recorded
+  baselinePricePerLitre: 0,    // diesel price pallet prices were set at; 0 = rule not configured
+  thresholdPercent: 5,         // rise over baseline before a surcharge applies
+  passThroughPercent: 30,      // share of the diesel rise passed on (a 20% rise at 30% gives 6%)
+  maxAdjustmentPercent: 15     // cap on fuelAdjustment
+};
+
+let _policyCache = null;
+let _policyCacheTime = 0;
+const POLICY_CACHE_TTL = 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const normalizePolicy = (value) => {
+  const policy = { ...DEFAULT_FUEL_SURCHARGE_POLICY };
+  if (!value || typeof value !== 'object') return policy;
+
+  if (value.enabled !== undefined) policy.enabled = value.enabled === true || value.enabled === 'true';
+  for (const key of Object.keys(DEFAULT_FUEL_SURCHARGE_POLICY).filter(k => k !== 'enabled')) {
+    const num = Number(value[key]);
+    if (value[key] !== null && value[key] !== undefined && Number.isFinite(num) && num >= 0) {
+      policy[key] = num;
+    }
+  }
+  return policy;
+};
+
+async function getFuelSurchargePolicy() {
+  if (_policyCache && Date.now() - _policyCacheTime < POLICY_CACHE_TTL) {
+    return _policyCache;
+  }
+
+  try {
+    const row = await prisma.systemConfig.findUnique({ where: { key: FUEL_SURCHARGE_POLICY_KEY } });
+    _policyCache = normalizePolicy(row?.value);
+  } catch (error) {
+    console.error('Failed to load fuel surcharge policy, using defaults:', error.message);
+    _policyCache = _policyCache || { ...DEFAULT_FUEL_SURCHARGE_POLICY };
+  }
+  _policyCacheTime = Date.now();
+
+  return _policyCache;
+}
+
+const invalidateFuelSurchargePolicyCache = () => {
+  _policyCache = null;
+  _policyCacheTime = 0;
+};
+
+// ================================
+// FUEL PRICE SERIES
+// ================================
+
+const fuelPriceInclude = {
+  location: { select: { id: true, name: true } },
+  createdByUser: { select: { id: true, username: true } }
+};
+
+const serializeFuelPrice = (price) => ({ ...price, pricePerLitre: parseFloat(price.pricePerLitre) });
+
+/**
+ * Diesel price on a date for a location: the location's own price, else the
+ * company-wide price. Returns null when neither exists.
+ */
+async function getFuelPriceAsOf(locationId = null, asOf = new Date(), client = prisma) {
+  const find = (scope) => client.fuelPrice.findFirst({
+    where: { locationId: scope, isActive: true, effectiveDate: { lte: asOf } },
+    orderBy: { effectiveDate: 'desc' }
+  });
+
+  const locationPrice = locationId ? await find(locationId) : null;
+  const price = locationPrice || await find(null);
+  if (!price) return null;
+
+  return {
+    pricePerLitre: parseFloat(price.pricePerLitre),
+    source: locationPrice ? 'LOCATION' : 'COMPANY',
+    fuelPriceId: price.id,
+    effectiveDate: price.effectiveDate
+  };
+}
+
+/**
+ * The price series, newest first, with the movement from the previous price in the same scope.
+ * locationId 'COMPANY' lists company-wide prices only.
+ */
+async function listFuelPrices({ locationId, from, to, includeInactive = false, page = 1, limit = 50 } = {}) {
+  const where = {};
+  if (locationId) where.locationId = locationId === 'COMPANY' ? null : locationId;
+  if (!includeInactive) where.isActive = true;
+
+  const prices = await prisma.fuelPrice.findMany({
+    where,
+    include: fuelPriceInclude,
+    orderBy: { effectiveDate: 'asc' }
+  });
+
+  const now = new Date();
+  const previousByScope = new Map();
+  const series = prices.map(price => {
+    const scope = price.locationId || 'COMPANY';
+    const previous = price.isActive ? previousByScope.get(scope) : null;
+    const pricePerLitre = parseFloat(price.pricePerLitre);
+    if (price.isActive) previousByScope.set(scope, pricePerLitre);
+
+    return {
+      ...serializeFuelPrice(price),
+      scheduled: price.effectiveDate > now,
+      previousPricePerLitre: previous ?? null,
+      changePercent: previous ? round(((pricePerLitre - previous) / previous) * 100) : null
+    };
+  });
+
+  const inRange = series
+    .filter(price => (!from || price.effectiveDate >= from) && (!to || price.effectiveDate <= to))
+    .reverse();
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  return {
+    prices: inRange.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: inRange.length,
+      pages: Math.ceil(inRange.length / limitNum)
+    }
+  };
+}
+
+/**
+ * Record a fuel price. When the surcharge rule is enabled, pallet price fuel
+ * adjustments are brought in line with it in the same transaction.
+ */
+async function createFuelPrice({ locationId, pricePerLitre, effectiveDate, source, notes }, userId, requestMeta = {}) {
+  const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+
+  if (locationId) {
+    const location = await prisma.location.findUnique({ where: { id: locationId }, select: { id: true } });
+    if (!location) {
+      throw new NotFoundError('Location not found');
+    }
+  }
+
+  const duplicate = await prisma.fuelPrice.findFirst({
+    where: { locationId: locationId || null, effectiveDate: effective, isActive: true },
+    select: { id: true }
+  });
+  if (duplicate) {
+    throw new BusinessError('A fuel price for this location already takes effect on that date', 'DUPLICATE_FUEL_PRICE');
+  }
+
+  const policy = await getFuelSurchargePolicy();
+
+  return prisma.$transaction(async (tx) => {
+    const fuelPrice = await tx.fuelPrice.create({
+      data: {
+        locationId: locationId || null,
+        pricePerLitre: round(parseFloat(pricePerLitre)),
+        effectiveDate: effective,
+        source: source || null,
+        notes: notes || null,
+        createdBy: userId
+      },
+      include: fuelPriceInclude
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'FUEL_PRICE_RECORDED',
+      entity: 'FuelPrice',
+      entityId: fuelPrice.id,
+      newValues: {
+        locationId: fuelPrice.locationId,
+        pricePerLitre: parseFloat(fuelPrice.pricePerLitre),
+        effectiveDate: fuelPrice.effectiveDate
+      },
+      ...requestMeta
+    }, tx);
+
+    const surcharge = policy.enabled && policy.baselinePricePerLitre > 0
+      ? await applySurcharge(tx, policy, { asOf: effective, locationId: fuelPrice.locationId }, userId, requestMeta)
+      : null;
+
+    return { fuelPrice: serializeFuelPrice(fuelPrice), surcharge };
+  }, { timeout: 60000 });
+}
+
+/**
+ * Scheduled prices are deleted; prices that have taken effect are deactivated
+ * so the figures past orders were costed at stay on record
+ */
+async function deleteFuelPrice(id, userId, requestMeta = {}) {
+  const existing = await prisma.fuelPrice.findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Fuel price not found');
+  }
+
+  const scheduled = existing.effectiveDate > new Date();
+
+  return prisma.$transaction(async (tx) => {
+    if (scheduled) {
+      await tx.fuelPrice.delete({ where: { id } });
+    } else {
+      await tx.fuelPrice.update({ where: { id }, data: { isActive: false } });
+    }
+
+    await createAuditLog({
+      userId,
+      action: scheduled ? 'FUEL_PRICE_DELETED' : 'FUEL_PRICE_DEACTIVATED',
+      entity: 'FuelPrice',
+      entityId: id,
+      oldValues: {
+        locationId: existing.locationId,
+        pricePerLitre: parseFloat(existing.pricePerLitre),
+        effectiveDate: existing.effectiveDate,
+        isActive: existing.isActive
+      },
+      newValues: { isActive: false, deleted: scheduled },
+      ...requestMeta
+    }, tx);
+
+    return { deleted: scheduled, deactivated: !scheduled };
+  });
+}
+
+// ================================
+// FUEL SURCHARGE
+// ================================
+
+/**
+ * Pallet price fuelAdjustment (percent) for a diesel price under the policy
+ */
+const calculateFuelAdjustment = (pricePerLitre, policy) => {
+  const baseline = policy.baselinePricePerLitre;
+  if (!baseline || baseline <= 0) {
+    return { changePercent: null, triggered: false, fuelAdjustment: 0 };
+  }
+
+  const changePercent = round(((pricePerLitre - baseline) / baseline) * 100);
+  const triggered = changePercent > policy.thresholdPercent;
+  const fuelAdjustment = triggered
+    ? Math.min(round((changePercent * policy.passThroughPercent) / 100), policy.maxAdjustmentPercent)
+    : 0;
+
+  return { changePercent, triggered, fuelAdjustment };
+};
+
+/**
+ * Pallet prices in force on asOf with the fuel adjustment the rule gives them
+ */
+async function buildSurchargeLines(policy, { asOf, locationId } = {}, client = prisma) {
+  const { rates } = await getRatesAsOf('PALLET_PRICING', asOf, { locationId }, client);
+  const fuelByLocation = new Map();
+
+  const lines = [];
+  for (const rate of rates) {
+    const scope = rate.locationId || null;
+    if (!fuelByLocation.has(scope)) {
+      fuelByLocation.set(scope, await getFuelPriceAsOf(scope, asOf, client));
+    }
+    const fuel = fuelByLocation.get(scope);
+    const currentAdjustment = rate.fuelAdjustment || 0;
+
+    if (!fuel) {
+      lines.push({
+        palletPricingId: rate.id,
+        productId: rate.productId,
+        productName: rate.product?.name,
+        locationId: rate.locationId,
+        locationName: rate.location?.name || null,
+        pricePerPack: rate.pricePerPack,
+        fuelPricePerLitre: null,
+        fuelPriceSource: null,
+        changePercent: null,
+        currentAdjustment,
+        newAdjustment: currentAdjustment,
+        change: 'NO_FUEL_PRICE'
+      });
+      continue;
+    }
+
+    const { changePercent, fuelAdjustment } = calculateFuelAdjustment(fuel.pricePerLitre, policy);
+    lines.push({
+      palletPricingId: rate.id,
+      productId: rate.productId,
+      productName: rate.product?.name,
+      locationId: rate.locationId,
+      locationName: rate.location?.name || null,
+      pricePerPack: rate.pricePerPack,
+      fuelPricePerLitre: fuel.pricePerLitre,
+      fuelPriceSource: fuel.source,
+      changePercent,
+      currentAdjustment,
+      newAdjustment: fuelAdjustment,
+      change: Math.abs(fuelAdjustment - currentAdjustment) >= 0.01 ? 'CHANGED' : 'UNCHANGED'
+    });
+  }
+
+  const summary = {
+    palletPrices: lines.length,
+    changed: lines.filter(line => line.change === 'CHANGED').length,
+    unchanged: lines.filter(line => line.change === 'UNCHANGED').length,
+    noFuelPrice: lines.filter(line => line.change === 'NO_FUEL_PRICE').length
+  };
+
+  return { lines, summary };
+}
+
+// Rule changes never reach back before today
+const surchargeDate = (asOf) => {
+  const now = new Date();
+  return asOf && asOf > now ? asOf : now;
+};
+
+async function applySurcharge(tx, policy, { asOf, locationId }, userId, requestMeta) {
+  const effectiveDate = surchargeDate(asOf);
+  const { lines, summary } = await buildSurchargeLines(policy, { asOf: effectiveDate, locationId }, tx);
+
+  for (const line of lines.filter(l => l.change === 'CHANGED')) {
+    await saveRateOnDate('PALLET_PRICING', {
+      productId: line.productId,
+      locationId: line.locationId,
+      pricePerPack: line.pricePerPack,
+      fuelAdjustment: line.newAdjustment,
+      effectiveDate
+    }, userId, requestMeta, { client: tx, source: 'FUEL_SURCHARGE' });
+  }
+
+  return { effectiveDate, summary, lines: lines.filter(l => l.change === 'CHANGED') };
+}
+
+/**
+ * What the surcharge rule would do on a date (defaults to now), without writing anything
+ */
+async function previewFuelSurcharge({ asOf, locationId } = {}) {
+  const policy = await getFuelSurchargePolicy();
+  const effectiveDate = surchargeDate(asOf);
+  const { lines, summary } = await buildSurchargeLines(policy, { asOf: effectiveDate, locationId });
+
+  return { policy, effectiveDate, summary, lines };
+}
+
+/**
+ * Run the surcharge rule now (or from a future date), writing new pallet prices where the adjustment changes
+ */
+async function applyFuelSurcharge({ asOf, locationId } = {}, userId, requestMeta = {}) {
+  const policy = await getFuelSurchargePolicy();
+  if (!policy.baselinePricePerLitre || policy.baselinePricePerLitre <= 0) {
+    throw new BusinessError(
+      `Set a baseline diesel price in the ${FUEL_SURCHARGE_POLICY_KEY} system setting before applying fuel surcharges`,
+      'FUEL_POLICY_NOT_SET'
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const result = await applySurcharge(tx, policy, { asOf, locationId }, userId, requestMeta);
+
+    await createAuditLog({
+      userId,
+      action: 'FUEL_SURCHARGE_APPLIED',
+      entity: 'PalletPricing',
+      entityId: locationId || 'ALL',
+      newValues: { effectiveDate: result.effectiveDate, policy, ...result.summary },
+      ...requestMeta
+    }, tx);
+
+    return { policy, ...result };
+  }, { timeout: 60000 });
+}
+
+// ================================
+// MARGIN IMPACT REPORT
+// ================================
+
+/**
+ * Per route (delivery location): what fuel actually cost on transport orders
+ * (TransportOrder.totalFuelCost) against the same litres at a baseline price,
+ * and how that moved the margin.
+ *
+ * Baseline per route: the baselinePrice argument, else the policy baseline,
+ * else the fuel index price at the start of the period, else the route's first
+ * order price in the period.
+ */
+async function getFuelImpactReport({ from, to, locationId, baselinePrice } = {}) {
+  const createdAt = {};
+  if (from) createdAt.gte = from;
+  if (to) createdAt.lte = to;
+
+  const [orders, policy] = await Promise.all([
+    prisma.transportOrder.findMany({
+      where: {
+        ...(locationId ? { locationId } : {}),
+        ...(from || to ? { createdAt } : {})
+      },
+      select: {
+        id: true,
+        locationId: true,
+        createdAt: true,
+        fuelRequired: true,
+        fuelPricePerLiter: true,
+        totalFuelCost: true,
+        totalOrderAmount: true,
+        netProfit: true,
+        location: { select: { id: true, name: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    getFuelSurchargePolicy()
+  ]);
+
+  const fixedBaseline = baselinePrice
+    ? { pricePerLitre: parseFloat(baselinePrice), source: 'REQUEST' }
+    : policy.baselinePricePerLitre > 0
+      ? { pricePerLitre: policy.baselinePricePerLitre, source: 'POLICY' }
+      : null;
+
+  const routes = new Map();
+  const months = new Map();
+
+  for (const order of orders) {
+    let route = routes.get(order.locationId);
+    if (!route) {
+      let baseline = fixedBaseline;
+      if (!baseline) {
+        const indexPrice = await getFuelPriceAsOf(order.locationId, from || order.createdAt);
+        baseline = indexPrice
+          ? { pricePerLitre: indexPrice.pricePerLitre, source: 'FUEL_INDEX' }
+          : { pricePerLitre: parseFloat(order.fuelPricePerLiter), source: 'FIRST_ORDER' };
+      }
+
+      route = {
+        locationId: order.locationId,
+        locationName: order.location?.name || null,
+        baseline,
+        orders: 0,
+        litres: 0,
+        totalFuelCost: 0,
+        fuelCostAtBaseline: 0,
+        minPricePerLitre: null,
+        maxPricePerLitre: null,
+        revenue: 0,
+        netProfit: 0
+      };
+      routes.set(order.locationId, route);
+    }
+
+    const litres = parseFloat(order.fuelRequired);
+    const pricePaid = parseFloat(order.fuelPricePerLiter);
+    const fuelCost = parseFloat(order.totalFuelCost);
+    const atBaseline = litres * route.baseline.pricePerLitre;
+
+    route.orders++;
+    route.litres += litres;
+    route.totalFuelCost += fuelCost;
+    route.fuelCostAtBaseline += atBaseline;
+    route.revenue += parseFloat(order.totalOrderAmount);
+    route.netProfit += parseFloat(order.netProfit);
+    route.minPricePerLitre = route.minPricePerLitre === null ? pricePaid : Math.min(route.minPricePerLitre, pricePaid);
+    route.maxPricePerLitre = route.maxPricePerLitre === null ? pricePaid : Math.max(route.maxPricePerLitre, pricePaid);
+
+    const monthKey = order.createdAt.toISOString().slice(0, 7);
+    const month = months.get(monthKey) || { month: monthKey, orders: 0, litres: 0, totalFuelCost: 0, fuelSwingImpact: 0 };
+    month.orders++;
+    month.litres += litres;
+    month.totalFuelCost += fuelCost;
+    month.fuelSwingImpact += fuelCost - atBaseline;
+    months.set(monthKey, month);
+  }
+
+  const marginOf = (profit, revenue) => (revenue > 0 ? round((profit / revenue) * 100) : 0);
+
+  const summarize = (row) => {
+    const fuelSwingImpact = row.totalFuelCost - row.fuelCostAtBaseline;
+    const marginPercent = marginOf(row.netProfit, row.revenue);
+    const marginAtBaselinePercent = marginOf(row.netProfit + fuelSwingImpact, row.revenue);
+
+    return {
+      litres: round(row.litres),
+      totalFuelCost: round(row.totalFuelCost),
+      averagePricePerLitre: row.litres > 0 ? round(row.totalFuelCost / row.litres) : 0,
+      fuelCostAtBaseline: round(row.fuelCostAtBaseline),
+      fuelSwingImpact: round(fuelSwingImpact),
+      revenue: round(row.revenue),
+      netProfit: round(row.netProfit),
+      marginPercent,
+      marginAtBaselinePercent,
+      marginImpactPoints: round(marginPercent - marginAtBaselinePercent)
+    };
+  };
+
+  const routeRows = [...routes.values()]
+    .map(route => ({
+      locationId: route.locationId,
+      locationName: route.locationName,
+      baseline: route.baseline,
+      orders: route.orders,
+      minPricePerLitre: route.minPricePerLitre,
+      maxPricePerLitre: route.maxPricePerLitre,
+      ...summarize(route)
+    }))
+    .sort((a, b) => b.fuelSwingImpact - a.fuelSwingImpact);
+
+  const totals = [...routes.values()].reduce((sum, route) => ({
+    litres: sum.litres + route.litres,
+    totalFuelCost: sum.totalFuelCost + route.totalFuelCost,
+    fuelCostAtBaseline: sum.fuelCostAtBaseline + route.fuelCostAtBaseline,
+    revenue: sum.revenue + route.revenue,
+    netProfit: sum.netProfit + route.netProfit
+  }), { litres: 0, totalFuelCost: 0, fuelCostAtBaseline: 0, revenue: 0, netProfit: 0 });
+
+  return {
+    period: { from: from || null, to: to || null },
+    routes: routeRows,
+    months: [...months.values()].map(month => ({
+      month: month.month,
+      orders: month.orders,
+      litres: round(month.litres),
+      totalFuelCost: round(month.totalFuelCost),
+      averagePricePerLitre: month.litres > 0 ? round(month.totalFuelCost / month.litres) : 0,
+      fuelSwingImpact: round(month.fuelSwingImpact)
+    })),
+    totals: { orders: orders.length, ...summarize(totals) }
+  };
+}
+
+module.exports = {
+  FUEL_SURCHARGE_POLICY_KEY,
+  DEFAULT_FUEL_SURCHARGE_POLICY,
+  getFuelSurchargePolicy,
+  invalidateFuelSurchargePolicyCache,
+  getFuelPriceAsOf,
+  listFuelPrices,
+  createFuelPrice,
+  deleteFuelPrice,
+  calculateFuelAdjustment,
+  previewFuelSurcharge,
+  applyFuelSurcharge,
+  getFuelImpactReport
+};
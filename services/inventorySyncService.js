@@ -14,6 +14,35 @@
  */
 
 const prisma = require('../lib/prisma');
+const { BusinessError } = require('../middleware/errorHandler');
+const { stockToBaseUnits } = require('../utils/unitConversion');
+
+/**
+ * Stock held in a set of batches, per unit type and in the product's base unit
+ * @param {array} batches - Batches with unitType and quantityRemaining
+ * @param {object} product - Conversion factors (packsPerPallet, unitsPerPack)
+ */
+function calculateInventoryFromBatches(batches, product) {
+  const totals = {
+    pallets: 0,
+    packs: 0,
+    units: 0
+  };
+
+  batches.forEach(batch => {
+    const remaining = batch.quantityRemaining || 0;
+
+    if (batch.unitType === 'PALLETS') {
+      totals.pallets += remaining;
+    } else if (batch.unitType === 'PACKS') {
+      totals.packs += remaining;
+    } else if (batch.unitType === 'UNITS') {
+      totals.units += remaining;
+    }
+  });
+
+  return { ...totals, baseUnits: stockToBaseUnits(totals, product) };
+}
 
 /**
  * Synchronize inventory for a specific product
@@ -39,26 +68,15 @@ async function syncProductInventory(productId, tx = null, triggeredBy = 'manual'
       }
     });
 
-    // Calculate correct inventory from batches
-    const calculatedInventory = {
-      pallets: 0,
-      packs: 0,
-      units: 0
-    };
-
-    allBatches.forEach(batch => {
-      const remaining = batch.quantityRemaining || 0;
-
-      if (batch.unitType === 'PALLETS') {
-        calculatedInventory.pallets += remaining;
-      } else if (batch.unitType === 'PACKS') {
-        calculatedInventory.packs += remaining;
-      } else if (batch.unitType === 'UNITS') {
-        calculatedInventory.units += remaining;
-      }
+    const conversion = await client.product.findUnique({
+      where: { id: productId },
+      select: { packsPerPallet: true, unitsPerPack: true }
     });
 
-    // Check if there's a discrepancy
+    // Calculate correct inventory from batches
+    const calculatedInventory = calculateInventoryFromBatches(allBatches, conversion || {});
+
+    // Check if there's a discrepancy (a stale baseUnits alone, e.g. after a factor change, isn't one)
     const hadDiscrepancy = inventoryBefore && (
       inventoryBefore.pallets !== calculatedInventory.pallets ||
       inventoryBefore.packs !== calculatedInventory.packs ||
@@ -72,6 +90,7 @@ async function syncProductInventory(productId, tx = null, triggeredBy = 'manual'
         pallets: calculatedInventory.pallets,
         packs: calculatedInventory.packs,
         units: calculatedInventory.units,
+        baseUnits: calculatedInventory.baseUnits,
         lastUpdated: new Date()
       }
     });
@@ -216,21 +235,13 @@ async function verifyProductInventory(productId) {
       where: {
         productId,
         batchStatus: { in: ['ACTIVE', 'DEPLETED'] }
+      },
+      include: {
+        product: { select: { packsPerPallet: true, unitsPerPack: true } }
       }
     });
 
-    const batchTotals = {
-      pallets: 0,
-      packs: 0,
-      units: 0
-    };
-
-    batches.forEach(batch => {
-      const remaining = batch.quantityRemaining || 0;
-      if (batch.unitType === 'PALLETS') batchTotals.pallets += remaining;
-      else if (batch.unitType === 'PACKS') batchTotals.packs += remaining;
-      else if (batch.unitType === 'UNITS') batchTotals.units += remaining;
-    });
+    const batchTotals = calculateInventoryFromBatches(batches, batches[0]?.product || {});
 
     const hasDiscrepancy = inventory && (
       inventory.pallets !== batchTotals.pallets ||
@@ -440,11 +451,11 @@ async function fixBatchSalesDiscrepancy(productId, triggeredBy = 'manual') {
     const batchUpdates = [];
 
     for (const batch of batches) {
-      const maxCanSellFromBatch = batch.quantity; // Total quantity in this batch
+      const maxCanSellFromBatch = batch.quantity - batch.quantityBrokenDown; // Total quantity not broken down
       const allocatedToBatch = Math.min(remainingSalesToAllocate, maxCanSellFromBatch);
 
       const newQuantitySold = allocatedToBatch;
-      const newQuantityRemaining = batch.quantity - newQuantitySold;
+      const newQuantityRemaining = maxCanSellFromBatch - newQuantitySold;
       const newBatchStatus = newQuantityRemaining === 0 ? 'DEPLETED' :
                              (batch.expiryDate && batch.expiryDate < new Date() ? 'EXPIRED' : 'ACTIVE');
 
@@ -669,6 +680,53 @@ async function fullInventoryAudit(triggeredBy = 'scheduled') {
   return summary;
 }
 
+/**
+ * Validate a product's batches inside a write transaction; throws to roll it back
+ * @param {object} tx - Prisma transaction client
+ * @param {string} productId - Product whose batches changed
+ */
+async function verifyBatchIntegrity(tx, productId) {
+  const integrityCheck = await tx.$queryRaw`
+    SELECT
+      COUNT(*) as invalid_batches
+    FROM warehouse_product_purchases
+    WHERE product_id = ${productId}
+      AND (
+        quantity_remaining < 0
+        OR quantity_sold < 0
+        OR quantity_remaining + quantity_sold + quantity_broken_down != quantity
+      )
+  `;
+
+  if (integrityCheck[0]?.invalid_batches > 0) {
+    throw new BusinessError(
+      'Batch integrity check failed. Transaction rolled back.',
+      'BATCH_INTEGRITY_ERROR'
+    );
+  }
+
+  // Verify batch quantitySold matches the warehouseBatchSale records
+  const batchSalesCheck = await tx.$queryRaw`
+    SELECT
+      wpp.id,
+      wpp.quantity_sold as batch_qty_sold,
+      COALESCE(SUM(wbs.quantity_sold), 0) as tracked_sales
+    FROM warehouse_product_purchases wpp
+    LEFT JOIN warehouse_batch_sales wbs ON wbs.batch_id = wpp.id
+    WHERE wpp.product_id = ${productId}
+    GROUP BY wpp.id, wpp.quantity_sold
+    HAVING wpp.quantity_sold != COALESCE(SUM(wbs.quantity_sold), 0)
+  `;
+
+  if (batchSalesCheck.length > 0) {
+    console.error('⚠️ Batch-sales mismatch detected:', batchSalesCheck);
+    throw new BusinessError(
+      'Batch-sales tracking mismatch. Transaction rolled back.',
+      'BATCH_SALES_MISMATCH'
+    );
+  }
+}
+
 /**
  * Comprehensive batch integrity validation
  * Checks all aspects of batch data for inconsistencies
@@ -679,7 +737,7 @@ async function validateBatchIntegrity() {
 
   const issues = [];
 
-  // 1. Check for batches where quantity != quantitySold + quantityRemaining
+  // 1. Check for batches where quantity != quantitySold + quantityRemaining + quantityBrokenDown
   const quantityMismatch = await prisma.$queryRaw`
     SELECT
       p.name as product_name,
@@ -687,16 +745,17 @@ async function validateBatchIntegrity() {
       wpp.quantity,
       wpp.quantity_sold,
       wpp.quantity_remaining,
-      (wpp.quantity - wpp.quantity_sold - wpp.quantity_remaining) as discrepancy
+      wpp.quantity_broken_down,
+      (wpp.quantity - wpp.quantity_sold - wpp.quantity_remaining - wpp.quantity_broken_down) as discrepancy
     FROM warehouse_product_purchases wpp
     JOIN products p ON p.id = wpp.product_id
-    WHERE wpp.quantity != wpp.quantity_sold + wpp.quantity_remaining
+    WHERE wpp.quantity != wpp.quantity_sold + wpp.quantity_remaining + wpp.quantity_broken_down
   `;
 
   if (quantityMismatch.length > 0) {
     issues.push({
       type: 'QUANTITY_MISMATCH',
-      description: 'Batches where quantity != quantitySold + quantityRemaining',
+      description: 'Batches where quantity != quantitySold + quantityRemaining + quantityBrokenDown',
       count: quantityMismatch.length,
       details: quantityMismatch
     });
@@ -877,6 +936,7 @@ async function getStockHealthSummary() {
 }
 
 module.exports = {
+  calculateInventoryFromBatches,
   syncProductInventory,
   scanAndSyncAllProducts,
   verifyProductInventory,
@@ -885,6 +945,7 @@ module.exports = {
   fixBatchSalesDiscrepancy,
   scanAndFixBatchSalesDiscrepancies,
   fullInventoryAudit,
+  verifyBatchIntegrity,
   validateBatchIntegrity,
   getStockHealthSummary
 };
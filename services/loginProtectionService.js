@@ -0,0 +1,221 @@
+/**
+ * Login Protection Service
+ *
+ * Progressive lockout after repeated failed logins, tracked both per account
+ * and per client IP. Each lockout lasts longer than the previous one:
+ *   lockoutMinutes * lockoutMultiplier ^ (previous lockouts), capped at maxLockoutMinutes.
+ *
+ * Thresholds are stored in SystemConfig under "auth_lockout_policy" so the MD
+ * can tune them through PUT /admin/system-config/auth_lockout_policy.
+ */
+
+const prisma = require('../lib/prisma');
+
+const LOCKOUT_POLICY_KEY = 'auth_lockout_policy';
+
+const DEFAULT_LOCKOUT_POLICY = {
+  maxFailedAttempts: 5,            // per account, within failureWindowMinutes
+  failureWindowMinutes: 15,
+  lockoutMinutes: 15,
+  lockoutMultiplier: 2,
+  maxLockoutMinutes: 24 * 60,
+  ipMaxFailedAttempts: 20,         // per IP, across all usernames
+  ipLockoutMinutes: 30,
+  bruteForceDistinctUsernames: 5   // one IP failing on this many usernames is reported as brute force
+};
+
+// Same caching approach as role permissions: avoid a DB hit on every login
+let _policyCache = null;
+let _policyCacheTime = 0;
+const POLICY_CACHE_TTL = 60 * 1000;
+
+// Ignore missing or nonsensical values in the stored config and fall back to defaults
+const normalizePolicy = (value) => {
+  const policy = { ...DEFAULT_LOCKOUT_POLICY };
+  if (!value || typeof value !== 'object') return policy;
+
+  for (const key of Object.keys(DEFAULT_LOCKOUT_POLICY)) {
+    const num = Number(value[key]);
+    if (Number.isFinite(num) && num > 0) {
+      policy[key] = num;
+    }
+  }
+  return policy;
+};
+
+async function getLockoutPolicy() {
+  if (_policyCache && Date.now() - _policyCacheTime < POLICY_CACHE_TTL) {
+    return _policyCache;
+  }
+
+  try {
+    const row = await prisma.systemConfig.findUnique({ where: { key: LOCKOUT_POLICY_KEY } });
+    _policyCache = normalizePolicy(row?.value);
+  } catch (error) {
+    console.error('Failed to load lockout policy, using defaults:', error.message);
+    _policyCache = _policyCache || { ...DEFAULT_LOCKOUT_POLICY };
+  }
+  _policyCacheTime = Date.now();
+
+  return _policyCache;
+}
+
+// Called after the policy is saved so the new thresholds apply immediately
+const invalidateLockoutPolicyCache = () => {
+  _policyCache = null;
+  _policyCacheTime = 0;
+};
+
+// x-forwarded-for may hold a proxy chain; the client is the first entry
+const normalizeIp = (ipAddress) => String(ipAddress || '0.0.0.0').split(',')[0].trim();
+
+const calculateLockoutMinutes = (baseMinutes, previousLockouts, policy) =>
+  Math.min(
+    baseMinutes * Math.pow(policy.lockoutMultiplier, previousLockouts),
+    policy.maxLockoutMinutes
+  );
+
+// Count a failure, starting a fresh window if the last one is too old
+const nextFailedAttempts = (currentAttempts, lastFailedAt, now, policy) => {
+  const windowStart = now.getTime() - policy.failureWindowMinutes * 60 * 1000;
+  if (!lastFailedAt || new Date(lastFailedAt).getTime() < windowStart) {
+    return 1;
+  }
+  return currentAttempts + 1;
+};
+
+const minutesUntil = (date, now = new Date()) =>
+  Math.max(1, Math.ceil((new Date(date) - now) / 60000));
+
+/**
+ * Lock state of a user record (as loaded from prisma.user)
+ */
+function getUserLockState(user, now = new Date()) {
+  const isLocked = !!user.lockedUntil && new Date(user.lockedUntil) > now;
+
+  return {
+    isLocked,
+    lockedUntil: isLocked ? user.lockedUntil : null,
+    failedLoginAttempts: user.failedLoginAttempts || 0,
+    lastFailedLoginAt: user.lastFailedLoginAt || null,
+    lockoutCount: user.lockoutCount || 0
+  };
+}
+
+/**
+ * Returns the throttle row for an IP if it is currently locked, otherwise null
+ */
+async function getActiveIpLock(ipAddress, now = new Date()) {
+  const throttle = await prisma.loginIpThrottle.findUnique({
+    where: { ipAddress: normalizeIp(ipAddress) }
+  });
+
+  if (throttle?.lockedUntil && throttle.lockedUntil > now) {
+    return throttle;
+  }
+  return null;
+}
+
+/**
+ * Record a failed login for the account (if it exists) and the client IP.
+ * @returns {object} { userLockedUntil, ipLockedUntil } - set only when this failure triggered a lockout
+ */
+async function recordFailedLogin({ user = null, ipAddress }) {
+  const policy = await getLockoutPolicy();
+  const now = new Date();
+  const ip = normalizeIp(ipAddress);
+  const result = { userLockedUntil: null, ipLockedUntil: null };
+
+  if (user) {
+    const attempts = nextFailedAttempts(user.failedLoginAttempts || 0, user.lastFailedLoginAt, now, policy);
+    const data = { failedLoginAttempts: attempts, lastFailedLoginAt: now };
+
+    if (attempts >= policy.maxFailedAttempts) {
+      const minutes = calculateLockoutMinutes(policy.lockoutMinutes, user.lockoutCount || 0, policy);
+      data.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+      data.lockoutCount = { increment: 1 };
+      data.failedLoginAttempts = 0;
+      result.userLockedUntil = data.lockedUntil;
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data });
+  }
+
+  const throttle = await prisma.loginIpThrottle.findUnique({ where: { ipAddress: ip } });
+  const ipAttempts = nextFailedAttempts(throttle?.failedAttempts || 0, throttle?.lastFailedAt, now, policy);
+  const ipData = { failedAttempts: ipAttempts, lastFailedAt: now };
+
+  if (ipAttempts >= policy.ipMaxFailedAttempts) {
+    const minutes = calculateLockoutMinutes(policy.ipLockoutMinutes, throttle?.lockoutCount || 0, policy);
+    ipData.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    ipData.lockoutCount = (throttle?.lockoutCount || 0) + 1;
+    ipData.failedAttempts = 0;
+    result.ipLockedUntil = ipData.lockedUntil;
+  }
+
+  await prisma.loginIpThrottle.upsert({
+    where: { ipAddress: ip },
+    update: ipData,
+    create: { ipAddress: ip, ...ipData }
+  });
+
+  return result;
+}
+
+/**
+ * Clear the account's failure counters after a successful login.
+ * The IP counter is left alone so a valid login can't be used to reset it.
+ */
+async function recordSuccessfulLogin(user) {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lockoutCount: 0,
+      lockedUntil: null
+    }
+  });
+}
+
+async function unlockUser(userId) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lockoutCount: 0,
+      lockedUntil: null
+    },
+    select: {
+      id: true,
+      username: true,
+      failedLoginAttempts: true,
+      lockedUntil: true,
+      lockoutCount: true
+    }
+  });
+}
+
+async function unlockIp(ipAddress) {
+  const result = await prisma.loginIpThrottle.updateMany({
+    where: { ipAddress: normalizeIp(ipAddress) },
+    data: { failedAttempts: 0, lockoutCount: 0, lockedUntil: null }
+  });
+  return result.count > 0;
+}
+
+module.exports = {
+  LOCKOUT_POLICY_KEY,
+  DEFAULT_LOCKOUT_POLICY,
+  getLockoutPolicy,
+  invalidateLockoutPolicyCache,
+  normalizeIp,
+  minutesUntil,
+  getUserLockState,
+  getActiveIpLock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockUser,
+  unlockIp
+};
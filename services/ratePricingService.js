@@ -0,0 +1,926 @@
+/**
+ * Rate Pricing Service
+ *
+ * Effective-dated rate tables: PalletPricing (distribution price per pack, by
+ * product and optionally location), HaulageRate and SalaryRate (transport, by
+ * location). A rate applies from its effectiveDate until the next active rate
+ * for the same key; rates dated in the future are scheduled and are ignored by
+ * lookups until their date arrives. Every reader should go through the *AsOf
+ * lookups so orders are priced with the rates in force on the order date.
+ *
+ * Rules for changes:
+ * - a rate that has taken effect is never edited, only deactivated; a new price
+ *   is a new rate with its own effectiveDate
+ * - scheduled rates can be edited or deleted
+ * - every change is audit logged with the rate's key, so history survives deletion
+ *
+ * New rate cards are uploaded as CSV, kept as a DRAFT RateCardImport with a diff
+ * against the rates in force on the card's effectiveDate, and written to the
+ * table only when activated.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, ValidationError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+const { parseCsvRows } = require('../utils/bankStatementParser');
+
+const locationSelect = { select: { id: true, name: true } };
+
+const RATE_TABLES = {
+  PALLET_PRICING: {
+    slug: 'pallet-prices',
+    model: 'palletPricing',
+    entity: 'PalletPricing',
+    module: 'distribution',
+    keyFields: ['productId', 'locationId'],
+    rateFields: ['pricePerPack', 'fuelAdjustment'],
+    infoFields: [],
+    include: { product: { select: { id: true, name: true, productNo: true } }, location: locationSelect },
+    columns: {
+      product: ['product', 'productno', 'productcode', 'sku', 'productname'],
+      location: ['location', 'locationname'],
+      pricePerPack: ['priceperpack', 'price', 'packprice'],
+      fuelAdjustment: ['fueladjustment', 'fuel']
+    },
+    required: ['product', 'pricePerPack']
+  },
+  HAULAGE_RATE: {
+    slug: 'haulage-rates',
+    model: 'haulageRate',
+    entity: 'HaulageRate',
+    module: 'transport',
+    keyFields: ['locationId'],
+    rateFields: ['distance', 'rate15Ton', 'rate20Ton', 'rate30Ton'],
+    infoFields: ['locationCode'],
+    include: { location: locationSelect },
+    columns: {
+      location: ['location', 'locationname'],
+      locationCode: ['locationcode', 'code'],
+      distance: ['distance', 'km', 'distancekm'],
+      rate15Ton: ['rate15ton', '15ton', 'rate15'],
+      rate20Ton: ['rate20ton', '20ton', 'rate20'],
+      rate30Ton: ['rate30ton', '30ton', 'rate30']
+    },
+    required: ['location', 'distance', 'rate15Ton', 'rate20Ton', 'rate30Ton']
+  },
+  SALARY_RATE: {
+    slug: 'salary-rates',
+    model: 'salaryRate',
+    entity: 'SalaryRate',
+    module: 'transport',
+    keyFields: ['locationId'],
+    rateFields: ['tripAllowance', 'driverWages', 'motorBoyWages', 'totalWages'],
+    infoFields: ['locationName'],
+    include: { location: locationSelect },
+    columns: {
+      location: ['location', 'locationname'],
+      tripAllowance: ['tripallowance', 'tripallow', 'allowance'],
+      driverWages: ['driverwages', 'driver'],
+      motorBoyWages: ['motorboywages', 'motorboy'],
+      totalWages: ['totalwages', 'total']
+    },
+    required: ['location', 'tripAllowance', 'driverWages', 'motorBoyWages']
+  }
+};
+
+const RATE_STATUSES = ['CURRENT', 'SCHEDULED', 'SUPERSEDED', 'INACTIVE'];
+const RATE_CARD_STATUSES = ['DRAFT', 'ACTIVATED', 'DISCARDED'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const rateTableBySlug = (slug) =>
+  Object.keys(RATE_TABLES).find(table => RATE_TABLES[table].slug === slug) || null;
+
+const keyOf = (config, row) => config.keyFields.map(field => row[field] || '').join('|');
+
+const keyWhere = (config, key) =>
+  Object.fromEntries(config.keyFields.map(field => [field, key[field] || null]));
+
+const serializeRate = (config, rate) => {
+  const result = { ...rate };
+  config.rateFields.forEach(field => {
+    result[field] = rate[field] === null || rate[field] === undefined ? null : parseFloat(rate[field]);
+  });
+  return result;
+};
+
+// ================================
+// AS-OF LOOKUPS
+// ================================
+
+/**
+ * The active rate for a key in force on `asOf` (latest effectiveDate not after it)
+ */
+async function findRateAsOf(rateTable, key, asOf = new Date(), client = prisma) {
+  const config = RATE_TABLES[rateTable];
+  return client[config.model].findFirst({
+    where: { ...keyWhere(config, key), isActive: true, effectiveDate: { lte: asOf } },
+    orderBy: { effectiveDate: 'desc' }
+  });
+}
+
+/**
+ * Price per pack for a product on a date: location price, else the product-wide
+ * pallet price (no location), else the product's list price
+ */
+async function getPalletPriceAsOf(productId, locationId = null, asOf = new Date(), client = prisma) {
+  if (locationId) {
+    const locationPrice = await findRateAsOf('PALLET_PRICING', { productId, locationId }, asOf, client);
+    if (locationPrice) {
+      return { pricePerPack: parseFloat(locationPrice.pricePerPack), source: 'LOCATION_PRICE', palletPricingId: locationPrice.id };
+    }
+  }
+
+  const defaultPrice = await findRateAsOf('PALLET_PRICING', { productId, locationId: null }, asOf, client);
+  if (defaultPrice) {
+    return { pricePerPack: parseFloat(defaultPrice.pricePerPack), source: 'DEFAULT_PRICE', palletPricingId: defaultPrice.id };
+  }
+
+  const product = await client.product.findUnique({ where: { id: productId }, select: { pricePerPack: true } });
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  return { pricePerPack: parseFloat(product.pricePerPack || 0), source: 'PRODUCT', palletPricingId: null };
+}
+
+async function getHaulageRateAsOf(locationId, asOf = new Date(), client = prisma) {
+  return findRateAsOf('HAULAGE_RATE', { locationId }, asOf, client);
+}
+
+async function getSalaryRateAsOf(locationId, asOf = new Date(), client = prisma) {
+  return findRateAsOf('SALARY_RATE', { locationId }, asOf, client);
+}
+
+/**
+ * Haulage rate column for a truck capacity in tons
+ */
+const selectHaulageRate = (haulageRate, truckCapacity) => {
+  if (truckCapacity <= 15) return haulageRate.rate15Ton;
+  if (truckCapacity <= 20) return haulageRate.rate20Ton;
+  return haulageRate.rate30Ton;
+};
+
+// ================================
+// CRUD
+// ================================
+
+const rateStatus = (rate, currentIds, now) => {
+  if (!rate.isActive) return 'INACTIVE';
+  if (rate.effectiveDate > now) return 'SCHEDULED';
+  return currentIds.has(rate.id) ? 'CURRENT' : 'SUPERSEDED';
+};
+
+// Ids of the rate in force today for each key
+const currentRateIds = (config, rates, now) => {
+  const current = new Map();
+  rates
+    .filter(rate => rate.isActive && rate.effectiveDate <= now)
+    .forEach(rate => {
+      const key = keyOf(config, rate);
+      const existing = current.get(key);
+      if (!existing || rate.effectiveDate > existing.effectiveDate) current.set(key, rate);
+    });
+  return new Set([...current.values()].map(rate => rate.id));
+};
+
+const filterWhere = (rateTable, { locationId, productId } = {}) => {
+  const where = {};
+  if (locationId) where.locationId = locationId;
+  if (productId && rateTable === 'PALLET_PRICING') where.productId = productId;
+  return where;
+};
+
+async function listRates(rateTable, { locationId, productId, status, page = 1, limit = 50 } = {}) {
+  const config = RATE_TABLES[rateTable];
+  const now = new Date();
+
+  // Rate tables are small; status depends on neighbouring rates, so it is worked out in memory
+  const where = filterWhere(rateTable, { locationId, productId });
+  const rates = await prisma[config.model].findMany({
+    where,
+    include: config.include,
+    orderBy: [{ effectiveDate: 'desc' }, { createdAt: 'desc' }]
+  });
+
+  const currentIds = currentRateIds(config, rates, now);
+
+  const withStatus = rates
+    .map(rate => ({ ...serializeRate(config, rate), status: rateStatus(rate, currentIds, now) }))
+    .filter(rate => !status || rate.status === status);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  return {
+    rates: withStatus.slice(skip, skip + parseInt(limit)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: withStatus.length,
+      totalPages: Math.ceil(withStatus.length / parseInt(limit))
+    }
+  };
+}
+
+/**
+ * The price list in force on a date: one rate per key
+ */
+async function getRatesAsOf(rateTable, asOf = new Date(), { locationId, productId } = {}, client = prisma) {
+  const config = RATE_TABLES[rateTable];
+  const rates = await client[config.model].findMany({
+    where: { ...filterWhere(rateTable, { locationId, productId }), isActive: true, effectiveDate: { lte: asOf } },
+    include: config.include,
+    orderBy: { effectiveDate: 'desc' }
+  });
+
+  const byKey = new Map();
+  rates.forEach(rate => {
+    const key = keyOf(config, rate);
+    if (!byKey.has(key)) byKey.set(key, serializeRate(config, rate));
+  });
+
+  return { asOf, rates: [...byKey.values()] };
+}
+
+async function getRate(rateTable, id) {
+  const config = RATE_TABLES[rateTable];
+  const rate = await prisma[config.model].findUnique({ where: { id }, include: config.include });
+  if (!rate) {
+    throw new NotFoundError('Rate not found');
+  }
+
+  const sameKey = await prisma[config.model].findMany({
+    where: keyWhere(config, rate),
+    select: Object.fromEntries(['id', 'isActive', 'effectiveDate', ...config.keyFields].map(field => [field, true]))
+  });
+  const now = new Date();
+
+  return { ...serializeRate(config, rate), status: rateStatus(rate, currentRateIds(config, sameKey, now), now) };
+}
+
+/**
+ * Check referenced product/location and build the row to store
+ */
+async function buildRateData(rateTable, input, client = prisma) {
+  const config = RATE_TABLES[rateTable];
+  const data = {};
+
+  if (input.locationId) {
+    const location = await client.location.findUnique({ where: { id: input.locationId }, select: { id: true, name: true } });
+    if (!location) {
+      throw new NotFoundError('Location not found');
+    }
+    data.locationId = location.id;
+    if (rateTable === 'SALARY_RATE') data.locationName = input.locationName || location.name;
+  } else if (rateTable === 'PALLET_PRICING') {
+    data.locationId = null;
+  } else {
+    throw new ValidationError('Location is required');
+  }
+
+  if (rateTable === 'PALLET_PRICING') {
+    const product = await client.product.findUnique({ where: { id: input.productId }, select: { id: true } });
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+    data.productId = product.id;
+  }
+
+  config.rateFields.forEach(field => {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      data[field] = round(parseFloat(input[field]));
+    }
+  });
+  config.infoFields.forEach(field => {
+    if (input[field] !== undefined && data[field] === undefined) data[field] = input[field] || null;
+  });
+
+  if (rateTable === 'SALARY_RATE' && data.totalWages === undefined) {
+    data.totalWages = round((data.tripAllowance || 0) + (data.driverWages || 0) + (data.motorBoyWages || 0));
+  }
+  if (rateTable === 'PALLET_PRICING' && data.fuelAdjustment === undefined) {
+    data.fuelAdjustment = 0;
+  }
+
+  return data;
+}
+
+async function assertNoRateOnDate(rateTable, key, effectiveDate, excludeId, client = prisma) {
+  const config = RATE_TABLES[rateTable];
+  const existing = await client[config.model].findFirst({
+    where: {
+      ...keyWhere(config, key),
+      effectiveDate,
+      ...(excludeId ? { id: { not: excludeId } } : {})
+    },
+    select: { id: true }
+  });
+
+  if (existing) {
+    throw new BusinessError('A rate for this item already takes effect on that date', 'DUPLICATE_RATE');
+  }
+}
+
+// Key fields are in every audit entry so history can be filtered by product/location
+const auditSnapshot = (config, rate) => {
+  const snapshot = { effectiveDate: rate.effectiveDate, isActive: rate.isActive };
+  [...config.keyFields, ...config.rateFields, ...config.infoFields].forEach(field => {
+    snapshot[field] = config.rateFields.includes(field) && rate[field] !== null && rate[field] !== undefined
+      ? parseFloat(rate[field])
+      : rate[field] ?? null;
+  });
+  return snapshot;
+};
+
+// Rates written by a rate card or an automatic rule are tagged with it in the audit trail
+const auditTags = ({ rateCard = null, source = null }) => ({
+  ...(rateCard ? { rateCard } : {}),
+  ...(source ? { source } : {})
+});
+
+async function createRate(rateTable, input, userId, requestMeta = {}, { client = prisma, rateCard = null, source = null } = {}) {
+  const config = RATE_TABLES[rateTable];
+  const data = await buildRateData(rateTable, input, client);
+  const effectiveDate = input.effectiveDate ? new Date(input.effectiveDate) : new Date();
+
+  await assertNoRateOnDate(rateTable, data, effectiveDate, null, client);
+
+  const rate = await client[config.model].create({
+    data: { ...data, effectiveDate, isActive: input.isActive !== undefined ? Boolean(input.isActive) : true },
+    include: config.include
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'RATE_CREATED',
+    entity: config.entity,
+    entityId: rate.id,
+    newValues: { ...auditSnapshot(config, rate), ...auditTags({ rateCard, source }) },
+    ...requestMeta
+  }, client);
+
+  return serializeRate(config, rate);
+}
+
+async function updateRate(rateTable, id, input, userId, requestMeta = {}, { client = prisma, rateCard = null, source = null } = {}) {
+  const config = RATE_TABLES[rateTable];
+  const existing = await client[config.model].findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Rate not found');
+  }
+
+  const now = new Date();
+  const inEffect = existing.effectiveDate <= now;
+  const changesRate = [...config.keyFields, ...config.rateFields, ...config.infoFields, 'effectiveDate']
+    .some(field => input[field] !== undefined);
+
+  if (inEffect && changesRate) {
+    throw new BusinessError(
+      'This rate has already taken effect and cannot be changed. Schedule a new rate from the date the change applies, or deactivate this one.',
+      'RATE_IN_EFFECT'
+    );
+  }
+
+  // Salary totals are recalculated unless given
+  const base = auditSnapshot(config, existing);
+  if (rateTable === 'SALARY_RATE' && input.totalWages === undefined) delete base.totalWages;
+
+  const data = changesRate
+    ? await buildRateData(rateTable, { ...base, ...input }, client)
+    : {};
+
+  if (input.effectiveDate !== undefined) {
+    data.effectiveDate = new Date(input.effectiveDate);
+    if (data.effectiveDate <= now) {
+      throw new ValidationError('A scheduled rate can only be moved to a future date');
+    }
+  }
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  if (changesRate) {
+    await assertNoRateOnDate(rateTable, { ...existing, ...data }, data.effectiveDate || existing.effectiveDate, id, client);
+  }
+
+  const rate = await client[config.model].update({ where: { id }, data, include: config.include });
+
+  await createAuditLog({
+    userId,
+    action: 'RATE_UPDATED',
+    entity: config.entity,
+    entityId: id,
+    oldValues: auditSnapshot(config, existing),
+    newValues: { ...auditSnapshot(config, rate), ...auditTags({ rateCard, source }) },
+    ...requestMeta
+  }, client);
+
+  return serializeRate(config, rate);
+}
+
+/**
+ * Scheduled rates are deleted; rates that have taken effect are deactivated so
+ * the prices past orders were charged at stay on record
+ */
+async function deleteRate(rateTable, id, userId, requestMeta = {}) {
+  const config = RATE_TABLES[rateTable];
+  const existing = await prisma[config.model].findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Rate not found');
+  }
+
+  const scheduled = existing.effectiveDate > new Date();
+
+  return prisma.$transaction(async (tx) => {
+    if (scheduled) {
+      await tx[config.model].delete({ where: { id } });
+    } else {
+      await tx[config.model].update({ where: { id }, data: { isActive: false } });
+    }
+
+    await createAuditLog({
+      userId,
+      action: scheduled ? 'RATE_DELETED' : 'RATE_DEACTIVATED',
+      entity: config.entity,
+      entityId: id,
+      oldValues: auditSnapshot(config, existing),
+      newValues: { ...auditSnapshot(config, existing), isActive: false, deleted: scheduled },
+      ...requestMeta
+    }, tx);
+
+    return { deleted: scheduled, deactivated: !scheduled };
+  });
+}
+
+/**
+ * Set the rate for a key from input.effectiveDate, replacing a scheduled rate
+ * starting on that exact date. Used by rate card activation and the fuel
+ * surcharge rule; the caller supplies the transaction as options.client.
+ */
+async function saveRateOnDate(rateTable, input, userId, requestMeta = {}, { client = prisma, rateCard = null, source = null } = {}) {
+  const config = RATE_TABLES[rateTable];
+  const effectiveDate = new Date(input.effectiveDate);
+  const existing = await client[config.model].findFirst({
+    where: { ...keyWhere(config, input), effectiveDate }
+  });
+
+  if (!existing) {
+    const rate = await createRate(rateTable, { ...input, effectiveDate }, userId, requestMeta, { client, rateCard, source });
+    return { rate, replaced: false };
+  }
+  if (existing.effectiveDate <= new Date()) {
+    throw new BusinessError('A rate that has already taken effect on that date cannot be replaced', 'RATE_IN_EFFECT');
+  }
+
+  const data = await buildRateData(rateTable, input, client);
+  const rate = await client[config.model].update({ where: { id: existing.id }, data: { ...data, isActive: true }, include: config.include });
+
+  await createAuditLog({
+    userId,
+    action: 'RATE_UPDATED',
+    entity: config.entity,
+    entityId: rate.id,
+    oldValues: auditSnapshot(config, existing),
+    newValues: { ...auditSnapshot(config, rate), ...auditTags({ rateCard, source }) },
+    ...requestMeta
+  }, client);
+
+  return { rate: serializeRate(config, rate), replaced: true };
+}
+
+const RATE_ACTIONS = ['RATE_CREATED', 'RATE_UPDATED', 'RATE_DELETED', 'RATE_DEACTIVATED'];
+
+/**
+ * Who changed which rate, newest first. Filter by one rate or by product/location.
+ */
+async function getRateHistory(rateTable, { rateId, locationId, productId, limit = 100 } = {}) {
+  const config = RATE_TABLES[rateTable];
+  const keyFilters = [];
+  if (locationId) keyFilters.push({ newValues: { path: ['locationId'], equals: locationId } });
+  if (productId && rateTable === 'PALLET_PRICING') keyFilters.push({ newValues: { path: ['productId'], equals: productId } });
+
+  const logs = await prisma.auditLog.findMany({
+    where: {
+      entity: config.entity,
+      action: { in: RATE_ACTIONS },
+      ...(rateId ? { entityId: rateId } : {}),
+      ...(keyFilters.length ? { AND: keyFilters } : {})
+    },
+    include: { user: { select: { id: true, username: true } } },
+    orderBy: { createdAt: 'desc' },
+    take: parseInt(limit)
+  });
+
+  return logs.map(log => {
+    const oldValues = log.oldValues || {};
+    const newValues = log.newValues || {};
+    const changes = [...config.rateFields, ...config.infoFields, 'effectiveDate', 'isActive']
+      .filter(field => log.oldValues && JSON.stringify(oldValues[field]) !== JSON.stringify(newValues[field]))
+      .map(field => ({ field, from: oldValues[field] ?? null, to: newValues[field] ?? null }));
+
+    return {
+      id: log.id,
+      action: log.action,
+      rateId: log.entityId,
+      changedBy: log.user ? { id: log.user.id, username: log.user.username } : null,
+      changedAt: log.createdAt,
+      rate: newValues,
+      changes,
+      rateCard: newValues.rateCard || null,
+      source: newValues.source || null
+    };
+  });
+}
+
+// ================================
+// RATE CARD IMPORT
+// ================================
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = parseFloat(String(value).replace(/[₦,\s]/g, ''));
+  return isNaN(number) ? NaN : number;
+};
+
+/**
+ * Parse and resolve a CSV rate card. Returns { rows, rowErrors }; each row holds
+ * the key ids plus rate fields, with display names for the preview.
+ */
+async function parseRateCard(rateTable, content) {
+  const config = RATE_TABLES[rateTable];
+  const [header, ...dataRows] = parseCsvRows(content);
+  if (!header || dataRows.length === 0) {
+    throw new ValidationError('Rate card must have a header row and at least one rate');
+  }
+
+  const normalized = header.map(normalizeHeader);
+  const columnIndex = {};
+  Object.entries(config.columns).forEach(([field, aliases]) => {
+    const index = normalized.findIndex(h => aliases.includes(h) || h === normalizeHeader(field));
+    if (index !== -1) columnIndex[field] = index;
+  });
+
+  const missing = config.required.filter(field => columnIndex[field] === undefined);
+  if (missing.length > 0) {
+    throw new ValidationError(`Rate card is missing column(s): ${missing.join(', ')}`);
+  }
+
+  const [locations, products] = await Promise.all([
+    prisma.location.findMany({ select: { id: true, name: true } }),
+    rateTable === 'PALLET_PRICING'
+      ? prisma.product.findMany({ where: { module: 'DISTRIBUTION' }, select: { id: true, name: true, productNo: true } })
+      : []
+  ]);
+
+  const lookup = (items, value, ...fields) => {
+    const wanted = String(value).trim().toLowerCase();
+    for (const field of fields) {
+      const matches = items.filter(item => String(item[field] || '').trim().toLowerCase() === wanted);
+      if (matches.length > 0) return matches;
+    }
+    return [];
+  };
+
+  const rows = [];
+  const rowErrors = [];
+  const seen = new Map();
+
+  dataRows.forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const cell = (field) => (columnIndex[field] !== undefined ? (cells[columnIndex[field]] || '').trim() : '');
+    const errors = [];
+    const row = { rowNumber };
+
+    if (rateTable === 'PALLET_PRICING') {
+      const matches = lookup(products, cell('product'), 'productNo', 'name', 'id');
+      if (matches.length === 1) {
+        row.productId = matches[0].id;
+        row.productName = matches[0].name;
+      } else {
+        errors.push(matches.length ? `Product "${cell('product')}" is ambiguous` : `Product "${cell('product')}" not found`);
+      }
+    }
+
+    const locationName = cell('location');
+    if (locationName) {
+      const matches = lookup(locations, locationName, 'name', 'id');
+      if (matches.length === 1) {
+        row.locationId = matches[0].id;
+        row.locationName = matches[0].name;
+      } else {
+        errors.push(matches.length ? `Location "${locationName}" matches more than one location` : `Location "${locationName}" not found`);
+      }
+    } else if (rateTable === 'PALLET_PRICING') {
+      row.locationId = null;
+      row.locationName = null;
+    } else {
+      errors.push('Location is required');
+    }
+
+    config.rateFields.forEach(field => {
+      const value = parseNumber(cell(field));
+      if (value === null) {
+        if (config.required.includes(field)) errors.push(`${field} is required`);
+      } else if (isNaN(value) || value < 0) {
+        errors.push(`${field} must be a non-negative number`);
+      } else {
+        row[field] = round(value);
+      }
+    });
+    if (rateTable === 'HAULAGE_RATE') row.locationCode = cell('locationCode') || null;
+    if (rateTable === 'SALARY_RATE' && row.totalWages === undefined && errors.length === 0) {
+      row.totalWages = round(row.tripAllowance + row.driverWages + row.motorBoyWages);
+    }
+    if (rateTable === 'PALLET_PRICING' && row.fuelAdjustment === undefined) row.fuelAdjustment = 0;
+
+    if (errors.length === 0) {
+      const key = keyOf(config, row);
+      if (seen.has(key)) {
+        errors.push(`Duplicate of row ${seen.get(key)}`);
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ rowNumber, message: errors.join('; ') });
+    } else {
+      rows.push(row);
+    }
+  });
+
+  return { rows, rowErrors };
+}
+
+/**
+ * Compare a card's rows with the rates in force on its effective date
+ */
+async function diffRateCard(rateTable, rows, effectiveDate, client = prisma) {
+  const config = RATE_TABLES[rateTable];
+  const inForce = await client[config.model].findMany({
+    where: { isActive: true, effectiveDate: { lte: effectiveDate } },
+    include: config.include,
+    orderBy: { effectiveDate: 'desc' }
+  });
+
+  const currentByKey = new Map();
+  inForce.forEach(rate => {
+    const key = keyOf(config, rate);
+    if (!currentByKey.has(key)) currentByKey.set(key, rate);
+  });
+
+  const summary = { new: 0, changed: 0, unchanged: 0, notInCard: 0 };
+  const cardKeys = new Set();
+
+  const lines = rows.map(row => {
+    const key = keyOf(config, row);
+    cardKeys.add(key);
+    const current = currentByKey.get(key);
+
+    if (!current) {
+      summary.new++;
+      return { ...row, change: 'NEW', currentRateId: null, fields: [] };
+    }
+
+    const fields = config.rateFields
+      .map(field => {
+        const from = parseFloat(current[field]);
+        const to = row[field];
+        return {
+          field,
+          from,
+          to,
+          difference: round(to - from),
+          percentChange: from !== 0 ? round(((to - from) / from) * 100) : null
+        };
+      })
+      .filter(field => field.difference !== 0);
+
+    const change = fields.length > 0 ? 'CHANGED' : 'UNCHANGED';
+    summary[change === 'CHANGED' ? 'changed' : 'unchanged']++;
+
+    return {
+      ...row,
+      change,
+      currentRateId: current.id,
+      currentEffectiveDate: current.effectiveDate,
+      fields
+    };
+  });
+
+  // Rates the card doesn't mention stay in force
+  const notInCard = [...currentByKey.entries()]
+    .filter(([key]) => !cardKeys.has(key))
+    .map(([, rate]) => ({
+      rateId: rate.id,
+      productName: rate.product?.name,
+      locationName: rate.location?.name || null,
+      effectiveDate: rate.effectiveDate,
+      ...Object.fromEntries(config.rateFields.map(field => [field, parseFloat(rate[field])]))
+    }));
+  summary.notInCard = notInCard.length;
+
+  return { effectiveDate, summary, lines, notInCard };
+}
+
+const rateCardInclude = {
+  creator: { select: { id: true, username: true } },
+  activator: { select: { id: true, username: true } }
+};
+
+async function createRateCard(rateTable, { content, fileName, effectiveDate, notes }, userId, requestMeta = {}) {
+  const effective = new Date(effectiveDate);
+  if (effective <= new Date()) {
+    throw new ValidationError('A rate card can only take effect from a future date');
+  }
+  const { rows, rowErrors } = await parseRateCard(rateTable, content);
+
+  const card = await prisma.rateCardImport.create({
+    data: {
+      importNumber: await generateDocumentNumber('RC', 'rateCardImport', 'importNumber'),
+      rateTable,
+      effectiveDate: effective,
+      fileName: fileName || null,
+      rows,
+      rowErrors: rowErrors.length > 0 ? rowErrors : null,
+      notes: notes || null,
+      createdBy: userId
+    },
+    include: rateCardInclude
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'RATE_CARD_UPLOADED',
+    entity: 'RateCardImport',
+    entityId: card.id,
+    newValues: {
+      importNumber: card.importNumber,
+      rateTable,
+      effectiveDate: effective,
+      rows: rows.length,
+      rowErrors: rowErrors.length
+    },
+    ...requestMeta
+  });
+
+  return { ...card, diff: await diffRateCard(rateTable, rows, effective) };
+}
+
+async function findRateCard(rateTable, id, client = prisma) {
+  const card = await client.rateCardImport.findUnique({ where: { id }, include: rateCardInclude });
+  if (!card || card.rateTable !== rateTable) {
+    throw new NotFoundError('Rate card not found');
+  }
+  return card;
+}
+
+/**
+ * A card with its diff preview (drafts are diffed against today's data)
+ */
+async function getRateCard(rateTable, id) {
+  const card = await findRateCard(rateTable, id);
+  return {
+    ...card,
+    diff: card.status === 'DRAFT' ? await diffRateCard(rateTable, card.rows, card.effectiveDate) : null
+  };
+}
+
+async function listRateCards(rateTable, { status, page = 1, limit = 20 } = {}) {
+  const where = { rateTable };
+  if (status) where.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [cards, total] = await Promise.all([
+    prisma.rateCardImport.findMany({
+      where,
+      select: {
+        id: true,
+        importNumber: true,
+        rateTable: true,
+        status: true,
+        effectiveDate: true,
+        fileName: true,
+        rowErrors: true,
+        notes: true,
+        createdAt: true,
+        activatedAt: true,
+        ...rateCardInclude
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: parseInt(limit)
+    }),
+    prisma.rateCardImport.count({ where })
+  ]);
+
+  return {
+    rateCards: cards,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / parseInt(limit))
+    }
+  };
+}
+
+/**
+ * Write a draft card's new and changed rates to the table from its effective date,
+ * which must still be in the future. A rate already scheduled for the same key and
+ * date is replaced.
+ */
+async function activateRateCard(rateTable, id, userId, requestMeta = {}) {
+  return prisma.$transaction(async (tx) => {
+    const card = await findRateCard(rateTable, id, tx);
+    if (card.status !== 'DRAFT') {
+      throw new BusinessError(`Rate card is already ${card.status.toLowerCase()}`, 'INVALID_RATE_CARD_STATUS');
+    }
+    if (card.rowErrors && card.rowErrors.length > 0) {
+      throw new BusinessError('Rate card has rows with errors; fix the file and upload it again', 'RATE_CARD_HAS_ERRORS');
+    }
+    // Rates in force are never rewritten; a card left in draft past its date must be re-uploaded
+    if (card.effectiveDate <= new Date()) {
+      throw new BusinessError('Rate card effective date has passed; upload it again with a future date', 'RATE_CARD_DATE_PASSED');
+    }
+
+    const diff = await diffRateCard(rateTable, card.rows, card.effectiveDate, tx);
+    const options = { client: tx, rateCard: card.importNumber };
+    let created = 0;
+    let updated = 0;
+
+    for (const line of diff.lines.filter(l => l.change !== 'UNCHANGED')) {
+      const { replaced } = await saveRateOnDate(rateTable, { ...line, effectiveDate: card.effectiveDate }, userId, requestMeta, options);
+      if (replaced) updated++;
+      else created++;
+    }
+
+    const activated = await tx.rateCardImport.update({
+      where: { id },
+      data: { status: 'ACTIVATED', activatedBy: userId, activatedAt: new Date() },
+      include: rateCardInclude
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'RATE_CARD_ACTIVATED',
+      entity: 'RateCardImport',
+      entityId: id,
+      oldValues: { status: 'DRAFT' },
+      newValues: { status: 'ACTIVATED', importNumber: card.importNumber, created, updated, unchanged: diff.summary.unchanged },
+      ...requestMeta
+    }, tx);
+
+    return { rateCard: activated, created, updated, unchanged: diff.summary.unchanged };
+  }, { timeout: 60000 });
+}
+
+async function discardRateCard(rateTable, id, userId, requestMeta = {}) {
+  const card = await findRateCard(rateTable, id);
+  if (card.status !== 'DRAFT') {
+    throw new BusinessError(`Rate card is already ${card.status.toLowerCase()}`, 'INVALID_RATE_CARD_STATUS');
+  }
+
+  const discarded = await prisma.rateCardImport.update({
+    where: { id },
+    data: { status: 'DISCARDED' },
+    include: rateCardInclude
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'RATE_CARD_DISCARDED',
+    entity: 'RateCardImport',
+    entityId: id,
+    oldValues: { status: 'DRAFT' },
+    newValues: { status: 'DISCARDED', importNumber: card.importNumber },
+    ...requestMeta
+  });
+
+  return discarded;
+}
+
+module.exports = {
+  RATE_TABLES,
+  RATE_STATUSES,
+  RATE_CARD_STATUSES,
+  rateTableBySlug,
+  findRateAsOf,
+  getPalletPriceAsOf,
+  getHaulageRateAsOf,
+  getSalaryRateAsOf,
+  selectHaulageRate,
+  listRates,
+  getRatesAsOf,
+  getRate,
+  createRate,
+  updateRate,
+  deleteRate,
+  saveRateOnDate,
+  getRateHistory,
+  createRateCard,
+  getRateCard,
+  listRateCards,
+  activateRateCard,
+  discardRateCard
+};
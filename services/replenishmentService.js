@@ -0,0 +1,236 @@
+/**
+ * Replenishment Service
+ *
+ * Builds reorder suggestions for warehouse products from:
+ * - daily sales velocity over a lookback window (WarehouseSale)
+ * - stock on hand from active batches (the inventory source of truth)
+ * - stock already on order (open purchase orders, including drafts)
+ * - the supplier's leadTimeDays and minimumOrderPacks (SupplierProduct)
+ * - reorderLevel / maxStockLevel on WarehouseInventory
+ *
+ * All quantities are in packs, converted with the product's packsPerPallet and
+ * unitsPerPack. Loose units are only counted when unitsPerPack is set; they are
+ * reported separately either way.
+ */
+
+const prisma = require('../lib/prisma');
+const { convertQuantity } = require('../utils/unitConversion');
+
+const DEFAULT_OPTIONS = {
+  lookbackDays: 30,
+  defaultLeadTimeDays: 7,  // used when no supplier lead time is recorded
+  safetyDays: 3,           // extra cover on top of the lead time
+  targetCoverDays: 30      // stock-up target when maxStockLevel isn't set
+};
+
+const OPEN_PO_STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED'];
+
+const toPacks = (quantity, unitType, product) => {
+  if (unitType === 'UNITS' && !product.unitsPerPack) return 0;
+  return convertQuantity(quantity, unitType, 'PACKS', product);
+};
+
+const round = (value, places = 2) => parseFloat(value.toFixed(places));
+
+/**
+ * Cheapest available supplier for a product, preferring ones with a known lead time on ties
+ */
+function pickSupplier(supplierProducts) {
+  const available = supplierProducts.filter(sp => sp.isAvailable && sp.supplierCompany.isActive);
+  if (available.length === 0) return null;
+
+  return available.sort((a, b) =>
+    parseFloat(a.supplierCostPerPack) - parseFloat(b.supplierCostPerPack) ||
+    (a.leadTimeDays ?? Infinity) - (b.leadTimeDays ?? Infinity)
+  )[0];
+}
+
+function classifyUrgency({ stockPacks, daysOfCover, leadTimeDays, reorderLevel }) {
+  if (stockPacks <= 0) return 'CRITICAL';
+  if (daysOfCover !== null && daysOfCover < leadTimeDays) return 'CRITICAL';
+  if (stockPacks <= reorderLevel) return 'HIGH';
+  return 'NORMAL';
+}
+
+/**
+ * Compute replenishment figures for every active warehouse product
+ * @param {object} options - { lookbackDays, defaultLeadTimeDays, safetyDays, targetCoverDays, productIds, includeAll }
+ * @returns {object} { generatedAt, parameters, suggestions, summary }
+ */
+async function getReorderSuggestions(options = {}) {
+  const params = { ...DEFAULT_OPTIONS };
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && Number.isFinite(value) && value >= 0) params[key] = value;
+  }
+  params.lookbackDays = Math.max(1, params.lookbackDays);
+
+  const now = new Date();
+  const since = new Date(now.getTime() - params.lookbackDays * 24 * 60 * 60 * 1000);
+
+  const products = await prisma.product.findMany({
+    where: {
+      isActive: true,
+      module: { in: ['WAREHOUSE', 'BOTH'] },
+      ...(options.productIds?.length && { id: { in: options.productIds } })
+    },
+    select: {
+      id: true,
+      name: true,
+      productNo: true,
+      packsPerPallet: true,
+      unitsPerPack: true,
+      costPerPack: true,
+      warehouseInventory: {
+        select: { location: true, reorderLevel: true, maxStockLevel: true }
+      },
+      supplierProducts: {
+        select: {
+          supplierCostPerPack: true,
+          isAvailable: true,
+          minimumOrderPacks: true,
+          leadTimeDays: true,
+          supplierCompany: { select: { id: true, name: true, isActive: true } }
+        }
+      }
+    }
+  });
+
+  const productIds = products.map(p => p.id);
+
+  const [sales, batches, openOrderItems] = await Promise.all([
+    prisma.warehouseSale.groupBy({
+      by: ['productId', 'unitType'],
+      where: { productId: { in: productIds }, createdAt: { gte: since } },
+      _sum: { quantity: true }
+    }),
+    prisma.warehouseProductPurchase.groupBy({
+      by: ['productId', 'unitType'],
+      where: { productId: { in: productIds }, batchStatus: 'ACTIVE' },
+      _sum: { quantityRemaining: true }
+    }),
+    prisma.warehousePurchaseOrderItem.findMany({
+      where: {
+        productId: { in: productIds },
+        purchaseOrder: { status: { in: OPEN_PO_STATUSES } }
+      },
+      select: {
+        productId: true,
+        unitType: true,
+        quantityOrdered: true,
+        quantityReceived: true,
+        purchaseOrder: { select: { poNumber: true, status: true } }
+      }
+    })
+  ]);
+
+  const suggestions = [];
+
+  for (const product of products) {
+    const inventory = product.warehouseInventory.find(inv => inv.location === 'Main Warehouse')
+      || product.warehouseInventory[0]
+      || { reorderLevel: 0, maxStockLevel: null };
+
+    const soldPacks = sales
+      .filter(s => s.productId === product.id)
+      .reduce((sum, s) => sum + toPacks(s._sum.quantity || 0, s.unitType, product), 0);
+
+    const productBatches = batches.filter(b => b.productId === product.id);
+    const stockPacks = productBatches
+      .reduce((sum, b) => sum + toPacks(b._sum.quantityRemaining || 0, b.unitType, product), 0);
+    const looseUnits = productBatches
+      .filter(b => b.unitType === 'UNITS')
+      .reduce((sum, b) => sum + (b._sum.quantityRemaining || 0), 0);
+
+    const orders = openOrderItems.filter(i => i.productId === product.id);
+    const onOrderPacks = orders.reduce((sum, i) =>
+      sum + toPacks(Math.max(0, i.quantityOrdered - i.quantityReceived), i.unitType, product), 0);
+
+    const supplier = pickSupplier(product.supplierProducts);
+    const leadTimeDays = supplier?.leadTimeDays ?? params.defaultLeadTimeDays;
+    const minimumOrderPacks = supplier?.minimumOrderPacks || 0;
+
+    const dailyVelocity = soldPacks / params.lookbackDays;
+    const daysOfCover = dailyVelocity > 0 ? round(stockPacks / dailyVelocity, 1) : null;
+
+    // Stock needed to last until a new order lands, plus a safety margin
+    const leadTimeDemand = Math.ceil(dailyVelocity * (leadTimeDays + params.safetyDays));
+    const reorderPoint = Math.max(inventory.reorderLevel || 0, leadTimeDemand);
+    const targetStock = inventory.maxStockLevel
+      || reorderPoint + Math.ceil(dailyVelocity * params.targetCoverDays);
+
+    const projectedStock = stockPacks + onOrderPacks;
+    const needsReorder = projectedStock <= reorderPoint && targetStock > projectedStock;
+
+    let suggestedPacks = needsReorder ? Math.ceil(targetStock - projectedStock) : 0;
+    if (suggestedPacks > 0 && suggestedPacks < minimumOrderPacks) {
+      suggestedPacks = minimumOrderPacks;
+    }
+
+    if (!needsReorder && !options.includeAll) continue;
+
+    const costPerPack = supplier ? parseFloat(supplier.supplierCostPerPack) : parseFloat(product.costPerPack || 0);
+
+    suggestions.push({
+      productId: product.id,
+      productNo: product.productNo,
+      productName: product.name,
+      packsPerPallet: product.packsPerPallet,
+      stockPacks: round(stockPacks),
+      looseUnits,
+      onOrderPacks,
+      openPurchaseOrders: [...new Set(orders.map(o => o.purchaseOrder.poNumber))],
+      soldPacks,
+      dailyVelocity: round(dailyVelocity),
+      daysOfCover,
+      leadTimeDays,
+      leadTimeSource: supplier?.leadTimeDays != null ? 'SUPPLIER' : 'DEFAULT',
+      reorderLevel: inventory.reorderLevel || 0,
+      maxStockLevel: inventory.maxStockLevel,
+      reorderPoint,
+      targetStock,
+      minimumOrderPacks,
+      suggestedPacks,
+      suggestedPallets: product.packsPerPallet ? round(suggestedPacks / product.packsPerPallet, 1) : null,
+      supplier: supplier
+        ? { id: supplier.supplierCompany.id, name: supplier.supplierCompany.name }
+        : null,
+      costPerPack,
+      estimatedCost: round(suggestedPacks * costPerPack),
+      urgency: classifyUrgency({
+        stockPacks,
+        daysOfCover,
+        leadTimeDays,
+        reorderLevel: inventory.reorderLevel || 0
+      }),
+      needsReorder
+    });
+  }
+
+  const urgencyRank = { CRITICAL: 0, HIGH: 1, NORMAL: 2 };
+  suggestions.sort((a, b) =>
+    urgencyRank[a.urgency] - urgencyRank[b.urgency] ||
+    (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity)
+  );
+
+  const toReorder = suggestions.filter(s => s.needsReorder);
+
+  return {
+    generatedAt: now,
+    parameters: params,
+    suggestions,
+    summary: {
+      productsAnalysed: products.length,
+      productsToReorder: toReorder.length,
+      critical: toReorder.filter(s => s.urgency === 'CRITICAL').length,
+      withoutSupplier: toReorder.filter(s => !s.supplier).length,
+      totalSuggestedPacks: toReorder.reduce((sum, s) => sum + s.suggestedPacks, 0),
+      estimatedTotalCost: round(toReorder.reduce((sum, s) => sum + s.estimatedCost, 0))
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  getReorderSuggestions
+};
@@ -0,0 +1,252 @@
+/**
+ * Session Service
+ *
+ * Short-lived access tokens + rotating refresh tokens.
+ *
+ * - Every login creates a UserSession (the refresh token "family").
+ * - Access tokens are JWTs carrying the session id and expire quickly.
+ * - Refresh tokens are random strings; only their SHA-256 hash is stored.
+ * - Each refresh marks the presented token as used and issues a new one.
+ *   Presenting an already-used or revoked token means it was copied, so the
+ *   whole session is revoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../lib/prisma');
+const { getClientIP } = require('../middleware/auditLogger');
+const { AuthenticationError } = require('../middleware/errorHandler');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '7', 10);
+const SESSION_IDLE_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES || '60', 10);
+
+// Avoid a DB write on every request: only persist activity once per minute
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * Issue a new refresh token for a session
+ * @returns {object} { refreshToken, record }
+ */
+async function issueRefreshToken(client, session, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const ttlExpiry = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const expiresAt = ttlExpiry < session.expiresAt ? ttlExpiry : session.expiresAt;
+
+  const record = await client.refreshToken.create({
+    data: {
+      sessionId: session.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt,
+      ipAddress: getClientIP(req),
+      userAgent: req.get('User-Agent') || null
+    }
+  });
+
+  return { refreshToken, record };
+}
+
+const buildTokenResponse = (session, accessToken, refreshToken) => ({
+  accessToken,
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  sessionId: session.id,
+  sessionExpiresAt: session.expiresAt
+});
+
+/**
+ * Create a session for a freshly authenticated user
+ * @param {string} userId
+ * @param {object} req - Express request (for IP / user agent)
+ * @param {object} device - Optional { deviceId, deviceName } sent by the client
+ */
+async function createSession(userId, req, device = {}) {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.userSession.create({
+      data: {
+        userId,
+        expiresAt,
+        ipAddress: getClientIP(req),
+        userAgent: req.get('User-Agent') || null,
+        deviceId: device.deviceId || null,
+        deviceName: device.deviceName || null
+      }
+    });
+
+    const { refreshToken } = await issueRefreshToken(tx, session, req);
+    const accessToken = signAccessToken(userId, session.id);
+
+    return { session, ...buildTokenResponse(session, accessToken, refreshToken) };
+  });
+}
+
+/**
+ * Revoke a session and every refresh token in it
+ */
+async function revokeSession(sessionId, reason, client = prisma) {
+  const now = new Date();
+
+  await client.refreshToken.updateMany({
+    where: { sessionId, revokedAt: null },
+    data: { revokedAt: now }
+  });
+
+  return client.userSession.updateMany({
+    where: { id: sessionId, isActive: true },
+    data: { isActive: false, revokedAt: now, revokedReason: reason }
+  });
+}
+
+/**
+ * Revoke all of a user's sessions ("log out all devices")
+ * @param {string} exceptSessionId - Optional session to keep (e.g. after a password change)
+ */
+async function revokeAllUserSessions(userId, reason, exceptSessionId = null) {
+  const sessions = await prisma.userSession.findMany({
+    where: {
+      userId,
+      isActive: true,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    select: { id: true }
+  });
+
+  await prisma.$transaction(async (tx) => {
+    for (const session of sessions) {
+      await revokeSession(session.id, reason, tx);
+    }
+  });
+
+  return sessions.length;
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Throws AuthenticationError when the token is unknown, expired or replayed.
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const tokenRecord = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: {
+      session: {
+        include: {
+          user: { select: { id: true, username: true, email: true, role: true, isActive: true } }
+        }
+      }
+    }
+  });
+
+  if (!tokenRecord) {
+    throw new AuthenticationError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const { session } = tokenRecord;
+
+  // Failures past this point belong to a known session; carry its user for the security log
+  const sessionError = (message, code) =>
+    Object.assign(new AuthenticationError(message, code), { userId: session.userId });
+
+  // Reuse detection: a token that was already exchanged (or revoked) is being replayed
+  if (tokenRecord.usedAt || tokenRecord.revokedAt) {
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    throw sessionError('Refresh token reuse detected. Session has been revoked.', 'REFRESH_TOKEN_REUSE');
+  }
+
+  const now = new Date();
+
+  if (!session.isActive || now > session.expiresAt || now > tokenRecord.expiresAt) {
+    throw sessionError('Session expired. Please login again.', 'SESSION_EXPIRED');
+  }
+
+  if (isSessionIdle(session, now)) {
+    await revokeSession(session.id, 'IDLE_TIMEOUT');
+    throw sessionError('Session expired due to inactivity. Please login again.', 'SESSION_IDLE_TIMEOUT');
+  }
+
+  if (!session.user.isActive) {
+    await revokeSession(session.id, 'ACCOUNT_DEACTIVATED');
+    throw sessionError('Account is deactivated', 'ACCOUNT_DEACTIVATED');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Claim the token atomically so two concurrent refreshes can't both succeed
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: tokenRecord.id, usedAt: null, revokedAt: null },
+      data: { usedAt: now }
+    });
+
+    if (claimed.count === 0) {
+      throw sessionError('Refresh token already used', 'REFRESH_TOKEN_REUSE');
+    }
+
+    const { refreshToken: newRefreshToken, record } = await issueRefreshToken(tx, session, req);
+
+    await tx.refreshToken.update({
+      where: { id: tokenRecord.id },
+      data: { replacedById: record.id }
+    });
+
+    await tx.userSession.update({
+      where: { id: session.id },
+      data: {
+        lastActivityAt: now,
+        ipAddress: getClientIP(req),
+        userAgent: req.get('User-Agent') || session.userAgent
+      }
+    });
+
+    const accessToken = signAccessToken(session.userId, session.id);
+
+    return {
+      user: session.user,
+      ...buildTokenResponse(session, accessToken, newRefreshToken)
+    };
+  });
+}
+
+/**
+ * True when the session has seen no activity within the idle timeout
+ */
+function isSessionIdle(session, now = new Date()) {
+  if (!SESSION_IDLE_TIMEOUT_MINUTES || !session.lastActivityAt) return false;
+  return now - new Date(session.lastActivityAt) > SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+}
+
+/**
+ * Record activity on a session (throttled)
+ */
+async function touchSession(session) {
+  const now = new Date();
+  if (session.lastActivityAt && now - new Date(session.lastActivityAt) < ACTIVITY_WRITE_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.userSession.update({
+    where: { id: session.id },
+    data: { lastActivityAt: now }
+  });
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionIdle,
+  touchSession,
+  SESSION_IDLE_TIMEOUT_MINUTES
+};
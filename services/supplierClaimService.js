@@ -0,0 +1,454 @@
+/**
+ * Supplier Claim Service
+ *
+ * Claims against a supplier company for short-loaded or damaged stock, or money
+ * overpaid to them. A claim moves OPEN -> ACKNOWLEDGED -> CREDITED, and can be
+ * REJECTED until it is credited.
+ *
+ * Crediting a claim adds the amount the supplier accepted to
+ * SupplierCompany.creditBalance. That credit is spent by passing creditApplied to
+ * POST /distribution/payments/supplier. Every movement on the balance is kept as
+ * a SupplierCreditEntry.
+ *
+ * Evidence (photos, waybills) is uploaded through /attachments with entityType
+ * SUPPLIER_CLAIM.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, ValidationError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+const { listAttachments } = require('./attachmentService');
+
+const CLAIM_TYPES = ['SHORT_LOADED', 'DAMAGED', 'OVERPAYMENT', 'OTHER'];
+const CLAIM_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'CREDITED', 'REJECTED'];
+
+// Claims the supplier hasn't settled yet
+const OUTSTANDING_STATUSES = ['OPEN', 'ACKNOWLEDGED'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const claimInclude = {
+  supplierCompany: { select: { id: true, name: true, code: true } },
+  order: { select: { id: true, orderNumber: true, finalAmount: true, supplierStatus: true } },
+  createdByUser: { select: { id: true, username: true } },
+  acknowledgedByUser: { select: { id: true, username: true } },
+  resolvedByUser: { select: { id: true, username: true } }
+};
+
+/**
+ * Create a claim with its number and audit entry. Used by the claims API and
+ * by delivery reconciliation, so it takes the caller's transaction.
+ */
+async function raiseClaim(tx, data, userId, requestMeta = {}) {
+  const claim = await tx.supplierClaim.create({
+    data: {
+      ...data,
+      claimNumber: await generateDocumentNumber('SC', 'supplierClaim', 'claimNumber', tx),
+      createdBy: userId
+    }
+  });
+
+  await createAuditLog({
+    userId,
+    action: 'SUPPLIER_CLAIM_RAISED',
+    entity: 'SupplierClaim',
+    entityId: claim.id,
+    newValues: {
+      claimNumber: claim.claimNumber,
+      supplierCompanyId: claim.supplierCompanyId,
+      orderId: claim.orderId,
+      claimType: claim.claimType,
+      packs: claim.packs,
+      amount: claim.amount
+    },
+    ...requestMeta
+  }, tx);
+
+  return claim;
+}
+
+async function createClaim({ supplierCompanyId, orderId, claimType, pallets, packs, amount, description }, userId, requestMeta = {}) {
+  if (orderId) {
+    const order = await prisma.distributionOrder.findUnique({
+      where: { id: orderId },
+      select: { id: true, supplierCompanyId: true }
+    });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (!order.supplierCompanyId) {
+      throw new BusinessError('No supplier company assigned to this order', 'NO_SUPPLIER_COMPANY');
+    }
+    if (supplierCompanyId && supplierCompanyId !== order.supplierCompanyId) {
+      throw new ValidationError('Supplier company does not match the order');
+    }
+    supplierCompanyId = order.supplierCompanyId;
+  }
+
+  if (!supplierCompanyId) {
+    throw new ValidationError('Supplier company or order is required');
+  }
+
+  const company = await prisma.supplierCompany.findUnique({ where: { id: supplierCompanyId }, select: { id: true } });
+  if (!company) {
+    throw new NotFoundError('Supplier company not found');
+  }
+
+  const claim = await prisma.$transaction((tx) => raiseClaim(tx, {
+    supplierCompanyId,
+    orderId: orderId || null,
+    claimType,
+    pallets: pallets ? parseInt(pallets) : 0,
+    packs: packs ? parseInt(packs) : 0,
+    amount: round(parseFloat(amount)),
+    description: description || null
+  }, userId, requestMeta));
+
+  return getClaim(claim.id);
+}
+
+async function listClaims({ supplierCompanyId, orderId, status, claimType, page = 1, limit = 20 } = {}) {
+  const where = {};
+  if (supplierCompanyId) where.supplierCompanyId = supplierCompanyId;
+  if (orderId) where.orderId = orderId;
+  if (status) where.status = status;
+  if (claimType) where.claimType = claimType;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const [claims, total] = await Promise.all([
+    prisma.supplierClaim.findMany({
+      where,
+      include: {
+        supplierCompany: claimInclude.supplierCompany,
+        order: claimInclude.order
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take
+    }),
+    prisma.supplierClaim.count({ where })
+  ]);
+
+  return {
+    claims,
+    pagination: {
+      page: parseInt(page),
+      limit: take,
+      total,
+      totalPages: Math.ceil(total / take)
+    }
+  };
+}
+
+async function getClaim(id) {
+  const claim = await prisma.supplierClaim.findUnique({
+    where: { id },
+    include: {
+      ...claimInclude,
+      creditEntries: { orderBy: { createdAt: 'asc' } }
+    }
+  });
+
+  if (!claim) {
+    throw new NotFoundError('Supplier claim not found');
+  }
+
+  const evidence = await listAttachments('SUPPLIER_CLAIM', id);
+  return { ...claim, evidence };
+}
+
+const assertStatus = (claim, allowed, action) => {
+  if (!allowed.includes(claim.status)) {
+    throw new BusinessError(`Cannot ${action} a claim that is ${claim.status}`, 'INVALID_CLAIM_STATUS');
+  }
+};
+
+/**
+ * Move a claim on only if it is still in an allowed status, so a double submit or a
+ * racing credit/reject can't both apply
+ */
+async function transitionClaim(tx, claim, allowed, action, data) {
+  const { count } = await tx.supplierClaim.updateMany({
+    where: { id: claim.id, status: { in: allowed } },
+    data
+  });
+
+  if (count === 0) {
+    const current = await tx.supplierClaim.findUnique({ where: { id: claim.id }, select: { status: true } });
+    assertStatus(current, allowed, action);
+    throw new BusinessError(`Cannot ${action} this claim`, 'INVALID_CLAIM_STATUS');
+  }
+}
+
+async function acknowledgeClaim(id, { notes } = {}, userId, requestMeta = {}) {
+  const claim = await prisma.supplierClaim.findUnique({ where: { id } });
+  if (!claim) {
+    throw new NotFoundError('Supplier claim not found');
+  }
+  assertStatus(claim, ['OPEN'], 'acknowledge');
+
+  await prisma.$transaction(async (tx) => {
+    await transitionClaim(tx, claim, ['OPEN'], 'acknowledge', {
+      status: 'ACKNOWLEDGED',
+      acknowledgedBy: userId,
+      acknowledgedAt: new Date(),
+      resolutionNotes: notes || claim.resolutionNotes
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'SUPPLIER_CLAIM_ACKNOWLEDGED',
+      entity: 'SupplierClaim',
+      entityId: id,
+      oldValues: { status: claim.status },
+      newValues: { status: 'ACKNOWLEDGED', notes: notes || null },
+      ...requestMeta
+    }, tx);
+  });
+
+  return getClaim(id);
+}
+
+/**
+ * Mark the claim credited and add what the supplier accepted to their credit balance
+ */
+async function creditClaim(id, { creditedAmount, supplierReference, notes } = {}, userId, requestMeta = {}) {
+  const claim = await prisma.supplierClaim.findUnique({ where: { id } });
+  if (!claim) {
+    throw new NotFoundError('Supplier claim not found');
+  }
+  assertStatus(claim, OUTSTANDING_STATUSES, 'credit');
+
+  const amount = round(creditedAmount !== undefined && creditedAmount !== null
+    ? parseFloat(creditedAmount)
+    : parseFloat(claim.amount));
+
+  if (amount <= 0) {
+    throw new ValidationError('Credited amount must be greater than 0');
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await transitionClaim(tx, claim, OUTSTANDING_STATUSES, 'credit', {
+      status: 'CREDITED',
+      creditedAmount: amount,
+      supplierReference: supplierReference || null,
+      resolutionNotes: notes || claim.resolutionNotes,
+      resolvedBy: userId,
+      resolvedAt: new Date()
+    });
+
+    const company = await tx.supplierCompany.update({
+      where: { id: claim.supplierCompanyId },
+      data: { creditBalance: { increment: amount } },
+      select: { creditBalance: true }
+    });
+
+    await tx.supplierCreditEntry.create({
+      data: {
+        supplierCompanyId: claim.supplierCompanyId,
+        type: 'CLAIM_CREDITED',
+        amount,
+        balanceAfter: company.creditBalance,
+        claimId: id,
+        notes: supplierReference ? `Supplier credit note ${supplierReference}` : null,
+        createdBy: userId
+      }
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'SUPPLIER_CLAIM_CREDITED',
+      entity: 'SupplierClaim',
+      entityId: id,
+      oldValues: { status: claim.status, amount: claim.amount },
+      newValues: {
+        status: 'CREDITED',
+        creditedAmount: amount,
+        supplierReference: supplierReference || null,
+        creditBalance: company.creditBalance
+      },
+      ...requestMeta
+    }, tx);
+  });
+
+  return getClaim(id);
+}
+
+async function rejectClaim(id, { reason }, userId, requestMeta = {}) {
+  const claim = await prisma.supplierClaim.findUnique({ where: { id } });
+  if (!claim) {
+    throw new NotFoundError('Supplier claim not found');
+  }
+  assertStatus(claim, OUTSTANDING_STATUSES, 'reject');
+
+  await prisma.$transaction(async (tx) => {
+    await transitionClaim(tx, claim, OUTSTANDING_STATUSES, 'reject', {
+      status: 'REJECTED',
+      resolutionNotes: reason,
+      resolvedBy: userId,
+      resolvedAt: new Date()
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'SUPPLIER_CLAIM_REJECTED',
+      entity: 'SupplierClaim',
+      entityId: id,
+      oldValues: { status: claim.status },
+      newValues: { status: 'REJECTED', reason },
+      ...requestMeta
+    }, tx);
+  });
+
+  return getClaim(id);
+}
+
+/**
+ * Spend supplier credit against an order payment (inside the payment transaction).
+ * The balance check and decrement are one statement so two payments can't spend the same credit.
+ */
+async function applySupplierCredit(tx, { supplierCompanyId, orderId, amount, userId }) {
+  const { count } = await tx.supplierCompany.updateMany({
+    where: { id: supplierCompanyId, creditBalance: { gte: amount } },
+    data: { creditBalance: { decrement: amount } }
+  });
+
+  if (count === 0) {
+    const company = await tx.supplierCompany.findUnique({
+      where: { id: supplierCompanyId },
+      select: { name: true, creditBalance: true }
+    });
+    throw new BusinessError(
+      `${company.name} only has ₦${parseFloat(company.creditBalance).toFixed(2)} of credit available`,
+      'INSUFFICIENT_SUPPLIER_CREDIT'
+    );
+  }
+
+  const company = await tx.supplierCompany.findUnique({
+    where: { id: supplierCompanyId },
+    select: { creditBalance: true }
+  });
+
+  return tx.supplierCreditEntry.create({
+    data: {
+      supplierCompanyId,
+      type: 'APPLIED_TO_PAYMENT',
+      amount: -amount,
+      balanceAfter: company.creditBalance,
+      orderId,
+      createdBy: userId
+    }
+  });
+}
+
+async function getSupplierCredit(supplierCompanyId, { limit = 50 } = {}) {
+  const company = await prisma.supplierCompany.findUnique({
+    where: { id: supplierCompanyId },
+    select: { id: true, name: true, code: true, creditBalance: true }
+  });
+
+  if (!company) {
+    throw new NotFoundError('Supplier company not found');
+  }
+
+  const entries = await prisma.supplierCreditEntry.findMany({
+    where: { supplierCompanyId },
+    include: {
+      claim: { select: { claimNumber: true, claimType: true } },
+      order: { select: { orderNumber: true } },
+      createdByUser: { select: { username: true } }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: parseInt(limit)
+  });
+
+  return { company, creditBalance: parseFloat(company.creditBalance), entries };
+}
+
+/**
+ * Claims totals for one supplier: by status and type, recovery rate and open claims
+ */
+async function getClaimsSummary(supplierCompanyId) {
+  const claims = await prisma.supplierClaim.findMany({
+    where: { supplierCompanyId },
+    select: {
+      id: true,
+      claimNumber: true,
+      claimType: true,
+      status: true,
+      packs: true,
+      amount: true,
+      creditedAmount: true,
+      createdAt: true,
+      order: { select: { orderNumber: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const byStatus = Object.fromEntries(CLAIM_STATUSES.map(status => [status, { count: 0, amount: 0 }]));
+  const byType = Object.fromEntries(CLAIM_TYPES.map(type => [type, { count: 0, packs: 0, amount: 0 }]));
+  let totalClaimed = 0;
+  let totalCredited = 0;
+  let settledClaimed = 0;
+
+  for (const claim of claims) {
+    const amount = parseFloat(claim.amount);
+    totalClaimed += amount;
+
+    byStatus[claim.status].count += 1;
+    byStatus[claim.status].amount += amount;
+    byType[claim.claimType].count += 1;
+    byType[claim.claimType].packs += claim.packs;
+    byType[claim.claimType].amount += amount;
+
+    if (claim.status === 'CREDITED') totalCredited += parseFloat(claim.creditedAmount || 0);
+    if (!OUTSTANDING_STATUSES.includes(claim.status)) settledClaimed += amount;
+  }
+
+  const roundAmounts = (groups) => Object.fromEntries(
+    Object.entries(groups).map(([key, stats]) => [key, { ...stats, amount: round(stats.amount) }])
+  );
+
+  const now = Date.now();
+  const openClaims = claims
+    .filter(claim => OUTSTANDING_STATUSES.includes(claim.status))
+    .map(claim => ({
+      id: claim.id,
+      claimNumber: claim.claimNumber,
+      orderNumber: claim.order?.orderNumber || null,
+      claimType: claim.claimType,
+      status: claim.status,
+      amount: parseFloat(claim.amount),
+      ageDays: Math.floor((now - claim.createdAt.getTime()) / (24 * 60 * 60 * 1000))
+    }));
+
+  return {
+    totalClaims: claims.length,
+    totalClaimed: round(totalClaimed),
+    totalCredited: round(totalCredited),
+    outstandingAmount: round(byStatus.OPEN.amount + byStatus.ACKNOWLEDGED.amount),
+    // Share of settled (credited or rejected) claim value the supplier actually credited
+    recoveryRate: settledClaimed > 0 ? `${((totalCredited / settledClaimed) * 100).toFixed(2)}%` : '0%',
+    byStatus: roundAmounts(byStatus),
+    byType: roundAmounts(byType),
+    openClaims
+  };
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  raiseClaim,
+  createClaim,
+  listClaims,
+  getClaim,
+  acknowledgeClaim,
+  creditClaim,
+  rejectClaim,
+  applySupplierCredit,
+  getSupplierCredit,
+  getClaimsSummary
+};
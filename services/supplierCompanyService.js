@@ -1,5 +1,6 @@
 const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const prisma = require('../lib/prisma');
+const { getClaimsSummary } = require('./supplierClaimService');
 
 // Maps enum to human-readable category name
 const CATEGORY_NAMES = {
@@ -401,6 +402,8 @@ class SupplierCompanyService {
       throw new NotFoundError('Supplier company not found');
     }
 
+    const claims = await getClaimsSummary(id);
+
     const stats = {
       totalOrders: company.distributionOrders.length,
       totalValue: company.distributionOrders.reduce((sum, order) => sum + Number(order.finalAmount), 0),
@@ -423,9 +426,11 @@ class SupplierCompanyService {
         code: company.code,
         email: company.email,
         phone: company.phone,
-        isActive: company.isActive
+        isActive: company.isActive,
+        creditBalance: Number(company.creditBalance)
       },
-      stats
+      stats,
+      claims
     };
   }
 }
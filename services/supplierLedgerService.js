@@ -0,0 +1,339 @@
+/**
+ * Supplier Ledger Service
+ *
+ * Payables ledger per SupplierCompany, built from the source records rather than
+ * stored, so it always agrees with them. Balance = what we owe the supplier
+ * (negative: we've paid more than we owe, or the supplier owes us credit).
+ *
+ *   debit   ORDER             order sent to the supplier, at its supplier value
+ *   debit   PRICE_ADJUSTMENT  price increase after the order was sent
+ *   credit  PRICE_ADJUSTMENT  price decrease after the order was sent
+ *   credit  PAYMENT           PaymentHistory TO_SUPPLIER
+ *   credit  CLAIM             claim credited by the supplier (creditedAmount)
+ *   credit  INCENTIVE         incentive received (actualIncentivePaid), dated at the end of its month
+ *   memo    CREDIT_APPLIED    supplier credit used to settle an order; already counted when the claim was credited
+ *
+ * An order's supplier value is its finalAmount with our delivery credit notes to
+ * the customer added back: those reduce what the customer pays, not what the
+ * supplier charged. Adjustments made before the order was sent are already part
+ * of that value.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const ORDER_BALANCE_STATUSES = ['UNPAID', 'OVERPAID', 'SETTLED'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Ledger entries on the same day: charges before the money that settles them
+const TYPE_ORDER = ['ORDER', 'PRICE_ADJUSTMENT', 'PAYMENT', 'CREDIT_APPLIED', 'CLAIM', 'INCENTIVE'];
+
+const orderReference = (order) => order.supplierInvoiceNumber || order.orderNumber || `ORD-${order.id.slice(-8)}`;
+
+// When the order went to the supplier; orders are sent along with their payment
+const sentAt = (order) => order.paymentDateToSupplier || order.orderRaisedAt || order.createdAt;
+
+async function getSupplierCompany(id) {
+  const company = await prisma.supplierCompany.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      name: true,
+      code: true,
+      email: true,
+      phone: true,
+      address: true,
+      contactPerson: true,
+      paymentTerms: true,
+      creditBalance: true
+    }
+  });
+
+  if (!company) {
+    throw new NotFoundError('Supplier company not found');
+  }
+  return company;
+}
+
+/**
+ * Orders that have been sent to the supplier, with what they're worth to the supplier
+ */
+async function getSentOrders(supplierCompanyId) {
+  const orders = await prisma.distributionOrder.findMany({
+    where: { supplierCompanyId, supplierStatus: { not: 'NOT_SENT' } },
+    select: {
+      id: true,
+      orderNumber: true,
+      totalPacks: true,
+      finalAmount: true,
+      amountPaidToSupplier: true,
+      supplierCreditApplied: true,
+      paidToSupplier: true,
+      paymentDateToSupplier: true,
+      orderRaisedAt: true,
+      supplierOrderNumber: true,
+      supplierInvoiceNumber: true,
+      supplierStatus: true,
+      createdAt: true,
+      customer: { select: { name: true } },
+      priceAdjustments: {
+        select: { id: true, originalAmount: true, adjustedAmount: true, reason: true, riteFoodsInvoiceReference: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      },
+      creditNotes: {
+        where: { reason: 'DELIVERY_SHORTFALL' },
+        select: { amount: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return orders.map(order => {
+    const sent = sentAt(order);
+    const laterAdjustments = order.priceAdjustments.filter(adj => adj.createdAt > sent);
+    const customerCredits = order.creditNotes.reduce((sum, note) => sum + parseFloat(note.amount), 0);
+    const supplierValue = round(parseFloat(order.finalAmount) + customerCredits);
+    const adjustmentsAfterSending = laterAdjustments.reduce(
+      (sum, adj) => sum + parseFloat(adj.adjustedAmount) - parseFloat(adj.originalAmount), 0
+    );
+
+    return {
+      ...order,
+      sentAt: sent,
+      laterAdjustments,
+      supplierValue,
+      valueWhenSent: round(supplierValue - adjustmentsAfterSending)
+    };
+  });
+}
+
+/**
+ * Every ledger entry for the supplier, oldest first
+ */
+async function buildEntries(supplierCompanyId) {
+  const [orders, payments, claims, incentives, creditApplications] = await Promise.all([
+    getSentOrders(supplierCompanyId),
+    prisma.paymentHistory.findMany({
+      where: { paymentType: 'TO_SUPPLIER', order: { supplierCompanyId } },
+      select: {
+        id: true,
+        amount: true,
+        paymentMethod: true,
+        reference: true,
+        createdAt: true,
+        order: { select: { id: true, orderNumber: true, supplierInvoiceNumber: true } }
+      }
+    }),
+    prisma.supplierClaim.findMany({
+      where: { supplierCompanyId, status: 'CREDITED' },
+      select: {
+        id: true,
+        claimNumber: true,
+        claimType: true,
+        creditedAmount: true,
+        amount: true,
+        supplierReference: true,
+        resolvedAt: true,
+        updatedAt: true,
+        order: { select: { orderNumber: true } }
+      }
+    }),
+    prisma.supplierIncentive.findMany({
+      where: { supplierCompanyId, actualIncentivePaid: { not: null } },
+      select: { id: true, year: true, month: true, actualIncentivePaid: true, incentivePercentage: true }
+    }),
+    prisma.supplierCreditEntry.findMany({
+      where: { supplierCompanyId, type: 'APPLIED_TO_PAYMENT' },
+      select: { id: true, amount: true, createdAt: true, order: { select: { id: true, orderNumber: true } } }
+    })
+  ]);
+
+  const entries = [];
+
+  for (const order of orders) {
+    entries.push({
+      date: order.sentAt,
+      type: 'ORDER',
+      reference: orderReference(order),
+      description: `Order ${order.orderNumber || order.id.slice(-8)} for ${order.customer.name} (${order.totalPacks} packs)`,
+      debit: order.valueWhenSent,
+      credit: 0,
+      orderId: order.id
+    });
+
+    for (const adj of order.laterAdjustments) {
+      const change = round(parseFloat(adj.adjustedAmount) - parseFloat(adj.originalAmount));
+      if (change === 0) continue;
+      entries.push({
+        date: adj.createdAt,
+        type: 'PRICE_ADJUSTMENT',
+        reference: adj.riteFoodsInvoiceReference || orderReference(order),
+        description: `Price ${change > 0 ? 'increase' : 'decrease'} on ${order.orderNumber || order.id.slice(-8)}: ${adj.reason}`,
+        debit: change > 0 ? change : 0,
+        credit: change < 0 ? -change : 0,
+        orderId: order.id
+      });
+    }
+  }
+
+  for (const payment of payments) {
+    entries.push({
+      date: payment.createdAt,
+      type: 'PAYMENT',
+      reference: payment.reference || orderReference(payment.order),
+      description: `Payment for ${payment.order.orderNumber || payment.order.id.slice(-8)} (${payment.paymentMethod.replace(/_/g, ' ').toLowerCase()})`,
+      debit: 0,
+      credit: parseFloat(payment.amount),
+      orderId: payment.order.id,
+      paymentId: payment.id
+    });
+  }
+
+  for (const application of creditApplications) {
+    entries.push({
+      date: application.createdAt,
+      type: 'CREDIT_APPLIED',
+      reference: application.order?.orderNumber || null,
+      description: `₦${Math.abs(parseFloat(application.amount)).toFixed(2)} of supplier credit used on ${application.order?.orderNumber || 'order'}`,
+      debit: 0,
+      credit: 0,
+      orderId: application.order?.id || null
+    });
+  }
+
+  for (const claim of claims) {
+    entries.push({
+      date: claim.resolvedAt || claim.updatedAt,
+      type: 'CLAIM',
+      reference: claim.supplierReference || claim.claimNumber,
+      description: `Claim ${claim.claimNumber} credited (${claim.claimType.replace(/_/g, ' ').toLowerCase()}${claim.order?.orderNumber ? `, ${claim.order.orderNumber}` : ''})`,
+      debit: 0,
+      credit: parseFloat(claim.creditedAmount ?? claim.amount),
+      claimId: claim.id
+    });
+  }
+
+  for (const incentive of incentives) {
+    const period = `${incentive.year}-${String(incentive.month).padStart(2, '0')}`;
+    entries.push({
+      date: new Date(incentive.year, incentive.month, 0, 23, 59, 59),
+      type: 'INCENTIVE',
+      reference: `INC-${period}`,
+      description: `Incentive received for ${period} (${parseFloat(incentive.incentivePercentage)}%)`,
+      debit: 0,
+      credit: parseFloat(incentive.actualIncentivePaid),
+      incentiveId: incentive.id
+    });
+  }
+
+  entries.sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+  );
+
+  return entries;
+}
+
+/**
+ * Ledger for a period: opening balance, entries with running balance, closing balance
+ */
+async function getSupplierLedger(supplierCompanyId, { from = null, to = null } = {}) {
+  const company = await getSupplierCompany(supplierCompanyId);
+  const entries = await buildEntries(supplierCompanyId);
+
+  let openingBalance = 0;
+  let balance = 0;
+  const periodEntries = [];
+
+  for (const entry of entries) {
+    balance = round(balance + entry.debit - entry.credit);
+    if (from && new Date(entry.date) < from) {
+      openingBalance = balance;
+      continue;
+    }
+    if (to && new Date(entry.date) > to) continue;
+    periodEntries.push({ ...entry, balance });
+  }
+
+  const totals = (type, side) => round(
+    periodEntries.filter(e => e.type === type).reduce((sum, e) => sum + e[side], 0)
+  );
+
+  const openClaims = await prisma.supplierClaim.findMany({
+    where: { supplierCompanyId, status: { in: ['OPEN', 'ACKNOWLEDGED'] } },
+    select: { claimNumber: true, claimType: true, status: true, amount: true, createdAt: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return {
+    company: { ...company, creditBalance: parseFloat(company.creditBalance) },
+    period: { from, to },
+    openingBalance,
+    entries: periodEntries,
+    closingBalance: periodEntries.length > 0 ? periodEntries[periodEntries.length - 1].balance : openingBalance,
+    summary: {
+      orders: totals('ORDER', 'debit'),
+      priceIncreases: totals('PRICE_ADJUSTMENT', 'debit'),
+      priceDecreases: totals('PRICE_ADJUSTMENT', 'credit'),
+      payments: totals('PAYMENT', 'credit'),
+      claimsCredited: totals('CLAIM', 'credit'),
+      incentives: totals('INCENTIVE', 'credit'),
+      totalDebits: round(periodEntries.reduce((sum, e) => sum + e.debit, 0)),
+      totalCredits: round(periodEntries.reduce((sum, e) => sum + e.credit, 0))
+    },
+    // Not in the balance until the supplier credits them
+    openClaims: openClaims.map(claim => ({ ...claim, amount: parseFloat(claim.amount) }))
+  };
+}
+
+/**
+ * Sent orders where what we paid the supplier doesn't match the order's supplier value.
+ * status: UNPAID / OVERPAID / SETTLED; defaults to both mismatches.
+ */
+async function getSupplierOrderBalances(supplierCompanyId, { status } = {}) {
+  const company = await getSupplierCompany(supplierCompanyId);
+  const orders = await getSentOrders(supplierCompanyId);
+  const wanted = status ? [status] : ['UNPAID', 'OVERPAID'];
+
+  const rows = orders
+    .map(order => {
+      const paid = parseFloat(order.amountPaidToSupplier || 0);
+      const difference = round(order.supplierValue - paid);
+      return {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customer: order.customer.name,
+        supplierInvoiceNumber: order.supplierInvoiceNumber,
+        supplierOrderNumber: order.supplierOrderNumber,
+        supplierStatus: order.supplierStatus,
+        sentAt: order.sentAt,
+        supplierValue: order.supplierValue,
+        paid,
+        paidFromCredit: parseFloat(order.supplierCreditApplied),
+        priceAdjustments: order.priceAdjustments.length,
+        difference,
+        status: difference > 0 ? 'UNPAID' : difference < 0 ? 'OVERPAID' : 'SETTLED'
+      };
+    })
+    .filter(row => wanted.includes(row.status));
+
+  const unpaid = rows.filter(row => row.status === 'UNPAID');
+  const overpaid = rows.filter(row => row.status === 'OVERPAID');
+
+  return {
+    company: { id: company.id, name: company.name, code: company.code },
+    orders: rows,
+    summary: {
+      unpaidOrders: unpaid.length,
+      amountOwedToSupplier: round(unpaid.reduce((sum, row) => sum + row.difference, 0)),
+      overpaidOrders: overpaid.length,
+      amountOverpaid: round(overpaid.reduce((sum, row) => sum - row.difference, 0))
+    }
+  };
+}
+
+module.exports = {
+  ORDER_BALANCE_STATUSES,
+  getSupplierLedger,
+  getSupplierOrderBalances
+};
@@ -0,0 +1,762 @@
+/**
+ * Transport Billing Service
+ *
+ * Transport clients, invoices and receivables.
+ *
+ * - Every new transport order is linked to a TransportClient: the one chosen,
+ *   else an existing client with the same name (and phone, if given), else a
+ *   new client created from the order's name and phone.
+ * - Cash orders (the default) are invoiced and paid on creation: the invoice
+ *   takes the order's revenue cash flow entry as its payment.
+ * - On-account orders post no revenue cash flow. Once delivered they are
+ *   invoiced, alone or together, with the client's payment terms; payments
+ *   against the invoice post CASH_IN entries.
+ * - Invoice numbers are generated (TINV-YYYYMMDD-NNNN) and written to each
+ *   order's invoiceNumber.
+ * - Aging buckets follow debtorAgingService: days past the invoice due date.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, ValidationError, BusinessError } = require('../middleware/errorHandler');
+const { createAuditLog } = require('../utils/auditLogger');
+const { generateDocumentNumber } = require('../utils/orderNumberGenerator');
+const { AGING_BUCKETS, getDaysOverdue, getAgingBucket } = require('./debtorAgingService');
+const { assertCashFlowEditable } = require('./cashReconciliationService');
+
+const INVOICE_STATUSES = ['ISSUED', 'PARTIALLY_PAID', 'PAID', 'CANCELLED'];
+const OPEN_INVOICE_STATUSES = ['ISSUED', 'PARTIALLY_PAID'];
+const INVOICEABLE_ORDER_STATUSES = ['DELIVERED', 'PARTIALLY_DELIVERED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const CLIENT_FIELDS = ['name', 'phone', 'email', 'address', 'contactPerson', 'notes'];
+
+const invoiceStatusFor = (totalAmount, amountPaid) => {
+  if (amountPaid >= totalAmount) return 'PAID';
+  if (amountPaid > 0) return 'PARTIALLY_PAID';
+  return 'ISSUED';
+};
+
+/**
+ * Days past due and aging bucket for an open invoice
+ */
+const withAging = (invoice, asOf = new Date()) => {
+  const open = OPEN_INVOICE_STATUSES.includes(invoice.status);
+  const daysOverdue = open ? getDaysOverdue(invoice.dueDate, asOf) : 0;
+  return {
+    ...invoice,
+    daysOverdue,
+    isOverdue: daysOverdue > 0,
+    agingBucket: open ? getAgingBucket(daysOverdue).key : null
+  };
+};
+
+// ================================
+// CLIENTS
+// ================================
+
+async function findClient(id, client = prisma) {
+  const transportClient = await client.transportClient.findUnique({ where: { id } });
+  if (!transportClient) {
+    throw new NotFoundError('Transport client not found');
+  }
+  return transportClient;
+}
+
+/**
+ * Client for a new order: by ID, else matched on name (and phone), else created
+ */
+async function resolveTransportClient({ transportClientId, clientName, clientPhone }, userId, client = prisma) {
+  if (transportClientId) {
+    const transportClient = await findClient(transportClientId, client);
+    if (!transportClient.isActive) {
+      throw new BusinessError(`${transportClient.name} is inactive`, 'CLIENT_INACTIVE');
+    }
+    return transportClient;
+  }
+
+  const name = String(clientName || '').trim();
+  const phone = clientPhone ? String(clientPhone).trim() : null;
+  if (!name) {
+    throw new ValidationError('Client name is required');
+  }
+
+  const matches = await client.transportClient.findMany({
+    where: { name: { equals: name, mode: 'insensitive' }, isActive: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  const match = (phone && matches.find(c => c.phone === phone)) || matches.find(c => !phone || !c.phone);
+  if (match) return match;
+
+  return client.transportClient.create({
+    data: { name, phone, createdBy: userId }
+  });
+}
+
+/**
+ * Open invoice balances plus on-account orders not yet invoiced (delivered or still on the road)
+ */
+async function getClientExposure(clientId, client = prisma) {
+  const [invoices, uninvoiced] = await Promise.all([
+    client.transportInvoice.aggregate({
+      where: { clientId, status: { in: OPEN_INVOICE_STATUSES } },
+      _sum: { balance: true }
+    }),
+    client.transportOrder.aggregate({
+      where: { transportClientId: clientId, onAccount: true, transportInvoiceId: null, deliveryStatus: { notIn: ['CANCELLED', 'RETURNED'] } },
+      _sum: { totalOrderAmount: true }
+    })
+  ]);
+
+  const outstanding = parseFloat(invoices._sum.balance || 0);
+  const uninvoicedAmount = parseFloat(uninvoiced._sum.totalOrderAmount || 0);
+  return { outstanding: round(outstanding), uninvoiced: round(uninvoicedAmount), total: round(outstanding + uninvoicedAmount) };
+}
+
+/**
+ * Refuse on-account work that would take a client over its credit limit
+ */
+async function assertClientCredit(transportClient, amount, client = prisma) {
+  if (transportClient.creditLimit === null || transportClient.creditLimit === undefined) return;
+
+  const exposure = await getClientExposure(transportClient.id, client);
+  const limit = parseFloat(transportClient.creditLimit);
+  if (exposure.total + parseFloat(amount) > limit) {
+    throw new BusinessError(
+      `${transportClient.name} would owe ₦${(exposure.total + parseFloat(amount)).toLocaleString()} against a credit limit of ₦${limit.toLocaleString()}`,
+      'CREDIT_LIMIT_EXCEEDED'
+    );
+  }
+}
+
+async function listTransportClients({ search, isActive } = {}) {
+  const where = {};
+  if (isActive !== undefined) where.isActive = isActive;
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search } },
+      { email: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const [clients, balances] = await Promise.all([
+    prisma.transportClient.findMany({
+      where,
+      include: { _count: { select: { orders: true } } },
+      orderBy: { name: 'asc' }
+    }),
+    prisma.transportInvoice.groupBy({
+      by: ['clientId'],
+      where: { status: { in: OPEN_INVOICE_STATUSES } },
+      _sum: { balance: true },
+      _min: { dueDate: true }
+    })
+  ]);
+
+  const today = new Date();
+  const balanceByClient = new Map(balances.map(b => [b.clientId, b]));
+
+  return clients.map(({ _count, ...transportClient }) => {
+    const balance = balanceByClient.get(transportClient.id);
+    return {
+      ...transportClient,
+      totalOrders: _count.orders,
+      outstandingBalance: balance ? round(parseFloat(balance._sum.balance || 0)) : 0,
+      oldestDueDate: balance ? balance._min.dueDate : null,
+      hasOverdue: balance ? getDaysOverdue(balance._min.dueDate, today) > 0 : false
+    };
+  });
+}
+
+/**
+ * Client with order history, invoices, payments and balances
+ */
+async function getTransportClient(id) {
+  const transportClient = await prisma.transportClient.findUnique({
+    where: { id },
+    include: { creator: { select: { id: true, username: true } } }
+  });
+  if (!transportClient) {
+    throw new NotFoundError('Transport client not found');
+  }
+
+  const [orders, invoices, exposure, totals] = await Promise.all([
+    prisma.transportOrder.findMany({
+      where: { transportClientId: id },
+      select: {
+        id: true,
+        orderNumber: true,
+        invoiceNumber: true,
+        onAccount: true,
+        totalOrderAmount: true,
+        netProfit: true,
+        deliveryStatus: true,
+        deliveryDate: true,
+        createdAt: true,
+        location: { select: { name: true } },
+        transportInvoiceId: true
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    }),
+    prisma.transportInvoice.findMany({
+      where: { clientId: id },
+      include: {
+        payments: { select: { id: true, amount: true, paymentDate: true, paymentMethod: true, reference: true } },
+        _count: { select: { orders: true } }
+      },
+      orderBy: { invoiceDate: 'desc' },
+      take: 100
+    }),
+    getClientExposure(id),
+    prisma.transportOrder.aggregate({
+      where: { transportClientId: id, deliveryStatus: { not: 'CANCELLED' } },
+      _sum: { totalOrderAmount: true, netProfit: true },
+      _count: true,
+      _max: { createdAt: true }
+    })
+  ]);
+
+  const now = new Date();
+  const agedInvoices = invoices.map(invoice => withAging(invoice, now));
+
+  return {
+    client: transportClient,
+    summary: {
+      totalTrips: totals._count,
+      totalRevenue: round(parseFloat(totals._sum.totalOrderAmount || 0)),
+      totalProfit: round(parseFloat(totals._sum.netProfit || 0)),
+      lastTrip: totals._max.createdAt,
+      outstandingBalance: exposure.outstanding,
+      overdueBalance: round(agedInvoices.filter(i => i.isOverdue).reduce((sum, i) => sum + parseFloat(i.balance), 0)),
+      uninvoicedOnAccount: exposure.uninvoiced,
+      creditLimit: transportClient.creditLimit !== null ? parseFloat(transportClient.creditLimit) : null,
+      availableCredit: transportClient.creditLimit !== null
+        ? round(parseFloat(transportClient.creditLimit) - exposure.total)
+        : null
+    },
+    orders,
+    invoices: agedInvoices
+  };
+}
+
+async function createTransportClient(input, userId, requestMeta = {}) {
+  const data = { createdBy: userId };
+  CLIENT_FIELDS.forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field] || null;
+  });
+  data.name = String(input.name).trim();
+  if (input.paymentTermsDays !== undefined) data.paymentTermsDays = parseInt(input.paymentTermsDays);
+  if (input.creditLimit !== undefined) data.creditLimit = input.creditLimit === null ? null : parseFloat(input.creditLimit);
+
+  const transportClient = await prisma.transportClient.create({ data });
+
+  await createAuditLog({
+    userId,
+    action: 'TRANSPORT_CLIENT_CREATED',
+    entity: 'TransportClient',
+    entityId: transportClient.id,
+    newValues: { name: transportClient.name, phone: transportClient.phone, paymentTermsDays: transportClient.paymentTermsDays },
+    ...requestMeta
+  });
+
+  return transportClient;
+}
+
+async function updateTransportClient(id, input, userId, requestMeta = {}) {
+  const existing = await findClient(id);
+
+  const data = {};
+  CLIENT_FIELDS.forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field] || null;
+  });
+  if (data.name === null) delete data.name;
+  if (input.paymentTermsDays !== undefined) data.paymentTermsDays = parseInt(input.paymentTermsDays);
+  if (input.creditLimit !== undefined) data.creditLimit = input.creditLimit === null ? null : parseFloat(input.creditLimit);
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  const transportClient = await prisma.transportClient.update({ where: { id }, data });
+
+  await createAuditLog({
+    userId,
+    action: 'TRANSPORT_CLIENT_UPDATED',
+    entity: 'TransportClient',
+    entityId: id,
+    oldValues: existing,
+    newValues: data,
+    ...requestMeta
+  });
+
+  return transportClient;
+}
+
+// ================================
+// INVOICES
+// ================================
+
+const invoiceInclude = {
+  client: true,
+  orders: {
+    select: {
+      id: true,
+      orderNumber: true,
+      totalOrderAmount: true,
+      pickupLocation: true,
+      deliveryAddress: true,
+      deliveryStatus: true,
+      deliveryDate: true,
+      createdAt: true,
+      truckId: true,
+      location: { select: { name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  },
+  payments: {
+    include: { receiver: { select: { id: true, username: true } } },
+    orderBy: { paymentDate: 'asc' }
+  },
+  creator: { select: { id: true, username: true } }
+};
+
+async function findInvoice(id, client = prisma) {
+  const invoice = await client.transportInvoice.findUnique({ where: { id }, include: invoiceInclude });
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found');
+  }
+  return invoice;
+}
+
+async function getInvoice(id) {
+  return withAging(await findInvoice(id));
+}
+
+/**
+ * Invoice and settle a cash order at creation, taking its revenue cash flow as the payment
+ */
+async function issueCashInvoice(tx, { order, transportClient, paymentMethod, cashFlowId }, userId) {
+  const amount = parseFloat(order.totalOrderAmount);
+  const now = new Date();
+
+  const invoice = await tx.transportInvoice.create({
+    data: {
+      invoiceNumber: await generateDocumentNumber('TINV', 'transportInvoice', 'invoiceNumber', tx),
+      clientId: transportClient.id,
+      status: 'PAID',
+      invoiceDate: now,
+      paymentTermsDays: 0,
+      dueDate: now,
+      totalAmount: amount,
+      amountPaid: amount,
+      balance: 0,
+      createdBy: userId,
+      payments: {
+        create: {
+          amount,
+          paymentDate: now,
+          paymentMethod,
+          reference: order.orderNumber,
+          cashFlowId,
+          receivedBy: userId
+        }
+      }
+    }
+  });
+
+  await tx.transportOrder.update({
+    where: { id: order.id },
+    data: { transportInvoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber }
+  });
+
+  return invoice;
+}
+
+/**
+ * Delivered on-account orders of a client not yet on an invoice
+ */
+async function getUninvoicedOrders(clientId) {
+  await findClient(clientId);
+  return prisma.transportOrder.findMany({
+    where: {
+      transportClientId: clientId,
+      onAccount: true,
+      transportInvoiceId: null,
+      deliveryStatus: { in: INVOICEABLE_ORDER_STATUSES }
+    },
+    select: {
+      id: true,
+      orderNumber: true,
+      totalOrderAmount: true,
+      deliveryStatus: true,
+      deliveryDate: true,
+      createdAt: true,
+      location: { select: { name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+async function createInvoice({ clientId, orderIds, invoiceDate, paymentTermsDays, notes }, userId, requestMeta = {}) {
+  const transportClient = await findClient(clientId);
+  const uniqueIds = [...new Set(orderIds)];
+
+  const orders = await prisma.transportOrder.findMany({
+    where: { id: { in: uniqueIds } },
+    select: { id: true, orderNumber: true, transportClientId: true, transportInvoiceId: true, onAccount: true, deliveryStatus: true, totalOrderAmount: true }
+  });
+  if (orders.length !== uniqueIds.length) {
+    throw new NotFoundError('One or more transport orders not found');
+  }
+
+  orders.forEach(order => {
+    if (order.transportClientId !== clientId) {
+      throw new BusinessError(`Order ${order.orderNumber} belongs to a different client`, 'CLIENT_MISMATCH');
+    }
+    if (order.transportInvoiceId) {
+      throw new BusinessError(`Order ${order.orderNumber} is already invoiced`, 'ORDER_ALREADY_INVOICED');
+    }
+    if (!order.onAccount) {
+      throw new BusinessError(`Order ${order.orderNumber} was a cash order and is already settled`, 'ORDER_NOT_ON_ACCOUNT');
+    }
+    if (!INVOICEABLE_ORDER_STATUSES.includes(order.deliveryStatus)) {
+      throw new BusinessError(`Order ${order.orderNumber} has not been delivered`, 'ORDER_NOT_DELIVERED');
+    }
+  });
+
+  const date = invoiceDate ? new Date(invoiceDate) : new Date();
+  const terms = paymentTermsDays !== undefined && paymentTermsDays !== null
+    ? parseInt(paymentTermsDays)
+    : transportClient.paymentTermsDays;
+  const totalAmount = round(orders.reduce((sum, order) => sum + parseFloat(order.totalOrderAmount), 0));
+
+  return prisma.$transaction(async (tx) => {
+    const invoice = await tx.transportInvoice.create({
+      data: {
+        invoiceNumber: await generateDocumentNumber('TINV', 'transportInvoice', 'invoiceNumber', tx),
+        clientId,
+        invoiceDate: date,
+        paymentTermsDays: terms,
+        dueDate: new Date(date.getTime() + terms * DAY_MS),
+        totalAmount,
+        balance: totalAmount,
+        notes: notes || null,
+        createdBy: userId
+      }
+    });
+
+    // Guarded on transportInvoiceId so two invoices cannot claim the same order
+    const claimed = await tx.transportOrder.updateMany({
+      where: { id: { in: uniqueIds }, transportInvoiceId: null },
+      data: { transportInvoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber }
+    });
+    if (claimed.count !== uniqueIds.length) {
+      throw new BusinessError('One or more orders were invoiced by someone else; reload and try again', 'ORDER_ALREADY_INVOICED');
+    }
+
+    await createAuditLog({
+      userId,
+      action: 'TRANSPORT_INVOICE_CREATED',
+      entity: 'TransportInvoice',
+      entityId: invoice.id,
+      newValues: {
+        invoiceNumber: invoice.invoiceNumber,
+        clientId,
+        orderNumbers: orders.map(order => order.orderNumber),
+        totalAmount,
+        dueDate: invoice.dueDate
+      },
+      ...requestMeta
+    }, tx);
+
+    return withAging(await findInvoice(invoice.id, tx));
+  });
+}
+
+async function listInvoices({ clientId, status, overdue, from, to, page = 1, limit = 20 } = {}) {
+  const where = {};
+  if (clientId) where.clientId = clientId;
+  if (status) where.status = status;
+  if (overdue) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    where.status = { in: OPEN_INVOICE_STATUSES };
+    where.dueDate = { lt: today };
+  }
+  if (from || to) {
+    where.invoiceDate = {};
+    if (from) where.invoiceDate.gte = from;
+    if (to) where.invoiceDate.lte = to;
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [invoices, total, totals] = await Promise.all([
+    prisma.transportInvoice.findMany({
+      where,
+      include: {
+        client: { select: { id: true, name: true, phone: true } },
+        _count: { select: { orders: true, payments: true } }
+      },
+      orderBy: { invoiceDate: 'desc' },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum
+    }),
+    prisma.transportInvoice.count({ where }),
+    prisma.transportInvoice.aggregate({ where, _sum: { totalAmount: true, amountPaid: true, balance: true } })
+  ]);
+
+  const now = new Date();
+  return {
+    invoices: invoices.map(invoice => withAging(invoice, now)),
+    summary: {
+      totalAmount: round(parseFloat(totals._sum.totalAmount || 0)),
+      amountPaid: round(parseFloat(totals._sum.amountPaid || 0)),
+      balance: round(parseFloat(totals._sum.balance || 0))
+    },
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+  };
+}
+
+/**
+ * Set an invoice's status from its amounts after an atomic payment update
+ */
+async function refreshInvoiceStatus(tx, invoiceId) {
+  const invoice = await tx.transportInvoice.findUnique({
+    where: { id: invoiceId },
+    select: { totalAmount: true, amountPaid: true }
+  });
+  const status = invoiceStatusFor(parseFloat(invoice.totalAmount), parseFloat(invoice.amountPaid));
+  await tx.transportInvoice.update({ where: { id: invoiceId }, data: { status } });
+  return status;
+}
+
+/**
+ * Record a full or partial payment and its CASH_IN entry
+ */
+async function recordInvoicePayment(invoiceId, { amount, paymentDate, paymentMethod, reference, notes }, userId, requestMeta = {}) {
+  const paid = round(parseFloat(amount));
+
+  return prisma.$transaction(async (tx) => {
+    const invoice = await findInvoice(invoiceId, tx);
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new BusinessError(`Invoice is ${invoice.status.toLowerCase().replace('_', ' ')}`, 'INVOICE_NOT_OPEN');
+    }
+
+    // Guarded on the balance so two concurrent payments can't both take the last of it
+    const { count } = await tx.transportInvoice.updateMany({
+      where: { id: invoiceId, status: { in: OPEN_INVOICE_STATUSES }, balance: { gte: paid } },
+      data: { amountPaid: { increment: paid }, balance: { decrement: paid } }
+    });
+    if (count === 0) {
+      const { balance } = await tx.transportInvoice.findUnique({ where: { id: invoiceId }, select: { balance: true } });
+      throw new BusinessError(`Payment of ₦${paid.toLocaleString()} is more than the ₦${parseFloat(balance).toLocaleString()} outstanding`, 'OVERPAYMENT');
+    }
+    await refreshInvoiceStatus(tx, invoiceId);
+
+    const cashFlow = await tx.cashFlow.create({
+      data: {
+        transactionType: 'CASH_IN',
+        amount: paid,
+        paymentMethod,
+        description: `Transport invoice payment: ${invoice.invoiceNumber} - ${invoice.client.name}`,
+        referenceNumber: invoice.invoiceNumber,
+        cashier: userId,
+        module: 'TRANSPORT'
+      }
+    });
+
+    const payment = await tx.transportInvoicePayment.create({
+      data: {
+        invoiceId,
+        amount: paid,
+        paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+        paymentMethod,
+        reference: reference || null,
+        notes: notes || null,
+        cashFlowId: cashFlow.id,
+        receivedBy: userId
+      }
+    });
+
+    const updated = withAging(await findInvoice(invoiceId, tx));
+
+    await createAuditLog({
+      userId,
+      action: 'TRANSPORT_INVOICE_PAYMENT',
+      entity: 'TransportInvoice',
+      entityId: invoiceId,
+      oldValues: { amountPaid: parseFloat(invoice.amountPaid), status: invoice.status },
+      newValues: { paymentId: payment.id, amount: paid, paymentMethod, amountPaid: parseFloat(updated.amountPaid) },
+      ...requestMeta
+    }, tx);
+
+    return { payment, invoice: updated };
+  });
+}
+
+/**
+ * Reverse a payment recorded in error, removing its cash flow entry
+ */
+async function reverseInvoicePayment(invoiceId, paymentId, { reason } = {}, userId, requestMeta = {}) {
+  return prisma.$transaction(async (tx) => {
+    const invoice = await findInvoice(invoiceId, tx);
+    const payment = invoice.payments.find(p => p.id === paymentId);
+    if (!payment) {
+      throw new NotFoundError('Payment not found on this invoice');
+    }
+
+    if (payment.cashFlowId) {
+      await assertCashFlowEditable(tx, { id: payment.cashFlowId });
+    }
+
+    // Deleting by ID and invoice doubles as the claim: a second reversal finds nothing
+    const { count } = await tx.transportInvoicePayment.deleteMany({ where: { id: paymentId, invoiceId } });
+    if (count === 0) {
+      throw new NotFoundError('Payment not found on this invoice');
+    }
+    if (payment.cashFlowId) {
+      await tx.cashFlow.deleteMany({ where: { id: payment.cashFlowId } });
+    }
+
+    const amount = parseFloat(payment.amount);
+    await tx.transportInvoice.update({
+      where: { id: invoiceId },
+      data: { amountPaid: { decrement: amount }, balance: { increment: amount } }
+    });
+    await refreshInvoiceStatus(tx, invoiceId);
+
+    const updated = withAging(await findInvoice(invoiceId, tx));
+
+    await createAuditLog({
+      userId,
+      action: 'TRANSPORT_INVOICE_PAYMENT_REVERSED',
+      entity: 'TransportInvoice',
+      entityId: invoiceId,
+      oldValues: { paymentId, amount, paymentMethod: payment.paymentMethod, cashFlowId: payment.cashFlowId },
+      newValues: { amountPaid: parseFloat(updated.amountPaid), reason: reason || null },
+      ...requestMeta
+    }, tx);
+
+    return updated;
+  });
+}
+
+/**
+ * Cancel an unpaid invoice; its orders can be invoiced again
+ */
+async function cancelInvoice(id, { reason } = {}, userId, requestMeta = {}) {
+  const invoice = await findInvoice(id);
+  if (invoice.status === 'CANCELLED') {
+    throw new BusinessError('Invoice is already cancelled', 'INVOICE_NOT_OPEN');
+  }
+  if (invoice.payments.length > 0) {
+    throw new BusinessError('Invoice has payments; reverse them before cancelling', 'INVOICE_HAS_PAYMENTS');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.transportOrder.updateMany({
+      where: { transportInvoiceId: id },
+      data: { transportInvoiceId: null, invoiceNumber: null }
+    });
+
+    await tx.transportInvoice.update({
+      where: { id },
+      data: { status: 'CANCELLED', balance: 0, cancelledAt: new Date(), cancelReason: reason || null }
+    });
+
+    await createAuditLog({
+      userId,
+      action: 'TRANSPORT_INVOICE_CANCELLED',
+      entity: 'TransportInvoice',
+      entityId: id,
+      oldValues: { status: invoice.status, orderNumbers: invoice.orders.map(o => o.orderNumber) },
+      newValues: { status: 'CANCELLED', reason: reason || null },
+      ...requestMeta
+    }, tx);
+
+    return tx.transportInvoice.findUnique({ where: { id }, include: invoiceInclude });
+  });
+}
+
+// ================================
+// RECEIVABLES AGING
+// ================================
+
+/**
+ * Open invoice balances by client and days past due
+ */
+async function getReceivablesAging({ asOf = new Date(), clientId } = {}) {
+  const invoices = await prisma.transportInvoice.findMany({
+    where: {
+      status: { in: OPEN_INVOICE_STATUSES },
+      invoiceDate: { lte: asOf },
+      ...(clientId ? { clientId } : {})
+    },
+    include: { client: { select: { id: true, name: true, phone: true, paymentTermsDays: true, creditLimit: true } } },
+    orderBy: { dueDate: 'asc' }
+  });
+
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+  const totals = emptyBuckets();
+  const byClient = new Map();
+
+  invoices.forEach(invoice => {
+    const balance = parseFloat(invoice.balance);
+    const daysOverdue = getDaysOverdue(invoice.dueDate, asOf);
+    const bucket = getAgingBucket(daysOverdue).key;
+
+    const row = byClient.get(invoice.clientId) || {
+      client: invoice.client,
+      ...emptyBuckets(),
+      total: 0,
+      invoiceCount: 0,
+      oldestDaysOverdue: 0
+    };
+    row[bucket] = round(row[bucket] + balance);
+    row.total = round(row.total + balance);
+    row.invoiceCount++;
+    row.oldestDaysOverdue = Math.max(row.oldestDaysOverdue, daysOverdue);
+    byClient.set(invoice.clientId, row);
+
+    totals[bucket] = round(totals[bucket] + balance);
+  });
+
+  const clients = [...byClient.values()].sort((a, b) => b.total - a.total);
+  const grandTotal = round(clients.reduce((sum, c) => sum + c.total, 0));
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(b => ({ key: b.key, label: b.label })),
+    clients,
+    totals: { ...totals, total: grandTotal },
+    summary: {
+      clientsWithBalance: clients.length,
+      openInvoices: invoices.length,
+      overdueAmount: round(grandTotal - totals.current)
+    }
+  };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  INVOICEABLE_ORDER_STATUSES,
+  resolveTransportClient,
+  assertClientCredit,
+  getClientExposure,
+  listTransportClients,
+  getTransportClient,
+  createTransportClient,
+  updateTransportClient,
+  issueCashInvoice,
+  getUninvoicedOrders,
+  createInvoice,
+  getInvoice,
+  listInvoices,
+  recordInvoicePayment,
+  reverseInvoicePayment,
+  cancelInvoice,
+  getReceivablesAging
+};
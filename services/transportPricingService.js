@@ -1,52 +1,27 @@
 const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const prisma = require('../lib/prisma');
+const { getHaulageRateAsOf, getSalaryRateAsOf, selectHaulageRate } = require('./ratePricingService');
 
 class TransportPricingService {
   
-  // Get haulage rate based on location and truck capacity
-  async getHaulageRate(locationId, truckCapacity) {
-    const haulageRate = await prisma.haulageRate.findFirst({
-      where: {
-        locationId,
-        isActive: true
-      },
-      orderBy: {
-        effectiveDate: 'desc'
-      }
-    });
+  // Get haulage rate in force on `asOf` based on location and truck capacity
+  async getHaulageRate(locationId, truckCapacity, asOf = new Date()) {
+    const haulageRate = await getHaulageRateAsOf(locationId, asOf);
 
     if (!haulageRate) {
       throw new NotFoundError(`No haulage rate found for location ${locationId}`);
     }
 
-    // Select rate based on truck capacity
-    let selectedRate;
-    if (truckCapacity <= 15) {
-      selectedRate = haulageRate.rate15Ton;
-    } else if (truckCapacity <= 20) {
-      selectedRate = haulageRate.rate20Ton;
-    } else {
-      selectedRate = haulageRate.rate30Ton;
-    }
-
     return {
-      rate: selectedRate,
+      rate: selectHaulageRate(haulageRate, truckCapacity),
       distance: haulageRate.distance,
       haulageRateId: haulageRate.id
     };
   }
 
-  // Get salary rates for location
-  async getSalaryRate(locationId) {
-    const salaryRate = await prisma.salaryRate.findFirst({
-      where: {
-        locationId,
-        isActive: true
-      },
-      orderBy: {
-        effectiveDate: 'desc'
-      }
-    });
+  // Get salary rates in force on `asOf` for location
+  async getSalaryRate(locationId, asOf = new Date()) {
+    const salaryRate = await getSalaryRateAsOf(locationId, asOf);
 
     if (!salaryRate) {
       // Fallback to location's legacy field
@@ -76,7 +51,8 @@ class TransportPricingService {
     truckId,
     fuelRequired,
     fuelPricePerLiter,
-    additionalExpenses = 0
+    additionalExpenses = 0,
+    asOf = new Date()
   }) {
     
     // Get truck details
@@ -91,11 +67,12 @@ class TransportPricingService {
     // 1. Get base haulage rate (TRIP COST from your Excel)
     const { rate: baseHaulageRate } = await this.getHaulageRate(
       locationId, 
-      truck.capacity
+      truck.capacity,
+      asOf
     );
 
     // 2. Get salary breakdown
-    const salaryBreakdown = await this.getSalaryRate(locationId);
+    const salaryBreakdown = await this.getSalaryRate(locationId, asOf);
 
     // 3. Calculate fuel cost (DIESEL TOTAL)
     const totalFuelCost = parseFloat((fuelRequired * fuelPricePerLiter).toFixed(2));
@@ -172,7 +149,9 @@ class TransportPricingService {
       truckId: order.truckId,
       fuelRequired: order.fuelRequired,
       fuelPricePerLiter: order.fuelPricePerLiter,
-      additionalExpenses: order.truckExpenses
+      additionalExpenses: order.truckExpenses,
+      // Rates that applied when the order was raised, not today's
+      asOf: order.createdAt
     });
 
     return recalculated;
@@ -0,0 +1,278 @@
+/**
+ * Vendor Service
+ *
+ * Links the free-text vendor names on warehouse purchases, purchase orders and
+ * expenses to Vendor records. Spellings are matched through VendorAlias rows
+ * and a normalised key, so "Rite Foods", "rite foods ltd" and "RITE FOODS"
+ * all resolve to the same vendor.
+ */
+
+const prisma = require('../lib/prisma');
+const { NotFoundError, BusinessError } = require('../middleware/errorHandler');
+
+// Keep in sync with the clustering SQL in prisma/migrations/20261024_add_vendors
+const COMPANY_SUFFIXES = new Set([
+  'ltd', 'limited', 'plc', 'nig', 'nigeria', 'enterprise', 'enterprises', 'ent',
+  'co', 'company', 'inc', 'venture', 'ventures', 'intl', 'international'
+]);
+
+/**
+ * Matching key for a vendor name: lowercase, punctuation and company suffixes removed
+ */
+function normalizeVendorName(name) {
+  const lowered = String(name || '').trim().toLowerCase();
+  const key = lowered
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !COMPANY_SUFFIXES.has(word))
+    .join(' ');
+
+  return key || lowered;
+}
+
+/**
+ * Find the vendor for a free-text name, creating a PENDING_REVIEW vendor if it's new
+ */
+async function findOrCreateVendorByName(name, userId = null, client = prisma) {
+  const trimmed = String(name).trim();
+
+  const alias = await client.vendorAlias.findUnique({
+    where: { name: trimmed },
+    include: { vendor: true }
+  });
+  if (alias) return alias.vendor;
+
+  const normalizedName = normalizeVendorName(trimmed);
+
+  let vendor = await client.vendor.findUnique({ where: { normalizedName } });
+  if (!vendor) {
+    const aliasMatch = await client.vendorAlias.findFirst({
+      where: { normalizedName },
+      include: { vendor: true }
+    });
+    vendor = aliasMatch?.vendor || null;
+  }
+
+  if (!vendor) {
+    try {
+      vendor = await client.vendor.create({
+        data: {
+          name: trimmed,
+          normalizedName,
+          status: 'PENDING_REVIEW',
+          createdBy: userId
+        }
+      });
+    } catch (error) {
+      // Created concurrently by another request
+      if (error.code !== 'P2002') throw error;
+      vendor = await client.vendor.findFirst({ where: { OR: [{ normalizedName }, { name: trimmed }] } });
+      if (!vendor) {
+        throw new BusinessError(`Vendor ${trimmed} could not be created; try again`, 'VENDOR_CONFLICT');
+      }
+    }
+  }
+
+  await client.vendorAlias.upsert({
+    where: { name: trimmed },
+    update: {},
+    create: { vendorId: vendor.id, name: trimmed, normalizedName }
+  });
+
+  return vendor;
+}
+
+/**
+ * Resolve vendor fields sent by the purchase/expense endpoints.
+ * A vendorId (from a picker) wins; otherwise the typed vendorName is matched.
+ * @returns {object|null} { vendor, vendorId, vendorName } or null when neither was sent
+ */
+async function resolveVendor({ vendorId, vendorName }, userId = null, client = prisma) {
+  if (vendorId) {
+    const vendor = await client.vendor.findUnique({ where: { id: vendorId } });
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+    if (vendor.status === 'INACTIVE') {
+      throw new BusinessError(`Vendor ${vendor.name} is inactive`, 'VENDOR_INACTIVE');
+    }
+    return { vendor, vendorId: vendor.id, vendorName: vendor.name };
+  }
+
+  if (vendorName && String(vendorName).trim()) {
+    const vendor = await findOrCreateVendorByName(vendorName, userId, client);
+    return { vendor, vendorId: vendor.id, vendorName: String(vendorName).trim() };
+  }
+
+  return null;
+}
+
+/**
+ * Re-point rows for one spelling from one vendor to another
+ */
+async function relinkVendorName(tx, name, fromVendorId, toVendorId) {
+  await tx.$executeRaw`
+    UPDATE warehouse_product_purchases SET vendor_id = ${toVendorId}
+    WHERE vendor_id = ${fromVendorId} AND TRIM(vendor_name) = ${name}
+  `;
+  await tx.$executeRaw`
+    UPDATE warehouse_expenses SET vendor_id = ${toVendorId}
+    WHERE vendor_id = ${fromVendorId} AND TRIM(vendor_name) = ${name}
+  `;
+  await tx.$executeRaw`
+    UPDATE warehouse_purchase_orders SET vendor_id = ${toVendorId}
+    WHERE vendor_id = ${fromVendorId} AND TRIM(vendor_name) = ${name}
+  `;
+}
+
+/**
+ * Move a spelling (and its transactions) to another vendor, e.g. to split a wrong cluster.
+ * The old vendor is removed if it has no spellings left.
+ */
+async function reassignAlias(aliasId, targetVendorId) {
+  return prisma.$transaction(async (tx) => {
+    const alias = await tx.vendorAlias.findUnique({ where: { id: aliasId } });
+    if (!alias) {
+      throw new NotFoundError('Vendor alias not found');
+    }
+    if (alias.vendorId === targetVendorId) {
+      return { alias, removedVendorId: null };
+    }
+
+    const target = await tx.vendor.findUnique({ where: { id: targetVendorId } });
+    if (!target) {
+      throw new NotFoundError('Target vendor not found');
+    }
+
+    const updatedAlias = await tx.vendorAlias.update({
+      where: { id: aliasId },
+      data: { vendorId: targetVendorId }
+    });
+
+    await relinkVendorName(tx, alias.name, alias.vendorId, targetVendorId);
+
+    let removedVendorId = null;
+    const remainingAliases = await tx.vendorAlias.count({ where: { vendorId: alias.vendorId } });
+    if (remainingAliases === 0) {
+      // Catch rows whose spelling never got an alias before deleting
+      await tx.warehouseProductPurchase.updateMany({ where: { vendorId: alias.vendorId }, data: { vendorId: targetVendorId } });
+      await tx.warehouseExpense.updateMany({ where: { vendorId: alias.vendorId }, data: { vendorId: targetVendorId } });
+      await tx.warehousePurchaseOrder.updateMany({ where: { vendorId: alias.vendorId }, data: { vendorId: targetVendorId } });
+      await tx.vendor.delete({ where: { id: alias.vendorId } });
+      removedVendorId = alias.vendorId;
+    }
+
+    return { alias: updatedAlias, removedVendorId };
+  });
+}
+
+/**
+ * Fold duplicate vendors into one, moving all spellings and transactions
+ */
+async function mergeVendors(targetVendorId, sourceVendorIds) {
+  const sourceIds = [...new Set(sourceVendorIds)].filter(id => id !== targetVendorId);
+  if (sourceIds.length === 0) {
+    throw new BusinessError('Select at least one other vendor to merge', 'NOTHING_TO_MERGE');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const target = await tx.vendor.findUnique({ where: { id: targetVendorId } });
+    if (!target) {
+      throw new NotFoundError('Target vendor not found');
+    }
+
+    const sources = await tx.vendor.findMany({ where: { id: { in: sourceIds } } });
+    if (sources.length !== sourceIds.length) {
+      throw new NotFoundError('One or more vendors to merge were not found');
+    }
+
+    const where = { vendorId: { in: sourceIds } };
+    const data = { vendorId: targetVendorId };
+
+    const [aliases, purchases, expenses, purchaseOrders] = await Promise.all([
+      tx.vendorAlias.updateMany({ where, data }),
+      tx.warehouseProductPurchase.updateMany({ where, data }),
+      tx.warehouseExpense.updateMany({ where, data }),
+      tx.warehousePurchaseOrder.updateMany({ where, data })
+    ]);
+
+    await tx.vendor.deleteMany({ where: { id: { in: sourceIds } } });
+
+    return {
+      vendor: target,
+      mergedVendors: sources.map(v => ({ id: v.id, name: v.name })),
+      moved: {
+        aliases: aliases.count,
+        purchases: purchases.count,
+        expenses: expenses.count,
+        purchaseOrders: purchaseOrders.count
+      }
+    };
+  });
+}
+
+/**
+ * Link rows saved with a free-text name but no vendor (e.g. from older clients).
+ * New spellings become PENDING_REVIEW vendors.
+ */
+async function clusterUnlinkedVendorNames(userId = null) {
+  const [purchaseNames, expenseNames, orderNames] = await Promise.all([
+    prisma.warehouseProductPurchase.findMany({
+      where: { vendorId: null },
+      select: { vendorName: true },
+      distinct: ['vendorName']
+    }),
+    prisma.warehouseExpense.findMany({
+      where: { vendorId: null, vendorName: { not: null } },
+      select: { vendorName: true },
+      distinct: ['vendorName']
+    }),
+    prisma.warehousePurchaseOrder.findMany({
+      where: { vendorId: null },
+      select: { vendorName: true },
+      distinct: ['vendorName']
+    })
+  ]);
+
+  const rawNames = [...new Set(
+    [...purchaseNames, ...expenseNames, ...orderNames]
+      .map(row => row.vendorName)
+      .filter(name => name && name.trim())
+  )];
+
+  const pendingBefore = await prisma.vendor.count({ where: { status: 'PENDING_REVIEW' } });
+  const linked = { purchases: 0, expenses: 0, purchaseOrders: 0 };
+
+  for (const rawName of rawNames) {
+    const vendor = await findOrCreateVendorByName(rawName, userId);
+    const where = { vendorId: null, vendorName: rawName };
+    const data = { vendorId: vendor.id };
+
+    const [purchases, expenses, purchaseOrders] = await Promise.all([
+      prisma.warehouseProductPurchase.updateMany({ where, data }),
+      prisma.warehouseExpense.updateMany({ where, data }),
+      prisma.warehousePurchaseOrder.updateMany({ where, data })
+    ]);
+
+    linked.purchases += purchases.count;
+    linked.expenses += expenses.count;
+    linked.purchaseOrders += purchaseOrders.count;
+  }
+
+  const pendingAfter = await prisma.vendor.count({ where: { status: 'PENDING_REVIEW' } });
+
+  return {
+    namesProcessed: rawNames.length,
+    newVendorsPendingReview: Math.max(0, pendingAfter - pendingBefore),
+    linked
+  };
+}
+
+module.exports = {
+  normalizeVendorName,
+  findOrCreateVendorByName,
+  resolveVendor,
+  reassignAlias,
+  mergeVendors,
+  clusterUnlinkedVendorNames
+};
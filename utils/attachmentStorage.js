@@ -0,0 +1,195 @@
+// utils/attachmentStorage.js
+
+/**
+ * Storage backends for uploaded attachments.
+ *
+ * LOCAL (default): files under ATTACHMENT_STORAGE_DIR (./uploads).
+ * S3: any S3-compatible bucket (AWS, MinIO, Cloudflare R2, DigitalOcean Spaces),
+ * talked to with SigV4 presigned URLs so no SDK is needed:
+ *   ATTACHMENT_STORAGE=s3
+ *   S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *   S3_ENDPOINT (non-AWS providers), S3_FORCE_PATH_STYLE=true (MinIO)
+ *
+ * Every backend exposes put(key, buffer, contentType), get(key) -> Readable and
+ * remove(key). S3 also has getDownloadUrl(key, options) so downloads can be
+ * redirected to the bucket instead of streamed through the API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'uploads');
+
+// ================================
+// LOCAL DISK
+// ================================
+
+const createLocalStorage = (rootDir = process.env.ATTACHMENT_STORAGE_DIR || DEFAULT_LOCAL_DIR) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'LOCAL',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// ================================
+// S3-COMPATIBLE
+// ================================
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 requires
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 attachment storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const keyPath = (key) => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    return forcePathStyle ? `/${bucket}/${encodedKey}` : `/${encodedKey}`;
+  };
+
+  /**
+   * Build a presigned URL (query-string SigV4, unsigned payload)
+   */
+  const presign = (method, key, { expiresIn = 300, query = {} } = {}) => {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const params = {
+      ...query,
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(params)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      keyPath(key),
+      canonicalQuery,
+      `host:${host}\n`,
+      'host',
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let signingKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    for (const part of [region, 's3', 'aws4_request']) {
+      signingKey = hmac(signingKey, part);
+    }
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `${base.protocol}//${host}${keyPath(key)}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  };
+
+  const request = async (method, key, options = {}) => {
+    const response = await fetch(presign(method, key), options);
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${body.slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 'S3',
+
+    async put(key, buffer, contentType) {
+      await request('PUT', key, { method: 'PUT', body: buffer, headers: { 'Content-Type': contentType } });
+    },
+
+    async get(key) {
+      const response = await request('GET', key, { method: 'GET' });
+      return Readable.fromWeb(response.body);
+    },
+
+    async remove(key) {
+      await request('DELETE', key, { method: 'DELETE' });
+    },
+
+    getDownloadUrl(key, { fileName, contentType, disposition = 'inline', expiresIn = 300 } = {}) {
+      const query = {};
+      if (fileName) {
+        query['response-content-disposition'] = `${disposition}; filename*=UTF-8''${encodeRfc3986(fileName)}`;
+      }
+      if (contentType) query['response-content-type'] = contentType;
+      return presign('GET', key, { expiresIn, query });
+    }
+  };
+};
+
+// ================================
+// BACKEND SELECTION
+// ================================
+
+const backends = {};
+
+/**
+ * Storage backend by name; defaults to ATTACHMENT_STORAGE (local unless set to s3)
+ */
+const getStorage = (name = (process.env.ATTACHMENT_STORAGE || 'LOCAL').toUpperCase()) => {
+  if (!backends[name]) {
+    if (name === 'LOCAL') backends[name] = createLocalStorage();
+    else if (name === 'S3') backends[name] = createS3Storage();
+    else throw new Error(`Unknown attachment storage backend: ${name}`);
+  }
+  return backends[name];
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getStorage
+};
@@ -0,0 +1,318 @@
+// utils/bankStatementParser.js
+
+/**
+ * Parsers for bank statement exports.
+ *
+ * CSV: column names vary by bank, so the date, description, reference and
+ * amount (or separate credit/debit) columns are found by header name; any of
+ * them can be overridden with an explicit column mapping. Dates default to
+ * day-first (DD/MM/YYYY) as Nigerian banks export them.
+ *
+ * OFX: SGML (1.x) and XML (2.x) files; every <STMTTRN> becomes a line.
+ *
+ * Every parser returns { lines, bankAccount, periodStart, periodEnd, errors } where
+ * each line is { transactionDate, amount, description, reference, bankTransactionId, rowNumber }
+ * and amount is positive for credits (money in) and negative for debits.
+ */
+
+const COLUMN_ALIASES = {
+  date: ['transactiondate', 'transdate', 'txndate', 'date', 'postingdate', 'postdate', 'bookingdate', 'valuedate'],
+  description: ['description', 'narration', 'narrative', 'transactiondetails', 'details', 'remarks', 'particulars', 'memo'],
+  reference: ['reference', 'referencenumber', 'refno', 'ref', 'transactionreference', 'transactionref', 'transactionid', 'chequeno', 'checknumber'],
+  amount: ['amount', 'transactionamount'],
+  credit: ['credit', 'credits', 'creditamount', 'deposit', 'deposits', 'moneyin', 'paidin', 'cr'],
+  debit: ['debit', 'debits', 'debitamount', 'withdrawal', 'withdrawals', 'moneyout', 'paidout', 'dr']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows of cells (quoted fields, escaped quotes, CRLF)
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+const utcDate = (year, month, day) => {
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Parse a statement date to a UTC-midnight Date (the calendar day the bank booked it)
+ * @param {string} dateOrder - 'DMY' (default) or 'MDY' for slash/dash numeric dates
+ */
+const parseStatementDate = (value, dateOrder = 'DMY') => {
+  const text = String(value || '').trim();
+  let m;
+
+  // 2026-10-05, 2026/10/05, optionally followed by a time
+  if ((m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) {
+    return utcDate(+m[1], +m[2], +m[3]);
+  }
+
+  // 05/10/2026, 05-10-26, 05.10.2026
+  if ((m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/))) {
+    return dateOrder === 'MDY'
+      ? utcDate(+m[3], +m[1], +m[2])
+      : utcDate(+m[3], +m[2], +m[1]);
+  }
+
+  // 05-Oct-2026, 05 Oct 2026, 5-OCT-26
+  if ((m = text.match(/^(\d{1,2})[-\s/]([A-Za-z]{3})[A-Za-z]*[-\s/,]+(\d{2,4})\b/))) {
+    const month = MONTHS.indexOf(m[2].toLowerCase());
+    return month === -1 ? null : utcDate(+m[3], month + 1, +m[1]);
+  }
+
+  // Oct 05, 2026
+  if ((m = text.match(/^([A-Za-z]{3})[A-Za-z]*\s+(\d{1,2}),?\s+(\d{4})\b/))) {
+    const month = MONTHS.indexOf(m[1].toLowerCase());
+    return month === -1 ? null : utcDate(+m[3], month + 1, +m[2]);
+  }
+
+  // OFX: 20261005 or 20261005120000[+1:WAT]
+  if ((m = text.match(/^(\d{4})(\d{2})(\d{2})/))) {
+    return utcDate(+m[1], +m[2], +m[3]);
+  }
+
+  return null;
+};
+
+/**
+ * Parse a statement amount: thousands separators, currency symbols,
+ * (brackets) or a trailing DR for debits
+ */
+const parseStatementAmount = (value) => {
+  let text = String(value || '').trim();
+  if (!text || text === '-') return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\s*DR$/i.test(text)) {
+    sign = -1;
+    text = text.replace(/\s*DR$/i, '');
+  }
+  text = text.replace(/\s*CR$/i, '').replace(/NGN|₦|[,\s]/gi, '');
+
+  const amount = parseFloat(text);
+  return Number.isFinite(amount) ? sign * amount : null;
+};
+
+const findColumn = (headers, field, override) => {
+  if (override) {
+    const index = headers.findIndex(h => normalizeHeader(h) === normalizeHeader(override));
+    return index === -1 ? undefined : index;
+  }
+  for (const alias of COLUMN_ALIASES[field]) {
+    const index = headers.findIndex(h => normalizeHeader(h) === alias);
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+const summarizePeriod = (lines) => {
+  const dates = lines.map(l => l.transactionDate.getTime());
+  return {
+    periodStart: dates.length ? new Date(Math.min(...dates)) : null,
+    periodEnd: dates.length ? new Date(Math.max(...dates)) : null
+  };
+};
+
+/**
+ * Parse a CSV statement
+ * @param {string} content - File contents
+ * @param {object} options - { columns: { date, description, reference, amount, credit, debit }, dateOrder }
+ */
+const parseCsvStatement = (content, { columns = {}, dateOrder = 'DMY' } = {}) => {
+  const rows = parseCsvRows(String(content).replace(/^\uFEFF/, ''));
+
+  // Banks often put account details above the table; the header is the first row with a date column
+  const headerIndex = rows.findIndex(row =>
+    findColumn(row, 'date', columns.date) >= 0 &&
+    (findColumn(row, 'amount', columns.amount) >= 0 || findColumn(row, 'credit', columns.credit) >= 0)
+  );
+  if (headerIndex === -1) {
+    return {
+      lines: [],
+      errors: [{ row: null, message: 'Could not find the header row (a date column and an amount or credit/debit columns)' }]
+    };
+  }
+
+  const headers = rows[headerIndex];
+  const col = {};
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    col[field] = findColumn(headers, field, columns[field]);
+    if (col[field] === undefined) {
+      return { lines: [], errors: [{ row: headerIndex + 1, message: `Column "${columns[field]}" not found` }] };
+    }
+  }
+
+  const lines = [];
+  const errors = [];
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const rowNumber = headerIndex + i + 2;
+    const cell = (index) => (index >= 0 ? row[index] : undefined);
+
+    // Closing balance / total rows have no date
+    if (!cell(col.date)) return;
+
+    const transactionDate = parseStatementDate(cell(col.date), dateOrder);
+    if (!transactionDate) {
+      errors.push({ row: rowNumber, message: `Unrecognised date "${cell(col.date)}"` });
+      return;
+    }
+
+    let amount;
+    if (col.amount >= 0) {
+      amount = parseStatementAmount(cell(col.amount));
+    } else {
+      const credit = parseStatementAmount(cell(col.credit)) || 0;
+      const debit = col.debit >= 0 ? Math.abs(parseStatementAmount(cell(col.debit)) || 0) : 0;
+      amount = credit - debit;
+    }
+
+    if (amount === null || Number.isNaN(amount)) {
+      errors.push({ row: rowNumber, message: 'Unrecognised amount' });
+      return;
+    }
+    if (amount === 0) return;
+
+    lines.push({
+      transactionDate,
+      amount: parseFloat(amount.toFixed(2)),
+      description: cell(col.description) || null,
+      reference: cell(col.reference) || null,
+      bankTransactionId: null,
+      rowNumber
+    });
+  });
+
+  return { lines, bankAccount: null, ...summarizePeriod(lines), errors };
+};
+
+const OFX_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// OFX escapes &, < and > in values (A&amp;B), and some banks send numeric entities
+const decodeOfxEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return OFX_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeOfxEntities(match[1]).trim() : null;
+};
+
+/**
+ * Parse an OFX statement (bank or credit card)
+ */
+const parseOfxStatement = (content) => {
+  const text = String(content);
+  const lines = [];
+  const errors = [];
+
+  const transactions = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  transactions.forEach((block, i) => {
+    const rowNumber = i + 1;
+    const transactionDate = parseStatementDate(ofxValue(block, 'DTPOSTED'));
+    const amount = parseStatementAmount(ofxValue(block, 'TRNAMT'));
+
+    if (!transactionDate) {
+      errors.push({ row: rowNumber, message: 'Missing or invalid DTPOSTED' });
+      return;
+    }
+    if (amount === null) {
+      errors.push({ row: rowNumber, message: 'Missing or invalid TRNAMT' });
+      return;
+    }
+    if (amount === 0) return;
+
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    lines.push({
+      transactionDate,
+      amount: parseFloat(amount.toFixed(2)),
+      description: [name, memo].filter(Boolean).join(' - ') || null,
+      reference: ofxValue(block, 'REFNUM') || ofxValue(block, 'CHECKNUM') || null,
+      bankTransactionId: ofxValue(block, 'FITID'),
+      rowNumber
+    });
+  });
+
+  if (transactions.length === 0) {
+    errors.push({ row: null, message: 'No <STMTTRN> transactions found in the OFX file' });
+  }
+
+  const period = summarizePeriod(lines);
+  const dtStart = parseStatementDate(ofxValue(text, 'DTSTART'));
+  const dtEnd = parseStatementDate(ofxValue(text, 'DTEND'));
+
+  return {
+    lines,
+    bankAccount: ofxValue(text, 'ACCTID'),
+    periodStart: dtStart || period.periodStart,
+    periodEnd: dtEnd || period.periodEnd,
+    errors
+  };
+};
+
+module.exports = {
+  parseCsvRows,
+  parseStatementDate,
+  parseStatementAmount,
+  parseCsvStatement,
+  parseOfxStatement
+};
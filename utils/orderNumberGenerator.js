@@ -148,10 +148,33 @@ const generateTruckLoadNumber = async () => {
   return `${prefix}${String(nextNumber).padStart(3, '0')}`;
 };
 
+/**
+ * Generate a daily sequence number (PREFIX-YYYYMMDD-NNNN)
+ */
+const generateDocumentNumber = async (prefix, model, field, client = prisma) => {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+
+  const datePrefix = `${prefix}-${year}${month}${day}`;
+
+  const count = await client[model].count({
+    where: {
+      [field]: {
+        startsWith: datePrefix
+      }
+    }
+  });
+
+  return `${datePrefix}-${String(count + 1).padStart(4, '0')}`;
+};
+
 module.exports = {
   generateDistributionOrderNumber,
   generatePaymentReference,
   generateSupplierOrderNumber,
   generateSupplierInvoiceNumber,
-  generateTruckLoadNumber
+  generateTruckLoadNumber,
+  generateDocumentNumber
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+// utils/unitConversion.js
+
+/**
+ * Unit-of-measure conversion for warehouse stock.
+ *
+ * Every product has a base unit (UNITS). Packs hold `unitsPerPack` units and
+ * pallets hold `packsPerPallet` packs. When a factor isn't configured it counts
+ * as 1, matching how the inventory screens have always added pallets and packs.
+ */
+
+const UNIT_TYPES = ['UNITS', 'PACKS', 'PALLETS']; // smallest to largest
+
+const getConversionFactors = (product = {}) => ({
+  unitsPerPack: product.unitsPerPack || 1,
+  packsPerPallet: product.packsPerPallet || 1
+});
+
+/**
+ * How many base units one of `unitType` holds
+ */
+const baseUnitsPer = (unitType, product) => {
+  const { unitsPerPack, packsPerPallet } = getConversionFactors(product);
+  if (unitType === 'PALLETS') return packsPerPallet * unitsPerPack;
+  if (unitType === 'PACKS') return unitsPerPack;
+  return 1;
+};
+
+const toBaseUnits = (quantity, unitType, product) =>
+  (Number(quantity) || 0) * baseUnitsPer(unitType, product);
+
+/**
+ * Express a base-unit quantity in another unit (may be fractional)
+ */
+const fromBaseUnits = (baseUnits, unitType, product) =>
+  baseUnits / baseUnitsPer(unitType, product);
+
+const convertQuantity = (quantity, fromUnit, toUnit, product) =>
+  fromBaseUnits(toBaseUnits(quantity, fromUnit, product), toUnit, product);
+
+/**
+ * Base units held in a { pallets, packs, units } counter set
+ */
+const stockToBaseUnits = (stock, product) =>
+  toBaseUnits(stock.pallets || 0, 'PALLETS', product) +
+  toBaseUnits(stock.packs || 0, 'PACKS', product) +
+  (Number(stock.units) || 0);
+
+/**
+ * Split a base-unit quantity into whole pallets, packs and loose units
+ */
+const breakdownBaseUnits = (baseUnits, product) => {
+  const perPallet = baseUnitsPer('PALLETS', product);
+  const perPack = baseUnitsPer('PACKS', product);
+  const sign = baseUnits < 0 ? -1 : 1;
+  let remaining = Math.abs(baseUnits);
+
+  const pallets = Math.floor(remaining / perPallet);
+  remaining -= pallets * perPallet;
+  const packs = Math.floor(remaining / perPack);
+  remaining -= packs * perPack;
+
+  return { pallets: sign * pallets, packs: sign * packs, units: sign * remaining };
+};
+
+/**
+ * A stock quantity expressed in every unit, plus the requested display unit
+ * @param {number} baseUnits
+ * @param {object} product - needs packsPerPallet / unitsPerPack
+ * @param {string} unit - Optional display unit (PALLETS, PACKS or UNITS)
+ */
+const expressQuantity = (baseUnits, product, unit = null) => {
+  const round = (value) => parseFloat(value.toFixed(2));
+  const result = {
+    baseUnits,
+    inPallets: round(fromBaseUnits(baseUnits, 'PALLETS', product)),
+    inPacks: round(fromBaseUnits(baseUnits, 'PACKS', product)),
+    inUnits: baseUnits,
+    breakdown: breakdownBaseUnits(baseUnits, product)
+  };
+
+  if (unit) {
+    result.unit = unit;
+    result.quantity = round(fromBaseUnits(baseUnits, unit, product));
+  }
+  return result;
+};
+
+/**
+ * True when converting between two unit types relies on configured factors
+ * (rather than the default of 1)
+ */
+const isConversionConfigured = (fromUnit, toUnit, product) => {
+  const [small, large] = [fromUnit, toUnit].sort((a, b) => UNIT_TYPES.indexOf(a) - UNIT_TYPES.indexOf(b));
+  if (small === large) return true;
+  if (large === 'PALLETS' && !product.packsPerPallet) return false;
+  if (small === 'UNITS' && !product.unitsPerPack) return false;
+  return true;
+};
+
+/**
+ * Unit types larger than `unitType`, nearest first (PACKS -> [PALLETS])
+ */
+const largerUnitTypes = (unitType) => UNIT_TYPES.slice(UNIT_TYPES.indexOf(unitType) + 1);
+
+module.exports = {
+  UNIT_TYPES,
+  getConversionFactors,
+  baseUnitsPer,
+  toBaseUnits,
+  fromBaseUnits,
+  convertQuantity,
+  stockToBaseUnits,
+  breakdownBaseUnits,
+  expressQuantity,
+  isConversionConfigured,
+  largerUnitTypes
+};